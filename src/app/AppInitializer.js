@@ -20,17 +20,20 @@ import { optionalFeatureService } from '../services/OptionalFeatureService.js';
 import { raceService } from '../services/RaceService.js';
 import { settingsService } from '../services/SettingsService.js';
 import { skillService } from '../services/SkillService.js';
+import { sourceService } from '../services/SourceService.js';
 import { spellService } from '../services/SpellService.js';
 import { variantRuleService } from '../services/VariantRuleService.js';
 import { notificationCenter } from '../ui/components/NotificationCenter.js';
 import { DataConfigurationModal } from '../ui/components/setup/SetupDataConfiguration.js';
 import { LoadingModal } from '../ui/components/setup/SetupModals.js';
 import { AppState } from './AppState.js';
+import { AutoSaveManager } from './AutoSaveManager.js';
 import { modal } from './Modal.js';
 import { NavigationController } from './NavigationController.js';
 import { PageHandler } from './PageHandler.js';
 import { themeManager } from './ThemeManager.js';
 import { titlebarController } from './TitlebarController.js';
+import { UndoManager } from './UndoManager.js';
 import { setupUiEventHandlers } from './UIHandlersInitializer.js';
 
 if (!window.FF_DEBUG) {
@@ -238,6 +241,30 @@ async function _loadAllGameData(loadingModal) {
 	}
 }
 
+/** Reload every data service, e.g. after homebrew is added or toggled. */
+async function _reloadGameData() {
+	DataLoader.resetAll();
+
+	const dataLoadResult = await _loadAllGameData(null);
+	try {
+		await sourceService.initialize();
+	} catch (error) {
+		dataLoadResult.errors.push(error);
+	}
+
+	AppState.setFailedServices(dataLoadResult.failedServices);
+	_updateServiceFailureBanner(dataLoadResult.failedServices);
+
+	if (dataLoadResult.success) {
+		showNotification('Game data reloaded', 'success');
+	} else {
+		showNotification(
+			`Some data failed to reload: ${dataLoadResult.failedServices.join(', ')}`,
+			'warning',
+		);
+	}
+}
+
 async function _initializeComponent(name, initFunction) {
 	try {
 		await initFunction();
@@ -265,6 +292,8 @@ async function _initializeCoreComponents() {
 				init: () => NavigationController.initialize(),
 			},
 			{ name: 'settings service', init: () => settingsService.initialize() },
+			{ name: 'autosave', init: () => AutoSaveManager.initialize() },
+			{ name: 'undo history', init: () => UndoManager.initialize() },
 			{
 				name: 'notification center',
 				init: () => notificationCenter.initialize(),
@@ -526,6 +555,7 @@ export async function initializeAll() {
 		}
 	};
 	_appCleanup.onEvent(EVENTS.DATA_FILE_LOADING, onDataFileLoading);
+	_appCleanup.onEvent(EVENTS.HOMEBREW_CHANGED, () => _reloadGameData());
 
 	try {
 		await _ensureDataSource(loadingModal);
@@ -0,0 +1,229 @@
+import { CharacterSchema } from '../lib/CharacterSchema.js';
+import { DOMCleanup } from '../lib/DOMCleanup.js';
+import { eventBus, EVENTS } from '../lib/EventBus.js';
+import { settingsService } from '../services/SettingsService.js';
+import { AppState } from './AppState.js';
+import { CharacterManager } from './CharacterManager.js';
+
+/** Quiet period after the last edit before an autosave is attempted */
+const AUTOSAVE_DEBOUNCE_MS = 2000;
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+
+export const AUTOSAVE_STATUS = Object.freeze({
+	DISABLED: 'disabled',
+	IDLE: 'idle',
+	PENDING: 'pending',
+	SAVING: 'saving',
+	SAVED: 'saved',
+	SKIPPED: 'skipped',
+	ERROR: 'error',
+});
+
+/**
+ * Saves the current character in the background once edits settle.
+ *
+ * Edits are debounced, and consecutive autosaves are at least
+ * `autoSaveInterval` seconds apart. A pending save is never postponed past
+ * one interval, so continuous editing still gets saved. Characters that
+ * fail CharacterSchema validation are skipped rather than written.
+ *
+ * Error strategy: LOG-and-continue. Autosave failures update the status
+ * shown in the titlebar but never throw.
+ */
+class _AutoSaveManager {
+	constructor() {
+		this._enabled = false;
+		this._intervalMs = DEFAULT_INTERVAL_SECONDS * 1000;
+		this._timer = null;
+		this._pendingSince = null;
+		this._lastSaveAt = 0;
+		this._isSaving = false;
+		this._cleanup = null;
+		this._status = { state: AUTOSAVE_STATUS.DISABLED, at: null, errors: [] };
+	}
+
+	async initialize() {
+		let enabled = true;
+		let intervalSeconds = DEFAULT_INTERVAL_SECONDS;
+
+		try {
+			const config = await settingsService.getAllSettings();
+			if (typeof config?.autoSave === 'boolean') enabled = config.autoSave;
+			if (Number.isFinite(config?.autoSaveInterval)) {
+				intervalSeconds = config.autoSaveInterval;
+			}
+		} catch (error) {
+			console.warn(
+				'[AutoSaveManager]',
+				'Could not read autosave settings, using defaults',
+				error,
+			);
+		}
+
+		this._setupEventListeners();
+		this.configure({ enabled, intervalSeconds });
+	}
+
+	_setupEventListeners() {
+		if (this._cleanup) this._cleanup.cleanup();
+		this._cleanup = DOMCleanup.create();
+
+		this._cleanup.onEvent('state:hasUnsavedChanges:changed', (hasChanges) => {
+			if (hasChanges) {
+				this._scheduleSave();
+			} else {
+				this._cancelPending();
+			}
+		});
+
+		this._cleanup.onEvent(EVENTS.CHARACTER_UPDATED, () => {
+			if (AppState.get('hasUnsavedChanges')) this._scheduleSave();
+		});
+
+		this._cleanup.onEvent(EVENTS.CHARACTER_SELECTED, () => {
+			this._cancelPending();
+		});
+
+		this._cleanup.onEvent(EVENTS.CHARACTER_SAVED, () => {
+			// Manual saves also count towards the interval
+			this._lastSaveAt = Date.now();
+			if (!this._isSaving) this._cancelPending();
+		});
+	}
+
+	/**
+	 * Apply autosave preferences.
+	 * @param {{ enabled?: boolean, intervalSeconds?: number }} options
+	 */
+	configure({ enabled, intervalSeconds } = {}) {
+		if (typeof enabled === 'boolean') this._enabled = enabled;
+		if (Number.isFinite(intervalSeconds) && intervalSeconds > 0) {
+			this._intervalMs = intervalSeconds * 1000;
+		}
+
+		if (!this._enabled) {
+			this._clearTimer();
+			this._pendingSince = null;
+			this._setStatus(AUTOSAVE_STATUS.DISABLED);
+			return;
+		}
+
+		if (this._status.state === AUTOSAVE_STATUS.DISABLED) {
+			this._setStatus(AUTOSAVE_STATUS.IDLE);
+		}
+		if (AppState.get('hasUnsavedChanges')) this._scheduleSave();
+	}
+
+	isEnabled() {
+		return this._enabled;
+	}
+
+	getIntervalSeconds() {
+		return this._intervalMs / 1000;
+	}
+
+	getStatus() {
+		return { ...this._status, errors: [...this._status.errors] };
+	}
+
+	_scheduleSave() {
+		if (!this._enabled || !AppState.getCurrentCharacter()) return;
+
+		const now = Date.now();
+		if (this._pendingSince === null) this._pendingSince = now;
+
+		const untilInterval = this._intervalMs - (now - this._lastSaveAt);
+		const untilDeadline = this._intervalMs - (now - this._pendingSince);
+		const delay = Math.max(
+			0,
+			Math.min(Math.max(AUTOSAVE_DEBOUNCE_MS, untilInterval), untilDeadline),
+		);
+
+		this._clearTimer();
+		this._timer = setTimeout(() => {
+			this._timer = null;
+			this.saveNow();
+		}, delay);
+
+		if (this._status.state !== AUTOSAVE_STATUS.SAVING) {
+			this._setStatus(AUTOSAVE_STATUS.PENDING);
+		}
+	}
+
+	_cancelPending() {
+		this._clearTimer();
+		this._pendingSince = null;
+		if (this._status.state === AUTOSAVE_STATUS.PENDING) {
+			this._setStatus(AUTOSAVE_STATUS.IDLE);
+		}
+	}
+
+	_clearTimer() {
+		if (this._timer) {
+			clearTimeout(this._timer);
+			this._timer = null;
+		}
+	}
+
+	/**
+	 * Attempt an autosave immediately.
+	 * @returns {Promise<boolean>} True when the character was written
+	 */
+	async saveNow() {
+		this._pendingSince = null;
+
+		const character = AppState.getCurrentCharacter();
+		if (!this._enabled || !character || !AppState.get('hasUnsavedChanges')) {
+			return false;
+		}
+
+		if (this._isSaving || AppState.get('isLoadingCharacter')) {
+			this._scheduleSave();
+			return false;
+		}
+
+		const validation = CharacterSchema.validate(character);
+		if (!validation.valid) {
+			console.debug(
+				'[AutoSaveManager]',
+				'Skipping autosave of invalid character',
+				validation.errors,
+			);
+			this._setStatus(AUTOSAVE_STATUS.SKIPPED, validation.errors);
+			return false;
+		}
+
+		this._isSaving = true;
+		this._setStatus(AUTOSAVE_STATUS.SAVING);
+
+		try {
+			await CharacterManager.saveCharacter();
+			this._lastSaveAt = Date.now();
+			this._setStatus(AUTOSAVE_STATUS.SAVED);
+			return true;
+		} catch (error) {
+			console.error('[AutoSaveManager]', 'Autosave failed', error);
+			this._setStatus(AUTOSAVE_STATUS.ERROR, [error.message]);
+			return false;
+		} finally {
+			this._isSaving = false;
+		}
+	}
+
+	_setStatus(state, errors = []) {
+		this._status = { state, at: new Date().toISOString(), errors };
+		eventBus.emit(EVENTS.AUTOSAVE_STATUS_CHANGED, this.getStatus());
+	}
+
+	destroy() {
+		this._clearTimer();
+		this._pendingSince = null;
+		if (this._cleanup) {
+			this._cleanup.cleanup();
+			this._cleanup = null;
+		}
+	}
+}
+
+export const AutoSaveManager = new _AutoSaveManager();
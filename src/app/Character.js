@@ -3,7 +3,12 @@ import {
 	DEFAULT_CHARACTER_SPEED,
 	getAbilityModNumber,
 } from '../lib/5eToolsParser.js';
-import { CLASS_ASI_LEVELS, DEFAULT_ASI_LEVELS } from '../lib/GameRules.js';
+import { createPlayState } from '../lib/CharacterSchema.js';
+import {
+	CLASS_ASI_LEVELS,
+	CUSTOM_LINEAGE,
+	DEFAULT_ASI_LEVELS,
+} from '../lib/GameRules.js';
 import { proficiencyService } from '../services/ProficiencyService.js';
 import * as CharacterSerializer from './CharacterSerializer.js';
 
@@ -158,6 +163,24 @@ export class Character {
 			languages: this._createSourcedProficiencySlot(data.optionalProficiencies?.languages),
 			tools: this._createSourcedProficiencySlot(data.optionalProficiencies?.tools),
 		};
+
+		// Expertise doubles the proficiency bonus of skills and tools already known
+		this.expertise = {
+			skills: [...(data.expertise?.skills || [])],
+			tools: [...(data.expertise?.tools || [])],
+		};
+		this.expertiseSources = { skills: new Map(), tools: new Map() };
+		for (const type in this.expertiseSources) {
+			for (const [key, sourceList] of Object.entries(
+				data.expertiseSources?.[type] || {},
+			)) {
+				this.expertiseSources[type].set(
+					key,
+					new Set(Array.isArray(sourceList) ? sourceList : [sourceList]),
+				);
+			}
+		}
+		this.expertiseChoices = structuredClone(data.expertiseChoices || {});
 	}
 
 	_createSourcedProficiencySlot(data) {
@@ -209,6 +232,12 @@ export class Character {
 			temp: 0,
 		};
 
+		this.playState = { ...createPlayState(), ...data.playState };
+
+		this.rollLog = Array.isArray(data.rollLog) ? data.rollLog : [];
+
+		this.companions = Array.isArray(data.companions) ? data.companions : [];
+
 		this.inventory = data.inventory || {
 			items: [],
 			equipped: [],
@@ -237,6 +266,7 @@ export class Character {
 		};
 
 		this.progressionHistory = data.progressionHistory || {};
+		this.buildPlan = data.buildPlan || { levels: {} };
 	}
 
 	getProficienciesByType(type) {
@@ -346,6 +376,10 @@ export class Character {
 		return proficiencyService.removeProficienciesBySource(this, source);
 	}
 
+	addExpertise(type, name, source) {
+		return proficiencyService.addExpertise(this, type, name, source);
+	}
+
 	setFeats(feats, defaultSource = 'Unknown') {
 		this.feats = [];
 		this.featSources = new Map();
@@ -527,6 +561,21 @@ export class Character {
 		if (raceName.includes('variant') && raceName.includes('human')) {
 			maxFeats += 1;
 			reasons.push('Variant Human');
+		} else if (
+			this.race?.name === CUSTOM_LINEAGE.name &&
+			this.race?.source === CUSTOM_LINEAGE.source
+		) {
+			maxFeats += 1;
+			reasons.push(CUSTOM_LINEAGE.name);
+		}
+
+		// 2024 backgrounds grant origin feats on top of the ASI choices
+		const originFeats = (this.feats || []).filter(
+			(feat) => feat.source === 'Background',
+		).length;
+		if (originFeats > 0) {
+			maxFeats += originFeats;
+			reasons.push(`Background: ${originFeats} origin feat${originFeats > 1 ? 's' : ''}`);
 		}
 
 		const usedFeats = this.feats?.length || 0;
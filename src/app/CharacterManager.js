@@ -35,7 +35,14 @@ const ALLOWED_UPDATE_KEYS = new Set([
 ]);
 
 class _CharacterManager {
-	async createCharacter(name) {
+	/**
+	 * Create a character and make it current.
+	 * @param {string} name
+	 * @param {Character} [draft] - Character built beforehand; it gets the new
+	 *   id and name and becomes current instead of a blank one
+	 * @returns {Promise<Character>}
+	 */
+	async createCharacter(name, draft = null) {
 		const failedServices = AppState.getFailedServices();
 		if (Array.isArray(failedServices) && failedServices.length > 0) {
 			const message = `Cannot create characters until data loads (${failedServices.join(', ')}).`;
@@ -48,7 +55,9 @@ class _CharacterManager {
 		}
 
 		try {
-			const characterData = CharacterSchema.create();
+			const characterData = draft
+				? serializeCharacter(draft)
+				: CharacterSchema.create();
 
 			const uuidResult = await window.characterStorage.generateUUID();
 			if (!uuidResult.success) {
@@ -71,7 +80,9 @@ class _CharacterManager {
 				);
 			}
 
-			const character = new Character(characterData);
+			const character = draft || new Character(characterData);
+			character.id = characterData.id;
+			character.name = name;
 
 			AppState.setCurrentCharacter(character);
 			AppState.setHasUnsavedChanges(true);
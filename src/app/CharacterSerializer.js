@@ -1,3 +1,4 @@
+import { isWeaponItem } from '../lib/CharacterStats.js';
 import { Character } from './Character.js';
 
 function mapToObject(map) {
@@ -85,12 +86,40 @@ export function serialize(character) {
 			max: character.hitPoints?.max || 0,
 			temp: character.hitPoints?.temp || 0,
 		},
+		playState: _serializePlayState(character),
+		rollLog: safeArray(character.rollLog).map((entry) => ({ ...entry })),
+		companions: safeArray(character.companions).map((companion) => ({
+			...companion,
+			hitPoints: { ...companion.hitPoints },
+			statBlock: structuredClone(companion.statBlock),
+		})),
 		..._serializeInventory(character),
 		..._serializeSpellcasting(character),
 		..._serializeProgression(character),
 	};
 }
 
+function _serializePlayState(character) {
+	const state = character.playState || {};
+	return {
+		hitDiceUsed: { ...state.hitDiceUsed },
+		deathSaves: {
+			successes: state.deathSaves?.successes || 0,
+			failures: state.deathSaves?.failures || 0,
+		},
+		conditions: safeArray(state.conditions).map((condition) => ({ ...condition })),
+		exhaustion: state.exhaustion || 0,
+		resources: Object.fromEntries(
+			Object.entries(state.resources || {}).map(([id, resource]) => [
+				id,
+				{ used: resource?.used || 0 },
+			]),
+		),
+		lastRest: state.lastRest ? { ...state.lastRest } : null,
+		hitPointMax: state.hitPointMax ?? null,
+	};
+}
+
 function _serializeIdentity(character) {
 	return {
 		id: character.id,
@@ -145,6 +174,10 @@ function _serializeRaceAndBackground(character) {
 				abilityBonuses: character.race.abilityBonuses
 					? { ...character.race.abilityBonuses }
 					: undefined,
+				customOrigin: character.race.customOrigin
+					? structuredClone(character.race.customOrigin)
+					: undefined,
+				lineageTrait: character.race.lineageTrait || undefined,
 			}
 			: { name: '', source: '', subrace: '', abilityChoices: [] },
 		background: character.background
@@ -195,6 +228,20 @@ function _serializeProficiencies(character) {
 			languages: mapToObject(character.proficiencySources?.languages),
 			savingThrows: mapToObject(character.proficiencySources?.savingThrows),
 		},
+		expertise: {
+			skills: safeArray(character.expertise?.skills),
+			tools: safeArray(character.expertise?.tools),
+		},
+		expertiseSources: {
+			skills: mapToObject(character.expertiseSources?.skills),
+			tools: mapToObject(character.expertiseSources?.tools),
+		},
+		expertiseChoices: Object.fromEntries(
+			Object.entries(character.expertiseChoices || {}).map(([key, picks]) => [
+				key,
+				safeArray(picks).map((pick) => ({ type: pick.type, name: pick.name })),
+			]),
+		),
 	};
 }
 
@@ -241,6 +288,19 @@ function _serializeOptionalProficiencies(character) {
 	}
 }
 
+function _serializeWeaponStats(item) {
+	return {
+		baseName: item.baseName || null,
+		weaponCategory: item.weaponCategory || null,
+		dmg1: item.dmg1 || null,
+		dmg2: item.dmg2 || null,
+		dmgType: item.dmgType || null,
+		range: item.range || null,
+		property: safeArray(item.property),
+		mastery: safeArray(item.mastery),
+	};
+}
+
 function _serializeInventory(character) {
 	return {
 		inventory: {
@@ -254,12 +314,18 @@ function _serializeInventory(character) {
 				cost: item.cost ? { ...item.cost } : null,
 				weight: item.weight || 0,
 				ac: item.ac || 0,
+				bonusAc: item.bonusAc || null,
+				bonusWeapon: item.bonusWeapon || null,
+				bonusWeaponAttack: item.bonusWeaponAttack || null,
+				bonusWeaponDamage: item.bonusWeaponDamage || null,
+				rarity: item.rarity || null,
 				source: item.source || 'Unknown',
 				type: item.type || null,
 				weapon: item.weapon || false,
 				armor: item.armor || false,
 				shield: item.shield || false,
 				reqAttune: item.reqAttune || false,
+				...(isWeaponItem(item) ? _serializeWeaponStats(item) : {}),
 				metadata: item.metadata ? { ...item.metadata } : {},
 			})),
 			equipped: Array.isArray(character.inventory?.equipped)
@@ -313,6 +379,7 @@ function _serializeProgression(character) {
 				hitPoints: safeArray(cls.hitPoints),
 				features: safeArray(cls.features),
 				spellSlots: cls.spellSlots ? { ...cls.spellSlots } : {},
+				weaponMasteries: safeArray(cls.weaponMasteries),
 			})),
 			experiencePoints: character.progression?.experiencePoints || 0,
 			levelUps: (character.progression?.levelUps || []).map((levelUp) => ({
@@ -329,6 +396,9 @@ function _serializeProgression(character) {
 		progressionHistory: character.progressionHistory
 			? JSON.parse(JSON.stringify(character.progressionHistory))
 			: {},
+		buildPlan: character.buildPlan
+			? structuredClone(character.buildPlan)
+			: { levels: {} },
 	};
 }
 
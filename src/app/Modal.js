@@ -208,6 +208,83 @@ export class Modal {
 		}
 	}
 
+	async showImportReportModal(options) {
+		try {
+			const {
+				characterName,
+				formatName,
+				unmatched = [],
+				warnings = [],
+				pendingChoices = [],
+			} = options;
+
+			if (!characterName) {
+				console.error('[Modal]', 'Missing required parameters for import report');
+				return false;
+			}
+
+			const elements = this._getModalElements();
+			if (!elements) return false;
+
+			const { modalElement, titleElement, messageElement, confirmButton, cancelButton, closeButton } = elements;
+
+			titleElement.textContent = 'Import Character';
+			messageElement.textContent = '';
+			messageElement.appendChild(
+				document.createTextNode(
+					`Converted "${characterName}" from ${formatName || 'an external file'}.`,
+				),
+			);
+
+			const sections = [
+				{
+					label: 'Not found in your enabled sources:',
+					lines: unmatched.map((entry) =>
+						entry.reason
+							? `${entry.type}: ${entry.name} (${entry.reason})`
+							: `${entry.type}: ${entry.name}`,
+					),
+				},
+				{ label: 'Warnings:', lines: warnings },
+				{ label: 'Still to complete:', lines: pendingChoices },
+			];
+
+			for (const section of sections) {
+				if (section.lines.length === 0) continue;
+				const strong = document.createElement('strong');
+				strong.textContent = section.label;
+				messageElement.appendChild(document.createElement('br'));
+				messageElement.appendChild(document.createElement('br'));
+				messageElement.appendChild(strong);
+
+				const list = document.createElement('ul');
+				for (const line of section.lines) {
+					const item = document.createElement('li');
+					item.textContent = line;
+					list.appendChild(item);
+				}
+				messageElement.appendChild(list);
+			}
+
+			confirmButton.textContent = 'Import';
+			confirmButton.className = 'btn btn-primary';
+			cancelButton.textContent = 'Cancel';
+
+			return this._showPromiseModal({
+				modalElement,
+				buttons: [
+					{ element: confirmButton, value: true },
+					{ element: cancelButton, value: false },
+					{ element: closeButton, value: false },
+				],
+				defaultValue: false,
+			});
+		} catch (error) {
+			console.error('[Modal]', 'Error showing import report:', error);
+			return false;
+		}
+	}
+
 	_getModalElements() {
 		const modalElement = document.getElementById('confirmationModal');
 		const titleElement = document.getElementById('confirmationModalLabel');
@@ -226,6 +226,18 @@ class _NavigationController {
 			],
 		});
 
+		this.router.register('play', {
+			template: 'play.html',
+			requiresCharacter: true,
+			title: 'Play',
+			sections: [
+				{ id: 'play-vitals', label: 'Hit Points' },
+				{ id: 'play-hit-dice', label: 'Hit Dice' },
+				{ id: 'play-resources', label: 'Resources' },
+				{ id: 'play-conditions', label: 'Conditions' },
+			],
+		});
+
 		this.router.register('details', {
 			template: 'details.html',
 			requiresCharacter: true,
@@ -235,6 +247,7 @@ class _NavigationController {
 				{ id: 'details-characteristics', label: 'Characteristics' },
 				{ id: 'details-appearance', label: 'Appearance' },
 				{ id: 'details-allies', label: 'Allies & Organizations' },
+				{ id: 'details-companions', label: 'Companions' },
 				{ id: 'details-history', label: 'History' },
 			],
 		});
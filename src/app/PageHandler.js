@@ -5,6 +5,7 @@ import { DetailsPageController } from './pages/DetailsPageController.js';
 import { EquipmentPageController } from './pages/EquipmentPageController.js';
 import { FeatsPageController } from './pages/FeatsPageController.js';
 import { HomePageController } from './pages/HomePageController.js';
+import { PlayPageController } from './pages/PlayPageController.js';
 import { PreviewPageController } from './pages/PreviewPageController.js';
 import { SettingsPageController } from './pages/SettingsPageController.js';
 import { SpellsPageController } from './pages/SpellsPageController.js';
@@ -17,6 +18,7 @@ const PAGE_CONTROLLERS = {
 	feats: FeatsPageController,
 	equipment: EquipmentPageController,
 	spells: SpellsPageController,
+	play: PlayPageController,
 	preview: PreviewPageController,
 };
 
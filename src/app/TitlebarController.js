@@ -1,6 +1,7 @@
 import { DOMCleanup } from '../lib/DOMCleanup.js';
 import { eventBus, EVENTS } from '../lib/EventBus.js';
 import { AppState } from './AppState.js';
+import { UndoManager } from './UndoManager.js';
 
 export class TitlebarController {
 	constructor() {
@@ -8,6 +9,12 @@ export class TitlebarController {
 		this.settingsBtn = document.getElementById('settingsButton');
 		this.levelUpBtn = document.getElementById('openLevelUpModalBtn');
 		this.saveBtn = document.getElementById('saveCharacter');
+		this.autosaveStatusEl = document.getElementById('titlebarAutosaveStatus');
+		this.undoBtn = document.getElementById('undoActionBtn');
+		this.redoBtn = document.getElementById('redoActionBtn');
+		this.historyBtn = document.getElementById('undoHistoryBtn');
+		this.historyPanel = document.getElementById('undoHistoryPanel');
+		this.historyList = document.getElementById('undoHistoryList');
 		this._cleanup = DOMCleanup.create();
 	}
 
@@ -47,6 +54,51 @@ export class TitlebarController {
 			this.updateActionButtons();
 		});
 
+		this._cleanup.onEvent(EVENTS.AUTOSAVE_STATUS_CHANGED, (status) => {
+			this.updateAutosaveStatus(status);
+		});
+
+		this._cleanup.onEvent(EVENTS.UNDO_HISTORY_CHANGED, (history) => {
+			this.updateUndoHistory(history);
+		});
+
+		if (this.undoBtn) {
+			this._cleanup.on(this.undoBtn, 'click', () => UndoManager.undo());
+		}
+
+		if (this.redoBtn) {
+			this._cleanup.on(this.redoBtn, 'click', () => UndoManager.redo());
+		}
+
+		if (this.historyBtn && this.historyPanel) {
+			this._cleanup.on(this.historyBtn, 'click', (e) => {
+				e.stopPropagation();
+				this.historyPanel.classList.toggle('u-hidden');
+			});
+
+			this._cleanup.on(document, 'click', (e) => {
+				if (!this.historyPanel.contains(e.target)) {
+					this.historyPanel.classList.add('u-hidden');
+				}
+			});
+		}
+
+		if (this.historyList) {
+			this._cleanup.on(this.historyList, 'click', async (e) => {
+				const item = e.target.closest('[data-history-index]');
+				if (!item) return;
+				const index = Number.parseInt(item.dataset.historyIndex, 10);
+				const { undo } = UndoManager.getHistory();
+				if (index < undo.length) {
+					await UndoManager.undoTo(index + 1);
+				} else {
+					for (let i = undo.length; i <= index; i++) {
+						if ((await UndoManager.redo()) === null) break;
+					}
+				}
+			});
+		}
+
 		if (this.settingsBtn) {
 			this._cleanup.on(this.settingsBtn, 'click', () => {
 				eventBus.emit(EVENTS.NAVIGATE_TO_PAGE, { page: 'settings' });
@@ -86,6 +138,94 @@ export class TitlebarController {
 		}
 	}
 
+	updateAutosaveStatus(status) {
+		if (!this.autosaveStatusEl) return;
+
+		const el = this.autosaveStatusEl;
+		el.classList.remove('autosave-skipped', 'autosave-error');
+		el.title = '';
+
+		const state = status?.state;
+		if (!state || state === 'disabled' || state === 'idle') {
+			el.textContent = '';
+			el.classList.add('u-hidden');
+			return;
+		}
+
+		el.classList.remove('u-hidden');
+		if (state === 'pending') {
+			el.textContent = 'Autosave pending';
+		} else if (state === 'saving') {
+			el.textContent = 'Autosaving…';
+		} else if (state === 'saved') {
+			const time = status.at ? new Date(status.at).toLocaleTimeString() : '';
+			el.textContent = time ? `Autosaved at ${time}` : 'Autosaved';
+		} else if (state === 'skipped') {
+			el.textContent = 'Autosave skipped: character is invalid';
+			el.title = (status.errors || []).join('\n');
+			el.classList.add('autosave-skipped');
+		} else if (state === 'error') {
+			el.textContent = 'Autosave failed';
+			el.title = (status.errors || []).join('\n');
+			el.classList.add('autosave-error');
+		}
+	}
+
+	updateUndoHistory(history) {
+		const undo = history?.undo || [];
+		const redo = history?.redo || [];
+
+		if (this.undoBtn) {
+			this.undoBtn.disabled = undo.length === 0;
+			this.undoBtn.title = undo.length
+				? `Undo ${undo[undo.length - 1].label} (Ctrl+Z)`
+				: 'Undo (Ctrl+Z)';
+		}
+		if (this.redoBtn) {
+			this.redoBtn.disabled = redo.length === 0;
+			this.redoBtn.title = redo.length
+				? `Redo ${redo[0].label} (Ctrl+Shift+Z)`
+				: 'Redo (Ctrl+Shift+Z)';
+		}
+
+		if (!this.historyList) return;
+
+		this.historyList.replaceChildren();
+		const entries = [
+			...undo.map((entry) => ({ ...entry, undone: false })),
+			...redo.map((entry) => ({ ...entry, undone: true })),
+		];
+
+		if (entries.length === 0) {
+			const empty = document.createElement('li');
+			empty.className = 'titlebar-history-empty';
+			empty.textContent = 'No changes yet';
+			this.historyList.appendChild(empty);
+			return;
+		}
+
+		// Newest first; clicking an entry returns the character to just after it
+		entries.forEach((entry, index) => {
+			const li = document.createElement('li');
+			li.className = 'titlebar-history-item';
+			if (entry.undone) li.classList.add('undone');
+			if (index === undo.length - 1) li.classList.add('current');
+			li.dataset.historyIndex = String(index);
+
+			const label = document.createElement('span');
+			label.textContent = entry.label;
+			const time = document.createElement('time');
+			time.dateTime = entry.at;
+			time.textContent = new Date(entry.at).toLocaleTimeString([], {
+				hour: '2-digit',
+				minute: '2-digit',
+			});
+
+			li.append(label, time);
+			this.historyList.prepend(li);
+		});
+	}
+
 	updateActionButtons() {
 		const character =
 			AppState.getCurrentCharacter?.() || AppState.get?.('currentCharacter');
@@ -0,0 +1,544 @@
+import { computeCurrentHitPoints } from '../lib/CharacterStats.js';
+import { DOMCleanup } from '../lib/DOMCleanup.js';
+import { eventBus, EVENTS } from '../lib/EventBus.js';
+import { rehydrationService } from '../services/RehydrationService.js';
+import { AppState } from './AppState.js';
+import { deserialize, serialize } from './CharacterSerializer.js';
+import { NavigationController } from './NavigationController.js';
+
+/** Maximum number of undoable actions kept per character */
+const MAX_HISTORY = 50;
+
+/** Events fired by one user action are grouped into a single history entry */
+const COALESCE_MS = 250;
+
+const ABILITY_LABELS = {
+	strength: 'Strength',
+	dexterity: 'Dexterity',
+	constitution: 'Constitution',
+	intelligence: 'Intelligence',
+	wisdom: 'Wisdom',
+	charisma: 'Charisma',
+};
+
+const PROFICIENCY_TYPES = [
+	'skills',
+	'savingThrows',
+	'languages',
+	'tools',
+	'weapons',
+	'armor',
+];
+
+const CHANGE_EVENTS = [
+	EVENTS.CHARACTER_UPDATED,
+	EVENTS.ABILITY_SCORES_CHANGED,
+	EVENTS.PROFICIENCY_ADDED,
+	EVENTS.PROFICIENCY_OPTIONAL_SELECTED,
+	EVENTS.PROFICIENCY_OPTIONAL_DESELECTED,
+	EVENTS.FEATS_SELECTED,
+	EVENTS.SPELL_ADDED,
+	EVENTS.SPELL_REMOVED,
+	EVENTS.SPELL_PREPARED,
+	EVENTS.SPELL_UNPREPARED,
+	EVENTS.ITEM_ADDED,
+	EVENTS.ITEM_REMOVED,
+	EVENTS.ITEM_EQUIPPED,
+	EVENTS.ITEM_UNEQUIPPED,
+	EVENTS.ITEM_ATTUNED,
+	EVENTS.ITEM_UNATTUNED,
+	EVENTS.INVENTORY_UPDATED,
+	EVENTS.MULTICLASS_ADDED,
+	EVENTS.MULTICLASS_REMOVED,
+	EVENTS.CHARACTER_LEVEL_CHANGED,
+];
+
+function _snapshot(character) {
+	const data = serialize(character);
+	if (!data) return null;
+	// serialize() stamps the current time, which would make every snapshot differ
+	delete data.lastModified;
+	return JSON.stringify(data);
+}
+
+function _added(before = [], after = []) {
+	const previous = new Set(before);
+	return after.filter((value) => !previous.has(value));
+}
+
+function _removed(before = [], after = []) {
+	return _added(after, before);
+}
+
+function _names(list) {
+	return (list || [])
+		.map((entry) => (typeof entry === 'string' ? entry : entry?.name))
+		.filter(Boolean);
+}
+
+function _spellNames(data, key) {
+	const names = [];
+	for (const cls of Object.values(data.spellcasting?.classes || {})) {
+		names.push(..._names(cls?.[key]));
+	}
+	return names;
+}
+
+function _proficiencyList(data, type) {
+	const list = [...(data.proficiencies?.[type] || [])];
+	const optional = data.optionalProficiencies?.[type];
+	if (optional) {
+		list.push(...(optional.selected || []));
+		for (const source of ['race', 'class', 'background']) {
+			list.push(...(optional[source]?.selected || []));
+		}
+	}
+	return [...new Set(list)];
+}
+
+function _listLabel(verb, names) {
+	if (names.length === 1) return `${verb} ${names[0]}`;
+	if (names.length === 2) return `${verb} ${names[0]} and ${names[1]}`;
+	return `${verb} ${names[0]} and ${names.length - 1} more`;
+}
+
+function _describeClassChange(before, after) {
+	const beforeClasses = before.progression?.classes || [];
+	const afterClasses = after.progression?.classes || [];
+	const beforeByName = new Map(beforeClasses.map((c) => [c.name, c]));
+	const afterByName = new Map(afterClasses.map((c) => [c.name, c]));
+
+	const addedClasses = afterClasses.filter((c) => !beforeByName.has(c.name));
+	const removedClasses = beforeClasses.filter((c) => !afterByName.has(c.name));
+
+	if (addedClasses.length === 1 && removedClasses.length === 1) {
+		return `Changed class to ${addedClasses[0].name}`;
+	}
+	if (addedClasses.length > 0) {
+		return beforeClasses.length === 0
+			? `Changed class to ${addedClasses[0].name}`
+			: `Multiclassed into ${addedClasses[0].name}`;
+	}
+	if (removedClasses.length > 0) {
+		return `Removed ${removedClasses[0].name} class`;
+	}
+
+	for (const cls of afterClasses) {
+		const previous = beforeByName.get(cls.name);
+		if (previous.levels !== cls.levels) {
+			return `Changed ${cls.name} level to ${cls.levels}`;
+		}
+		if ((previous.subclass || '') !== (cls.subclass || '')) {
+			return cls.subclass
+				? `Changed subclass to ${cls.subclass}`
+				: `Removed ${cls.name} subclass`;
+		}
+	}
+	return null;
+}
+
+function _describeItemChange(before, after) {
+	const beforeItems = new Map(
+		(before.inventory?.items || []).map((item) => [item.id, item]),
+	);
+	const afterItems = after.inventory?.items || [];
+
+	const added = afterItems.filter((item) => !beforeItems.has(item.id));
+	if (added.length > 0) return _listLabel('Added', _names(added));
+
+	const afterIds = new Set(afterItems.map((item) => item.id));
+	const removed = [...beforeItems.values()].filter(
+		(item) => !afterIds.has(item.id),
+	);
+	if (removed.length > 0) return _listLabel('Removed', _names(removed));
+
+	for (const item of afterItems) {
+		const previous = beforeItems.get(item.id);
+		if (previous.equipped !== item.equipped) {
+			return `${item.equipped ? 'Equipped' : 'Unequipped'} ${item.name}`;
+		}
+		if (previous.attuned !== item.attuned) {
+			return `${item.attuned ? 'Attuned to' : 'Ended attunement to'} ${item.name}`;
+		}
+		if (previous.quantity !== item.quantity) {
+			return `Changed ${item.name} quantity to ${item.quantity}`;
+		}
+	}
+
+	if (
+		JSON.stringify(before.inventory?.currency) !==
+		JSON.stringify(after.inventory?.currency)
+	) {
+		return 'Changed currency';
+	}
+	return null;
+}
+
+function _describePlayChange(before, after) {
+	const restBefore = before.playState?.lastRest?.at;
+	const restAfter = after.playState?.lastRest;
+	if (restAfter && restAfter.at !== restBefore) {
+		return restAfter.type === 'long' ? 'Took a long rest' : 'Took a short rest';
+	}
+
+	// Untracked hit points read as full, so the first hit is not a heal
+	const hpBefore = computeCurrentHitPoints(before);
+	const hpAfter = computeCurrentHitPoints(after);
+	if (hpAfter < hpBefore) return `Took ${hpBefore - hpAfter} damage`;
+	if (hpAfter > hpBefore) return `Regained ${hpAfter - hpBefore} hit points`;
+	if ((before.hitPoints?.temp ?? 0) !== (after.hitPoints?.temp ?? 0)) {
+		return `Set temporary hit points to ${after.hitPoints?.temp ?? 0}`;
+	}
+
+	const conditionsAdded = _added(
+		_names(before.playState?.conditions),
+		_names(after.playState?.conditions),
+	);
+	if (conditionsAdded.length > 0) return _listLabel('Became', conditionsAdded);
+	const conditionsRemoved = _removed(
+		_names(before.playState?.conditions),
+		_names(after.playState?.conditions),
+	);
+	if (conditionsRemoved.length > 0) {
+		return _listLabel('No longer', conditionsRemoved);
+	}
+
+	if (
+		JSON.stringify(before.playState) !== JSON.stringify(after.playState) ||
+		JSON.stringify(before.spellcasting) !== JSON.stringify(after.spellcasting)
+	) {
+		return 'Updated play state';
+	}
+	return null;
+}
+
+/**
+ * Describe the difference between two serialized characters as a short,
+ * human-readable action label such as "Changed race to Elf".
+ * @param {Object} before - Serialized character before the change
+ * @param {Object} after - Serialized character after the change
+ * @returns {string}
+ */
+export function describeCharacterChange(before, after) {
+	if (!before || !after) return 'Edited character';
+
+	if ((before.race?.name || '') !== (after.race?.name || '')) {
+		return after.race?.name
+			? `Changed race to ${after.race.name}`
+			: 'Removed race';
+	}
+	if ((before.race?.subrace || '') !== (after.race?.subrace || '')) {
+		return after.race?.subrace
+			? `Changed subrace to ${after.race.subrace}`
+			: 'Removed subrace';
+	}
+
+	const classLabel = _describeClassChange(before, after);
+	if (classLabel) return classLabel;
+
+	if ((before.background?.name || '') !== (after.background?.name || '')) {
+		return after.background?.name
+			? `Changed background to ${after.background.name}`
+			: 'Removed background';
+	}
+
+	const learned = _added(
+		_spellNames(before, 'spellsKnown'),
+		_spellNames(after, 'spellsKnown'),
+	);
+	if (learned.length > 0) return _listLabel('Learned', learned);
+	const forgotten = _removed(
+		_spellNames(before, 'spellsKnown'),
+		_spellNames(after, 'spellsKnown'),
+	);
+	if (forgotten.length > 0) return _listLabel('Forgot', forgotten);
+	const prepared = _added(
+		_spellNames(before, 'spellsPrepared'),
+		_spellNames(after, 'spellsPrepared'),
+	);
+	if (prepared.length > 0) return _listLabel('Prepared', prepared);
+	const unprepared = _removed(
+		_spellNames(before, 'spellsPrepared'),
+		_spellNames(after, 'spellsPrepared'),
+	);
+	if (unprepared.length > 0) return _listLabel('Unprepared', unprepared);
+
+	const featsAdded = _added(_names(before.feats), _names(after.feats));
+	if (featsAdded.length > 0) return _listLabel('Took feat', featsAdded);
+	const featsRemoved = _removed(_names(before.feats), _names(after.feats));
+	if (featsRemoved.length > 0) return _listLabel('Removed feat', featsRemoved);
+
+	const changedAbilities = Object.keys(ABILITY_LABELS).filter(
+		(ability) =>
+			before.abilityScores?.[ability] !== after.abilityScores?.[ability],
+	);
+	if (changedAbilities.length === 1) {
+		const ability = changedAbilities[0];
+		return `Changed ${ABILITY_LABELS[ability]} to ${after.abilityScores[ability]}`;
+	}
+	if (changedAbilities.length > 1) return 'Changed ability scores';
+	if (
+		JSON.stringify(before.abilityBonuses) !==
+			JSON.stringify(after.abilityBonuses) ||
+		JSON.stringify(before.race?.abilityChoices) !==
+			JSON.stringify(after.race?.abilityChoices)
+	) {
+		return 'Changed ability score bonuses';
+	}
+
+	for (const type of PROFICIENCY_TYPES) {
+		const gained = _added(
+			_proficiencyList(before, type),
+			_proficiencyList(after, type),
+		);
+		if (gained.length > 0) return _listLabel('Gained proficiency in', gained);
+		const lost = _removed(
+			_proficiencyList(before, type),
+			_proficiencyList(after, type),
+		);
+		if (lost.length > 0) return _listLabel('Lost proficiency in', lost);
+	}
+
+	const itemLabel = _describeItemChange(before, after);
+	if (itemLabel) return itemLabel;
+
+	if (before.name !== after.name) return `Renamed character to ${after.name}`;
+
+	const playLabel = _describePlayChange(before, after);
+	if (playLabel) return playLabel;
+
+	return 'Edited character';
+}
+
+/**
+ * Undo/redo history for the current character.
+ *
+ * Each entry holds serialized snapshots (CharacterSerializer form) taken
+ * before and after one user action, labelled by diffing the two. Undo and
+ * redo restore a snapshot through the same deserialize + rehydrate path
+ * used when loading a character from disk. History is discarded whenever a
+ * different character is selected.
+ *
+ * Error strategy: LOG-and-continue. A snapshot that cannot be restored is
+ * logged and the history is left unchanged.
+ */
+class _UndoManager {
+	constructor() {
+		this._undoStack = [];
+		this._redoStack = [];
+		this._current = null;
+		this._commitTimer = null;
+		this._isRestoring = false;
+		this._cleanup = null;
+	}
+
+	initialize() {
+		if (this._cleanup) this._cleanup.cleanup();
+		this._cleanup = DOMCleanup.create();
+
+		this._cleanup.onEvent(EVENTS.CHARACTER_SELECTED, () => {
+			if (this._isRestoring) return;
+			this.reset();
+		});
+
+		for (const event of CHANGE_EVENTS) {
+			this._cleanup.onEvent(event, () => this._scheduleCommit());
+		}
+
+		if (typeof document !== 'undefined') {
+			this._cleanup.on(document, 'keydown', (e) => this._handleKeydown(e));
+		}
+
+		this.reset();
+	}
+
+	_handleKeydown(e) {
+		if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+		if (e.key?.toLowerCase() !== 'z') return;
+
+		// Leave text fields to their native undo
+		const target = e.target;
+		if (
+			target?.isContentEditable ||
+			['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)
+		) {
+			return;
+		}
+
+		e.preventDefault();
+		if (e.shiftKey) {
+			this.redo();
+		} else {
+			this.undo();
+		}
+	}
+
+	/** Drop all history and take a fresh baseline of the current character. */
+	reset() {
+		this._clearCommitTimer();
+		this._undoStack = [];
+		this._redoStack = [];
+		this._current = _snapshot(AppState.getCurrentCharacter());
+		this._emitChanged();
+	}
+
+	_scheduleCommit() {
+		if (this._isRestoring) return;
+		this._clearCommitTimer();
+		this._commitTimer = setTimeout(() => {
+			this._commitTimer = null;
+			this.commit();
+		}, COALESCE_MS);
+	}
+
+	_clearCommitTimer() {
+		if (this._commitTimer) {
+			clearTimeout(this._commitTimer);
+			this._commitTimer = null;
+		}
+	}
+
+	/**
+	 * Record the difference between the last snapshot and the current
+	 * character as one undoable action.
+	 * @param {string} [label] - Overrides the generated action label
+	 * @returns {boolean} True when a new entry was recorded
+	 */
+	commit(label) {
+		this._clearCommitTimer();
+		if (this._isRestoring) return false;
+		if (AppState.get('isLoadingCharacter') || AppState.get('isNavigating')) {
+			// Page setup may normalise the character; fold that into the baseline
+			this._current = _snapshot(AppState.getCurrentCharacter());
+			return false;
+		}
+
+		const next = _snapshot(AppState.getCurrentCharacter());
+		if (!next || next === this._current) return false;
+
+		if (this._current === null) {
+			this._current = next;
+			return false;
+		}
+
+		this._undoStack.push({
+			label:
+				label ||
+				describeCharacterChange(JSON.parse(this._current), JSON.parse(next)),
+			before: this._current,
+			after: next,
+			at: new Date().toISOString(),
+		});
+		if (this._undoStack.length > MAX_HISTORY) this._undoStack.shift();
+		this._redoStack = [];
+		this._current = next;
+
+		this._emitChanged();
+		return true;
+	}
+
+	canUndo() {
+		return this._undoStack.length > 0;
+	}
+
+	canRedo() {
+		return this._redoStack.length > 0;
+	}
+
+	/**
+	 * Labels of recorded actions, oldest first, plus those available to redo.
+	 * @returns {{ undo: Array<{label: string, at: string}>, redo: Array<{label: string, at: string}> }}
+	 */
+	getHistory() {
+		const describe = ({ label, at }) => ({ label, at });
+		return {
+			undo: this._undoStack.map(describe),
+			redo: [...this._redoStack].reverse().map(describe),
+		};
+	}
+
+	/** @returns {Promise<string|null>} Label of the undone action */
+	async undo() {
+		this.commit();
+		const entry = this._undoStack.pop();
+		if (!entry) return null;
+
+		if (!(await this._restore(entry.before))) {
+			this._undoStack.push(entry);
+			return null;
+		}
+		this._redoStack.push(entry);
+		this._emitChanged();
+		return entry.label;
+	}
+
+	/** @returns {Promise<string|null>} Label of the redone action */
+	async redo() {
+		this.commit();
+		const entry = this._redoStack.pop();
+		if (!entry) return null;
+
+		if (!(await this._restore(entry.after))) {
+			this._redoStack.push(entry);
+			return null;
+		}
+		this._undoStack.push(entry);
+		this._emitChanged();
+		return entry.label;
+	}
+
+	/**
+	 * Undo repeatedly until the given number of actions remain.
+	 * @param {number} count - Number of actions to keep
+	 */
+	async undoTo(count) {
+		while (this._undoStack.length > Math.max(0, count)) {
+			if ((await this.undo()) === null) break;
+		}
+	}
+
+	async _restore(snapshot) {
+		this._isRestoring = true;
+		try {
+			const character = deserialize(JSON.parse(snapshot));
+			rehydrationService.rehydrate(character);
+
+			AppState.setCurrentCharacter(character);
+			AppState.setHasUnsavedChanges(true);
+			eventBus.emit(EVENTS.CHARACTER_UPDATED, character);
+
+			// Re-render the open page against the restored character
+			const page = AppState.getCurrentPage();
+			if (page && page !== 'home') {
+				await NavigationController.navigateTo(page);
+			}
+
+			this._current = _snapshot(AppState.getCurrentCharacter());
+			return true;
+		} catch (error) {
+			console.error('[UndoManager]', 'Failed to restore snapshot', error);
+			return false;
+		} finally {
+			this._isRestoring = false;
+			this._clearCommitTimer();
+		}
+	}
+
+	_emitChanged() {
+		eventBus.emit(EVENTS.UNDO_HISTORY_CHANGED, {
+			canUndo: this.canUndo(),
+			canRedo: this.canRedo(),
+			...this.getHistory(),
+		});
+	}
+
+	destroy() {
+		this._clearCommitTimer();
+		if (this._cleanup) {
+			this._cleanup.cleanup();
+			this._cleanup = null;
+		}
+	}
+}
+
+export const UndoManager = new _UndoManager();
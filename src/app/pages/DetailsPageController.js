@@ -10,6 +10,7 @@ import { BasePageController } from './BasePageController.js';
 export class DetailsPageController extends BasePageController {
     constructor() {
         super('DetailsPageController');
+        this._companionManager = null;
     }
 
     async initialize() {
@@ -120,6 +121,12 @@ export class DetailsPageController extends BasePageController {
 
             this._setupFormListeners();
             this._setupAllyImageHandler();
+
+            const { CompanionManager } = await import(
+                '../../ui/components/companions/CompanionManager.js'
+            );
+            this._companionManager = new CompanionManager();
+            this._companionManager.render();
         } catch (error) {
             console.error('[DetailsPageController]', 'Error initializing details page', error);
             showNotification('Error loading details page', 'error');
@@ -275,4 +282,9 @@ export class DetailsPageController extends BasePageController {
         });
     }
 
+    cleanup() {
+        this._companionManager?.cleanup();
+        this._companionManager = null;
+        super.cleanup();
+    }
 }
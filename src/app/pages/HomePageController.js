@@ -1,6 +1,14 @@
 import { EVENTS } from '../../lib/EventBus.js';
 import { showNotification } from '../../lib/Notifications.js';
+import { characterValidationService } from '../../services/CharacterValidationService.js';
+import { externalImportService } from '../../services/ExternalImportService.js';
+import { partyService } from '../../services/PartyService.js';
+import { CharacterComparisonModal } from '../../ui/components/character/CharacterComparisonModal.js';
+import { CharacterHistoryModal } from '../../ui/components/character/CharacterHistoryModal.js';
+import { renderPartyDashboard } from '../../ui/components/party/PartyDashboard.js';
+import { PartyModal } from '../../ui/components/party/PartyModal.js';
 import { AppState } from '../AppState.js';
+import { serializeCharacter } from '../Character.js';
 import { CharacterManager } from '../CharacterManager.js';
 import { modal } from '../Modal.js';
 import { BasePageController } from './BasePageController.js';
@@ -11,6 +19,9 @@ export class HomePageController extends BasePageController {
         this._homeCharacterSelectedHandler = null;
         this._homeCharacterCreatedHandler = null;
         this._homeCharacterUpdatedHandler = null;
+        this._selectedPartyId = '';
+        this._parties = [];
+        this._allCharacters = [];
     }
 
     async initialize() {
@@ -24,11 +35,22 @@ export class HomePageController extends BasePageController {
                 });
             }
 
+            const compareBtn = document.getElementById('compareCharactersBtn');
+            if (compareBtn) {
+                const freshBtn = compareBtn.cloneNode(true);
+                compareBtn.parentNode.replaceChild(freshBtn, compareBtn);
+                freshBtn.addEventListener('click', async () => {
+                    await new CharacterComparisonModal().show();
+                });
+            }
+
             const characterList = document.getElementById('characterList');
             if (characterList) {
                 this._setupCharacterCardListeners(characterList);
             }
 
+            this._setupPartyControls();
+
             const characters = await CharacterManager.loadCharacterList();
             await this._renderCharacterList(characters);
 
@@ -81,6 +103,111 @@ export class HomePageController extends BasePageController {
         }
     }
 
+    _setupPartyControls() {
+        const handlers = {
+            partySelect: ['change', async (e) => {
+                this._selectedPartyId = e.target.value;
+                await this._renderCharacterList(this._allCharacters);
+            }],
+            newPartyBtn: ['click', () => this._editParty(null)],
+            editPartyBtn: ['click', () => this._editParty(this._getSelectedParty())],
+            deletePartyBtn: ['click', () => this._deleteParty(this._getSelectedParty())],
+        };
+
+        for (const [id, [eventName, handler]] of Object.entries(handlers)) {
+            const element = document.getElementById(id);
+            if (!element) continue;
+            const freshElement = element.cloneNode(true);
+            element.parentNode.replaceChild(freshElement, element);
+            freshElement.addEventListener(eventName, handler);
+        }
+    }
+
+    _getSelectedParty() {
+        return this._parties.find((p) => p.id === this._selectedPartyId) || null;
+    }
+
+    async _editParty(party) {
+        const values = await new PartyModal().show({ party, characters: this._allCharacters });
+        if (!values) return;
+
+        try {
+            const saved = party
+                ? await partyService.updateParty(party.id, values)
+                : await partyService.createParty(values.name, values.memberIds);
+            this._selectedPartyId = saved.id;
+            showNotification(party ? 'Party updated' : 'Party created', 'success');
+        } catch (error) {
+            console.error('[HomePageController]', 'Failed to save party', error);
+            showNotification(error.message || 'Failed to save party', 'error');
+        }
+        await this._renderCharacterList(this._allCharacters);
+    }
+
+    async _deleteParty(party) {
+        if (!party) return;
+
+        const confirmed = await modal.showConfirmationModal({
+            title: 'Delete Party',
+            message: `Delete the party "${party.name}"? Its characters are kept.`,
+            confirmButtonText: 'Delete',
+            confirmButtonClass: 'btn-danger',
+        });
+        if (!confirmed) return;
+
+        try {
+            await partyService.deleteParty(party.id);
+            this._selectedPartyId = '';
+            showNotification('Party deleted', 'success');
+        } catch (error) {
+            console.error('[HomePageController]', 'Failed to delete party', error);
+            showNotification('Failed to delete party', 'error');
+        }
+        await this._renderCharacterList(this._allCharacters);
+    }
+
+    /**
+     * Refresh the party selector and dashboard.
+     * @returns {Promise<Array<Object>>} The characters to list: the selected
+     *   party's members, or everyone when no party is selected
+     */
+    async _renderParties(characters) {
+        const partyBar = document.getElementById('partyBar');
+        const partySelect = document.getElementById('partySelect');
+        const dashboard = document.getElementById('partyDashboard');
+        if (!partyBar || !partySelect || !dashboard) return characters;
+
+        try {
+            this._parties = await partyService.getParties();
+        } catch (error) {
+            console.error('[HomePageController]', 'Failed to load parties', error);
+            this._parties = [];
+        }
+        const party = this._getSelectedParty();
+        if (!party) this._selectedPartyId = '';
+
+        partyBar.classList.toggle('u-hidden', characters.length === 0);
+        partySelect.textContent = '';
+        partySelect.appendChild(new Option('All characters', ''));
+        for (const { id, name } of this._parties) {
+            partySelect.appendChild(new Option(name, id));
+        }
+        partySelect.value = this._selectedPartyId;
+        document.getElementById('editPartyBtn')?.classList.toggle('u-hidden', !party);
+        document.getElementById('deletePartyBtn')?.classList.toggle('u-hidden', !party);
+
+        if (!party || characters.length === 0) {
+            dashboard.classList.add('u-hidden');
+            dashboard.textContent = '';
+            return characters;
+        }
+
+        const members = partyService.getMembers(party, characters);
+        renderPartyDashboard(dashboard, party, members);
+        dashboard.classList.remove('u-hidden');
+        return members;
+    }
+
     _updateCharacterCardSelection(selectedCharacterId) {
         const characterList = document.getElementById('characterList');
         if (!characterList) return;
@@ -170,7 +297,7 @@ export class HomePageController extends BasePageController {
         }
     }
 
-    async _renderCharacterList(characters) {
+    async _renderCharacterList(allCharacters) {
         const characterList = document.getElementById('characterList');
 
         if (!characterList) {
@@ -178,7 +305,10 @@ export class HomePageController extends BasePageController {
             return;
         }
 
-        if (characters.length === 0) {
+        this._allCharacters = allCharacters;
+        const characters = await this._renderParties(allCharacters);
+
+        if (allCharacters.length === 0) {
             characterList.classList.add('empty-state-mode');
             this._showEmptyState(characterList);
             const topButtonRow = document.querySelector('.row.mb-4');
@@ -301,6 +431,9 @@ export class HomePageController extends BasePageController {
                     </div>
                     <div class="card-actions-wrap mt-3">
                         <div class="card-actions">
+                            <button class="btn btn-lg btn-outline-secondary history-character" title="Character History">
+                                <i class="fas fa-history"></i>
+                            </button>
                             <button class="btn btn-lg btn-outline-secondary export-character" title="Export Character">
                                 <i class="fas fa-file-export"></i>
                             </button>
@@ -355,6 +488,7 @@ export class HomePageController extends BasePageController {
             }
         }
 
+        card.querySelector('.history-character').dataset.characterId = character.id;
         card.querySelector('.export-character').dataset.characterId = character.id;
         card.querySelector('.delete-character').dataset.characterId = character.id;
         card.querySelector('.last-modified-text').textContent = `Last modified: ${lastModified}`;
@@ -387,6 +521,25 @@ export class HomePageController extends BasePageController {
             }
         });
 
+        container.addEventListener('click', async (e) => {
+            const historyBtn = e.target.closest('.history-character');
+            if (!historyBtn) return;
+
+            e.stopPropagation();
+            const characterId = historyBtn.dataset.characterId;
+            if (characterId) {
+                const card = historyBtn.closest('.character-card');
+                const characterName = card?.querySelector('.character-name-text')?.textContent || '';
+                const historyModal = new CharacterHistoryModal({
+                    onChange: async () => {
+                        const reloadCharacters = await CharacterManager.loadCharacterList();
+                        await this._renderCharacterList(reloadCharacters);
+                    },
+                });
+                await historyModal.show(characterId, characterName);
+            }
+        });
+
         container.addEventListener('click', async (e) => {
             const exportBtn = e.target.closest('.export-character');
             if (!exportBtn) return;
@@ -425,6 +578,7 @@ export class HomePageController extends BasePageController {
                 if (confirmed) {
                     try {
                         await CharacterManager.deleteCharacter(characterId);
+                        await partyService.removeCharacter(characterId);
                         showNotification('Character deleted successfully', 'success');
                     } catch (error) {
                         console.error('[HomePageController]', 'Failed to delete character', error);
@@ -442,6 +596,11 @@ export class HomePageController extends BasePageController {
         try {
             let result = await window.characterStorage.importCharacter();
 
+            if (result?.needsConversion) {
+                result = await this._convertExternalCharacter(result);
+                if (!result) return;
+            }
+
             if (result?.duplicateId) {
                 const action = await modal.showDuplicateIdModal({
                     characterName: result.character.name,
@@ -475,6 +634,42 @@ export class HomePageController extends BasePageController {
         }
     }
 
+    /**
+     * Convert a character exported by another tool, show what could not be
+     * matched, and save it once the user confirms.
+     * @returns {Promise<Object|null>} Import result, or null when abandoned
+     */
+    async _convertExternalCharacter(result) {
+        let converted;
+        try {
+            const uuidResult = await window.characterStorage.generateUUID();
+            if (!uuidResult?.success) {
+                showNotification('Failed to generate character ID', 'error');
+                return null;
+            }
+            converted = externalImportService.convert(result.data, { id: uuidResult.data });
+        } catch (error) {
+            console.error('[HomePageController]', 'Error converting character', error);
+            showNotification(error.message || 'Could not convert character file', 'error');
+            return null;
+        }
+
+        const { character, report } = converted;
+        const confirmed = await modal.showImportReportModal({
+            characterName: character.name,
+            formatName: report.format,
+            unmatched: report.unmatched,
+            warnings: report.warnings,
+            pendingChoices: characterValidationService.getSummary(report.validation),
+        });
+        if (!confirmed) return null;
+
+        return window.characterStorage.importCharacter({
+            character: serializeCharacter(character),
+            sourceFilePath: result.sourceFilePath,
+        });
+    }
+
     _showEmptyState(container) {
         if (!container) return;
 
@@ -0,0 +1,39 @@
+import { EVENTS } from '../../lib/EventBus.js';
+import { showNotification } from '../../lib/Notifications.js';
+import { AppState } from '../AppState.js';
+import { BasePageController } from './BasePageController.js';
+
+export class PlayPageController extends BasePageController {
+    constructor() {
+        super('PlayPageController');
+        this._playManager = null;
+    }
+
+    async initialize() {
+        try {
+            const character = AppState.getCurrentCharacter();
+            if (!character) {
+                console.warn('[PlayPageController]', 'No character loaded for play page');
+                return;
+            }
+
+            const { PlayManager } = await import('../../ui/components/play/PlayManager.js');
+            this._playManager = new PlayManager();
+            this._playManager.render();
+
+            const updateHandler = () => this._playManager?.render();
+            this._cleanup.onEvent(EVENTS.CHARACTER_UPDATED, updateHandler);
+            this._cleanup.onEvent(EVENTS.SPELL_SLOTS_USED, updateHandler);
+            this._cleanup.onEvent(EVENTS.SPELL_SLOTS_RESTORED, updateHandler);
+        } catch (error) {
+            console.error('[PlayPageController]', 'Error initializing play page', error);
+            showNotification('Error loading play page', 'error');
+        }
+    }
+
+    cleanup() {
+        this._playManager?.cleanup();
+        this._playManager = null;
+        super.cleanup();
+    }
+}
@@ -1,5 +1,6 @@
 import { EVENTS } from '../../lib/EventBus.js';
 import { showNotification } from '../../lib/Notifications.js';
+import { PdfMappingEditorModal } from '../../ui/components/preview/PdfMappingEditorModal.js';
 import { PdfPreviewRenderer } from '../../ui/components/preview/PdfPreviewRenderer.js';
 import { AppState } from '../AppState.js';
 import { serializeCharacter } from '../Character.js';
@@ -13,6 +14,7 @@ export class PreviewPageController extends BasePageController {
         super('PreviewPageController');
         this._renderer = new PdfPreviewRenderer();
         this._templateName = null;
+        this._templates = [];
         this._isGenerating = false;
     }
 
@@ -53,11 +55,12 @@ export class PreviewPageController extends BasePageController {
                 return;
             }
 
+            this._templates = result.templates;
             select.innerHTML = '';
             for (const template of result.templates) {
                 const option = document.createElement('option');
                 option.value = template.filename;
-                option.textContent = template.name;
+                option.textContent = this._getTemplateLabel(template);
                 select.appendChild(option);
             }
 
@@ -72,28 +75,87 @@ export class PreviewPageController extends BasePageController {
             } catch {
             }
         } catch (error) {
+            this._templates = [];
             console.error('[PreviewPageController]', 'Failed to load templates', error);
             select.innerHTML = '<option value="">Error loading templates</option>';
+        } finally {
+            this._updateMappingButton();
         }
     }
 
+    /** User templates are marked, and flagged until their fields are bound */
+    _getTemplateLabel(template) {
+        if (template.source !== 'user') return template.name;
+        return template.hasMapping ? `${template.name} (custom)` : `${template.name} (custom, no mapping)`;
+    }
+
+    _getSelectedTemplate() {
+        return this._templates.find(t => t.filename === this._templateName) || null;
+    }
+
+    _updateMappingButton() {
+        const mappingBtn = document.getElementById('previewMappingBtn');
+        if (mappingBtn) mappingBtn.disabled = this._getSelectedTemplate()?.source !== 'user';
+    }
+
     _bindListeners() {
         const select = document.getElementById('previewTemplateSelect');
         const generateBtn = document.getElementById('previewGenerateBtn');
         const exportBtn = document.getElementById('previewExportBtn');
+        const foundryBtn = document.getElementById('previewFoundryExportBtn');
+        const mappingBtn = document.getElementById('previewMappingBtn');
+        const folderBtn = document.getElementById('previewTemplatesFolderBtn');
 
         if (select) {
             select.addEventListener('change', (e) => {
                 this._templateName = e.target.value;
+                this._updateMappingButton();
                 window.app.settings.set('pdfTemplateName', this._templateName);
             });
         }
+        if (mappingBtn) {
+            mappingBtn.addEventListener('click', () => this._handleEditMapping());
+        }
+        if (folderBtn) {
+            folderBtn.addEventListener('click', () => this._handleOpenTemplatesFolder());
+        }
         if (generateBtn) {
             generateBtn.addEventListener('click', () => this._generatePreview());
         }
         if (exportBtn) {
             exportBtn.addEventListener('click', () => this._handleExport());
         }
+        if (foundryBtn) {
+            foundryBtn.addEventListener('click', () => this._handleFoundryExport());
+        }
+    }
+
+    async _handleEditMapping() {
+        const template = this._getSelectedTemplate();
+        if (template?.source !== 'user') return;
+
+        const saved = await new PdfMappingEditorModal().show(template);
+        if (!saved) return;
+
+        await this._loadTemplateList();
+        if (this._renderer.getPageCount() > 0) {
+            await this._generatePreview();
+        }
+    }
+
+    async _handleOpenTemplatesFolder() {
+        try {
+            const result = await window.characterStorage.openPdfTemplatesFolder();
+            if (!result.success) {
+                showNotification(result.error || 'Could not open the templates folder', 'error');
+                return;
+            }
+            // Pick up templates added since the page opened
+            await this._loadTemplateList();
+        } catch (error) {
+            console.error('[PreviewPageController]', 'Failed to open templates folder', error);
+            showNotification('Could not open the templates folder', 'error');
+        }
     }
 
     async _generatePreview() {
@@ -175,6 +237,33 @@ export class PreviewPageController extends BasePageController {
         }
     }
 
+    async _handleFoundryExport() {
+        const character = AppState.getCurrentCharacter();
+        if (!character?.id) return;
+
+        const foundryBtn = document.getElementById('previewFoundryExportBtn');
+        if (foundryBtn) foundryBtn.disabled = true;
+
+        try {
+            const characterData = serializeCharacter(character);
+            const result = await window.characterStorage.exportFoundryActor(characterData);
+
+            if (result.canceled) return;
+
+            if (!result.success) {
+                showNotification(result.error || 'Export failed', 'error');
+                return;
+            }
+
+            showNotification('Foundry VTT actor saved successfully', 'success');
+        } catch (error) {
+            console.error('[PreviewPageController]', 'Foundry export failed', error);
+            showNotification('Failed to export Foundry VTT actor', 'error');
+        } finally {
+            if (foundryBtn) foundryBtn.disabled = false;
+        }
+    }
+
     _showLoading() {
         this._hideAllStates();
         const loading = document.getElementById('previewLoading');
@@ -230,6 +319,7 @@ export class PreviewPageController extends BasePageController {
                 this._templateName = _previewCache.templateName;
                 const select = document.getElementById('previewTemplateSelect');
                 if (select) select.value = _previewCache.templateName;
+                this._updateMappingButton();
             }
 
             const exportBtn = document.getElementById('previewExportBtn');
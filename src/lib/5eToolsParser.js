@@ -55,6 +55,38 @@ const SPELL_SCHOOLS = {
 	V: 'Evocation',
 };
 
+const DAMAGE_TYPES = {
+	A: 'Acid',
+	B: 'Bludgeoning',
+	C: 'Cold',
+	F: 'Fire',
+	O: 'Force',
+	L: 'Lightning',
+	N: 'Necrotic',
+	P: 'Piercing',
+	I: 'Poison',
+	Y: 'Psychic',
+	R: 'Radiant',
+	S: 'Slashing',
+	T: 'Thunder',
+};
+
+const ITEM_PROPERTIES = {
+	'2H': 'Two-Handed',
+	A: 'Ammunition',
+	AF: 'Ammunition',
+	BF: 'Burst Fire',
+	F: 'Finesse',
+	H: 'Heavy',
+	L: 'Light',
+	LD: 'Loading',
+	R: 'Reach',
+	RLD: 'Reload',
+	S: 'Special',
+	T: 'Thrown',
+	V: 'Versatile',
+};
+
 export const SPELL_SCHOOL_NAMES = [
 	'Abjuration',
 	'Conjuration',
@@ -281,6 +313,16 @@ export function getSchoolName(code) {
 	return SPELL_SCHOOLS[code] || code;
 }
 
+export function getDamageTypeName(code) {
+	return DAMAGE_TYPES[code] || code;
+}
+
+/** Name of a 5etools item property code, with or without a source ("F|XPHB") */
+export function getItemPropertyName(code) {
+	const abv = String(code || '').split('|')[0];
+	return ITEM_PROPERTIES[abv] || abv;
+}
+
 export function getSpeedString(ent) {
 	if (typeof ent === 'number') {
 		return `${ent} ft.`;
@@ -361,6 +403,55 @@ export function toSentenceCase(str) {
 	return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
+/** Casting time of a spell, e.g. "1 bonus" or "10 minute" */
+export function getSpellCastingTimeText(spell) {
+	const time = spell?.time?.[0];
+	if (!time) return '';
+	return `${time.number || 1} ${time.unit || 'action'}`;
+}
+
+export function getSpellRangeText(range) {
+	if (!range?.distance) return 'Special';
+	if (range.distance.type === 'touch') return 'Touch';
+	if (range.distance.type === 'sight') return 'Sight';
+	if (range.distance.type === 'self') {
+		if (range.distance.amount) {
+			return `Self (${range.distance.amount}-foot ${range.distance.subtype || 'radius'})`;
+		}
+		return 'Self';
+	}
+	return `${range.distance.amount || ''} ${range.distance.type || ''}`.trim();
+}
+
+export function getSpellComponentsText(components) {
+	const parts = [];
+	if (components?.v) parts.push('V');
+	if (components?.s) parts.push('S');
+	if (components?.m) {
+		const material =
+			typeof components.m === 'string' ? components.m : components.m.text;
+		if (material) {
+			parts.push(`M (${material})`);
+		} else {
+			parts.push('M');
+		}
+	}
+	return parts.join(', ');
+}
+
+export function getSpellDurationText(duration) {
+	if (!duration) return '';
+	if (duration.type === 'instant') return 'Instantaneous';
+	if (duration.type === 'permanent') return 'Until dispelled';
+	if (duration.type === 'special') return 'Special';
+
+	const concText = duration.concentration ? 'Concentration, up to ' : '';
+	if (duration.duration) {
+		return `${concText}${duration.duration.amount || ''} ${duration.duration.type || ''}`.trim();
+	}
+	return duration.type || 'Unknown';
+}
+
 export function getOrdinalForm(i) {
 	i = Number(i);
 	if (Number.isNaN(i)) return '';
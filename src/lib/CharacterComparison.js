@@ -0,0 +1,249 @@
+/**
+ * Field-by-field comparison of two characters in their serialized form
+ * (CharacterSerializer.serialize output, a saved .ffp, or a history
+ * snapshot). Pure, so it runs on characters that are not loaded.
+ *
+ * Rows hold display values for each side. List rows also carry `added`
+ * (only on the right) and `removed` (only on the left) so the view can
+ * highlight individual entries.
+ */
+
+import { ABILITIES, computeCharacterStats } from './CharacterStats.js';
+import { PROFICIENCY_TYPES } from './GameRules.js';
+import { toTitleCase } from './5eToolsParser.js';
+
+const PROFICIENCY_LABELS = {
+	[PROFICIENCY_TYPES.SAVING_THROWS]: 'Saving Throws',
+	[PROFICIENCY_TYPES.SKILLS]: 'Skills',
+	[PROFICIENCY_TYPES.LANGUAGES]: 'Languages',
+	[PROFICIENCY_TYPES.ARMOR]: 'Armor',
+	[PROFICIENCY_TYPES.WEAPONS]: 'Weapons',
+	[PROFICIENCY_TYPES.TOOLS]: 'Tools',
+};
+
+const COINS = ['pp', 'gp', 'ep', 'sp', 'cp'];
+
+function formatSigned(value) {
+	return value >= 0 ? `+${value}` : String(value);
+}
+
+function valueRow(label, left, right) {
+	return { label, left, right, changed: left !== right };
+}
+
+function listRow(label, left, right) {
+	const leftList = [...new Set(left)].sort((a, b) => a.localeCompare(b));
+	const rightList = [...new Set(right)].sort((a, b) => a.localeCompare(b));
+	const added = rightList.filter((entry) => !leftList.includes(entry));
+	const removed = leftList.filter((entry) => !rightList.includes(entry));
+	return {
+		label,
+		left: leftList,
+		right: rightList,
+		added,
+		removed,
+		changed: added.length > 0 || removed.length > 0,
+	};
+}
+
+function section(id, title, rows) {
+	return {
+		id,
+		title,
+		rows,
+		changedCount: rows.filter((row) => row.changed).length,
+	};
+}
+
+function describeClasses(character) {
+	const classes = character?.progression?.classes || [];
+	if (classes.length === 0) return 'None';
+	return classes
+		.map((cls) =>
+			cls.subclass
+				? `${cls.name} ${cls.levels} (${cls.subclass})`
+				: `${cls.name} ${cls.levels}`,
+		)
+		.join(' / ');
+}
+
+function describeRace(character) {
+	const race = character?.race;
+	if (!race?.name) return 'None';
+	return race.subrace ? `${race.name} (${race.subrace})` : race.name;
+}
+
+function getSpellsByLevel(character) {
+	const byLevel = new Map();
+	const classes = character?.spellcasting?.classes || {};
+	for (const classData of Object.values(classes)) {
+		for (const spell of classData?.spellsKnown || []) {
+			if (!spell?.name) continue;
+			const level = Number(spell.level) || 0;
+			if (!byLevel.has(level)) byLevel.set(level, []);
+			byLevel.get(level).push(spell.name);
+		}
+	}
+	return byLevel;
+}
+
+function describeItem(item) {
+	let text = item.name;
+	if ((item.quantity || 1) > 1) text += ` ×${item.quantity}`;
+	const flags = [item.equipped && 'equipped', item.attuned && 'attuned'].filter(
+		Boolean,
+	);
+	if (flags.length > 0) text += ` (${flags.join(', ')})`;
+	return text;
+}
+
+function describeCurrency(character) {
+	const currency = character?.inventory?.currency || {};
+	const parts = COINS.filter((coin) => currency[coin] > 0).map(
+		(coin) => `${currency[coin]} ${coin}`,
+	);
+	return parts.length > 0 ? parts.join(', ') : '0 gp';
+}
+
+function compareOverview(left, right, leftStats, rightStats) {
+	return section('overview', 'Overview', [
+		valueRow('Name', left.name || 'Unnamed', right.name || 'Unnamed'),
+		valueRow('Level', leftStats.totalLevel, rightStats.totalLevel),
+		valueRow('Classes', describeClasses(left), describeClasses(right)),
+		valueRow('Race', describeRace(left), describeRace(right)),
+		valueRow(
+			'Background',
+			left.background?.name || 'None',
+			right.background?.name || 'None',
+		),
+	]);
+}
+
+function compareAbilities(leftStats, rightStats) {
+	return section(
+		'abilities',
+		'Ability Scores',
+		ABILITIES.map((ability) =>
+			valueRow(
+				toTitleCase(ability),
+				leftStats.abilities[ability].score,
+				rightStats.abilities[ability].score,
+			),
+		),
+	);
+}
+
+function compareDerived(left, right, leftStats, rightStats) {
+	const passive = (stats) => stats.passives.perception.value;
+	const saveDcs = (stats) =>
+		stats.spellcasting.map(
+			(entry) => `${entry.className} DC ${entry.saveDc.value}`,
+		);
+
+	return section('derived', 'Derived Stats', [
+		valueRow(
+			'Armor Class',
+			leftStats.armorClass.value,
+			rightStats.armorClass.value,
+		),
+		valueRow('Max HP', leftStats.hitPoints.value, rightStats.hitPoints.value),
+		valueRow(
+			'Initiative',
+			formatSigned(leftStats.initiative.value),
+			formatSigned(rightStats.initiative.value),
+		),
+		valueRow(
+			'Proficiency Bonus',
+			formatSigned(leftStats.proficiencyBonus),
+			formatSigned(rightStats.proficiencyBonus),
+		),
+		valueRow('Passive Perception', passive(leftStats), passive(rightStats)),
+		valueRow('Speed', left.speed?.walk ?? 0, right.speed?.walk ?? 0),
+		listRow('Spell Save DC', saveDcs(leftStats), saveDcs(rightStats)),
+	]);
+}
+
+function compareProficiencies(left, right) {
+	return section(
+		'proficiencies',
+		'Proficiencies',
+		Object.entries(PROFICIENCY_LABELS).map(([type, label]) =>
+			listRow(
+				label,
+				left.proficiencies?.[type] || [],
+				right.proficiencies?.[type] || [],
+			),
+		),
+	);
+}
+
+function compareFeats(left, right) {
+	const names = (character) =>
+		(character.feats || []).map((feat) => feat.name).filter(Boolean);
+	return section('feats', 'Feats', [
+		listRow('Feats', names(left), names(right)),
+	]);
+}
+
+function compareSpells(left, right) {
+	const leftSpells = getSpellsByLevel(left);
+	const rightSpells = getSpellsByLevel(right);
+	const levels = [
+		...new Set([...leftSpells.keys(), ...rightSpells.keys()]),
+	].sort((a, b) => a - b);
+
+	return section(
+		'spells',
+		'Spells',
+		levels.map((level) =>
+			listRow(
+				level === 0 ? 'Cantrips' : `Level ${level}`,
+				leftSpells.get(level) || [],
+				rightSpells.get(level) || [],
+			),
+		),
+	);
+}
+
+function compareEquipment(left, right) {
+	const items = (character) =>
+		(character.inventory?.items || [])
+			.filter((item) => item?.name)
+			.map(describeItem);
+	return section('equipment', 'Equipment', [
+		listRow('Items', items(left), items(right)),
+		valueRow('Currency', describeCurrency(left), describeCurrency(right)),
+	]);
+}
+
+/**
+ * Compare two serialized characters.
+ * @param {Object} left - Serialized character shown on the left
+ * @param {Object} right - Serialized character shown on the right
+ * @returns {{sections: Array<{id: string, title: string, changedCount: number,
+ *   rows: Array<{label: string, left: *, right: *, changed: boolean,
+ *   added?: string[], removed?: string[]}>}>, changedCount: number}}
+ */
+export function compareCharacters(left, right) {
+	if (!left || !right) {
+		throw new TypeError('Two characters are required for a comparison');
+	}
+
+	const leftStats = computeCharacterStats(left);
+	const rightStats = computeCharacterStats(right);
+
+	const sections = [
+		compareOverview(left, right, leftStats, rightStats),
+		compareAbilities(leftStats, rightStats),
+		compareDerived(left, right, leftStats, rightStats),
+		compareProficiencies(left, right),
+		compareFeats(left, right),
+		compareSpells(left, right),
+		compareEquipment(left, right),
+	];
+
+	return {
+		sections,
+		changedCount: sections.reduce((sum, s) => sum + s.changedCount, 0),
+	};
+}
@@ -1,4 +1,52 @@
 import { z } from 'zod';
+import {
+    COMPANION_KINDS,
+    DEATH_SAVES_TO_RESOLVE,
+    MAX_EXHAUSTION_LEVEL,
+    REST_TYPES,
+    ROLL_TYPES,
+} from './GameRules.js';
+
+const usageCount = z.number().int().min(0);
+
+const playStateSchema = z.object({
+    hitDiceUsed: z.record(z.string(), usageCount),
+    deathSaves: z.object({
+        successes: usageCount.max(DEATH_SAVES_TO_RESOLVE),
+        failures: usageCount.max(DEATH_SAVES_TO_RESOLVE),
+    }),
+    conditions: z.array(z.object({
+        name: z.string().min(1),
+        source: z.string().optional(),
+    })),
+    exhaustion: usageCount.max(MAX_EXHAUSTION_LEVEL),
+    resources: z.record(z.string(), z.object({ used: usageCount })),
+    lastRest: z.object({
+        type: z.enum([REST_TYPES.SHORT, REST_TYPES.LONG]),
+        at: z.string(),
+    }).nullable(),
+    hitPointMax: usageCount.nullable().optional(),
+});
+
+/** One audited dice roll; the remaining fields depend on the type */
+const rollLogEntrySchema = z.object({
+    type: z.enum([ROLL_TYPES.ABILITY_SCORES, ROLL_TYPES.HIT_POINTS]),
+    at: z.string(),
+}).passthrough();
+
+/** A familiar, beast companion or Wild Shape form with its own stat block */
+const companionSchema = z.object({
+    id: z.string(),
+    kind: z.enum(Object.values(COMPANION_KINDS)),
+    name: z.string(),
+    statBlock: z.record(z.string(), z.unknown()),
+    hitPoints: z.object({
+        current: z.number(),
+        max: z.number(),
+        temp: z.number(),
+    }),
+    notes: z.string(),
+}).passthrough();
 
 const characterValidationSchema = z.object({
     id: z.string().nullable(),
@@ -28,6 +76,11 @@ const characterValidationSchema = z.object({
         source: z.string(),
         subrace: z.string().optional(),
         abilityChoices: z.array(z.unknown()).optional(),
+        customOrigin: z.object({
+            abilityBonuses: z.record(z.string(), z.number()).nullable().optional(),
+            proficiencySwaps: z.record(z.string(), z.record(z.string(), z.string())).optional(),
+        }).optional(),
+        lineageTrait: z.enum(['darkvision', 'skill']).optional(),
     }).passthrough().nullable().optional(),
     background: z.object({
         name: z.string(),
@@ -65,6 +118,9 @@ const characterValidationSchema = z.object({
     proficiencies: z.record(z.string(), z.array(z.string())).optional(),
     proficiencySources: z.record(z.string(), z.unknown()).optional(),
     optionalProficiencies: z.record(z.string(), z.unknown()).optional(),
+    expertise: z.record(z.string(), z.array(z.string())).optional(),
+    expertiseSources: z.record(z.string(), z.unknown()).optional(),
+    expertiseChoices: z.record(z.string(), z.array(z.unknown())).optional(),
 
     pendingChoices: z.union([z.record(z.string(), z.unknown()), z.instanceof(Map)]).optional(),
     instrumentChoices: z.array(z.unknown()).optional(),
@@ -80,11 +136,17 @@ const characterValidationSchema = z.object({
         max: z.number(),
         temp: z.number(),
     }),
+    playState: playStateSchema.optional(),
+    rollLog: z.array(rollLogEntrySchema).optional(),
+    companions: z.array(companionSchema).optional(),
 
     inventory: z.record(z.string(), z.unknown()).optional(),
     spellcasting: z.record(z.string(), z.unknown()).optional(),
     progression: z.record(z.string(), z.unknown()).optional(),
     progressionHistory: z.record(z.string(), z.unknown()).optional(),
+    buildPlan: z
+        .object({ levels: z.record(z.string(), z.unknown()) })
+        .optional(),
 
     createdAt: z.string().optional(),
     lastModified: z.string().optional(),
@@ -92,6 +154,20 @@ const characterValidationSchema = z.object({
 
 
 
+/** Session play state: hit dice, death saves, conditions, resources and rests */
+export function createPlayState() {
+    return {
+        hitDiceUsed: {},
+        deathSaves: { successes: 0, failures: 0 },
+        conditions: [],
+        exhaustion: 0,
+        resources: {},
+        lastRest: null,
+        // Maximum hit points the current value was last kept in line with
+        hitPointMax: null,
+    };
+}
+
 export const CharacterSchema = {
     create() {
         return {
@@ -219,6 +295,10 @@ export const CharacterSchema = {
 
             pendingChoices: {},
 
+            expertise: { skills: [], tools: [] },
+            expertiseSources: { skills: {}, tools: {} },
+            expertiseChoices: {},
+
             instrumentChoices: [],
 
             variantRules: {
@@ -240,6 +320,12 @@ export const CharacterSchema = {
                 temp: 0,
             },
 
+            playState: createPlayState(),
+
+            rollLog: [],
+
+            companions: [],
+
             inventory: {
                 items: [],
                 equipped: [],
@@ -271,6 +357,8 @@ export const CharacterSchema = {
 
             progressionHistory: {},
 
+            buildPlan: { levels: {} },
+
             createdAt: new Date().toISOString(),
             lastModified: new Date().toISOString(),
         };
@@ -0,0 +1,1043 @@
+/**
+ * Derived character statistics shared by the renderer and the main process.
+ *
+ * Every function here is pure and accepts either a live Character instance
+ * (Maps/Sets) or its serialized JSON form, so the in-app view and the PDF
+ * exporter always agree on AC, HP, DCs and the rest. Each computed value
+ * carries a `breakdown` array of `{ label, value }` entries.
+ */
+
+import {
+	fullAbilityToAbbr,
+	getAbilityModNumber,
+	getDamageTypeName,
+	getItemPropertyName,
+	levelToProficiencyBonus,
+} from './5eToolsParser.js';
+import {
+	CARRY_CAPACITY_MULTIPLIER,
+	CASTER_PROGRESSIONS,
+	DEFAULT_HIT_DICE,
+	HEAVY_ENCUMBRANCE_MULTIPLIER,
+	LIGHT_ENCUMBRANCE_MULTIPLIER,
+	MYSTIC_ARCANUM_LEVELS,
+	PACT_MAGIC_SLOTS,
+	parseHitDice,
+	RULESETS,
+	SPELL_SLOTS_BY_CASTER_LEVEL,
+	SUBCLASS_CASTER_PROGRESSIONS,
+} from './GameRules.js';
+
+export const ABILITIES = Object.freeze([
+	'strength',
+	'dexterity',
+	'constitution',
+	'intelligence',
+	'wisdom',
+	'charisma',
+]);
+
+const ABILITY_LABELS = {
+	strength: 'Strength',
+	dexterity: 'Dexterity',
+	constitution: 'Constitution',
+	intelligence: 'Intelligence',
+	wisdom: 'Wisdom',
+	charisma: 'Charisma',
+};
+
+export const SKILL_ABILITY_MAP = Object.freeze({
+	Acrobatics: 'dexterity',
+	'Animal Handling': 'wisdom',
+	Arcana: 'intelligence',
+	Athletics: 'strength',
+	Deception: 'charisma',
+	History: 'intelligence',
+	Insight: 'wisdom',
+	Intimidation: 'charisma',
+	Investigation: 'intelligence',
+	Medicine: 'wisdom',
+	Nature: 'intelligence',
+	Perception: 'wisdom',
+	Performance: 'charisma',
+	Persuasion: 'charisma',
+	Religion: 'intelligence',
+	'Sleight of Hand': 'dexterity',
+	Stealth: 'dexterity',
+	Survival: 'wisdom',
+});
+
+const SIZE_CARRY_MULTIPLIER = {
+	T: 0.5,
+	S: 1,
+	M: 1,
+	L: 2,
+	H: 4,
+	G: 8,
+};
+
+const SIZE_NAME_TO_ABV = {
+	tiny: 'T',
+	small: 'S',
+	medium: 'M',
+	large: 'L',
+	huge: 'H',
+	gargantuan: 'G',
+};
+
+const ARMOR_TYPE_CODES = ['LA', 'MA', 'HA'];
+
+const WEAPON_TYPE_CODES = ['M', 'R'];
+
+function getTypeCode(item) {
+	return String(item?.type || '')
+		.split('|')[0]
+		.toUpperCase();
+}
+
+/** Parse a 5etools signed bonus ("+1", 2, "-1") into a number. */
+export function parseBonus(value) {
+	if (typeof value === 'number') return value;
+	const parsed = Number.parseInt(value, 10);
+	return Number.isNaN(parsed) ? 0 : parsed;
+}
+
+export function isArmorItem(item) {
+	if (!item) return false;
+	if (item.armor) return true;
+	return ARMOR_TYPE_CODES.includes(getTypeCode(item));
+}
+
+export function isShieldItem(item) {
+	if (!item) return false;
+	return item.shield === true || getTypeCode(item) === 'S';
+}
+
+export function isWeaponItem(item) {
+	if (!item) return false;
+	if (item.weapon) return true;
+	return WEAPON_TYPE_CODES.includes(getTypeCode(item));
+}
+
+export function getTotalLevel(character) {
+	const classes = character?.progression?.classes;
+	if (!Array.isArray(classes) || classes.length === 0) return 1;
+	return classes.reduce((sum, c) => sum + (c.levels || 0), 0) || 1;
+}
+
+export function getClassLevel(character, className) {
+	const classes = character?.progression?.classes;
+	if (!Array.isArray(classes)) return 0;
+	const entry = classes.find(
+		(c) => c.name?.toLowerCase() === className.toLowerCase(),
+	);
+	return entry?.levels || 0;
+}
+
+function getClassEntry(character, className) {
+	const classes = character?.progression?.classes;
+	if (!Array.isArray(classes)) return null;
+	return (
+		classes.find((c) => c.name?.toLowerCase() === className.toLowerCase()) ||
+		null
+	);
+}
+
+/** Hit die face value for a progression class entry (number, "d10" or class default). */
+export function getClassHitDie(classEntry) {
+	const hd = classEntry?.hitDice;
+	if (typeof hd === 'number' && hd > 0) return hd;
+	if (typeof hd === 'string' && hd) {
+		return parseHitDice(hd.startsWith('d') ? hd : `d${hd}`);
+	}
+	const fallback = Object.entries(DEFAULT_HIT_DICE).find(
+		([name]) => name.toLowerCase() === classEntry?.name?.toLowerCase(),
+	);
+	return fallback ? parseHitDice(fallback[1]) : 8;
+}
+
+export function getProficiencyBonus(character) {
+	return levelToProficiencyBonus(getTotalLevel(character));
+}
+
+export function getAbilityScoreBreakdown(character, ability) {
+	const base = character?.abilityScores?.[ability] ?? 10;
+	const bonuses = character?.abilityBonuses?.[ability] || [];
+	const breakdown = [{ label: 'Base score', value: base }];
+	let score = base;
+	for (const bonus of bonuses) {
+		const value = bonus?.value || 0;
+		if (!value) continue;
+		score += value;
+		breakdown.push({ label: bonus.source || 'Bonus', value });
+	}
+	return { score, breakdown };
+}
+
+export function getTraitNames(character) {
+	const traits = character?.features?.traits;
+	if (!traits) return new Set();
+	if (traits instanceof Map) return new Set(traits.keys());
+	return new Set(Object.keys(traits));
+}
+
+export function getFeatNames(character) {
+	const feats = Array.isArray(character?.feats) ? character.feats : [];
+	return new Set(
+		feats.map((f) => (typeof f === 'string' ? f : f?.name)).filter(Boolean),
+	);
+}
+
+/**
+ * Names of optional features (fighting styles, invocations, ...) chosen at
+ * any class level, as recorded in progressionHistory. Selection ids of the
+ * form "Name_SOURCE" are reduced to "Name".
+ */
+export function getSelectedOptionalFeatures(character, featureType = null) {
+	const names = new Set();
+	const history = character?.progressionHistory;
+	if (!history || typeof history !== 'object') return names;
+
+	for (const levels of Object.values(history)) {
+		if (!levels || typeof levels !== 'object') continue;
+		for (const entry of Object.values(levels)) {
+			const choices = entry?.choices;
+			if (!choices || typeof choices !== 'object') continue;
+			for (const [type, choice] of Object.entries(choices)) {
+				if (featureType && type !== featureType) continue;
+				for (const selected of choice?.selected || []) {
+					if (typeof selected !== 'string') continue;
+					names.add(selected.split('_')[0]);
+				}
+			}
+		}
+	}
+	return names;
+}
+
+export function getSkillProficiencies(character) {
+	const skills = new Set();
+
+	for (const s of character?.proficiencies?.skills || []) {
+		skills.add(s.toLowerCase());
+	}
+
+	const optSkills = character?.optionalProficiencies?.skills;
+	if (optSkills) {
+		for (const s of optSkills.selected || []) skills.add(s.toLowerCase());
+		for (const source of ['race', 'class', 'background']) {
+			for (const s of optSkills[source]?.selected || []) {
+				skills.add(s.toLowerCase());
+			}
+		}
+	}
+
+	return skills;
+}
+
+/** Lowercased skills the character has expertise in */
+export function getSkillExpertise(character) {
+	return new Set(
+		(character?.expertise?.skills || []).map((skill) => skill.toLowerCase()),
+	);
+}
+
+function getItemProperties(item) {
+	return (Array.isArray(item?.property) ? item.property : [])
+		.map((property) =>
+			getItemPropertyName(
+				typeof property === 'string' ? property : property?.uid,
+			),
+		)
+		.filter(Boolean);
+}
+
+/** "Daggers", "{@item dagger|phb|daggers}" and "dagger" all become "dagger" */
+function normalizeWeaponName(name) {
+	return String(name || '')
+		.replace(/\{@\w+ ([^}]*)\}/g, (_, inner) => {
+			const parts = inner.split('|');
+			return parts[2] || parts[0];
+		})
+		.toLowerCase()
+		.replace(/\s+/g, ' ')
+		.trim()
+		.replace(/s$/, '');
+}
+
+/**
+ * Whether the weapon proficiencies of a character (as kept by
+ * ProficiencyService) cover a weapon: its category ("Simple Weapons",
+ * "martial"), its base weapon name, or a restricted category such as
+ * "Martial weapons that have the Finesse or Light property".
+ */
+export function hasWeaponProficiency(character, item) {
+	const category = String(item?.weaponCategory || '').toLowerCase();
+	const names = new Set(
+		[item?.baseName, item?.name].filter(Boolean).map(normalizeWeaponName),
+	);
+	const properties = getItemProperties(item).map((p) => p.toLowerCase());
+
+	for (const proficiency of character?.proficiencies?.weapons || []) {
+		const normalized = normalizeWeaponName(proficiency);
+		if (names.has(normalized)) return true;
+		if (!category || !normalized.startsWith(category)) continue;
+		if (normalized === category || normalized === `${category} weapon`) {
+			return true;
+		}
+		if (properties.some((property) => normalized.includes(property))) {
+			return true;
+		}
+	}
+	return false;
+}
+
+function isSaveProficient(character, ability) {
+	const saves = character?.proficiencies?.savingThrows || [];
+	const abbr = fullAbilityToAbbr(ability);
+	return saves.some((s) => {
+		const lower = String(s).toLowerCase();
+		return lower === ability || lower === abbr;
+	});
+}
+
+function getSizeAbv(character) {
+	const size = Array.isArray(character?.size)
+		? character.size[0]
+		: character?.size;
+	if (!size) return 'M';
+	const upper = String(size).toUpperCase();
+	if (SIZE_CARRY_MULTIPLIER[upper] !== undefined) return upper;
+	return SIZE_NAME_TO_ABV[String(size).toLowerCase()] || 'M';
+}
+
+function getSubclassName(character, className) {
+	return getClassEntry(character, className)?.subclass || '';
+}
+
+function sumBreakdown(breakdown) {
+	return breakdown.reduce((sum, part) => sum + part.value, 0);
+}
+
+function hasJackOfAllTrades(character) {
+	return getClassLevel(character, 'Bard') >= 2;
+}
+
+export function computeAbilities(character) {
+	const abilities = {};
+	for (const ability of ABILITIES) {
+		const { score, breakdown } = getAbilityScoreBreakdown(character, ability);
+		abilities[ability] = {
+			score,
+			modifier: getAbilityModNumber(score),
+			breakdown,
+		};
+	}
+	return abilities;
+}
+
+/**
+ * Armor Class from equipped armor/shield plus class features, fighting
+ * styles, magic item bonuses and active effects (e.g. Mage Armor).
+ * When several base calculations apply, the highest is used.
+ *
+ * @param {Object} character - Live or serialized character
+ * @param {Object} [options]
+ * @param {string[]} [options.activeEffects] - Active effects such as 'Mage Armor'
+ * @param {Object} [options.abilities] - Precomputed result of computeAbilities
+ * @returns {{ value: number, base: string, breakdown: Array<{label: string, value: number}> }}
+ */
+export function computeArmorClass(character, options = {}) {
+	const abilities = options.abilities || computeAbilities(character);
+	const dexMod = abilities.dexterity.modifier;
+	const items = character?.inventory?.items || [];
+	const activeEffects = new Set(
+		options.activeEffects || character?.activeEffects || [],
+	);
+	const feats = getFeatNames(character);
+	const fightingStyles = getSelectedOptionalFeatures(
+		character,
+		'fighting-style',
+	);
+
+	const armor = items.find((i) => i.equipped && isArmorItem(i));
+	const shield = items.find((i) => i.equipped && isShieldItem(i));
+
+	const candidates = [];
+
+	if (armor) {
+		const typeCode = getTypeCode(armor);
+		const breakdown = [{ label: armor.name || 'Armor', value: armor.ac || 0 }];
+		if (typeCode === 'LA') {
+			breakdown.push({ label: 'Dexterity', value: dexMod });
+		} else if (typeCode === 'MA') {
+			const cap = feats.has('Medium Armor Master') ? 3 : 2;
+			breakdown.push({
+				label: `Dexterity (max ${cap})`,
+				value: Math.min(dexMod, cap),
+			});
+		} else if (!ARMOR_TYPE_CODES.includes(typeCode)) {
+			breakdown.push({ label: 'Dexterity', value: dexMod });
+		}
+		const armorBonus = parseBonus(armor.bonusAc);
+		if (armorBonus) {
+			breakdown.push({ label: `${armor.name} (magic)`, value: armorBonus });
+		}
+		candidates.push({ base: armor.name || 'Armor', breakdown });
+	} else {
+		candidates.push({
+			base: 'Unarmored',
+			breakdown: [
+				{ label: 'Base', value: 10 },
+				{ label: 'Dexterity', value: dexMod },
+			],
+		});
+
+		if (getClassLevel(character, 'Barbarian') >= 1) {
+			candidates.push({
+				base: 'Unarmored Defense (Barbarian)',
+				breakdown: [
+					{ label: 'Base', value: 10 },
+					{ label: 'Dexterity', value: dexMod },
+					{ label: 'Constitution', value: abilities.constitution.modifier },
+				],
+			});
+		}
+
+		if (getClassLevel(character, 'Monk') >= 1 && !shield) {
+			candidates.push({
+				base: 'Unarmored Defense (Monk)',
+				breakdown: [
+					{ label: 'Base', value: 10 },
+					{ label: 'Dexterity', value: dexMod },
+					{ label: 'Wisdom', value: abilities.wisdom.modifier },
+				],
+			});
+		}
+
+		if (/draconic/i.test(getSubclassName(character, 'Sorcerer'))) {
+			candidates.push({
+				base: 'Draconic Resilience',
+				breakdown: [
+					{ label: 'Base', value: 13 },
+					{ label: 'Dexterity', value: dexMod },
+				],
+			});
+		}
+
+		if (activeEffects.has('Mage Armor')) {
+			candidates.push({
+				base: 'Mage Armor',
+				breakdown: [
+					{ label: 'Mage Armor', value: 13 },
+					{ label: 'Dexterity', value: dexMod },
+				],
+			});
+		}
+	}
+
+	const best = candidates.reduce((a, b) =>
+		sumBreakdown(b.breakdown) > sumBreakdown(a.breakdown) ? b : a,
+	);
+	const breakdown = [...best.breakdown];
+
+	if (shield) {
+		breakdown.push({ label: shield.name || 'Shield', value: shield.ac || 2 });
+		const shieldBonus = parseBonus(shield.bonusAc);
+		if (shieldBonus) {
+			breakdown.push({ label: `${shield.name} (magic)`, value: shieldBonus });
+		}
+	}
+
+	if (armor && fightingStyles.has('Defense')) {
+		breakdown.push({ label: 'Defense fighting style', value: 1 });
+	}
+
+	for (const item of items) {
+		if (item === armor || item === shield) continue;
+		const bonus = parseBonus(item.bonusAc);
+		if (!bonus) continue;
+		const active = item.reqAttune ? item.attuned : item.equipped;
+		if (active) breakdown.push({ label: item.name, value: bonus });
+	}
+
+	return { value: sumBreakdown(breakdown), base: best.base, breakdown };
+}
+
+/**
+ * Maximum hit points. Level 1 of the first class uses the full hit die,
+ * later levels use the rolled value in classEntry.hitPoints[i] when present
+ * or the fixed average. A non-zero hitPoints.max on the character overrides
+ * the computed value.
+ */
+export function computeMaxHitPoints(character, options = {}) {
+	const abilities = options.abilities || computeAbilities(character);
+	const conMod = abilities.constitution.modifier;
+	const classes = character?.progression?.classes;
+	const breakdown = [];
+
+	let computed = 0;
+	if (Array.isArray(classes) && classes.length > 0) {
+		let isFirstLevel = true;
+		for (const cls of classes) {
+			const hitDie = getClassHitDie(cls);
+			const levels = cls.levels || 0;
+			let dieTotal = 0;
+			let conTotal = 0;
+			for (let i = 0; i < levels; i++) {
+				let dieValue;
+				if (isFirstLevel) {
+					dieValue = hitDie;
+					isFirstLevel = false;
+				} else {
+					dieValue = cls.hitPoints?.[i] || Math.floor(hitDie / 2) + 1;
+				}
+				// Every level grants at least 1 hit point
+				const conPart = Math.max(conMod, 1 - dieValue);
+				dieTotal += dieValue;
+				conTotal += conPart;
+			}
+			if (levels > 0) {
+				breakdown.push({
+					label: `${cls.name || 'Class'} ${levels}d${hitDie}`,
+					value: dieTotal,
+				});
+				if (conTotal) {
+					breakdown.push({
+						label: `Constitution (${cls.name || 'Class'})`,
+						value: conTotal,
+					});
+				}
+			}
+		}
+
+		const totalLevel = getTotalLevel(character);
+		if (getFeatNames(character).has('Tough')) {
+			breakdown.push({ label: 'Tough', value: totalLevel * 2 });
+		}
+		if (getTraitNames(character).has('Dwarven Toughness')) {
+			breakdown.push({ label: 'Dwarven Toughness', value: totalLevel });
+		}
+		const sorcererLevel = getClassLevel(character, 'Sorcerer');
+		if (
+			sorcererLevel > 0 &&
+			/draconic/i.test(getSubclassName(character, 'Sorcerer'))
+		) {
+			breakdown.push({ label: 'Draconic Resilience', value: sorcererLevel });
+		}
+
+		computed = Math.max(sumBreakdown(breakdown), 1);
+	}
+
+	const stored = character?.hitPoints?.max || 0;
+	if (stored > 0) {
+		return {
+			value: stored,
+			computed,
+			breakdown: [{ label: 'Recorded maximum', value: stored }],
+		};
+	}
+
+	return { value: computed, computed, breakdown };
+}
+
+/**
+ * Current hit points. Before play tracks them (no tracked maximum and no
+ * rest yet) the stored 0 is an unset default and the character is at full
+ * health. Once tracked, a maximum that rose since (a level up) adds the
+ * difference.
+ */
+export function computeCurrentHitPoints(
+	character,
+	max = computeMaxHitPoints(character).value,
+) {
+	const current = Math.max(0, character?.hitPoints?.current || 0);
+	const state = character?.playState;
+	if (state?.hitPointMax == null) {
+		return current > 0 || state?.lastRest ? Math.min(current, max) : max;
+	}
+	return Math.min(max, current + Math.max(0, max - state.hitPointMax));
+}
+
+export function computeSavingThrows(character, options = {}) {
+	const abilities = options.abilities || computeAbilities(character);
+	const profBonus = options.proficiencyBonus ?? getProficiencyBonus(character);
+	const saves = {};
+
+	for (const ability of ABILITIES) {
+		const proficient = isSaveProficient(character, ability);
+		const breakdown = [
+			{ label: ABILITY_LABELS[ability], value: abilities[ability].modifier },
+		];
+		if (proficient) breakdown.push({ label: 'Proficiency', value: profBonus });
+		saves[ability] = { value: sumBreakdown(breakdown), proficient, breakdown };
+	}
+
+	return saves;
+}
+
+export function computeSkills(character, options = {}) {
+	const abilities = options.abilities || computeAbilities(character);
+	const profBonus = options.proficiencyBonus ?? getProficiencyBonus(character);
+	const proficientSkills = getSkillProficiencies(character);
+	const expertSkills = getSkillExpertise(character);
+	const jackOfAllTrades = hasJackOfAllTrades(character);
+	const skills = {};
+
+	for (const [skill, ability] of Object.entries(SKILL_ABILITY_MAP)) {
+		const proficient = proficientSkills.has(skill.toLowerCase());
+		const expertise = proficient && expertSkills.has(skill.toLowerCase());
+		const breakdown = [
+			{ label: ABILITY_LABELS[ability], value: abilities[ability].modifier },
+		];
+		if (proficient) {
+			breakdown.push({ label: 'Proficiency', value: profBonus });
+			if (expertise) breakdown.push({ label: 'Expertise', value: profBonus });
+		} else if (jackOfAllTrades) {
+			breakdown.push({
+				label: 'Jack of All Trades',
+				value: Math.floor(profBonus / 2),
+			});
+		}
+		skills[skill] = {
+			value: sumBreakdown(breakdown),
+			ability,
+			proficient,
+			expertise,
+			breakdown,
+		};
+	}
+
+	return skills;
+}
+
+export function computeInitiative(character, options = {}) {
+	const abilities = options.abilities || computeAbilities(character);
+	const profBonus = options.proficiencyBonus ?? getProficiencyBonus(character);
+	const breakdown = [
+		{ label: 'Dexterity', value: abilities.dexterity.modifier },
+	];
+
+	if (getFeatNames(character).has('Alert')) {
+		breakdown.push({ label: 'Alert', value: 5 });
+	}
+	if (hasJackOfAllTrades(character)) {
+		breakdown.push({
+			label: 'Jack of All Trades',
+			value: Math.floor(profBonus / 2),
+		});
+	}
+
+	return { value: sumBreakdown(breakdown), breakdown };
+}
+
+export function computePassiveScores(character, options = {}) {
+	const skills = options.skills || computeSkills(character, options);
+	const feats = getFeatNames(character);
+	const passives = {};
+
+	for (const skill of ['Perception', 'Insight', 'Investigation']) {
+		const breakdown = [
+			{ label: 'Base', value: 10 },
+			{ label: skill, value: skills[skill].value },
+		];
+		if (feats.has('Observant') && skill !== 'Insight') {
+			breakdown.push({ label: 'Observant', value: 5 });
+		}
+		passives[skill.toLowerCase()] = {
+			value: sumBreakdown(breakdown),
+			breakdown,
+		};
+	}
+
+	return passives;
+}
+
+/**
+ * Spell save DC and spell attack bonus for every spellcasting class
+ * recorded in character.spellcasting.classes.
+ */
+export function computeSpellcasting(character, options = {}) {
+	const abilities = options.abilities || computeAbilities(character);
+	const profBonus = options.proficiencyBonus ?? getProficiencyBonus(character);
+	const spellClasses = character?.spellcasting?.classes;
+	if (!spellClasses || typeof spellClasses !== 'object') return [];
+
+	const result = [];
+	for (const [className, classData] of Object.entries(spellClasses)) {
+		if (className === 'Bonus') continue;
+		const ability = classData?.spellcastingAbility;
+		if (!ability || !abilities[ability]) continue;
+
+		const mod = abilities[ability].modifier;
+		const abilityLabel = ABILITY_LABELS[ability];
+		result.push({
+			className,
+			ability,
+			saveDc: {
+				value: 8 + profBonus + mod,
+				breakdown: [
+					{ label: 'Base', value: 8 },
+					{ label: 'Proficiency', value: profBonus },
+					{ label: abilityLabel, value: mod },
+				],
+			},
+			attackBonus: {
+				value: profBonus + mod,
+				breakdown: [
+					{ label: 'Proficiency', value: profBonus },
+					{ label: abilityLabel, value: mod },
+				],
+			},
+		});
+	}
+	return result;
+}
+
+function defaultCasterProgression(classEntry) {
+	return (
+		CASTER_PROGRESSIONS[classEntry.name] ||
+		SUBCLASS_CASTER_PROGRESSIONS[classEntry.subclass]
+	);
+}
+
+/** Whether a class has its Spellcasting feature yet at this level */
+function hasSpellcastingAt(progression, levels, is2024) {
+	if (progression === '1/2') return levels >= (is2024 ? 1 : 2);
+	if (progression === '1/3') return levels >= 3;
+	return levels >= 1;
+}
+
+/** Caster level the class would have on its own, matching its class table */
+function singleClassCasterLevel(progression, levels) {
+	if (progression === '1/2' || progression === 'artificer') {
+		return Math.ceil(levels / 2);
+	}
+	if (progression === '1/3') return Math.ceil(levels / 3);
+	return levels;
+}
+
+/** Levels the class adds to a multiclass caster level */
+function multiclassCasterLevels(progression, levels, is2024) {
+	if (progression === '1/2') {
+		return is2024 ? Math.ceil(levels / 2) : Math.floor(levels / 2);
+	}
+	if (progression === 'artificer') return Math.ceil(levels / 2);
+	if (progression === '1/3') return Math.floor(levels / 3);
+	return levels;
+}
+
+function highestSlotLevel(casterLevel) {
+	return (SPELL_SLOTS_BY_CASTER_LEVEL[casterLevel] || []).length;
+}
+
+/**
+ * One spellcasting model for the whole character. Every class with the
+ * Spellcasting feature adds to a shared caster level and slot pool (a lone
+ * casting class uses its own table); Pact Magic stays a separate pool.
+ * Spells of any class can be cast with either pool, but each class only
+ * learns spells up to its own `maxSpellLevel`.
+ *
+ * @param {Object} character - Live Character instance or serialized character JSON
+ * @param {Object} [options]
+ * @param {(classEntry: Object) => string|undefined} [options.getCasterProgression]
+ *   'full', '1/2', '1/3', 'artificer' or 'pact' for a progression class entry;
+ *   defaults to CASTER_PROGRESSIONS and SUBCLASS_CASTER_PROGRESSIONS
+ * @returns {{casterLevel: number, multiclass: boolean,
+ *   classes: Array<{className: string, levels: number, progression: string,
+ *     casterLevels: number, maxSpellLevel: number}>,
+ *   slots: Object<number, number>,
+ *   pactMagic: {className: string, levels: number, count: number,
+ *     slotLevel: number}|null}}
+ */
+export function computeSpellSlots(character, options = {}) {
+	const getProgression =
+		options.getCasterProgression || defaultCasterProgression;
+	const is2024 = character?.variantRules?.ruleset === RULESETS.MODERN;
+	const classes = [];
+	let pactMagic = null;
+
+	for (const entry of character?.progression?.classes || []) {
+		const levels = entry.levels || 0;
+		const progression = getProgression(entry);
+		if (!progression || !hasSpellcastingAt(progression, levels, is2024)) {
+			continue;
+		}
+
+		if (progression === 'pact') {
+			const [count, slotLevel] =
+				PACT_MAGIC_SLOTS[Math.min(levels, PACT_MAGIC_SLOTS.length - 1)];
+			const arcanum = Object.entries(MYSTIC_ARCANUM_LEVELS)
+				.filter(([, minLevel]) => levels >= minLevel)
+				.map(([spellLevel]) => Number(spellLevel));
+			pactMagic = { className: entry.name, levels, count, slotLevel };
+			classes.push({
+				className: entry.name,
+				levels,
+				progression,
+				casterLevels: 0,
+				maxSpellLevel: Math.max(slotLevel, ...arcanum),
+			});
+			continue;
+		}
+
+		classes.push({
+			className: entry.name,
+			levels,
+			progression,
+			casterLevels: multiclassCasterLevels(progression, levels, is2024),
+			maxSpellLevel: highestSlotLevel(
+				singleClassCasterLevel(progression, levels),
+			),
+		});
+	}
+
+	const sharing = classes.filter((c) => c.progression !== 'pact');
+	const casterLevel = Math.min(
+		sharing.length === 1
+			? singleClassCasterLevel(sharing[0].progression, sharing[0].levels)
+			: sharing.reduce((sum, c) => sum + c.casterLevels, 0),
+		SPELL_SLOTS_BY_CASTER_LEVEL.length - 1,
+	);
+	if (sharing.length === 1) sharing[0].casterLevels = casterLevel;
+
+	const slots = {};
+	(SPELL_SLOTS_BY_CASTER_LEVEL[casterLevel] || []).forEach((count, index) => {
+		slots[index + 1] = count;
+	});
+
+	return {
+		casterLevel,
+		multiclass: sharing.length > 1,
+		classes,
+		slots,
+		pactMagic,
+	};
+}
+
+function formatDamageDice(dice, bonus) {
+	if (!bonus) return dice;
+	return `${dice}${bonus < 0 ? '-' : '+'}${Math.abs(bonus)}`;
+}
+
+function formatRange(range) {
+	return range ? `${range} ft.` : '';
+}
+
+function getFightingStyles(character) {
+	// 2014 styles are optional features, 2024 styles are feats
+	return new Set([
+		...getSelectedOptionalFeatures(character, 'fighting-style'),
+		...getFeatNames(character),
+	]);
+}
+
+function getMasteredWeapons(character) {
+	const mastered = new Set();
+	for (const cls of character?.progression?.classes || []) {
+		for (const weapon of cls.weaponMasteries || []) {
+			mastered.add(normalizeWeaponName(weapon));
+		}
+	}
+	return mastered;
+}
+
+/**
+ * Attack rows for every equipped weapon in the inventory: the ability used
+ * (Strength, Dexterity for ranged weapons, the better of both for finesse
+ * weapons), proficiency, magic weapon bonuses and the Archery and Dueling
+ * fighting styles.
+ *
+ * @param {Object} character - Live or serialized character
+ * @param {Object} [options]
+ * @param {Object} [options.abilities] - Precomputed result of computeAbilities
+ * @param {number} [options.proficiencyBonus]
+ * @returns {Array<Object>} One row per weapon with `toHit` and `damage`
+ *   (each with a value and breakdown), `range`, `properties` and `notes`
+ */
+export function computeAttacks(character, options = {}) {
+	const abilities = options.abilities || computeAbilities(character);
+	const profBonus = options.proficiencyBonus ?? getProficiencyBonus(character);
+	const weapons = (character?.inventory?.items || []).filter(
+		(item) => item.equipped && isWeaponItem(item),
+	);
+	// Dueling needs no other weapon in hand; stowed bows and shields don't count
+	const meleeWeapons = weapons.filter(
+		(item) => getTypeCode(item) !== 'R' && !isShieldItem(item),
+	);
+	const styles = getFightingStyles(character);
+	const mastered = getMasteredWeapons(character);
+
+	return weapons.map((item) => {
+		const properties = getItemProperties(item);
+		const ranged = getTypeCode(item) === 'R';
+		const finesse = properties.includes('Finesse');
+
+		let ability = ranged ? 'dexterity' : 'strength';
+		if (finesse && abilities.dexterity.modifier > abilities.strength.modifier) {
+			ability = 'dexterity';
+		}
+		const abilityMod = abilities[ability].modifier;
+		const proficient = hasWeaponProficiency(character, item);
+		const magicBonus = parseBonus(item.bonusWeapon);
+		const attackBonus = magicBonus + parseBonus(item.bonusWeaponAttack);
+		const damageBonus = magicBonus + parseBonus(item.bonusWeaponDamage);
+
+		const toHit = [{ label: ABILITY_LABELS[ability], value: abilityMod }];
+		if (proficient) toHit.push({ label: 'Proficiency', value: profBonus });
+		if (attackBonus) {
+			toHit.push({ label: `${item.name} (magic)`, value: attackBonus });
+		}
+		if (ranged && styles.has('Archery')) {
+			toHit.push({ label: 'Archery fighting style', value: 2 });
+		}
+
+		const damage = [{ label: ABILITY_LABELS[ability], value: abilityMod }];
+		if (damageBonus) {
+			damage.push({ label: `${item.name} (magic)`, value: damageBonus });
+		}
+		const oneHanded =
+			!ranged &&
+			!properties.includes('Two-Handed') &&
+			meleeWeapons.length === 1;
+		if (oneHanded && styles.has('Dueling')) {
+			damage.push({ label: 'Dueling fighting style', value: 2 });
+		}
+
+		const damageType = item.dmgType ? getDamageTypeName(item.dmgType) : '';
+		const damageValue = sumBreakdown(damage);
+		const dice = item.dmg1 || '';
+		const formula = dice ? formatDamageDice(dice, damageValue) : '';
+		const versatile =
+			properties.includes('Versatile') && item.dmg2 ? item.dmg2 : null;
+
+		const propertyLabels = properties.map((property) => {
+			if (property === 'Versatile' && versatile) {
+				return `Versatile (${formatDamageDice(versatile, abilityMod + damageBonus)})`;
+			}
+			if (property === 'Thrown' && !ranged && item.range) {
+				return `Thrown (${formatRange(item.range)})`;
+			}
+			return property;
+		});
+
+		const notes = [];
+		const mastery = String(item.mastery?.[0] || '').split('|')[0];
+		if (
+			mastery &&
+			mastered.has(normalizeWeaponName(item.baseName || item.name))
+		) {
+			notes.push(`Mastery: ${mastery}`);
+		}
+		if (
+			!ranged &&
+			styles.has('Great Weapon Fighting') &&
+			(properties.includes('Two-Handed') || versatile)
+		) {
+			notes.push('Great Weapon Fighting');
+		}
+
+		return {
+			id: item.id,
+			name: item.name,
+			ranged,
+			ability,
+			proficient,
+			range: ranged
+				? formatRange(item.range)
+				: properties.includes('Reach')
+					? '10 ft.'
+					: '5 ft.',
+			toHit: { value: sumBreakdown(toHit), breakdown: toHit },
+			damage: {
+				dice,
+				bonus: damageValue,
+				type: damageType,
+				formula,
+				text: [formula, damageType].filter(Boolean).join(' '),
+				breakdown: damage,
+			},
+			versatile,
+			properties: propertyLabels,
+			notes,
+		};
+	});
+}
+
+/** Carrying capacity (STR × 15) scaled by size and Powerful Build, with encumbrance thresholds. */
+export function computeCarryCapacity(character, options = {}) {
+	const abilities = options.abilities || computeAbilities(character);
+	const strength = abilities.strength.score;
+	const breakdown = [
+		{
+			label: `Strength ${strength} × ${CARRY_CAPACITY_MULTIPLIER}`,
+			value: strength * CARRY_CAPACITY_MULTIPLIER,
+		},
+	];
+
+	let multiplier = SIZE_CARRY_MULTIPLIER[getSizeAbv(character)] ?? 1;
+	if (getTraitNames(character).has('Powerful Build')) {
+		multiplier *= 2;
+	}
+
+	const value = Math.floor(strength * CARRY_CAPACITY_MULTIPLIER * multiplier);
+	if (value !== breakdown[0].value) {
+		breakdown.push({
+			label: 'Size and Powerful Build',
+			value: value - breakdown[0].value,
+		});
+	}
+
+	return {
+		value,
+		breakdown,
+		pushDragLift: value * 2,
+		encumbered: Math.floor(
+			strength * LIGHT_ENCUMBRANCE_MULTIPLIER * multiplier,
+		),
+		heavilyEncumbered: Math.floor(
+			strength * HEAVY_ENCUMBRANCE_MULTIPLIER * multiplier,
+		),
+	};
+}
+
+/**
+ * Compute every derived statistic for a character in one pass.
+ *
+ * @param {Object} character - Live Character instance or serialized character JSON
+ * @param {Object} [options]
+ * @param {string[]} [options.activeEffects] - Active effects such as 'Mage Armor'
+ * @returns {Object} Derived stats, each with a value and breakdown
+ */
+export function computeCharacterStats(character, options = {}) {
+	const abilities = computeAbilities(character);
+	const proficiencyBonus = getProficiencyBonus(character);
+	const shared = { ...options, abilities, proficiencyBonus };
+	const skills = computeSkills(character, shared);
+
+	return {
+		totalLevel: getTotalLevel(character),
+		proficiencyBonus,
+		abilities,
+		armorClass: computeArmorClass(character, shared),
+		hitPoints: computeMaxHitPoints(character, shared),
+		initiative: computeInitiative(character, shared),
+		savingThrows: computeSavingThrows(character, shared),
+		skills,
+		passives: computePassiveScores(character, { ...shared, skills }),
+		spellcasting: computeSpellcasting(character, shared),
+		attacks: computeAttacks(character, shared),
+		carryCapacity: computeCarryCapacity(character, shared),
+	};
+}
+
+/** Render a breakdown as a single-line string, e.g. "Chain Mail 16, Shield +2". */
+export function formatBreakdown(breakdown) {
+	return (breakdown || [])
+		.map((part, index) => {
+			if (index === 0) return `${part.label} ${part.value}`;
+			const sign = part.value < 0 ? '-' : '+';
+			return `${part.label} ${sign}${Math.abs(part.value)}`;
+		})
+		.join(', ');
+}
@@ -7,6 +7,7 @@ const state = {
 	cache: new Map(),
 	loading: {},
 	baseUrl: '', // Base URL now empty since data is at root
+	homebrew: null,
 };
 
 function _addToCache(url, data) {
@@ -132,9 +133,64 @@ async function loadSources() {
 	}
 }
 
+/**
+ * Load the enabled homebrew files registered in Settings.
+ * Resolves to an empty list when the bridge is unavailable or loading fails,
+ * so homebrew problems never block the core data.
+ * @returns {Promise<Array<{path: string, name: string, sources: Object[], data: Object}>>}
+ */
+async function loadHomebrew() {
+	if (state.homebrew) return state.homebrew;
+
+	state.homebrew = (async () => {
+		if (typeof window === 'undefined' || !window.data?.loadHomebrew) {
+			return [];
+		}
+		try {
+			const result = await window.data.loadHomebrew();
+			if (!result?.success) {
+				console.warn('[DataLoader]', 'Homebrew could not be loaded:', result?.error);
+				return [];
+			}
+			for (const { path, error } of result.errors || []) {
+				console.warn('[DataLoader]', `Skipped homebrew file ${path}: ${error}`);
+			}
+			return result.brews || [];
+		} catch (error) {
+			console.warn('[DataLoader]', 'Homebrew could not be loaded:', error);
+			return [];
+		}
+	})();
+
+	return state.homebrew;
+}
+
+/**
+ * Return a copy of `data` with homebrew entries of the given types appended.
+ * Entries are tagged with `homebrew: true` so the UI can mark them.
+ * @param {Object} data - Loaded data file (not mutated)
+ * @param {string[]} types - 5etools entity arrays to merge, e.g. ['race', 'subrace']
+ * @returns {Promise<Object>}
+ */
+async function withHomebrew(data, types) {
+	const brews = await loadHomebrew();
+	if (!data || brews.length === 0) return data;
+
+	const merged = { ...data };
+	for (const type of types) {
+		const entries = brews.flatMap((brew) =>
+			(brew.data?.[type] || []).map((entry) => ({ ...entry, homebrew: true })),
+		);
+		if (entries.length === 0) continue;
+		merged[type] = [...(data[type] || []), ...entries];
+	}
+	return merged;
+}
+
 function clearCache() {
 	state.cache.clear();
 	state.loading = {};
+	state.homebrew = null;
 	console.debug('[DataLoader]', 'Cache cleared');
 }
 
@@ -155,6 +211,8 @@ const dataLoader = {
 	loadConditions,
 	loadVariantRules,
 	loadSources,
+	loadHomebrew,
+	withHomebrew,
 	clearCache,
 	resetAll,
 };
@@ -13,6 +13,9 @@ export const EVENTS = {
 	CHARACTER_SAVED: 'character:saved',
 	CHARACTER_LOADED: 'character:loaded',
 
+	AUTOSAVE_STATUS_CHANGED: 'autosave:statusChanged',
+	UNDO_HISTORY_CHANGED: 'undo:historyChanged',
+
 	PAGE_CHANGED: 'page:changed',
 	PAGE_LOADED: 'page:loaded',
 
@@ -35,6 +38,7 @@ export const EVENTS = {
 	PROFICIENCY_OPTIONAL_CLEARED: 'proficiency:optionalCleared',
 	PROFICIENCY_OPTIONAL_SELECTED: 'proficiency:optionalSelected',
 	PROFICIENCY_OPTIONAL_DESELECTED: 'proficiency:optionalDeselected',
+	EXPERTISE_CHANGED: 'proficiency:expertiseChanged',
 
 	FEATS_SELECTED: 'feats:selected',
 
@@ -66,6 +70,8 @@ export const EVENTS = {
 	SPELL_SLOTS_RESTORED: 'spell-slots:restored',
 	SPELLS_UPDATED: 'spells:updated',
 
+	PLAY_STATE_CHANGED: 'play:stateChanged',
+
 	CHARACTER_LEVEL_CHANGED: 'character:levelChanged',
 	CHARACTER_LEVELED_UP: 'character:leveledUp',
 	CHARACTER_LEVELED_DOWN: 'character:leveledDown',
@@ -82,6 +88,8 @@ export const EVENTS = {
 
 	DATA_SOURCE_CHANGED: 'dataSource:changed',
 	SOURCES_ALLOWED_CHANGED: 'sources:allowed-changed',
+	HOMEBREW_CHANGED: 'homebrew:changed',
+	PARTIES_CHANGED: 'parties:changed',
 
 	SERVICE_INITIALIZED: 'service:initialized',
 };
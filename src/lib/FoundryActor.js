@@ -0,0 +1,593 @@
+/**
+ * Conversion of a serialized character into a Foundry VTT dnd5e actor document.
+ *
+ * The output targets the dnd5e 3.x data model and can be loaded with
+ * Foundry's "Import Data" on an actor. Derived values (ability scores, AC,
+ * HP, spell slots) are taken from CharacterStats so the exported actor
+ * matches what the app and the PDF sheet show. The code tables are exported
+ * so an importer can map Foundry data back.
+ */
+
+import { escapeHtml, fullAbilityToAbbr } from './5eToolsParser.js';
+import {
+	ABILITIES,
+	computeCharacterStats,
+	computeCurrentHitPoints,
+	computeSpellSlots,
+	getClassHitDie,
+	getTotalLevel,
+	isArmorItem,
+	isShieldItem,
+	parseBonus,
+	SKILL_ABILITY_MAP,
+} from './CharacterStats.js';
+
+/** Flag scope written on exported actors so importers can recognise them */
+export const FOUNDRY_EXPORT_FLAG = 'fizbanes-forge';
+
+export const FOUNDRY_DEFAULT_IMAGE = 'icons/svg/mystery-man.svg';
+
+export const FOUNDRY_SKILL_CODES = Object.freeze({
+	Acrobatics: 'acr',
+	'Animal Handling': 'ani',
+	Arcana: 'arc',
+	Athletics: 'ath',
+	Deception: 'dec',
+	History: 'his',
+	Insight: 'ins',
+	Intimidation: 'itm',
+	Investigation: 'inv',
+	Medicine: 'med',
+	Nature: 'nat',
+	Perception: 'prc',
+	Performance: 'prf',
+	Persuasion: 'per',
+	Religion: 'rel',
+	'Sleight of Hand': 'slt',
+	Stealth: 'ste',
+	Survival: 'sur',
+});
+
+export const FOUNDRY_LANGUAGE_CODES = Object.freeze({
+	Common: 'common',
+	Dwarvish: 'dwarvish',
+	Elvish: 'elvish',
+	Giant: 'giant',
+	Gnomish: 'gnomish',
+	Goblin: 'goblin',
+	Halfling: 'halfling',
+	Orc: 'orc',
+	Abyssal: 'abyssal',
+	Celestial: 'celestial',
+	Draconic: 'draconic',
+	'Deep Speech': 'deep',
+	Infernal: 'infernal',
+	Primordial: 'primordial',
+	Sylvan: 'sylvan',
+	Undercommon: 'undercommon',
+	Druidic: 'druidic',
+	"Thieves' Cant": 'cant',
+});
+
+export const FOUNDRY_ARMOR_CODES = Object.freeze({
+	'Light Armor': 'lgt',
+	'Medium Armor': 'med',
+	'Heavy Armor': 'hvy',
+	Shields: 'shl',
+});
+
+export const FOUNDRY_WEAPON_CODES = Object.freeze({
+	'Simple Weapons': 'sim',
+	'Martial Weapons': 'mar',
+});
+
+export const FOUNDRY_TOOL_CODES = Object.freeze({
+	"Alchemist's Supplies": 'alchemist',
+	"Brewer's Supplies": 'brewer',
+	"Calligrapher's Supplies": 'calligrapher',
+	"Carpenter's Tools": 'carpenter',
+	"Cartographer's Tools": 'cartographer',
+	"Cobbler's Tools": 'cobbler',
+	"Cook's Utensils": 'cook',
+	"Glassblower's Tools": 'glassblower',
+	"Jeweler's Tools": 'jeweler',
+	"Leatherworker's Tools": 'leatherworker',
+	"Mason's Tools": 'mason',
+	"Painter's Supplies": 'painter',
+	"Potter's Tools": 'potter',
+	"Smith's Tools": 'smith',
+	"Tinker's Tools": 'tinker',
+	"Weaver's Tools": 'weaver',
+	"Woodcarver's Tools": 'woodcarver',
+	'Disguise Kit': 'disg',
+	'Forgery Kit': 'forg',
+	'Herbalism Kit': 'herb',
+	"Navigator's Tools": 'navg',
+	"Poisoner's Kit": 'pois',
+	"Thieves' Tools": 'thief',
+	'Vehicles (Land)': 'land',
+	'Vehicles (Water)': 'water',
+});
+
+/** 5etools single-letter school codes to dnd5e school ids */
+export const FOUNDRY_SCHOOL_CODES = Object.freeze({
+	A: 'abj',
+	C: 'con',
+	D: 'div',
+	E: 'enc',
+	V: 'evo',
+	I: 'ill',
+	N: 'nec',
+	T: 'trs',
+});
+
+export const FOUNDRY_SIZE_CODES = Object.freeze({
+	T: 'tiny',
+	S: 'sm',
+	M: 'med',
+	L: 'lg',
+	H: 'huge',
+	G: 'grg',
+});
+
+const ARMOR_TYPE_VALUES = {
+	LA: 'light',
+	MA: 'medium',
+	HA: 'heavy',
+	S: 'shield',
+};
+
+const CONSUMABLE_TYPE_VALUES = {
+	P: 'potion',
+	SC: 'scroll',
+	A: 'ammo',
+	AF: 'ammo',
+	WD: 'wand',
+	RD: 'rod',
+	FD: 'food',
+};
+
+const TOOL_TYPE_CODES = ['AT', 'T', 'INS', 'GS'];
+
+/** Classes that prepare spells from a list rather than learning them */
+const PREPARED_CASTER_CLASSES = [
+	'Artificer',
+	'Cleric',
+	'Druid',
+	'Paladin',
+	'Wizard',
+];
+
+const PACT_MAGIC_CLASS = 'Warlock';
+
+function toIdentifier(name) {
+	return String(name || '')
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '-')
+		.replace(/^-+|-+$/g, '');
+}
+
+function getTypeCode(item) {
+	return String(item?.type || '')
+		.split('|')[0]
+		.toUpperCase();
+}
+
+function getSizeCode(size) {
+	const value = Array.isArray(size) ? size[0] : size;
+	const abv = String(value || 'M')
+		.charAt(0)
+		.toUpperCase();
+	return FOUNDRY_SIZE_CODES[abv] || 'med';
+}
+
+/** Split proficiency names into known Foundry codes and a custom remainder. */
+function mapTrait(names, codes) {
+	const value = [];
+	const custom = [];
+	for (const name of names || []) {
+		const code = codes[name];
+		if (code) {
+			if (!value.includes(code)) value.push(code);
+		} else if (name) {
+			custom.push(name);
+		}
+	}
+	return { value, custom: custom.join('; ') };
+}
+
+function collectProficiencies(character, type) {
+	const names = new Set(character.proficiencies?.[type] || []);
+	const optional = character.optionalProficiencies?.[type];
+	for (const name of optional?.selected || []) names.add(name);
+	for (const source of ['race', 'class', 'background']) {
+		for (const name of optional?.[source]?.selected || []) names.add(name);
+	}
+	return [...names];
+}
+
+function toParagraphs(text) {
+	if (!text) return '';
+	return String(text)
+		.split(/\n{2,}/)
+		.map(
+			(paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`,
+		)
+		.join('');
+}
+
+function buildAbilities(stats) {
+	const abilities = {};
+	for (const ability of ABILITIES) {
+		abilities[fullAbilityToAbbr(ability)] = {
+			value: stats.abilities[ability].score,
+			proficient: stats.savingThrows[ability].proficient ? 1 : 0,
+		};
+	}
+	return abilities;
+}
+
+function buildSkills(stats) {
+	const skills = {};
+	for (const [skill, code] of Object.entries(FOUNDRY_SKILL_CODES)) {
+		skills[code] = {
+			value: stats.skills[skill]?.expertise
+				? 2
+				: stats.skills[skill]?.proficient
+					? 1
+					: 0,
+			ability: fullAbilityToAbbr(SKILL_ABILITY_MAP[skill]),
+		};
+	}
+	return skills;
+}
+
+function buildTools(character) {
+	const tools = {};
+	const expert = new Set(
+		(character.expertise?.tools || []).map((tool) => tool.toLowerCase()),
+	);
+	for (const name of collectProficiencies(character, 'tools')) {
+		const code = FOUNDRY_TOOL_CODES[name];
+		if (!code) continue;
+		tools[code] = {
+			value: expert.has(name.toLowerCase()) ? 2 : 1,
+			ability: 'int',
+		};
+	}
+	return tools;
+}
+
+/**
+ * Spell slots keyed `spell1`..`spell9` plus `pact`, from the combined
+ * spellcasting model: the shared pool for every casting class and Pact Magic
+ * on its own. Slots left come from the pools stored on the character.
+ */
+function buildSpellSlots(character) {
+	const spells = {};
+	for (let level = 1; level <= 9; level++) {
+		spells[`spell${level}`] = { value: 0, override: null };
+	}
+	spells.pact = { value: 0, override: null };
+
+	const { slots, pactMagic } = computeSpellSlots(character);
+	const pools = character.spellcasting?.multiclass || {};
+	const toSlot = (max, stored) => ({
+		value: Math.min(max, stored?.current ?? max),
+		override: max,
+	});
+
+	for (const [level, max] of Object.entries(slots)) {
+		if (max) {
+			spells[`spell${level}`] = toSlot(max, pools.combinedSlots?.[level]);
+		}
+	}
+	if (pactMagic?.count) {
+		spells.pact = toSlot(
+			pactMagic.count,
+			pools.pactSlots?.[pactMagic.slotLevel],
+		);
+	}
+	return spells;
+}
+
+function buildClassItems(character) {
+	const items = [];
+	const hitDiceUsed = character.playState?.hitDiceUsed || {};
+
+	for (const entry of character.progression?.classes || []) {
+		if (!entry?.name) continue;
+		const identifier = toIdentifier(entry.name);
+		items.push({
+			name: entry.name,
+			type: 'class',
+			system: {
+				identifier,
+				levels: entry.levels || 1,
+				hitDice: `d${getClassHitDie(entry)}`,
+				hitDiceUsed: hitDiceUsed[entry.name] || 0,
+			},
+		});
+		if (entry.subclass) {
+			items.push({
+				name: entry.subclass,
+				type: 'subclass',
+				system: {
+					identifier: toIdentifier(entry.subclass),
+					classIdentifier: identifier,
+				},
+			});
+		}
+	}
+	return items;
+}
+
+function buildSpellItems(character) {
+	const items = [];
+	for (const [className, data] of Object.entries(
+		character.spellcasting?.classes || {},
+	)) {
+		const prepared = new Set((data?.spellsPrepared || []).map((s) => s.name));
+		for (const spell of data?.spellsKnown || []) {
+			if (!spell?.name) continue;
+			const level = spell.level || 0;
+
+			let preparation;
+			if (className === 'Bonus') {
+				preparation = { mode: 'innate', prepared: true };
+			} else if (className === PACT_MAGIC_CLASS && level > 0) {
+				preparation = { mode: 'pact', prepared: true };
+			} else if (PREPARED_CASTER_CLASSES.includes(className) && level > 0) {
+				preparation = { mode: 'prepared', prepared: prepared.has(spell.name) };
+			} else {
+				preparation = { mode: 'prepared', prepared: true };
+			}
+
+			items.push({
+				name: spell.name,
+				type: 'spell',
+				system: {
+					level,
+					school: FOUNDRY_SCHOOL_CODES[spell.school] || '',
+					source: { book: spell.source || '' },
+					sourceClass: className === 'Bonus' ? '' : toIdentifier(className),
+					preparation,
+				},
+			});
+		}
+	}
+	return items;
+}
+
+function buildInventoryItem(item) {
+	const typeCode = getTypeCode(item);
+	const system = {
+		quantity: item.quantity || 1,
+		weight: { value: item.weight || 0, units: 'lb' },
+		equipped: !!item.equipped,
+		source: { book: item.source || '' },
+		rarity: item.rarity && item.rarity !== 'none' ? item.rarity : '',
+		attunement: item.reqAttune ? 'required' : '',
+		attuned: !!item.attuned,
+	};
+
+	let type = 'loot';
+	if (item.weapon || typeCode === 'M' || typeCode === 'R') {
+		type = 'weapon';
+		const bonus =
+			parseBonus(item.bonusWeapon) ||
+			parseBonus(item.bonusWeaponAttack) ||
+			parseBonus(item.bonusWeaponDamage);
+		if (bonus) system.magicalBonus = bonus;
+	} else if (isArmorItem(item) || isShieldItem(item)) {
+		type = 'equipment';
+		system.type = {
+			value: ARMOR_TYPE_VALUES[isShieldItem(item) ? 'S' : typeCode] || 'light',
+		};
+		system.armor = { value: item.ac || 0 };
+		const bonus = parseBonus(item.bonusAc);
+		if (bonus) system.armor.magicalBonus = bonus;
+	} else if (CONSUMABLE_TYPE_VALUES[typeCode]) {
+		type = 'consumable';
+		system.type = { value: CONSUMABLE_TYPE_VALUES[typeCode] };
+	} else if (TOOL_TYPE_CODES.includes(typeCode)) {
+		type = 'tool';
+	}
+
+	return { name: item.name, type, system };
+}
+
+function buildFeatItems(character) {
+	return (character.feats || [])
+		.filter((feat) => feat?.name)
+		.map((feat) => ({
+			name: feat.name,
+			type: 'feat',
+			system: {
+				type: { value: 'feat' },
+				source: { book: feat.source || '' },
+			},
+		}));
+}
+
+function buildOriginItems(character) {
+	const items = [];
+	if (character.race?.name) {
+		items.push({
+			name: character.race.subrace
+				? `${character.race.name} (${character.race.subrace})`
+				: character.race.name,
+			type: 'race',
+			system: {
+				identifier: toIdentifier(character.race.name),
+				source: { book: character.race.source || '' },
+			},
+		});
+	}
+	if (character.background?.name) {
+		items.push({
+			name: character.background.name,
+			type: 'background',
+			system: {
+				identifier: toIdentifier(character.background.name),
+				source: { book: character.background.source || '' },
+			},
+		});
+	}
+	return items;
+}
+
+function buildBiography(character) {
+	let html = toParagraphs(character.backstory);
+	const allies = character.alliesAndOrganizations;
+	if (allies?.selectedAlly || allies?.customNotes) {
+		html += '<h2>Allies &amp; Organizations</h2>';
+		if (allies.selectedAlly) html += toParagraphs(allies.selectedAlly);
+		html += toParagraphs(allies.customNotes);
+	}
+	if (character.additionalFeatures) {
+		html += `<h2>Additional Features</h2>${toParagraphs(character.additionalFeatures)}`;
+	}
+	return html;
+}
+
+function getPortraitImage(character) {
+	if (character.embeddedPortrait?.data) return character.embeddedPortrait.data;
+	if (String(character.portrait || '').startsWith('data:'))
+		return character.portrait;
+	return FOUNDRY_DEFAULT_IMAGE;
+}
+
+/**
+ * Build a Foundry dnd5e actor document from serialized character data.
+ *
+ * @param {Object} character - Serialized character JSON (as saved in .ffp)
+ * @returns {Object} Actor document ready to be written as JSON
+ */
+export function toFoundryActor(character) {
+	if (!character || typeof character !== 'object') {
+		throw new TypeError('Character data is required');
+	}
+
+	const stats = computeCharacterStats(character);
+	const img = getPortraitImage(character);
+	const playState = character.playState || {};
+	const speed = character.speed || {};
+	const spellcastingAbility = stats.spellcasting[0]?.ability;
+
+	const languages = mapTrait(
+		collectProficiencies(character, 'languages'),
+		FOUNDRY_LANGUAGE_CODES,
+	);
+	const armorProf = mapTrait(
+		collectProficiencies(character, 'armor'),
+		FOUNDRY_ARMOR_CODES,
+	);
+	const weaponProf = mapTrait(
+		collectProficiencies(character, 'weapons'),
+		FOUNDRY_WEAPON_CODES,
+	);
+
+	const inventoryItems = (character.inventory?.items || [])
+		.filter((item) => item?.name)
+		.map(buildInventoryItem);
+
+	return {
+		name: character.name || 'Unnamed Character',
+		type: 'character',
+		img,
+		system: {
+			abilities: buildAbilities(stats),
+			skills: buildSkills(stats),
+			tools: buildTools(character),
+			attributes: {
+				ac: { calc: 'flat', flat: stats.armorClass.value },
+				hp: {
+					value: computeCurrentHitPoints(character, stats.hitPoints.value),
+					max: stats.hitPoints.value,
+					temp: character.hitPoints?.temp || 0,
+				},
+				death: {
+					success: playState.deathSaves?.successes || 0,
+					failure: playState.deathSaves?.failures || 0,
+				},
+				exhaustion: playState.exhaustion || 0,
+				movement: {
+					walk: speed.walk || 0,
+					fly: speed.fly || 0,
+					swim: speed.swim || 0,
+					climb: speed.climb || 0,
+					burrow: speed.burrow || 0,
+					units: 'ft',
+					hover: false,
+				},
+				senses: {
+					darkvision: character.features?.darkvision || 0,
+					units: 'ft',
+				},
+				spellcasting: spellcastingAbility
+					? fullAbilityToAbbr(spellcastingAbility)
+					: '',
+			},
+			details: {
+				level: getTotalLevel(character),
+				alignment: character.alignment || '',
+				xp: {
+					value:
+						character.progression?.experiencePoints ||
+						Number(character.experience) ||
+						0,
+				},
+				biography: { value: buildBiography(character), public: '' },
+				trait: character.personalityTraits || '',
+				ideal: character.ideals || '',
+				bond: character.bonds || '',
+				flaw: character.flaws || '',
+				age: String(character.age || ''),
+				height: character.height || '',
+				weight: character.weight || '',
+				eyes: character.eyeColor || '',
+				hair: character.hairColor || '',
+				skin: character.skinColor || '',
+				gender: character.gender || '',
+				faith: character.deity || '',
+			},
+			traits: {
+				size: getSizeCode(character.size),
+				languages,
+				armorProf,
+				weaponProf,
+				dr: {
+					value: [],
+					custom: (character.features?.resistances || []).join('; '),
+				},
+			},
+			currency: {
+				pp: character.inventory?.currency?.pp || 0,
+				gp: character.inventory?.currency?.gp || 0,
+				ep: character.inventory?.currency?.ep || 0,
+				sp: character.inventory?.currency?.sp || 0,
+				cp: character.inventory?.currency?.cp || 0,
+			},
+			spells: buildSpellSlots(character),
+		},
+		items: [
+			...buildOriginItems(character),
+			...buildClassItems(character),
+			...buildFeatItems(character),
+			...buildSpellItems(character),
+			...inventoryItems,
+		],
+		prototypeToken: {
+			name: character.name || 'Unnamed Character',
+			actorLink: true,
+			texture: { src: img },
+		},
+		flags: {
+			[FOUNDRY_EXPORT_FLAG]: {
+				characterId: character.id || null,
+				playerName: character.playerName || '',
+			},
+		},
+	};
+}
@@ -42,6 +42,20 @@ export const PROFICIENCY_TYPES = Object.freeze({
     LANGUAGES: 'languages',
 });
 
+/**
+ * Expertise granted by class features, which 5etools describes only in prose.
+ * Keyed `name|className|source`, `name|className` or `name`; the most specific
+ * key wins. `skills` is the number of proficient skills to choose, `tools`
+ * lists tools that may be chosen instead of a skill.
+ */
+export const EXPERTISE_CLASS_FEATURES = Object.freeze({
+    'Expertise|Rogue|PHB': { skills: 2, tools: ["Thieves' Tools"] },
+    'Expertise|Rogue': { skills: 2 },
+    'Expertise|Bard': { skills: 2 },
+    'Expertise|Ranger': { skills: 2 },
+    'Deft Explorer|Ranger|XPHB': { skills: 1 },
+});
+
 /** Default hit dice per class (fallback when class JSON lacks hd field) */
 export const DEFAULT_HIT_DICE = Object.freeze({
     Barbarian: 'd12',
@@ -63,3 +77,338 @@ export function parseHitDice(hitDice) {
     const match = hitDice?.match(/d(\d+)/);
     return match ? parseInt(match[1], 10) : 8;
 }
+
+/** Highest exhaustion level; reaching it is fatal */
+export const MAX_EXHAUSTION_LEVEL = 6;
+
+export const DEATH_SAVES_TO_RESOLVE = 3;
+
+export const REST_TYPES = Object.freeze({
+    SHORT: 'short',
+    LONG: 'long',
+});
+
+/**
+ * Limited-use class features tracked in play mode.
+ * `columns` name the class table columns holding the use count, which win over
+ * the fallback `uses`: a level table ([[fromLevel, count], ...]),
+ * `{ perLevel }` or `{ ability, min }`. `features` are the class feature names
+ * whose text decides the recharge; `recharge` is the fallback.
+ */
+export const CLASS_RESOURCES = Object.freeze([
+    {
+        id: 'rage',
+        name: 'Rage',
+        className: 'Barbarian',
+        features: ['Rage'],
+        columns: ['Rages'],
+        recharge: REST_TYPES.LONG,
+        uses: [[1, 2], [3, 3], [6, 4], [12, 5], [17, 6], [20, Infinity]],
+    },
+    {
+        id: 'bardicInspiration',
+        name: 'Bardic Inspiration',
+        className: 'Bard',
+        features: ['Bardic Inspiration'],
+        columns: [],
+        recharge: REST_TYPES.LONG,
+        shortRestFromLevel: 5,
+        uses: { ability: 'charisma', min: 1 },
+    },
+    {
+        id: 'channelDivinityCleric',
+        name: 'Channel Divinity',
+        className: 'Cleric',
+        features: ['Channel Divinity'],
+        columns: ['Channel Divinity'],
+        recharge: REST_TYPES.SHORT,
+        uses: [[2, 1], [6, 2], [18, 3]],
+    },
+    {
+        id: 'wildShape',
+        name: 'Wild Shape',
+        className: 'Druid',
+        features: ['Wild Shape'],
+        columns: ['Wild Shape'],
+        recharge: REST_TYPES.SHORT,
+        uses: [[2, 2]],
+    },
+    {
+        id: 'secondWind',
+        name: 'Second Wind',
+        className: 'Fighter',
+        features: ['Second Wind'],
+        columns: ['Second Wind'],
+        recharge: REST_TYPES.SHORT,
+        uses: [[1, 1]],
+    },
+    {
+        id: 'actionSurge',
+        name: 'Action Surge',
+        className: 'Fighter',
+        features: ['Action Surge'],
+        columns: [],
+        recharge: REST_TYPES.SHORT,
+        uses: [[2, 1], [17, 2]],
+    },
+    {
+        id: 'ki',
+        name: 'Ki Points',
+        className: 'Monk',
+        features: ['Ki', "Monk's Focus"],
+        columns: ['Ki Points', 'Focus Points'],
+        recharge: REST_TYPES.SHORT,
+        uses: { perLevel: 1, minLevel: 2 },
+    },
+    {
+        id: 'channelDivinityPaladin',
+        name: 'Channel Divinity',
+        className: 'Paladin',
+        features: ['Channel Divinity'],
+        columns: ['Channel Divinity'],
+        recharge: REST_TYPES.SHORT,
+        uses: [[3, 1]],
+    },
+    {
+        id: 'layOnHands',
+        name: 'Lay on Hands',
+        className: 'Paladin',
+        features: ['Lay on Hands'],
+        columns: [],
+        recharge: REST_TYPES.LONG,
+        uses: { perLevel: 5, minLevel: 1 },
+    },
+    {
+        id: 'sorceryPoints',
+        name: 'Sorcery Points',
+        className: 'Sorcerer',
+        features: ['Font of Magic'],
+        columns: ['Sorcery Points'],
+        recharge: REST_TYPES.LONG,
+        uses: { perLevel: 1, minLevel: 2 },
+    },
+    {
+        id: 'arcaneRecovery',
+        name: 'Arcane Recovery',
+        className: 'Wizard',
+        features: ['Arcane Recovery'],
+        columns: [],
+        recharge: REST_TYPES.LONG,
+        uses: [[1, 1]],
+    },
+]);
+
+/**
+ * Dice methods for rolled ability scores. `keep` is how many of the highest
+ * dice count; `inOrder` assigns the six totals to STR..CHA as rolled.
+ */
+export const ABILITY_ROLL_METHODS = Object.freeze({
+    '4d6-drop-lowest': {
+        label: '4d6, drop lowest',
+        dice: 4,
+        keep: 3,
+        rerollOnes: false,
+        inOrder: false,
+    },
+    '4d6-reroll-ones': {
+        label: '4d6, reroll 1s, drop lowest',
+        dice: 4,
+        keep: 3,
+        rerollOnes: true,
+        inOrder: false,
+    },
+    '3d6-in-order': {
+        label: '3d6 in order',
+        dice: 3,
+        keep: 3,
+        rerollOnes: false,
+        inOrder: true,
+    },
+});
+
+export const DEFAULT_ABILITY_ROLL_METHOD = '4d6-drop-lowest';
+
+/** Kinds of entries in a character's roll log */
+export const ROLL_TYPES = Object.freeze({
+    ABILITY_SCORES: 'abilityScores',
+    HIT_POINTS: 'hitPoints',
+});
+
+/**
+ * How new levels gain hit points, saved as variantRules.hitPointMethod.
+ * Characters without it take the average, whatever else they saved.
+ */
+export const HIT_POINT_METHODS = Object.freeze({
+    AVERAGE: 'average',
+    ROLL: 'roll',
+});
+
+/** Character-building rulesets; '2024' follows the 2024 Player's Handbook */
+export const RULESETS = Object.freeze({
+    LEGACY: '2014',
+    MODERN: '2024',
+});
+
+export const DEFAULT_RULESET = RULESETS.LEGACY;
+
+/** Class level at which 2024 classes gain an Epic Boon feat */
+export const EPIC_BOON_LEVEL = 19;
+
+/**
+ * Customizing Your Origin (Tasha's Cauldron of Everything): racial ability
+ * increases may move to other abilities, and a +2/+1 race may take +1/+1/+1.
+ * Only these proficiency types can be swapped for others of the same type.
+ */
+export const CUSTOM_ORIGIN_SPREADS = Object.freeze([[2, 1], [1, 1, 1]]);
+export const CUSTOM_ORIGIN_SWAP_TYPES = Object.freeze(['skills', 'weapons', 'tools']);
+
+/** Tasha's Custom Lineage and the range of its Variable Trait darkvision */
+export const CUSTOM_LINEAGE = Object.freeze({ name: 'Custom Lineage', source: 'TCE' });
+export const CUSTOM_LINEAGE_DARKVISION = 60;
+
+/**
+ * Weapons each class can apply Mastery properties to under the 2024 rules,
+ * as [[fromLevel, count], ...]. The class table "Weapon Mastery" column wins
+ * when the data has one.
+ */
+export const WEAPON_MASTERY_COUNTS = Object.freeze({
+    Barbarian: [[1, 2], [4, 3], [10, 4]],
+    Fighter: [[1, 3], [4, 4], [10, 5], [16, 6]],
+    Paladin: [[1, 2]],
+    Ranger: [[1, 2]],
+    Rogue: [[1, 2]],
+});
+
+/** Kinds of creatures a character can keep on its Companions list */
+export const COMPANION_KINDS = Object.freeze({
+    FAMILIAR: 'familiar',
+    BEAST_COMPANION: 'beast-companion',
+    WILD_SHAPE: 'wild-shape',
+});
+
+export const COMPANION_KIND_LABELS = Object.freeze({
+    [COMPANION_KINDS.FAMILIAR]: 'Familiar',
+    [COMPANION_KINDS.BEAST_COMPANION]: 'Beast Companion',
+    [COMPANION_KINDS.WILD_SHAPE]: 'Wild Shape',
+});
+
+/** Bestiaries searched for companions besides the allowed sources */
+export const COMPANION_BESTIARY_SOURCES = Object.freeze({
+    2014: ['MM'],
+    2024: ['XMM', 'XPHB'],
+});
+
+/** Forms named by Find Familiar; the 2024 spell also allows any CR 0 Beast */
+export const FIND_FAMILIAR_CREATURES = Object.freeze([
+    'Bat', 'Cat', 'Crab', 'Frog', 'Hawk', 'Lizard', 'Octopus', 'Owl',
+    'Poisonous Snake', 'Quipper', 'Rat', 'Raven', 'Sea Horse', 'Spider',
+    'Weasel',
+]);
+
+/** Extra familiar forms granted by Pact of the Chain (2014 and 2024) */
+export const PACT_OF_THE_CHAIN_CREATURES = Object.freeze([
+    'Imp', 'Pseudodragon', 'Quasit', 'Skeleton', 'Slaad Tadpole',
+    'Sphinx of Wonder', 'Sprite', 'Venomous Snake',
+]);
+
+/** 2014 Ranger's Companion: a Beast no larger than Medium, CR 1/4 or lower */
+export const BEAST_COMPANION_MAX_CR = 0.25;
+export const BEAST_COMPANION_SIZES = Object.freeze(['T', 'S', 'M']);
+
+/** 2024 Primal Companion stat blocks */
+export const PRIMAL_COMPANION_CREATURES = Object.freeze([
+    'Beast of the Land', 'Beast of the Sea', 'Beast of the Sky',
+]);
+
+/**
+ * Wild Shape limits by Druid level as [{ level, maxCr, fly, swim }, ...].
+ * Circle of the Moon raises the CR limit to 1, then a third of the Druid
+ * level from level 6.
+ */
+export const WILD_SHAPE_LIMITS = Object.freeze({
+    2014: [
+        { level: 2, maxCr: 0.25, fly: false, swim: false },
+        { level: 4, maxCr: 0.5, fly: false, swim: true },
+        { level: 8, maxCr: 1, fly: true, swim: true },
+    ],
+    2024: [
+        { level: 2, maxCr: 0.25, fly: false, swim: true },
+        { level: 4, maxCr: 0.5, fly: false, swim: true },
+        { level: 8, maxCr: 1, fly: true, swim: true },
+    ],
+});
+
+/** Spell card PDF layouts in points (72 per inch). Spellbook flows spells down full pages. */
+export const SPELL_CARD_SIZES = Object.freeze({
+    standard: { label: 'Standard card (2.5 × 3.5 in)', width: 180, height: 252 },
+    large: { label: 'Large card (3.5 × 5 in)', width: 252, height: 360 },
+    spellbook: { label: 'Spellbook pages', width: 612, height: 792 },
+});
+
+export const SPELL_CARD_SORTS = Object.freeze({
+    level: 'Level, then name',
+    name: 'Name',
+    school: 'School, then level',
+    class: 'Class, then level',
+});
+
+export const DEFAULT_SPELL_CARD_OPTIONS = Object.freeze({ cardSize: 'standard', sortBy: 'level' });
+
+/**
+ * How each class's levels count toward the shared multiclass caster level.
+ * 'pact' classes keep their own Pact Magic slots; 'artificer' rounds half up.
+ */
+export const CASTER_PROGRESSIONS = Object.freeze({
+    Artificer: 'artificer',
+    Bard: 'full',
+    Cleric: 'full',
+    Druid: 'full',
+    Paladin: '1/2',
+    Ranger: '1/2',
+    Sorcerer: 'full',
+    Warlock: 'pact',
+    Wizard: 'full',
+});
+
+/** Subclasses that give a non-casting class the Spellcasting feature */
+export const SUBCLASS_CASTER_PROGRESSIONS = Object.freeze({
+    'Arcane Trickster': '1/3',
+    'Eldritch Knight': '1/3',
+});
+
+/** Spell slots per spell level (1st first) for caster levels 1-20; index 0 is unused */
+export const SPELL_SLOTS_BY_CASTER_LEVEL = Object.freeze([
+    [],
+    [2],
+    [3],
+    [4, 2],
+    [4, 3],
+    [4, 3, 2],
+    [4, 3, 3],
+    [4, 3, 3, 1],
+    [4, 3, 3, 2],
+    [4, 3, 3, 3, 1],
+    [4, 3, 3, 3, 2],
+    [4, 3, 3, 3, 2, 1],
+    [4, 3, 3, 3, 2, 1],
+    [4, 3, 3, 3, 2, 1, 1],
+    [4, 3, 3, 3, 2, 1, 1],
+    [4, 3, 3, 3, 2, 1, 1, 1],
+    [4, 3, 3, 3, 2, 1, 1, 1],
+    [4, 3, 3, 3, 2, 1, 1, 1, 1],
+    [4, 3, 3, 3, 3, 1, 1, 1, 1],
+    [4, 3, 3, 3, 3, 2, 1, 1, 1],
+    [4, 3, 3, 3, 3, 2, 2, 1, 1],
+]);
+
+/** Pact Magic [slot count, slot level] for Warlock levels 1-20; index 0 is unused */
+export const PACT_MAGIC_SLOTS = Object.freeze([
+    [0, 0],
+    [1, 1], [2, 1], [2, 2], [2, 2], [2, 3],
+    [2, 3], [2, 4], [2, 4], [2, 5], [2, 5],
+    [3, 5], [3, 5], [3, 5], [3, 5], [3, 5],
+    [3, 5], [4, 5], [4, 5], [4, 5], [4, 5],
+]);
+
+/** Warlock level at which Mystic Arcanum grants a spell of each level */
+export const MYSTIC_ARCANUM_LEVELS = Object.freeze({ 6: 11, 7: 13, 8: 15, 9: 17 });
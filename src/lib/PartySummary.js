@@ -0,0 +1,66 @@
+/**
+ * Party dashboard figures for a group of characters: each member's defenses,
+ * passive scores and languages, plus the skills no member is proficient in.
+ * Pure, so it runs on the saved character list without loading anyone.
+ */
+
+import {
+	computeCharacterStats,
+	computeCurrentHitPoints,
+	SKILL_ABILITY_MAP,
+} from './CharacterStats.js';
+
+function describeClasses(character) {
+	return (character?.progression?.classes || [])
+		.map((cls) => `${cls.name} ${cls.levels}`)
+		.join(' / ');
+}
+
+/**
+ * @param {Array<Object>} characters - Party members
+ * @returns {{members: Array<Object>, uncoveredSkills: string[],
+ *   languages: string[]}} `languages` is every language someone in the party
+ *   speaks
+ */
+export function summarizeParty(characters) {
+	const covered = new Set();
+	const languages = new Set();
+
+	const members = characters.map((character) => {
+		const stats = computeCharacterStats(character);
+		for (const [skill, entry] of Object.entries(stats.skills)) {
+			if (entry.proficient) covered.add(skill);
+		}
+		const memberLanguages = [
+			...new Set(character.proficiencies?.languages || []),
+		].sort((a, b) => a.localeCompare(b));
+		for (const language of memberLanguages) languages.add(language);
+
+		return {
+			id: character.id,
+			name: character.name || 'Unnamed Character',
+			level: stats.totalLevel,
+			classes: describeClasses(character),
+			armorClass: stats.armorClass.value,
+			hitPoints: {
+				current: computeCurrentHitPoints(character, stats.hitPoints.value),
+				max: stats.hitPoints.value,
+				temp: character.hitPoints?.temp || 0,
+			},
+			passives: {
+				perception: stats.passives.perception.value,
+				insight: stats.passives.insight.value,
+				investigation: stats.passives.investigation.value,
+			},
+			languages: memberLanguages,
+		};
+	});
+
+	return {
+		members,
+		uncoveredSkills: Object.keys(SKILL_ABILITY_MAP).filter(
+			(skill) => !covered.has(skill),
+		),
+		languages: [...languages].sort((a, b) => a.localeCompare(b)),
+	};
+}
@@ -1,147 +1,489 @@
 import { classService } from '../services/ClassService.js';
+import { attAbvToLower, toTitleCase } from './5eToolsParser.js';
+import { CLASS_ASI_LEVELS, DEFAULT_ASI_LEVELS } from './GameRules.js';
+
+const MAX_LEVEL = 20;
+const DEFAULT_ABILITY_SCORE = 13;
+const ASI_INCREASE = 2;
+const MAX_ABILITY_SCORE = 20;
+
+/** Condition types that levelling up alone can satisfy */
+const LEVELLING_TYPES = new Set(['level', 'ability']);
+
+/** Proficiency names the character stores for 5etools proficiency keys */
+const PROFICIENCY_ALIASES = {
+    armor: (name) => [name, `${name} armor`, `${name}s`],
+    weapon: (name) => [name, `${name} weapons`],
+    weaponGroup: (name) => [name, `${name} weapons`],
+};
+
+const PROFICIENCY_TYPES = {
+    armor: 'armor',
+    weapon: 'weapons',
+    weaponGroup: 'weapons',
+};
+
+/** Strip `|source` and `#variant` suffixes from a 5etools reference */
+function refName(ref) {
+    return String(ref).split('#')[0].split('|')[0];
+}
+
+function orList(names) {
+    return names.join(' or ');
+}
+
+function getClassLevel(character, className) {
+    if (character.progression?.classes) {
+        const classEntry = character.progression.classes.find(
+            (c) => c.name === className,
+        );
+        return classEntry ? classEntry.levels || 1 : null;
+    }
+    if (character.classes) {
+        const classEntry = character.classes.find((c) => c.name === className);
+        return classEntry ? classEntry.level || classEntry.levels || 1 : null;
+    }
+    return null;
+}
+
+function getScore(character, ability) {
+    if (typeof character.getAbilityScore === 'function') {
+        return character.getAbilityScore(ability);
+    }
+    return character.abilityScores?.[ability] || 0;
+}
 
 /**
- * Check if a character meets a single prerequisite condition.
- * Used by FeatService and OptionalFeatureService.
- *
- * @param {Object} prereq - Single prerequisite object from 5etools data
- * @param {Object} character - Character object
- * @param {Object} [options] - Options like { ignoreRacePrereq, className }
- * @returns {{ met: boolean, reason?: string }}
+ * Features the character has gained. `features` is an array while the class
+ * feature picker stages choices; otherwise they live on the progression.
  */
-export function checkPrerequisite(prereq, character, options = {}) {
-    if (!character) return { met: false, reason: 'No character' };
+function getFeatureNames(character) {
+    const features = Array.isArray(character.features)
+        ? [...character.features]
+        : [];
+    for (const cls of character.progression?.classes || []) {
+        if (Array.isArray(cls.features)) features.push(...cls.features);
+    }
+    return features
+        .map((f) => (typeof f === 'string' ? f : f?.name))
+        .filter(Boolean)
+        .map((name) => name.toLowerCase());
+}
 
-    if (prereq.level !== undefined) {
-        let charLevel = character.getTotalLevel();
-        if (options.className) {
-            if (character.progression?.classes) {
-                const classEntry = character.progression.classes.find(
-                    (c) => c.name === options.className,
-                );
-                if (classEntry) {
-                    charLevel = classEntry.levels || 1;
-                }
-            } else if (character.classes) {
-                const classEntry = character.classes.find(
-                    (c) => c.name === options.className,
-                );
-                if (classEntry) {
-                    charLevel = classEntry.level || classEntry.levels || 1;
-                }
+function hasKnownSpell(character, spellName) {
+    for (const cs of Object.values(character.spellcasting?.classes || {})) {
+        for (const list of [cs.spellsKnown, cs.cantrips, cs.preparedSpells]) {
+            if (list?.some((s) => s.name?.toLowerCase() === spellName)) {
+                return true;
             }
         }
-        const requiredLevel =
-            typeof prereq.level === 'object'
-                ? prereq.level.level || 1
-                : prereq.level;
-        if (charLevel < requiredLevel) {
-            return { met: false, reason: `Requires ${options.className || 'character'} level ${requiredLevel}` };
-        }
     }
+    return false;
+}
 
-    if (Array.isArray(prereq.ability)) {
-        const abilityScores = character.abilityScores || {};
-        const meetsAbility = prereq.ability.some((abilityReq) => {
-            if (typeof abilityReq === 'string') {
-                return (abilityScores[abilityReq] || 0) >= 13;
-            }
-            if (typeof abilityReq === 'object' && abilityReq.ability) {
-                return (abilityScores[abilityReq.ability] || 0) >= (abilityReq.score || 13);
+function evaluateLevel(prereq, character, options) {
+    const levelClass =
+        typeof prereq.level === 'object' ? prereq.level.class?.name : null;
+    const className = levelClass || options.className || null;
+    const required =
+        typeof prereq.level === 'object'
+            ? prereq.level.level || 1
+            : prereq.level;
+
+    let current = character.getTotalLevel();
+    if (className) {
+        const classLevel = getClassLevel(character, className);
+        if (classLevel !== null) current = classLevel;
+        else if (levelClass) current = 0;
+    }
+
+    if (current >= required) return null;
+    return {
+        type: 'level',
+        label: `${className || 'Character'} level ${required}`,
+        required,
+        current,
+        className: levelClass || (options.className ? className : null),
+    };
+}
+
+function evaluateAbility(prereq, character) {
+    const choices = [];
+    for (const abilityReq of prereq.ability) {
+        if (typeof abilityReq === 'string') {
+            choices.push({
+                ability: attAbvToLower(abilityReq),
+                score: DEFAULT_ABILITY_SCORE,
+            });
+        } else if (abilityReq?.ability) {
+            choices.push({
+                ability: attAbvToLower(abilityReq.ability),
+                score: abilityReq.score || DEFAULT_ABILITY_SCORE,
+            });
+        } else if (abilityReq && typeof abilityReq === 'object') {
+            // 5etools form: { str: 13, dex: 13 } means either score
+            for (const [abv, score] of Object.entries(abilityReq)) {
+                choices.push({ ability: attAbvToLower(abv), score });
             }
-            return false;
-        });
-        if (!meetsAbility) {
-            return { met: false, reason: 'Does not meet ability score requirement' };
         }
     }
+    if (choices.length === 0) return null;
 
-    if (!options.ignoreRacePrereq && Array.isArray(prereq.race)) {
-        const characterRace = character.race?.name?.toLowerCase() || '';
-        const meetsRace = prereq.race.some((raceReq) => {
-            const reqName = typeof raceReq === 'string' ? raceReq : raceReq.name;
-            return reqName && characterRace === reqName.toLowerCase();
-        });
-        if (!meetsRace) {
-            return { met: false, reason: 'Race requirement not met' };
+    const options = choices.map((choice) => ({
+        ...choice,
+        current: getScore(character, choice.ability),
+    }));
+    if (options.some((o) => o.current >= o.score)) return null;
+
+    return {
+        type: 'ability',
+        label: orList(
+            options.map((o) => `${toTitleCase(o.ability)} ${o.score}`),
+        ),
+        options,
+    };
+}
+
+function evaluateRace(prereq, character) {
+    const characterRace = character.race?.name?.toLowerCase() || '';
+    const names = prereq.race
+        .map((raceReq) => (typeof raceReq === 'string' ? raceReq : raceReq.name))
+        .filter(Boolean);
+    if (names.some((name) => characterRace === name.toLowerCase())) return null;
+
+    const labels = prereq.race.map((raceReq) => {
+        if (typeof raceReq === 'string') return toTitleCase(raceReq);
+        return raceReq.displayEntry || toTitleCase(raceReq.name || '');
+    });
+    return { type: 'race', label: orList(labels), options: names };
+}
+
+function evaluateClass(prereq, character) {
+    const names = prereq.class
+        .map((classReq) =>
+            typeof classReq === 'string' ? classReq : classReq.name,
+        )
+        .filter(Boolean);
+    const classes = (character.progression?.classes || []).map((c) =>
+        c.name?.toLowerCase(),
+    );
+    if (names.some((name) => classes.includes(name.toLowerCase()))) return null;
+    return {
+        type: 'class',
+        label: orList(names.map((name) => toTitleCase(name))),
+        options: names,
+    };
+}
+
+function evaluateProficiency(prereq, character) {
+    const choices = [];
+    for (const profReq of prereq.proficiency) {
+        for (const [key, value] of Object.entries(profReq || {})) {
+            const type = PROFICIENCY_TYPES[key];
+            if (!type) continue;
+            choices.push({ type, key, name: refName(value).toLowerCase() });
         }
     }
+    if (choices.length === 0) return null;
+
+    const hasChoice = choices.some(({ type, key, name }) => {
+        const known = (
+            character.getProficienciesByType?.(type) ||
+            character.proficiencies?.[type] ||
+            []
+        ).map((p) => String(p).toLowerCase());
+        return PROFICIENCY_ALIASES[key](name).some((alias) =>
+            known.includes(alias),
+        );
+    });
+    if (hasChoice) return null;
 
+    return {
+        type: 'proficiency',
+        label: orList(
+            choices.map(({ key, name }) =>
+                key === 'armor'
+                    ? `${toTitleCase(name)} armor proficiency`
+                    : `${toTitleCase(name)} weapon proficiency`,
+            ),
+        ),
+        options: choices,
+    };
+}
+
+function hasSpellcasting(character) {
+    const hasCastingClass = (character.progression?.classes || []).some(
+        (cls) =>
+            classService?.getClass?.(cls.name, cls.source)?.spellcastingAbility,
+    );
+    if (hasCastingClass) return true;
+    return Object.values(character.spellcasting?.classes || {}).some(
+        (cs) => cs.cantrips?.length || cs.spellsKnown?.length,
+    );
+}
+
+function evaluateSpell(prereq, character) {
+    const requiredSpells = Array.isArray(prereq.spell)
+        ? prereq.spell
+        : [prereq.spell];
+    const missing = requiredSpells
+        .map((spellRef) => refName(spellRef))
+        .filter((name) => !hasKnownSpell(character, name.toLowerCase()));
+    if (missing.length === 0) return null;
+    return {
+        type: 'spell',
+        label: missing.map((name) => toTitleCase(name)).join(', '),
+        options: missing,
+    };
+}
+
+function evaluateFeat(prereq, character) {
+    const owned = (character.feats || []).map((f) => f.name?.toLowerCase());
+    const missing = prereq.feat
+        .map((featRef) => refName(featRef))
+        .filter((name) => !owned.includes(name.toLowerCase()));
+    if (missing.length === 0) return null;
+    return {
+        type: 'feat',
+        label: `${missing.map((name) => toTitleCase(name)).join(', ')} feat`,
+        options: missing,
+    };
+}
+
+/**
+ * Every unmet condition of a single prerequisite entry.
+ * @param {Object} prereq - Single prerequisite object from 5etools data
+ * @param {Object} character - Character object
+ * @param {Object} [options] - Options like { ignoreRacePrereq, className }
+ * @returns {{ unmet: Array<Object>, notes: string[] }}
+ */
+function evaluatePrerequisite(prereq, character, options = {}) {
+    const unmet = [];
+    const notes = [];
+    const push = (condition) => {
+        if (condition) unmet.push(condition);
+    };
+
+    if (prereq.level !== undefined) {
+        push(evaluateLevel(prereq, character, options));
+    }
+    if (Array.isArray(prereq.ability)) {
+        push(evaluateAbility(prereq, character));
+    }
+    if (!options.ignoreRacePrereq && Array.isArray(prereq.race)) {
+        push(evaluateRace(prereq, character));
+    }
     if (Array.isArray(prereq.class)) {
-        const primaryClass = character.getPrimaryClass();
-        const characterClass = primaryClass?.name?.toLowerCase() || '';
-        const meetsClass = prereq.class.some((classReq) => {
-            const reqName = typeof classReq === 'string' ? classReq : classReq.name;
-            return reqName && characterClass === reqName.toLowerCase();
-        });
-        if (!meetsClass) {
-            return { met: false, reason: 'Class requirement not met' };
-        }
+        push(evaluateClass(prereq, character));
+    }
+    if (Array.isArray(prereq.proficiency)) {
+        push(evaluateProficiency(prereq, character));
+    }
+    if (
+        (prereq.spellcasting ||
+            prereq.spellcasting2020 ||
+            prereq.spellcastingFeature) &&
+        !hasSpellcasting(character)
+    ) {
+        push({ type: 'spellcasting', label: 'The ability to cast a spell' });
+    }
+    if (prereq.spell) {
+        push(evaluateSpell(prereq, character));
+    }
+    if (Array.isArray(prereq.feat)) {
+        push(evaluateFeat(prereq, character));
     }
 
-    if (prereq.spellcasting === true) {
-        const classes = character.progression?.classes || [];
-        const hasSpellcasting = classes.some((cls) => {
-            const classData = classService?.getClass?.(cls.name, cls.source);
-            return classData?.spellcastingAbility;
+    const featureNames = getFeatureNames(character);
+    const hasFeature = (name) =>
+        featureNames.some((f) => f.includes(name.toLowerCase()));
+    if (prereq.pact && !hasFeature(prereq.pact)) {
+        push({
+            type: 'pact',
+            label: `Pact of the ${prereq.pact}`,
+            pact: prereq.pact,
         });
-        if (!hasSpellcasting) {
-            return { met: false, reason: 'Requires spellcasting ability' };
-        }
     }
-
-    if (prereq.spell) {
-        const requiredSpells = Array.isArray(prereq.spell) ? prereq.spell : [prereq.spell];
-        const missing = requiredSpells.filter((spellRef) => {
-            const spellName = spellRef.split('#')[0].split('|')[0].toLowerCase();
-            if (character.spellcasting?.classes) {
-                for (const cs of Object.values(character.spellcasting.classes)) {
-                    if (cs.spellsKnown?.some((s) => s.name.toLowerCase() === spellName)) return false;
-                    if (cs.cantrips?.some((s) => s.name.toLowerCase() === spellName)) return false;
-                    if (cs.preparedSpells?.some((s) => s.name.toLowerCase() === spellName)) return false;
-                }
-            }
-            return true;
+    if (prereq.patron && !hasFeature(prereq.patron)) {
+        push({
+            type: 'patron',
+            label: `${prereq.patron} patron`,
+            patron: prereq.patron,
         });
-        if (missing.length > 0) {
-            const names = missing.map((r) => r.split('#')[0].split('|')[0]).join(', ');
-            return { met: false, reason: `Requires spell: ${names}` };
-        }
     }
 
-    if (prereq.pact) {
-        const hasPact = character.features?.some((f) =>
-            f.name?.toLowerCase().includes(prereq.pact.toLowerCase()),
-        );
-        if (!hasPact) {
-            return { met: false, reason: `Requires ${prereq.pact}` };
-        }
+    // Free-text conditions cannot be checked; they are shown, not enforced
+    if (prereq.other) notes.push(prereq.other);
+    else if (prereq.otherSummary?.entrySummary) {
+        notes.push(prereq.otherSummary.entrySummary);
     }
 
-    if (prereq.patron) {
-        const hasPatron = character.features?.some((f) =>
-            f.name?.toLowerCase().includes(prereq.patron.toLowerCase()),
-        );
-        if (!hasPatron) {
-            return { met: false, reason: `Requires patron: ${prereq.patron}` };
-        }
+    return { unmet, notes };
+}
+
+/**
+ * Every unmet prerequisite of a feat or optional feature (AND logic), in a
+ * structured form the pickers can list.
+ *
+ * Each condition is `{ type, label, ... }` where `type` is one of 'level',
+ * 'ability', 'race', 'class', 'proficiency', 'spellcasting', 'spell', 'feat',
+ * 'pact' or 'patron'. Level conditions carry `required`, `current` and
+ * `className`; ability conditions carry `options` of
+ * `{ ability, score, current }` (any one suffices).
+ *
+ * @param {Object} item - Feat or optional feature
+ * @param {Object} character - Character object
+ * @param {Object} [options] - Options like { ignoreRacePrereq, className }
+ * @returns {{ met: boolean, unmet: Array<Object>, notes: string[] }}
+ */
+export function evaluatePrerequisites(item, character, options = {}) {
+    if (!item?.prerequisite || !Array.isArray(item.prerequisite)) {
+        return { met: true, unmet: [], notes: [] };
+    }
+    if (!character) {
+        return {
+            met: false,
+            unmet: [{ type: 'other', label: 'No character' }],
+            notes: [],
+        };
+    }
+
+    const unmet = [];
+    const notes = [];
+    for (const prereq of item.prerequisite) {
+        const result = evaluatePrerequisite(prereq, character, options);
+        unmet.push(...result.unmet);
+        notes.push(...result.notes);
     }
+    return { met: unmet.length === 0, unmet, notes };
+}
+
+/**
+ * Check if a character meets a single prerequisite condition.
+ * Used by FeatService and OptionalFeatureService.
+ *
+ * @param {Object} prereq - Single prerequisite object from 5etools data
+ * @param {Object} character - Character object
+ * @param {Object} [options] - Options like { ignoreRacePrereq, className }
+ * @returns {{ met: boolean, reason?: string, unmet?: Array<Object> }}
+ */
+export function checkPrerequisite(prereq, character, options = {}) {
+    if (!character) return { met: false, reason: 'No character' };
 
-    return { met: true };
+    const { unmet } = evaluatePrerequisite(prereq, character, options);
+    if (unmet.length === 0) return { met: true };
+    return { met: false, reason: `Requires ${unmet[0].label}`, unmet };
 }
 
 /**
  * Check all prerequisites on a feature/feat (AND logic).
- * @returns {{ met: boolean, reasons: string[] }}
+ * @returns {{ met: boolean, reasons: string[], unmet: Array<Object> }}
  */
 export function checkAllPrerequisites(item, character, options = {}) {
-    if (!item.prerequisite || !Array.isArray(item.prerequisite)) {
-        return { met: true, reasons: [] };
+    const { met, unmet } = evaluatePrerequisites(item, character, options);
+    return {
+        met,
+        reasons: unmet.map((condition) => `Requires ${condition.label}`),
+        unmet,
+    };
+}
+
+/**
+ * Work out when levelling up would unlock an item the character cannot take
+ * yet. Future levels go into `options.className` (or the primary class), and
+ * every ASI on the way is spent raising the ability the item needs.
+ *
+ * With `options.viaAsi` (feats) the item itself also takes an ASI, so it
+ * unlocks at the first ASI once its conditions are met.
+ *
+ * Conditions that levelling cannot fix (race, proficiency, spells, other
+ * feats, pacts) come back as `blockers`.
+ *
+ * @param {Object} item - Feat or optional feature
+ * @param {Object} character - Character object
+ * @param {Object} [options] - Options like { ignoreRacePrereq, className, viaAsi }
+ * @returns {{ met: boolean, unlockable: boolean, level: number|null,
+ *   className: string|null, classLevel: number|null,
+ *   abilityIncreases: Array<{ability: string, amount: number, classLevel: number}>,
+ *   blockers: Array<Object> }}
+ */
+export function planPrerequisites(item, character, options = {}) {
+    const { met, unmet } = evaluatePrerequisites(item, character, options);
+    const levelConditions = unmet.filter((c) => c.type === 'level');
+    const className =
+        options.className ||
+        levelConditions.find((c) => c.className)?.className ||
+        character?.getPrimaryClass?.()?.name ||
+        null;
+    const plan = {
+        met,
+        unlockable: met,
+        level: met ? character?.getTotalLevel?.() || null : null,
+        className,
+        classLevel: null,
+        abilityIncreases: [],
+        blockers: unmet.filter((c) => !LEVELLING_TYPES.has(c.type)),
+    };
+    if (met || !character) return plan;
+    if (!unmet.some((c) => LEVELLING_TYPES.has(c.type))) {
+        plan.unlockable = false;
+        return plan;
     }
-    const reasons = [];
-    for (const prereq of item.prerequisite) {
-        const result = checkPrerequisite(prereq, character, options);
-        if (!result.met) reasons.push(result.reason);
+
+    // Cheapest ability option: fewest ASIs to reach its score
+    const abilityNeeds = unmet
+        .filter((c) => c.type === 'ability')
+        .map((c) => {
+            const best = c.options
+                .map((o) => ({
+                    ability: o.ability,
+                    asis: Math.ceil((o.score - o.current) / ASI_INCREASE),
+                    reachable: o.score <= MAX_ABILITY_SCORE,
+                }))
+                .filter((o) => o.reachable)
+                .sort((a, b) => a.asis - b.asis)[0];
+            return best || null;
+        });
+    if (abilityNeeds.includes(null)) {
+        plan.unlockable = false;
+        return plan;
+    }
+
+    const asiLevels = CLASS_ASI_LEVELS[className] || DEFAULT_ASI_LEVELS;
+    const pending = abilityNeeds.flatMap((need) =>
+        Array.from({ length: need.asis }, () => need.ability),
+    );
+    let classLevel = className ? getClassLevel(character, className) || 0 : 0;
+    let totalLevel = character.getTotalLevel();
+
+    const levelsMet = () =>
+        levelConditions.every((c) => {
+            if (!c.className) return totalLevel >= c.required;
+            return c.className === className && classLevel >= c.required;
+        });
+
+    while (totalLevel < MAX_LEVEL && classLevel < MAX_LEVEL) {
+        classLevel++;
+        totalLevel++;
+        const isAsi = asiLevels.includes(classLevel);
+
+        if (isAsi && pending.length > 0) {
+            plan.abilityIncreases.push({
+                ability: pending.shift(),
+                amount: ASI_INCREASE,
+                classLevel,
+            });
+            continue;
+        }
+        if (pending.length > 0 || !levelsMet()) continue;
+        if (options.viaAsi && !isAsi) continue;
+
+        plan.level = totalLevel;
+        plan.classLevel = classLevel;
+        plan.unlockable = plan.blockers.length === 0;
+        return plan;
     }
-    return { met: reasons.length === 0, reasons };
+
+    plan.unlockable = false;
+    return plan;
 }
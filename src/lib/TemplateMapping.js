@@ -0,0 +1,275 @@
+// Field mappings for user PDF templates: which derived character value fills
+// each form field, how it is formatted, and when a checkbox is ticked
+
+import { z } from 'zod';
+import { formatModifierNumber } from './5eToolsParser.js';
+import { ABILITIES, SKILL_ABILITY_MAP } from './CharacterStats.js';
+
+export const TEMPLATE_MAPPING_VERSION = 1;
+
+/** A mapping lives beside its template: `Sheet.pdf` -> `Sheet.mapping.json` */
+export const TEMPLATE_MAPPING_SUFFIX = '.mapping.json';
+
+export const MAPPING_FORMATS = Object.freeze({
+	text: 'As is',
+	number: 'Number',
+	modifier: 'Modifier (+2)',
+	uppercase: 'UPPERCASE',
+});
+
+/** Rows of the weapons table and spellcasting abilities offered to mappings */
+export const MAPPED_ATTACK_ROWS = 6;
+export const MAPPED_SPELLCASTING_ROWS = 3;
+
+function titleCase(text) {
+	return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function buildMappingValues() {
+	const values = [
+		['Identity', 'name', 'Character name', 'text'],
+		['Identity', 'playerName', 'Player name', 'text'],
+		['Identity', 'classLevel', 'Classes and levels', 'text'],
+		['Identity', 'totalLevel', 'Character level', 'number'],
+		['Identity', 'race', 'Species / race', 'text'],
+		['Identity', 'background', 'Background', 'text'],
+		['Identity', 'alignment', 'Alignment', 'text'],
+		['Identity', 'experience', 'Experience points', 'number'],
+		['Combat', 'proficiencyBonus', 'Proficiency bonus', 'modifier'],
+		['Combat', 'armorClass', 'Armor class', 'number'],
+		['Combat', 'initiative', 'Initiative', 'modifier'],
+		['Combat', 'speed', 'Walking speed (ft)', 'number'],
+		['Combat', 'hpMax', 'Hit point maximum', 'number'],
+		['Combat', 'hpCurrent', 'Current hit points', 'number'],
+		['Combat', 'hpTemp', 'Temporary hit points', 'number'],
+		['Combat', 'hitDice', 'Hit dice', 'text'],
+		['Combat', 'passivePerception', 'Passive Perception', 'number'],
+		['Combat', 'passiveInsight', 'Passive Insight', 'number'],
+		['Combat', 'passiveInvestigation', 'Passive Investigation', 'number'],
+	];
+
+	for (const ability of ABILITIES) {
+		const label = titleCase(ability);
+		values.push(
+			['Abilities', `ability.${ability}.score`, `${label} score`, 'number'],
+			[
+				'Abilities',
+				`ability.${ability}.modifier`,
+				`${label} modifier`,
+				'modifier',
+			],
+			[
+				'Saving Throws',
+				`save.${ability}.modifier`,
+				`${label} save`,
+				'modifier',
+			],
+			[
+				'Saving Throws',
+				`save.${ability}.proficient`,
+				`${label} save proficient`,
+				'boolean',
+			],
+		);
+	}
+
+	for (const skill of Object.keys(SKILL_ABILITY_MAP)) {
+		values.push(
+			['Skills', `skill.${skill}.modifier`, `${skill}`, 'modifier'],
+			['Skills', `skill.${skill}.proficient`, `${skill} proficient`, 'boolean'],
+			['Skills', `skill.${skill}.expertise`, `${skill} expertise`, 'boolean'],
+		);
+	}
+
+	for (let row = 1; row <= MAPPED_SPELLCASTING_ROWS; row++) {
+		values.push(
+			['Spellcasting', `spellcasting.${row}.ability`, `Ability ${row}`, 'text'],
+			['Spellcasting', `spellcasting.${row}.dc`, `Save DC ${row}`, 'number'],
+			[
+				'Spellcasting',
+				`spellcasting.${row}.attack`,
+				`Attack bonus ${row}`,
+				'modifier',
+			],
+		);
+	}
+	values.push(['Spellcasting', 'spellSlots', 'Spell slot summary', 'text']);
+
+	for (let row = 1; row <= MAPPED_ATTACK_ROWS; row++) {
+		values.push(
+			['Attacks', `attack.${row}.name`, `Attack ${row} name`, 'text'],
+			['Attacks', `attack.${row}.toHit`, `Attack ${row} to hit`, 'modifier'],
+			['Attacks', `attack.${row}.damage`, `Attack ${row} damage`, 'text'],
+			[
+				'Attacks',
+				`attack.${row}.damageType`,
+				`Attack ${row} damage type`,
+				'text',
+			],
+			['Attacks', `attack.${row}.range`, `Attack ${row} range`, 'text'],
+			['Attacks', `attack.${row}.notes`, `Attack ${row} notes`, 'list'],
+			[
+				'Attacks',
+				`attack.${row}.proficient`,
+				`Attack ${row} proficient`,
+				'boolean',
+			],
+		);
+	}
+
+	values.push(
+		['Proficiencies', 'proficiencies.armor', 'Armor', 'list'],
+		['Proficiencies', 'proficiencies.weapons', 'Weapons', 'list'],
+		['Proficiencies', 'proficiencies.tools', 'Tools', 'list'],
+		['Proficiencies', 'proficiencies.languages', 'Languages', 'list'],
+		['Proficiencies', 'proficiencies.summary', 'All proficiencies', 'text'],
+		['Features', 'features', 'Racial and class features', 'text'],
+		['Features', 'classFeatures', 'Class features', 'text'],
+		['Features', 'racialTraits', 'Racial traits', 'text'],
+		['Features', 'feats', 'Feats', 'list'],
+		['Features', 'resistances', 'Resistances', 'list'],
+		['Equipment', 'equipment', 'Equipment', 'text'],
+		['Equipment', 'currency.cp', 'Copper pieces', 'number'],
+		['Equipment', 'currency.sp', 'Silver pieces', 'number'],
+		['Equipment', 'currency.ep', 'Electrum pieces', 'number'],
+		['Equipment', 'currency.gp', 'Gold pieces', 'number'],
+		['Equipment', 'currency.pp', 'Platinum pieces', 'number'],
+		['Personality', 'personalityTraits', 'Personality traits', 'text'],
+		['Personality', 'ideals', 'Ideals', 'text'],
+		['Personality', 'bonds', 'Bonds', 'text'],
+		['Personality', 'flaws', 'Flaws', 'text'],
+		['Personality', 'backstory', 'Backstory', 'text'],
+		['Appearance', 'age', 'Age', 'text'],
+		['Appearance', 'height', 'Height', 'text'],
+		['Appearance', 'weight', 'Weight', 'text'],
+		['Appearance', 'eyes', 'Eyes', 'text'],
+		['Appearance', 'hair', 'Hair', 'text'],
+		['Appearance', 'skin', 'Skin', 'text'],
+		['Appearance', 'size', 'Size', 'text'],
+	);
+
+	return Object.freeze(
+		values.map(([group, key, label, type]) =>
+			Object.freeze({ group, key, label, type }),
+		),
+	);
+}
+
+/**
+ * Every derived character value a template field can be bound to.
+ * `type` is 'text', 'number', 'modifier', 'boolean' or 'list'.
+ * @type {ReadonlyArray<{group: string, key: string, label: string, type: string}>}
+ */
+export const MAPPING_VALUES = buildMappingValues();
+
+const MAPPING_VALUE_KEYS = new Set(MAPPING_VALUES.map((value) => value.key));
+
+const bindingSchema = z.object({
+	type: z.enum(['text', 'checkbox']).default('text'),
+	value: z.string().refine((key) => MAPPING_VALUE_KEYS.has(key), {
+		message: 'Unknown character value',
+	}),
+	format: z.enum(Object.keys(MAPPING_FORMATS)).optional(),
+	prefix: z.string().optional(),
+	suffix: z.string().optional(),
+	separator: z.string().optional(),
+	// Checkbox rule; without one the box is ticked when the value is truthy
+	when: z
+		.object({
+			equals: z.union([z.string(), z.number(), z.boolean()]).optional(),
+			includes: z.string().optional(),
+			min: z.number().optional(),
+		})
+		.optional(),
+});
+
+export const templateMappingSchema = z.object({
+	version: z
+		.literal(TEMPLATE_MAPPING_VERSION)
+		.default(TEMPLATE_MAPPING_VERSION),
+	name: z.string().optional(),
+	fields: z.record(z.string(), bindingSchema),
+});
+
+/**
+ * Validate a parsed mapping file.
+ * @param {Object} json
+ * @returns {{valid: boolean, error?: string, mapping?: Object}}
+ */
+export function parseTemplateMapping(json) {
+	const result = templateMappingSchema.safeParse(json);
+	if (!result.success) {
+		const issue = result.error.issues[0];
+		const where = issue.path.length ? `${issue.path.join('.')}: ` : '';
+		return { valid: false, error: `${where}${issue.message}` };
+	}
+	return { valid: true, mapping: result.data };
+}
+
+function isEmpty(value) {
+	return (
+		value === undefined ||
+		value === null ||
+		value === '' ||
+		(Array.isArray(value) && value.length === 0)
+	);
+}
+
+/** Text for a bound value, after its format, prefix and suffix */
+export function formatMappedValue(value, binding = {}) {
+	if (isEmpty(value)) return '';
+
+	let text;
+	if (Array.isArray(value)) {
+		text = value.join(binding.separator ?? ', ');
+	} else if (binding.format === 'modifier' && Number.isFinite(Number(value))) {
+		text = formatModifierNumber(Number(value));
+	} else if (binding.format === 'number' && Number.isFinite(Number(value))) {
+		text = String(Number(value));
+	} else {
+		text = String(value);
+	}
+	if (binding.format === 'uppercase') text = text.toUpperCase();
+
+	return `${binding.prefix || ''}${text}${binding.suffix || ''}`;
+}
+
+/** Whether a checkbox bound to `value` is ticked under its rule */
+export function isCheckboxChecked(value, when) {
+	const items = Array.isArray(value) ? value : [value];
+	if (!when) return Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+	const lower = (item) => String(item ?? '').toLowerCase();
+	if (when.equals !== undefined) {
+		return items.some((item) => lower(item) === lower(when.equals));
+	}
+	if (when.includes !== undefined) {
+		return items.some((item) => lower(item).includes(lower(when.includes)));
+	}
+	if (when.min !== undefined) {
+		return Number(value) >= when.min;
+	}
+	return Boolean(value);
+}
+
+/**
+ * Fill the fields of a user mapping from flat character values.
+ * @param {{fields: Object<string, Object>}} mapping - A parsed mapping
+ * @param {Object<string, *>} values - Derived values keyed by MAPPING_VALUES keys
+ * @returns {{ textFields: Object<string, string>, checkboxFields: Object<string, boolean> }}
+ */
+export function applyTemplateMapping(mapping, values) {
+	const textFields = {};
+	const checkboxFields = {};
+
+	for (const [fieldName, binding] of Object.entries(mapping.fields || {})) {
+		const value = values[binding.value];
+		if (binding.type === 'checkbox') {
+			checkboxFields[fieldName] = isCheckboxChecked(value, binding.when);
+		} else {
+			textFields[fieldName] = formatMappedValue(value, binding);
+		}
+	}
+
+	return { textFields, checkboxFields };
+}
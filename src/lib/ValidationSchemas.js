@@ -272,6 +272,44 @@ export const removeSpellArgsSchema = z.object({
 
 export const sourceIdentifierSchema = z.string().min(1, 'Source identifier is required');
 
+/** One level of a build plan; an ASI is either ability increases or a feat */
+export const buildPlanLevelSchema = z
+    .object({
+        className: nameSchema,
+        source: z.string().min(1).optional(),
+        subclass: nameSchema.optional(),
+        asi: z
+            .partialRecord(
+                z.enum([
+                    'strength',
+                    'dexterity',
+                    'constitution',
+                    'intelligence',
+                    'wisdom',
+                    'charisma',
+                ]),
+                z.number().int().min(1).max(2),
+            )
+            .optional(),
+        feat: z
+            .object({ name: nameSchema, source: z.string().min(1).optional() })
+            .optional(),
+        spells: z.array(nameSchema).optional(),
+        features: z.record(z.string(), z.array(nameSchema)).optional(),
+    })
+    .refine((entry) => !(entry.asi && entry.feat), {
+        message: 'A level takes either an ability score increase or a feat',
+    });
+
+/** Optional constraints for a randomly generated character */
+export const characterGeneratorConstraintsSchema = z.object({
+    name: z.string().trim().max(100).optional(),
+    className: nameSchema.optional(),
+    ruleset: z.enum(['2014', '2024']).optional(),
+    level: levelSchema.optional(),
+    preferSpellcasters: z.boolean().optional(),
+});
+
 export function validateInput(schema, input, errorMessage = 'Invalid input') {
     const result = schema.safeParse(input);
     if (!result.success) {
@@ -0,0 +1,245 @@
+// Headless PDF export: `--export-pdf <ids|files|folder> [--template <name>] [--out <dir>]`
+// fills a sheet for every character without opening a window
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { MAX_CHARACTER_SIZE } from '../lib/GameRules.js';
+import { extractEmbeddedPortrait } from './ipc/CharacterHandlers.js';
+import { MainLogger } from './Logger.js';
+import { generateFilledPdf, TEMPLATES_DIR } from './pdf/PdfExporter.js';
+import { getUserTemplatesDir } from './pdf/UserTemplates.js';
+
+export const EXPORT_PDF_FLAG = '--export-pdf';
+
+export const BATCH_EXPORT_USAGE = `Usage: ${EXPORT_PDF_FLAG} <character ids, .ffp files or folder> [--template <name>] [--out <dir>]`;
+
+const SAFE_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+/**
+ * Read batch export options from the command line.
+ * Sources may be separated by commas or spaces; values run until the next flag.
+ * @param {string[]} argv - Usually process.argv
+ * @returns {{sources: string[], template: string|null, outDir: string}|null}
+ *   null when the app was not started in batch mode
+ * @throws {Error} When the arguments are incomplete
+ */
+export function parseBatchExportArgs(argv) {
+	const start = argv.indexOf(EXPORT_PDF_FLAG);
+	if (start === -1) return null;
+
+	const options = { sources: [], template: null, outDir: process.cwd() };
+	let current = 'sources';
+	for (const arg of argv.slice(start + 1)) {
+		if (arg === '--template') {
+			current = 'template';
+		} else if (arg === '--out') {
+			current = 'outDir';
+		} else if (arg.startsWith('--')) {
+			// Electron and Chromium switches end the batch arguments
+			current = null;
+		} else if (current === 'sources') {
+			options.sources.push(...arg.split(',').filter(Boolean));
+		} else if (current) {
+			options[current] = arg;
+			current = null;
+		}
+	}
+
+	if (options.sources.length === 0) {
+		throw new Error(`No characters given to export. ${BATCH_EXPORT_USAGE}`);
+	}
+	return options;
+}
+
+/**
+ * Find a template by file name, name without extension, or prefix
+ * (`2024` matches `2024_Character_Sheet.pdf`), searching the folders in
+ * order. Without a name the first template is used, as on the Preview page.
+ * @param {string|null} templateName
+ * @param {string|string[]} [templatesDirs] - Bundled folder, then user templates
+ * @returns {Promise<string>} Absolute template path
+ */
+export async function resolveBatchTemplate(
+	templateName,
+	templatesDirs = TEMPLATES_DIR,
+) {
+	const templates = [];
+	for (const dir of [].concat(templatesDirs)) {
+		const files = await fs.readdir(dir).catch(() => []);
+		for (const file of files
+			.filter((f) => f.toLowerCase().endsWith('.pdf'))
+			.sort()) {
+			templates.push({ file, filePath: path.join(dir, file) });
+		}
+	}
+	if (templates.length === 0) {
+		throw new Error('No PDF templates are installed');
+	}
+	if (!templateName) return templates[0].filePath;
+
+	const wanted = path.basename(templateName).toLowerCase();
+	const match =
+		templates.find(({ file }) => file.toLowerCase() === wanted) ||
+		templates.find(({ file }) => file.toLowerCase() === `${wanted}.pdf`) ||
+		templates.find(({ file }) => file.toLowerCase().startsWith(wanted));
+	if (!match) {
+		throw new Error(
+			`Unknown template "${templateName}". Available: ${templates.map(({ file }) => file).join(', ')}`,
+		);
+	}
+	return match.filePath;
+}
+
+/**
+ * Expand sources into character files: a folder gives every `.ffp` in it,
+ * a path gives that file, anything else is a character id in the save folder.
+ * @returns {Promise<Array<{source: string, filePath: string|null, error?: string}>>}
+ */
+export async function resolveCharacterFiles(sources, savePath) {
+	const files = [];
+	for (const source of sources) {
+		const stats = await fs.stat(source).catch(() => null);
+		if (stats?.isDirectory()) {
+			const entries = (await fs.readdir(source))
+				.filter((file) => file.endsWith('.ffp'))
+				.sort();
+			if (entries.length === 0) {
+				files.push({
+					source,
+					filePath: null,
+					error: 'No .ffp files in folder',
+				});
+			}
+			for (const file of entries) {
+				files.push({ source: file, filePath: path.join(source, file) });
+			}
+		} else if (stats?.isFile()) {
+			files.push({ source, filePath: path.resolve(source) });
+		} else if (SAFE_ID_PATTERN.test(source)) {
+			files.push({ source, filePath: path.join(savePath, `${source}.ffp`) });
+		} else {
+			files.push({
+				source,
+				filePath: null,
+				error: 'Not a character id, file or folder',
+			});
+		}
+	}
+	return files;
+}
+
+async function readCharacter(filePath, savePath) {
+	const content = await fs.readFile(filePath, 'utf8').catch((error) => {
+		throw new Error(
+			error.code === 'ENOENT' ? 'Character not found' : error.message,
+		);
+	});
+	if (Buffer.byteLength(content) > MAX_CHARACTER_SIZE) {
+		throw new Error('Character file exceeds maximum size limit');
+	}
+	const character = JSON.parse(content);
+	await extractEmbeddedPortrait(character, savePath);
+	return character;
+}
+
+function outputName(character, used) {
+	const base = (character.name || character.id || 'character').replace(
+		/[^a-zA-Z0-9_-]/g,
+		'_',
+	);
+	let name = base;
+	for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}-${n}`;
+	used.add(name.toLowerCase());
+	return `${name}.pdf`;
+}
+
+/**
+ * Fill the template for each character and write the PDFs to `outDir`.
+ * One failure does not stop the rest.
+ * @param {{sources: string[], template: string|null, outDir: string}} options
+ * @param {Object} context
+ * @param {string} context.savePath - Character save folder, for ids
+ * @param {string|string[]} [context.templatesDir] - Template folders to
+ *   choose from; defaults to the bundled and user templates
+ * @returns {Promise<Array<{source: string, name?: string, output?: string,
+ *   success: boolean, error?: string}>>} One result per character
+ */
+export async function exportCharacterPdfs(
+	options,
+	{ savePath, templatesDir = [TEMPLATES_DIR, getUserTemplatesDir(savePath)] },
+) {
+	const templatePath = await resolveBatchTemplate(
+		options.template,
+		templatesDir,
+	);
+	await fs.mkdir(options.outDir, { recursive: true });
+
+	const results = [];
+	const usedNames = new Set();
+	for (const { source, filePath, error } of await resolveCharacterFiles(
+		options.sources,
+		savePath,
+	)) {
+		if (!filePath) {
+			results.push({ source, success: false, error });
+			continue;
+		}
+		let name;
+		try {
+			const character = await readCharacter(filePath, savePath);
+			name = character.name;
+			const pdfBytes = await generateFilledPdf(character, templatePath);
+			const output = path.join(
+				options.outDir,
+				outputName(character, usedNames),
+			);
+			await fs.writeFile(output, Buffer.from(pdfBytes));
+			results.push({ source, name, output, success: true });
+		} catch (exportError) {
+			MainLogger.error(
+				'BatchExport',
+				`Export failed for ${source}:`,
+				exportError,
+			);
+			results.push({
+				source,
+				name,
+				success: false,
+				error: exportError.message,
+			});
+		}
+	}
+	return results;
+}
+
+/** Report lines for the terminal, ending with a summary */
+export function formatBatchReport(results) {
+	const lines = results.map((result) => {
+		const label = result.name
+			? `${result.name} (${result.source})`
+			: result.source;
+		return result.success
+			? `OK     ${label} -> ${result.output}`
+			: `FAILED ${label}: ${result.error}`;
+	});
+	const exported = results.filter((result) => result.success).length;
+	lines.push(`Exported ${exported} of ${results.length} character sheets`);
+	return lines.join('\n');
+}
+
+/**
+ * Run a batch export and print its report.
+ * @returns {Promise<number>} Process exit code: 0 when every sheet was written
+ */
+export async function runBatchExport(options, context) {
+	try {
+		const results = await exportCharacterPdfs(options, context);
+		console.log(formatBatchReport(results));
+		const failed =
+			results.length === 0 || results.some((result) => !result.success);
+		return failed ? 1 : 0;
+	} catch (error) {
+		console.error(`PDF export failed: ${error.message}`);
+		return 1;
+	}
+}
@@ -0,0 +1,289 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { MainLogger } from './Logger.js';
+
+/** Snapshots live in `<save folder>/.history/<character id>/` */
+export const HISTORY_FOLDER = '.history';
+
+export const DEFAULT_SNAPSHOT_RETENTION = 20;
+export const MAX_SNAPSHOT_RETENTION = 100;
+
+const SNAPSHOT_ID_PATTERN = /^\d+-[a-z-]+$/;
+
+/** Reason of the rolling snapshots every save writes */
+const ROLLING_REASON = 'save';
+
+/** Fields that change on every save and say nothing about the character */
+const VOLATILE_FIELDS = ['lastModified'];
+
+function getHistoryDir(savePath, characterId) {
+	return path.join(savePath, HISTORY_FOLDER, characterId);
+}
+
+function getSnapshotPath(savePath, characterId, snapshotId) {
+	if (!SNAPSHOT_ID_PATTERN.test(String(snapshotId))) return null;
+	return path.join(getHistoryDir(savePath, characterId), `${snapshotId}.json`);
+}
+
+function comparable(character) {
+	const copy = { ...character };
+	for (const field of VOLATILE_FIELDS) delete copy[field];
+	return JSON.stringify(copy);
+}
+
+async function readSnapshotFile(filePath) {
+	const content = await fs.readFile(filePath, 'utf8');
+	return JSON.parse(content);
+}
+
+/** Snapshot ids sorted newest first */
+async function listSnapshotIds(savePath, characterId) {
+	try {
+		const files = await fs.readdir(getHistoryDir(savePath, characterId));
+		return files
+			.filter((file) => file.endsWith('.json'))
+			.map((file) => file.slice(0, -'.json'.length))
+			.filter((id) => SNAPSHOT_ID_PATTERN.test(id))
+			.sort((a, b) => Number.parseInt(b, 10) - Number.parseInt(a, 10));
+	} catch (error) {
+		if (error.code === 'ENOENT') return [];
+		throw error;
+	}
+}
+
+/**
+ * The fields the History view compares between snapshots.
+ * @param {Object} character - Serialized character
+ * @returns {{name: string, level: number, race: string, background: string,
+ *   classes: Array<{name: string, levels: number, subclass: string}>,
+ *   maxHp: number, feats: string[]}}
+ */
+export function summarizeCharacter(character) {
+	const classes = (character?.progression?.classes || []).map((cls) => ({
+		name: cls.name,
+		levels: cls.levels || 0,
+		subclass: cls.subclass || '',
+	}));
+	const race = character?.race?.name
+		? [character.race.subrace, character.race.name].filter(Boolean).join(' ')
+		: '';
+
+	return {
+		name: character?.name || '',
+		level: classes.reduce((sum, cls) => sum + cls.levels, 0),
+		race,
+		background: character?.background?.name || '',
+		classes,
+		maxHp: character?.hitPoints?.max || 0,
+		feats: (character?.feats || []).map((feat) => feat.name).filter(Boolean),
+	};
+}
+
+/**
+ * Describe what changed between two snapshots, e.g. "Level 4 → 5".
+ * @param {Object|null} previous - Older serialized character
+ * @param {Object} current - Newer serialized character
+ * @returns {string[]}
+ */
+export function describeChanges(previous, current) {
+	if (!previous) return [];
+
+	const before = summarizeCharacter(previous);
+	const after = summarizeCharacter(current);
+	const changes = [];
+
+	if (before.name !== after.name) {
+		changes.push(
+			`Renamed ${before.name || 'Unnamed'} → ${after.name || 'Unnamed'}`,
+		);
+	}
+	if (before.level !== after.level) {
+		changes.push(`Level ${before.level} → ${after.level}`);
+	}
+
+	for (const cls of after.classes) {
+		const old = before.classes.find((c) => c.name === cls.name);
+		if (!old) {
+			changes.push(`Added ${cls.name} ${cls.levels}`);
+			continue;
+		}
+		if (old.levels !== cls.levels) {
+			changes.push(`${cls.name} ${old.levels} → ${cls.levels}`);
+		}
+		if (old.subclass !== cls.subclass && cls.subclass) {
+			changes.push(`${cls.name} subclass: ${cls.subclass}`);
+		}
+	}
+	for (const cls of before.classes) {
+		if (!after.classes.some((c) => c.name === cls.name)) {
+			changes.push(`Removed ${cls.name}`);
+		}
+	}
+
+	if (before.race !== after.race) {
+		changes.push(`Race: ${after.race || 'none'}`);
+	}
+	if (before.background !== after.background) {
+		changes.push(`Background: ${after.background || 'none'}`);
+	}
+	if (before.maxHp !== after.maxHp) {
+		changes.push(`Max HP ${before.maxHp} → ${after.maxHp}`);
+	}
+
+	const addedFeats = after.feats.filter((feat) => !before.feats.includes(feat));
+	const removedFeats = before.feats.filter(
+		(feat) => !after.feats.includes(feat),
+	);
+	if (addedFeats.length > 0) {
+		changes.push(`Feats added: ${addedFeats.join(', ')}`);
+	}
+	if (removedFeats.length > 0) {
+		changes.push(`Feats removed: ${removedFeats.join(', ')}`);
+	}
+
+	return changes;
+}
+
+function reasonOf(snapshotId) {
+	return snapshotId.slice(snapshotId.indexOf('-') + 1);
+}
+
+/**
+ * Store a snapshot of the character and prune the oldest beyond the
+ * retention limit. Identical consecutive snapshots are skipped. Only plain
+ * saves roll off; labelled snapshots such as 'level-up' are kept up to
+ * MAX_SNAPSHOT_RETENTION so autosaves cannot push them out.
+ * @param {string} savePath - Character save folder
+ * @param {Object} character - Serialized character with a safe id
+ * @param {Object} [options]
+ * @param {string} [options.reason='save'] - 'save', 'level-up' or 'restore'
+ * @param {number} [options.retention] - Snapshots to keep; 0 disables history
+ * @returns {Promise<Object|null>} Snapshot metadata, or null when skipped
+ */
+export async function createSnapshot(savePath, character, options = {}) {
+	const { reason = 'save', retention = DEFAULT_SNAPSHOT_RETENTION } = options;
+	if (!character?.id || !(retention > 0)) return null;
+
+	const ids = await listSnapshotIds(savePath, character.id);
+	if (ids.length > 0) {
+		try {
+			const latest = await readSnapshotFile(
+				getSnapshotPath(savePath, character.id, ids[0]),
+			);
+			if (comparable(latest.character) === comparable(character)) {
+				return null;
+			}
+		} catch (error) {
+			MainLogger.warn(
+				'CharacterHistory',
+				'Unreadable snapshot, ignoring:',
+				error.message,
+			);
+		}
+	}
+
+	const safeReason =
+		String(reason)
+			.toLowerCase()
+			.replace(/[^a-z-]/g, '') || 'save';
+	let timestamp = Date.now();
+	while (ids.some((id) => Number.parseInt(id, 10) === timestamp)) timestamp++;
+	const snapshotId = `${timestamp}-${safeReason}`;
+
+	const snapshot = {
+		snapshotId,
+		characterId: character.id,
+		reason: safeReason,
+		createdAt: new Date(timestamp).toISOString(),
+		character,
+	};
+
+	const dir = getHistoryDir(savePath, character.id);
+	await fs.mkdir(dir, { recursive: true });
+	await fs.writeFile(
+		getSnapshotPath(savePath, character.id, snapshotId),
+		JSON.stringify(snapshot, null, 2),
+	);
+
+	const limit = Math.min(retention, MAX_SNAPSHOT_RETENTION);
+	const allIds = [snapshotId, ...ids];
+	const rolling = allIds.filter((id) => reasonOf(id) === ROLLING_REASON);
+	const labelled = allIds.filter((id) => reasonOf(id) !== ROLLING_REASON);
+	const staleIds = [
+		...rolling.slice(limit),
+		...labelled.slice(MAX_SNAPSHOT_RETENTION),
+	];
+	for (const staleId of staleIds) {
+		try {
+			await fs.unlink(getSnapshotPath(savePath, character.id, staleId));
+		} catch (error) {
+			MainLogger.warn(
+				'CharacterHistory',
+				'Could not prune snapshot:',
+				error.message,
+			);
+		}
+	}
+
+	MainLogger.debug('CharacterHistory', 'Snapshot created:', snapshotId);
+	return { snapshotId, reason: safeReason, createdAt: snapshot.createdAt };
+}
+
+/**
+ * List a character's snapshots, newest first, each with a summary and the
+ * changes since the snapshot before it.
+ * @returns {Promise<Array<{snapshotId: string, reason: string, createdAt: string,
+ *   summary: Object, changes: string[]}>>}
+ */
+export async function listSnapshots(savePath, characterId) {
+	const ids = await listSnapshotIds(savePath, characterId);
+	const snapshots = [];
+	for (const id of ids) {
+		try {
+			snapshots.push(
+				await readSnapshotFile(getSnapshotPath(savePath, characterId, id)),
+			);
+		} catch (error) {
+			MainLogger.warn(
+				'CharacterHistory',
+				`Skipping unreadable snapshot ${id}:`,
+				error.message,
+			);
+		}
+	}
+
+	return snapshots.map((snapshot, index) => ({
+		snapshotId: snapshot.snapshotId,
+		reason: snapshot.reason,
+		createdAt: snapshot.createdAt,
+		summary: summarizeCharacter(snapshot.character),
+		changes: describeChanges(
+			snapshots[index + 1]?.character || null,
+			snapshot.character,
+		),
+	}));
+}
+
+/**
+ * Read the character stored in one snapshot.
+ * @returns {Promise<Object>} Serialized character
+ */
+export async function readSnapshot(savePath, characterId, snapshotId) {
+	const filePath = getSnapshotPath(savePath, characterId, snapshotId);
+	if (!filePath) {
+		throw new Error('Invalid snapshot ID');
+	}
+	const snapshot = await readSnapshotFile(filePath);
+	if (!snapshot?.character || snapshot.character.id !== characterId) {
+		throw new Error('Snapshot does not belong to this character');
+	}
+	return snapshot.character;
+}
+
+/** Remove every snapshot of a character */
+export async function deleteHistory(savePath, characterId) {
+	await fs.rm(getHistoryDir(savePath, characterId), {
+		recursive: true,
+		force: true,
+	});
+}
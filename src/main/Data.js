@@ -1,3 +1,4 @@
+import { createHash } from 'node:crypto';
 import fs from 'node:fs/promises';
 import http from 'node:http';
 import https from 'node:https';
@@ -15,6 +16,7 @@ const CORE_REQUIRED_FILES = [
 	'books.json',
 	'items.json',
 	'items-base.json',
+	'magicvariants.json',
 	'fluff-items.json',
 	'actions.json',
 	'conditionsdiseases.json',
@@ -108,6 +110,124 @@ async function buildLocalIndexManifest(rootDir) {
 	return { manifest, indexErrors };
 }
 
+/** Integrity manifest written into a downloaded data folder */
+export const DATA_MANIFEST_FILE = 'fizbanes-manifest.json';
+const DATA_MANIFEST_VERSION = 1;
+
+function hashContent(content) {
+	return createHash('sha256').update(content).digest('hex');
+}
+
+async function hashFile(filePath) {
+	try {
+		return hashContent(await fs.readFile(filePath));
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Read the integrity manifest of a data folder.
+ * @returns {Promise<{upstreamVersion: string|null, sourceUrl: string|null,
+ *   updatedAt: string, files: Object<string, {sha256: string, size: number}>}|null>}
+ *   null when the folder has no readable manifest
+ */
+export async function readDataManifest(folderPath) {
+	try {
+		const content = await fs.readFile(
+			path.join(folderPath, DATA_MANIFEST_FILE),
+			'utf8',
+		);
+		const manifest = JSON.parse(content);
+		if (
+			manifest?.manifestVersion !== DATA_MANIFEST_VERSION ||
+			typeof manifest.files !== 'object' ||
+			manifest.files === null
+		) {
+			return null;
+		}
+		return manifest;
+	} catch {
+		return null;
+	}
+}
+
+/** Record content hashes and the upstream version for a data folder. */
+export async function writeDataManifest(
+	folderPath,
+	{ files, upstreamVersion = null, sourceUrl = null },
+) {
+	const manifest = {
+		manifestVersion: DATA_MANIFEST_VERSION,
+		upstreamVersion,
+		sourceUrl,
+		updatedAt: new Date().toISOString(),
+		files,
+	};
+	await fs.writeFile(
+		path.join(folderPath, DATA_MANIFEST_FILE),
+		JSON.stringify(manifest, null, 2),
+		'utf8',
+	);
+	return manifest;
+}
+
+/**
+ * Check every file recorded in a folder's manifest against its hash.
+ * @returns {Promise<{hasManifest: boolean, upstreamVersion: string|null,
+ *   updatedAt: string|null, total: number, missing: string[], modified: string[]}>}
+ */
+export async function verifyDataManifest(folderPath) {
+	const manifest = await readDataManifest(folderPath);
+	if (!manifest) {
+		return {
+			hasManifest: false,
+			upstreamVersion: null,
+			updatedAt: null,
+			total: 0,
+			missing: [],
+			modified: [],
+		};
+	}
+
+	const missing = [];
+	const modified = [];
+	for (const [relPath, entry] of Object.entries(manifest.files)) {
+		const hash = await hashFile(path.join(folderPath, relPath));
+		if (hash === null) {
+			missing.push(relPath);
+		} else if (hash !== entry?.sha256) {
+			modified.push(relPath);
+		}
+	}
+
+	if (missing.length > 0 || modified.length > 0) {
+		MainLogger.warn('DataFolderManager', 'Data manifest verification failed', {
+			folderPath,
+			missing: missing.slice(0, 5),
+			modified: modified.slice(0, 5),
+		});
+	}
+
+	return {
+		hasManifest: true,
+		upstreamVersion: manifest.upstreamVersion ?? null,
+		updatedAt: manifest.updatedAt ?? null,
+		total: Object.keys(manifest.files).length,
+		missing,
+		modified,
+	};
+}
+
+/** One-line summary of a verification result, for error messages. */
+export function formatIntegrityProblems({ missing, modified }) {
+	const parts = [];
+	if (missing.length > 0) parts.push(`${missing.length} missing`);
+	if (modified.length > 0) parts.push(`${modified.length} modified`);
+	const sample = [...missing, ...modified].slice(0, 5).join(', ');
+	return `Data files do not match the manifest (${parts.join(', ')}): ${sample}`;
+}
+
 // Minimal structure checks for key JSON files (mainly races/backgrounds).
 async function validateJsonStructure(data, fileName) {
 	if (typeof data !== 'object' || data === null) {
@@ -401,6 +521,40 @@ export async function buildDataManifest(remoteUrl) {
 	return manifestArray;
 }
 
+/**
+ * Read the upstream release version from the `package.json` beside the data
+ * folder (5etools publishes one at the repository root).
+ * @returns {Promise<string|null>} null when the version cannot be determined
+ */
+export async function fetchUpstreamVersion(url) {
+	try {
+		const rootUrl = buildRawDataBaseUrl(url).replace(/\/data\/?$/, '');
+		const result = await fetchJsonFromUrl(`${rootUrl}/package.json`);
+		const version = result.success ? result.data?.version : null;
+		return typeof version === 'string' && version ? version : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Version of a local 5etools checkout, read from the `package.json` beside
+ * its data folder.
+ * @returns {Promise<string|null>}
+ */
+export async function readLocalUpstreamVersion(folderPath) {
+	try {
+		const content = await fs.readFile(
+			path.join(folderPath, '..', 'package.json'),
+			'utf8',
+		);
+		const version = JSON.parse(content)?.version;
+		return typeof version === 'string' && version ? version : null;
+	} catch {
+		return null;
+	}
+}
+
 /** Fetch plain text from a URL. */
 function fetchTextFromUrl(urlString, timeout = 30000) {
 	return new Promise((resolve) => {
@@ -443,24 +597,42 @@ function fetchTextFromUrl(urlString, timeout = 30000) {
 	});
 }
 
-/** Download manifest files to a target folder (incremental, tolerant of partial failures). */
+/**
+ * Download manifest files to a target folder (incremental, tolerant of partial failures).
+ * When the upstream version matches the one recorded in the folder's integrity
+ * manifest, files whose hash still matches are kept without being fetched;
+ * otherwise every file is fetched and only changed content is written.
+ * The integrity manifest is rewritten afterwards.
+ * @param {Object} [options]
+ * @param {string|null} [options.upstreamVersion] - From fetchUpstreamVersion
+ */
 export async function downloadDataFromUrl(
 	url,
 	targetDir,
 	manifest,
 	onProgress,
+	{ upstreamVersion = null } = {},
 ) {
 	const OVERALL_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
 	const baseUrl = buildRawDataBaseUrl(url);
 	const failed = [];
+	const fileHashes = {};
 	let skippedCount = 0;
 	let aborted = false;
 
+	const previousManifest = await readDataManifest(targetDir);
+	const upstreamUnchanged =
+		Boolean(upstreamVersion) &&
+		previousManifest?.upstreamVersion === upstreamVersion &&
+		previousManifest?.sourceUrl === url;
+
 	MainLogger.debug('DataFolderManager', 'Starting download', {
 		url,
 		baseUrl,
 		targetDir,
 		filesCount: manifest.length,
+		upstreamVersion,
+		upstreamUnchanged,
 	});
 
 	const overallTimer = setTimeout(() => {
@@ -526,19 +698,37 @@ export async function downloadDataFromUrl(
 				} catch {
 				}
 
-				const result = await fetchTextFromUrl(remoteUrl);
-				if (!result.success || result.data === undefined) {
-					errorMessage = result.error || 'Unknown error';
-					failed.push({ file: relPath, error: errorMessage });
+				const recorded = previousManifest?.files[relPath];
+				const existingHash =
+					existingContent !== null ? hashContent(existingContent) : null;
+
+				if (upstreamUnchanged && recorded && existingHash === recorded.sha256) {
+					skipped = true;
+					skippedCount += 1;
+					success = true;
+					fileHashes[relPath] = recorded;
 				} else {
-					if (existingContent !== null && existingContent === result.data) {
-						skipped = true;
-						skippedCount += 1;
-						success = true;
+					const result = await fetchTextFromUrl(remoteUrl);
+					if (!result.success || result.data === undefined) {
+						errorMessage = result.error || 'Unknown error';
+						failed.push({ file: relPath, error: errorMessage });
+						if (recorded && existingHash === recorded.sha256) {
+							fileHashes[relPath] = recorded;
+						}
 					} else {
-						await fs.mkdir(localDir, { recursive: true });
-						await fs.writeFile(localPath, result.data, 'utf8');
-						success = true;
+						if (existingContent !== null && existingContent === result.data) {
+							skipped = true;
+							skippedCount += 1;
+							success = true;
+						} else {
+							await fs.mkdir(localDir, { recursive: true });
+							await fs.writeFile(localPath, result.data, 'utf8');
+							success = true;
+						}
+						fileHashes[relPath] = {
+							sha256: hashContent(result.data),
+							size: Buffer.byteLength(result.data),
+						};
 					}
 				}
 			} catch (error) {
@@ -588,6 +778,19 @@ export async function downloadDataFromUrl(
 			});
 		}
 
+		try {
+			await writeDataManifest(targetDir, {
+				files: fileHashes,
+				upstreamVersion,
+				sourceUrl: url,
+			});
+		} catch (error) {
+			MainLogger.warn('DataFolderManager', 'Failed to write data manifest', {
+				targetDir,
+				error: error?.message,
+			});
+		}
+
 		const criticalFailures = failed.filter((f) =>
 			CORE_REQUIRED_FILES.includes(f.file),
 		);
@@ -596,6 +799,7 @@ export async function downloadDataFromUrl(
 			success: criticalFailures.length === 0,
 			downloaded: downloadedCount,
 			skipped: skippedCount,
+			upstreamVersion,
 			failed,
 			criticalFailures,
 			warning:
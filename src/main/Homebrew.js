@@ -0,0 +1,162 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { MainLogger } from './Logger.js';
+
+/** 5etools homebrew arrays merged into the renderer services */
+export const HOMEBREW_ENTITY_TYPES = [
+	'race',
+	'subrace',
+	'class',
+	'classFeature',
+	'subclass',
+	'subclassFeature',
+	'background',
+	'feat',
+	'item',
+	'baseitem',
+	'magicvariant',
+	'spell',
+];
+
+/** Folders are scanned this deep for homebrew JSON files */
+const MAX_FOLDER_DEPTH = 3;
+
+/**
+ * Validate parsed 5etools homebrew JSON and keep the entity arrays we use.
+ * @param {Object} json - Parsed homebrew file
+ * @param {string} filePath - Path the file was read from (for messages)
+ * @returns {{valid: boolean, error?: string, brew?: Object}}
+ */
+export function parseHomebrew(json, filePath) {
+	if (!json || typeof json !== 'object' || Array.isArray(json)) {
+		return { valid: false, error: 'Homebrew file must contain a JSON object' };
+	}
+
+	const metaSources = json._meta?.sources;
+	if (!Array.isArray(metaSources) || metaSources.length === 0) {
+		return {
+			valid: false,
+			error: 'Homebrew file is missing _meta.sources',
+		};
+	}
+
+	const sources = metaSources
+		.filter((source) => typeof source?.json === 'string' && source.json)
+		.map((source) => ({
+			json: source.json,
+			abbreviation: source.abbreviation || source.json,
+			full: source.full || source.json,
+			version: source.version || null,
+			authors: Array.isArray(source.authors) ? [...source.authors] : [],
+		}));
+	if (sources.length === 0) {
+		return {
+			valid: false,
+			error: 'Homebrew _meta.sources entries need a "json" identifier',
+		};
+	}
+
+	// Entries without a source belong to the file's own source
+	const defaultSource = sources[0].json;
+	const data = {};
+	const counts = {};
+	for (const type of HOMEBREW_ENTITY_TYPES) {
+		if (!Array.isArray(json[type]) || json[type].length === 0) continue;
+		data[type] = json[type]
+			.filter((entry) => entry && typeof entry === 'object' && entry.name)
+			.map((entry) =>
+				typeof entry.source === 'string' && entry.source
+					? entry
+					: { ...entry, source: defaultSource },
+			);
+		counts[type] = data[type].length;
+	}
+
+	return {
+		valid: true,
+		brew: {
+			path: filePath,
+			name: sources[0].full,
+			sources,
+			counts,
+			data,
+		},
+	};
+}
+
+/**
+ * Expand a registered homebrew path into the JSON files it refers to.
+ * @param {string} entryPath - File or folder path
+ * @returns {Promise<string[]>}
+ */
+export async function collectHomebrewFiles(entryPath, depth = 0) {
+	const stats = await fs.stat(entryPath);
+	if (stats.isFile()) {
+		return entryPath.toLowerCase().endsWith('.json') ? [entryPath] : [];
+	}
+	if (!stats.isDirectory() || depth >= MAX_FOLDER_DEPTH) return [];
+
+	const files = [];
+	const entries = await fs.readdir(entryPath, { withFileTypes: true });
+	for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+		const fullPath = path.join(entryPath, entry.name);
+		if (entry.isDirectory()) {
+			files.push(...(await collectHomebrewFiles(fullPath, depth + 1)));
+		} else if (entry.isFile() && entry.name.toLowerCase().endsWith('.json')) {
+			files.push(fullPath);
+		}
+	}
+	return files;
+}
+
+/**
+ * Read every enabled homebrew entry registered in Settings.
+ * Unreadable or invalid files are reported in `errors` and skipped.
+ * @param {Array<{path: string, enabled?: boolean}>} entries
+ * @returns {Promise<{brews: Object[], errors: Array<{path: string, error: string}>}>}
+ */
+export async function loadHomebrew(entries = []) {
+	const brews = [];
+	const errors = [];
+	const seen = new Set();
+
+	for (const entry of entries) {
+		if (!entry?.path || entry.enabled === false) continue;
+
+		let files;
+		try {
+			files = await collectHomebrewFiles(entry.path);
+		} catch (error) {
+			errors.push({ path: entry.path, error: error.message });
+			continue;
+		}
+
+		for (const filePath of files) {
+			const resolved = path.resolve(filePath);
+			if (seen.has(resolved)) continue;
+			seen.add(resolved);
+
+			try {
+				const content = await fs.readFile(resolved, 'utf8');
+				const result = parseHomebrew(JSON.parse(content), resolved);
+				if (!result.valid) {
+					errors.push({ path: resolved, error: result.error });
+					continue;
+				}
+				brews.push({ ...result.brew, entryPath: entry.path });
+			} catch (error) {
+				errors.push({ path: resolved, error: error.message });
+			}
+		}
+	}
+
+	if (errors.length > 0) {
+		MainLogger.warn(
+			'Homebrew',
+			'Some homebrew files could not be loaded:',
+			errors,
+		);
+	}
+
+	return { brews, errors };
+}
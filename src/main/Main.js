@@ -2,9 +2,11 @@ import 'dotenv/config';
 import { app } from 'electron';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { parseBatchExportArgs, runBatchExport } from './BatchExport.js';
 import { registerCharacterHandlers } from './ipc/CharacterHandlers.js';
 import { registerDataHandlers } from './ipc/DataHandlers.js';
 import { registerFileHandlers } from './ipc/FileHandlers.js';
+import { registerHomebrewHandlers } from './ipc/HomebrewHandlers.js';
 import { registerPdfHandlers } from './ipc/PdfHandlers.js';
 import { registerSettingsHandlers } from './ipc/SettingsHandlers.js';
 import { MainLogger } from './Logger.js';
@@ -39,11 +41,28 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const rendererRoot = path.join(__dirname, '..', 'ui');
 
-app.whenReady().then(() => {
+// `--export-pdf` runs headless: export the sheets, report and exit
+let batchExport = null;
+try {
+	batchExport = parseBatchExportArgs(process.argv);
+} catch (error) {
+	console.error(error.message);
+	process.exit(1);
+}
+
+app.whenReady().then(async () => {
 	MainLogger.debug('App', 'Application ready');
 
 	initPreferences(app);
 
+	if (batchExport) {
+		const exitCode = await runBatchExport(batchExport, {
+			savePath: getCharacterSavePath(),
+		});
+		app.exit(exitCode);
+		return;
+	}
+
 	registerCharacterHandlers(
 		{
 			get: getPreference,
@@ -69,9 +88,8 @@ app.whenReady().then(() => {
 		set: setPreference,
 		app,
 	});
-	registerPdfHandlers(
-		{ getMainWindow },
-	);
+	registerPdfHandlers({ getMainWindow }, { getCharacterSavePath });
+	registerHomebrewHandlers({ get: getPreference }, { getMainWindow });
 
 	createMainWindow({
 		preferencesManager: {
@@ -9,6 +9,12 @@ const IPC_CHANNELS = {
 	CHARACTER_LIST: 'character:list',
 	CHARACTER_IMPORT: 'character:import',
 	CHARACTER_EXPORT: 'character:export',
+	CHARACTER_EXPORT_FOUNDRY: 'character:exportFoundry',
+	CHARACTER_HISTORY_LIST: 'character:historyList',
+	CHARACTER_HISTORY_READ: 'character:historyRead',
+	CHARACTER_HISTORY_SNAPSHOT: 'character:historySnapshot',
+	CHARACTER_HISTORY_RESTORE: 'character:historyRestore',
+	CHARACTER_HISTORY_FORK: 'character:historyFork',
 	CHARACTER_GENERATE_UUID: 'character:generateUUID',
 	FILE_SELECT_FOLDER: 'file:selectFolder',
 	FILE_OPEN: 'file:open',
@@ -24,11 +30,18 @@ const IPC_CHANNELS = {
 	DATA_VALIDATE_SOURCE: 'data:validateSource',
 	DATA_REFRESH_SOURCE: 'data:refreshSource',
 	DATA_CHECK_DEFAULT: 'data:checkDefault',
+	DATA_GET_INTEGRITY: 'data:getIntegrity',
 	DATA_DOWNLOAD_PROGRESS: 'data:downloadProgress',
 	UTIL_GET_USER_DATA: 'util:getUserData',
 	CHARACTER_EXPORT_PDF: 'character:exportPdf',
 	CHARACTER_PDF_PREVIEW: 'character:pdfPreview',
 	PDF_LIST_TEMPLATES: 'pdf:listTemplates',
+	PDF_EXPORT_SPELL_CARDS: 'pdf:exportSpellCards',
+	PDF_GET_TEMPLATE_MAPPING: 'pdf:getTemplateMapping',
+	PDF_SAVE_TEMPLATE_MAPPING: 'pdf:saveTemplateMapping',
+	PDF_OPEN_TEMPLATES_FOLDER: 'pdf:openTemplatesFolder',
+	HOMEBREW_LOAD: 'homebrew:load',
+	HOMEBREW_SELECT: 'homebrew:select',
 };
 
 // Expose FF_DEBUG to renderer for conditional logging
@@ -42,6 +55,7 @@ contextBridge.exposeInMainWorld('app', {
 		ipcRenderer.invoke(IPC_CHANNELS.FILE_OPEN_EXTERNAL, url),
 	getDataSource: () => ipcRenderer.invoke(IPC_CHANNELS.DATA_GET_SOURCE),
 	refreshDataSource: () => ipcRenderer.invoke(IPC_CHANNELS.DATA_REFRESH_SOURCE),
+	getDataIntegrity: () => ipcRenderer.invoke(IPC_CHANNELS.DATA_GET_INTEGRITY),
 	validateDataSource: (source) =>
 		ipcRenderer.invoke(IPC_CHANNELS.DATA_VALIDATE_SOURCE, source),
 	checkDefaultDataFolder: () =>
@@ -68,6 +82,9 @@ contextBridge.exposeInMainWorld('data', {
 		ipcRenderer.invoke(IPC_CHANNELS.DATA_LOAD_JSON, filePath),
 	fileExists: (filePath) =>
 		ipcRenderer.invoke(IPC_CHANNELS.DATA_FILE_EXISTS, filePath),
+	loadHomebrew: () => ipcRenderer.invoke(IPC_CHANNELS.HOMEBREW_LOAD),
+	selectHomebrew: (kind) =>
+		ipcRenderer.invoke(IPC_CHANNELS.HOMEBREW_SELECT, kind),
 });
 
 contextBridge.exposeInMainWorld('characterStorage', {
@@ -80,6 +97,31 @@ contextBridge.exposeInMainWorld('characterStorage', {
 		ipcRenderer.invoke(IPC_CHANNELS.CHARACTER_DELETE, id),
 	exportCharacter: (id) =>
 		ipcRenderer.invoke(IPC_CHANNELS.CHARACTER_EXPORT, id),
+	listCharacterHistory: (id) =>
+		ipcRenderer.invoke(IPC_CHANNELS.CHARACTER_HISTORY_LIST, id),
+	readSnapshot: (id, snapshotId) =>
+		ipcRenderer.invoke(IPC_CHANNELS.CHARACTER_HISTORY_READ, {
+			id,
+			snapshotId,
+		}),
+	snapshotCharacter: (characterData, reason) =>
+		ipcRenderer.invoke(
+			IPC_CHANNELS.CHARACTER_HISTORY_SNAPSHOT,
+			characterData,
+			reason,
+		),
+	restoreSnapshot: (id, snapshotId) =>
+		ipcRenderer.invoke(IPC_CHANNELS.CHARACTER_HISTORY_RESTORE, {
+			id,
+			snapshotId,
+		}),
+	forkSnapshot: (id, snapshotId) =>
+		ipcRenderer.invoke(IPC_CHANNELS.CHARACTER_HISTORY_FORK, {
+			id,
+			snapshotId,
+		}),
+	exportFoundryActor: (characterData) =>
+		ipcRenderer.invoke(IPC_CHANNELS.CHARACTER_EXPORT_FOUNDRY, characterData),
 	importCharacter: (userChoice) =>
 		ipcRenderer.invoke(IPC_CHANNELS.CHARACTER_IMPORT, userChoice),
 	openFile: (filePath) => ipcRenderer.invoke(IPC_CHANNELS.FILE_OPEN, filePath),
@@ -107,4 +149,12 @@ contextBridge.exposeInMainWorld('characterStorage', {
 		ipcRenderer.invoke(IPC_CHANNELS.CHARACTER_EXPORT_PDF, characterData, templateName),
 	listPdfTemplates: () =>
 		ipcRenderer.invoke(IPC_CHANNELS.PDF_LIST_TEMPLATES),
+	exportSpellCards: (spells, options) =>
+		ipcRenderer.invoke(IPC_CHANNELS.PDF_EXPORT_SPELL_CARDS, spells, options),
+	getPdfTemplateMapping: (templateName) =>
+		ipcRenderer.invoke(IPC_CHANNELS.PDF_GET_TEMPLATE_MAPPING, templateName),
+	savePdfTemplateMapping: (templateName, mapping) =>
+		ipcRenderer.invoke(IPC_CHANNELS.PDF_SAVE_TEMPLATE_MAPPING, templateName, mapping),
+	openPdfTemplatesFolder: () =>
+		ipcRenderer.invoke(IPC_CHANNELS.PDF_OPEN_TEMPLATES_FOLDER),
 });
@@ -53,6 +53,37 @@ const schema = {
 		maximum: 3600,
 		default: 60,
 	},
+	snapshotRetention: {
+		type: 'number',
+		minimum: 0,
+		maximum: 100,
+		default: 20,
+	},
+	homebrew: {
+		type: 'array',
+		items: {
+			type: 'object',
+			properties: {
+				path: { type: 'string' },
+				enabled: { type: 'boolean' },
+			},
+			required: ['path'],
+		},
+		default: [],
+	},
+	parties: {
+		type: 'array',
+		items: {
+			type: 'object',
+			properties: {
+				id: { type: 'string' },
+				name: { type: 'string' },
+				memberIds: { type: 'array', items: { type: 'string' } },
+			},
+			required: ['id', 'name'],
+		},
+		default: [],
+	},
 };
 
 export function initPreferences(app) {
@@ -71,6 +102,9 @@ export function initPreferences(app) {
 		logLevel: 'INFO',
 		autoSave: true,
 		autoSaveInterval: 60,
+		snapshotRetention: 20,
+		homebrew: [],
+		parties: [],
 	};
 
 	try {
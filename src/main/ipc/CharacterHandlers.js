@@ -2,12 +2,23 @@ import { dialog, ipcMain } from 'electron';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { v4 as uuidv4 } from 'uuid';
+import {
+	createSnapshot,
+	DEFAULT_SNAPSHOT_RETENTION,
+	deleteHistory,
+	listSnapshots,
+	readSnapshot,
+} from '../CharacterHistory.js';
 import { MainLogger } from '../Logger.js';
 import { IPC_CHANNELS } from './channels.js';
 
 import { CharacterSchema } from '../../lib/CharacterSchema.js';
+import { toFoundryActor } from '../../lib/FoundryActor.js';
 import { MAX_CHARACTER_SIZE, MAX_PORTRAIT_SIZE } from '../../lib/GameRules.js';
-import { CharacterImportService } from '../../services/CharacterImportService.js';
+import {
+	CharacterImportService,
+	IMPORT_FILE_EXTENSIONS,
+} from '../../services/CharacterImportService.js';
 
 // Allows UUIDs, alphanumeric strings, hyphens, and underscores only.
 const SAFE_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
@@ -24,6 +35,21 @@ function resolveCharacterPath(savePath, id) {
 	return resolved;
 }
 
+// Atomic write: temp file then rename to prevent corruption on crash
+async function writeCharacterFile(filePath, character) {
+	const tempPath = `${filePath}.tmp`;
+	try {
+		await fs.writeFile(tempPath, JSON.stringify(character, null, 2));
+		await fs.rename(tempPath, filePath);
+	} catch (writeError) {
+		try {
+			await fs.unlink(tempPath);
+		} catch {
+		}
+		throw writeError;
+	}
+}
+
 const IMAGE_MIME_TYPES = {
 	'.png': 'image/png',
 	'.jpg': 'image/jpeg',
@@ -120,6 +146,22 @@ export async function extractEmbeddedPortrait(character, savePath) {
 export function registerCharacterHandlers(preferencesManager, windowManager) {
 	MainLogger.debug('CharacterHandlers', 'Registering character handlers');
 
+	// History is a safety net: a failed snapshot never fails the save itself
+	async function snapshotCharacter(savePath, character, reason) {
+		try {
+			return await createSnapshot(savePath, character, {
+				reason,
+				retention: preferencesManager.get(
+					'snapshotRetention',
+					DEFAULT_SNAPSHOT_RETENTION,
+				),
+			});
+		} catch (error) {
+			MainLogger.warn('CharacterHandlers', 'Snapshot failed:', error.message);
+			return null;
+		}
+	}
+
 	ipcMain.handle(IPC_CHANNELS.CHARACTER_SAVE, async (_event, characterData) => {
 		try {
 			if (typeof characterData === 'string' && Buffer.byteLength(characterData) > MAX_CHARACTER_SIZE) {
@@ -153,19 +195,9 @@ export function registerCharacterHandlers(preferencesManager, windowManager) {
 			if (!filePath) {
 				return { success: false, error: 'Invalid character ID' };
 			}
-			const tempPath = `${filePath}.tmp`;
 
-			try {
-				// Atomic write: temp file then rename to prevent corruption on crash
-				await fs.writeFile(tempPath, JSON.stringify(character, null, 2));
-				await fs.rename(tempPath, filePath);
-			} catch (writeError) {
-				try {
-					await fs.unlink(tempPath);
-				} catch {
-				}
-				throw writeError;
-			}
+			await writeCharacterFile(filePath, character);
+			await snapshotCharacter(savePath, character, 'save');
 
 			MainLogger.debug('CharacterHandlers', 'Character saved:', filePath);
 			return { success: true, path: filePath };
@@ -258,6 +290,7 @@ export function registerCharacterHandlers(preferencesManager, windowManager) {
 			}
 
 			await fs.unlink(filePath);
+			await deleteHistory(savePath, id);
 
 			MainLogger.debug('CharacterHandlers', 'Character deleted:', filePath);
 			return { success: true };
@@ -306,6 +339,55 @@ export function registerCharacterHandlers(preferencesManager, windowManager) {
 		}
 	});
 
+	ipcMain.handle(
+		IPC_CHANNELS.CHARACTER_EXPORT_FOUNDRY,
+		async (_event, characterData) => {
+			try {
+				MainLogger.debug(
+					'CharacterHandlers',
+					'Exporting Foundry actor for character:',
+					characterData?.name,
+				);
+
+				if (!characterData || typeof characterData !== 'object') {
+					return { success: false, error: 'Character data is required' };
+				}
+
+				const character = { ...characterData };
+				await embedPortraitData(character);
+				const actor = toFoundryActor(character);
+
+				const parentWindow =
+					typeof windowManager.getMainWindow === 'function'
+						? windowManager.getMainWindow()
+						: windowManager.mainWindow;
+
+				const characterName = character.name || 'character';
+				const result = await dialog.showSaveDialog(parentWindow, {
+					title: 'Export to Foundry VTT',
+					defaultPath: `fvtt-Actor-${characterName.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`,
+					filters: [{ name: 'Foundry VTT Actor', extensions: ['json'] }],
+				});
+
+				if (result.canceled) {
+					return { success: false, canceled: true };
+				}
+
+				await fs.writeFile(result.filePath, JSON.stringify(actor, null, 2));
+
+				MainLogger.debug(
+					'CharacterHandlers',
+					'Foundry actor exported to:',
+					result.filePath,
+				);
+				return { success: true, path: result.filePath };
+			} catch (error) {
+				MainLogger.error('CharacterHandlers', 'Foundry export failed:', error);
+				return { success: false, error: error.message };
+			}
+		},
+	);
+
 	ipcMain.handle(IPC_CHANNELS.CHARACTER_IMPORT, async (_event, userChoice) => {
 		try {
 			MainLogger.debug('CharacterHandlers', 'Importing character');
@@ -325,7 +407,11 @@ export function registerCharacterHandlers(preferencesManager, windowManager) {
 
 				const result = await dialog.showOpenDialog(parentWindow, {
 					title: 'Import Character',
-					filters: [{ name: 'Fizbane Character', extensions: ['ffp'] }],
+					filters: [
+						{ name: 'Character Files', extensions: IMPORT_FILE_EXTENSIONS },
+						{ name: 'Fizbane Character', extensions: ['ffp'] },
+						{ name: 'Foundry VTT / 5etools JSON', extensions: ['json'] },
+					],
 					properties: ['openFile'],
 				});
 
@@ -344,6 +430,14 @@ export function registerCharacterHandlers(preferencesManager, windowManager) {
 					await importService.importCharacter(sourceFilePath);
 
 				if (!importResult.success) {
+					if (importResult.step === 'convert') {
+						return {
+							success: false,
+							needsConversion: true,
+							data: importResult.data,
+							sourceFilePath,
+						};
+					}
 					if (importResult.step === 'conflict') {
 						return {
 							success: false,
@@ -416,6 +510,134 @@ export function registerCharacterHandlers(preferencesManager, windowManager) {
 		}
 	});
 
+	ipcMain.handle(IPC_CHANNELS.CHARACTER_HISTORY_LIST, async (_event, id) => {
+		try {
+			const savePath = preferencesManager.getCharacterSavePath();
+			if (!resolveCharacterPath(savePath, id)) {
+				return { success: false, error: 'Invalid character ID' };
+			}
+			const snapshots = await listSnapshots(savePath, id);
+			return { success: true, snapshots };
+		} catch (error) {
+			MainLogger.error('CharacterHandlers', 'List history failed:', error);
+			return { success: false, error: error.message };
+		}
+	});
+
+	ipcMain.handle(
+		IPC_CHANNELS.CHARACTER_HISTORY_READ,
+		async (_event, { id, snapshotId } = {}) => {
+			try {
+				const savePath = preferencesManager.getCharacterSavePath();
+				if (!resolveCharacterPath(savePath, id)) {
+					return { success: false, error: 'Invalid character ID' };
+				}
+				const character = await readSnapshot(savePath, id, snapshotId);
+				return { success: true, character };
+			} catch (error) {
+				MainLogger.error('CharacterHandlers', 'Read snapshot failed:', error);
+				return { success: false, error: error.message };
+			}
+		},
+	);
+
+	ipcMain.handle(
+		IPC_CHANNELS.CHARACTER_HISTORY_SNAPSHOT,
+		async (_event, characterData, reason) => {
+			try {
+				const character =
+					typeof characterData === 'string'
+						? JSON.parse(characterData)
+						: characterData;
+				const savePath = preferencesManager.getCharacterSavePath();
+				if (!resolveCharacterPath(savePath, character?.id)) {
+					return { success: false, error: 'Invalid character ID' };
+				}
+				const snapshot = await snapshotCharacter(savePath, character, reason);
+				return { success: true, snapshot };
+			} catch (error) {
+				MainLogger.error('CharacterHandlers', 'Snapshot failed:', error);
+				return { success: false, error: error.message };
+			}
+		},
+	);
+
+	ipcMain.handle(
+		IPC_CHANNELS.CHARACTER_HISTORY_RESTORE,
+		async (_event, { id, snapshotId } = {}) => {
+			try {
+				const savePath = preferencesManager.getCharacterSavePath();
+				const filePath = resolveCharacterPath(savePath, id);
+				if (!filePath) {
+					return { success: false, error: 'Invalid character ID' };
+				}
+
+				const character = await readSnapshot(savePath, id, snapshotId);
+				const validation = CharacterSchema.validate(character);
+				if (!validation.valid) {
+					return {
+						success: false,
+						error: `Invalid snapshot: ${validation.errors.join(', ')}`,
+					};
+				}
+
+				// Keep the version being replaced so the restore can be undone
+				try {
+					const current = JSON.parse(await fs.readFile(filePath, 'utf8'));
+					await snapshotCharacter(savePath, current, 'restore');
+				} catch (error) {
+					MainLogger.warn('CharacterHandlers', 'Could not snapshot before restore:', error.message);
+				}
+
+				character.lastModified = new Date().toISOString();
+				await writeCharacterFile(filePath, character);
+
+				MainLogger.debug('CharacterHandlers', 'Restored snapshot:', snapshotId);
+				return { success: true, character };
+			} catch (error) {
+				MainLogger.error('CharacterHandlers', 'Restore failed:', error);
+				return { success: false, error: error.message };
+			}
+		},
+	);
+
+	ipcMain.handle(
+		IPC_CHANNELS.CHARACTER_HISTORY_FORK,
+		async (_event, { id, snapshotId } = {}) => {
+			try {
+				const savePath = preferencesManager.getCharacterSavePath();
+				if (!resolveCharacterPath(savePath, id)) {
+					return { success: false, error: 'Invalid character ID' };
+				}
+
+				const character = await readSnapshot(savePath, id, snapshotId);
+				const now = new Date().toISOString();
+				character.id = uuidv4();
+				character.name = `${character.name || 'Unnamed Character'} (Fork)`;
+				character.createdAt = now;
+				character.lastModified = now;
+
+				const validation = CharacterSchema.validate(character);
+				if (!validation.valid) {
+					return {
+						success: false,
+						error: `Invalid snapshot: ${validation.errors.join(', ')}`,
+					};
+				}
+
+				const filePath = resolveCharacterPath(savePath, character.id);
+				await writeCharacterFile(filePath, character);
+				await snapshotCharacter(savePath, character, 'save');
+
+				MainLogger.debug('CharacterHandlers', 'Forked snapshot into:', character.id);
+				return { success: true, character };
+			} catch (error) {
+				MainLogger.error('CharacterHandlers', 'Fork failed:', error);
+				return { success: false, error: error.message };
+			}
+		},
+	);
+
 	ipcMain.handle(IPC_CHANNELS.CHARACTER_GENERATE_UUID, () => {
 		return { success: true, data: uuidv4() };
 	});
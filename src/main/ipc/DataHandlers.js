@@ -5,8 +5,12 @@ import { fileURLToPath } from 'node:url';
 import {
 	buildDataManifest,
 	downloadDataFromUrl,
+	fetchUpstreamVersion,
+	formatIntegrityProblems,
+	readLocalUpstreamVersion,
 	validateDataSourceURL,
 	validateLocalDataFolder,
+	verifyDataManifest,
 } from '../Data.js';
 import { MainLogger } from '../Logger.js';
 import { IPC_CHANNELS } from './channels.js';
@@ -62,6 +66,18 @@ export function registerDataHandlers(preferencesManager) {
 		currentDataPath = null;
 	};
 
+	// Hash check against the folder's manifest; folders without one pass
+	const checkIntegrity = async (folderPath) => {
+		const integrity = await verifyDataManifest(folderPath);
+		const valid =
+			integrity.missing.length === 0 && integrity.modified.length === 0;
+		return {
+			integrity,
+			valid,
+			error: valid ? null : formatIntegrityProblems(integrity),
+		};
+	};
+
 	const sendDownloadProgress = (event, status, data = {}) => {
 		if (event?.sender) {
 			event.sender.send(IPC_CHANNELS.DATA_DOWNLOAD_PROGRESS, {
@@ -150,6 +166,8 @@ export function registerDataHandlers(preferencesManager) {
 					}
 				}
 
+				const upstreamVersion = await fetchUpstreamVersion(value);
+
 				sendDownloadProgress(event, 'start', {
 					total: manifest.length,
 					completed: 0,
@@ -178,6 +196,7 @@ export function registerDataHandlers(preferencesManager) {
 							error: progress.error,
 						});
 					},
+					{ upstreamVersion },
 				);
 
 				MainLogger.debug('DataHandlers', 'Download completed', {
@@ -194,6 +213,10 @@ export function registerDataHandlers(preferencesManager) {
 						error: `Downloaded data is missing files: ${cacheValidation.missing.join(', ')}`,
 					};
 				}
+				const integrityCheck = await checkIntegrity(cachePath);
+				if (!integrityCheck.valid) {
+					return { success: false, error: integrityCheck.error };
+				}
 
 				preferencesManager.set('dataSourceType', 'url');
 				preferencesManager.set('dataSourceValue', value);
@@ -212,6 +235,7 @@ export function registerDataHandlers(preferencesManager) {
 					success: true,
 					downloaded: downloadResult.downloaded,
 					skipped: downloadResult.skipped || 0,
+					upstreamVersion,
 				};
 			}
 
@@ -227,6 +251,10 @@ export function registerDataHandlers(preferencesManager) {
 						error: `Local data missing files: ${validation.missing.join(', ')}`,
 					};
 				}
+				const integrityCheck = await checkIntegrity(value);
+				if (!integrityCheck.valid) {
+					return { success: false, error: integrityCheck.error };
+				}
 				currentDataPath = value;
 				return { success: true, downloaded: 0, skipped: 0 };
 			}
@@ -400,6 +428,24 @@ export function registerDataHandlers(preferencesManager) {
 		}
 	});
 
+	ipcMain.handle(IPC_CHANNELS.DATA_GET_INTEGRITY, async () => {
+		try {
+			syncDataPathFromPreferences();
+			if (!currentDataPath) {
+				return { success: false, error: 'No data source configured' };
+			}
+
+			const { integrity } = await checkIntegrity(currentDataPath);
+			const upstreamVersion =
+				integrity.upstreamVersion ??
+				(await readLocalUpstreamVersion(currentDataPath));
+			return { success: true, ...integrity, upstreamVersion };
+		} catch (error) {
+			MainLogger.error('DataHandlers', 'Data integrity check failed:', error);
+			return { success: false, error: error.message };
+		}
+	});
+
 	ipcMain.handle(IPC_CHANNELS.DATA_REFRESH_SOURCE, async (event) => {
 		return refreshCurrentDataSource(event);
 	});
@@ -427,6 +473,11 @@ export function registerDataHandlers(preferencesManager) {
 					};
 				}
 
+				const integrityCheck = await checkIntegrity(value);
+				if (!integrityCheck.valid) {
+					return { success: false, error: integrityCheck.error };
+				}
+
 				if (result.missingIndexed && result.missingIndexed.length > 0) {
 					MainLogger.debug(
 						'DataHandlers',
@@ -492,6 +543,8 @@ export function registerDataHandlers(preferencesManager) {
 					files: manifest.length,
 				});
 
+				const upstreamVersion = await fetchUpstreamVersion(value);
+
 				sendDownloadProgress(event, 'start', {
 					total: manifest.length,
 					completed: 0,
@@ -513,6 +566,7 @@ export function registerDataHandlers(preferencesManager) {
 							error: progress.error,
 						});
 					},
+					{ upstreamVersion },
 				);
 
 				if (downloadResult.warning) {
@@ -543,6 +597,22 @@ export function registerDataHandlers(preferencesManager) {
 					};
 				}
 
+				const integrityCheck = await checkIntegrity(cachePath);
+				if (!integrityCheck.valid) {
+					sendDownloadProgress(event, 'error', {
+						total: manifest.length,
+						completed: downloadResult.downloaded,
+						file: null,
+						success: false,
+						failed: [
+							...integrityCheck.integrity.missing,
+							...integrityCheck.integrity.modified,
+						],
+						error: integrityCheck.error,
+					});
+					return { success: false, error: integrityCheck.error };
+				}
+
 				preferencesManager.set('dataSourceType', 'url');
 				preferencesManager.set('dataSourceValue', value);
 				preferencesManager.set('dataSourceCachePath', cachePath);
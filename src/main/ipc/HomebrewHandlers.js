@@ -0,0 +1,53 @@
+import { dialog, ipcMain } from 'electron';
+import { loadHomebrew } from '../Homebrew.js';
+import { MainLogger } from '../Logger.js';
+import { IPC_CHANNELS } from './channels.js';
+
+export function registerHomebrewHandlers(preferencesManager, windowManager) {
+	MainLogger.debug('HomebrewHandlers', 'Registering homebrew handlers');
+
+	ipcMain.handle(IPC_CHANNELS.HOMEBREW_LOAD, async () => {
+		try {
+			const entries = preferencesManager.get('homebrew', []) || [];
+			const { brews, errors } = await loadHomebrew(entries);
+			return { success: true, brews, errors };
+		} catch (error) {
+			MainLogger.error('HomebrewHandlers', 'Load homebrew failed:', error);
+			return { success: false, brews: [], errors: [], error: error.message };
+		}
+	});
+
+	ipcMain.handle(
+		IPC_CHANNELS.HOMEBREW_SELECT,
+		async (_event, kind = 'file') => {
+			try {
+				const parentWindow =
+					typeof windowManager.getMainWindow === 'function'
+						? windowManager.getMainWindow()
+						: windowManager.mainWindow;
+
+				const result = await dialog.showOpenDialog(parentWindow, {
+					title:
+						kind === 'folder' ? 'Add Homebrew Folder' : 'Add Homebrew Files',
+					properties:
+						kind === 'folder'
+							? ['openDirectory']
+							: ['openFile', 'multiSelections'],
+					filters:
+						kind === 'folder'
+							? []
+							: [{ name: '5etools Homebrew', extensions: ['json'] }],
+				});
+
+				if (result.canceled) {
+					return { success: false, canceled: true };
+				}
+
+				return { success: true, paths: result.filePaths };
+			} catch (error) {
+				MainLogger.error('HomebrewHandlers', 'Select homebrew failed:', error);
+				return { success: false, error: error.message };
+			}
+		},
+	);
+}
@@ -1,43 +1,122 @@
-import { dialog, ipcMain } from 'electron';
+import { dialog, ipcMain, shell } from 'electron';
 import fs from 'node:fs/promises';
-import path from 'node:path';
-import { fileURLToPath } from 'node:url';
 import { MainLogger } from '../Logger.js';
-import { generateFilledPdf } from '../pdf/PdfExporter.js';
+import { generateFilledPdf, TEMPLATES_DIR } from '../pdf/PdfExporter.js';
+import { generateSpellCardsPdf } from '../pdf/SpellCards.js';
+import {
+    getUserTemplatesDir,
+    listPdfFields,
+    listUserTemplates,
+    readTemplateMapping,
+    resolveTemplateFile,
+    USER_TEMPLATE_PREFIX,
+    writeTemplateMapping,
+} from '../pdf/UserTemplates.js';
 import { IPC_CHANNELS } from './channels.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+export function registerPdfHandlers(windowManager, preferencesManager = {}) {
+    MainLogger.debug('PdfHandlers', 'Registering PDF handlers');
 
-const TEMPLATES_DIR = path.join(__dirname, '..', '..', 'ui', 'assets', 'pdf');
+    const getUserDir = () =>
+        typeof preferencesManager.getCharacterSavePath === 'function'
+            ? getUserTemplatesDir(preferencesManager.getCharacterSavePath())
+            : null;
 
-function resolveTemplatePath(templateName) {
-    if (!templateName || typeof templateName !== 'string') return null;
-    const safe = path.basename(templateName);
-    const filename = safe.endsWith('.pdf') ? safe : `${safe}.pdf`;
-    const resolved = path.resolve(path.join(TEMPLATES_DIR, filename));
-    if (!resolved.startsWith(path.resolve(TEMPLATES_DIR))) return null;
-    return resolved;
-}
-
-export function registerPdfHandlers(windowManager) {
-    MainLogger.debug('PdfHandlers', 'Registering PDF handlers');
+    const resolveTemplatePath = (templateName) =>
+        resolveTemplateFile(templateName, { bundledDir: TEMPLATES_DIR, userDir: getUserDir() });
 
     ipcMain.handle(IPC_CHANNELS.PDF_LIST_TEMPLATES, async () => {
+        let templates = [];
         try {
             const files = await fs.readdir(TEMPLATES_DIR);
-            const templates = files
+            templates = files
                 .filter(f => f.toLowerCase().endsWith('.pdf'))
                 .map(f => ({
                     name: f.replace(/\.pdf$/i, '').replace(/_/g, ' '),
                     filename: f,
+                    source: 'bundled',
                 }));
 
             MainLogger.debug('PdfHandlers', `Found ${templates.length} bundled templates`);
-            return { success: true, templates };
         } catch (error) {
             MainLogger.error('PdfHandlers', 'Failed to list templates:', error);
-            return { success: true, templates: [] };
+        }
+
+        try {
+            const userDir = getUserDir();
+            const userTemplates = userDir ? await listUserTemplates(userDir) : [];
+            MainLogger.debug('PdfHandlers', `Found ${userTemplates.length} user templates`);
+            templates.push(...userTemplates);
+        } catch (error) {
+            MainLogger.error('PdfHandlers', 'Failed to list user templates:', error);
+        }
+
+        return { success: true, templates };
+    });
+
+    ipcMain.handle(IPC_CHANNELS.PDF_GET_TEMPLATE_MAPPING, async (_event, templateName) => {
+        try {
+            if (!templateName?.startsWith(USER_TEMPLATE_PREFIX)) {
+                return { success: false, error: 'Only templates in your templates folder can be mapped' };
+            }
+            const templatePath = resolveTemplatePath(templateName);
+            if (!templatePath) {
+                return { success: false, error: 'Invalid template name' };
+            }
+
+            const fields = await listPdfFields(templatePath);
+            let mapping = null;
+            let mappingError = null;
+            try {
+                mapping = await readTemplateMapping(templatePath);
+            } catch (error) {
+                // Let the editor start over rather than lock the user out
+                mappingError = error.message;
+            }
+            return { success: true, fields, mapping, mappingError };
+        } catch (error) {
+            MainLogger.error('PdfHandlers', 'Reading template mapping failed:', error);
+            if (error.message?.includes('encrypted')) {
+                return { success: false, error: 'This PDF template is encrypted and cannot be used' };
+            }
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle(IPC_CHANNELS.PDF_SAVE_TEMPLATE_MAPPING, async (_event, templateName, mapping) => {
+        try {
+            if (!templateName?.startsWith(USER_TEMPLATE_PREFIX)) {
+                return { success: false, error: 'Only templates in your templates folder can be mapped' };
+            }
+            const templatePath = resolveTemplatePath(templateName);
+            if (!templatePath) {
+                return { success: false, error: 'Invalid template name' };
+            }
+
+            const saved = await writeTemplateMapping(templatePath, mapping);
+            MainLogger.debug('PdfHandlers', `Saved mapping for ${templateName}: ${Object.keys(saved.fields).length} fields`);
+            return { success: true, mapping: saved };
+        } catch (error) {
+            MainLogger.error('PdfHandlers', 'Saving template mapping failed:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
+    ipcMain.handle(IPC_CHANNELS.PDF_OPEN_TEMPLATES_FOLDER, async () => {
+        try {
+            const userDir = getUserDir();
+            if (!userDir) {
+                return { success: false, error: 'Templates folder is not available' };
+            }
+            await fs.mkdir(userDir, { recursive: true });
+            const error = await shell.openPath(userDir);
+            if (error) {
+                return { success: false, error };
+            }
+            return { success: true, path: userDir };
+        } catch (error) {
+            MainLogger.error('PdfHandlers', 'Opening templates folder failed:', error);
+            return { success: false, error: error.message };
         }
     });
 
@@ -114,5 +193,41 @@ export function registerPdfHandlers(windowManager) {
         }
     });
 
+    ipcMain.handle(IPC_CHANNELS.PDF_EXPORT_SPELL_CARDS, async (_event, spells, options = {}) => {
+        try {
+            MainLogger.debug('PdfHandlers', `Exporting ${spells?.length ?? 0} spell cards`);
+
+            if (!Array.isArray(spells) || spells.length === 0) {
+                return { success: false, error: 'No spells to export' };
+            }
+
+            const pdfBytes = await generateSpellCardsPdf(spells, options);
+
+            const parentWindow =
+                typeof windowManager.getMainWindow === 'function'
+                    ? windowManager.getMainWindow()
+                    : windowManager.mainWindow;
+
+            const baseName = (options.title || 'spells').replace(/[^a-zA-Z0-9_-]/g, '_');
+            const result = await dialog.showSaveDialog(parentWindow, {
+                title: 'Save Spell Cards',
+                defaultPath: `${baseName}.pdf`,
+                filters: [{ name: 'PDF Document', extensions: ['pdf'] }],
+            });
+
+            if (result.canceled) {
+                return { success: false, canceled: true };
+            }
+
+            await fs.writeFile(result.filePath, Buffer.from(pdfBytes));
+
+            MainLogger.debug('PdfHandlers', 'Spell cards exported to:', result.filePath);
+            return { success: true, path: result.filePath };
+        } catch (error) {
+            MainLogger.error('PdfHandlers', 'Spell card export failed:', error);
+            return { success: false, error: error.message };
+        }
+    });
+
     MainLogger.debug('PdfHandlers', 'PDF handlers registered');
 }
@@ -10,17 +10,38 @@ const ALLOWED_KEYS = new Set([
 	'logLevel',
 	'autoSave',
 	'autoSaveInterval',
+	'snapshotRetention',
 	'dataSourceType',
 	'dataSourceValue',
 	'dataSourceCachePath',
+	'homebrew',
+	'parties',
 ]);
 
 const VALUE_VALIDATORS = {
 	theme: (v) => ['auto', 'light', 'dark'].includes(v),
 	autoSave: (v) => typeof v === 'boolean',
-	autoSaveInterval: (v) => Number.isInteger(v) && v >= 5000 && v <= 300000,
+	autoSaveInterval: (v) => Number.isInteger(v) && v >= 1 && v <= 3600,
+	snapshotRetention: (v) => Number.isInteger(v) && v >= 0 && v <= 100,
 	dataSourceType: (v) => v === null || ['url', 'local'].includes(v),
 	logLevel: (v) => ['debug', 'info', 'warn', 'error'].includes(v),
+	homebrew: (v) =>
+		Array.isArray(v) &&
+		v.every(
+			(entry) =>
+				typeof entry?.path === 'string' &&
+				entry.path.length > 0 &&
+				(entry.enabled === undefined || typeof entry.enabled === 'boolean'),
+		),
+	parties: (v) =>
+		Array.isArray(v) &&
+		v.every(
+			(party) =>
+				typeof party?.id === 'string' &&
+				typeof party.name === 'string' &&
+				Array.isArray(party.memberIds) &&
+				party.memberIds.every((id) => typeof id === 'string'),
+		),
 };
 
 export function registerSettingsHandlers(preferencesManager) {
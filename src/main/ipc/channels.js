@@ -8,6 +8,12 @@ export const IPC_CHANNELS = {
 	CHARACTER_LIST: 'character:list',
 	CHARACTER_IMPORT: 'character:import',
 	CHARACTER_EXPORT: 'character:export',
+	CHARACTER_EXPORT_FOUNDRY: 'character:exportFoundry',
+	CHARACTER_HISTORY_LIST: 'character:historyList',
+	CHARACTER_HISTORY_READ: 'character:historyRead',
+	CHARACTER_HISTORY_SNAPSHOT: 'character:historySnapshot',
+	CHARACTER_HISTORY_RESTORE: 'character:historyRestore',
+	CHARACTER_HISTORY_FORK: 'character:historyFork',
 	CHARACTER_GENERATE_UUID: 'character:generateUUID',
 
 	FILE_SELECT_FOLDER: 'file:selectFolder',
@@ -30,6 +36,7 @@ export const IPC_CHANNELS = {
 	DATA_VALIDATE_SOURCE: 'data:validateSource',
 	DATA_REFRESH_SOURCE: 'data:refreshSource',
 	DATA_CHECK_DEFAULT: 'data:checkDefault',
+	DATA_GET_INTEGRITY: 'data:getIntegrity',
 	DATA_DOWNLOAD_PROGRESS: 'data:downloadProgress',
 
 	UTIL_GET_APP_PATH: 'util:getAppPath',
@@ -38,4 +45,11 @@ export const IPC_CHANNELS = {
 	CHARACTER_EXPORT_PDF: 'character:exportPdf',
 	CHARACTER_PDF_PREVIEW: 'character:pdfPreview',
 	PDF_LIST_TEMPLATES: 'pdf:listTemplates',
+	PDF_EXPORT_SPELL_CARDS: 'pdf:exportSpellCards',
+	PDF_GET_TEMPLATE_MAPPING: 'pdf:getTemplateMapping',
+	PDF_SAVE_TEMPLATE_MAPPING: 'pdf:saveTemplateMapping',
+	PDF_OPEN_TEMPLATES_FOLDER: 'pdf:openTemplatesFolder',
+
+	HOMEBREW_LOAD: 'homebrew:load',
+	HOMEBREW_SELECT: 'homebrew:select',
 };
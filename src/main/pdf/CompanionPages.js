@@ -0,0 +1,160 @@
+import { StandardFonts, rgb } from 'pdf-lib';
+import {
+    ABILITY_ABBREVIATIONS,
+    formatModifierNumber,
+    getAbilityModNumber,
+    getSpeedString,
+    sizeAbvToFull,
+} from '../../lib/5eToolsParser.js';
+import { COMPANION_KIND_LABELS } from '../../lib/GameRules.js';
+import { entriesToParagraphs, formatStatBlockText, toWinAnsi, wrapText } from './PdfText.js';
+
+const PAGE_SIZE = [612, 792];
+const MARGIN = 50;
+const LINE_GAP = 3;
+
+const STYLES = {
+    title: { size: 14, bold: true, spaceBefore: 14 },
+    heading: { size: 11, bold: true, spaceBefore: 6 },
+    body: { size: 9.5, bold: false, spaceBefore: 0 },
+};
+
+const MONSTER_SECTIONS = [
+    ['trait', null],
+    ['action', 'Actions'],
+    ['bonus', 'Bonus Actions'],
+    ['reaction', 'Reactions'],
+    ['legendary', 'Legendary Actions'],
+];
+
+function formatSpeed(monster) {
+    const speed = getSpeedString(monster);
+    return speed === '—' ? '' : speed;
+}
+
+function formatArmorClass(ac) {
+    const first = Array.isArray(ac) ? ac[0] : ac;
+    if (first && typeof first === 'object') {
+        const from = first.from?.length ? ` (${first.from.map(formatStatBlockText).join(', ')})` : '';
+        return `${first.ac}${from}`;
+    }
+    return first ?? '';
+}
+
+/**
+ * Printable lines of one companion.
+ * @param {Object} companion - Serialized companion (kind, name, statBlock,
+ *   hitPoints, notes)
+ * @returns {Array<{text: string, style: 'title'|'heading'|'body'}>}
+ */
+export function formatCompanionLines(companion) {
+    const monster = companion.statBlock || {};
+    const lines = [];
+    const push = (text, style = 'body') => {
+        if (text) lines.push({ text, style });
+    };
+
+    const kind = COMPANION_KIND_LABELS[companion.kind] || companion.kind;
+    const title = companion.name && companion.name !== monster.name
+        ? `${companion.name} (${monster.name})`
+        : companion.name || monster.name;
+    push(`${title} - ${kind}`, 'title');
+
+    const type = typeof monster.type === 'string' ? monster.type : monster.type?.type;
+    const cr = typeof monster.cr === 'object' ? monster.cr?.cr : monster.cr;
+    push([
+        [monster.size || []].flat().map(sizeAbvToFull).join('/'),
+        type,
+        cr !== undefined ? `CR ${cr}` : '',
+    ].filter(Boolean).join(', '));
+
+    const hp = companion.hitPoints || {};
+    push([
+        monster.ac ? `AC ${formatArmorClass(monster.ac)}` : '',
+        `HP ${hp.current ?? 0}/${hp.max ?? 0}${hp.temp ? ` (+${hp.temp} temp)` : ''}`,
+        monster.speed ? `Speed ${formatSpeed(monster)}` : '',
+    ].filter(Boolean).join('   '));
+
+    push(ABILITY_ABBREVIATIONS
+        .filter((ab) => monster[ab] !== undefined)
+        .map((ab) => `${ab.toUpperCase()} ${monster[ab]} (${formatModifierNumber(getAbilityModNumber(monster[ab]))})`)
+        .join('   '));
+
+    if (monster.skill) {
+        push(`Skills ${Object.entries(monster.skill)
+            .map(([skill, bonus]) => `${skill.charAt(0).toUpperCase()}${skill.slice(1)} ${bonus}`)
+            .join(', ')}`);
+    }
+    const senses = [
+        ...(monster.senses || []).map(formatStatBlockText),
+        monster.passive !== undefined ? `passive Perception ${monster.passive}` : '',
+    ].filter(Boolean);
+    if (senses.length) push(`Senses ${senses.join(', ')}`);
+    if (monster.languages?.length) {
+        push(`Languages ${monster.languages.map(formatStatBlockText).join(', ')}`);
+    }
+
+    for (const [key, heading] of MONSTER_SECTIONS) {
+        const section = monster[key];
+        if (!Array.isArray(section) || section.length === 0) continue;
+        if (heading) push(heading, 'heading');
+        for (const entry of section) {
+            const [first = '', ...rest] = entriesToParagraphs(entry.entries);
+            push(entry.name ? `${formatStatBlockText(entry.name)}. ${first}` : first);
+            for (const paragraph of rest) push(paragraph);
+        }
+    }
+
+    if (companion.notes?.trim()) {
+        push('Notes', 'heading');
+        for (const paragraph of companion.notes.split(/\r?\n/)) {
+            push(paragraph.trim());
+        }
+    }
+    return lines;
+}
+
+/**
+ * Append pages listing the companions of a character, starting on a new
+ * page and continuing onto more pages as needed.
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ * @param {Array<Object>} companions - Serialized companions
+ * @returns {Promise<number>} Number of pages added
+ */
+export async function appendCompanionPages(pdfDoc, companions) {
+    if (!Array.isArray(companions) || companions.length === 0) return 0;
+
+    const fonts = {
+        regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+        bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+    };
+    const maxWidth = PAGE_SIZE[0] - MARGIN * 2;
+    let pages = 0;
+    let page = null;
+    let y = 0;
+
+    const newPage = () => {
+        page = pdfDoc.addPage(PAGE_SIZE);
+        pages++;
+        y = PAGE_SIZE[1] - MARGIN;
+    };
+
+    newPage();
+    page.drawText('Companions', { x: MARGIN, y: y - 18, size: 18, font: fonts.bold });
+    y -= 30;
+
+    for (const companion of companions) {
+        for (const { text, style } of formatCompanionLines(companion)) {
+            const { size, bold, spaceBefore } = STYLES[style];
+            const font = bold ? fonts.bold : fonts.regular;
+            y -= spaceBefore;
+            for (const line of wrapText(toWinAnsi(text), font, size, maxWidth)) {
+                if (y - size < MARGIN) newPage();
+                y -= size;
+                page.drawText(line, { x: MARGIN, y, size, font, color: rgb(0, 0, 0) });
+                y -= LINE_GAP;
+            }
+        }
+    }
+    return pages;
+}
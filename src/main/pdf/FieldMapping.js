@@ -1,56 +1,46 @@
 import path from 'node:path';
 import {
-    ABILITY_NAMES,
     formatModifierNumber,
     getAbilityAbbrDisplay,
     getAbilityModNumber,
-    levelToProficiencyBonus,
+    getOrdinalForm,
     sizeAbvToFull,
 } from '../../lib/5eToolsParser.js';
+import {
+    ABILITIES,
+    computeCharacterStats,
+    computeCurrentHitPoints,
+    computeSpellSlots,
+    getClassHitDie,
+    getProficiencyBonus,
+    getTotalLevel,
+} from '../../lib/CharacterStats.js';
+import {
+    applyTemplateMapping,
+    MAPPED_ATTACK_ROWS,
+    MAPPED_SPELLCASTING_ROWS,
+} from '../../lib/TemplateMapping.js';
 import { MainLogger } from '../Logger.js';
 
-const ABILITIES = ABILITY_NAMES.map(n => n.toLowerCase());
-
-const SKILL_ABILITY_MAP = {
-    'Acrobatics': 'dexterity',
-    'Animal Handling': 'wisdom',
-    'Arcana': 'intelligence',
-    'Athletics': 'strength',
-    'Deception': 'charisma',
-    'History': 'intelligence',
-    'Insight': 'wisdom',
-    'Intimidation': 'charisma',
-    'Investigation': 'intelligence',
-    'Medicine': 'wisdom',
-    'Nature': 'intelligence',
-    'Perception': 'wisdom',
-    'Performance': 'charisma',
-    'Persuasion': 'charisma',
-    'Religion': 'intelligence',
-    'Sleight of Hand': 'dexterity',
-    'Stealth': 'dexterity',
-    'Survival': 'wisdom',
-};
-
 const MPMB_SKILL_FIELD_MAP = {
-    'Acrobatics': { modifier: 'Acr', proficiency: 'Acr Prof' },
-    'Animal Handling': { modifier: 'Ani', proficiency: 'Ani Prof' },
-    'Arcana': { modifier: 'Arc', proficiency: 'Arc Prof' },
-    'Athletics': { modifier: 'Ath', proficiency: 'Ath Prof' },
-    'Deception': { modifier: 'Dec', proficiency: 'Dec Prof' },
-    'History': { modifier: 'His', proficiency: 'His Prof' },
-    'Insight': { modifier: 'Ins', proficiency: 'Ins Prof' },
-    'Intimidation': { modifier: 'Inti', proficiency: 'Inti Prof' },
-    'Investigation': { modifier: 'Inv', proficiency: 'Inv Prof' },
-    'Medicine': { modifier: 'Med', proficiency: 'Med Prof' },
-    'Nature': { modifier: 'Nat', proficiency: 'Nat Prof' },
-    'Perception': { modifier: 'Perc', proficiency: 'Perc Prof' },
-    'Performance': { modifier: 'Perf', proficiency: 'Perf Prof' },
-    'Persuasion': { modifier: 'Pers', proficiency: 'Pers Prof' },
-    'Religion': { modifier: 'Rel', proficiency: 'Rel Prof' },
-    'Sleight of Hand': { modifier: 'Sle', proficiency: 'Sle Prof' },
-    'Stealth': { modifier: 'Ste', proficiency: 'Ste Prof' },
-    'Survival': { modifier: 'Sur', proficiency: 'Sur Prof' },
+    'Acrobatics': { modifier: 'Acr', proficiency: 'Acr Prof', expertise: 'Acr Exp' },
+    'Animal Handling': { modifier: 'Ani', proficiency: 'Ani Prof', expertise: 'Ani Exp' },
+    'Arcana': { modifier: 'Arc', proficiency: 'Arc Prof', expertise: 'Arc Exp' },
+    'Athletics': { modifier: 'Ath', proficiency: 'Ath Prof', expertise: 'Ath Exp' },
+    'Deception': { modifier: 'Dec', proficiency: 'Dec Prof', expertise: 'Dec Exp' },
+    'History': { modifier: 'His', proficiency: 'His Prof', expertise: 'His Exp' },
+    'Insight': { modifier: 'Ins', proficiency: 'Ins Prof', expertise: 'Ins Exp' },
+    'Intimidation': { modifier: 'Inti', proficiency: 'Inti Prof', expertise: 'Inti Exp' },
+    'Investigation': { modifier: 'Inv', proficiency: 'Inv Prof', expertise: 'Inv Exp' },
+    'Medicine': { modifier: 'Med', proficiency: 'Med Prof', expertise: 'Med Exp' },
+    'Nature': { modifier: 'Nat', proficiency: 'Nat Prof', expertise: 'Nat Exp' },
+    'Perception': { modifier: 'Perc', proficiency: 'Perc Prof', expertise: 'Perc Exp' },
+    'Performance': { modifier: 'Perf', proficiency: 'Perf Prof', expertise: 'Perf Exp' },
+    'Persuasion': { modifier: 'Pers', proficiency: 'Pers Prof', expertise: 'Pers Exp' },
+    'Religion': { modifier: 'Rel', proficiency: 'Rel Prof', expertise: 'Rel Exp' },
+    'Sleight of Hand': { modifier: 'Sle', proficiency: 'Sle Prof', expertise: 'Sle Exp' },
+    'Stealth': { modifier: 'Ste', proficiency: 'Ste Prof', expertise: 'Ste Exp' },
+    'Survival': { modifier: 'Sur', proficiency: 'Sur Prof', expertise: 'Sur Exp' },
 };
 
 const MPMB_SAVE_FIELD_MAP = {
@@ -92,6 +82,18 @@ const WOTC_2024_SAVE_FIELD_MAP = {
     charisma: { modifier: 'Text_50', proficiency: 'Checkbox_13' },
 };
 
+// MPMB has five attack rows, each with Weapon, Proficiency, Mod, Range,
+// To Hit, Damage, Damage Type and Description fields
+const MPMB_ATTACK_ROWS = 5;
+
+// WotC 2024 "Weapons & Damage Cantrips" table, one field per row and column
+const WOTC_2024_ATTACK_FIELDS = {
+    name: ['Text_61', 'Text_62', 'Text_63', 'Text_64', 'Text_65', 'Text_66'],
+    toHit: ['Text_67', 'Text_68', 'Text_69', 'Text_70', 'Text_71', 'Text_72'],
+    damage: ['Text_73', 'Text_74', 'Text_75', 'Text_76', 'Text_77', 'Text_78'],
+    notes: ['Text_79', 'Text_80', 'Text_81', 'Text_82', 'Text_83', 'Text_84'],
+};
+
 function detectTemplate(templatePath) {
     if (!templatePath) return '2014';
     const filename = path.basename(templatePath).toLowerCase();
@@ -114,16 +116,7 @@ export function getFinalAbilityScore(characterData, ability) {
     return base + totalBonus;
 }
 
-export function getProficiencyBonus(characterData) {
-    const totalLevel = getTotalLevel(characterData);
-    return levelToProficiencyBonus(totalLevel);
-}
-
-export function getTotalLevel(characterData) {
-    const classes = characterData.progression?.classes;
-    if (!Array.isArray(classes) || classes.length === 0) return 1;
-    return classes.reduce((sum, c) => sum + (c.levels || 0), 0) || 1;
-}
+export { getProficiencyBonus, getTotalLevel };
 
 export function formatClassLevel(characterData) {
     const classes = characterData.progression?.classes;
@@ -144,7 +137,7 @@ function formatHitDice(characterData) {
     if (!Array.isArray(classes) || classes.length === 0) return '';
     return classes
         .filter(c => c.name && c.levels)
-        .map(c => `${c.levels}d${c.hitDice || 8}`)
+        .map(c => `${c.levels}d${getClassHitDie(c)}`)
         .join(' / ');
 }
 
@@ -170,7 +163,15 @@ function formatAllProficiencies(characterData) {
     const sections = [];
     if (profs.armor?.length) sections.push(`Armor: ${profs.armor.join(', ')}`);
     if (profs.weapons?.length) sections.push(`Weapons: ${profs.weapons.join(', ')}`);
-    if (profs.tools?.length) sections.push(`Tools: ${profs.tools.join(', ')}`);
+    if (profs.tools?.length) {
+        const expert = new Set(
+            (characterData.expertise?.tools || []).map((tool) => tool.toLowerCase()),
+        );
+        const tools = profs.tools.map((tool) =>
+            expert.has(tool.toLowerCase()) ? `${tool} (expertise)` : tool,
+        );
+        sections.push(`Tools: ${tools.join(', ')}`);
+    }
     if (profs.languages?.length) sections.push(`Languages: ${profs.languages.join(', ')}`);
     return sections.join('\n');
 }
@@ -206,8 +207,40 @@ function formatRacialTraits(characterData) {
     return parts.join('\n\n');
 }
 
+/**
+ * Spell slot pools as text: the shared pool with its caster level, then Pact
+ * Magic, so multiclass casters see which slots they have. Empty for non-casters.
+ */
+export function formatSpellSlotSummary(characterData) {
+    const { casterLevel, multiclass, classes, slots, pactMagic } = computeSpellSlots(characterData);
+    const parts = [];
+
+    const slotText = Object.entries(slots)
+        .map(([level, count]) => `${getOrdinalForm(Number(level))} ${count}`)
+        .join(', ');
+    if (slotText) {
+        const sharing = classes.filter(c => c.progression !== 'pact');
+        const label = multiclass
+            ? `Spell Slots (caster level ${casterLevel}: ${sharing.map(c => `${c.className} ${c.levels}`).join(', ')})`
+            : 'Spell Slots';
+        parts.push(`${label}. ${slotText}`);
+    }
+    if (pactMagic) {
+        const plural = pactMagic.count === 1 ? '' : 's';
+        parts.push(
+            `Pact Magic (${pactMagic.className} ${pactMagic.levels}). ${pactMagic.count} ${getOrdinalForm(pactMagic.slotLevel)}-level slot${plural}, regained on a short rest`,
+        );
+    }
+    if (parts.length && classes.length > 1) {
+        parts.push('Spells from any class can be cast with any of these slots.');
+    }
+    return parts.join('\n');
+}
+
 function formatClassFeatures(characterData) {
     const parts = [];
+    const spellSlots = formatSpellSlotSummary(characterData);
+    if (spellSlots) parts.push(spellSlots);
     const features = characterData.features;
     if (features?.traits && typeof features.traits === 'object') {
         for (const [name, data] of Object.entries(features.traits)) {
@@ -250,59 +283,6 @@ function formatAlliesOrganizations(characterData) {
     return { name: displayName, left: allies.customNotes || '', right: '' };
 }
 
-const CLASS_HIT_DICE = {
-    barbarian: 12, bard: 8, cleric: 8, druid: 8, fighter: 10,
-    monk: 8, paladin: 10, ranger: 10, rogue: 8,
-    sorcerer: 6, warlock: 8, wizard: 6,
-};
-
-function getClassHitDie(cls) {
-    if (cls.hitDice) return cls.hitDice;
-    return CLASS_HIT_DICE[cls.name?.toLowerCase()] || 8;
-}
-
-/**
- * Compute max HP from class progression when hitPoints.max is 0.
- * Level 1: full hit die + CON mod. Subsequent: average hit die + CON mod.
- */
-function computeFallbackMaxHP(characterData, conMod) {
-    const classes = characterData.progression?.classes;
-    if (!Array.isArray(classes) || classes.length === 0) return 0;
-
-    let hp = 0;
-    let isFirstLevel = true;
-    for (const cls of classes) {
-        const hitDie = getClassHitDie(cls);
-        const levels = cls.levels || 0;
-        for (let i = 0; i < levels; i++) {
-            if (isFirstLevel) {
-                hp += hitDie + conMod;
-                isFirstLevel = false;
-            } else {
-                hp += Math.floor(hitDie / 2) + 1 + conMod;
-            }
-        }
-    }
-    return Math.max(hp, 1);
-}
-
-function collectAllSkillProficiencies(characterData) {
-    const skills = new Set();
-
-    const mainSkills = characterData.proficiencies?.skills || [];
-    for (const s of mainSkills) skills.add(s.toLowerCase());
-
-    const optSkills = characterData.optionalProficiencies?.skills;
-    if (optSkills) {
-        for (const s of optSkills.selected || []) skills.add(s.toLowerCase());
-        for (const source of ['race', 'class', 'background']) {
-            for (const s of optSkills[source]?.selected || []) skills.add(s.toLowerCase());
-        }
-    }
-
-    return skills;
-}
-
 const SPELL_DC_ABILITY_DROPDOWN = {
     strength: '    STRENGTH',
     dexterity: '    DEXTERITY',
@@ -312,126 +292,67 @@ const SPELL_DC_ABILITY_DROPDOWN = {
     charisma: '    CHARISMA',
 };
 
-function computeSpellDCs(characterData, modifiers, profBonus) {
-    const spellClasses = characterData.spellcasting?.classes;
-    if (!spellClasses || typeof spellClasses !== 'object') return [];
-
+/**
+ * One entry per distinct spellcasting ability, as the sheets only have room
+ * for a DC per ability rather than per class.
+ */
+function collectSpellDCs(spellcasting) {
     const seen = new Set();
     const dcs = [];
 
-    for (const [className, classData] of Object.entries(spellClasses)) {
-        if (className === 'Bonus') continue;
-        const ability = classData?.spellcastingAbility;
-        if (!ability || seen.has(ability)) continue;
-        seen.add(ability);
-
-        const mod = modifiers[ability] || 0;
-        const dc = 8 + profBonus + mod;
-        const attackBonus = profBonus + mod;
+    for (const entry of spellcasting) {
+        if (seen.has(entry.ability)) continue;
+        seen.add(entry.ability);
 
         dcs.push({
-            ability,
-            dc,
-            attackBonus,
-            dropdownValue: SPELL_DC_ABILITY_DROPDOWN[ability] || '',
+            ability: entry.ability,
+            dc: entry.saveDc.value,
+            attackBonus: entry.attackBonus.value,
+            dropdownValue: SPELL_DC_ABILITY_DROPDOWN[entry.ability] || '',
         });
     }
     return dcs;
 }
 
-/**
- * Compute effective AC from equipped inventory items and DEX modifier.
- * Rules: unarmored = 10 + DEX; light = ac + DEX; medium = ac + min(DEX, 2);
- * heavy = flat ac; shield always adds its ac value (default +2).
- * @param {Array} items - Serialized inventory item instances
- * @param {number} dexModifier
- * @returns {number}
- */
-function computeArmorClass(items, dexModifier) {
-    const getTypeCode = (item) => String(item.type || '').split('|')[0].toUpperCase();
-    const equippedItems = items.filter(i => i.equipped);
-    const armor = equippedItems.find(i => {
-        const tc = getTypeCode(i);
-        return i.armor || tc === 'LA' || tc === 'MA' || tc === 'HA';
-    });
-    const shield = equippedItems.find(i => getTypeCode(i) === 'S');
-
-    let ac;
-    if (!armor) {
-        ac = 10 + dexModifier;
-    } else {
-        const typeCode = getTypeCode(armor);
-        const armorAc = armor.ac || 0;
-        if (typeCode === 'LA') {
-            ac = armorAc + dexModifier;
-        } else if (typeCode === 'MA') {
-            ac = armorAc + Math.min(dexModifier, 2);
-        } else {
-            ac = armorAc;
-        }
-    }
-
-    if (shield) {
-        ac += shield.ac || 2;
-    }
-
-    return ac;
-}
-
 function computeCharacterValues(characterData) {
+    const stats = computeCharacterStats(characterData);
+
     const scores = {};
     const modifiers = {};
     for (const ability of ABILITIES) {
-        const score = getFinalAbilityScore(characterData, ability);
-        const mod = calcModifier(score);
-        scores[ability] = score;
-        modifiers[ability] = mod;
+        scores[ability] = stats.abilities[ability].score;
+        modifiers[ability] = stats.abilities[ability].modifier;
     }
 
-    const profBonus = getProficiencyBonus(characterData);
-    const totalLevel = getTotalLevel(characterData);
-    const savingThrowProfs = characterData.proficiencies?.savingThrows || [];
-    const allSkillProfs = collectAllSkillProficiencies(characterData);
-
     const saveValues = {};
     for (const ability of ABILITIES) {
-        const isProficient = savingThrowProfs.some(
-            s => s.toLowerCase() === ability.toLowerCase() ||
-                s.toLowerCase() === getAbilityAbbrDisplay(ability).toLowerCase()
-        );
-        saveValues[ability] = {
-            mod: modifiers[ability] + (isProficient ? profBonus : 0),
-            proficient: isProficient,
-        };
+        const save = stats.savingThrows[ability];
+        saveValues[ability] = { mod: save.value, proficient: save.proficient };
     }
 
     const skillValues = {};
-    for (const [skillName, baseAbility] of Object.entries(SKILL_ABILITY_MAP)) {
-        const isProficient = allSkillProfs.has(skillName.toLowerCase());
+    for (const [skillName, skill] of Object.entries(stats.skills)) {
         skillValues[skillName] = {
-            mod: modifiers[baseAbility] + (isProficient ? profBonus : 0),
-            proficient: isProficient,
+            mod: skill.value,
+            proficient: skill.proficient,
+            expertise: skill.expertise,
         };
     }
 
-    const perceptionProf = allSkillProfs.has('perception');
-    const passivePerception = 10 + modifiers.wisdom + (perceptionProf ? profBonus : 0);
-
-    let hpMax = characterData.hitPoints?.max ?? 0;
-    if (hpMax === 0) {
-        hpMax = computeFallbackMaxHP(characterData, modifiers.constitution);
-    }
-
-    const spellDCs = computeSpellDCs(characterData, modifiers, profBonus);
-
-    const armorClass = computeArmorClass(
-        characterData.inventory?.items || [],
-        modifiers.dexterity,
-    );
-
     return {
-        scores, modifiers, profBonus, totalLevel, hpMax, armorClass,
-        saveValues, skillValues, passivePerception, spellDCs,
+        scores, modifiers,
+        profBonus: stats.proficiencyBonus,
+        totalLevel: stats.totalLevel,
+        hpMax: stats.hitPoints.value,
+        hpCurrent: computeCurrentHitPoints(characterData, stats.hitPoints.value),
+        armorClass: stats.armorClass.value,
+        initiative: stats.initiative.value,
+        saveValues, skillValues,
+        passivePerception: stats.passives.perception.value,
+        passiveInsight: stats.passives.insight.value,
+        passiveInvestigation: stats.passives.investigation.value,
+        spellDCs: collectSpellDCs(stats.spellcasting),
+        attacks: stats.attacks,
         classLevel: formatClassLevel(characterData),
         race: formatRace(characterData),
         background: formatBackground(characterData),
@@ -474,30 +395,31 @@ function buildFieldMap2014(characterData, values) {
         const skill = values.skillValues[skillName];
         textFields[mapping.modifier] = formatModifier(skill.mod);
         checkboxFields[mapping.proficiency] = skill.proficient;
+        checkboxFields[mapping.expertise] = skill.expertise;
     }
 
     textFields['Passive Perception'] = String(values.passivePerception);
 
-    textFields['Initiative bonus'] = formatModifier(values.modifiers.dexterity);
+    textFields['Initiative bonus'] = formatModifier(values.initiative);
     textFields.Speed = characterData.speed?.walk ? `${characterData.speed.walk} ft` : '30 ft';
 
     textFields.AC = String(values.armorClass);
 
     textFields['HP Max'] = values.hpMax ? String(values.hpMax) : '';
-    textFields['HP Current'] = String(characterData.hitPoints?.current ?? '');
+    textFields['HP Current'] = String(values.hpCurrent);
     textFields['HP Temp'] = String(characterData.hitPoints?.temp ?? '');
 
     textFields['HD1 Level'] = String(values.totalLevel);
     const classes = characterData.progression?.classes;
     if (Array.isArray(classes) && classes.length > 0) {
-        textFields['HD1 Die'] = `d${classes[0].hitDice || 8}`;
+        textFields['HD1 Die'] = `d${getClassHitDie(classes[0])}`;
         if (classes.length > 1 && classes[1].name) {
             textFields['HD2 Level'] = String(classes[1].levels || 0);
-            textFields['HD2 Die'] = `d${classes[1].hitDice || 6}`;
+            textFields['HD2 Die'] = `d${getClassHitDie(classes[1])}`;
         }
         if (classes.length > 2 && classes[2].name) {
             textFields['HD3 Level'] = String(classes[2].levels || 0);
-            textFields['HD3 Die'] = `d${classes[2].hitDice || 6}`;
+            textFields['HD3 Die'] = `d${getClassHitDie(classes[2])}`;
         }
     }
 
@@ -549,6 +471,19 @@ function buildFieldMap2014(characterData, values) {
         textFields['Spell DC 2 Mod'] = dc2.dropdownValue;
     }
 
+    for (let i = 0; i < Math.min(values.attacks.length, MPMB_ATTACK_ROWS); i++) {
+        const attack = values.attacks[i];
+        const prefix = `Attack.${i + 1}`;
+        textFields[`${prefix}.Weapon`] = attack.name;
+        checkboxFields[`${prefix}.Proficiency`] = attack.proficient;
+        textFields[`${prefix}.Mod`] = getAbilityAbbrDisplay(attack.ability);
+        textFields[`${prefix}.Range`] = attack.range;
+        textFields[`${prefix}.To Hit`] = formatModifier(attack.toHit.value);
+        textFields[`${prefix}.Damage`] = attack.damage.formula;
+        textFields[`${prefix}.Damage Type`] = attack.damage.type;
+        textFields[`${prefix}.Description`] = [...attack.properties, ...attack.notes].join(', ');
+    }
+
     const resistances = characterData.features?.resistances || [];
     for (let i = 0; i < Math.min(resistances.length, 6); i++) {
         textFields[`Resistance Damage Type ${i + 1}`] = resistances[i];
@@ -624,10 +559,10 @@ function buildFieldMap2024(characterData, values) {
 
     textFields.Text_14 = String(values.armorClass);
     textFields.Text_7 = formatModifier(values.profBonus);
-    textFields.Text_8 = formatModifier(values.modifiers.dexterity);
+    textFields.Text_8 = formatModifier(values.initiative);
     textFields.Text_9 = characterData.speed?.walk ? `${characterData.speed.walk} ft` : '30 ft';
     textFields.Text_10 = values.hpMax ? String(values.hpMax) : '';
-    textFields.Text_11 = String(characterData.hitPoints?.current ?? '');
+    textFields.Text_11 = String(values.hpCurrent);
     textFields.Text_12 = String(characterData.hitPoints?.temp ?? '');
 
     for (const ability of ABILITIES) {
@@ -642,6 +577,16 @@ function buildFieldMap2024(characterData, values) {
         checkboxFields[mapping.proficiency] = skill.proficient;
     }
 
+    const attackRows = Math.min(values.attacks.length, WOTC_2024_ATTACK_FIELDS.name.length);
+    for (let i = 0; i < attackRows; i++) {
+        const attack = values.attacks[i];
+        const notes = attack.ranged ? [attack.range, ...attack.properties] : attack.properties;
+        textFields[WOTC_2024_ATTACK_FIELDS.name[i]] = attack.name;
+        textFields[WOTC_2024_ATTACK_FIELDS.toHit[i]] = formatModifier(attack.toHit.value);
+        textFields[WOTC_2024_ATTACK_FIELDS.damage[i]] = attack.damage.text;
+        textFields[WOTC_2024_ATTACK_FIELDS.notes[i]] = [...notes, ...attack.notes].filter(Boolean).join(', ');
+    }
+
     textFields.Text_55 = values.proficiencies;
     // 2024 has a single Features & Traits area — combine racial + class
     const allFeatures = [values.racialTraits, values.classFeatures].filter(Boolean).join('\n\n');
@@ -653,18 +598,117 @@ function buildFieldMap2024(characterData, values) {
     return { textFields, checkboxFields };
 }
 
+/**
+ * Derived character values keyed like MAPPING_VALUES, for user template mappings.
+ * @param {Object} characterData - Serialized character JSON (from .ffp file)
+ * @returns {Object<string, *>}
+ */
+export function computeMappingValues(characterData, values = computeCharacterValues(characterData)) {
+    const proficiencies = characterData.proficiencies || {};
+    const currency = characterData.inventory?.currency || characterData.currency || {};
+    const sizeAbv = Array.isArray(characterData.size) ? characterData.size[0] : characterData.size;
+
+    const mapped = {
+        name: characterData.name || '',
+        playerName: characterData.playerName || '',
+        classLevel: values.classLevel,
+        totalLevel: values.totalLevel,
+        race: values.race,
+        background: values.background,
+        alignment: characterData.alignment || '',
+        experience: characterData.experience || '',
+        proficiencyBonus: values.profBonus,
+        armorClass: values.armorClass,
+        initiative: values.initiative,
+        speed: characterData.speed?.walk || 30,
+        hpMax: values.hpMax || '',
+        hpCurrent: values.hpCurrent,
+        hpTemp: characterData.hitPoints?.temp ?? '',
+        hitDice: values.hitDice,
+        passivePerception: values.passivePerception,
+        passiveInsight: values.passiveInsight,
+        passiveInvestigation: values.passiveInvestigation,
+        spellSlots: formatSpellSlotSummary(characterData),
+        'proficiencies.armor': proficiencies.armor || [],
+        'proficiencies.weapons': proficiencies.weapons || [],
+        'proficiencies.tools': proficiencies.tools || [],
+        'proficiencies.languages': proficiencies.languages || [],
+        'proficiencies.summary': values.proficiencies,
+        features: [values.racialTraits, values.classFeatures].filter(Boolean).join('\n\n'),
+        classFeatures: values.classFeatures,
+        racialTraits: values.racialTraits,
+        feats: (characterData.feats || []).map(feat => (typeof feat === 'string' ? feat : feat?.name || '')).filter(Boolean),
+        resistances: characterData.features?.resistances || [],
+        equipment: values.equipment,
+        personalityTraits: characterData.personalityTraits || '',
+        ideals: characterData.ideals || '',
+        bonds: characterData.bonds || '',
+        flaws: characterData.flaws || '',
+        backstory: characterData.backstory || '',
+        age: characterData.age || '',
+        height: characterData.height || '',
+        weight: characterData.weight || '',
+        eyes: characterData.eyeColor || '',
+        hair: characterData.hairColor || '',
+        skin: characterData.skinColor || '',
+        size: sizeAbvToFull(sizeAbv) || sizeAbv || '',
+    };
+
+    for (const coin of ['cp', 'sp', 'ep', 'gp', 'pp']) {
+        mapped[`currency.${coin}`] = currency[coin] || '';
+    }
+    for (const ability of ABILITIES) {
+        mapped[`ability.${ability}.score`] = values.scores[ability];
+        mapped[`ability.${ability}.modifier`] = values.modifiers[ability];
+        mapped[`save.${ability}.modifier`] = values.saveValues[ability].mod;
+        mapped[`save.${ability}.proficient`] = values.saveValues[ability].proficient;
+    }
+    for (const [skillName, skill] of Object.entries(values.skillValues)) {
+        mapped[`skill.${skillName}.modifier`] = skill.mod;
+        mapped[`skill.${skillName}.proficient`] = skill.proficient;
+        mapped[`skill.${skillName}.expertise`] = skill.expertise;
+    }
+    values.spellDCs.slice(0, MAPPED_SPELLCASTING_ROWS).forEach((entry, index) => {
+        const row = index + 1;
+        mapped[`spellcasting.${row}.ability`] = getAbilityAbbrDisplay(entry.ability);
+        mapped[`spellcasting.${row}.dc`] = entry.dc;
+        mapped[`spellcasting.${row}.attack`] = entry.attackBonus;
+    });
+    values.attacks.slice(0, MAPPED_ATTACK_ROWS).forEach((attack, index) => {
+        const row = index + 1;
+        mapped[`attack.${row}.name`] = attack.name;
+        mapped[`attack.${row}.toHit`] = attack.toHit.value;
+        mapped[`attack.${row}.damage`] = attack.damage.formula;
+        mapped[`attack.${row}.damageType`] = attack.damage.type;
+        mapped[`attack.${row}.range`] = attack.range;
+        mapped[`attack.${row}.notes`] = [...attack.properties, ...attack.notes].filter(Boolean);
+        mapped[`attack.${row}.proficient`] = attack.proficient;
+    });
+
+    return mapped;
+}
+
 /**
  * Build a flat dictionary mapping PDF field names to their values.
- * Selects the appropriate field name mapping based on the template.
+ * A user mapping decides the fields when given; otherwise the built-in
+ * mapping for the template is picked from its file name.
  *
  * @param {Object} characterData - Serialized character JSON (from .ffp file)
  * @param {string} [templatePath] - Path to the PDF template (used to detect mapping)
+ * @param {Object} [mapping] - Parsed user mapping (see TemplateMapping.js)
  * @returns {{ textFields: Object<string, string>, checkboxFields: Object<string, boolean> }}
  */
-export function buildFieldMap(characterData, templatePath) {
-    const template = detectTemplate(templatePath);
+export function buildFieldMap(characterData, templatePath, mapping = null) {
     const values = computeCharacterValues(characterData);
 
+    if (mapping) {
+        const fieldMap = applyTemplateMapping(mapping, computeMappingValues(characterData, values));
+        MainLogger.debug('FieldMapping', `Built user field map for ${path.basename(templatePath || '')}: ${Object.keys(fieldMap.textFields).length} text, ${Object.keys(fieldMap.checkboxFields).length} checkbox`);
+        return fieldMap;
+    }
+
+    const template = detectTemplate(templatePath);
+
     if (template === '2024') {
         return buildFieldMap2024(characterData, values);
     }
@@ -5,13 +5,18 @@ import { fileURLToPath } from 'node:url';
 import { PDFDocument, PDFName, PDFNumber } from 'pdf-lib';
 import { MAX_PORTRAIT_SIZE } from '../../lib/GameRules.js';
 import { MainLogger } from '../Logger.js';
+import { appendCompanionPages } from './CompanionPages.js';
 import { buildFieldMap } from './FieldMapping.js';
+import { readTemplateMapping } from './UserTemplates.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const RENDERER_ROOT = path.join(__dirname, '..', '..', 'ui');
 
+/** Bundled form-fillable character sheet templates */
+export const TEMPLATES_DIR = path.join(RENDERER_ROOT, 'assets', 'pdf');
+
 // Fields that are calculated/read-only in the MPMB template and need
 // to be converted to editable after we fill them with our values.
 const CALCULATED_FIELDS = ['AC', 'Proficiency Bonus'];
@@ -30,7 +35,9 @@ export async function generateFilledPdf(characterData, templatePath) {
     const pdfDoc = await PDFDocument.load(templateBytes, { ignoreEncryption: false });
     const form = pdfDoc.getForm();
 
-    const { textFields, checkboxFields } = buildFieldMap(characterData, templatePath);
+    // A mapping file beside the template overrides the built-in field names
+    const mapping = await readTemplateMapping(templatePath);
+    const { textFields, checkboxFields } = buildFieldMap(characterData, templatePath, mapping);
 
     for (const [fieldName, value] of Object.entries(textFields)) {
         try {
@@ -80,8 +87,8 @@ export async function generateFilledPdf(characterData, templatePath) {
     hideUnwantedFields(form);
 
     // Clear MPMB Attack.*.Mod dropdowns that default to "empty",
-    // which renders as truncated "emp" text.
-    clearAttackModDropdowns(form);
+    // which renders as truncated "emp" text, unless a weapon filled them.
+    clearAttackModDropdowns(form, textFields);
 
     stripCalculationActions(form);
     makeCalculatedFieldsEditable(form);
@@ -94,6 +101,12 @@ export async function generateFilledPdf(characterData, templatePath) {
     form.updateFieldAppearances();
     stripCheckboxOffAppearances(form);
 
+    // Familiars, beast companions and Wild Shape forms print on extra pages
+    const companionPages = await appendCompanionPages(pdfDoc, characterData.companions);
+    if (companionPages > 0) {
+        MainLogger.debug('PdfExporter', `Added ${companionPages} companion page(s)`);
+    }
+
     const filledBytes = await pdfDoc.save({ updateFieldAppearances: false });
     MainLogger.debug('PdfExporter', `Generated filled PDF: ${filledBytes.length} bytes`);
     return filledBytes;
@@ -161,8 +174,9 @@ function stripCheckboxOffAppearances(form) {
     MainLogger.debug('PdfExporter', `Stripped /Off appearance from ${stripped} checkbox widgets`);
 }
 
-function clearAttackModDropdowns(form) {
+function clearAttackModDropdowns(form, textFields) {
     for (let i = 1; i <= 5; i++) {
+        if (textFields[`Attack.${i}.Mod`]) continue;
         try {
             const dropdown = form.getDropdown(`Attack.${i}.Mod`);
             dropdown.clear();
@@ -0,0 +1,102 @@
+import { formatModifierNumber } from '../../lib/5eToolsParser.js';
+import { stripTags } from '../../lib/5eToolsRenderer.js';
+
+const ATTACK_TYPES = {
+    mw: 'Melee Weapon Attack:',
+    rw: 'Ranged Weapon Attack:',
+    'mw,rw': 'Melee or Ranged Weapon Attack:',
+    ms: 'Melee Spell Attack:',
+    rs: 'Ranged Spell Attack:',
+    'ms,rs': 'Melee or Ranged Spell Attack:',
+    m: 'Melee Attack Roll:',
+    r: 'Ranged Attack Roll:',
+    'm,r': 'Melee or Ranged Attack Roll:',
+};
+
+const SAVE_ABILITIES = {
+    str: 'Strength',
+    dex: 'Dexterity',
+    con: 'Constitution',
+    int: 'Intelligence',
+    wis: 'Wisdom',
+    cha: 'Charisma',
+};
+
+/**
+ * Convert 5etools tags to printable text. Attack, hit and save tags become
+ * their printed wording, scaling dice show the per-level increase, and other
+ * tags keep their display text.
+ */
+export function formatStatBlockText(text) {
+    return stripTags(
+        String(text ?? '')
+            .replace(/\{@atkr? ([^}]+)\}/g, (_, type) => ATTACK_TYPES[type] || '')
+            .replace(/\{@hit (-?\d+)[^}]*\}/g, (_, bonus) => formatModifierNumber(Number(bonus)))
+            .replace(/\{@h\}/g, 'Hit: ')
+            .replace(/\{@m\}/g, 'Miss: ')
+            .replace(/\{@hom\}/g, 'Hit or Miss: ')
+            .replace(/\{@dc (\d+)[^}]*\}/g, 'DC $1')
+            .replace(/\{@recharge (\d)\}/g, (_, n) => `(Recharge ${n === '6' ? '6' : `${n}-6`})`)
+            .replace(/\{@recharge\}/g, '(Recharge 6)')
+            .replace(/\{@actSave (\w+)\}/g, (_, ab) => `${SAVE_ABILITIES[ab] || ab} Saving Throw:`)
+            .replace(/\{@actSaveFail\}/g, 'Failure:')
+            .replace(/\{@actSaveSuccess\}/g, 'Success:')
+            .replace(/\{@actSaveSuccessOrFail\}/g, 'Success or Failure:')
+            .replace(/\{@scale(?:damage|dice) [^|}]*\|[^|}]*\|([^|}]+)[^}]*\}/g, '$1'),
+    )
+        .replace(/\{@\w+\}/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/** Flatten 5etools entries (strings, lists, tables, nested entries) into paragraphs */
+export function entriesToParagraphs(entries) {
+    const paragraphs = [];
+    for (const entry of entries || []) {
+        if (typeof entry === 'string') {
+            paragraphs.push(formatStatBlockText(entry));
+        } else if (entry?.type === 'list') {
+            for (const item of entry.items || []) {
+                if (typeof item === 'string') {
+                    paragraphs.push(`• ${formatStatBlockText(item)}`);
+                } else {
+                    const body = entriesToParagraphs(item.entries || [item.entry]).join(' ');
+                    paragraphs.push(`• ${item.name ? `${item.name}. ` : ''}${body}`);
+                }
+            }
+        } else if (entry?.type === 'table') {
+            for (const row of [entry.colLabels || [], ...(entry.rows || [])]) {
+                const cells = (Array.isArray(row) ? row : row?.row || [])
+                    .map((cell) => (typeof cell === 'object' ? entriesToParagraphs([cell]).join(' ') : formatStatBlockText(cell)));
+                if (cells.length) paragraphs.push(cells.join(' | '));
+            }
+        } else if (Array.isArray(entry?.entries)) {
+            const [first = '', ...rest] = entriesToParagraphs(entry.entries);
+            paragraphs.push(entry.name ? `${formatStatBlockText(entry.name)}. ${first}` : first, ...rest);
+        }
+    }
+    return paragraphs.filter(Boolean);
+}
+
+// Standard fonts only encode WinAnsi; drop anything else
+export function toWinAnsi(text) {
+    return text
+        .replace(/[−‐‑]/g, '-')
+        .replace(/[^\x20-\x7E\xA0-\xFF–—‘’“”•…]/g, '');
+}
+
+export function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    let current = '';
+    for (const word of text.split(' ')) {
+        const candidate = current ? `${current} ${word}` : word;
+        if (current && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+            lines.push(current);
+            current = word;
+        } else {
+            current = candidate;
+        }
+    }
+    if (current) lines.push(current);
+    return lines;
+}
@@ -0,0 +1,289 @@
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import {
+    getOrdinalForm,
+    getSchoolName,
+    getSpellCastingTimeText,
+    getSpellComponentsText,
+    getSpellDurationText,
+    getSpellRangeText,
+} from '../../lib/5eToolsParser.js';
+import { DEFAULT_SPELL_CARD_OPTIONS, SPELL_CARD_SIZES, SPELL_CARD_SORTS } from '../../lib/GameRules.js';
+import { entriesToParagraphs, formatStatBlockText, toWinAnsi, wrapText } from './PdfText.js';
+
+const PAGE_SIZE = [612, 792];
+const SHEET_MARGIN = 18;
+const CARD_PADDING = 8;
+const SPELLBOOK_MARGIN = 50;
+const LINE_GAP = 2;
+
+// Card text shrinks through these sizes before a spell continues onto another card
+const CARD_FONT_SIZES = [7.5, 7, 6.5, 6, 5.5, 5];
+const SPELLBOOK_FONT_SIZE = 9.5;
+
+const BORDER_COLOR = rgb(0.6, 0.6, 0.6);
+const TEXT_COLOR = rgb(0, 0, 0);
+const MUTED_COLOR = rgb(0.35, 0.35, 0.35);
+
+function isConcentration(spell) {
+    return Boolean(spell.concentration || spell.duration?.some((d) => d.concentration));
+}
+
+function isRitual(spell) {
+    return Boolean(spell.ritual || spell.meta?.ritual);
+}
+
+function describeLevel(spell) {
+    const school = spell.school ? getSchoolName(spell.school) : '';
+    if (!spell.level) return `${school} cantrip`.trim();
+    return `${getOrdinalForm(spell.level)}-level ${school}`.trim();
+}
+
+/**
+ * Printable contents of one spell card.
+ * @param {{spell: Object, classes?: string[], prepared?: boolean}} entry -
+ *   Spell data from SpellService with the classes that know it
+ * @returns {{title: string, subtitle: string, markers: string[],
+ *   details: Array<[string, string]>, paragraphs: string[], footer: string}}
+ */
+export function formatSpellCard({ spell, classes = [], prepared = false }) {
+    const time = spell.time?.[0];
+    const castingTime = [
+        getSpellCastingTimeText(spell),
+        time?.condition ? formatStatBlockText(time.condition) : '',
+    ].filter(Boolean).join(', ');
+
+    const details = [
+        ['Casting Time', castingTime],
+        ['Range', spell.range ? getSpellRangeText(spell.range) : ''],
+        ['Components', spell.components ? getSpellComponentsText(spell.components) : ''],
+        ['Duration', getSpellDurationText(spell.duration?.[0])],
+    ].filter(([, value]) => value);
+
+    const higherLevels = entriesToParagraphs(spell.entriesHigherLevel);
+
+    return {
+        title: spell.name,
+        subtitle: describeLevel(spell),
+        markers: [
+            isConcentration(spell) ? 'Concentration' : '',
+            isRitual(spell) ? 'Ritual' : '',
+            prepared && spell.level ? 'Prepared' : '',
+        ].filter(Boolean),
+        details,
+        paragraphs: [...entriesToParagraphs(spell.entries), ...higherLevels],
+        footer: [
+            classes.join(', '),
+            [spell.source, spell.page ? `p. ${spell.page}` : ''].filter(Boolean).join(' '),
+        ].filter(Boolean).join(' - '),
+    };
+}
+
+const byName = (a, b) => a.spell.name.localeCompare(b.spell.name);
+const byLevel = (a, b) => (a.spell.level || 0) - (b.spell.level || 0);
+const bySchool = (a, b) =>
+    getSchoolName(a.spell.school || '').localeCompare(getSchoolName(b.spell.school || ''));
+const byClass = (a, b) => (a.classes?.[0] || '').localeCompare(b.classes?.[0] || '');
+
+const SORTERS = {
+    name: [byName],
+    level: [byLevel, byName],
+    school: [bySchool, byLevel, byName],
+    class: [byClass, byLevel, byName],
+};
+
+/** Order spell card entries by one of the SPELL_CARD_SORTS keys */
+export function sortSpellCards(entries, sortBy = DEFAULT_SPELL_CARD_OPTIONS.sortBy) {
+    const comparators = SORTERS[sortBy];
+    if (!comparators) {
+        throw new Error(`Unknown spell card sort order: ${sortBy}`);
+    }
+    return [...entries].sort((a, b) => {
+        for (const compare of comparators) {
+            const result = compare(a, b);
+            if (result !== 0) return result;
+        }
+        return 0;
+    });
+}
+
+function lineHeight(line) {
+    return line.spaceBefore + line.size + LINE_GAP;
+}
+
+/** Wrap a card's contents into lines at one body font size */
+function layoutCard(card, fonts, size, maxWidth) {
+    const lines = [];
+    const add = (text, font, fontSize, spaceBefore = 0) => {
+        wrapText(toWinAnsi(text), font, fontSize, maxWidth).forEach((line, index) => {
+            lines.push({ text: line, font, size: fontSize, spaceBefore: index === 0 ? spaceBefore : 0 });
+        });
+    };
+
+    add(card.title, fonts.bold, size + 3);
+    add(card.subtitle, fonts.italic, size);
+    if (card.markers.length) add(card.markers.join(' • '), fonts.bold, size);
+    card.details.forEach(([label, value], index) => {
+        add(`${label}: ${value}`, fonts.regular, size, index === 0 ? size * 0.5 : 0);
+    });
+    card.paragraphs.forEach((paragraph, index) => {
+        add(paragraph, fonts.regular, size, index === 0 ? size * 0.8 : size * 0.4);
+    });
+    return lines;
+}
+
+/** Split lines into cards of the available height, repeating the title on continuations */
+function splitIntoCards(lines, available, continuation) {
+    const cards = [];
+    let current = [];
+    let used = 0;
+    for (let line of lines) {
+        if (current.length && used + lineHeight(line) > available) {
+            cards.push(current);
+            current = [continuation];
+            used = lineHeight(continuation);
+            line = { ...line, spaceBefore: 0 };
+        }
+        current.push(line);
+        used += lineHeight(line);
+    }
+    if (current.length) cards.push(current);
+    return cards;
+}
+
+function drawLines(page, lines, x, top) {
+    let y = top;
+    for (const line of lines) {
+        y -= line.spaceBefore + line.size;
+        page.drawText(line.text, { x, y, size: line.size, font: line.font, color: TEXT_COLOR });
+        y -= LINE_GAP;
+    }
+}
+
+async function embedFonts(pdfDoc) {
+    return {
+        regular: await pdfDoc.embedFont(StandardFonts.Helvetica),
+        bold: await pdfDoc.embedFont(StandardFonts.HelveticaBold),
+        italic: await pdfDoc.embedFont(StandardFonts.HelveticaOblique),
+    };
+}
+
+/**
+ * Lay cards out on a grid of letter pages, with a border to cut along.
+ * A spell too long for one card at the smallest font continues onto the next.
+ */
+function drawCardGrid(pdfDoc, cards, fonts, { width, height }) {
+    const columns = Math.floor((PAGE_SIZE[0] - SHEET_MARGIN * 2) / width);
+    const rows = Math.floor((PAGE_SIZE[1] - SHEET_MARGIN * 2) / height);
+    const left = (PAGE_SIZE[0] - columns * width) / 2;
+    const top = PAGE_SIZE[1] - (PAGE_SIZE[1] - rows * height) / 2;
+    const maxWidth = width - CARD_PADDING * 2;
+
+    const faces = [];
+    for (const card of cards) {
+        const footerSize = CARD_FONT_SIZES.at(-1);
+        const available = height - CARD_PADDING * 2 - footerSize - LINE_GAP * 2;
+        let split = null;
+        for (const size of CARD_FONT_SIZES) {
+            const lines = layoutCard(card, fonts, size, maxWidth);
+            const continuation = {
+                text: toWinAnsi(`${card.title} (cont.)`),
+                font: fonts.bold,
+                size: size + 1,
+                spaceBefore: 0,
+            };
+            split = splitIntoCards(lines, available, continuation);
+            if (split.length === 1) break;
+        }
+        const footer = wrapText(toWinAnsi(card.footer), fonts.regular, footerSize, maxWidth)[0] || '';
+        for (const lines of split) faces.push({ lines, footer, footerSize });
+    }
+
+    let page = null;
+    faces.forEach((face, index) => {
+        const slot = index % (columns * rows);
+        if (slot === 0) page = pdfDoc.addPage(PAGE_SIZE);
+        const x = left + (slot % columns) * width;
+        const y = top - Math.floor(slot / columns) * height;
+
+        page.drawRectangle({
+            x,
+            y: y - height,
+            width,
+            height,
+            borderColor: BORDER_COLOR,
+            borderWidth: 0.5,
+        });
+        drawLines(page, face.lines, x + CARD_PADDING, y - CARD_PADDING);
+        if (face.footer) {
+            page.drawText(face.footer, {
+                x: x + CARD_PADDING,
+                y: y - height + CARD_PADDING,
+                size: face.footerSize,
+                font: fonts.italic,
+                color: MUTED_COLOR,
+            });
+        }
+    });
+}
+
+/** Flow every spell down full letter pages, like a spellbook */
+function drawSpellbook(pdfDoc, cards, fonts, title) {
+    const maxWidth = PAGE_SIZE[0] - SPELLBOOK_MARGIN * 2;
+    let page = pdfDoc.addPage(PAGE_SIZE);
+    let y = PAGE_SIZE[1] - SPELLBOOK_MARGIN;
+
+    if (title) {
+        page.drawText(toWinAnsi(title), { x: SPELLBOOK_MARGIN, y: y - 18, size: 18, font: fonts.bold });
+        y -= 30;
+    }
+
+    for (const card of cards) {
+        const lines = layoutCard(card, fonts, SPELLBOOK_FONT_SIZE, maxWidth);
+        lines[0] = { ...lines[0], spaceBefore: 14 };
+        if (card.footer) {
+            lines.push({ text: toWinAnsi(card.footer), font: fonts.italic, size: 8, spaceBefore: 2 });
+        }
+        for (const line of lines) {
+            if (y - lineHeight(line) < SPELLBOOK_MARGIN) {
+                page = pdfDoc.addPage(PAGE_SIZE);
+                y = PAGE_SIZE[1] - SPELLBOOK_MARGIN;
+            }
+            drawLines(page, [line], SPELLBOOK_MARGIN, y);
+            y -= lineHeight(line);
+        }
+    }
+}
+
+/**
+ * Generate a spell card PDF.
+ * @param {Array<{spell: Object, classes?: string[], prepared?: boolean}>} entries
+ * @param {Object} [options]
+ * @param {string} [options.cardSize] - A SPELL_CARD_SIZES key
+ * @param {string} [options.sortBy] - A SPELL_CARD_SORTS key
+ * @param {string} [options.title] - Heading for spellbook pages
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export async function generateSpellCardsPdf(entries, options = {}) {
+    const { cardSize, sortBy, title } = { ...DEFAULT_SPELL_CARD_OPTIONS, ...options };
+    const size = SPELL_CARD_SIZES[cardSize];
+    if (!size) {
+        throw new Error(`Unknown spell card size: ${cardSize}`);
+    }
+    if (!SPELL_CARD_SORTS[sortBy]) {
+        throw new Error(`Unknown spell card sort order: ${sortBy}`);
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('No spells to print');
+    }
+
+    const pdfDoc = await PDFDocument.create();
+    const fonts = await embedFonts(pdfDoc);
+    const cards = sortSpellCards(entries, sortBy).map(formatSpellCard);
+
+    if (cardSize === 'spellbook') {
+        drawSpellbook(pdfDoc, cards, fonts, title);
+    } else {
+        drawCardGrid(pdfDoc, cards, fonts, size);
+    }
+    return pdfDoc.save();
+}
@@ -0,0 +1,143 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { PDFCheckBox, PDFDocument, PDFDropdown, PDFTextField } from 'pdf-lib';
+import {
+    parseTemplateMapping,
+    TEMPLATE_MAPPING_SUFFIX,
+} from '../../lib/TemplateMapping.js';
+
+/** Template names from the user folder carry this prefix over IPC */
+export const USER_TEMPLATE_PREFIX = 'user:';
+
+/** User templates live beside the characters and portraits folders */
+export function getUserTemplatesDir(characterSavePath) {
+    return path.join(path.dirname(characterSavePath), 'templates');
+}
+
+export function getMappingPath(templatePath) {
+    return templatePath.replace(/\.pdf$/i, TEMPLATE_MAPPING_SUFFIX);
+}
+
+function resolveInside(dir, filename) {
+    const safe = path.basename(filename);
+    const withExt = safe.toLowerCase().endsWith('.pdf') ? safe : `${safe}.pdf`;
+    const resolved = path.resolve(path.join(dir, withExt));
+    return resolved.startsWith(path.resolve(dir)) ? resolved : null;
+}
+
+/**
+ * Resolve a template name from the renderer to a file: `user:Sheet.pdf`
+ * in the user templates folder, anything else among the bundled templates.
+ * @returns {string|null} Absolute path, or null for an invalid name
+ */
+export function resolveTemplateFile(templateName, { bundledDir, userDir }) {
+    if (!templateName || typeof templateName !== 'string') return null;
+    if (templateName.startsWith(USER_TEMPLATE_PREFIX)) {
+        return userDir
+            ? resolveInside(
+                  userDir,
+                  templateName.slice(USER_TEMPLATE_PREFIX.length),
+              )
+            : null;
+    }
+    return resolveInside(bundledDir, templateName);
+}
+
+/**
+ * PDFs in the user templates folder. A missing folder has no templates.
+ * @returns {Promise<Array<{name: string, filename: string, source: 'user', hasMapping: boolean}>>}
+ */
+export async function listUserTemplates(userDir) {
+    let files;
+    try {
+        files = await fs.readdir(userDir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const mappings = new Set(
+        files.filter((f) => f.toLowerCase().endsWith(TEMPLATE_MAPPING_SUFFIX)),
+    );
+    return files
+        .filter((f) => f.toLowerCase().endsWith('.pdf'))
+        .sort()
+        .map((f) => ({
+            name: f.replace(/\.pdf$/i, '').replace(/_/g, ' '),
+            filename: `${USER_TEMPLATE_PREFIX}${f}`,
+            source: 'user',
+            hasMapping: mappings.has(getMappingPath(f)),
+        }));
+}
+
+/**
+ * Read the mapping file beside a template.
+ * @returns {Promise<Object|null>} The parsed mapping, or null when there is none
+ * @throws {Error} When the mapping file is not valid
+ */
+export async function readTemplateMapping(templatePath) {
+    const mappingPath = getMappingPath(templatePath);
+    let content;
+    try {
+        content = await fs.readFile(mappingPath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    let json;
+    try {
+        json = JSON.parse(content);
+    } catch (error) {
+        throw new Error(
+            `Field mapping ${path.basename(mappingPath)} is not valid JSON: ${error.message}`,
+        );
+    }
+    const { valid, error, mapping } = parseTemplateMapping(json);
+    if (!valid) {
+        throw new Error(
+            `Field mapping ${path.basename(mappingPath)} is invalid: ${error}`,
+        );
+    }
+    return mapping;
+}
+
+/**
+ * Validate and save the mapping file beside a template.
+ * @returns {Promise<Object>} The mapping as written
+ * @throws {Error} When the mapping is not valid
+ */
+export async function writeTemplateMapping(templatePath, mapping) {
+    const { valid, error, mapping: parsed } = parseTemplateMapping(mapping);
+    if (!valid) {
+        throw new Error(`Invalid field mapping: ${error}`);
+    }
+    await fs.writeFile(
+        getMappingPath(templatePath),
+        JSON.stringify(parsed, null, 2),
+    );
+    return parsed;
+}
+
+function getFieldType(field) {
+    if (field instanceof PDFTextField) return 'text';
+    if (field instanceof PDFCheckBox) return 'checkbox';
+    if (field instanceof PDFDropdown) return 'dropdown';
+    return null;
+}
+
+/**
+ * Fillable fields of an AcroForm template, in document order. Buttons,
+ * radio groups and signatures cannot be bound and are left out.
+ * @returns {Promise<Array<{name: string, type: string}>>}
+ */
+export async function listPdfFields(templatePath) {
+    const pdfDoc = await PDFDocument.load(await fs.readFile(templatePath), {
+        ignoreEncryption: false,
+    });
+    return pdfDoc
+        .getForm()
+        .getFields()
+        .map((field) => ({ name: field.getName(), type: getFieldType(field) }))
+        .filter((field) => field.type);
+}
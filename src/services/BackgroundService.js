@@ -17,7 +17,10 @@ class BackgroundService extends BaseDataService {
 	async initialize() {
 		return this.initWithLoader(
 			async () => {
-				const data = await DataLoader.loadBackgrounds();
+				const data = await DataLoader.withHomebrew(
+					await DataLoader.loadBackgrounds(),
+					['background'],
+				);
 				if (data?.background) {
 					return {
 						...data,
@@ -0,0 +1,447 @@
+import { capitalize } from '../lib/5eToolsParser.js';
+import { ABILITIES } from '../lib/CharacterStats.js';
+import { ValidationError } from '../lib/Errors.js';
+import { eventBus, EVENTS } from '../lib/EventBus.js';
+import {
+	buildPlanLevelSchema,
+	levelSchema,
+	validateInput,
+} from '../lib/ValidationSchemas.js';
+import { classService } from './ClassService.js';
+import { featService } from './FeatService.js';
+import { levelUpService } from './LevelUpService.js';
+import { optionalFeatureService } from './OptionalFeatureService.js';
+import { progressionHistoryService } from './ProgressionHistoryService.js';
+import { spellSelectionService } from './SpellSelectionService.js';
+import { spellService } from './SpellService.js';
+
+const MAX_LEVEL = 20;
+const MAX_ABILITY_SCORE = 20;
+const DEFAULT_SUBCLASS_LEVEL = 3;
+const ASI_TOTAL = 2;
+
+/** Source recorded on ability increases a plan simulates */
+const PLAN_SOURCE = 'Build Plan';
+
+function getEntries(character) {
+	return character?.buildPlan?.levels || {};
+}
+
+/** Labels for the choices of a planned level, e.g. "+2 Strength" or "Sentinel feat" */
+export function describePlannedLevel(entry) {
+	if (!entry) return [];
+	const parts = [];
+	if (entry.subclass) parts.push(entry.subclass);
+	if (entry.asi) {
+		parts.push(
+			Object.entries(entry.asi)
+				.map(([ability, amount]) => `+${amount} ${capitalize(ability)}`)
+				.join(', '),
+		);
+	}
+	if (entry.feat) parts.push(`${entry.feat.name} feat`);
+	for (const names of Object.values(entry.features || {})) {
+		if (names.length) parts.push(names.join(', '));
+	}
+	if (entry.spells?.length) parts.push(`Spells: ${entry.spells.join(', ')}`);
+	return parts;
+}
+
+/**
+ * A target build laid out level by level, kept on the character as
+ *
+ *   character.buildPlan = {
+ *     levels: {
+ *       '5': { className: 'Warlock', subclass?, asi?: { charisma: 2 },
+ *              feat?: { name, source }, spells?: ['Fireball'],
+ *              features?: { invocation: ['Agonizing Blast'] } },
+ *     },
+ *   }
+ *
+ * Keys are character levels. Levels the character already has are history;
+ * planned levels above it are validated by simulating each one in turn.
+ *
+ * Error strategy: THROW when storing a malformed level (ValidationError).
+ * Validation never throws; it reports problems per level.
+ */
+class BuildPlanService {
+	constructor() {
+		this.loggerScope = 'BuildPlanService';
+	}
+
+	getPlannedLevel(character, level) {
+		return getEntries(character)[String(level)] || null;
+	}
+
+	/** Planned levels in order, as `[level, entry]` pairs */
+	getPlannedLevels(character) {
+		return Object.entries(getEntries(character))
+			.map(([level, entry]) => [Number(level), entry])
+			.sort((a, b) => a[0] - b[0]);
+	}
+
+	hasPlan(character) {
+		return Object.keys(getEntries(character)).length > 0;
+	}
+
+	setPlannedLevel(character, level, entry) {
+		const validLevel = validateInput(levelSchema, level, 'Invalid plan level');
+		const validEntry = validateInput(
+			buildPlanLevelSchema,
+			entry,
+			'Invalid planned level',
+		);
+
+		if (validEntry.asi) {
+			const total = Object.values(validEntry.asi).reduce((a, b) => a + b, 0);
+			if (total !== ASI_TOTAL) {
+				throw new ValidationError(
+					'An ability score increase adds 2 points in total',
+					{ level: validLevel, asi: validEntry.asi },
+				);
+			}
+		}
+
+		if (!character.buildPlan) character.buildPlan = { levels: {} };
+		character.buildPlan.levels[String(validLevel)] =
+			structuredClone(validEntry);
+		return character.buildPlan.levels[String(validLevel)];
+	}
+
+	clearPlannedLevel(character, level) {
+		const entries = getEntries(character);
+		if (!(String(level) in entries)) return false;
+		delete entries[String(level)];
+		return true;
+	}
+
+	clearPlan(character) {
+		character.buildPlan = { levels: {} };
+	}
+
+	/**
+	 * Validate every planned level against multiclass requirements, ASI
+	 * levels, feat and class option prerequisites and the spells each class
+	 * can learn.
+	 * @returns {{ valid: boolean, levels: Array<{ level: number, className: string,
+	 *   classLevel: number|null, taken: boolean, errors: string[] }> }}
+	 */
+	validatePlan(character) {
+		const currentLevel = character.getTotalLevel();
+		const planned = this.getPlannedLevels(character);
+		const sim = this._createSimulation(character);
+		const levels = [];
+		let gapAt = null;
+
+		for (let level = currentLevel + 1; level <= MAX_LEVEL; level++) {
+			if (!this.getPlannedLevel(character, level)) {
+				gapAt = level;
+				break;
+			}
+		}
+
+		for (const [level, entry] of planned) {
+			const result = {
+				level,
+				className: entry.className,
+				classLevel: null,
+				taken: level <= currentLevel,
+				errors: [],
+			};
+			levels.push(result);
+			if (result.taken) continue;
+
+			if (gapAt !== null && level > gapAt) {
+				result.errors.push(`Plan level ${gapAt} first`);
+				continue;
+			}
+			try {
+				result.classLevel = this._simulateLevel(sim, entry, result.errors);
+			} catch (error) {
+				console.warn(`[${this.loggerScope}]`, 'Plan validation failed', error);
+				result.errors.push(error.message);
+			}
+		}
+
+		return {
+			valid: levels.every((result) => result.errors.length === 0),
+			levels,
+		};
+	}
+
+	/** The plan for the character's next level with its validation, or null */
+	getNextPlannedLevel(character) {
+		const level = character.getTotalLevel() + 1;
+		const entry = this.getPlannedLevel(character, level);
+		if (!entry || level > MAX_LEVEL) return null;
+
+		const result = this.validatePlan(character).levels.find(
+			(r) => r.level === level,
+		);
+		return {
+			level,
+			entry,
+			classLevel: result?.classLevel ?? null,
+			errors: result?.errors || [],
+		};
+	}
+
+	/**
+	 * Record a planned level's choices once the class level has been added:
+	 * the subclass, class options in progression history and spells learned.
+	 * ASIs and feats are left for the ASI choice on the Build page.
+	 * @returns {string[]} Planned choices that could not be applied
+	 */
+	applyPlannedLevel(character, entry, classLevel) {
+		const classEntry = character.getClassEntry(entry.className);
+		if (!classEntry) {
+			throw new ValidationError(`${entry.className} has not been added`, {
+				className: entry.className,
+			});
+		}
+		const skipped = [];
+
+		if (entry.subclass && !classEntry.subclass) {
+			classEntry.subclass = entry.subclass;
+		}
+
+		const features = Object.entries(entry.features || {}).filter(
+			([, names]) => names.length > 0,
+		);
+		if (features.length) {
+			progressionHistoryService.mergeChoices(
+				character,
+				entry.className,
+				classLevel,
+				Object.fromEntries(
+					features.map(([type, names]) => [
+						type,
+						{ selected: [...names], count: names.length },
+					]),
+				),
+			);
+		}
+
+		if (entry.spells?.length) {
+			skipped.push(...this._applySpells(character, entry, classLevel));
+		}
+
+		if (entry.asi || entry.feat) {
+			skipped.push(
+				describePlannedLevel({ asi: entry.asi, feat: entry.feat })[0],
+			);
+		}
+
+		eventBus.emit(EVENTS.CHARACTER_UPDATED, { character });
+		return skipped;
+	}
+
+	_applySpells(character, entry, classLevel) {
+		const skipped = [];
+		if (!character.spellcasting?.classes?.[entry.className]) {
+			spellSelectionService.initializeSpellcastingForClass(
+				character,
+				entry.className,
+				classLevel,
+			);
+		}
+
+		const learned = [];
+		for (const name of entry.spells) {
+			try {
+				const spell = spellService.getSpell(name);
+				const known =
+					character.spellcasting?.classes?.[entry.className]?.spellsKnown || [];
+				if (!known.some((s) => s.name === spell.name)) {
+					spellSelectionService.addKnownSpell(
+						character,
+						entry.className,
+						spell,
+					);
+				}
+				learned.push(spell.name);
+			} catch (error) {
+				console.warn(
+					`[${this.loggerScope}]`,
+					`Could not learn planned spell ${name}`,
+					error,
+				);
+				skipped.push(name);
+			}
+		}
+
+		if (learned.length) {
+			spellSelectionService.recordSpellSelections(
+				character,
+				entry.className,
+				classLevel,
+				learned,
+			);
+		}
+		return skipped;
+	}
+
+	/**
+	 * A throwaway view of the character that planned levels are applied to.
+	 * It inherits everything else from the character.
+	 */
+	_createSimulation(character) {
+		const sim = Object.create(character);
+		sim.progression = {
+			...character.progression,
+			classes: (character.progression?.classes || []).map((c) => ({
+				...c,
+				features: [...(c.features || [])],
+			})),
+		};
+		sim.abilityBonuses = Object.fromEntries(
+			ABILITIES.map((ability) => [
+				ability,
+				[...(character.abilityBonuses?.[ability] || [])],
+			]),
+		);
+		sim.feats = [...(character.feats || [])];
+		return sim;
+	}
+
+	/** Apply one planned level to the simulation; returns the new class level */
+	_simulateLevel(sim, entry, errors) {
+		const { className } = entry;
+		const classData = classService.getClass(className, entry.source);
+		let classEntry = sim.progression.classes.find((c) => c.name === className);
+
+		if (!classEntry) {
+			if (sim.progression.classes.length > 0) {
+				for (const name of [
+					className,
+					...sim.progression.classes.map((c) => c.name),
+				]) {
+					if (!levelUpService.checkMulticlassRequirements(sim, name)) {
+						errors.push(`Does not meet the ${name} multiclass requirements`);
+					}
+				}
+			}
+			classEntry = { name: className, source: classData.source, levels: 0 };
+			classEntry.features = [];
+			sim.progression.classes.push(classEntry);
+		}
+		classEntry.levels++;
+		const classLevel = classEntry.levels;
+
+		if (entry.subclass) {
+			this._checkSubclass(classEntry, classData, entry.subclass, errors);
+		}
+		if (entry.asi || entry.feat) {
+			this._simulateImprovement(sim, entry, classLevel, errors);
+		}
+		for (const [type, names] of Object.entries(entry.features || {})) {
+			this._simulateFeatures(sim, classEntry, type, names, errors);
+		}
+		for (const name of entry.spells || []) {
+			this._checkSpell(classData, classLevel, name, errors);
+		}
+		return classLevel;
+	}
+
+	_checkSubclass(classEntry, classData, subclass, errors) {
+		const subclassLevel =
+			classService.getSubclassLevel(classData) || DEFAULT_SUBCLASS_LEVEL;
+		if (classEntry.levels < subclassLevel) {
+			errors.push(
+				`${classEntry.name} chooses a subclass at level ${subclassLevel}`,
+			);
+		} else if (classEntry.subclass && classEntry.subclass !== subclass) {
+			errors.push(`${classEntry.name} already has ${classEntry.subclass}`);
+		}
+		const known = classService
+			.getSubclasses(classEntry.name, classData.source)
+			.some((sc) => sc.name === subclass || sc.shortName === subclass);
+		if (!known) errors.push(`Unknown ${classEntry.name} subclass ${subclass}`);
+		classEntry.subclass = subclass;
+	}
+
+	_simulateImprovement(sim, entry, classLevel, errors) {
+		const asiLevels = levelUpService._getASILevelsForClass(entry.className);
+		if (!asiLevels.includes(classLevel)) {
+			errors.push(
+				`${entry.className} ${classLevel} has no Ability Score Improvement`,
+			);
+		}
+
+		if (entry.asi) {
+			for (const [ability, amount] of Object.entries(entry.asi)) {
+				if (sim.getAbilityScore(ability) + amount > MAX_ABILITY_SCORE) {
+					errors.push(`${ability} cannot go above ${MAX_ABILITY_SCORE}`);
+				}
+				sim.abilityBonuses[ability].push({
+					value: amount,
+					source: PLAN_SOURCE,
+				});
+			}
+			return;
+		}
+
+		try {
+			const feat = featService.getFeat(entry.feat.name, entry.feat.source);
+			const result = featService.checkFeatPrerequisites(feat, sim);
+			for (const reason of result.reasons) {
+				errors.push(`${feat.name}: ${reason}`);
+			}
+			sim.feats.push({ name: feat.name, source: feat.source });
+		} catch {
+			errors.push(`Unknown feat ${entry.feat.name}`);
+		}
+	}
+
+	_simulateFeatures(sim, classEntry, type, names, errors) {
+		for (const name of names) {
+			let feature;
+			try {
+				feature = optionalFeatureService.getFeatureByName(name);
+			} catch {
+				errors.push(`Unknown option ${name}`);
+				continue;
+			}
+			const result = optionalFeatureService.meetsPrerequisites(
+				feature,
+				sim,
+				classEntry.name,
+			);
+			for (const reason of result.reasons) {
+				errors.push(`${feature.name}: ${reason}`);
+			}
+			// Pact boons and the like unlock later options
+			classEntry.features.push({ name: feature.name, type });
+		}
+	}
+
+	_checkSpell(classData, classLevel, name, errors) {
+		let spell;
+		try {
+			spell = spellService.getSpell(name);
+		} catch {
+			errors.push(`Unknown spell ${name}`);
+			return;
+		}
+		if (!classData.spellcastingAbility) {
+			errors.push(`${classData.name} does not learn spells`);
+			return;
+		}
+		if (!spellService.isSpellAvailableForClass(spell, classData.name)) {
+			errors.push(`${spell.name} is not a ${classData.name} spell`);
+			return;
+		}
+		const maxLevel = classService.getMaxSpellLevel(
+			classData.name,
+			classLevel,
+			classData.source,
+		);
+		if (spell.level > maxLevel) {
+			errors.push(
+				`${spell.name} is level ${spell.level}; ${classData.name} ${classLevel} learns up to level ${maxLevel}`,
+			);
+		}
+	}
+}
+
+export const buildPlanService = new BuildPlanService();
@@ -0,0 +1,745 @@
+import { attAbvToLower } from '../lib/5eToolsParser.js';
+import { getRaceAbilityData } from '../lib/AbilityScoreUtils.js';
+import { ABILITIES } from '../lib/CharacterStats.js';
+import { NotFoundError } from '../lib/Errors.js';
+import { DEFAULT_RULESET, RULESETS, STANDARD_ARRAY } from '../lib/GameRules.js';
+import { checkAllPrerequisites } from '../lib/PrerequisiteValidator.js';
+import {
+	characterGeneratorConstraintsSchema,
+	validateInput,
+} from '../lib/ValidationSchemas.js';
+import { backgroundService } from './BackgroundService.js';
+import { classService } from './ClassService.js';
+import { featService } from './FeatService.js';
+import { levelUpService } from './LevelUpService.js';
+import { optionalFeatureService } from './OptionalFeatureService.js';
+import { proficiencyService } from './ProficiencyService.js';
+import { progressionHistoryService } from './ProgressionHistoryService.js';
+import { raceService } from './RaceService.js';
+import { rulesetService } from './RulesetService.js';
+import { sourceService } from './SourceService.js';
+import { spellSelectionService } from './SpellSelectionService.js';
+
+const MAX_ABILITY_SCORE = 20;
+const ASI_TOTAL = 2;
+
+/** Books whose content replaces the classic edition under the 2024 rules */
+const MODERN_SOURCES = new Set(['XPHB', 'XDMG', 'XMM']);
+
+/** Optional feature codes to the progression history type ClassCard records */
+const FEATURE_TYPE_CODES = {
+	invocation: ['EI'],
+	metamagic: ['MM'],
+	maneuver: ['MV:B'],
+	'fighting-style': ['FS:F', 'FS:R', 'FS:P'],
+	patron: ['PB'],
+};
+
+const WEAPON_MASTERY_TYPE = 'weapon-mastery';
+const EPIC_BOON_CATEGORY = 'EB';
+const EPIC_BOON_SOURCE = 'Epic Boon';
+
+/**
+ * Deterministic [0, 1) source (mulberry32), so replaying a generated
+ * character's seed makes the same picks.
+ */
+export function createSeededRandom(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+function shuffle(items, random) {
+	const result = [...items];
+	for (let i = result.length - 1; i > 0; i--) {
+		const j = Math.floor(random() * (i + 1));
+		[result[i], result[j]] = [result[j], result[i]];
+	}
+	return result;
+}
+
+function pick(items, random) {
+	return items.length ? items[Math.floor(random() * items.length)] : null;
+}
+
+function sameName(a, b) {
+	return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function isModern(item) {
+	return item?.edition
+		? item.edition === 'modern'
+		: MODERN_SOURCES.has(item?.source);
+}
+
+/**
+ * Keep one edition of content printed in both: among items sharing a name,
+ * those matching the ruleset win. Content from a single edition is kept.
+ */
+function preferEdition(items, ruleset) {
+	const wantModern = ruleset === RULESETS.MODERN;
+	const byName = new Map();
+	for (const item of items) {
+		const key = item.name.toLowerCase();
+		if (!byName.has(key)) byName.set(key, []);
+		byName.get(key).push(item);
+	}
+
+	const result = [];
+	for (const group of byName.values()) {
+		const matching = group.filter((item) => isModern(item) === wantModern);
+		result.push(...(matching.length ? matching : group));
+	}
+	return result;
+}
+
+function isAllowed(item) {
+	return Boolean(item?.source) && sourceService.isSourceAllowed(item.source);
+}
+
+/**
+ * Builds complete random characters for players who want one quickly.
+ *
+ * `generate()` makes the creation choices (class, race, background, ability
+ * scores and the ASIs to take) as staged creation data. Once that data has
+ * been applied to a character, `applyChoices()` fills in what depends on it:
+ * skill and language picks, expertise, optional class features, weapon
+ * masteries, spells and Epic Boons. Those picks come from the generated
+ * seed, so applying the same result to two identical characters (a draft
+ * that is validated, then the character that is saved) gives the same picks.
+ *
+ * Everything is drawn from the allowed sources of SourceService.
+ *
+ * Error strategy: THROW. Bad constraints raise ValidationError; a class that
+ * is not allowed, or sources with nothing to pick, raise NotFoundError.
+ */
+export class CharacterGeneratorService {
+	/**
+	 * @param {Function} [random] - Returns a number in [0, 1); tests pass a
+	 *   seeded source
+	 */
+	constructor(random = Math.random) {
+		this._random = random;
+		this.loggerScope = 'CharacterGeneratorService';
+	}
+
+	/**
+	 * @param {Object} [constraints]
+	 * @param {string} [constraints.name]
+	 * @param {string} [constraints.className] - Class to build
+	 * @param {string} [constraints.ruleset] - '2014' or '2024'
+	 * @param {number} [constraints.level] - 1-20, default 1
+	 * @param {boolean} [constraints.preferSpellcasters] - Only pick spellcasting
+	 *   classes when no class is given
+	 * @returns {Object} Staged creation data plus `asis` and `seed`
+	 * @throws {ValidationError|NotFoundError}
+	 */
+	generate(constraints = {}) {
+		const options = validateInput(
+			characterGeneratorConstraintsSchema,
+			constraints,
+			'Invalid character generator constraints',
+		);
+		const ruleset = options.ruleset || DEFAULT_RULESET;
+		const level = options.level || 1;
+		const is2024 = ruleset === RULESETS.MODERN;
+
+		const classData = this._pickClass(options, ruleset);
+		const subclass = this._pickSubclass(classData, level, ruleset);
+		const { race, subrace } = this._pickRace(ruleset);
+		const background = this._pickBackground(ruleset);
+
+		const priorities = this._getAbilityPriorities(classData);
+		const abilityScores = {};
+		priorities.forEach((ability, index) => {
+			abilityScores[ability] = STANDARD_ARRAY[index];
+		});
+
+		const bonuses = {};
+		let abilityChoices = [];
+		let backgroundBonuses = null;
+		if (is2024) {
+			backgroundBonuses = this._pickBackgroundBonuses(background, priorities);
+			Object.assign(bonuses, backgroundBonuses);
+		} else {
+			abilityChoices = this._pickRaceAbilityChoices(
+				race,
+				subrace,
+				priorities,
+				bonuses,
+			);
+		}
+
+		const totals = {};
+		for (const ability of ABILITIES) {
+			totals[ability] = abilityScores[ability] + (bonuses[ability] || 0);
+		}
+
+		const generated = {
+			name: options.name || `${race.name} ${classData.name}`,
+			level,
+			abilityScoreMethod: 'standardArray',
+			variantRules: { ruleset },
+			race: {
+				name: race.name,
+				source: race.source,
+				subrace: subrace?.name || '',
+				abilityChoices,
+			},
+			class: {
+				name: classData.name,
+				source: classData.source,
+				subclass: subclass?.name || '',
+			},
+			background: {
+				name: background.name,
+				source: background.source,
+				abilityBonuses: backgroundBonuses,
+			},
+			abilityScores,
+			asis: this._planAbilityScoreImprovements(
+				classData,
+				level,
+				totals,
+				priorities,
+			),
+			seed: Math.floor(this._random() * 2 ** 32),
+		};
+
+		console.debug(`[${this.loggerScope}]`, 'Generated character', {
+			name: generated.name,
+			class: generated.class,
+			race: generated.race.name,
+			background: generated.background.name,
+			level,
+		});
+		return generated;
+	}
+
+	/**
+	 * Make the remaining choices of a character built from `generate()`.
+	 * @param {Object} character - A character the generated data was applied to
+	 * @param {Object} generated - The result of generate()
+	 */
+	applyChoices(character, generated) {
+		const random = createSeededRandom(generated.seed);
+		const classEntry = character.progression?.classes?.find(
+			(c) => c.name === generated.class.name,
+		);
+		if (!classEntry) {
+			throw new NotFoundError('Class entry', generated.class.name);
+		}
+		const ruleset = rulesetService.getRuleset(character);
+		const is2024 = rulesetService.is2024(character);
+
+		this._applyAbilityScoreImprovements(character, generated.asis || []);
+		this._chooseOptionalProficiencies(character, random);
+		this._chooseExpertise(character, random);
+		this._chooseOptionalFeatures(character, classEntry, random);
+		if (is2024) {
+			this._chooseWeaponMasteries(character, classEntry, ruleset, random);
+		}
+		this._chooseSpells(character, classEntry, ruleset, random);
+		if (is2024) this._chooseEpicBoons(character, random);
+	}
+
+	_pickClass(options, ruleset) {
+		const classes = preferEdition(
+			classService
+				.getAllClasses()
+				.filter((cls) => isAllowed(cls) && !cls.isSidekick),
+			ruleset,
+		);
+
+		if (options.className) {
+			const matching = classes.filter((cls) =>
+				sameName(cls.name, options.className),
+			);
+			if (!matching.length) {
+				throw new NotFoundError('Class', options.className, {
+					allowedSources: sourceService.getAllowedSources(),
+				});
+			}
+			return pick(matching, this._random);
+		}
+
+		const casters = options.preferSpellcasters
+			? classes.filter((cls) => cls.spellcastingAbility)
+			: [];
+		const pool = casters.length ? casters : classes;
+		if (!pool.length) {
+			throw new NotFoundError('Class', 'any', {
+				allowedSources: sourceService.getAllowedSources(),
+			});
+		}
+		return pick(pool, this._random);
+	}
+
+	_pickSubclass(classData, level, ruleset) {
+		const subclassLevel = classService.getSubclassLevel(classData);
+		if (!subclassLevel || level < subclassLevel) return null;
+
+		const subclasses = classService
+			.getSubclasses(classData.name, classData.source)
+			.filter(
+				(sc) =>
+					sc.name &&
+					sourceService.isSourceAllowed(sc.source || classData.source),
+			);
+		return pick(preferEdition(subclasses, ruleset), this._random);
+	}
+
+	_pickRace(ruleset) {
+		// Races that grant a feat (Variant Human, Custom Lineage) need a choice
+		// the generator leaves to the player
+		const races = preferEdition(
+			raceService
+				.getAllRaces()
+				.filter((race) => isAllowed(race) && !race.feats),
+			ruleset,
+		);
+		const race = pick(races, this._random);
+		if (!race) {
+			throw new NotFoundError('Race', 'any', {
+				allowedSources: sourceService.getAllowedSources(),
+			});
+		}
+
+		const subraces = raceService
+			.getSubraces(race.name, race.source)
+			.filter(
+				(subrace) =>
+					subrace.name?.trim() &&
+					!subrace.feats &&
+					sourceService.isSourceAllowed(subrace.source || race.source),
+			);
+		const subrace =
+			subraces.length &&
+			(raceService.isSubraceRequired(race.name, race.source) ||
+				this._random() < 0.5)
+				? pick(subraces, this._random)
+				: null;
+
+		return { race, subrace };
+	}
+
+	_pickBackground(ruleset) {
+		const backgrounds = preferEdition(
+			backgroundService.getAllBackgrounds().filter(isAllowed),
+			ruleset,
+		);
+		const background = pick(backgrounds, this._random);
+		if (!background) {
+			throw new NotFoundError('Background', 'any', {
+				allowedSources: sourceService.getAllowedSources(),
+			});
+		}
+		return background;
+	}
+
+	/**
+	 * Abilities from most to least important: the class's primary abilities,
+	 * then Constitution and Dexterity, then the rest in random order.
+	 */
+	_getAbilityPriorities(classData) {
+		const primary = [];
+		const addAll = (abbreviations) => {
+			for (const abv of abbreviations) {
+				const ability = attAbvToLower(abv);
+				if (ABILITIES.includes(ability)) primary.push(ability);
+			}
+		};
+		const trueKeys = (entry) =>
+			Object.keys(entry || {}).filter((key) => entry[key] === true);
+
+		if (Array.isArray(classData.primaryAbility)) {
+			addAll(trueKeys(pick(classData.primaryAbility, this._random)));
+		}
+
+		const requirements = classData.multiclassing?.requirements;
+		if (requirements?.or) {
+			addAll(Object.keys(pick(requirements.or, this._random) || {}));
+		}
+		if (requirements) {
+			addAll(Object.keys(requirements).filter((key) => key !== 'or'));
+		}
+
+		if (classData.spellcastingAbility) {
+			addAll([classData.spellcastingAbility]);
+		}
+		if (!primary.length) primary.push('strength');
+
+		const ordered = [...new Set([...primary, 'constitution', 'dexterity'])];
+		const rest = ABILITIES.filter((ability) => !ordered.includes(ability));
+		return [...ordered, ...shuffle(rest, this._random)];
+	}
+
+	/** Racial +N choices (2014 rules) on the most important abilities */
+	_pickRaceAbilityChoices(race, subrace, priorities, bonuses) {
+		const { fixed, choices } = getRaceAbilityData(race, subrace);
+		for (const bonus of fixed) {
+			bonuses[bonus.ability] = (bonuses[bonus.ability] || 0) + bonus.value;
+		}
+
+		const picked = [];
+		for (const choice of choices) {
+			const candidates = priorities.filter(
+				(ability) =>
+					choice.from.includes(ability) &&
+					!picked.some((p) => p.ability === ability),
+			);
+			for (const ability of candidates.slice(0, choice.count || 1)) {
+				const amount = choice.amount || 1;
+				picked.push({ ability, amount });
+				bonuses[ability] = (bonuses[ability] || 0) + amount;
+			}
+		}
+		return picked;
+	}
+
+	/** The background ability spread (2024 rules) that favours the most important abilities */
+	_pickBackgroundBonuses(background, priorities) {
+		const weight = (option) =>
+			Object.entries(option.bonuses).reduce(
+				(sum, [ability, value]) =>
+					sum + value * (priorities.length - priorities.indexOf(ability)),
+				0,
+			);
+
+		let best = null;
+		for (const option of rulesetService.getBackgroundAbilityOptions(
+			background,
+		)) {
+			if (!best || weight(option) > weight(best)) best = option;
+		}
+		return best ? { ...best.bonuses } : null;
+	}
+
+	/**
+	 * Spend each Ability Score Improvement up to `level` on the most important
+	 * abilities below 20: +2 to one, or +1 to two when the first is at 19.
+	 */
+	_planAbilityScoreImprovements(classData, level, totals, priorities) {
+		const asiLevels = classService
+			.getClassFeatures(classData.name, level, classData.source)
+			.filter((feature) => feature.name?.includes('Ability Score Improvement'))
+			.map((feature) => feature.level);
+
+		const plan = [];
+		for (const asiLevel of [...new Set(asiLevels)].sort((a, b) => a - b)) {
+			const changedAbilities = {};
+			let remaining = ASI_TOTAL;
+			for (const ability of priorities) {
+				if (remaining === 0) break;
+				const amount = Math.min(remaining, MAX_ABILITY_SCORE - totals[ability]);
+				if (amount <= 0) continue;
+				changedAbilities[ability] = amount;
+				totals[ability] += amount;
+				remaining -= amount;
+			}
+			if (Object.keys(changedAbilities).length) {
+				plan.push({ level: asiLevel, changedAbilities });
+			}
+		}
+		return plan;
+	}
+
+	_applyAbilityScoreImprovements(character, asis) {
+		for (const { level, changedAbilities } of asis) {
+			for (const [ability, amount] of Object.entries(changedAbilities)) {
+				character.abilityScores[ability] =
+					(character.abilityScores[ability] || 10) + amount;
+			}
+			levelUpService.recordLevelUp(character, level - 1, level, {
+				changedAbilities: { ...changedAbilities },
+				appliedFeats: [],
+				appliedFeatures: [],
+			});
+		}
+	}
+
+	/** Fill the open skill, language and tool choices from their options */
+	_chooseOptionalProficiencies(character, random) {
+		for (const type of ['skills', 'languages', 'tools']) {
+			const optional = character.optionalProficiencies?.[type];
+			if (!optional) continue;
+
+			for (const source of ['race', 'class', 'background']) {
+				const slot = optional[source];
+				const needed = (slot?.allowed || 0) - (slot?.selected?.length || 0);
+				if (needed <= 0 || !slot.options?.length) continue;
+
+				const held = proficiencyService.getProficientNames(character, type);
+				const candidates = slot.options.filter(
+					(option) =>
+						typeof option === 'string' &&
+						!sameName(option, 'any') &&
+						!held.some((name) => sameName(name, option)),
+				);
+				slot.selected = [
+					...(slot.selected || []),
+					...shuffle(candidates, random).slice(0, needed),
+				];
+			}
+
+			optional.selected = [
+				...new Set(
+					['race', 'class', 'background'].flatMap(
+						(source) => optional[source]?.selected || [],
+					),
+				),
+			];
+		}
+	}
+
+	_chooseExpertise(character, random) {
+		for (const slot of proficiencyService.getExpertiseSlots(character)) {
+			const chosen = character.expertiseChoices?.[slot.key]?.length || 0;
+			const options = proficiencyService
+				.getExpertiseOptions(character, slot)
+				.filter((option) => !option.selected);
+			for (const option of shuffle(options, random).slice(
+				0,
+				Math.max(0, slot.count - chosen),
+			)) {
+				proficiencyService.selectExpertise(
+					character,
+					slot.key,
+					option.type,
+					option.name,
+				);
+			}
+		}
+	}
+
+	/**
+	 * Invocations, Metamagic, Fighting Styles and the like, picked at the class
+	 * level that grants them and recorded in progression history.
+	 */
+	_chooseOptionalFeatures(character, classEntry, random) {
+		const classData = classService.getClass(classEntry.name, classEntry.source);
+		const chosen = new Set();
+
+		for (const progression of classData?.optionalfeatureProgression || []) {
+			const type = classService.mapFeatureType(progression.featureType?.[0]);
+			if (!FEATURE_TYPE_CODES[type]) continue;
+
+			const candidates = shuffle(
+				optionalFeatureService
+					.getFeaturesByType(FEATURE_TYPE_CODES[type])
+					.filter(isAllowed),
+				random,
+			);
+
+			for (let level = 1; level <= classEntry.levels; level++) {
+				const newCount =
+					classService.getCountAtLevel(progression.progression, level) -
+					classService.getCountAtLevel(progression.progression, level - 1);
+				if (newCount <= 0) continue;
+
+				const picks = candidates
+					.filter(
+						(feature) =>
+							!chosen.has(feature.name) &&
+							this._prerequisiteLevel(feature) <= level &&
+							optionalFeatureService.meetsPrerequisites(
+								feature,
+								character,
+								classEntry.name,
+							).met,
+					)
+					.slice(0, newCount)
+					.map((feature) => feature.name);
+				if (!picks.length) continue;
+
+				for (const name of picks) chosen.add(name);
+				this._recordSelections(character, classEntry.name, level, type, picks);
+			}
+		}
+	}
+
+	_prerequisiteLevel(feature) {
+		let level = 0;
+		for (const prerequisite of feature.prerequisite || []) {
+			const value = prerequisite.level;
+			const required = typeof value === 'object' ? value?.level : value;
+			if (Number.isFinite(required)) level = Math.max(level, required);
+		}
+		return level;
+	}
+
+	_recordSelections(character, className, level, type, names) {
+		const existing =
+			progressionHistoryService.getChoices(character, className, level)?.[type]
+				?.selected || [];
+		const selected = [...existing, ...names];
+		progressionHistoryService.mergeChoices(character, className, level, {
+			[type]: { selected, count: selected.length },
+		});
+	}
+
+	/** Weapon Mastery (2024 rules), preferring weapons the class is proficient with */
+	_chooseWeaponMasteries(character, classEntry, ruleset, random) {
+		const weaponProficiencies = character.proficiencies?.weapons || [];
+		const proficient = (weapon) =>
+			weaponProficiencies.some(
+				(name) =>
+					sameName(name, weapon.name) ||
+					sameName(name, `${weapon.weaponCategory} Weapons`),
+			);
+
+		const weapons = preferEdition(
+			rulesetService.getMasteryWeapons().filter(isAllowed),
+			ruleset,
+		);
+		const preferred = weapons.filter(proficient);
+		const candidates = shuffle(preferred.length ? preferred : weapons, random);
+
+		const chosen = [...(classEntry.weaponMasteries || [])];
+		for (let level = 1; level <= classEntry.levels; level++) {
+			const newCount =
+				rulesetService.getWeaponMasteryCount(classEntry, level) -
+				rulesetService.getWeaponMasteryCount(classEntry, level - 1);
+			if (newCount <= 0) continue;
+
+			const picks = candidates
+				.filter((weapon) => !chosen.includes(weapon.name))
+				.slice(0, newCount)
+				.map((weapon) => weapon.name);
+			if (!picks.length) continue;
+
+			chosen.push(...picks);
+			this._recordSelections(
+				character,
+				classEntry.name,
+				level,
+				WEAPON_MASTERY_TYPE,
+				picks,
+			);
+		}
+
+		if (chosen.length) {
+			rulesetService.setWeaponMasteries(character, classEntry.name, chosen);
+		}
+	}
+
+	/**
+	 * Cantrips and spells from the class list up to the highest spell level
+	 * the class can cast; classes that prepare spells prepare as many as allowed.
+	 */
+	_chooseSpells(character, classEntry, ruleset, random) {
+		const className = classEntry.name;
+		if (!spellSelectionService.isSpellcastingClass(className)) return;
+
+		const level = classEntry.levels;
+		const classSpellcasting =
+			character.spellcasting?.classes?.[className] ||
+			spellSelectionService.initializeSpellcastingForClass(
+				character,
+				className,
+				level,
+			);
+		if (!classSpellcasting) return;
+
+		const maxSpellLevel = classService.getMaxSpellLevel(
+			className,
+			level,
+			classEntry.source,
+		);
+		const candidates = preferEdition(
+			spellSelectionService
+				.getAvailableSpellsForClass(className)
+				.filter(isAllowed),
+			ruleset,
+		);
+		const isKnown = (spell) =>
+			classSpellcasting.spellsKnown.some((known) =>
+				sameName(known.name ?? known, spell.name),
+			);
+		const learn = (spells, count) => {
+			for (const spell of shuffle(spells, random)) {
+				if (count <= 0) break;
+				if (isKnown(spell)) continue;
+				spellSelectionService.addKnownSpell(character, className, spell);
+				count--;
+			}
+		};
+
+		const countKnown = (cantrips) =>
+			classSpellcasting.spellsKnown.filter(
+				(known) => (known.level === 0) === cantrips,
+			).length;
+
+		learn(
+			candidates.filter((spell) => spell.level === 0),
+			spellSelectionService.getCantripsKnown(className, level) -
+				countKnown(true),
+		);
+
+		const info = spellSelectionService.getSpellLimitInfo(
+			character,
+			className,
+			level,
+		);
+		const classData = classService.getClass(className, classEntry.source);
+		const spellCount =
+			(info.type === 'known' ? info.limit : info.spellbookLimit) ||
+			info.preparedLimit ||
+			classData?.preparedSpellsProgression?.[level - 1] ||
+			0;
+		learn(
+			candidates.filter(
+				(spell) => spell.level > 0 && spell.level <= maxSpellLevel,
+			),
+			spellCount - countKnown(false),
+		);
+
+		if (info.type === 'prepared') {
+			const unprepared = classSpellcasting.spellsKnown.filter(
+				(known) =>
+					known.level > 0 &&
+					!classSpellcasting.spellsPrepared.some((p) => p.name === known.name),
+			);
+			const open = info.preparedLimit - classSpellcasting.spellsPrepared.length;
+			for (const spell of shuffle(unprepared, random).slice(
+				0,
+				Math.max(0, open),
+			)) {
+				spellSelectionService.prepareSpell(character, className, spell.name);
+			}
+		}
+	}
+
+	/** One Epic Boon feat (2024 rules) for each class at level 19 or higher */
+	_chooseEpicBoons(character, random) {
+		let missing =
+			rulesetService.getEpicBoonClasses(character).length -
+			rulesetService.getEpicBoons(character).length;
+		if (missing <= 0) return;
+
+		const boons = shuffle(
+			featService
+				.getAllFeats()
+				.filter(
+					(feat) =>
+						feat.category === EPIC_BOON_CATEGORY &&
+						isAllowed(feat) &&
+						!character.feats.some((owned) => sameName(owned.name, feat.name)),
+				),
+			random,
+		);
+		for (const boon of boons) {
+			if (missing <= 0) break;
+			if (!checkAllPrerequisites(boon, character).met) continue;
+			character.feats.push({ name: boon.name, source: EPIC_BOON_SOURCE });
+			missing--;
+		}
+	}
+}
+
+export const characterGeneratorService = new CharacterGeneratorService();
@@ -3,11 +3,18 @@ import path from 'node:path';
 import { v4 as uuidv4 } from 'uuid';
 import { CharacterSchema } from '../lib/CharacterSchema.js';
 
+/** Extensions the import dialog accepts; `.json` may come from other tools */
+export const IMPORT_FILE_EXTENSIONS = ['ffp', 'json'];
+
 /**
  * Error strategy: RETURN-object. This service returns { success, error, step }
  * objects instead of throwing because it communicates multi-step progress
  * to the UI (read → validate → conflict-detect → resolve). This is intentional
  * at the IPC/workflow boundary.
+ *
+ * `.json` files that are not Fizbane characters stop at the 'convert' step
+ * and are handed to the renderer, where ExternalImportService maps them
+ * onto the loaded game data.
  */
 export class CharacterImportService {
 	constructor(savePath) {
@@ -15,9 +22,10 @@ export class CharacterImportService {
 	}
 
 	async readCharacterFile(filePath) {
-		if (!filePath.endsWith('.ffp')) {
+		const extension = path.extname(filePath).slice(1).toLowerCase();
+		if (!IMPORT_FILE_EXTENSIONS.includes(extension)) {
 			return {
-				error: 'Invalid file format. Only .ffp files are supported.',
+				error: 'Invalid file format. Only .ffp and .json files are supported.',
 			};
 		}
 
@@ -85,6 +93,9 @@ export class CharacterImportService {
 		const character = readResult.character;
 
 		const validationResult = await this.validateCharacter(character);
+		if (!validationResult.valid && filePath.toLowerCase().endsWith('.json')) {
+			return { step: 'convert', success: false, data: character };
+		}
 		if (!validationResult.valid) {
 			return {
 				step: 'validate',
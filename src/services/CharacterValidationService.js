@@ -3,8 +3,11 @@
  * as arrays, never thrown, because partial validation results are still useful.
  */
 
+import { NotFoundError } from '../lib/Errors.js';
+import { backgroundService } from './BackgroundService.js';
 import { classService } from './ClassService.js';
 import { progressionValidatorService } from './ProgressionValidatorService.js';
+import { BACKGROUND_SOURCE, rulesetService } from './RulesetService.js';
 import { spellValidatorService } from './SpellValidatorService.js';
 
 class CharacterValidationService {
@@ -24,6 +27,11 @@ class CharacterValidationService {
 				subclasses: [],
 				asis: [],
 				features: [],
+				// 2024 rules only
+				abilityBonuses: [],
+				originFeats: [],
+				weaponMasteries: [],
+				epicBoons: [],
 				other: [], // For any class-specific choices not categorized above
 			},
 			warnings: [],
@@ -39,6 +47,12 @@ class CharacterValidationService {
 			this._validateClassProgression(character, classEntry, report);
 		}
 
+		spellValidatorService.checkCastableSpells(character, report);
+
+		if (rulesetService.is2024(character)) {
+			this._validate2024Rules(character, report);
+		}
+
 		report.isValid = Object.values(report.missing).every(
 			(arr) => arr.length === 0,
 		);
@@ -78,6 +92,90 @@ class CharacterValidationService {
 		progressionValidatorService.checkASIs(character, classEntry, classData, report);
 	}
 
+	/** Background origin, Weapon Mastery and Epic Boons under the 2024 rules */
+	_validate2024Rules(character, report) {
+		const racialSources = ['Race', 'Subrace', 'Race Choice', 'Subrace Choice'];
+		const hasRacialBonuses = Object.values(character.abilityBonuses || {}).some(
+			(bonuses) =>
+				(bonuses || []).some((bonus) => racialSources.includes(bonus.source)),
+		);
+		if (hasRacialBonuses) {
+			report.warnings.push(
+				'Racial ability bonuses do not apply under the 2024 rules',
+			);
+		}
+
+		this._validateBackgroundOrigin(character, report);
+
+		for (const classEntry of character.progression.classes) {
+			const expected = rulesetService.getWeaponMasteryCount(classEntry);
+			const selected = (classEntry.weaponMasteries || []).length;
+			if (selected < expected) {
+				report.missing.weaponMasteries.push({
+					class: classEntry.name,
+					expected,
+					selected,
+					missing: expected - selected,
+				});
+			}
+		}
+
+		const boonClasses = rulesetService.getEpicBoonClasses(character);
+		const missingBoons =
+			boonClasses.length - rulesetService.getEpicBoons(character).length;
+		for (const classEntry of boonClasses.slice(0, Math.max(0, missingBoons))) {
+			report.missing.epicBoons.push({
+				class: classEntry.name,
+				level: classEntry.levels,
+				missing: 1,
+			});
+		}
+	}
+
+	_validateBackgroundOrigin(character, report) {
+		const { name, source } = character.background || {};
+		if (!name) return;
+
+		let background;
+		try {
+			background = backgroundService.getBackground(name, source);
+		} catch (error) {
+			if (!(error instanceof NotFoundError)) throw error;
+			report.warnings.push(`Unknown background: ${name}`);
+			return;
+		}
+
+		const options = rulesetService.getBackgroundAbilityOptions(background);
+		if (
+			options.length > 0 &&
+			!rulesetService.findBackgroundAbilityOption(
+				background,
+				character.background.abilityBonuses,
+			)
+		) {
+			report.missing.abilityBonuses.push({
+				background: name,
+				options: options.map((option) => option.label),
+			});
+		}
+
+		const featNames = new Set(
+			(character.feats || [])
+				.filter((feat) => feat.source === BACKGROUND_SOURCE)
+				.map((feat) => feat.name.toLowerCase()),
+		);
+		const missingFeats = rulesetService
+			.getOriginFeats(background)
+			.filter((feat) => !featNames.has(feat.name.toLowerCase()));
+		if (missingFeats.length > 0) {
+			report.missing.originFeats.push({
+				background: name,
+				feats: missingFeats.map((feat) => feat.name),
+				missing: missingFeats.length,
+			});
+		}
+	}
+
 	/** @returns {string[]} Array of summary messages */
 	getSummary(report) {
 		const messages = [];
@@ -116,6 +214,26 @@ class CharacterValidationService {
 		if (report.missing.pactBoons.length > 0) {
 			messages.push(`Missing pact boons: ${report.missing.pactBoons.length}`);
 		}
+		if (report.missing.abilityBonuses?.length > 0) {
+			messages.push('Missing background ability bonuses');
+		}
+		if (report.missing.originFeats?.length > 0) {
+			const totalMissing = report.missing.originFeats.reduce(
+				(sum, f) => sum + (f.missing || 0),
+				0,
+			);
+			messages.push(`Missing origin feats: ${totalMissing}`);
+		}
+		if (report.missing.weaponMasteries?.length > 0) {
+			const totalMissing = report.missing.weaponMasteries.reduce(
+				(sum, w) => sum + (w.missing || 0),
+				0,
+			);
+			messages.push(`Missing weapon masteries: ${totalMissing}`);
+		}
+		if (report.missing.epicBoons?.length > 0) {
+			messages.push(`Missing epic boons: ${report.missing.epicBoons.length}`);
+		}
 		if (report.missing.other.length > 0) {
 			messages.push(`Other incomplete choices: ${report.missing.other.length}`);
 		}
@@ -165,11 +283,30 @@ class CharacterValidationService {
 			);
 		}
 
+		const originChoices =
+			report.missing.abilityBonuses.length +
+			report.missing.originFeats.reduce((sum, f) => sum + f.missing, 0);
+		if (originChoices > 0) {
+			summary.byCategory.origin = originChoices;
+			summary.total += originChoices;
+			summary.messages.push(
+				`${originChoices} background origin choice${originChoices > 1 ? 's' : ''}`,
+			);
+		}
+
+		if (report.missing.epicBoons.length > 0) {
+			const totalBoons = report.missing.epicBoons.length;
+			summary.byCategory.epicBoons = totalBoons;
+			summary.total += totalBoons;
+			summary.messages.push(`${totalBoons} epic boon${totalBoons > 1 ? 's' : ''}`);
+		}
+
 		const featureTypes = [
 			'invocations',
 			'metamagic',
 			'fightingStyles',
 			'pactBoons',
+			'weaponMasteries',
 		];
 		let totalFeatures = 0;
 		for (const type of featureTypes) {
@@ -232,6 +369,8 @@ class CharacterValidationService {
 			'metamagic',
 			'fightingStyles',
 			'pactBoons',
+			'weaponMasteries',
+			'epicBoons',
 			'other',
 		];
 		for (const type of featureTypes) {
@@ -113,7 +113,12 @@ class ClassService extends BaseDataService {
 					console.warn('[ClassService]', `${failedFluffCount}/${fluffFiles.length} class fluff files failed to load`);
 				}
 
-				return aggregated;
+				return DataLoader.withHomebrew(aggregated, [
+					'class',
+					'classFeature',
+					'subclass',
+					'subclassFeature',
+				]);
 			},
 			{
 				onLoaded: (data, meta) => {
@@ -0,0 +1,287 @@
+import {
+	getClassLevel,
+	getSelectedOptionalFeatures,
+} from '../lib/CharacterStats.js';
+import { NotFoundError, ValidationError } from '../lib/Errors.js';
+import {
+	BEAST_COMPANION_MAX_CR,
+	BEAST_COMPANION_SIZES,
+	COMPANION_BESTIARY_SOURCES,
+	COMPANION_KIND_LABELS,
+	COMPANION_KINDS,
+	FIND_FAMILIAR_CREATURES,
+	PACT_OF_THE_CHAIN_CREATURES,
+	PRIMAL_COMPANION_CREATURES,
+	WILD_SHAPE_LIMITS,
+} from '../lib/GameRules.js';
+import { monsterService } from './MonsterService.js';
+import { rulesetService } from './RulesetService.js';
+import { sourceService } from './SourceService.js';
+
+const NUMBER_WORDS = {
+	one: 1,
+	two: 2,
+	three: 3,
+	four: 4,
+	five: 5,
+	six: 6,
+	seven: 7,
+	eight: 8,
+	nine: 9,
+	ten: 10,
+};
+
+/** Numeric challenge rating from "1/4", { cr: "2" } or 3; null if unrated */
+export function parseChallengeRating(cr) {
+	const value = typeof cr === 'object' && cr !== null ? cr.cr : cr;
+	if (typeof value === 'number') return value;
+	const match = /^(\d+)(?:\/(\d+))?$/.exec(String(value ?? '').trim());
+	if (!match) return null;
+	return match[2] ? Number(match[1]) / Number(match[2]) : Number(match[1]);
+}
+
+function getCreatureType(monster) {
+	const type =
+		typeof monster?.type === 'object' ? monster.type?.type : monster?.type;
+	return typeof type === 'string' ? type.toLowerCase() : '';
+}
+
+function getSpeed(monster, mode) {
+	const speed = monster?.speed?.[mode];
+	if (typeof speed === 'number') return speed;
+	return speed?.number || 0;
+}
+
+function isBeast(monster) {
+	return getCreatureType(monster) === 'beast';
+}
+
+function hasName(names, monster) {
+	const name = String(monster?.name || '').toLowerCase();
+	return names.some((n) => n.toLowerCase() === name);
+}
+
+/**
+ * Creatures a character keeps alongside its sheet: familiars, a ranger's
+ * beast and the forms a druid can Wild Shape into. Each companion stores a
+ * copy of its bestiary stat block, so it renders and prints without the
+ * bestiary loaded, plus its own hit points and notes.
+ *
+ * Which creatures qualify depends on the character: Find Familiar (and Pact
+ * of the Chain), the Beast Master subclass, and the Wild Shape CR and
+ * movement limits for the Druid level, under the character's ruleset.
+ *
+ * Error strategy: THROW. Ineligible creatures raise ValidationError and
+ * unknown companions NotFoundError.
+ */
+export class CompanionService {
+	getCompanions(character) {
+		return Array.isArray(character?.companions) ? character.companions : [];
+	}
+
+	/** Companion kinds the character's spells, class and subclass allow */
+	getAvailableKinds(character) {
+		const kinds = [];
+		if (
+			this._knowsFindFamiliar(character) ||
+			this._hasPactOfTheChain(character)
+		) {
+			kinds.push(COMPANION_KINDS.FAMILIAR);
+		}
+		if (this._isBeastMaster(character)) {
+			kinds.push(COMPANION_KINDS.BEAST_COMPANION);
+		}
+		if (this.getWildShapeLimits(character)) {
+			kinds.push(COMPANION_KINDS.WILD_SHAPE);
+		}
+		return kinds;
+	}
+
+	/**
+	 * Wild Shape limits for the character's Druid level.
+	 * @returns {{maxCr: number, fly: boolean, swim: boolean}|null} null below
+	 *   Druid level 2
+	 */
+	getWildShapeLimits(character) {
+		const level = getClassLevel(character, 'Druid');
+		const table = WILD_SHAPE_LIMITS[rulesetService.getRuleset(character)];
+		const limits = table.filter((row) => level >= row.level).at(-1);
+		if (!limits) return null;
+
+		let maxCr = limits.maxCr;
+		const subclass = character.progression.classes.find(
+			(c) => c.name === 'Druid',
+		)?.subclass;
+		if (/moon/i.test(subclass || '')) {
+			maxCr = Math.max(maxCr, 1, level >= 6 ? Math.floor(level / 3) : 1);
+		}
+		return { maxCr, fly: limits.fly, swim: limits.swim };
+	}
+
+	/** Whether a bestiary entry can be taken as a companion of `kind` */
+	isEligible(character, kind, monster) {
+		const is2024 = rulesetService.is2024(character);
+		const cr = parseChallengeRating(monster?.cr);
+
+		switch (kind) {
+			case COMPANION_KINDS.FAMILIAR:
+				if (
+					this._hasPactOfTheChain(character) &&
+					hasName(PACT_OF_THE_CHAIN_CREATURES, monster)
+				) {
+					return true;
+				}
+				if (!this._knowsFindFamiliar(character)) return false;
+				if (hasName(FIND_FAMILIAR_CREATURES, monster)) return true;
+				return is2024 && isBeast(monster) && cr === 0;
+
+			case COMPANION_KINDS.BEAST_COMPANION:
+				if (!this._isBeastMaster(character)) return false;
+				if (is2024) return hasName(PRIMAL_COMPANION_CREATURES, monster);
+				return (
+					isBeast(monster) &&
+					cr !== null &&
+					cr <= BEAST_COMPANION_MAX_CR &&
+					(monster.size || []).every((size) =>
+						BEAST_COMPANION_SIZES.includes(size),
+					)
+				);
+
+			case COMPANION_KINDS.WILD_SHAPE: {
+				const limits = this.getWildShapeLimits(character);
+				if (!limits || !isBeast(monster) || cr === null) return false;
+				if (cr > limits.maxCr) return false;
+				if (!limits.fly && getSpeed(monster, 'fly')) return false;
+				if (!limits.swim && getSpeed(monster, 'swim')) return false;
+				return true;
+			}
+
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * Bestiary entries eligible as a companion of `kind`, from the allowed
+	 * sources and the core bestiaries of the character's ruleset.
+	 * @returns {Promise<Array<Object>>} Sorted by name
+	 */
+	async getCandidates(character, kind) {
+		const sources = [
+			...sourceService.getAllowedSources(),
+			...COMPANION_BESTIARY_SOURCES[rulesetService.getRuleset(character)],
+		];
+		const monsters = await monsterService.getMonstersFromSources(sources);
+		return monsters
+			.filter((monster) => this.isEligible(character, kind, monster))
+			.sort((a, b) => a.name.localeCompare(b.name));
+	}
+
+	/**
+	 * Maximum hit points of a companion: the stat block average, or a
+	 * class-level formula such as "5 + five times your Ranger level".
+	 */
+	getMaxHitPoints(character, monster) {
+		const hp = monster?.hp;
+		if (typeof hp?.average === 'number') return hp.average;
+
+		const match = /(\d+)\s*\+\s*(\w+) times your (\w+) level/i.exec(
+			hp?.special || '',
+		);
+		if (!match) return 0;
+		const perLevel = NUMBER_WORDS[match[2].toLowerCase()] ?? Number(match[2]);
+		return Number(match[1]) + perLevel * getClassLevel(character, match[3]);
+	}
+
+	/**
+	 * Attach a bestiary entry to the character.
+	 * @returns {Object} The new companion
+	 */
+	addCompanion(character, kind, monster) {
+		if (!this.isEligible(character, kind, monster)) {
+			throw new ValidationError(
+				`${monster?.name || 'This creature'} cannot be taken as a ${COMPANION_KIND_LABELS[kind] || kind}`,
+				{ kind, monster: monster?.name },
+			);
+		}
+
+		const max = this.getMaxHitPoints(character, monster);
+		const companion = {
+			id: `companion-${crypto.randomUUID()}`,
+			kind,
+			name: monster.name,
+			statBlock: structuredClone(monster),
+			hitPoints: { current: max, max, temp: 0 },
+			notes: '',
+		};
+		if (!Array.isArray(character.companions)) character.companions = [];
+		character.companions.push(companion);
+		return companion;
+	}
+
+	/**
+	 * Update the name, notes or hit points of a companion. Current hit points
+	 * are kept between 0 and the maximum.
+	 * @param {Object} changes - { name?, notes?, hitPoints?: { current?, max?, temp? } }
+	 */
+	updateCompanion(character, companionId, changes = {}) {
+		const companion = this._getCompanion(character, companionId);
+
+		if (typeof changes.name === 'string') {
+			companion.name = changes.name.trim() || companion.statBlock?.name || '';
+		}
+		if (typeof changes.notes === 'string') companion.notes = changes.notes;
+
+		if (changes.hitPoints) {
+			const hp = { ...companion.hitPoints, ...changes.hitPoints };
+			const max = Math.max(0, Number.parseInt(hp.max, 10) || 0);
+			companion.hitPoints = {
+				max,
+				current: Math.min(
+					Math.max(0, Number.parseInt(hp.current, 10) || 0),
+					max,
+				),
+				temp: Math.max(0, Number.parseInt(hp.temp, 10) || 0),
+			};
+		}
+		return companion;
+	}
+
+	removeCompanion(character, companionId) {
+		const companion = this._getCompanion(character, companionId);
+		character.companions = character.companions.filter((c) => c !== companion);
+		return companion;
+	}
+
+	_getCompanion(character, companionId) {
+		const companion = this.getCompanions(character).find(
+			(c) => c.id === companionId,
+		);
+		if (!companion) {
+			throw new NotFoundError('Companion', companionId);
+		}
+		return companion;
+	}
+
+	_knowsFindFamiliar(character) {
+		const classes = character?.spellcasting?.classes || {};
+		return Object.values(classes).some((classData) =>
+			[
+				...(classData?.spellsKnown || []),
+				...(classData?.spellsPrepared || []),
+			].some((spell) => spell?.name === 'Find Familiar'),
+		);
+	}
+
+	_hasPactOfTheChain(character) {
+		return getSelectedOptionalFeatures(character).has('Pact of the Chain');
+	}
+
+	_isBeastMaster(character) {
+		return (character?.progression?.classes || []).some(
+			(c) => c.name === 'Ranger' && /beast master/i.test(c.subclass || ''),
+		);
+	}
+}
+
+export const companionService = new CompanionService();
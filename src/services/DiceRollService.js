@@ -0,0 +1,158 @@
+import { ABILITIES, getClassHitDie } from '../lib/CharacterStats.js';
+import { ValidationError } from '../lib/Errors.js';
+import {
+	ABILITY_ROLL_METHODS,
+	DEFAULT_ABILITY_ROLL_METHOD,
+	HIT_POINT_METHODS,
+	ROLL_TYPES,
+} from '../lib/GameRules.js';
+
+/**
+ * Rolls ability scores and level-up hit points. Every roll is appended to
+ * the `rollLog` of the character (or the staged creation data) with a
+ * timestamp, so a DM can audit it from the character file.
+ *
+ * Error strategy: THROW. Unknown roll methods raise ValidationError.
+ */
+export class DiceRollService {
+	/**
+	 * @param {Function} [random] - Returns a number in [0, 1); tests pass a
+	 *   seeded source
+	 */
+	constructor(random = Math.random) {
+		this._random = random;
+	}
+
+	rollDie(sides) {
+		return Math.floor(this._random() * sides) + 1;
+	}
+
+	getAbilityRollMethod(methodId = DEFAULT_ABILITY_ROLL_METHOD) {
+		const method = ABILITY_ROLL_METHODS[methodId];
+		if (!method) {
+			throw new ValidationError(`Unknown ability roll method: ${methodId}`, {
+				methodId,
+			});
+		}
+		return method;
+	}
+
+	/**
+	 * Roll one ability score.
+	 * @param {string} [methodId] - Key of ABILITY_ROLL_METHODS
+	 * @returns {{dice: number[], dropped: number[], rerolls: number[],
+	 *   total: number}} `rerolls` holds the 1s that were rolled again
+	 */
+	rollAbilityScore(methodId = DEFAULT_ABILITY_ROLL_METHOD) {
+		const method = this.getAbilityRollMethod(methodId);
+		const dice = [];
+		const rerolls = [];
+		for (let i = 0; i < method.dice; i++) {
+			let value = this.rollDie(6);
+			while (method.rerollOnes && value === 1) {
+				rerolls.push(value);
+				value = this.rollDie(6);
+			}
+			dice.push(value);
+		}
+
+		const sorted = [...dice].sort((a, b) => b - a);
+		const kept = sorted.slice(0, method.keep);
+		return {
+			dice,
+			dropped: sorted.slice(method.keep),
+			rerolls,
+			total: kept.reduce((sum, value) => sum + value, 0),
+		};
+	}
+
+	/**
+	 * Roll six ability scores.
+	 * @param {string} [methodId] - Key of ABILITY_ROLL_METHODS
+	 * @returns {Object} Roll log entry; `totals` are in STR..CHA order when
+	 *   the method rolls in order
+	 */
+	rollAbilityScores(methodId = DEFAULT_ABILITY_ROLL_METHOD) {
+		const method = this.getAbilityRollMethod(methodId);
+		const rolls = ABILITIES.map(() => this.rollAbilityScore(methodId));
+		return {
+			type: ROLL_TYPES.ABILITY_SCORES,
+			method: methodId,
+			inOrder: method.inOrder,
+			rolls,
+			totals: rolls.map((roll) => roll.total),
+			at: new Date().toISOString(),
+		};
+	}
+
+	/**
+	 * Append an entry to the roll log of a character or staged creation data.
+	 * @returns {Object} The entry
+	 */
+	logRoll(target, entry) {
+		if (!Array.isArray(target.rollLog)) {
+			target.rollLog = [];
+		}
+		target.rollLog.push(entry);
+		return entry;
+	}
+
+	/**
+	 * Hit points use the fixed average unless rolling was chosen. The old
+	 * averageHitPoints flag is ignored: creation saved it as false for every
+	 * character without meaning "roll".
+	 */
+	usesAverageHitPoints(character) {
+		return character?.variantRules?.hitPointMethod !== HIT_POINT_METHODS.ROLL;
+	}
+
+	/**
+	 * Roll hit points for one class level into classEntry.hitPoints[level - 1].
+	 * Nothing is rolled for the first character level (it takes the full hit
+	 * die), when the character uses average hit points, or when the level
+	 * already has a roll, so removing and re-adding a level cannot reroll it.
+	 * @param {Object} character
+	 * @param {string} className
+	 * @param {number} level - Class level, 1-based
+	 * @returns {Object|null} Roll log entry, or null when nothing was rolled
+	 */
+	rollHitPoints(character, className, level) {
+		if (this.usesAverageHitPoints(character)) return null;
+
+		const classes = character?.progression?.classes || [];
+		const cls = classes.find((c) => c.name === className);
+		if (!cls) {
+			throw new ValidationError(`Class ${className} not found`, {
+				className,
+			});
+		}
+		if (!Number.isInteger(level) || level < 1 || level > (cls.levels || 0)) {
+			throw new ValidationError(`${className} has no level ${level}`, {
+				className,
+				level,
+			});
+		}
+
+		const firstClass = classes.find((c) => (c.levels || 0) > 0);
+		if (cls === firstClass && level === 1) return null;
+
+		if (!Array.isArray(cls.hitPoints)) {
+			cls.hitPoints = [];
+		}
+		if (cls.hitPoints[level - 1]) return null;
+
+		const die = getClassHitDie(cls);
+		const roll = this.rollDie(die);
+		cls.hitPoints[level - 1] = roll;
+		return this.logRoll(character, {
+			type: ROLL_TYPES.HIT_POINTS,
+			className,
+			level,
+			die,
+			roll,
+			at: new Date().toISOString(),
+		});
+	}
+}
+
+export const diceRollService = new DiceRollService();
@@ -1,3 +1,10 @@
+import { unpackUid } from '../lib/5eToolsParser.js';
+import {
+	computeArmorClass,
+	computeAttacks,
+	computeCarryCapacity,
+	isWeaponItem,
+} from '../lib/CharacterStats.js';
 import { NotFoundError, ValidationError } from '../lib/Errors.js';
 import { eventBus, EVENTS } from '../lib/EventBus.js';
 import {
@@ -46,6 +53,26 @@ class EquipmentService {
 		return this._getTypeCode(item) === 'S';
 	}
 
+	/**
+	 * Weapon statistics copied onto an inventory item so attacks can be
+	 * computed without the item data (e.g. by the PDF exporter).
+	 * `baseName` is the base weapon of magic variants ("Longsword" for a
+	 * +1 Longsword), used for proficiency and mastery.
+	 */
+	getWeaponStats(item) {
+		return {
+			baseName:
+				item._baseName || unpackUid(item.baseItem).name || item.name || null,
+			weaponCategory: item.weaponCategory || null,
+			dmg1: item.dmg1 || null,
+			dmg2: item.dmg2 || null,
+			dmgType: item.dmgType || null,
+			range: item.range || null,
+			property: Array.isArray(item.property) ? [...item.property] : [],
+			mastery: Array.isArray(item.mastery) ? [...item.mastery] : [],
+		};
+	}
+
 	_generateItemInstanceId() {
 		return `item-${crypto.randomUUID()}`;
 	}
@@ -75,12 +102,18 @@ class EquipmentService {
 			cost: item.cost ? { ...item.cost } : null,
 			weight: item.weight || 0,
 			ac: item.ac || 0,
+			bonusAc: item.bonusAc || null,
+			bonusWeapon: item.bonusWeapon || null,
+			bonusWeaponAttack: item.bonusWeaponAttack || null,
+			bonusWeaponDamage: item.bonusWeaponDamage || null,
+			rarity: item.rarity || null,
 			source: item.source || 'Unknown',
 			type: item.type || null,
 			weapon: item.weapon || false,
 			armor: item.armor || false,
 			shield: this._getTypeCode(item) === 'S',
 			reqAttune: item.reqAttune || false,
+			...(isWeaponItem(item) ? this.getWeaponStats(item) : {}),
 			metadata: {
 				addedAt: new Date().toISOString(),
 				addedFrom: src,
@@ -288,56 +321,27 @@ class EquipmentService {
 		}, 0);
 	}
 
-	_getCarryCapacityModifier(character) {
-		if (character.features?.traits?.has('Powerful Build')) {
-			return 2;
-		}
-
-		return 1;
-	}
-
-	/** Carry capacity = STR × 15 lbs, modified by Powerful Build etc. */
+	/** Carry capacity = STR × 15 lbs, modified by size and Powerful Build. */
 	calculateCarryCapacity(character) {
-		const strength = character.abilityScores?.strength || 10;
-		const baseCapacity = strength * this.CARRY_CAPACITY_MULTIPLIER;
-		const modifier = this._getCarryCapacityModifier(character);
-		return Math.floor(baseCapacity * modifier);
+		return computeCarryCapacity(character).value;
 	}
 
 	/**
-	 * Compute the character's effective Armor Class from equipped items.
-	 * Rules: unarmored = 10 + DEX; light = ac + DEX; medium = ac + min(DEX, 2);
-	 * heavy = flat ac; shield always adds its ac bonus (default +2).
+	 * Compute the character's effective Armor Class from equipped items,
+	 * class features and magic bonuses. See computeArmorClass in
+	 * CharacterStats for the full rules and breakdown.
 	 */
 	computeArmorClass(character) {
-		const dex = character.abilityScores?.dexterity ?? 10;
-		const dexMod = Math.floor((dex - 10) / 2);
-		const items = character.inventory?.items || [];
-
-		const armor = items.find((i) => i.equipped && this.isArmor(i));
-		const shield = items.find((i) => i.equipped && this.isShield(i));
-
-		let ac;
-		if (!armor) {
-			ac = 10 + dexMod;
-		} else {
-			const typeCode = this._getTypeCode(armor);
-			const armorAc = armor.ac || 0;
-			if (typeCode === 'LA') {
-				ac = armorAc + dexMod;
-			} else if (typeCode === 'MA') {
-				ac = armorAc + Math.min(dexMod, 2);
-			} else {
-				// Heavy armor: flat AC, no DEX bonus
-				ac = armorAc;
-			}
-		}
+		return this.getArmorClassBreakdown(character).value;
+	}
 
-		if (shield) {
-			ac += shield.ac || 2;
-		}
+	getArmorClassBreakdown(character) {
+		return computeArmorClass(character);
+	}
 
-		return ac;
+	/** Attack rows for equipped weapons. See computeAttacks in CharacterStats. */
+	getAttacks(character) {
+		return computeAttacks(character);
 	}
 
 	_updateInventoryWeight(character) {
@@ -0,0 +1,474 @@
+import { Character } from '../app/Character.js';
+import {
+	ABILITY_SCORE_ABSOLUTE_MAX,
+	ABILITY_SCORE_MIN,
+	PROFICIENCY_TYPES,
+} from '../lib/GameRules.js';
+import { ABILITIES, SKILL_ABILITY_MAP } from '../lib/CharacterStats.js';
+import { CharacterSchema } from '../lib/CharacterSchema.js';
+import { ValidationError } from '../lib/Errors.js';
+import { backgroundService } from './BackgroundService.js';
+import { characterValidationService } from './CharacterValidationService.js';
+import { classService } from './ClassService.js';
+import { equipmentService } from './EquipmentService.js';
+import { featService } from './FeatService.js';
+import { fiveEToolsImportAdapter } from './importAdapters/FiveEToolsImportAdapter.js';
+import { foundryImportAdapter } from './importAdapters/FoundryImportAdapter.js';
+import { itemService } from './ItemService.js';
+import { raceService } from './RaceService.js';
+import { rehydrationService } from './RehydrationService.js';
+import { spellSelectionService } from './SpellSelectionService.js';
+import { spellService } from './SpellService.js';
+
+const IMPORT_SOURCE = 'Imported';
+
+const SKILL_NAMES = new Set(
+	Object.keys(SKILL_ABILITY_MAP).map((skill) => skill.toLowerCase()),
+);
+
+const DETAIL_FIELDS = [
+	'alignment',
+	'age',
+	'height',
+	'weight',
+	'eyeColor',
+	'hairColor',
+	'skinColor',
+	'gender',
+	'deity',
+	'personalityTraits',
+	'ideals',
+	'bonds',
+	'flaws',
+	'backstory',
+];
+
+/**
+ * Case-insensitive name lookup that prefers the requested source, then the
+ * classic edition, then any entry with the name.
+ */
+function findByName(entries, name, source) {
+	const target = String(name || '')
+		.trim()
+		.toLowerCase();
+	if (!target) return null;
+
+	const matches = entries.filter(
+		(entry) => entry?.name?.toLowerCase() === target,
+	);
+	if (matches.length === 0) return null;
+
+	const wantedSource = String(source || '').toLowerCase();
+	return (
+		(wantedSource &&
+			matches.find((entry) => entry.source?.toLowerCase() === wantedSource)) ||
+		matches.find((entry) => entry.edition !== 'modern') ||
+		matches[0]
+	);
+}
+
+function toSpeed(speed) {
+	if (typeof speed === 'number') return { walk: speed };
+	if (speed && typeof speed === 'object') {
+		return Object.fromEntries(
+			Object.entries(speed).filter(([, value]) => typeof value === 'number'),
+		);
+	}
+	return {};
+}
+
+/**
+ * Converts characters exported by other tools into Fizbane characters.
+ *
+ * Each format adapter exposes `{ id, name, detect(data), parse(data) }` and
+ * maps its source JSON onto a neutral description (race, background,
+ * classes, scores, proficiencies, feats, spells, items). This service
+ * matches that description against the loaded game data, builds the
+ * character, runs rehydration and validation, and reports every entry it
+ * could not match.
+ *
+ * Error strategy: THROW for unrecognised formats; everything that cannot be
+ * matched is collected in the returned report instead.
+ */
+class ExternalImportService {
+	constructor() {
+		this.loggerScope = 'ExternalImportService';
+		this._adapters = [foundryImportAdapter, fiveEToolsImportAdapter];
+	}
+
+	registerAdapter(adapter) {
+		if (
+			!adapter?.id ||
+			typeof adapter.detect !== 'function' ||
+			typeof adapter.parse !== 'function'
+		) {
+			throw new ValidationError(
+				'Import adapters need an id, detect and parse',
+				{
+					adapter: adapter?.id,
+				},
+			);
+		}
+		this._adapters = [
+			...this._adapters.filter((existing) => existing.id !== adapter.id),
+			adapter,
+		];
+	}
+
+	getAdapters() {
+		return [...this._adapters];
+	}
+
+	detectAdapter(data) {
+		return this._adapters.find((adapter) => adapter.detect(data)) || null;
+	}
+
+	/**
+	 * Convert external character JSON into a rehydrated Character.
+	 * @param {Object} data - Parsed JSON from the other tool
+	 * @param {Object} [options]
+	 * @param {string} [options.id] - Id for the new character
+	 * @returns {{character: Character, format: string, report: Object}}
+	 */
+	convert(data, options = {}) {
+		const adapter = this.detectAdapter(data);
+		if (!adapter) {
+			throw new ValidationError('Unrecognised character file format');
+		}
+
+		const parsed = adapter.parse(data);
+		const report = {
+			format: adapter.name,
+			unmatched: [],
+			warnings: [...(parsed.warnings || [])],
+			validation: null,
+		};
+		const sources = new Set(['PHB']);
+		const unmatched = (type, name, reason = 'Not found in loaded data') => {
+			report.unmatched.push({ type, name, reason });
+		};
+
+		const characterData = CharacterSchema.create();
+		characterData.id = options.id || null;
+		characterData.name =
+			String(parsed.name || '').trim() || 'Imported Character';
+		if (parsed.embeddedPortrait) {
+			characterData.embeddedPortrait = parsed.embeddedPortrait;
+		}
+		for (const field of DETAIL_FIELDS) {
+			if (parsed.details?.[field]) characterData[field] = parsed.details[field];
+		}
+		characterData.progression.experiencePoints =
+			Number(parsed.experiencePoints) || 0;
+
+		for (const ability of ABILITIES) {
+			const score = parsed.abilityScores?.[ability];
+			if (typeof score !== 'number') continue;
+			characterData.abilityScores[ability] = Math.min(
+				ABILITY_SCORE_ABSOLUTE_MAX,
+				Math.max(ABILITY_SCORE_MIN, Math.round(score)),
+			);
+		}
+
+		this._applyRace(characterData, parsed.race, sources, unmatched);
+		this._applyBackground(characterData, parsed.background, sources, unmatched);
+		this._applyClasses(characterData, parsed.classes, sources, unmatched);
+
+		const hp = parsed.hitPoints || {};
+		characterData.hitPoints = {
+			current: Math.max(0, Number(hp.current ?? hp.max) || 0),
+			max: Math.max(0, Number(hp.max) || 0),
+			temp: Math.max(0, Number(hp.temp) || 0),
+		};
+
+		characterData.allowedSources = [...sources];
+		const character = new Character(characterData);
+
+		this._applyProficiencies(character, parsed.proficiencies, unmatched);
+		this._applyExpertise(character, parsed.expertise);
+		this._applyFeats(character, parsed.feats, sources, unmatched);
+		this._applySpells(character, parsed.spells, sources, unmatched, report);
+		this._applyItems(character, parsed.items, sources, unmatched, report);
+		this._applyCurrency(character, parsed.currency);
+
+		character.allowedSources = new Set(sources);
+
+		const { warnings } = rehydrationService.rehydrate(character);
+		report.warnings.push(...warnings);
+		report.validation = characterValidationService.validateCharacter(character);
+
+		console.debug(`[${this.loggerScope}]`, 'Converted character', {
+			format: adapter.id,
+			unmatched: report.unmatched.length,
+		});
+
+		return { character, format: adapter.id, report };
+	}
+
+	_applyRace(characterData, race, sources, unmatched) {
+		if (!race?.name) return;
+
+		let raceName = race.name;
+		let subraceName = race.subrace || '';
+		let raceData = findByName(raceService.getAllRaces(), raceName, race.source);
+
+		// "Hill Dwarf" style names combine subrace and race
+		if (!raceData && !subraceName) {
+			for (const candidate of raceService.getAllRaces()) {
+				const subrace = raceService
+					.getSubraces(candidate.name, candidate.source)
+					.find(
+						(sr) =>
+							sr.name &&
+							`${sr.name} ${candidate.name}`.toLowerCase() ===
+								raceName.toLowerCase(),
+					);
+				if (subrace) {
+					raceData = candidate;
+					raceName = candidate.name;
+					subraceName = subrace.name;
+					break;
+				}
+			}
+		}
+
+		if (!raceData) {
+			unmatched('race', race.name);
+			return;
+		}
+
+		if (subraceName) {
+			const subrace = raceService
+				.getSubraces(raceData.name, raceData.source)
+				.find((sr) => sr.name?.toLowerCase() === subraceName.toLowerCase());
+			if (subrace) {
+				subraceName = subrace.name;
+			} else {
+				unmatched('subrace', subraceName);
+				subraceName = '';
+			}
+		}
+
+		characterData.race = {
+			name: raceData.name,
+			source: raceData.source,
+			subrace: subraceName,
+			abilityChoices: [],
+		};
+		if (Array.isArray(raceData.size) && raceData.size[0]) {
+			characterData.size = raceData.size[0];
+		}
+		characterData.speed = {
+			...characterData.speed,
+			...toSpeed(raceData.speed),
+		};
+		sources.add(raceData.source);
+	}
+
+	_applyBackground(characterData, background, sources, unmatched) {
+		if (!background?.name) return;
+
+		const backgroundData = findByName(
+			backgroundService.getAllBackgrounds(),
+			background.name,
+			background.source,
+		);
+		if (!backgroundData) {
+			unmatched('background', background.name);
+			return;
+		}
+
+		characterData.background = {
+			name: backgroundData.name,
+			source: backgroundData.source,
+		};
+		sources.add(backgroundData.source);
+	}
+
+	_applyClasses(characterData, classes, sources, unmatched) {
+		for (const entry of classes || []) {
+			const classData = findByName(
+				classService.getAllClasses(),
+				entry.name,
+				entry.source,
+			);
+			if (!classData) {
+				unmatched('class', entry.name);
+				continue;
+			}
+
+			let subclassName = '';
+			if (entry.subclass) {
+				const target = entry.subclass.toLowerCase();
+				const subclass = classService
+					.getSubclasses(classData.name, classData.source)
+					.find(
+						(sc) =>
+							sc.name?.toLowerCase() === target ||
+							sc.shortName?.toLowerCase() === target,
+					);
+				if (subclass) {
+					subclassName = subclass.name;
+					if (subclass.source) sources.add(subclass.source);
+				} else {
+					unmatched('subclass', entry.subclass);
+				}
+			}
+
+			characterData.progression.classes.push({
+				name: classData.name,
+				source: classData.source,
+				levels: Math.min(20, Math.max(1, Number(entry.levels) || 1)),
+				subclass: subclassName,
+				hitDice: classService.getHitDie(classData.name, classData.source),
+				hitPoints: [],
+				features: [],
+			});
+			sources.add(classData.source);
+		}
+	}
+
+	_applyProficiencies(character, proficiencies, unmatched) {
+		for (const type of Object.values(PROFICIENCY_TYPES)) {
+			for (const name of proficiencies?.[type] || []) {
+				if (!name) continue;
+				if (
+					type === PROFICIENCY_TYPES.SKILLS &&
+					!SKILL_NAMES.has(name.toLowerCase())
+				) {
+					unmatched('skill', name);
+					continue;
+				}
+				character.addProficiency(type, name, IMPORT_SOURCE);
+			}
+		}
+	}
+
+	/** Expertise carries over only for proficiencies that were imported */
+	_applyExpertise(character, expertise) {
+		for (const type of [PROFICIENCY_TYPES.SKILLS, PROFICIENCY_TYPES.TOOLS]) {
+			for (const name of expertise?.[type] || []) {
+				if (!character.proficiencies[type]?.includes(name)) continue;
+				character.addExpertise(type, name, IMPORT_SOURCE);
+			}
+		}
+	}
+
+	_applyFeats(character, feats, sources, unmatched) {
+		for (const feat of feats || []) {
+			const featData = findByName(
+				featService.getAllFeats(),
+				feat.name,
+				feat.source,
+			);
+			if (!featData) {
+				unmatched('feat', feat.name);
+				continue;
+			}
+			character.feats.push({ name: featData.name, source: featData.source });
+			sources.add(featData.source);
+		}
+	}
+
+	_applySpells(character, spells, sources, unmatched, report) {
+		for (const cls of character.progression.classes) {
+			if (spellSelectionService.isSpellcastingClass(cls.name)) {
+				spellSelectionService.initializeSpellcastingForClass(
+					character,
+					cls.name,
+					cls.levels,
+				);
+			}
+		}
+		const castingClasses = Object.keys(character.spellcasting.classes);
+
+		for (const spell of spells || []) {
+			const spellData = findByName(
+				spellService.getAllSpells(),
+				spell.name,
+				spell.source,
+			);
+			if (!spellData) {
+				unmatched('spell', spell.name);
+				continue;
+			}
+
+			const requested = castingClasses.find(
+				(name) => name.toLowerCase() === String(spell.className).toLowerCase(),
+			);
+			const className =
+				requested ||
+				castingClasses.find((name) =>
+					spellService.isSpellAvailableForClass(spellData, name),
+				);
+
+			if (!className) {
+				const bonus = spellSelectionService.ensureBonusBucket(character);
+				if (!bonus.spellsKnown.some((s) => s.name === spellData.name)) {
+					bonus.spellsKnown.push(spellData);
+				}
+				sources.add(spellData.source);
+				continue;
+			}
+
+			try {
+				spellSelectionService.addKnownSpell(character, className, spellData);
+				if (spell.prepared && spellData.level > 0) {
+					spellSelectionService.prepareSpell(
+						character,
+						className,
+						spellData.name,
+					);
+				}
+				sources.add(spellData.source);
+			} catch (error) {
+				report.warnings.push(`${spellData.name}: ${error.message}`);
+			}
+		}
+	}
+
+	_applyItems(character, items, sources, unmatched, report) {
+		const catalogue = [
+			...itemService.getAllItems(),
+			...itemService.getAllBaseItems(),
+		];
+
+		for (const item of items || []) {
+			const itemData = findByName(catalogue, item.name, item.source);
+			if (!itemData) {
+				unmatched('item', item.name);
+				continue;
+			}
+
+			const instance = equipmentService.addItem(
+				character,
+				itemData,
+				item.quantity || 1,
+				IMPORT_SOURCE,
+			);
+			sources.add(itemData.source);
+
+			try {
+				if (item.equipped && equipmentService.isEquippable(itemData)) {
+					equipmentService.equipItem(character, instance.id);
+				}
+				if (item.attuned && equipmentService.isAttuneable(itemData)) {
+					equipmentService.attuneItem(character, instance.id);
+				}
+			} catch (error) {
+				report.warnings.push(`${itemData.name}: ${error.message}`);
+			}
+		}
+	}
+
+	_applyCurrency(character, currency) {
+		for (const coin of ['cp', 'sp', 'ep', 'gp', 'pp']) {
+			const amount = Number(currency?.[coin]);
+			if (Number.isFinite(amount) && amount > 0) {
+				character.inventory.currency[coin] = Math.floor(amount);
+			}
+		}
+	}
+}
+
+export const externalImportService = new ExternalImportService();
@@ -1,7 +1,10 @@
 import { DataLoader } from '../lib/DataLoader.js';
 import { NotFoundError } from '../lib/Errors.js';
 import { EVENTS } from '../lib/EventBus.js';
-import { checkAllPrerequisites } from '../lib/PrerequisiteValidator.js';
+import {
+	checkAllPrerequisites,
+	planPrerequisites,
+} from '../lib/PrerequisiteValidator.js';
 import TextProcessor from '../lib/TextProcessor.js';
 import { featIdentifierSchema, validateInput } from '../lib/ValidationSchemas.js';
 import { BaseDataService } from './BaseDataService.js';
@@ -16,7 +19,10 @@ class FeatService extends BaseDataService {
 	}
 
 	async initialize() {
-		return this.initWithLoader(() => DataLoader.loadFeats(), {
+		const loadFeats = async () =>
+			DataLoader.withHomebrew(await DataLoader.loadFeats(), ['feat']);
+
+		return this.initWithLoader(loadFeats, {
 			onLoaded: (data) => {
 				this._featMap = new Map();
 				if (data?.feat && Array.isArray(data.feat)) {
@@ -60,6 +66,22 @@ class FeatService extends BaseDataService {
 	isFeatValidForCharacter(feat, character, options = {}) {
 		return checkAllPrerequisites(feat, character, options).met;
 	}
+
+	/**
+	 * Every unmet prerequisite of a feat, for listing in the picker.
+	 * @returns {{ met: boolean, reasons: string[], unmet: Array<Object> }}
+	 */
+	checkFeatPrerequisites(feat, character, options = {}) {
+		return checkAllPrerequisites(feat, character, options);
+	}
+
+	/**
+	 * The future level and ASI at which the character could take a feat.
+	 * Feats are taken with an ASI, so the unlock lands on one.
+	 */
+	planFeatUnlock(feat, character, options = {}) {
+		return planPrerequisites(feat, character, { ...options, viaAsi: true });
+	}
 }
 
 export const featService = new FeatService();
@@ -3,6 +3,193 @@ import { NotFoundError } from '../lib/Errors.js';
 import { EVENTS } from '../lib/EventBus.js';
 import { itemIdentifierSchema, validateInput } from '../lib/ValidationSchemas.js';
 import { BaseDataService } from './BaseDataService.js';
+
+/** Base item fields that describe the mundane item and must not carry over */
+const NON_INHERITED_FIELDS = [
+	'value',
+	'page',
+	'srd',
+	'srd52',
+	'basicRules',
+	'basicRules2024',
+	'hasFluff',
+	'hasFluffImages',
+	'reprintedAs',
+];
+
+/** Inherited fields that need evaluation we don't support; left off the item */
+const UNSUPPORTED_INHERITS = new Set([
+	'valueExpression',
+	'weightExpression',
+	'barding',
+]);
+
+/**
+ * Match a base item against a requires/excludes clause the way 5etools does:
+ * `every` for a requires entry, `some` for excludes. Array values match if
+ * any element matches, nested objects recurse.
+ */
+function matchesVariantClause(candidate, clause, method) {
+	if (candidate == null || clause == null) return false;
+	return Object.entries(clause)[method](([key, expected]) => {
+		const actual = candidate[key];
+		if (Array.isArray(expected)) {
+			return Array.isArray(actual)
+				? actual.some((value) => expected.includes(value))
+				: expected.includes(actual);
+		}
+		if (expected !== null && typeof expected === 'object') {
+			return matchesVariantClause(actual, expected, method);
+		}
+		return Array.isArray(actual)
+			? actual.some((value) => value === expected)
+			: actual === expected;
+	});
+}
+
+function isVariantApplicable(baseItem, variant) {
+	if (baseItem.packContents) return false;
+	if (
+		baseItem.edition &&
+		variant.edition &&
+		baseItem.edition !== variant.edition
+	) {
+		return false;
+	}
+	if (!Array.isArray(variant.requires) || variant.requires.length === 0) {
+		return false;
+	}
+	if (
+		!variant.requires.some((clause) =>
+			matchesVariantClause(baseItem, clause, 'every'),
+		)
+	) {
+		return false;
+	}
+	return !matchesVariantClause(baseItem, variant.excludes, 'some');
+}
+
+/** Resolve `{=prop}` / `{=prop/l}` placeholders in variant entries */
+function fillVariantTemplate(entry, item) {
+	if (typeof entry === 'string') {
+		return entry.replace(/{=([^}/]+)(?:\/([^}]+))?}/g, (match, prop, mod) => {
+			const value = item[prop];
+			if (value == null) return match;
+			const text = String(value);
+			switch (mod) {
+				case 'l':
+					return text.toLowerCase();
+				case 'u':
+					return text.toUpperCase();
+				case 't':
+					return text.replace(/\b\w/g, (c) => c.toUpperCase());
+				case 'a':
+					return /^[aeiou]/i.test(text) ? 'an' : 'a';
+				default:
+					return text;
+			}
+		});
+	}
+	if (Array.isArray(entry)) {
+		return entry.map((child) => fillVariantTemplate(child, item));
+	}
+	if (entry && typeof entry === 'object') {
+		return Object.fromEntries(
+			Object.entries(entry).map(([key, child]) => [
+				key,
+				fillVariantTemplate(child, item),
+			]),
+		);
+	}
+	return entry;
+}
+
+function createSpecificVariant(baseItem, variant) {
+	const inherits = variant.inherits || {};
+	const item = structuredClone(baseItem);
+	for (const field of NON_INHERITED_FIELDS) delete item[field];
+
+	item._baseName = baseItem.name;
+	item._baseSource = baseItem.source;
+	item._variantName = variant.name;
+	if (variant.homebrew) item.homebrew = true;
+
+	if (inherits.nameRemove) {
+		item.name = item.name.split(inherits.nameRemove).join('');
+	}
+	item.name = `${inherits.namePrefix || ''}${item.name}${inherits.nameSuffix || ''}`;
+
+	for (const [key, value] of Object.entries(inherits)) {
+		switch (key) {
+			case 'namePrefix':
+			case 'nameSuffix':
+			case 'nameRemove':
+				break;
+			case 'entries':
+				item.entries = fillVariantTemplate(structuredClone(value), {
+					...baseItem,
+					...inherits,
+					baseName: baseItem.name,
+				});
+				break;
+			case 'propertyAdd':
+				item.property = [
+					...(item.property || []),
+					...value.filter((prop) => !(item.property || []).includes(prop)),
+				];
+				break;
+			case 'propertyRemove':
+				item.property = (item.property || []).filter(
+					(prop) => !value.includes(prop),
+				);
+				break;
+			case 'valueMult':
+				if (baseItem.value) item.value = baseItem.value * value;
+				break;
+			case 'weightMult':
+				if (baseItem.weight) item.weight = baseItem.weight * value;
+				break;
+			default:
+				if (!UNSUPPORTED_INHERITS.has(key)) {
+					item[key] = structuredClone(value);
+				}
+		}
+	}
+
+	return item;
+}
+
+/**
+ * Expand generic variants (magicvariants.json) against the base items, e.g.
+ * "+1 Weapon" x Longsword -> "+1 Longsword". Names already present in
+ * `existingItems` are kept as-is and not regenerated.
+ * @param {Array<Object>} baseItems - Entries from items-base.json
+ * @param {Array<Object>} variants - Entries from magicvariants.json
+ * @param {Array<Object>} [existingItems] - Specific items from items.json
+ * @returns {Array<Object>} Specific variant items
+ */
+function expandMagicVariants(baseItems, variants, existingItems = []) {
+	const seen = new Set(
+		existingItems.map((item) => `${item.name}|${item.source}`.toLowerCase()),
+	);
+	const expanded = [];
+
+	for (const variant of variants) {
+		if (!variant?.inherits) continue;
+		for (const baseItem of baseItems) {
+			if (!baseItem?.name || !isVariantApplicable(baseItem, variant)) continue;
+
+			const item = createSpecificVariant(baseItem, variant);
+			const key = `${item.name}|${item.source}`.toLowerCase();
+			if (seen.has(key)) continue;
+			seen.add(key);
+			expanded.push(item);
+		}
+	}
+
+	return expanded;
+}
+
 class ItemService extends BaseDataService {
 	constructor() {
 		super({ loadEvent: EVENTS.ITEMS_LOADED, loggerScope: 'ItemService' });
@@ -16,6 +203,7 @@ class ItemService extends BaseDataService {
 				const results = await Promise.allSettled([
 					DataLoader.loadJSON('items.json'),
 					DataLoader.loadJSON('items-base.json'),
+					DataLoader.loadJSON('magicvariants.json'),
 				]);
 
 				const items =
@@ -24,6 +212,10 @@ class ItemService extends BaseDataService {
 					results[1].status === 'fulfilled'
 						? results[1].value
 						: { baseitem: [] };
+				const magicVariants =
+					results[2].status === 'fulfilled'
+						? results[2].value
+						: { magicvariant: [] };
 
 				if (results[0].status === 'rejected') {
 					console.warn(
@@ -39,10 +231,38 @@ class ItemService extends BaseDataService {
 						results[1].reason?.message,
 					);
 				}
+				if (results[2].status === 'rejected') {
+					console.warn(
+						'[ItemService]',
+						'Failed to load magicvariants.json:',
+						results[2].reason?.message,
+					);
+				}
+
+				const merged = await DataLoader.withHomebrew(
+					{
+						item: items.item || [],
+						baseitem: baseItems.baseitem || [],
+						magicvariant: magicVariants.magicvariant || [],
+					},
+					['item', 'baseitem', 'magicvariant'],
+				);
+
+				const specificVariants = expandMagicVariants(
+					merged.baseitem,
+					merged.magicvariant,
+					merged.item,
+				);
+				console.debug(
+					'[ItemService]',
+					`Expanded ${specificVariants.length} magic item variants`,
+				);
 
 				return {
 					...items,
-					baseItem: baseItems.baseitem || [],
+					item: [...merged.item, ...specificVariants],
+					baseItem: merged.baseitem,
+					magicVariant: merged.magicvariant,
 				};
 			},
 			{
@@ -77,6 +297,11 @@ class ItemService extends BaseDataService {
 		return this._data?.baseItem || [];
 	}
 
+	/** Generic variants such as "+1 Weapon", before expansion */
+	getAllMagicVariants() {
+		return this._data?.magicVariant || [];
+	}
+
 	getItem(name, source = 'PHB') {
 		const validated = validateInput(
 			itemIdentifierSchema,
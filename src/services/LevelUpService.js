@@ -1,7 +1,8 @@
 import { attAbvToLower } from '../lib/5eToolsParser.js';
+import { computeMaxHitPoints } from '../lib/CharacterStats.js';
 import { NotFoundError, ValidationError } from '../lib/Errors.js';
 import { eventBus, EVENTS } from '../lib/EventBus.js';
-import { DEFAULT_ASI_LEVELS, parseHitDice } from '../lib/GameRules.js';
+import { DEFAULT_ASI_LEVELS } from '../lib/GameRules.js';
 import {
 	addClassLevelArgsSchema,
 	removeClassLevelArgsSchema,
@@ -10,6 +11,7 @@ import {
 import { classService } from './ClassService.js';
 import { sourceService } from './SourceService.js';
 import { spellSelectionService } from './SpellSelectionService.js';
+import { spellSlotCalculatorService } from './SpellSlotCalculatorService.js';
 
 class LevelUpService {
 	constructor() {
@@ -214,38 +216,13 @@ class LevelUpService {
 				character.spellcasting.classes[classEntry.name].spellSlots = newSlots;
 			}
 		}
+		spellSelectionService.syncSpellSlotPools(character);
 
 		console.debug(`[${this.loggerScope}]`, 'Updated spell slots');
 	}
 
 	calculateMaxHitPoints(character) {
-		if (!character.progression || character.progression.classes.length === 0) {
-			// Fallback: use level 1 class default
-			const conMod = character.getAbilityModifier('constitution');
-			return 8 + conMod; // Assuming d8 hit die default
-		}
-
-		let totalHP = 0;
-		const conMod = character.getAbilityModifier('constitution');
-
-		for (const classEntry of character.progression.classes) {
-			// First level: full hit die
-			const hitDiceValue = parseHitDice(classEntry.hitDice);
-			totalHP += hitDiceValue;
-
-			// Additional levels: average or rolled
-			for (let i = 1; i < classEntry.levels; i++) {
-				const hpThisLevel =
-					classEntry.hitPoints[i] || Math.ceil(hitDiceValue / 2);
-				totalHP += hpThisLevel;
-			}
-		}
-
-		// Apply CON modifier per level (minimum 1 per level)
-		const totalLevel = this.getTotalLevel(character);
-		totalHP += Math.max(totalLevel, conMod * totalLevel);
-
-		return Math.max(1, totalHP);
+		return computeMaxHitPoints(character).computed || 1;
 	}
 
 	_mapAbilityAbbreviation(abbr) {
@@ -351,7 +328,11 @@ class LevelUpService {
 			});
 	}
 
-	/** Combine spell slots per D&D 5e multiclass rules. */
+	/**
+	 * Shared spell slots per the multiclass rules, as `{[level]: {max, current}}`.
+	 * Pact Magic is not included; see
+	 * spellSlotCalculatorService.calculateCombinedSpellcasting.
+	 */
 	calculateMulticlassSpellSlots(character) {
 		if (
 			!character.progression?.classes ||
@@ -360,42 +341,9 @@ class LevelUpService {
 			return {};
 		}
 
-		let totalCasterLevel = 0;
-		const warlockLevels = [];
-
-		for (const classEntry of character.progression.classes) {
-			const classData = classService.getClass(classEntry.name);
-			if (!classData || !classData.casterProgression) {
-				continue;
-			}
-
-			const levels = classEntry.levels || 0;
-
-			const progression = classData.casterProgression;
-
-			if (progression === 'pact') {
-				// Warlock pact magic doesn't combine - track separately
-				warlockLevels.push(levels);
-			} else if (progression === 'full') {
-				// Full casters contribute full level
-				totalCasterLevel += levels;
-			} else if (progression === '1/2') {
-				// Half casters contribute half level (rounded down)
-				totalCasterLevel += Math.floor(levels / 2);
-			} else if (progression === '1/3') {
-				// Third casters contribute third level (rounded down)
-				totalCasterLevel += Math.floor(levels / 3);
-			}
-		}
-
-		// Get spell slots based on total caster level
-		const combinedSlots =
-			spellSelectionService.getStandardSpellSlots(totalCasterLevel);
-
-		// Note: Warlock pact magic slots remain separate and are tracked per-class
-		// They don't combine with standard spellcasting spell slots
-
-		return combinedSlots;
+		const { casterLevel } =
+			spellSlotCalculatorService.calculateCombinedSpellcasting(character);
+		return spellSlotCalculatorService.getStandardSpellSlots(casterLevel);
 	}
 }
 
@@ -94,6 +94,23 @@ class MonsterService extends BaseDataService {
 		}
 	}
 
+	/**
+	 * Monsters from the bestiary files of the given sources. The bestiary
+	 * index is keyed by source ("MM" → bestiary-mm.json); sources without a
+	 * file are skipped.
+	 * @param {Iterable<string>} sources - Source codes
+	 * @returns {Promise<Array<Object>>} Monster entries
+	 */
+	async getMonstersFromSources(sources) {
+		const monsters = [];
+		for (const source of new Set(sources)) {
+			if (!this._monsterIndex?.[source]) continue;
+			const details = await this.getMonsterDetails(source);
+			monsters.push(...(details?.monster || []));
+		}
+		return monsters;
+	}
+
 	_addToCache(id, details) {
 		if (this._monsterDetailsCache.size >= this._maxCacheSize) {
 			const lruId = this._cacheAccessOrder.shift();
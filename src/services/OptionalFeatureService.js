@@ -1,7 +1,10 @@
 import { DataLoader } from '../lib/DataLoader.js';
 import { NotFoundError } from '../lib/Errors.js';
 import { EVENTS } from '../lib/EventBus.js';
-import { checkAllPrerequisites } from '../lib/PrerequisiteValidator.js';
+import {
+	checkAllPrerequisites,
+	planPrerequisites,
+} from '../lib/PrerequisiteValidator.js';
 import {
 	optionalFeatureIdentifierSchema,
 	optionalFeatureTypeSchema,
@@ -70,6 +73,11 @@ class OptionalFeatureService extends BaseDataService {
 		return checkAllPrerequisites(feature, character, { className });
 	}
 
+	/** The future level at which the character could take a feature */
+	planUnlock(feature, character, className = null) {
+		return planPrerequisites(feature, character, { className });
+	}
+
 	getFeatureByName(name, source = 'PHB') {
 		const validated = validateInput(
 			optionalFeatureIdentifierSchema,
@@ -0,0 +1,414 @@
+import {
+	STANDARD_SKILL_OPTIONS,
+	STANDARD_TOOL_OPTIONS,
+	unpackUid,
+} from '../lib/5eToolsParser.js';
+import { getRaceAbilityData } from '../lib/AbilityScoreUtils.js';
+import { ABILITIES } from '../lib/CharacterStats.js';
+import { ValidationError } from '../lib/Errors.js';
+import {
+	CUSTOM_LINEAGE,
+	CUSTOM_LINEAGE_DARKVISION,
+	CUSTOM_ORIGIN_SPREADS,
+	CUSTOM_ORIGIN_SWAP_TYPES,
+} from '../lib/GameRules.js';
+import TextProcessor from '../lib/TextProcessor.js';
+import { itemService } from './ItemService.js';
+import { proficiencyService } from './ProficiencyService.js';
+import { raceService } from './RaceService.js';
+import { rulesetService } from './RulesetService.js';
+
+/** Source recorded on the ability bonuses and proficiencies a race grants */
+const RACE_SOURCE = 'Race';
+
+export const LINEAGE_TRAITS = Object.freeze(['darkvision', 'skill']);
+
+function sameName(a, b) {
+	return (
+		TextProcessor.normalizeForLookup(a) === TextProcessor.normalizeForLookup(b)
+	);
+}
+
+function sameSpread(a, b) {
+	return a.length === b.length && a.every((value, i) => value === b[i]);
+}
+
+function emptySwaps() {
+	return Object.fromEntries(CUSTOM_ORIGIN_SWAP_TYPES.map((type) => [type, {}]));
+}
+
+/**
+ * Customizing Your Origin and the Custom Lineage race from Tasha's Cauldron
+ * of Everything. A customized character keeps its choices on the race:
+ *
+ *   race.customOrigin = {
+ *     abilityBonuses: { dexterity: 2, wisdom: 1 } | null,
+ *     proficiencySwaps: { skills: { from: to }, weapons: {}, tools: {} },
+ *   }
+ *   race.lineageTrait = 'darkvision' | 'skill'   // Custom Lineage only
+ *
+ * Until a spread is picked the race's own ability increases apply.
+ *
+ * Error strategy: THROW. Choices the race does not allow raise
+ * ValidationError; the character is left unchanged.
+ */
+export class OriginCustomizationService {
+	isCustomized(character) {
+		return Boolean(character?.race?.customOrigin);
+	}
+
+	/** Turn Customizing Your Origin on or off; off restores the race's own benefits */
+	setCustomized(character, enabled) {
+		if (!character?.race?.name) {
+			throw new ValidationError('Choose a race before customizing its origin');
+		}
+		if (!enabled) {
+			delete character.race.customOrigin;
+			return;
+		}
+		if (!character.race.customOrigin) {
+			character.race.customOrigin = {
+				abilityBonuses: null,
+				proficiencySwaps: emptySwaps(),
+			};
+		}
+	}
+
+	isCustomLineage(race) {
+		return (
+			race?.name === CUSTOM_LINEAGE.name &&
+			race?.source === CUSTOM_LINEAGE.source
+		);
+	}
+
+	//-------------------------------------------------------------------------
+	// Ability score increases
+	//-------------------------------------------------------------------------
+
+	/** The race's ability increases, largest first; penalties stay where they are */
+	_getIncreases(race, subrace) {
+		const { fixed, choices } = getRaceAbilityData(
+			race,
+			this._getEffectiveSubrace(race, subrace),
+		);
+		return [
+			...fixed.map((bonus) => bonus.value),
+			...choices.flatMap((choice) =>
+				Array(choice.count || 1).fill(choice.amount || 1),
+			),
+		]
+			.filter((value) => value > 0)
+			.sort((a, b) => b - a);
+	}
+
+	/** Races like Human keep their bonuses on an unnamed base subrace */
+	_getEffectiveSubrace(race, subrace) {
+		if (subrace || !race) return subrace || null;
+		try {
+			return raceService.getBaseSubrace(race.name, race.source);
+		} catch {
+			return null;
+		}
+	}
+
+	/**
+	 * The ways the race's ability increases may be spread, e.g. [[2, 1], [1, 1, 1]].
+	 * Each value goes to a different ability.
+	 * @returns {number[][]}
+	 */
+	getAbilitySpreads(race, subrace) {
+		const increases = this._getIncreases(race, subrace);
+		if (increases.length === 0) return [];
+		if (CUSTOM_ORIGIN_SPREADS.some((spread) => sameSpread(spread, increases))) {
+			return CUSTOM_ORIGIN_SPREADS.map((spread) => [...spread]);
+		}
+		return [increases];
+	}
+
+	/**
+	 * Choose where the race's ability increases go.
+	 * @param {Object} character
+	 * @param {Object} race
+	 * @param {Object|null} subrace
+	 * @param {Object<string, number>|null} bonuses - Keyed by full lowercase
+	 *   ability, matching one of getAbilitySpreads; null to clear the choice
+	 */
+	setAbilityBonuses(character, race, subrace, bonuses) {
+		this._requireCustomized(character);
+		if (bonuses && !this.isValidAbilitySpread(race, subrace, bonuses)) {
+			throw new ValidationError(
+				`${race?.name || 'Race'} does not allow those ability increases`,
+				{ race: race?.name, bonuses },
+			);
+		}
+		character.race.customOrigin.abilityBonuses = bonuses
+			? { ...bonuses }
+			: null;
+	}
+
+	isValidAbilitySpread(race, subrace, bonuses) {
+		const entries = Object.entries(bonuses || {});
+		if (entries.some(([ability]) => !ABILITIES.includes(ability))) return false;
+		const values = entries.map(([, value]) => value).sort((a, b) => b - a);
+		return this.getAbilitySpreads(race, subrace).some((spread) =>
+			sameSpread(spread, values),
+		);
+	}
+
+	/**
+	 * Replace the race's ability bonuses and pending choices with the chosen
+	 * spread. Does nothing without one, or under the 2024 rules.
+	 * @returns {boolean} Whether the custom spread was applied
+	 */
+	applyAbilityBonuses(character, race, subrace) {
+		const bonuses = character?.race?.customOrigin?.abilityBonuses;
+		if (!bonuses || !race) return false;
+		if (!rulesetService.usesRacialAbilityBonuses(character)) return false;
+
+		character.clearAbilityBonusesByPrefix('Race');
+		character.clearAbilityBonusesByPrefix('Subrace');
+		character.clearPendingAbilityChoices();
+		character.race.abilityChoices = [];
+
+		const { fixed } = getRaceAbilityData(
+			race,
+			this._getEffectiveSubrace(race, subrace),
+		);
+		for (const penalty of fixed.filter((bonus) => bonus.value < 0)) {
+			character.addAbilityBonus(
+				penalty.ability,
+				penalty.value,
+				penalty.source === 'race' ? 'Race' : 'Subrace',
+			);
+		}
+		for (const [ability, value] of Object.entries(bonuses)) {
+			character.addAbilityBonus(ability, value, RACE_SOURCE);
+		}
+		return true;
+	}
+
+	//-------------------------------------------------------------------------
+	// Proficiency swaps
+	//-------------------------------------------------------------------------
+
+	/** The fixed skill, weapon and tool proficiencies the race grants */
+	getSwappableProficiencies(race) {
+		const granted = (entries, skip = []) =>
+			(entries || []).flatMap((entry) =>
+				Object.entries(entry)
+					.filter(([key, value]) => value === true && !skip.includes(key))
+					.map(([key]) => key),
+			);
+		return {
+			skills: granted(race?.skillProficiencies, ['choose', 'any']),
+			weapons: granted(race?.weaponProficiencies).map(
+				(weapon) => unpackUid(weapon).name,
+			),
+			tools: granted(race?.toolProficiencies, ['any']),
+		};
+	}
+
+	/** What a racial proficiency of `type` may be swapped for */
+	getSwapOptions(race, type) {
+		const own = this.getSwappableProficiencies(race)[type] || [];
+		let pool;
+		if (type === 'skills') {
+			pool = STANDARD_SKILL_OPTIONS;
+		} else if (type === 'tools') {
+			pool = STANDARD_TOOL_OPTIONS;
+		} else if (type === 'weapons') {
+			pool = this._getWeaponNames();
+		} else {
+			return [];
+		}
+		return pool.filter((name) => !own.some((mine) => sameName(mine, name)));
+	}
+
+	_getWeaponNames() {
+		const names = new Map();
+		for (const item of itemService.getAllBaseItems()) {
+			if (
+				item.weapon &&
+				['simple', 'martial'].includes(item.weaponCategory) &&
+				!names.has(item.name.toLowerCase())
+			) {
+				names.set(item.name.toLowerCase(), item.name);
+			}
+		}
+		return [...names.values()].sort((a, b) => a.localeCompare(b));
+	}
+
+	/**
+	 * Swap a racial proficiency for another of the same type.
+	 * @param {Object} character
+	 * @param {Object} race
+	 * @param {string} type - 'skills', 'weapons' or 'tools'
+	 * @param {string} from - A proficiency from getSwappableProficiencies
+	 * @param {string|null} to - From getSwapOptions; null keeps the original
+	 */
+	setProficiencySwap(character, race, type, from, to) {
+		this._requireCustomized(character);
+		if (!CUSTOM_ORIGIN_SWAP_TYPES.includes(type)) {
+			throw new ValidationError(`${type} proficiencies cannot be swapped`, {
+				type,
+			});
+		}
+		const original = (this.getSwappableProficiencies(race)[type] || []).find(
+			(name) => sameName(name, from),
+		);
+		if (!original) {
+			throw new ValidationError(
+				`${race?.name || 'The race'} does not grant ${from}`,
+				{ type, from },
+			);
+		}
+
+		const swaps = this._getSwaps(character, type);
+		if (!to || sameName(to, original)) {
+			delete swaps[original];
+			return;
+		}
+
+		const replacement = this.getSwapOptions(race, type).find((name) =>
+			sameName(name, to),
+		);
+		if (!replacement) {
+			throw new ValidationError(`${to} is not a ${type} proficiency option`, {
+				type,
+				to,
+			});
+		}
+		const taken = Object.entries(swaps).some(
+			([key, value]) => key !== original && sameName(value, replacement),
+		);
+		if (taken) {
+			throw new ValidationError(`${replacement} is already chosen`, {
+				type,
+				to,
+			});
+		}
+		swaps[original] = replacement;
+	}
+
+	_getSwaps(character, type) {
+		const customOrigin = character.race.customOrigin;
+		if (!customOrigin.proficiencySwaps) {
+			customOrigin.proficiencySwaps = emptySwaps();
+		}
+		if (!customOrigin.proficiencySwaps[type]) {
+			customOrigin.proficiencySwaps[type] = {};
+		}
+		return customOrigin.proficiencySwaps[type];
+	}
+
+	/** The proficiency a character gets in place of a racial one */
+	resolveProficiency(character, type, name) {
+		const swaps = character?.race?.customOrigin?.proficiencySwaps?.[type];
+		if (!swaps) return name;
+		const match = Object.keys(swaps).find((key) => sameName(key, name));
+		return match ? swaps[match] : name;
+	}
+
+	/** Move racial proficiencies already on the character to their swaps */
+	applyProficiencySwaps(character, race) {
+		const swappable = this.getSwappableProficiencies(race);
+		for (const type of CUSTOM_ORIGIN_SWAP_TYPES) {
+			for (const name of swappable[type]) {
+				const replacement = this.resolveProficiency(character, type, name);
+				if (replacement === name) continue;
+				proficiencyService.removeProficiency(
+					character,
+					type,
+					name,
+					RACE_SOURCE,
+				);
+				character.addProficiency(type, replacement, RACE_SOURCE);
+			}
+		}
+	}
+
+	//-------------------------------------------------------------------------
+	// Custom Lineage
+	//-------------------------------------------------------------------------
+
+	/**
+	 * Pick the Custom Lineage Variable Trait.
+	 * @param {Object} character
+	 * @param {'darkvision'|'skill'|null} trait
+	 */
+	setLineageTrait(character, trait) {
+		if (!this.isCustomLineage(character?.race)) {
+			throw new ValidationError('Only a Custom Lineage has a variable trait');
+		}
+		if (trait && !LINEAGE_TRAITS.includes(trait)) {
+			throw new ValidationError(`Unknown variable trait: ${trait}`, { trait });
+		}
+		if (trait) {
+			character.race.lineageTrait = trait;
+		} else {
+			delete character.race.lineageTrait;
+		}
+	}
+
+	/** Skills of any kind the Variable Trait lets a Custom Lineage choose */
+	getLineageSkillCount(character) {
+		return this.isCustomLineage(character?.race) &&
+			character.race.lineageTrait === 'skill'
+			? 1
+			: 0;
+	}
+
+	/** Set the darkvision a Custom Lineage gets from its Variable Trait */
+	applyLineageTrait(character) {
+		if (!this.isCustomLineage(character?.race)) return;
+		character.features.darkvision =
+			character.race.lineageTrait === 'darkvision'
+				? CUSTOM_LINEAGE_DARKVISION
+				: 0;
+	}
+
+	//-------------------------------------------------------------------------
+	// Race changes
+	//-------------------------------------------------------------------------
+
+	/**
+	 * The customization to keep when `previousRace` becomes `race`/`subrace`.
+	 * The same race keeps its choices while they are still allowed; another
+	 * race keeps only the toggle.
+	 * @returns {{customOrigin?: Object, lineageTrait?: string}}
+	 */
+	carryOver(previousRace, race, subrace) {
+		const kept = {};
+		const sameRace =
+			previousRace?.name === race?.name &&
+			previousRace?.source === race?.source;
+
+		if (previousRace?.customOrigin) {
+			const previous = previousRace.customOrigin;
+			const bonuses =
+				sameRace &&
+				previous.abilityBonuses &&
+				this.isValidAbilitySpread(race, subrace, previous.abilityBonuses)
+					? { ...previous.abilityBonuses }
+					: null;
+			kept.customOrigin = {
+				abilityBonuses: bonuses,
+				proficiencySwaps: sameRace
+					? structuredClone(previous.proficiencySwaps || emptySwaps())
+					: emptySwaps(),
+			};
+		}
+		if (sameRace && previousRace.lineageTrait) {
+			kept.lineageTrait = previousRace.lineageTrait;
+		}
+		return kept;
+	}
+
+	_requireCustomized(character) {
+		if (!this.isCustomized(character)) {
+			throw new ValidationError('Customizing Your Origin is not enabled');
+		}
+	}
+}
+
+export const originCustomizationService = new OriginCustomizationService();
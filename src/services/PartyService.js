@@ -0,0 +1,118 @@
+import { DataError, NotFoundError, ValidationError } from '../lib/Errors.js';
+import { eventBus, EVENTS } from '../lib/EventBus.js';
+
+const SETTINGS_KEY = 'parties';
+
+function normalizeParty(party) {
+	return {
+		id: party.id,
+		name: party.name,
+		memberIds: [...new Set(party.memberIds || [])],
+	};
+}
+
+/**
+ * Named parties (or campaigns) of saved characters, for the Home page.
+ *
+ * Parties live in the app preferences rather than the character save folder
+ * and refer to members by character id, so they survive moving the save
+ * folder or renaming the character files.
+ *
+ * Error strategy: THROW. Blank names raise ValidationError, unknown parties
+ * NotFoundError and failed saves DataError.
+ */
+export class PartyService {
+	/** @returns {Promise<Array<{id: string, name: string, memberIds: string[]}>>} */
+	async getParties() {
+		const parties = (await window.app.settings.get(SETTINGS_KEY)) || [];
+		return Array.isArray(parties) ? parties.map(normalizeParty) : [];
+	}
+
+	async getParty(partyId) {
+		const party = (await this.getParties()).find((p) => p.id === partyId);
+		if (!party) {
+			throw new NotFoundError('Party', partyId);
+		}
+		return party;
+	}
+
+	async createParty(name, memberIds = []) {
+		const party = normalizeParty({
+			id: `party-${crypto.randomUUID()}`,
+			name: this._requireName(name),
+			memberIds,
+		});
+		await this._saveParties([...(await this.getParties()), party]);
+		return party;
+	}
+
+	/**
+	 * Rename a party and/or replace its members.
+	 * @param {string} partyId
+	 * @param {{name?: string, memberIds?: string[]}} changes
+	 */
+	async updateParty(partyId, changes) {
+		const party = await this.getParty(partyId);
+		const updated = normalizeParty({
+			...party,
+			name:
+				changes.name === undefined
+					? party.name
+					: this._requireName(changes.name),
+			memberIds: changes.memberIds ?? party.memberIds,
+		});
+		await this._saveParties(
+			(await this.getParties()).map((p) => (p.id === partyId ? updated : p)),
+		);
+		return updated;
+	}
+
+	async deleteParty(partyId) {
+		const parties = await this.getParties();
+		const remaining = parties.filter((p) => p.id !== partyId);
+		if (remaining.length === parties.length) {
+			throw new NotFoundError('Party', partyId);
+		}
+		await this._saveParties(remaining);
+	}
+
+	/** Drop a deleted character from every party */
+	async removeCharacter(characterId) {
+		const parties = await this.getParties();
+		if (!parties.some((p) => p.memberIds.includes(characterId))) return;
+
+		await this._saveParties(
+			parties.map((p) => ({
+				...p,
+				memberIds: p.memberIds.filter((id) => id !== characterId),
+			})),
+		);
+	}
+
+	/**
+	 * Members of a party among the saved characters, in the party's order.
+	 * Ids without a saved character are skipped.
+	 */
+	getMembers(party, characters) {
+		const byId = new Map(characters.map((c) => [c.id, c]));
+		return party.memberIds.map((id) => byId.get(id)).filter(Boolean);
+	}
+
+	_requireName(name) {
+		const trimmed = String(name ?? '').trim();
+		if (!trimmed) {
+			throw new ValidationError('Party name is required');
+		}
+		return trimmed;
+	}
+
+	async _saveParties(parties) {
+		const result = await window.app.settings.set(SETTINGS_KEY, parties);
+		if (result?.success === false) {
+			throw new DataError(result.error || 'Failed to save parties');
+		}
+		eventBus.emit(EVENTS.PARTIES_CHANGED, parties);
+	}
+}
+
+export const partyService = new PartyService();
@@ -0,0 +1,518 @@
+import {
+	computeAbilities,
+	computeCurrentHitPoints,
+	computeMaxHitPoints,
+	getClassHitDie,
+} from '../lib/CharacterStats.js';
+import { createPlayState } from '../lib/CharacterSchema.js';
+import { ValidationError } from '../lib/Errors.js';
+import { eventBus, EVENTS } from '../lib/EventBus.js';
+import {
+	CLASS_RESOURCES,
+	DEATH_SAVES_TO_RESOLVE,
+	MAX_EXHAUSTION_LEVEL,
+	REST_TYPES,
+} from '../lib/GameRules.js';
+import { classService } from './ClassService.js';
+import { spellSelectionService } from './SpellSelectionService.js';
+
+function stripTags(text) {
+	return String(text).replace(/{@\w+ ([^|}]*)[^}]*}/g, '$1');
+}
+
+/** Parse a class table cell ("3", "Unlimited", {value: 2}) into a use count */
+function parseTableCount(cell) {
+	if (typeof cell === 'number') return cell;
+	if (cell && typeof cell === 'object') {
+		return typeof cell.value === 'number' ? cell.value : null;
+	}
+	if (typeof cell !== 'string') return null;
+
+	const text = stripTags(cell).trim();
+	if (/unlimited|∞/i.test(text)) return Infinity;
+	const count = Number.parseInt(text, 10);
+	if (Number.isFinite(count)) return count;
+	return /^[—–-]$/.test(text) ? 0 : null;
+}
+
+function collectText(entry) {
+	if (typeof entry === 'string') return entry;
+	if (Array.isArray(entry)) return entry.map(collectText).join(' ');
+	if (entry && typeof entry === 'object') {
+		return [entry.entries, entry.items, entry.entry]
+			.filter(Boolean)
+			.map(collectText)
+			.join(' ');
+	}
+	return '';
+}
+
+/**
+ * Tracks in-session state: hit points, hit dice, death saves, conditions,
+ * limited-use class resources and rests.
+ *
+ * Error strategy: THROW. Invalid arguments raise ValidationError; missing
+ * class data falls back to the CLASS_RESOURCES defaults.
+ */
+class PlayStateService {
+	ensurePlayState(character) {
+		if (!character.playState) {
+			character.playState = createPlayState();
+		}
+		const defaults = createPlayState();
+		for (const [key, value] of Object.entries(defaults)) {
+			if (character.playState[key] === undefined) {
+				character.playState[key] = value;
+			}
+		}
+		if (!character.hitPoints) {
+			character.hitPoints = { current: 0, max: 0, temp: 0 };
+		}
+		return character.playState;
+	}
+
+	/**
+	 * Store current hit points as computeCurrentHitPoints sees them (full
+	 * before play tracks them, raised by level ups since) and track the
+	 * maximum from now on. Only called on changes, so reads stay side-effect free.
+	 */
+	syncHitPoints(character) {
+		const state = this.ensurePlayState(character);
+		const max = this.getMaxHitPoints(character);
+		character.hitPoints.current = computeCurrentHitPoints(character, max);
+		state.hitPointMax = max;
+		return state;
+	}
+
+	_getClasses(character) {
+		return (character.progression?.classes || []).filter(
+			(cls) => cls?.name && cls.levels > 0,
+		);
+	}
+
+	_requireAmount(amount, label) {
+		if (!Number.isInteger(amount) || amount < 0) {
+			throw new ValidationError(
+				`${label} must be a non-negative whole number`,
+				{
+					amount,
+				},
+			);
+		}
+	}
+
+	_emitChanged(character, change) {
+		eventBus.emit(EVENTS.PLAY_STATE_CHANGED, character, change);
+	}
+
+	getMaxHitPoints(character) {
+		return computeMaxHitPoints(character).value;
+	}
+
+	getCurrentHitPoints(character) {
+		return computeCurrentHitPoints(character, this.getMaxHitPoints(character));
+	}
+
+	applyDamage(character, amount) {
+		this._requireAmount(amount, 'Damage');
+		const state = this.syncHitPoints(character);
+		const hp = character.hitPoints;
+
+		const absorbed = Math.min(hp.temp || 0, amount);
+		hp.temp = (hp.temp || 0) - absorbed;
+		const remaining = amount - absorbed;
+
+		if (remaining > 0) {
+			if (hp.current <= 0) {
+				state.deathSaves.failures = Math.min(
+					DEATH_SAVES_TO_RESOLVE,
+					state.deathSaves.failures + 1,
+				);
+			}
+			hp.current = Math.max(0, hp.current - remaining);
+		}
+
+		this._emitChanged(character, { type: 'damage', amount });
+		return hp.current;
+	}
+
+	heal(character, amount) {
+		this._requireAmount(amount, 'Healing');
+		const state = this.syncHitPoints(character);
+		const hp = character.hitPoints;
+		const max = this.getMaxHitPoints(character);
+
+		hp.current = Math.min(max, Math.max(0, hp.current) + amount);
+		if (hp.current > 0) {
+			state.deathSaves = { successes: 0, failures: 0 };
+		}
+
+		this._emitChanged(character, { type: 'heal', amount });
+		return hp.current;
+	}
+
+	setTempHitPoints(character, amount) {
+		this._requireAmount(amount, 'Temporary hit points');
+		this.ensurePlayState(character);
+		character.hitPoints.temp = amount;
+		this._emitChanged(character, { type: 'tempHp', amount });
+		return amount;
+	}
+
+	/**
+	 * Record a death saving throw.
+	 * @param {Object} character
+	 * @param {'success'|'failure'} result
+	 * @returns {{ successes: number, failures: number, stable: boolean, dead: boolean }}
+	 */
+	recordDeathSave(character, result) {
+		if (result !== 'success' && result !== 'failure') {
+			throw new ValidationError(
+				'Death save result must be success or failure',
+				{
+					result,
+				},
+			);
+		}
+		const state = this.ensurePlayState(character);
+		const key = result === 'success' ? 'successes' : 'failures';
+		state.deathSaves[key] = Math.min(
+			DEATH_SAVES_TO_RESOLVE,
+			state.deathSaves[key] + 1,
+		);
+
+		this._emitChanged(character, { type: 'deathSave', result });
+		return this.getDeathSaveStatus(character);
+	}
+
+	resetDeathSaves(character) {
+		const state = this.ensurePlayState(character);
+		state.deathSaves = { successes: 0, failures: 0 };
+		this._emitChanged(character, { type: 'deathSave', result: 'reset' });
+	}
+
+	getDeathSaveStatus(character) {
+		const { successes, failures } = this.ensurePlayState(character).deathSaves;
+		return {
+			successes,
+			failures,
+			stable: successes >= DEATH_SAVES_TO_RESOLVE,
+			dead: failures >= DEATH_SAVES_TO_RESOLVE,
+		};
+	}
+
+	/** @returns {Array<{className: string, die: number, total: number, used: number, remaining: number}>} */
+	getHitDice(character) {
+		const state = this.ensurePlayState(character);
+		return this._getClasses(character).map((cls) => {
+			const total = cls.levels;
+			const used = Math.min(total, state.hitDiceUsed[cls.name] || 0);
+			return {
+				className: cls.name,
+				die: getClassHitDie(cls),
+				total,
+				used,
+				remaining: total - used,
+			};
+		});
+	}
+
+	/**
+	 * Spend one hit die and heal by the roll plus Constitution modifier.
+	 * @param {Object} character
+	 * @param {string} className - Class whose hit die is spent
+	 * @param {number} [roll] - Die result; rolled when omitted
+	 * @returns {{ roll: number, healed: number }}
+	 */
+	spendHitDie(character, className, roll = null) {
+		const state = this.syncHitPoints(character);
+		const entry = this.getHitDice(character).find(
+			(hd) => hd.className === className,
+		);
+		if (!entry) {
+			throw new ValidationError(`No hit dice for class ${className}`, {
+				className,
+			});
+		}
+		if (entry.remaining <= 0) {
+			throw new ValidationError(`No ${className} hit dice remaining`, {
+				className,
+			});
+		}
+
+		const result =
+			roll === null ? Math.floor(Math.random() * entry.die) + 1 : roll;
+		if (!Number.isInteger(result) || result < 1 || result > entry.die) {
+			throw new ValidationError(
+				`Hit die roll must be between 1 and ${entry.die}`,
+				{
+					roll: result,
+				},
+			);
+		}
+
+		state.hitDiceUsed[className] = entry.used + 1;
+
+		const conMod = computeAbilities(character).constitution.modifier;
+		const healing = Math.max(0, result + conMod);
+		const before = Math.max(0, character.hitPoints.current);
+		const after = this.heal(character, healing);
+
+		this._emitChanged(character, { type: 'hitDie', className, roll: result });
+		return { roll: result, healed: after - before };
+	}
+
+	getConditions(character) {
+		return [...this.ensurePlayState(character).conditions];
+	}
+
+	hasCondition(character, name) {
+		return this.ensurePlayState(character).conditions.some(
+			(c) => c.name.toLowerCase() === String(name).toLowerCase(),
+		);
+	}
+
+	addCondition(character, name, source = null) {
+		if (typeof name !== 'string' || !name.trim()) {
+			throw new ValidationError('Condition name is required', { name });
+		}
+		if (name.toLowerCase() === 'exhaustion') {
+			return this.setExhaustion(
+				character,
+				this.ensurePlayState(character).exhaustion + 1,
+			);
+		}
+		if (this.hasCondition(character, name)) return false;
+
+		const condition = { name: name.trim() };
+		if (source) condition.source = source;
+		this.ensurePlayState(character).conditions.push(condition);
+
+		this._emitChanged(character, { type: 'condition', name, added: true });
+		return true;
+	}
+
+	removeCondition(character, name) {
+		const state = this.ensurePlayState(character);
+		const before = state.conditions.length;
+		state.conditions = state.conditions.filter(
+			(c) => c.name.toLowerCase() !== String(name).toLowerCase(),
+		);
+		if (state.conditions.length === before) return false;
+
+		this._emitChanged(character, { type: 'condition', name, added: false });
+		return true;
+	}
+
+	setExhaustion(character, level) {
+		if (!Number.isInteger(level) || level < 0 || level > MAX_EXHAUSTION_LEVEL) {
+			throw new ValidationError(
+				`Exhaustion level must be between 0 and ${MAX_EXHAUSTION_LEVEL}`,
+				{ level },
+			);
+		}
+		this.ensurePlayState(character).exhaustion = level;
+		this._emitChanged(character, { type: 'exhaustion', level });
+		return true;
+	}
+
+	_getClassData(cls) {
+		try {
+			return classService.getClass(cls.name, cls.source || 'PHB');
+		} catch {
+			return null;
+		}
+	}
+
+	_getTableCount(classData, definition, level) {
+		for (const group of classData?.classTableGroups || []) {
+			const labels = (group.colLabels || []).map((label) =>
+				stripTags(label).trim().toLowerCase(),
+			);
+			for (const column of definition.columns) {
+				const index = labels.indexOf(column.toLowerCase());
+				if (index === -1) continue;
+				const count = parseTableCount(group.rows?.[level - 1]?.[index]);
+				if (count !== null) return count;
+			}
+		}
+		return null;
+	}
+
+	_getFallbackCount(character, definition, level) {
+		const { uses } = definition;
+		if (Array.isArray(uses)) {
+			let count = 0;
+			for (const [fromLevel, value] of uses) {
+				if (level >= fromLevel) count = value;
+			}
+			return count;
+		}
+		if (uses.perLevel) {
+			return level >= (uses.minLevel || 1) ? uses.perLevel * level : 0;
+		}
+		if (uses.ability) {
+			const mod = computeAbilities(character)[uses.ability]?.modifier || 0;
+			return Math.max(uses.min || 0, mod);
+		}
+		return 0;
+	}
+
+	/** Recharge from the feature text, falling back to the definition. */
+	_getRecharge(cls, definition, level) {
+		if (
+			definition.shortRestFromLevel &&
+			level >= definition.shortRestFromLevel
+		) {
+			return REST_TYPES.SHORT;
+		}
+
+		const names = definition.features.map((n) => n.toLowerCase());
+		const feature = classService
+			.getClassFeatures(cls.name, level, cls.source || 'PHB')
+			.find((f) => names.includes(f.name?.toLowerCase()));
+		if (feature) {
+			const text = collectText(feature.entries).toLowerCase();
+			if (/short or long rest/.test(text)) return REST_TYPES.SHORT;
+			if (/long rest/.test(text)) return REST_TYPES.LONG;
+		}
+		return definition.recharge;
+	}
+
+	/**
+	 * Limited-use class resources available at the character's levels.
+	 * @returns {Array<{id: string, name: string, className: string, max: number, used: number, remaining: number, recharge: string}>}
+	 */
+	getResources(character) {
+		const state = this.ensurePlayState(character);
+		const resources = [];
+
+		for (const cls of this._getClasses(character)) {
+			const classData = this._getClassData(cls);
+			for (const definition of CLASS_RESOURCES) {
+				if (definition.className !== cls.name) continue;
+
+				const max =
+					this._getTableCount(classData, definition, cls.levels) ??
+					this._getFallbackCount(character, definition, cls.levels);
+				if (!max) continue;
+
+				const used = Math.min(max, state.resources[definition.id]?.used || 0);
+				resources.push({
+					id: definition.id,
+					name: definition.name,
+					className: cls.name,
+					max,
+					used,
+					remaining: max - used,
+					recharge: this._getRecharge(cls, definition, cls.levels),
+				});
+			}
+		}
+
+		return resources;
+	}
+
+	useResource(character, resourceId, amount = 1) {
+		this._requireAmount(amount, 'Resource use');
+		const resource = this.getResources(character).find(
+			(r) => r.id === resourceId,
+		);
+		if (!resource) {
+			throw new ValidationError(`Unknown resource ${resourceId}`, {
+				resourceId,
+			});
+		}
+		if (resource.remaining < amount) {
+			throw new ValidationError(`Not enough ${resource.name} remaining`, {
+				resourceId,
+				remaining: resource.remaining,
+			});
+		}
+
+		this.ensurePlayState(character).resources[resourceId] = {
+			used: resource.used + amount,
+		};
+		this._emitChanged(character, { type: 'resource', resourceId, amount });
+		return resource.remaining - amount;
+	}
+
+	restoreResource(character, resourceId, amount = 1) {
+		this._requireAmount(amount, 'Resource restore');
+		const state = this.ensurePlayState(character);
+		const used = state.resources[resourceId]?.used || 0;
+		state.resources[resourceId] = { used: Math.max(0, used - amount) };
+		this._emitChanged(character, {
+			type: 'resource',
+			resourceId,
+			amount: -amount,
+		});
+	}
+
+	_restoreSlots(character, options = {}) {
+		const classes = character.spellcasting?.classes;
+		if (!classes || Object.keys(classes).length === 0) return;
+		spellSelectionService.restoreSpellSlots(character, options);
+	}
+
+	/**
+	 * Short rest: restores short-rest resources and Warlock pact slots.
+	 * Hit dice are spent separately with spendHitDie().
+	 * @returns {{ restored: string[] }} Names of restored resources
+	 */
+	shortRest(character) {
+		const state = this.syncHitPoints(character);
+		const restored = [];
+
+		for (const resource of this.getResources(character)) {
+			if (resource.recharge !== REST_TYPES.SHORT) continue;
+			if (resource.used > 0) restored.push(resource.name);
+			delete state.resources[resource.id];
+		}
+
+		const { pact } = spellSelectionService.syncSpellSlotPools(character);
+		if (Object.keys(pact).length > 0) {
+			this._restoreSlots(character, { pactOnly: true });
+			restored.push('Pact Magic slots');
+		}
+
+		state.lastRest = { type: REST_TYPES.SHORT, at: new Date().toISOString() };
+		this._emitChanged(character, { type: 'rest', rest: REST_TYPES.SHORT });
+		return { restored };
+	}
+
+	/**
+	 * Long rest: full hit points, half the hit dice (minimum one), all
+	 * resources and spell slots, and one level of exhaustion removed.
+	 * @returns {{ hitDiceRegained: number }}
+	 */
+	longRest(character) {
+		const state = this.syncHitPoints(character);
+
+		character.hitPoints.current = this.getMaxHitPoints(character);
+		character.hitPoints.temp = 0;
+		state.deathSaves = { successes: 0, failures: 0 };
+
+		const hitDice = this.getHitDice(character);
+		const totalDice = hitDice.reduce((sum, hd) => sum + hd.total, 0);
+		let toRegain = Math.max(1, Math.floor(totalDice / 2));
+		let hitDiceRegained = 0;
+		// Regain the largest dice first
+		for (const hd of [...hitDice].sort((a, b) => b.die - a.die)) {
+			const regained = Math.min(hd.used, toRegain);
+			state.hitDiceUsed[hd.className] = hd.used - regained;
+			toRegain -= regained;
+			hitDiceRegained += regained;
+		}
+
+		state.resources = {};
+		this._restoreSlots(character);
+		if (state.exhaustion > 0) state.exhaustion--;
+
+		state.lastRest = { type: REST_TYPES.LONG, at: new Date().toISOString() };
+		this._emitChanged(character, { type: 'rest', rest: REST_TYPES.LONG });
+		return { hitDiceRegained };
+	}
+}
+
+export const playStateService = new PlayStateService();
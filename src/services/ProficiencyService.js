@@ -1,7 +1,11 @@
 import { toSentenceCase } from '../lib/5eToolsParser.js';
+import { SKILL_ABILITY_MAP } from '../lib/CharacterStats.js';
 import { ValidationError } from '../lib/Errors.js';
 import { eventBus, EVENTS } from '../lib/EventBus.js';
-import { PROFICIENCY_TYPES } from '../lib/GameRules.js';
+import {
+	EXPERTISE_CLASS_FEATURES,
+	PROFICIENCY_TYPES,
+} from '../lib/GameRules.js';
 import TextProcessor from '../lib/TextProcessor.js';
 import {
 	addProficiencyArgsSchema,
@@ -9,6 +13,27 @@ import {
 	validateInput
 } from '../lib/ValidationSchemas.js';
 import { BaseDataService } from './BaseDataService.js';
+import { classService } from './ClassService.js';
+import { featService } from './FeatService.js';
+
+const EXPERTISE_TYPES = [PROFICIENCY_TYPES.SKILLS, PROFICIENCY_TYPES.TOOLS];
+
+function findExpertiseRule(feature, className) {
+	return (
+		EXPERTISE_CLASS_FEATURES[
+			`${feature.name}|${className}|${feature.classSource || feature.source}`
+		] ||
+		EXPERTISE_CLASS_FEATURES[`${feature.name}|${className}`] ||
+		EXPERTISE_CLASS_FEATURES[feature.name] ||
+		null
+	);
+}
+
+function sameName(a, b) {
+	return (
+		TextProcessor.normalizeForLookup(a) === TextProcessor.normalizeForLookup(b)
+	);
+}
 
 export class ProficiencyService extends BaseDataService {
 	constructor() {
@@ -130,6 +155,11 @@ export class ProficiencyService extends BaseDataService {
 		return removed;
 	}
 
+	/** Drop one source of a proficiency, and the proficiency when none remain */
+	removeProficiency(character, type, proficiency, source) {
+		this._removeProficiencyFromSource(character, type, proficiency, source);
+	}
+
 	getProficiencySources(character, type, proficiency) {
 		return character?.proficiencySources?.[type]?.get(proficiency) || new Set();
 	}
@@ -241,6 +271,8 @@ export class ProficiencyService extends BaseDataService {
 			}
 		}
 
+		this._ensureExpertiseStructures(character);
+
 		if (character.proficiencies[PROFICIENCY_TYPES.LANGUAGES].length === 0) {
 			this.addProficiency(
 				character,
@@ -251,6 +283,327 @@ export class ProficiencyService extends BaseDataService {
 		}
 	}
 
+	_ensureExpertiseStructures(character) {
+		if (!character.expertise) character.expertise = {};
+		if (!character.expertiseSources) character.expertiseSources = {};
+		for (const type of EXPERTISE_TYPES) {
+			if (!character.expertise[type]) character.expertise[type] = [];
+			if (!character.expertiseSources[type]) {
+				character.expertiseSources[type] = new Map();
+			}
+		}
+		if (!character.expertiseChoices) character.expertiseChoices = {};
+	}
+
+	/** Rebuild `character.expertise` from fixed sources and slot choices */
+	_syncExpertiseArrays(character) {
+		for (const type of EXPERTISE_TYPES) {
+			const names = Array.from(character.expertiseSources[type].keys());
+			for (const picks of Object.values(character.expertiseChoices)) {
+				for (const pick of picks) {
+					if (
+						pick.type === type &&
+						!names.some((n) => sameName(n, pick.name))
+					) {
+						names.push(pick.name);
+					}
+				}
+			}
+			character.expertise[type] = names;
+		}
+	}
+
+	/**
+	 * Skills (canonical names) or tools the character is proficient in,
+	 * counting optional selections.
+	 * @param {Object} character
+	 * @param {string} type - 'skills' or 'tools'
+	 * @returns {string[]}
+	 */
+	getProficientNames(character, type) {
+		const names = [...(character?.proficiencies?.[type] || [])];
+		const optional = character?.optionalProficiencies?.[type];
+		if (optional) {
+			names.push(...(optional.selected || []));
+			for (const source of ['race', 'class', 'background']) {
+				names.push(...(optional[source]?.selected || []));
+			}
+		}
+
+		if (type === PROFICIENCY_TYPES.SKILLS) {
+			return Object.keys(SKILL_ABILITY_MAP).filter((skill) =>
+				names.some((name) => sameName(name, skill)),
+			);
+		}
+		return names.filter(
+			(name, index) =>
+				names.findIndex((other) => sameName(other, name)) === index,
+		);
+	}
+
+	/**
+	 * Grant expertise that is not a choice, such as an imported sheet's.
+	 * Expertise only applies while the character is proficient.
+	 * @param {Object} character
+	 * @param {string} type - 'skills' or 'tools'
+	 * @param {string} name
+	 * @param {string} source
+	 * @returns {boolean} Whether the expertise was newly added
+	 */
+	addExpertise(character, type, name, source) {
+		if (!character || !EXPERTISE_TYPES.includes(type) || !name || !source) {
+			throw new ValidationError(
+				'Invalid parameters for addExpertise: character, skills or tools, name and source are required',
+			);
+		}
+		this._ensureExpertiseStructures(character);
+
+		const sources = character.expertiseSources[type];
+		const existing = Array.from(sources.keys()).find((key) =>
+			sameName(key, name),
+		);
+		const wasNew = !character.expertise[type].some((key) =>
+			sameName(key, name),
+		);
+		const trackKey = existing || name;
+		if (!sources.has(trackKey)) sources.set(trackKey, new Set());
+		sources.get(trackKey).add(source);
+
+		this._syncExpertiseArrays(character);
+		eventBus.emit(EVENTS.EXPERTISE_CHANGED, { type, name, source, character });
+		return wasNew;
+	}
+
+	/**
+	 * Remove fixed expertise granted by a source.
+	 * @returns {{skills: string[], tools: string[]}} Removed names by type
+	 */
+	removeExpertiseBySource(character, source) {
+		const removed = { skills: [], tools: [] };
+		if (!character?.expertiseSources) return removed;
+		this._ensureExpertiseStructures(character);
+
+		for (const type of EXPERTISE_TYPES) {
+			for (const [name, sources] of character.expertiseSources[type]) {
+				if (!sources.delete(source)) continue;
+				removed[type].push(name);
+				if (sources.size === 0) character.expertiseSources[type].delete(name);
+			}
+		}
+
+		this._syncExpertiseArrays(character);
+		eventBus.emit(EVENTS.EXPERTISE_CHANGED, { source, removed, character });
+		return removed;
+	}
+
+	/** Whether the character has expertise in a proficient skill or tool */
+	hasExpertise(character, type, name) {
+		if (!character?.expertise?.[type]?.some((key) => sameName(key, name))) {
+			return false;
+		}
+		return this.getProficientNames(character, type).some((key) =>
+			sameName(key, name),
+		);
+	}
+
+	/**
+	 * Expertise choices granted by class features and feats.
+	 * @param {Object} character
+	 * @returns {Array<{key: string, label: string, count: number,
+	 *   anyTool: boolean, toolOptions: string[]}>}
+	 */
+	getExpertiseSlots(character) {
+		const slots = [];
+
+		for (const cls of character?.progression?.classes || []) {
+			if (!cls?.name || !(cls.levels > 0)) continue;
+			let features;
+			try {
+				features = classService.getClassFeatures(
+					cls.name,
+					cls.levels,
+					cls.source || 'PHB',
+				);
+			} catch (error) {
+				console.warn(
+					'[ProficiencyService]',
+					'Class features unavailable:',
+					error,
+				);
+				continue;
+			}
+			for (const feature of features) {
+				const rule = findExpertiseRule(feature, cls.name);
+				if (!rule) continue;
+				slots.push({
+					key: `class:${cls.name}:${feature.name}:${feature.level}`,
+					label: `${cls.name} ${feature.level}: ${feature.name}`,
+					count: rule.skills,
+					anyTool: false,
+					toolOptions: [...(rule.tools || [])],
+				});
+			}
+		}
+
+		for (const feat of character?.feats || []) {
+			if (!feat?.name) continue;
+			let featData;
+			try {
+				featData = featService.getFeat(feat.name, feat.source || 'PHB');
+			} catch {
+				continue;
+			}
+			(featData.expertise || []).forEach((grant, index) => {
+				const count =
+					(grant.anyProficientSkill || 0) + (grant.anyProficientTool || 0);
+				if (count === 0) return;
+				slots.push({
+					key: `feat:${featData.name}:${index}`,
+					label: featData.name,
+					count,
+					anyTool: Boolean(grant.anyProficientTool),
+					toolOptions: [],
+				});
+			});
+		}
+
+		return slots;
+	}
+
+	/**
+	 * Skills and tools a slot may pick: those the character is proficient in
+	 * and does not already have expertise in from elsewhere.
+	 * @returns {Array<{type: string, name: string, selected: boolean}>}
+	 */
+	getExpertiseOptions(character, slot) {
+		this._ensureExpertiseStructures(character);
+		const picks = character.expertiseChoices[slot.key] || [];
+		const isPicked = (type, name) =>
+			picks.some((pick) => pick.type === type && sameName(pick.name, name));
+		const takenElsewhere = (type, name) =>
+			!isPicked(type, name) &&
+			character.expertise[type].some((key) => sameName(key, name));
+
+		const tools = this.getProficientNames(
+			character,
+			PROFICIENCY_TYPES.TOOLS,
+		).filter(
+			(tool) =>
+				slot.anyTool ||
+				slot.toolOptions.some((option) => sameName(option, tool)),
+		);
+		const candidates = [
+			...this.getProficientNames(character, PROFICIENCY_TYPES.SKILLS).map(
+				(name) => ({ type: PROFICIENCY_TYPES.SKILLS, name }),
+			),
+			...tools.map((name) => ({ type: PROFICIENCY_TYPES.TOOLS, name })),
+		];
+
+		return candidates
+			.filter(({ type, name }) => !takenElsewhere(type, name))
+			.map(({ type, name }) => ({
+				type,
+				name,
+				selected: isPicked(type, name),
+			}));
+	}
+
+	/**
+	 * Choose a skill or tool for an expertise slot.
+	 * @throws {ValidationError} When the slot is unknown or full, or the
+	 *   choice is not one of its options
+	 */
+	selectExpertise(character, slotKey, type, name) {
+		const slot = this.getExpertiseSlots(character).find(
+			(s) => s.key === slotKey,
+		);
+		if (!slot) {
+			throw new ValidationError('Unknown expertise choice', { slotKey });
+		}
+		const option = this.getExpertiseOptions(character, slot).find(
+			(o) => o.type === type && sameName(o.name, name),
+		);
+		if (!option) {
+			throw new ValidationError(
+				`${name} is not a proficiency that can gain expertise here`,
+				{ slotKey, type, name },
+			);
+		}
+		if (option.selected) return false;
+
+		const picks = character.expertiseChoices[slotKey] || [];
+		if (picks.length >= slot.count) {
+			throw new ValidationError(
+				`${slot.label} allows only ${slot.count} expertise choice${slot.count === 1 ? '' : 's'}`,
+				{ slotKey },
+			);
+		}
+		character.expertiseChoices[slotKey] = [
+			...picks,
+			{ type, name: option.name },
+		];
+
+		this._syncExpertiseArrays(character);
+		eventBus.emit(EVENTS.EXPERTISE_CHANGED, { slotKey, type, name, character });
+		return true;
+	}
+
+	/** Undo an expertise choice. @returns {boolean} Whether it was chosen */
+	deselectExpertise(character, slotKey, type, name) {
+		this._ensureExpertiseStructures(character);
+		const picks = character.expertiseChoices[slotKey] || [];
+		const kept = picks.filter(
+			(pick) => !(pick.type === type && sameName(pick.name, name)),
+		);
+		if (kept.length === picks.length) return false;
+
+		if (kept.length > 0) character.expertiseChoices[slotKey] = kept;
+		else delete character.expertiseChoices[slotKey];
+
+		this._syncExpertiseArrays(character);
+		eventBus.emit(EVENTS.EXPERTISE_CHANGED, { slotKey, type, name, character });
+		return true;
+	}
+
+	/**
+	 * Drop choices whose slot no longer exists (class level or feat removed),
+	 * picks beyond a slot's count, and picks that lost their proficiency.
+	 * @returns {boolean} Whether any choice was dropped
+	 */
+	syncExpertise(character) {
+		if (!character) return false;
+		this._ensureExpertiseStructures(character);
+		const slots = new Map(
+			this.getExpertiseSlots(character).map((slot) => [slot.key, slot]),
+		);
+		const proficient = {
+			skills: this.getProficientNames(character, PROFICIENCY_TYPES.SKILLS),
+			tools: this.getProficientNames(character, PROFICIENCY_TYPES.TOOLS),
+		};
+		let changed = false;
+
+		for (const [key, picks] of Object.entries(character.expertiseChoices)) {
+			const slot = slots.get(key);
+			const kept = slot
+				? picks
+						.filter((pick) =>
+							proficient[pick.type]?.some((name) => sameName(name, pick.name)),
+						)
+						.slice(0, slot.count)
+				: [];
+			if (kept.length === picks.length) continue;
+			changed = true;
+			if (kept.length > 0) character.expertiseChoices[key] = kept;
+			else delete character.expertiseChoices[key];
+		}
+
+		this._syncExpertiseArrays(character);
+		if (changed) {
+			eventBus.emit(EVENTS.EXPERTISE_CHANGED, { character });
+		}
+		return changed;
+	}
+
 	_recalculateOptionalProficiencies(character, type) {
 		if (!character?.optionalProficiencies?.[type]) {
 			return;
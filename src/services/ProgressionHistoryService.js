@@ -37,6 +37,15 @@ class ProgressionHistoryService {
 		});
 	}
 
+	/** Record choices for a level alongside those already recorded there */
+	mergeChoices(character, className, level, choices) {
+		const existing = this.getChoices(character, className, level) || {};
+		this.recordChoices(character, className, level, {
+			...existing,
+			...choices,
+		});
+	}
+
 	getChoices(character, className, level) {
 		if (!character.progressionHistory) return null;
 
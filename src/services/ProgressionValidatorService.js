@@ -1,4 +1,9 @@
 import { classService } from './ClassService.js';
+import { proficiencyService } from './ProficiencyService.js';
+import { progressionHistoryService } from './ProgressionHistoryService.js';
+
+// Class features whose choices are checked elsewhere or stored apart from the feature
+const SPELLCASTING_FEATURES = new Set(['Spellcasting', 'Pact Magic']);
 
 class ProgressionValidatorService {
     checkSubclass(_character, classEntry, classData, report) {
@@ -55,11 +60,19 @@ class ProgressionValidatorService {
                 feature,
                 feature.level,
                 report,
+                classData,
             );
         }
     }
 
-    _checkFeatureChoice(character, classEntry, feature, level, report) {
+    _checkFeatureChoice(
+        character,
+        classEntry,
+        feature,
+        level,
+        report,
+        classData = {},
+    ) {
         const className = classEntry.name;
         const featureName = feature.name || '';
         const featureText = JSON.stringify(feature).toLowerCase();
@@ -69,11 +82,18 @@ class ProgressionValidatorService {
             featureName.includes('Eldritch Invocations') ||
             featureName.includes('Invocation')
         ) {
-            const expectedCount = this._parseChoiceCount(feature);
-            const actualCount =
+            const expectedCount = this._expectedOptionCount(
+                classEntry,
+                classData,
+                feature,
+                'invocation',
+            );
+            const actualCount = Math.max(
                 character.invocations?.filter(
                     (i) => i.class === 'Warlock' || i.source === 'Warlock',
-                ).length || 0;
+                ).length || 0,
+                this._countHistorySelections(character, classEntry, 'invocation'),
+            );
 
             if (expectedCount > 0 && actualCount < expectedCount) {
                 report.missing.invocations.push({
@@ -90,8 +110,16 @@ class ProgressionValidatorService {
 
         // Detect Metamagic (Sorcerer)
         else if (featureName.includes('Metamagic')) {
-            const expectedCount = this._parseChoiceCount(feature);
-            const actualCount = character.metamagic?.length || 0;
+            const expectedCount = this._expectedOptionCount(
+                classEntry,
+                classData,
+                feature,
+                'metamagic',
+            );
+            const actualCount = Math.max(
+                character.metamagic?.length || 0,
+                this._countHistorySelections(character, classEntry, 'metamagic'),
+            );
 
             if (expectedCount > 0 && actualCount < expectedCount) {
                 report.missing.metamagic.push({
@@ -108,7 +136,10 @@ class ProgressionValidatorService {
 
         // Detect Pact Boon (Warlock)
         else if (featureName.includes('Pact Boon')) {
-            if (!classEntry.pactBoon) {
+            if (
+                !classEntry.pactBoon &&
+                !this._countHistorySelections(character, classEntry, 'patron')
+            ) {
                 report.missing.pactBoons.push({
                     class: className,
                     level,
@@ -120,7 +151,14 @@ class ProgressionValidatorService {
 
         // Detect Fighting Style
         else if (featureName.includes('Fighting Style')) {
-            if (!classEntry.fightingStyle) {
+            if (
+                !classEntry.fightingStyle &&
+                !this._countHistorySelections(
+                    character,
+                    classEntry,
+                    'fighting-style',
+                )
+            ) {
                 report.missing.fightingStyles.push({
                     class: className,
                     level,
@@ -130,6 +168,18 @@ class ProgressionValidatorService {
             }
         }
 
+        // Detect Expertise: picks are stored per slot in expertiseChoices
+        else if (this._checkExpertise(character, classEntry, feature, report)) {
+            return;
+        }
+
+        // Choices recorded elsewhere: subclass, spells, ASIs, optional features
+        else if (
+            this._isTrackedElsewhere(classEntry, classData, feature)
+        ) {
+            return;
+        }
+
         // Generic choice detection
         else if (featureText.includes('choose') || featureText.includes('select')) {
             const choiceCount = this._parseChoiceCount(feature);
@@ -195,6 +245,97 @@ class ProgressionValidatorService {
         }
     }
 
+    /**
+     * Options a class should have picked by its current level, from the class's
+     * optionalfeatureProgression when it has one, else from the feature text.
+     */
+    _expectedOptionCount(classEntry, classData, feature, featureType) {
+        const progression = (classData?.optionalfeatureProgression || []).find(
+            (p) => classService.mapFeatureType(p.featureType?.[0]) === featureType,
+        );
+        if (!progression) return this._parseChoiceCount(feature);
+        return classService.getCountAtLevel(
+            progression.progression,
+            classEntry.levels || 0,
+        );
+    }
+
+    /** Options of a type recorded in progression history up to the class level */
+    _countHistorySelections(character, classEntry, featureType) {
+        const history = progressionHistoryService.getChoicesByRange(
+            character,
+            classEntry.name,
+            1,
+            classEntry.levels || 0,
+        );
+        let count = 0;
+        for (const choices of Object.values(history)) {
+            count += choices?.[featureType]?.selected?.length || 0;
+        }
+        return count;
+    }
+
+    /**
+     * Report an Expertise feature with fewer picks than its slot allows.
+     * @returns {boolean} Whether the feature grants an expertise slot
+     */
+    _checkExpertise(character, classEntry, feature, report) {
+        const key = `class:${classEntry.name}:${feature.name}:${feature.level}`;
+        const slot = proficiencyService
+            .getExpertiseSlots(character)
+            .find((s) => s.key === key);
+        if (!slot) return false;
+
+        const chosen = character.expertiseChoices?.[key]?.length || 0;
+        if (chosen < slot.count) {
+            report.missing.other.push({
+                class: classEntry.name,
+                level: feature.level,
+                feature: feature.name,
+                expectedChoices: slot.count,
+                message: `${classEntry.name} has ${slot.count - chosen} expertise choice(s) to make for ${feature.name}`,
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Features whose wording offers a choice that is stored outside the feature:
+     * the subclass pick, spell lists, ASIs and optional features.
+     */
+    _isTrackedElsewhere(classEntry, classData, feature) {
+        const featureName = feature.name || '';
+
+        if (SPELLCASTING_FEATURES.has(featureName)) return true;
+        if (featureName.includes('Ability Score Improvement')) return true;
+        if (
+            classEntry.subclass &&
+            this._getSubclassFeatureNames(classData).has(featureName)
+        ) {
+            return true;
+        }
+        if (
+            (classData?.optionalfeatureProgression || []).some(
+                (p) => p.name === featureName,
+            )
+        ) {
+            return true;
+        }
+        return false;
+    }
+
+    /** Names of the class features that grant the subclass and its features */
+    _getSubclassFeatureNames(classData) {
+        const names = new Set();
+        if (classData?.subclassTitle) names.add(classData.subclassTitle);
+        for (const ref of (classData?.classFeatures || []).flat()) {
+            if (typeof ref === 'object' && ref?.gainSubclassFeature) {
+                names.add(String(ref.classFeature).split('|')[0]);
+            }
+        }
+        return names;
+    }
+
     _parseChoiceCount(feature) {
         const text = JSON.stringify(feature).toLowerCase();
 
@@ -146,7 +146,10 @@ class RaceService extends BaseDataService {
 	async initialize() {
 		await this.initWithLoader(
 			async () => {
-				const races = await DataLoader.loadRaces();
+				const races = await DataLoader.withHomebrew(
+					await DataLoader.loadRaces(),
+					['race', 'subrace'],
+				);
 				if (!races) throw new DataError('Race data is null or undefined');
 
 				try {
@@ -1,6 +1,10 @@
 import { attAbvToLower } from '../lib/5eToolsParser.js';
+import { isWeaponItem } from '../lib/CharacterStats.js';
 import { backgroundService } from './BackgroundService.js';
 import { classService } from './ClassService.js';
+import { equipmentService } from './EquipmentService.js';
+import { itemService } from './ItemService.js';
+import { originCustomizationService } from './OriginCustomizationService.js';
 import { raceService } from './RaceService.js';
 
 /**
@@ -15,9 +19,11 @@ class RehydrationService {
         const warnings = [];
 
         this._rehydrateRacialFeatures(character, warnings);
+        this._rehydrateOriginCustomization(character, warnings);
         this._rehydrateClassFeatures(character, warnings);
         this._rehydrateSpellcasting(character, warnings);
         this._rehydrateBackgroundFeature(character, warnings);
+        this._rehydrateWeaponStats(character, warnings);
 
         if (warnings.length > 0) {
             console.warn('[RehydrationService]', `Rehydration for "${character.name}" completed with ${warnings.length} warning(s):`, warnings);
@@ -70,6 +76,42 @@ class RehydrationService {
         }
     }
 
+    /**
+     * Re-apply Customizing Your Origin and the Custom Lineage trait, so the
+     * saved spread, swapped proficiencies and darkvision match the choices.
+     */
+    _rehydrateOriginCustomization(character, warnings) {
+        const customOrigin = character.race?.customOrigin;
+        if (!customOrigin && !character.race?.lineageTrait) return;
+
+        let raceData;
+        let subraceData = null;
+        try {
+            raceData = raceService.getRace(character.race.name, character.race.source || 'PHB');
+            if (character.race.subrace) {
+                subraceData = raceService.getSubrace(raceData.name, character.race.subrace, raceData.source);
+            }
+        } catch {
+            // Missing race data was already reported by _rehydrateRacialFeatures
+            return;
+        }
+
+        if (customOrigin?.abilityBonuses) {
+            if (originCustomizationService.isValidAbilitySpread(raceData, subraceData, customOrigin.abilityBonuses)) {
+                originCustomizationService.applyAbilityBonuses(character, raceData, subraceData);
+            } else {
+                warnings.push(`Custom ability increases no longer fit ${raceData.name}; using the race's own`);
+                customOrigin.abilityBonuses = null;
+            }
+        }
+
+        if (customOrigin) {
+            originCustomizationService.applyProficiencySwaps(character, raceData);
+        }
+
+        originCustomizationService.applyLineageTrait(character);
+    }
+
     _applyTraits(character, raceOrSubrace, source) {
         if (!raceOrSubrace?.entries || !Array.isArray(raceOrSubrace.entries)) return;
 
@@ -150,6 +192,19 @@ class RehydrationService {
         }
     }
 
+    // Characters saved before weapon stats were stored on inventory items
+    _rehydrateWeaponStats(character, warnings) {
+        for (const item of character.inventory?.items || []) {
+            if (!isWeaponItem(item) || item.dmg1) continue;
+            try {
+                const itemData = itemService.getItem(item.name, item.source);
+                Object.assign(item, equipmentService.getWeaponStats(itemData));
+            } catch {
+                warnings.push(`Weapon not found: ${item.name} (${item.source})`);
+            }
+        }
+    }
+
     _rehydrateSpellcasting(character, _warnings) {
         const classes = character.progression?.classes;
         if (!Array.isArray(classes) || classes.length === 0) return;
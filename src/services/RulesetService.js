@@ -0,0 +1,315 @@
+import {
+	attAbvToLower,
+	getAbilityAbbrDisplay,
+	toTitleCase,
+} from '../lib/5eToolsParser.js';
+import { stripTags } from '../lib/5eToolsRenderer.js';
+import { ABILITIES } from '../lib/CharacterStats.js';
+import { NotFoundError, ValidationError } from '../lib/Errors.js';
+import {
+	DEFAULT_RULESET,
+	EPIC_BOON_LEVEL,
+	RULESETS,
+	WEAPON_MASTERY_COUNTS,
+} from '../lib/GameRules.js';
+import { classService } from './ClassService.js';
+import { featService } from './FeatService.js';
+import { itemService } from './ItemService.js';
+
+/** Source recorded on ability bonuses and feats granted by the background */
+export const BACKGROUND_SOURCE = 'Background';
+
+const EPIC_BOON_CATEGORY = 'EB';
+
+/** Every way to give each weight to a different ability from `from` */
+function assignWeights(from, weights) {
+	if (weights.length === 0) return [{}];
+	const [weight, ...rest] = weights;
+	const assignments = [];
+	for (const ability of from) {
+		const remaining = from.filter((a) => a !== ability);
+		for (const assignment of assignWeights(remaining, rest)) {
+			assignments.push({ [ability]: weight, ...assignment });
+		}
+	}
+	return assignments;
+}
+
+function toOption(bonuses) {
+	const abilities = ABILITIES.filter((ability) => bonuses[ability]);
+	const byValue = [...abilities].sort((a, b) => bonuses[b] - bonuses[a]);
+	return {
+		id: abilities.map((ability) => `${ability}:${bonuses[ability]}`).join(','),
+		label: byValue
+			.map((ability) => `${getAbilityAbbrDisplay(ability)} +${bonuses[ability]}`)
+			.join(', '),
+		bonuses,
+	};
+}
+
+/**
+ * Character-building rules that differ between the 2014 and 2024 Player's
+ * Handbooks. The ruleset is chosen at creation and stored in
+ * `variantRules.ruleset`; characters without one use the 2014 rules.
+ *
+ * Under the 2024 rules ability bonuses and an origin feat come from the
+ * background instead of the race, martial classes pick weapons to master
+ * (kept in `classEntry.weaponMasteries`), and a class reaching level 19 takes
+ * an Epic Boon feat.
+ *
+ * Error strategy: THROW. Invalid choices raise ValidationError; lookups of
+ * data that has not loaded fall back to the built-in tables.
+ */
+export class RulesetService {
+	getRuleset(character) {
+		return character?.variantRules?.ruleset === RULESETS.MODERN
+			? RULESETS.MODERN
+			: DEFAULT_RULESET;
+	}
+
+	is2024(character) {
+		return this.getRuleset(character) === RULESETS.MODERN;
+	}
+
+	/** Races only grant ability bonuses under the 2014 rules */
+	usesRacialAbilityBonuses(character) {
+		return !this.is2024(character);
+	}
+
+	/**
+	 * The ability bonus spreads a background allows, from its 5etools
+	 * `ability` entries (weighted choices such as +2/+1 or +1/+1/+1).
+	 * @param {Object} background
+	 * @returns {Array<{id: string, label: string,
+	 *   bonuses: Object<string, number>}>} Keyed by full lowercase ability
+	 */
+	getBackgroundAbilityOptions(background) {
+		const options = new Map();
+		for (const entry of background?.ability || []) {
+			for (const bonuses of this._expandAbilityEntry(entry)) {
+				const option = toOption(bonuses);
+				if (option.id && !options.has(option.id)) {
+					options.set(option.id, option);
+				}
+			}
+		}
+		return [...options.values()];
+	}
+
+	_expandAbilityEntry(entry) {
+		const fixed = {};
+		for (const [key, value] of Object.entries(entry || {})) {
+			if (key !== 'choose' && typeof value === 'number') {
+				fixed[attAbvToLower(key)] = value;
+			}
+		}
+
+		const choose = entry?.choose;
+		if (!choose) return [fixed];
+
+		const from = (choose.weighted?.from || choose.from || [])
+			.map((ability) => attAbvToLower(ability))
+			.filter((ability) => ABILITIES.includes(ability) && !fixed[ability]);
+		const weights =
+			choose.weighted?.weights ||
+			Array(choose.count || 1).fill(choose.amount || 1);
+
+		return assignWeights(from, weights).map((assignment) => ({
+			...fixed,
+			...assignment,
+		}));
+	}
+
+	/** The option of `background` matching an ability bonus spread, or null */
+	findBackgroundAbilityOption(background, bonuses) {
+		if (!bonuses) return null;
+		const id = toOption(bonuses).id;
+		return (
+			this.getBackgroundAbilityOptions(background).find((o) => o.id === id) ||
+			null
+		);
+	}
+
+	/**
+	 * Replace the background ability bonuses of a character.
+	 * @param {Object} character
+	 * @param {Object} background
+	 * @param {Object<string, number>|null} bonuses - One of the spreads from
+	 *   getBackgroundAbilityOptions, or null to clear them
+	 */
+	applyBackgroundAbilityBonuses(character, background, bonuses) {
+		let option = null;
+		if (bonuses) {
+			option = this.findBackgroundAbilityOption(background, bonuses);
+			if (!option) {
+				throw new ValidationError(
+					`${background?.name || 'Background'} does not allow those ability bonuses`,
+					{ background: background?.name, bonuses },
+				);
+			}
+		}
+
+		character.clearAbilityBonuses(BACKGROUND_SOURCE);
+		if (!character.background) character.background = {};
+
+		if (!option) {
+			delete character.background.abilityBonuses;
+			return;
+		}
+		for (const [ability, value] of Object.entries(option.bonuses)) {
+			character.addAbilityBonus(ability, value, BACKGROUND_SOURCE);
+		}
+		character.background.abilityBonuses = { ...option.bonuses };
+	}
+
+	/**
+	 * Origin feats granted by a background, from 5etools `feats` keys such as
+	 * "magic initiate; cleric|xphb".
+	 * @returns {Array<{name: string, source: string, detail: string|null}>}
+	 */
+	getOriginFeats(background) {
+		const feats = [];
+		for (const entry of background?.feats || []) {
+			for (const [key, granted] of Object.entries(entry || {})) {
+				if (!granted || key === 'any') continue;
+				const [namePart, source] = key.split('|');
+				const [name, detail] = namePart.split(';').map((part) => part.trim());
+				feats.push({
+					name: toTitleCase(name),
+					source: source ? source.toUpperCase() : background.source,
+					detail: detail || null,
+				});
+			}
+		}
+		return feats;
+	}
+
+	/**
+	 * Replace the feats a character has from its background with the origin
+	 * feats of `background` (pass null to only remove them).
+	 * @returns {Array<Object>} The granted feats
+	 */
+	applyOriginFeats(character, background) {
+		const kept = (character.feats || []).filter(
+			(feat) => feat.source !== BACKGROUND_SOURCE,
+		);
+		const granted = this.getOriginFeats(background).map((feat) => ({
+			name: feat.name,
+			source: BACKGROUND_SOURCE,
+		}));
+		character.setFeats([...kept, ...granted], BACKGROUND_SOURCE);
+		return granted;
+	}
+
+	/**
+	 * Number of weapons a class masters at a class level (its current level by
+	 * default): the class table "Weapon Mastery" column when present,
+	 * otherwise WEAPON_MASTERY_COUNTS.
+	 */
+	getWeaponMasteryCount(classEntry, level = classEntry?.levels || 0) {
+		if (!classEntry || level < 1) return 0;
+
+		const fromTable = this._getTableMasteryCount(classEntry, level);
+		if (fromTable !== null) return fromTable;
+
+		let count = 0;
+		for (const [fromLevel, value] of WEAPON_MASTERY_COUNTS[classEntry.name] ||
+			[]) {
+			if (level >= fromLevel) count = value;
+		}
+		return count;
+	}
+
+	_getTableMasteryCount(classEntry, level) {
+		let classData;
+		try {
+			classData = classService.getClass(
+				classEntry.name,
+				classEntry.source || 'XPHB',
+			);
+		} catch (error) {
+			if (error instanceof NotFoundError) return null;
+			throw error;
+		}
+
+		for (const group of classData?.classTableGroups || []) {
+			const labels = (group.colLabels || []).map((label) =>
+				stripTags(label).trim().toLowerCase(),
+			);
+			const index = labels.indexOf('weapon mastery');
+			if (index === -1) continue;
+			const count = Number.parseInt(
+				stripTags(String(group.rows?.[level - 1]?.[index] ?? '')),
+				10,
+			);
+			if (Number.isFinite(count)) return count;
+		}
+		return null;
+	}
+
+	getWeaponMasteries(character, className) {
+		const classEntry = this._getClassEntry(character, className);
+		return [...(classEntry.weaponMasteries || [])];
+	}
+
+	/**
+	 * Store the weapons a class has mastered.
+	 * @param {Object} character
+	 * @param {string} className
+	 * @param {string[]} weapons - Weapon names
+	 */
+	setWeaponMasteries(character, className, weapons) {
+		const classEntry = this._getClassEntry(character, className);
+		const unique = [...new Set(weapons.filter(Boolean))];
+		const allowed = this.getWeaponMasteryCount(classEntry);
+		if (unique.length > allowed) {
+			throw new ValidationError(
+				`${className} can master ${allowed} weapon${allowed === 1 ? '' : 's'}`,
+				{ className, allowed, selected: unique.length },
+			);
+		}
+		classEntry.weaponMasteries = unique;
+		return unique;
+	}
+
+	/** Base weapons that have a Mastery property */
+	getMasteryWeapons() {
+		return itemService
+			.getAllBaseItems()
+			.filter((item) => item.weapon && item.mastery?.length > 0);
+	}
+
+	_getClassEntry(character, className) {
+		const classEntry = character?.progression?.classes?.find(
+			(c) => c.name === className,
+		);
+		if (!classEntry) {
+			throw new ValidationError(`Class ${className} not found`, { className });
+		}
+		return classEntry;
+	}
+
+	/** Classes at or past the Epic Boon level, one boon each */
+	getEpicBoonClasses(character) {
+		return (character?.progression?.classes || []).filter(
+			(c) => (c.levels || 0) >= EPIC_BOON_LEVEL,
+		);
+	}
+
+	/** Feats of the character that are Epic Boons */
+	getEpicBoons(character) {
+		return (character?.feats || []).filter((feat) => {
+			try {
+				return (
+					featService.getFeat(feat.name, 'XPHB').category ===
+					EPIC_BOON_CATEGORY
+				);
+			} catch (error) {
+				if (error instanceof NotFoundError) return false;
+				throw error;
+			}
+		});
+	}
+}
+
+export const rulesetService = new RulesetService();
@@ -1,4 +1,5 @@
 import { DataLoader } from '../lib/DataLoader.js';
+import { DataError } from '../lib/Errors.js';
 import { eventBus, EVENTS } from '../lib/EventBus.js';
 import { sourceIdentifierSchema, validateInput } from '../lib/ValidationSchemas.js';
 import { BaseDataService } from './BaseDataService.js';
@@ -13,6 +14,7 @@ export class SourceService extends BaseDataService {
 		this.coreSources = new Set();
 		this.sources = new Set();
 		this.allowedSources = new Set(['PHB']);
+		this.homebrewSources = new Map();
 		this._defaultSources = new Set(['PHB', 'DMG', 'MM']);
 		this._bannedSources = new Set([
 			'MPMM', // Mordenkainen Presents: Monsters of the Multiverse
@@ -48,8 +50,24 @@ export class SourceService extends BaseDataService {
 		eventBus.emit('sources:allowed-changed', Array.from(this.allowedSources));
 	}
 
+	resetData() {
+		super.resetData();
+		this.availableSources.clear();
+		this.coreSources.clear();
+		this.homebrewSources.clear();
+	}
+
 	async initialize() {
-		return this.initWithLoader(() => DataLoader.loadSources(), {
+		const loadSources = async () => {
+			const [books, brews] = await Promise.all([
+				DataLoader.loadSources(),
+				DataLoader.loadHomebrew(),
+			]);
+			this._registerHomebrewSources(brews);
+			return books;
+		};
+
+		return this.initWithLoader(loadSources, {
 			onLoaded: (sourcesData) => {
 				// Handle both direct data and Result-wrapped data
 				const sources = sourcesData.data || sourcesData;
@@ -155,8 +173,13 @@ export class SourceService extends BaseDataService {
 						}
 					}
 
+					for (const [id, info] of this.homebrewSources) {
+						this.availableSources.set(id, info);
+					}
+
 					console.debug('[SourceService]', 'Initialization complete', {
 						sourceCount: this.availableSources.size,
+						homebrewCount: this.homebrewSources.size,
 					});
 				} else {
 					console.error(
@@ -174,6 +197,87 @@ export class SourceService extends BaseDataService {
 		});
 	}
 
+	_registerHomebrewSources(brews = []) {
+		this.homebrewSources.clear();
+		for (const brew of brews) {
+			for (const source of brew.sources || []) {
+				this.homebrewSources.set(source.json, {
+					name: source.full,
+					abbreviation: source.abbreviation,
+					isCore: false,
+					group: 'homebrew',
+					version: source.version,
+					isHomebrew: true,
+					homebrewPath: brew.entryPath || brew.path,
+					filePath: brew.path,
+					authors: source.authors || [],
+				});
+			}
+		}
+	}
+
+	isHomebrewSource(source) {
+		return this.homebrewSources.has(source);
+	}
+
+	getHomebrewSources() {
+		return Array.from(this.homebrewSources.keys());
+	}
+
+	/**
+	 * Homebrew files and folders registered in Settings.
+	 * @returns {Promise<Array<{path: string, enabled: boolean, sources: string[]}>>}
+	 */
+	async getHomebrewEntries() {
+		const entries = (await window.app.settings.get('homebrew')) || [];
+		return entries.map((entry) => ({
+			path: entry.path,
+			enabled: entry.enabled !== false,
+			sources: Array.from(this.homebrewSources.entries())
+				.filter(([, info]) => info.homebrewPath === entry.path)
+				.map(([id]) => id),
+		}));
+	}
+
+	async addHomebrewPath(homebrewPath) {
+		const entries = (await window.app.settings.get('homebrew')) || [];
+		if (entries.some((entry) => entry.path === homebrewPath)) return false;
+
+		await this._saveHomebrewEntries([
+			...entries,
+			{ path: homebrewPath, enabled: true },
+		]);
+		return true;
+	}
+
+	async removeHomebrewPath(homebrewPath) {
+		const entries = (await window.app.settings.get('homebrew')) || [];
+		const remaining = entries.filter((entry) => entry.path !== homebrewPath);
+		if (remaining.length === entries.length) return false;
+
+		await this._saveHomebrewEntries(remaining);
+		return true;
+	}
+
+	async setHomebrewEnabled(homebrewPath, enabled) {
+		const entries = (await window.app.settings.get('homebrew')) || [];
+		const entry = entries.find((e) => e.path === homebrewPath);
+		if (!entry || (entry.enabled !== false) === enabled) return false;
+
+		await this._saveHomebrewEntries(
+			entries.map((e) => (e.path === homebrewPath ? { ...e, enabled } : e)),
+		);
+		return true;
+	}
+
+	async _saveHomebrewEntries(entries) {
+		const result = await window.app.settings.set('homebrew', entries);
+		if (result?.success === false) {
+			throw new DataError(result.error || 'Failed to save homebrew settings');
+		}
+		eventBus.emit(EVENTS.HOMEBREW_CHANGED, entries);
+	}
+
 	isBannedSource(sourceId) {
 		return this._bannedSources.has(sourceId.toUpperCase());
 	}
@@ -247,6 +351,10 @@ export class SourceService extends BaseDataService {
 	}
 
 	formatSourceName(source) {
+		if (this.homebrewSources.has(source)) {
+			return `${this.homebrewSources.get(source).name} (Homebrew)`;
+		}
+
 		if (this.availableSources.has(source)) {
 			return this.availableSources.get(source).name;
 		}
@@ -10,6 +10,18 @@ import { classService } from './ClassService.js';
 import { spellService } from './SpellService.js';
 import { spellSlotCalculatorService } from './SpellSlotCalculatorService.js';
 
+/** Slots `{[level]: {max, current}}` for new maxima, keeping the number already spent */
+function syncSlotPool(pool, maxima) {
+	const synced = {};
+	for (const [level, max] of Object.entries(maxima)) {
+		if (!max) continue;
+		const previous = pool?.[level];
+		const spent = previous ? Math.max(0, previous.max - previous.current) : 0;
+		synced[level] = { max, current: Math.max(0, max - spent) };
+	}
+	return synced;
+}
+
 class SpellSelectionService {
 	constructor() {
 		this.loggerScope = 'SpellSelectionService';
@@ -75,6 +87,7 @@ class SpellSelectionService {
 			spellcastingAbility: classInfo.spellcastingAbility,
 			ritualCasting: classInfo.ritualCasting || false,
 		};
+		this.syncSpellSlotPools(character);
 
 		return character.spellcasting.classes[className];
 	}
@@ -350,55 +363,153 @@ class SpellSelectionService {
 		return true;
 	}
 
-	useSpellSlot(character, className, spellLevel) {
-		if (!character.spellcasting?.classes?.[className]) {
-			throw new ValidationError(`Spellcasting not initialized for class ${className}`, {
-				className,
+	/**
+	 * Bring the spendable slots in line with the combined spellcasting model:
+	 * one shared pool for every casting class and a separate Pact Magic pool,
+	 * kept on `spellcasting.multiclass`. Slots already spent stay spent when
+	 * the maxima change. Per-class `spellSlots` only record each class's own
+	 * table.
+	 * @returns {{shared: Object, pact: Object}} Pools as `{[level]: {max, current}}`
+	 */
+	syncSpellSlotPools(character) {
+		const spellcasting = character.spellcasting;
+		if (!spellcasting) return { shared: {}, pact: {} };
+
+		const model =
+			spellSlotCalculatorService.calculateCombinedSpellcasting(character);
+		const pactMaxima = model.pactMagic
+			? { [model.pactMagic.slotLevel]: model.pactMagic.count }
+			: {};
+		const stored = spellcasting.multiclass || {};
+		spellcasting.multiclass = {
+			...stored,
+			isCastingMulticlass: model.multiclass,
+			combinedSlots: syncSlotPool(stored.combinedSlots, model.slots),
+			pactSlots: syncSlotPool(stored.pactSlots, pactMaxima),
+		};
+
+		return {
+			shared: spellcasting.multiclass.combinedSlots,
+			pact: spellcasting.multiclass.pactSlots,
+		};
+	}
+
+	/**
+	 * Spend a slot from the shared pool, or from the Pact Magic pool.
+	 * @param {Object} character
+	 * @param {number|string} spellLevel
+	 * @param {Object} [options]
+	 * @param {boolean} [options.pactMagic=false]
+	 */
+	useSpellSlot(character, spellLevel, { pactMagic = false } = {}) {
+		if (!character.spellcasting) {
+			throw new ValidationError('Character has no spellcasting initialized', {
 				characterId: character.id,
 			});
 		}
 
-		const slot =
-			character.spellcasting.classes[className].spellSlots[spellLevel];
+		const pools = this.syncSpellSlotPools(character);
+		const slot = (pactMagic ? pools.pact : pools.shared)[spellLevel];
 
 		if (!slot || slot.current <= 0) {
-			throw new ValidationError(`No spell slots available for level ${spellLevel}`, {
-				className,
-				spellLevel,
-				available: slot?.current || 0,
-			});
+			throw new ValidationError(
+				`No ${pactMagic ? 'Pact Magic ' : ''}spell slots available for level ${spellLevel}`,
+				{
+					spellLevel,
+					pactMagic,
+					available: slot?.current || 0,
+				},
+			);
 		}
 
 		slot.current--;
 
-		eventBus.emit(EVENTS.SPELL_SLOTS_USED, character, className, spellLevel);
+		eventBus.emit(EVENTS.SPELL_SLOTS_USED, character, spellLevel, {
+			pactMagic,
+		});
 		return true;
 	}
 
-	/** Restore spell slots (on long rest). */
-	restoreSpellSlots(character, className = null) {
+	/**
+	 * Restore spent slots: both pools on a long rest, only Pact Magic on a
+	 * short rest.
+	 * @param {Object} character
+	 * @param {Object} [options]
+	 * @param {boolean} [options.pactOnly=false]
+	 */
+	restoreSpellSlots(character, { pactOnly = false } = {}) {
 		if (!character.spellcasting?.classes) {
 			throw new ValidationError('Character has no spellcasting initialized', {
 				characterId: character.id,
 			});
 		}
 
-		const classesToRestore = className
-			? [className]
-			: Object.keys(character.spellcasting.classes);
+		const pools = this.syncSpellSlotPools(character);
+		const restored = pactOnly ? [pools.pact] : [pools.shared, pools.pact];
+		for (const pool of restored) {
+			for (const slot of Object.values(pool)) {
+				slot.current = slot.max;
+			}
+		}
+
+		eventBus.emit(EVENTS.SPELL_SLOTS_RESTORED, character, { pactOnly });
+		return true;
+	}
+
+	/** Whether a known spell is ready to cast: cantrips, known-spell casters and prepared spells. */
+	isSpellPrepared(className, classSpellcasting, spell) {
+		return (
+			!spell.level ||
+			this._getClassSpellcastingInfo(className)?.knownType === 'known' ||
+			Boolean(classSpellcasting?.spellsPrepared?.some((s) => s.name === spell.name))
+		);
+	}
 
-		for (const cls of classesToRestore) {
-			const classSpellcasting = character.spellcasting.classes[cls];
-			if (classSpellcasting?.spellSlots) {
-				for (const level in classSpellcasting.spellSlots) {
-					classSpellcasting.spellSlots[level].current =
-						classSpellcasting.spellSlots[level].max;
+	/**
+	 * Every spell the character knows, once each, with the classes that know it.
+	 * Spell data comes from SpellService so printed cards carry the full text;
+	 * spells outside the loaded sources keep the copy saved on the character.
+	 * @returns {Array<{spell: Object, classes: string[], prepared: boolean}>}
+	 */
+	getSpellCardEntries(character) {
+		const entries = new Map();
+		const addSpell = (spell, className, prepared) => {
+			const key = `${spell.name}|${spell.source || 'PHB'}`.toLowerCase();
+			const existing = entries.get(key);
+			if (existing) {
+				if (className && !existing.classes.includes(className)) {
+					existing.classes.push(className);
 				}
+				existing.prepared ||= prepared;
+				return;
+			}
+
+			let data = spell;
+			try {
+				data = spellService.getSpell(spell.name, spell.source || 'PHB');
+			} catch {
+				// Not in the loaded sources — print the saved copy
+			}
+			entries.set(key, {
+				spell: data,
+				classes: className ? [className] : [],
+				prepared,
+			});
+		};
+
+		for (const [className, classSpellcasting] of Object.entries(
+			character.spellcasting?.classes || {},
+		)) {
+			const label = this.isSpellcastingClass(className) ? className : null;
+			for (const spell of classSpellcasting.spellsKnown || []) {
+				addSpell(spell, label, this.isSpellPrepared(className, classSpellcasting, spell));
 			}
 		}
+		for (const spell of character.spellcasting?.other?.spellsKnown || []) {
+			addSpell(spell, null, true);
+		}
 
-		eventBus.emit(EVENTS.SPELL_SLOTS_RESTORED, character, classesToRestore);
-		return true;
+		return [...entries.values()];
 	}
 
 	/** Prepared spell limit: Level + spellcasting ability modifier. */
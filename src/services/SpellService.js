@@ -48,8 +48,12 @@ class SpellService extends BaseDataService {
 					console.warn('[SpellService]', `${failedFiles.length}/${spellFiles.length} spell files failed to load:`, failedFiles);
 				}
 
-				aggregated.classLookup = classLookup;
-				return aggregated;
+				const merged = await DataLoader.withHomebrew(aggregated, ['spell']);
+				merged.classLookup = this._withHomebrewClassLookup(
+					classLookup,
+					merged.spell,
+				);
+				return merged;
 			},
 			{
 				onLoaded: (data) => {
@@ -71,6 +75,36 @@ class SpellService extends BaseDataService {
 		return true;
 	}
 
+	/**
+	 * Homebrew spells list their classes inline (`classes.fromClassList`)
+	 * rather than in the generated lookup, so fold them into a copy of it.
+	 */
+	_withHomebrewClassLookup(classLookup, spells) {
+		const homebrewSpells = (spells || []).filter(
+			(spell) =>
+				spell.homebrew &&
+				typeof spell.source === 'string' &&
+				spell.classes?.fromClassList?.length,
+		);
+		if (homebrewSpells.length === 0) return classLookup;
+
+		const lookup = { ...classLookup };
+		for (const spell of homebrewSpells) {
+			const source = spell.source.toLowerCase();
+			lookup[source] = { ...lookup[source] };
+			const entry = { class: {} };
+			for (const cls of spell.classes.fromClassList) {
+				const classSource = cls.source || 'PHB';
+				entry.class[classSource] = {
+					...entry.class[classSource],
+					[cls.name]: true,
+				};
+			}
+			lookup[source][spell.name.toLowerCase()] = entry;
+		}
+		return lookup;
+	}
+
 	resetData() {
 		super.resetData();
 		this._spellLookupMap = null;
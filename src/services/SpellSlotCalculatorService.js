@@ -1,6 +1,50 @@
+import { computeSpellSlots } from '../lib/CharacterStats.js';
+import {
+    CASTER_PROGRESSIONS,
+    PACT_MAGIC_SLOTS,
+    SPELL_SLOTS_BY_CASTER_LEVEL,
+    SUBCLASS_CASTER_PROGRESSIONS,
+} from '../lib/GameRules.js';
 import { classService } from './ClassService.js';
 
 class SpellSlotCalculatorService {
+    /**
+     * Combined spellcasting model for every class of a character: the shared
+     * caster level and slot pool, Warlock Pact Magic kept apart, and the
+     * highest spell level each class can learn. See computeSpellSlots.
+     * @param {Object} character
+     * @returns {ReturnType<typeof computeSpellSlots>}
+     */
+    calculateCombinedSpellcasting(character) {
+        return computeSpellSlots(character, {
+            getCasterProgression: (classEntry) => this._getCasterProgression(classEntry),
+        });
+    }
+
+    /** Caster progression from loaded class or subclass data, falling back to the rules tables */
+    _getCasterProgression(classEntry) {
+        const classData = classService.getClass(classEntry.name);
+        if (classData?.casterProgression) return classData.casterProgression;
+
+        if (classEntry.subclass) {
+            try {
+                const subclass = classService.getSubclass(
+                    classEntry.name,
+                    classEntry.subclass,
+                    classData?.source || 'PHB',
+                );
+                if (subclass?.casterProgression) return subclass.casterProgression;
+            } catch {
+                // Subclass not in the loaded data; use the rules tables below
+            }
+        }
+
+        return (
+            CASTER_PROGRESSIONS[classEntry.name] ||
+            SUBCLASS_CASTER_PROGRESSIONS[classEntry.subclass]
+        );
+    }
+
     calculateSpellSlots(className, level) {
         const classData = classService.getClass(className);
         if (!classData || !classData.casterProgression) {
@@ -84,35 +128,11 @@ class SpellSlotCalculatorService {
     }
 
     getStandardSpellSlots(casterLevel) {
-        // Standard D&D 5e spell slot progression table
-        const standardSlots = [
-            [],
-            [2],
-            [3],
-            [4, 2],
-            [4, 3],
-            [4, 3, 2],
-            [4, 3, 3],
-            [4, 3, 3, 1],
-            [4, 3, 3, 2],
-            [4, 3, 3, 3, 1],
-            [4, 3, 3, 3, 2],
-            [4, 3, 3, 3, 2, 1],
-            [4, 3, 3, 3, 2, 1],
-            [4, 3, 3, 3, 2, 1, 1],
-            [4, 3, 3, 3, 2, 1, 1],
-            [4, 3, 3, 3, 2, 1, 1, 1],
-            [4, 3, 3, 3, 2, 1, 1, 1],
-            [4, 3, 3, 3, 3, 1, 1, 1, 1],
-            [4, 3, 3, 3, 3, 2, 1, 1, 1],
-            [4, 3, 3, 3, 3, 2, 2, 1, 1],
-        ];
-
-        if (casterLevel < 1 || casterLevel >= standardSlots.length) {
+        if (casterLevel < 1 || casterLevel >= SPELL_SLOTS_BY_CASTER_LEVEL.length) {
             return {};
         }
 
-        const levelSlots = standardSlots[casterLevel] || [];
+        const levelSlots = SPELL_SLOTS_BY_CASTER_LEVEL[casterLevel] || [];
         const result = {};
 
         for (let spellLevel = 1; spellLevel <= 9; spellLevel++) {
@@ -128,41 +148,11 @@ class SpellSlotCalculatorService {
     }
 
     _getPactMagicSlots(level) {
-        // Warlock pact magic progression
-        const pactSlots = [
-            [],
-            [1],
-            [2],
-            [2],
-            [2],
-            [2],
-            [2],
-            [2],
-            [2],
-            [2],
-            [2],
-            [3],
-            [3],
-            [3],
-            [3],
-            [3],
-            [3],
-            [4],
-            [4],
-            [4],
-            [4],
-        ];
-
-        const pactSlotLevels = [
-            0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5,
-        ];
-
-        if (level < 1 || level > 20) {
+        if (level < 1 || level >= PACT_MAGIC_SLOTS.length) {
             return {};
         }
 
-        const slotCount = pactSlots[level] || 0;
-        const slotLevel = pactSlotLevels[level] || 1;
+        const [slotCount, slotLevel] = PACT_MAGIC_SLOTS[level];
 
         if (slotCount === 0) return {};
 
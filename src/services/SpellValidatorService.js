@@ -1,5 +1,6 @@
 import { spellSelectionService } from './SpellSelectionService.js';
 import { spellService } from './SpellService.js';
+import { spellSlotCalculatorService } from './SpellSlotCalculatorService.js';
 
 class SpellValidatorService {
     checkSpells(character, classEntry, classData, report) {
@@ -42,10 +43,13 @@ class SpellValidatorService {
             classData,
             classLevel,
         );
-        const spellNames = spellcasting.spellsKnown || [];
-        const spellMap = spellService.getSpells(spellNames);
-        const actualCantrips = spellNames.filter((s) => {
-            const spell = spellMap.get(s);
+        // Known spells are stored as spell data; older saves may hold names
+        const known = spellcasting.spellsKnown || [];
+        const spellMap = spellService.getSpells(
+            known.filter((s) => typeof s === 'string'),
+        );
+        const actualCantrips = known.filter((s) => {
+            const spell = typeof s === 'string' ? spellMap.get(s) : s;
             return spell?.level === 0;
         }).length;
 
@@ -62,6 +66,29 @@ class SpellValidatorService {
         }
     }
 
+    /**
+     * Known vs castable across classes: multiclass slots can be higher level
+     * than a class could learn on its own, so each class's spells are checked
+     * against that class's own highest spell level.
+     */
+    checkCastableSpells(character, report) {
+        const { classes } = spellSlotCalculatorService.calculateCombinedSpellcasting(character);
+
+        for (const { className, maxSpellLevel } of classes) {
+            const known = character.spellcasting?.classes?.[className]?.spellsKnown || [];
+
+            for (const entry of known) {
+                // Known spells are stored as spell data; older saves may hold names
+                const spell = typeof entry === 'string' ? spellService.getSpell(entry) : entry;
+                if (spell?.level > maxSpellLevel) {
+                    report.warnings.push(
+                        `${className} cannot learn ${spell.name} (level ${spell.level}); ${className} spells are limited to level ${maxSpellLevel}`,
+                    );
+                }
+            }
+        }
+    }
+
     _getSpellsKnownFromClassTable(classData, level) {
         const spellsKnown = spellSelectionService.getSpellsKnownLimit(
             classData.name,
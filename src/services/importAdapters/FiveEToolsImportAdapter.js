@@ -0,0 +1,149 @@
+import {
+	attAbvToFull,
+	fullAbilityToAbbr,
+	toTitleCase,
+	unpackUid,
+} from '../../lib/5eToolsParser.js';
+import { ABILITIES, SKILL_ABILITY_MAP } from '../../lib/CharacterStats.js';
+
+const SKILL_NAMES = Object.keys(SKILL_ABILITY_MAP);
+
+/** A `{name, source}` object or a 5etools "name|source" uid string */
+function readRef(ref) {
+	if (!ref) return { name: '', source: '' };
+	if (typeof ref === 'string') return unpackUid(ref);
+	return { name: ref.name || '', source: ref.source || '' };
+}
+
+/** Proficiency lists arrive as arrays or as 5etools `{ name: true }` maps */
+function readNames(value) {
+	if (!value) return [];
+	if (Array.isArray(value)) {
+		return value.flatMap((entry) =>
+			typeof entry === 'string' ? [entry] : readNames(entry),
+		);
+	}
+	if (typeof value === 'object') {
+		return Object.entries(value)
+			.filter(([, enabled]) => enabled === true)
+			.map(([name]) => name);
+	}
+	return [];
+}
+
+function toSkillName(name) {
+	return (
+		SKILL_NAMES.find((skill) => skill.toLowerCase() === name.toLowerCase()) ||
+		name
+	);
+}
+
+function readAbilities(data) {
+	const source = data.abilities || data.ability || {};
+	const scores = {};
+	for (const ability of ABILITIES) {
+		const value = source[ability] ?? source[fullAbilityToAbbr(ability)];
+		if (typeof value === 'number') scores[ability] = value;
+	}
+	return scores;
+}
+
+function readHitPoints(hp) {
+	if (typeof hp === 'number') return { current: hp, max: hp, temp: 0 };
+	return {
+		current: hp?.current ?? hp?.value,
+		max: hp?.max,
+		temp: hp?.temp || 0,
+	};
+}
+
+/**
+ * Format adapter for 5etools character-builder JSON. Entities are
+ * referenced the way 5etools data refers to them, either as
+ * `{ name, source }` objects or as "name|source" uid strings:
+ *
+ *   { name, race, subrace?, background, class: [{ name, source, level,
+ *     subclass }], abilities: { str, ... }, skillProficiencies,
+ *     languageProficiencies, toolProficiencies, weaponProficiencies,
+ *     armorProficiencies, savingThrowProficiencies, feats, spells,
+ *     items, currency, hp }
+ */
+export const fiveEToolsImportAdapter = {
+	id: '5etools',
+	name: '5etools character builder',
+
+	detect(data) {
+		if (!data || typeof data !== 'object' || data.system || data.progression) {
+			return false;
+		}
+		return (
+			!!data.race && (Array.isArray(data.class) || Array.isArray(data.classes))
+		);
+	},
+
+	parse(data) {
+		const race = readRef(data.race);
+		const subrace = data.subrace
+			? readRef(data.subrace).name
+			: data.race?.subrace || '';
+
+		const classes = (data.class || data.classes).map((entry) => {
+			const ref = readRef(entry);
+			const subclass = entry.subclass
+				? entry.subclass.shortName || readRef(entry.subclass).name
+				: '';
+			return {
+				name: ref.name,
+				source: ref.source,
+				levels: entry.level || entry.levels || 1,
+				subclass,
+			};
+		});
+
+		const spells = (data.spells || []).map((spell) => ({
+			...readRef(spell),
+			level: typeof spell?.level === 'number' ? spell.level : null,
+			className: spell?.class || spell?.className || '',
+			prepared: spell?.prepared !== false,
+		}));
+
+		const items = (data.items || data.inventory || []).map((item) => ({
+			...readRef(item),
+			quantity: item?.quantity || 1,
+			equipped: !!item?.equipped,
+			attuned: !!item?.attuned,
+		}));
+
+		const savingThrows = readNames(
+			data.savingThrowProficiencies || data.saves,
+		).map((ability) => toTitleCase(attAbvToFull(ability)));
+
+		return {
+			name: data.name,
+			embeddedPortrait: null,
+			race: { ...race, subrace },
+			background: readRef(data.background),
+			classes,
+			abilityScores: readAbilities(data),
+			proficiencies: {
+				skills: readNames(data.skillProficiencies).map(toSkillName),
+				savingThrows,
+				languages: readNames(data.languageProficiencies).map(toTitleCase),
+				armor: readNames(data.armorProficiencies),
+				weapons: readNames(data.weaponProficiencies),
+				tools: readNames(data.toolProficiencies),
+			},
+			feats: (data.feats || []).map(readRef),
+			spells,
+			items,
+			currency: { ...data.currency },
+			hitPoints: readHitPoints(data.hp),
+			experiencePoints: data.xp || 0,
+			details: {
+				alignment: data.alignment || '',
+				backstory: data.backstory || '',
+			},
+			warnings: [],
+		};
+	},
+};
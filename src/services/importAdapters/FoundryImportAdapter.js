@@ -0,0 +1,249 @@
+import { ABILITIES } from '../../lib/CharacterStats.js';
+import {
+	FOUNDRY_ARMOR_CODES,
+	FOUNDRY_DEFAULT_IMAGE,
+	FOUNDRY_LANGUAGE_CODES,
+	FOUNDRY_SKILL_CODES,
+	FOUNDRY_TOOL_CODES,
+	FOUNDRY_WEAPON_CODES,
+} from '../../lib/FoundryActor.js';
+import { fullAbilityToAbbr, toTitleCase } from '../../lib/5eToolsParser.js';
+
+const INVENTORY_TYPES = [
+	'weapon',
+	'equipment',
+	'consumable',
+	'tool',
+	'loot',
+	'container',
+	'backpack',
+];
+
+/** Modes where dnd5e treats a spell as always castable */
+const ALWAYS_PREPARED_MODES = ['always', 'pact', 'innate', 'atwill'];
+
+function invert(codes) {
+	return Object.fromEntries(
+		Object.entries(codes).map(([name, code]) => [code, name]),
+	);
+}
+
+const SKILLS_BY_CODE = invert(FOUNDRY_SKILL_CODES);
+const LANGUAGES_BY_CODE = invert(FOUNDRY_LANGUAGE_CODES);
+const ARMOR_BY_CODE = invert(FOUNDRY_ARMOR_CODES);
+const WEAPONS_BY_CODE = invert(FOUNDRY_WEAPON_CODES);
+const TOOLS_BY_CODE = invert(FOUNDRY_TOOL_CODES);
+
+function getBook(item) {
+	const book = item?.system?.source?.book ?? item?.system?.source;
+	return typeof book === 'string' ? book : '';
+}
+
+/** Trait `{ value: [codes], custom: 'a; b' }` back to proficiency names */
+function readTrait(trait, namesByCode) {
+	const names = [];
+	const values = Array.isArray(trait?.value)
+		? trait.value
+		: Object.keys(trait?.value || {});
+	for (const code of values) {
+		names.push(namesByCode[code] || toTitleCase(String(code)));
+	}
+	for (const custom of String(trait?.custom || '').split(/[;,]/)) {
+		if (custom.trim()) names.push(custom.trim());
+	}
+	return names;
+}
+
+function stripHtml(html) {
+	return String(html || '')
+		.replace(/<br\s*\/?>/gi, '\n')
+		.replace(/<\/p>\s*<p[^>]*>/gi, '\n\n')
+		.replace(/<[^>]+>/g, '')
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&#0?39;/g, "'")
+		.replace(/&amp;/g, '&')
+		.trim();
+}
+
+/** Split "Dwarf (Hill)" into race and subrace names */
+function splitRaceName(name) {
+	const match = String(name || '').match(/^(.+?)\s*\((.+)\)$/);
+	return match
+		? { name: match[1].trim(), subrace: match[2].trim() }
+		: { name: String(name || '').trim(), subrace: '' };
+}
+
+function readPortrait(actor) {
+	const img = actor.img;
+	if (typeof img !== 'string' || img === FOUNDRY_DEFAULT_IMAGE) return null;
+	const match = img.match(/^data:(image\/[\w+.-]+);base64,/);
+	if (!match) return null;
+	const extension = match[1].split('/')[1].replace('jpeg', 'jpg');
+	return {
+		data: img,
+		mimeType: match[1],
+		originalFilename: `portrait.${extension}`,
+	};
+}
+
+/**
+ * Format adapter for Foundry VTT dnd5e actor exports ("Export Data" on a
+ * character actor). Maps the actor onto the neutral import description
+ * consumed by ExternalImportService.
+ */
+export const foundryImportAdapter = {
+	id: 'foundry',
+	name: 'Foundry VTT (dnd5e)',
+
+	detect(data) {
+		return (
+			data?.type === 'character' &&
+			typeof data.system?.abilities === 'object' &&
+			Array.isArray(data.items)
+		);
+	},
+
+	parse(actor) {
+		const system = actor.system || {};
+		const items = actor.items || [];
+		const warnings = [];
+
+		const classIdentifiers = new Map();
+		const classes = items
+			.filter((item) => item.type === 'class')
+			.map((item) => {
+				const identifier =
+					item.system?.identifier || String(item.name).toLowerCase();
+				classIdentifiers.set(identifier, item.name);
+				return {
+					name: item.name,
+					source: getBook(item),
+					levels: item.system?.levels || 1,
+					subclass: '',
+				};
+			});
+
+		for (const item of items.filter((i) => i.type === 'subclass')) {
+			const className = classIdentifiers.get(item.system?.classIdentifier);
+			const entry = classes.find((c) => c.name === className);
+			if (entry) entry.subclass = item.name;
+		}
+
+		const raceItem = items.find((item) => item.type === 'race');
+		const raceName =
+			raceItem?.name ||
+			(typeof system.details?.race === 'string' ? system.details.race : '');
+		const backgroundItem = items.find((item) => item.type === 'background');
+		const backgroundName =
+			backgroundItem?.name ||
+			(typeof system.details?.background === 'string'
+				? system.details.background
+				: '');
+
+		const abilityScores = {};
+		const savingThrows = [];
+		for (const ability of ABILITIES) {
+			const entry = system.abilities?.[fullAbilityToAbbr(ability)];
+			if (typeof entry?.value === 'number') {
+				abilityScores[ability] = entry.value;
+			}
+			if (entry?.proficient >= 1) savingThrows.push(toTitleCase(ability));
+		}
+
+		const skills = [];
+		const expertise = { skills: [], tools: [] };
+		for (const [code, skill] of Object.entries(system.skills || {})) {
+			if (!(skill?.value >= 1)) continue;
+			skills.push(SKILLS_BY_CODE[code] || code);
+			if (skill.value >= 2) expertise.skills.push(SKILLS_BY_CODE[code] || code);
+		}
+
+		const tools = [];
+		for (const [code, tool] of Object.entries(system.tools || {})) {
+			if (!(tool?.value >= 1)) continue;
+			tools.push(TOOLS_BY_CODE[code] || toTitleCase(code));
+			if (tool.value >= 2) expertise.tools.push(tools.at(-1));
+		}
+
+		const spells = items
+			.filter((item) => item.type === 'spell')
+			.map((item) => {
+				const preparation = item.system?.preparation || {};
+				return {
+					name: item.name,
+					source: getBook(item),
+					level: item.system?.level ?? null,
+					className: classIdentifiers.get(item.system?.sourceClass) || '',
+					prepared:
+						!!preparation.prepared ||
+						ALWAYS_PREPARED_MODES.includes(preparation.mode),
+				};
+			});
+
+		const inventory = items
+			.filter((item) => INVENTORY_TYPES.includes(item.type))
+			.map((item) => ({
+				name: item.name,
+				source: getBook(item),
+				quantity: item.system?.quantity || 1,
+				equipped: !!item.system?.equipped,
+				attuned: !!item.system?.attuned || item.system?.attunement === 2,
+			}));
+
+		const feats = items
+			.filter(
+				(item) => item.type === 'feat' && item.system?.type?.value === 'feat',
+			)
+			.map((item) => ({ name: item.name, source: getBook(item) }));
+
+		const details = system.details || {};
+		const hp = system.attributes?.hp || {};
+
+		return {
+			name: actor.name,
+			embeddedPortrait: readPortrait(actor),
+			race: { ...splitRaceName(raceName), source: getBook(raceItem) },
+			background: { name: backgroundName, source: getBook(backgroundItem) },
+			classes,
+			abilityScores,
+			proficiencies: {
+				skills,
+				savingThrows,
+				languages: readTrait(system.traits?.languages, LANGUAGES_BY_CODE),
+				armor: readTrait(system.traits?.armorProf, ARMOR_BY_CODE),
+				weapons: readTrait(system.traits?.weaponProf, WEAPONS_BY_CODE),
+				tools,
+			},
+			expertise,
+			feats,
+			spells,
+			items: inventory,
+			currency: { ...system.currency },
+			hitPoints: {
+				current: hp.value,
+				max: hp.max,
+				temp: hp.temp,
+			},
+			experiencePoints: details.xp?.value || 0,
+			details: {
+				alignment: details.alignment || '',
+				age: details.age ? String(details.age) : '',
+				height: details.height || '',
+				weight: details.weight || '',
+				eyeColor: details.eyes || '',
+				hairColor: details.hair || '',
+				skinColor: details.skin || '',
+				gender: details.gender || '',
+				deity: details.faith || '',
+				personalityTraits: details.trait || '',
+				ideals: details.ideal || '',
+				bonds: details.bond || '',
+				flaws: details.flaw || '',
+				backstory: stripHtml(details.biography?.value),
+			},
+			warnings,
+		};
+	},
+};
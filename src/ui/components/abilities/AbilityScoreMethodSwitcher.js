@@ -30,6 +30,11 @@ class MethodSwitcherView {
 				{ id: 'standardArray', label: 'Standard Array', icon: 'fa-list-ol' },
 				{ id: 'custom', label: 'Custom', icon: 'fa-edit' },
 			];
+			// Rolled scores cannot be re-rolled here, so the tab only shows
+			// for characters created with them
+			if (currentMethod === 'rollDice') {
+				methods.push({ id: 'rollDice', label: 'Rolled', icon: 'fa-dice' });
+			}
 
 			this._tabsList.innerHTML = methods
 				.map((method) => {
@@ -10,6 +10,7 @@ import TextProcessor from '../../../lib/TextProcessor.js';
 import { textProcessor } from '../../../lib/TextProcessor.js';
 import { backgroundService } from '../../../services/BackgroundService.js';
 import { equipmentService } from '../../../services/EquipmentService.js';
+import { rulesetService } from '../../../services/RulesetService.js';
 import { sourceService } from '../../../services/SourceService.js';
 import { BackgroundDetailsView } from './BackgroundDetailsView.js';
 
@@ -38,6 +39,9 @@ export class BackgroundCard {
 		// Track equipment choice dropdowns by background key
 		this._equipmentSelects = new Map();
 
+		// Track 2024 ability bonus dropdowns by background key
+		this._abilitySelects = new Map();
+
 		// Initialize the component
 		this.initialize();
 	}
@@ -266,6 +270,44 @@ export class BackgroundCard {
 			});
 		}
 
+		// Add ability bonus dropdown for 2024 backgrounds with a choice of spreads
+		const character = CharacterManager.getCurrentCharacter();
+		const abilityOptions = rulesetService.is2024(character)
+			? rulesetService.getBackgroundAbilityOptions(background)
+			: [];
+		if (abilityOptions.length > 1) {
+			const abilityDropdown = document.createElement('div');
+			abilityDropdown.className = 'inline-dropdown-container';
+			abilityDropdown.setAttribute('data-ability-choice', 'true');
+
+			const abilitySelect = document.createElement('select');
+			abilitySelect.className = 'form-select form-select-sm';
+			abilitySelect.title = 'Ability score increases';
+
+			const placeholder = document.createElement('option');
+			placeholder.value = '';
+			placeholder.textContent = 'Ability Scores...';
+			abilitySelect.appendChild(placeholder);
+			for (const option of abilityOptions) {
+				const opt = document.createElement('option');
+				opt.value = option.id;
+				opt.textContent = option.label;
+				abilitySelect.appendChild(opt);
+			}
+
+			abilityDropdown.appendChild(abilitySelect);
+			const flexContainer = itemWrapper.querySelector('.d-flex');
+			flexContainer.appendChild(abilityDropdown);
+
+			const bgKey = `${background.name}_${background.source}`;
+			this._abilitySelects.set(bgKey, abilitySelect);
+
+			this._cleanup.on(abilitySelect, 'change', () => {
+				const option = abilityOptions.find((o) => o.id === abilitySelect.value);
+				this._updateCharacterAbilityBonuses(background, option?.bonuses || null);
+			});
+		}
+
 		// Handle background selection
 		const radio = itemWrapper.querySelector('input[type="radio"]');
 		this._cleanup.on(backgroundItem, 'click', (e) => {
@@ -280,8 +322,8 @@ export class BackgroundCard {
 				radio.checked = true;
 				this._selectedBackground = background;
 
-				// Check if variant dropdown exists (exclude equipment choice dropdown)
-				const select = itemWrapper.querySelector('.inline-dropdown-container:not([data-equipment-choice]) select');
+				// Check if variant dropdown exists (exclude equipment and ability choice dropdowns)
+				const select = itemWrapper.querySelector('.inline-dropdown-container:not([data-equipment-choice]):not([data-ability-choice]) select');
 
 				// If has dropdown with variants, show first variant info, otherwise show background info
 				if (select && select.options.length > 0) {
@@ -323,8 +365,8 @@ export class BackgroundCard {
 
 		// Add hover to show info
 		this._cleanup.on(backgroundItem, 'mouseenter', () => {
-			// Check if variant dropdown exists (exclude equipment choice dropdown)
-			const select = itemWrapper.querySelector('.inline-dropdown-container:not([data-equipment-choice]) select');
+			// Check if variant dropdown exists (exclude equipment and ability choice dropdowns)
+			const select = itemWrapper.querySelector('.inline-dropdown-container:not([data-equipment-choice]):not([data-ability-choice]) select');
 
 			if (select && select.options.length > 0) {
 				const variantName = select.value;
@@ -574,8 +616,8 @@ export class BackgroundCard {
 					character.background.variant,
 				);
 
-				// Find and set the variant dropdown if it exists (exclude equipment choice dropdown)
-				const variantSelect = backgroundItem.querySelector('.inline-dropdown-container:not([data-equipment-choice]) select');
+				// Find and set the variant dropdown if it exists (exclude equipment and ability choice dropdowns)
+				const variantSelect = backgroundItem.querySelector('.inline-dropdown-container:not([data-equipment-choice]):not([data-ability-choice]) select');
 				if (variantSelect) {
 					const variantOption = Array.from(variantSelect.options).find(
 						(opt) => opt.value === character.background.variant,
@@ -616,6 +658,16 @@ export class BackgroundCard {
 				}
 			}
 
+			// Restore saved ability bonus choice (2024 rules)
+			const abilitySelect = this._abilitySelects.get(bgKey);
+			if (abilitySelect) {
+				abilitySelect.value =
+					rulesetService.findBackgroundAbilityOption(
+						background,
+						character.background.abilityBonuses,
+					)?.id || '';
+			}
+
 			// Show info panel for this background/variant
 			this._showInfo(infoId, true);
 
@@ -658,6 +710,12 @@ export class BackgroundCard {
 			// Clear previous background proficiencies
 			character.removeProficienciesBySource('Background');
 
+			// Clear previous origin feat and ability bonuses (2024 rules)
+			if (rulesetService.is2024(character)) {
+				rulesetService.applyOriginFeats(character, null);
+				rulesetService.applyBackgroundAbilityBonuses(character, null, null);
+			}
+
 			if (!background) {
 				// Clear background items and currency before wiping background data
 				equipmentService.applyBackgroundEquipment(character, null, null);
@@ -695,6 +753,12 @@ export class BackgroundCard {
 				// Add background proficiencies
 				await this._updateBackgroundProficiencies(background);
 
+				// Add origin feat and ability bonuses (2024 rules)
+				if (rulesetService.is2024(character)) {
+					rulesetService.applyOriginFeats(character, background);
+					this._applyInitialAbilityBonuses(character, background);
+				}
+
 				// Notify coordinator to refresh dependent cards
 				this.onBuildChange?.('background');
 
@@ -706,6 +770,41 @@ export class BackgroundCard {
 		}
 	}
 
+	/** Use the spread already picked in the list, or the only one there is */
+	_applyInitialAbilityBonuses(character, background) {
+		const options = rulesetService.getBackgroundAbilityOptions(background);
+		const abilitySelect = this._abilitySelects.get(
+			`${background.name}_${background.source}`,
+		);
+		const option =
+			options.length === 1
+				? options[0]
+				: options.find((o) => o.id === abilitySelect?.value);
+		if (option) {
+			rulesetService.applyBackgroundAbilityBonuses(
+				character,
+				background,
+				option.bonuses,
+			);
+		}
+		eventBus.emit(EVENTS.ABILITY_SCORES_CHANGED, { character });
+	}
+
+	_updateCharacterAbilityBonuses(background, bonuses) {
+		const character = CharacterManager.getCurrentCharacter();
+		if (
+			character?.background?.name !== background.name ||
+			character?.background?.source !== background.source
+		) {
+			return;
+		}
+
+		rulesetService.applyBackgroundAbilityBonuses(character, background, bonuses);
+
+		eventBus.emit(EVENTS.ABILITY_SCORES_CHANGED, { character });
+		eventBus.emit(EVENTS.CHARACTER_UPDATED, { character });
+	}
+
 	async _updateBackgroundProficiencies(background) {
 		const character = CharacterManager.getCurrentCharacter();
 		if (!character || !background) return;
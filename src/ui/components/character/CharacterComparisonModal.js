@@ -0,0 +1,278 @@
+// Side-by-side comparison of two characters or two versions of one character
+
+import { AppState } from '../../../app/AppState.js';
+import { Character, serializeCharacter } from '../../../app/Character.js';
+import { CharacterManager } from '../../../app/CharacterManager.js';
+import { compareCharacters } from '../../../lib/CharacterComparison.js';
+import { DOMCleanup } from '../../../lib/DOMCleanup.js';
+import {
+	disposeBootstrapModal,
+	initializeBootstrapModal,
+} from '../../../lib/ModalCleanupUtility.js';
+import { showNotification } from '../../../lib/Notifications.js';
+import { rehydrationService } from '../../../services/RehydrationService.js';
+
+const SAVED_VERSION = '';
+const UNSAVED_VERSION = 'unsaved';
+const SIDES = ['left', 'right'];
+
+export class CharacterComparisonModal {
+	constructor() {
+		this.modalEl = null;
+		this.bootstrapModal = null;
+		this.characters = [];
+		this._cleanup = DOMCleanup.create();
+	}
+
+	/**
+	 * @param {Object} [selection] - Initial picks per side
+	 * @param {{characterId: string, snapshotId?: string}} [selection.left]
+	 * @param {{characterId: string, snapshotId?: string}} [selection.right]
+	 */
+	async show(selection = {}) {
+		try {
+			this.modalEl = document.getElementById('characterComparisonModal');
+			if (!this.modalEl) {
+				console.error(
+					'[CharacterComparisonModal]',
+					'Modal element #characterComparisonModal not found in DOM',
+				);
+				showNotification('Could not open comparison', 'error');
+				return;
+			}
+
+			this.characters = AppState.getCharacters();
+			if (!this.characters?.length) {
+				this.characters = await CharacterManager.loadCharacterList();
+			}
+			if (this.characters.length === 0) {
+				showNotification('No characters to compare', 'warning');
+				return;
+			}
+
+			this._cleanup = DOMCleanup.create();
+			this.modalEl.classList.remove('u-hidden');
+			disposeBootstrapModal(this.bootstrapModal);
+			this.bootstrapModal = initializeBootstrapModal(this.modalEl);
+			if (!this.bootstrapModal) {
+				throw new Error('Failed to initialize Bootstrap modal');
+			}
+			this._cleanup.registerBootstrapModal(this.modalEl, this.bootstrapModal);
+			this._cleanup.once(this.modalEl, 'hidden.bs.modal', () => {
+				this._cleanup.cleanup();
+				disposeBootstrapModal(this.bootstrapModal);
+				this.bootstrapModal = null;
+			});
+
+			const fallbackIds = [
+				this.characters[0].id,
+				(this.characters[1] || this.characters[0]).id,
+			];
+			for (const [index, side] of SIDES.entries()) {
+				const pick = selection[side] || {};
+				const characterSelect = this._getSelect('character', side);
+				this._fillCharacterSelect(
+					characterSelect,
+					pick.characterId || fallbackIds[index],
+				);
+				await this._fillVersionSelect(side, pick.snapshotId);
+
+				this._cleanup.on(characterSelect, 'change', async () => {
+					await this._fillVersionSelect(side);
+					await this._renderComparison();
+				});
+				this._cleanup.on(this._getSelect('version', side), 'change', () =>
+					this._renderComparison(),
+				);
+			}
+
+			const changesOnly = this.modalEl.querySelector('#comparisonChangesOnly');
+			if (changesOnly) {
+				this._cleanup.on(changesOnly, 'change', () => this._renderComparison());
+			}
+
+			await this._renderComparison();
+			this.bootstrapModal.show();
+		} catch (error) {
+			console.error(
+				'[CharacterComparisonModal]',
+				'Failed to show modal',
+				error,
+			);
+			showNotification('Failed to open comparison', 'error');
+		}
+	}
+
+	_getSelect(kind, side) {
+		return this.modalEl.querySelector(
+			`.comparison-${kind}[data-side="${side}"]`,
+		);
+	}
+
+	_fillCharacterSelect(select, selectedId) {
+		select.textContent = '';
+		for (const character of this.characters) {
+			const option = document.createElement('option');
+			option.value = character.id;
+			option.textContent = character.name || 'Unnamed Character';
+			option.selected = character.id === selectedId;
+			select.appendChild(option);
+		}
+	}
+
+	async _fillVersionSelect(side, selectedSnapshotId = SAVED_VERSION) {
+		const characterId = this._getSelect('character', side).value;
+		const select = this._getSelect('version', side);
+		select.textContent = '';
+
+		const addOption = (value, label) => {
+			const option = document.createElement('option');
+			option.value = value;
+			option.textContent = label;
+			option.selected = value === selectedSnapshotId;
+			select.appendChild(option);
+		};
+
+		const current = AppState.getCurrentCharacter();
+		if (current?.id === characterId && AppState.getState().hasUnsavedChanges) {
+			addOption(UNSAVED_VERSION, 'Current (unsaved changes)');
+		}
+		addOption(SAVED_VERSION, 'Saved version');
+
+		const result =
+			await window.characterStorage.listCharacterHistory(characterId);
+		for (const snapshot of result?.success ? result.snapshots : []) {
+			const summary = `Level ${snapshot.summary.level}`;
+			addOption(
+				snapshot.snapshotId,
+				`${new Date(snapshot.createdAt).toLocaleString()} · ${summary}`,
+			);
+		}
+	}
+
+	/** Resolve one side to a serialized character */
+	async _loadSide(side) {
+		const characterId = this._getSelect('character', side).value;
+		const version = this._getSelect('version', side).value;
+
+		if (version === UNSAVED_VERSION) {
+			return serializeCharacter(AppState.getCurrentCharacter());
+		}
+		if (version === SAVED_VERSION) {
+			const character = this.characters.find((c) => c.id === characterId);
+			return serializeCharacter(character);
+		}
+
+		const result = await window.characterStorage.readSnapshot(
+			characterId,
+			version,
+		);
+		if (!result?.success) {
+			throw new Error(result?.error || 'Could not read snapshot');
+		}
+		// Snapshots go through the same load path as saved characters
+		const character = new Character(result.character);
+		rehydrationService.rehydrate(character);
+		return serializeCharacter(character);
+	}
+
+	async _renderComparison() {
+		const container = this.modalEl.querySelector('.comparison-results');
+		if (!container) return;
+
+		let comparison;
+		try {
+			const [left, right] = await Promise.all(
+				SIDES.map((side) => this._loadSide(side)),
+			);
+			comparison = compareCharacters(left, right);
+		} catch (error) {
+			console.error('[CharacterComparisonModal]', 'Comparison failed', error);
+			container.textContent = '';
+			const message = document.createElement('p');
+			message.className = 'text-danger';
+			message.textContent = `Could not compare: ${error.message}`;
+			container.appendChild(message);
+			return;
+		}
+
+		const changesOnly = !!this.modalEl.querySelector('#comparisonChangesOnly')
+			?.checked;
+		container.textContent = '';
+
+		if (comparison.changedCount === 0) {
+			const same = document.createElement('p');
+			same.className = 'text-secondary text-center';
+			same.textContent = 'No differences found.';
+			container.appendChild(same);
+			if (changesOnly) return;
+		}
+
+		for (const section of comparison.sections) {
+			const rows = changesOnly
+				? section.rows.filter((row) => row.changed)
+				: section.rows;
+			if (rows.length === 0) continue;
+			container.appendChild(this._createSection(section, rows));
+		}
+	}
+
+	_createSection(section, rows) {
+		const wrapper = document.createElement('section');
+		wrapper.className = 'mb-3';
+
+		const heading = document.createElement('h6');
+		heading.textContent = section.title;
+		if (section.changedCount > 0) {
+			const badge = document.createElement('span');
+			badge.className =
+				'badge bg-warning text-dark ms-2 comparison-section-badge';
+			badge.textContent = `${section.changedCount} changed`;
+			heading.appendChild(badge);
+		}
+		wrapper.appendChild(heading);
+
+		const table = document.createElement('table');
+		table.className = 'table table-sm comparison-table mb-0';
+		const body = document.createElement('tbody');
+		for (const row of rows) {
+			const tr = document.createElement('tr');
+			if (row.changed) tr.classList.add('comparison-changed');
+
+			const label = document.createElement('td');
+			label.textContent = row.label;
+			tr.append(
+				label,
+				this._createCell(row.left, row.removed, 'comparison-removed'),
+				this._createCell(row.right, row.added, 'comparison-added'),
+			);
+			body.appendChild(tr);
+		}
+		table.appendChild(body);
+		wrapper.appendChild(table);
+		return wrapper;
+	}
+
+	_createCell(value, highlighted = [], highlightClass = '') {
+		const cell = document.createElement('td');
+		if (!Array.isArray(value)) {
+			cell.textContent = String(value);
+			return cell;
+		}
+		if (value.length === 0) {
+			cell.textContent = '—';
+			return cell;
+		}
+
+		const list = document.createElement('ul');
+		list.className = 'comparison-list';
+		for (const entry of value) {
+			const item = document.createElement('li');
+			item.textContent = entry;
+			if (highlighted.includes(entry)) item.className = highlightClass;
+			list.appendChild(item);
+		}
+		cell.appendChild(list);
+		return cell;
+	}
+}
@@ -7,6 +7,9 @@ import { disposeBootstrapModal, hideBootstrapModal, initializeBootstrapModal } f
 import { showNotification } from '../../../lib/Notifications.js';
 import { CharacterCreationSession } from './CharacterCreationSession.js';
 
+/** Generated characters that fail validation are rerolled this many times */
+const GENERATION_ATTEMPTS = 10;
+
 export class CharacterCreationModal {
 	constructor() {
 		this.modalEl = null;
@@ -16,6 +19,10 @@ export class CharacterCreationModal {
 
 		// Step components (lazy loaded)
 		this._stepComponents = {};
+
+		// Constraints form shown in place of a step while generating
+		this._generatePanel = null;
+		this._isGenerating = false;
 	}
 
 	async show() {
@@ -65,6 +72,11 @@ export class CharacterCreationModal {
 	async nextStep() {
 		if (!this.session) return;
 
+		if (this._generatePanel) {
+			await this._generateCharacter();
+			return;
+		}
+
 		const currentStep = this.session.currentStep;
 
 		if (!(await this._validateStep(currentStep))) {
@@ -85,6 +97,11 @@ export class CharacterCreationModal {
 	async backStep() {
 		if (!this.session) return;
 
+		if (this._generatePanel) {
+			await this._closeGeneratePanel();
+			return;
+		}
+
 		const currentStep = this.session.currentStep;
 		if (currentStep === 0) return;
 
@@ -108,17 +125,24 @@ export class CharacterCreationModal {
 	_attachNavigationListeners() {
 		const backBtn = this.modalEl.querySelector('#wizardBackBtn');
 		const nextBtn = this.modalEl.querySelector('#wizardNextBtn');
+		const generateBtn = this.modalEl.querySelector('#wizardGenerateBtn');
 
 		if (backBtn) {
 			this._cleanup.on(backBtn, 'click', () => this.backStep());
 		}
 
+		if (generateBtn) {
+			this._cleanup.on(generateBtn, 'click', () => this.showGeneratePanel());
+		}
+
 		if (nextBtn) {
 			this._cleanup.on(nextBtn, 'click', () => this.nextStep());
 		}
 
 		this._cleanup.on(document, 'keydown', (e) => {
 			if (!this.modalEl || !this.modalEl.classList.contains('show')) return;
+			// Arrow keys move the caret in the generator's text fields
+			if (this._generatePanel) return;
 
 			if (e.key === 'ArrowLeft') {
 				this.backStep();
@@ -284,14 +308,26 @@ export class CharacterCreationModal {
 	_updateNavigationButtons() {
 		const backBtn = this.modalEl.querySelector('#wizardBackBtn');
 		const nextBtn = this.modalEl.querySelector('#wizardNextBtn');
+		const generateBtn = this.modalEl.querySelector('#wizardGenerateBtn');
 		const currentStep = this.session?.currentStep || 0;
+		const generating = Boolean(this._generatePanel);
 
 		if (backBtn) {
-			backBtn.disabled = currentStep === 0;
+			backBtn.disabled =
+				this._isGenerating || (!generating && currentStep === 0);
+		}
+
+		if (generateBtn) {
+			generateBtn.classList.toggle('d-none', generating);
 		}
 
 		if (nextBtn) {
-			if (currentStep === 6) {
+			nextBtn.disabled = this._isGenerating;
+			if (generating) {
+				nextBtn.textContent = this._isGenerating ? 'Generating...' : 'Generate';
+				nextBtn.classList.remove('btn-primary');
+				nextBtn.classList.add('btn-success');
+			} else if (currentStep === 6) {
 				// Final step (review) - show Create button
 				nextBtn.textContent = 'Create';
 				nextBtn.classList.remove('btn-primary');
@@ -315,107 +351,283 @@ export class CharacterCreationModal {
 
 			const character = await CharacterManager.createCharacter(stagedData.name);
 
-			character.gender = stagedData.gender;
-			character.portrait =
-				stagedData.portrait ||
-				'assets/images/characters/placeholder_char_card.webp';
-			character.allowedSources = stagedData.allowedSources;
-			character.variantRules = {
-				...stagedData.variantRules,
-				abilityScoreMethod: stagedData.abilityScoreMethod || 'pointBuy',
-			};
+			await this._populateCharacter(character, stagedData);
+			await this._saveNewCharacter(
+				CharacterManager,
+				stagedData,
+				'New character created successfully',
+			);
+		} catch (error) {
+			console.error(
+				'[CharacterCreationModal]',
+				'Failed to create character',
+				error,
+			);
+			showNotification('Error creating new character', 'error');
+		}
+	}
 
-			if (stagedData.race) {
-				character.race = {
-					name: stagedData.race.name,
-					source: stagedData.race.source,
-					subrace: stagedData.race.subrace || '',
-				};
+	/** Swap the current step for the constraints form of the generator */
+	async showGeneratePanel() {
+		if (!this.session || this._generatePanel) return;
 
-				if (stagedData.race.abilityChoices) {
-					const abilityChoices = Array.isArray(stagedData.race.abilityChoices)
-						? [...stagedData.race.abilityChoices]
-						: Object.entries(stagedData.race.abilityChoices)
-							.sort(
-								([a], [b]) => Number.parseInt(a, 10) - Number.parseInt(b, 10),
-							)
-							.map(([, choice]) => choice)
-							.filter(Boolean);
-
-					character.race.abilityChoices = abilityChoices;
-				}
+		const contentArea = this.modalEl.querySelector('[data-step-content]');
+		if (!contentArea) return;
 
-				await this._applyRaceProficiencies(character, stagedData.race);
-			}
+		await this._saveStepData(this.session.currentStep);
 
-			if (stagedData.class) {
-				if (!character.progression) {
-					character.progression = {
-						classes: [],
-						experiencePoints: 0,
-						levelUps: [],
-					};
-				}
+		const { CharacterGeneratePanel } = await import(
+			'./CharacterGeneratePanel.js'
+		);
+		this._generatePanel = new CharacterGeneratePanel(this.session);
+		contentArea.innerHTML = this._generatePanel.render();
+		this._generatePanel.attachListeners(contentArea);
 
-				const classEntry = {
-					name: stagedData.class.name,
-					source: stagedData.class.source,
-					levels: stagedData.level || 1, // Use 'levels' (plural) to match progression system
-				};
+		this._updateNavigationButtons();
+	}
 
-				if (stagedData.class.subclass) {
-					classEntry.subclass = stagedData.class.subclass;
-				}
+	async _closeGeneratePanel() {
+		this._generatePanel?._cleanup.cleanup();
+		this._generatePanel = null;
+		await this._renderStep(this.session.currentStep);
+	}
 
-				character.progression.classes.push(classEntry);
+	/**
+	 * Generate characters until one passes CharacterValidationService, then
+	 * create and save it. Each attempt is built and checked as a draft outside
+	 * AppState; only a draft that passes becomes the current character.
+	 */
+	async _generateCharacter() {
+		if (this._isGenerating) return;
 
-				await this._applyClassProficiencies(character, stagedData.class);
-			}
+		const constraints = this._generatePanel.getConstraints();
+		if (!constraints) return;
 
-			if (stagedData.background) {
-				character.background = {
-					name: stagedData.background.name,
-					source: stagedData.background.source,
-				};
+		this._isGenerating = true;
+		this._updateNavigationButtons();
+		this._generatePanel.showStatus([]);
 
-				const { backgroundService } = await import(
-					'../../../services/BackgroundService.js'
-				);
-				const background = backgroundService.getBackground(
-					stagedData.background.name,
-					stagedData.background.source,
+		try {
+			const { CharacterManager } = await import(
+				'../../../app/CharacterManager.js'
+			);
+			const { Character } = await import('../../../app/Character.js');
+			const { CharacterSchema } = await import(
+				'../../../lib/CharacterSchema.js'
+			);
+			const { characterGeneratorService } = await import(
+				'../../../services/CharacterGeneratorService.js'
+			);
+			const { characterValidationService } = await import(
+				'../../../services/CharacterValidationService.js'
+			);
+			const { sourceService } = await import(
+				'../../../services/SourceService.js'
+			);
+			const allowedSources = sourceService.getAllowedSources();
+
+			let draft = null;
+			let stagedData = null;
+			let report = null;
+			for (
+				let attempt = 1;
+				attempt <= GENERATION_ATTEMPTS && !draft;
+				attempt++
+			) {
+				const candidate = characterGeneratorService.generate(constraints);
+				const candidateData = this._toGeneratedStagedData(
+					candidate,
+					allowedSources,
 				);
-				if (background) {
-					await this._applyBackgroundProficiencies(character, background);
-					await this._applyBackgroundEquipment(character, background);
+				const character = new Character({
+					...CharacterSchema.create(),
+					name: candidate.name,
+				});
+				await this._populateCharacter(character, candidateData);
+				characterGeneratorService.applyChoices(character, candidate);
+
+				report = characterValidationService.validateCharacter(character);
+				if (report.isValid) {
+					draft = character;
+					stagedData = candidateData;
 				}
 			}
 
-			if (stagedData.abilityScores) {
-				character.abilityScores = { ...stagedData.abilityScores };
+			if (!draft) {
+				this._generatePanel.showStatus(
+					this._describeValidationProblems(characterValidationService, report),
+				);
+				return;
 			}
 
-			const { sourceService } = await import(
-				'../../../services/SourceService.js'
+			await CharacterManager.createCharacter(stagedData.name, draft);
+			await this._saveNewCharacter(
+				CharacterManager,
+				stagedData,
+				`Generated ${stagedData.name}`,
 			);
-			sourceService.allowedSources = new Set(stagedData.allowedSources);
-			eventBus.emit(EVENTS.SOURCES_ALLOWED_CHANGED, stagedData.allowedSources);
-
-			await CharacterManager.saveCharacter();
-
-			this.bootstrapModal.hide();
-
-			showNotification('New character created successfully', 'success');
 		} catch (error) {
 			console.error(
 				'[CharacterCreationModal]',
-				'Failed to create character',
+				'Failed to generate character',
 				error,
 			);
-			showNotification('Error creating new character', 'error');
+			this._generatePanel?.showStatus([error.message]);
+			showNotification('Error generating character', 'error');
+		} finally {
+			this._isGenerating = false;
+			if (this.modalEl) this._updateNavigationButtons();
 		}
 	}
 
+	/** The specific problems of a validation report, else its summary */
+	_describeValidationProblems(characterValidationService, report) {
+		const messages = Object.values(report.missing)
+			.flat()
+			.map((item) => item.message)
+			.filter(Boolean);
+		if (messages.length) return [...new Set(messages)];
+
+		const summary = characterValidationService.getSummary(report);
+		return summary.length ? summary : ['The character did not pass validation'];
+	}
+
+	/** Staged data for a generated character; other session settings are kept */
+	_toGeneratedStagedData(generated, allowedSources) {
+		const stagedData = this.session.getStagedData();
+		return {
+			...stagedData,
+			name: generated.name,
+			level: generated.level,
+			abilityScoreMethod: generated.abilityScoreMethod,
+			variantRules: { ...stagedData.variantRules, ...generated.variantRules },
+			allowedSources,
+			race: generated.race,
+			class: generated.class,
+			background: generated.background,
+			abilityScores: generated.abilityScores,
+			abilityRoll: null,
+			rollLog: [],
+		};
+	}
+
+	/** Apply staged creation data to a freshly created character */
+	async _populateCharacter(character, stagedData) {
+		character.gender = stagedData.gender;
+		character.portrait =
+			stagedData.portrait ||
+			'assets/images/characters/placeholder_char_card.webp';
+		character.allowedSources = stagedData.allowedSources;
+		character.variantRules = {
+			...stagedData.variantRules,
+			abilityScoreMethod: stagedData.abilityScoreMethod || 'pointBuy',
+		};
+		character.rollLog = [...(stagedData.rollLog || [])];
+
+		if (stagedData.race) {
+			character.race = {
+				name: stagedData.race.name,
+				source: stagedData.race.source,
+				subrace: stagedData.race.subrace || '',
+			};
+
+			if (stagedData.race.abilityChoices) {
+				const abilityChoices = Array.isArray(stagedData.race.abilityChoices)
+					? [...stagedData.race.abilityChoices]
+					: Object.entries(stagedData.race.abilityChoices)
+						.sort(
+							([a], [b]) => Number.parseInt(a, 10) - Number.parseInt(b, 10),
+						)
+						.map(([, choice]) => choice)
+						.filter(Boolean);
+
+				character.race.abilityChoices = abilityChoices;
+			}
+
+			await this._applyRaceProficiencies(character, stagedData.race);
+		}
+
+		if (stagedData.class) {
+			if (!character.progression) {
+				character.progression = {
+					classes: [],
+					experiencePoints: 0,
+					levelUps: [],
+				};
+			}
+
+			const classEntry = {
+				name: stagedData.class.name,
+				source: stagedData.class.source,
+				levels: stagedData.level || 1, // Use 'levels' (plural) to match progression system
+			};
+
+			if (stagedData.class.subclass) {
+				classEntry.subclass = stagedData.class.subclass;
+			}
+
+			character.progression.classes.push(classEntry);
+
+			const { diceRollService } = await import(
+				'../../../services/DiceRollService.js'
+			);
+			for (let level = 2; level <= classEntry.levels; level++) {
+				diceRollService.rollHitPoints(character, classEntry.name, level);
+			}
+
+			await this._applyClassProficiencies(character, stagedData.class);
+		}
+
+		if (stagedData.background) {
+			character.background = {
+				name: stagedData.background.name,
+				source: stagedData.background.source,
+			};
+
+			const { backgroundService } = await import(
+				'../../../services/BackgroundService.js'
+			);
+			const background = backgroundService.getBackground(
+				stagedData.background.name,
+				stagedData.background.source,
+			);
+			if (background) {
+				await this._applyBackgroundProficiencies(character, background);
+				await this._applyBackgroundEquipment(character, background);
+
+				const { rulesetService } = await import(
+					'../../../services/RulesetService.js'
+				);
+				if (rulesetService.is2024(character)) {
+					rulesetService.applyOriginFeats(character, background);
+					rulesetService.applyBackgroundAbilityBonuses(
+						character,
+						background,
+						stagedData.background.abilityBonuses || null,
+					);
+				}
+			}
+		}
+
+		if (stagedData.abilityScores) {
+			character.abilityScores = { ...stagedData.abilityScores };
+		}
+	}
+
+	async _saveNewCharacter(CharacterManager, stagedData, message) {
+		const { sourceService } = await import(
+			'../../../services/SourceService.js'
+		);
+		sourceService.allowedSources = new Set(stagedData.allowedSources);
+		eventBus.emit(EVENTS.SOURCES_ALLOWED_CHANGED, stagedData.allowedSources);
+
+		await CharacterManager.saveCharacter();
+
+		this.bootstrapModal.hide();
+
+		showNotification(message, 'success');
+	}
+
 	_onModalHidden() {
 		console.debug('[CharacterCreationModal]', 'Modal hidden, cleaning up');
 
@@ -426,6 +638,10 @@ export class CharacterCreationModal {
 		}
 		this._stepComponents = {};
 
+		this._generatePanel?._cleanup.cleanup();
+		this._generatePanel = null;
+		this._isGenerating = false;
+
 		this._cleanup.cleanup();
 
 		if (this.session) {
@@ -1,5 +1,7 @@
 // Session manager for character creation wizard - stages all data until confirmation
 
+import { DEFAULT_RULESET, HIT_POINT_METHODS } from '../../../lib/GameRules.js';
+
 export class CharacterCreationSession {
 	constructor() {
 		this.currentStep = 0; // 0-6, tracks wizard progress (Basics -> Rules -> Race -> Class -> Background -> Ability Scores -> Review)
@@ -16,7 +18,8 @@ export class CharacterCreationSession {
 			abilityScoreMethod: 'pointBuy',
 			variantRules: {
 				variantfeat: false,
-				averageHitPoints: false,
+				hitPointMethod: HIT_POINT_METHODS.AVERAGE,
+				ruleset: DEFAULT_RULESET,
 			},
 			allowedSources: new Set(),
 
@@ -49,6 +52,11 @@ export class CharacterCreationSession {
 				wisdom: 8,
 				charisma: 8,
 			},
+			// Latest ability score roll and which total went to which ability
+			abilityRoll: null,
+
+			// Every roll made during creation, copied to the character
+			rollLog: [],
 		};
 	}
 
@@ -104,7 +112,8 @@ export class CharacterCreationSession {
 			abilityScoreMethod: 'pointBuy',
 			variantRules: {
 				variantfeat: false,
-				averageHitPoints: false,
+				hitPointMethod: HIT_POINT_METHODS.AVERAGE,
+				ruleset: DEFAULT_RULESET,
 			},
 			allowedSources: new Set(),
 			race: {
@@ -129,6 +138,8 @@ export class CharacterCreationSession {
 				wisdom: 8,
 				charisma: 8,
 			},
+			abilityRoll: null,
+			rollLog: [],
 		};
 	}
 
@@ -0,0 +1,165 @@
+// Generate panel - constraints for building a random character instead of walking the steps
+
+import { escapeHtml } from '../../../lib/5eToolsParser.js';
+import { DOMCleanup } from '../../../lib/DOMCleanup.js';
+import { DEFAULT_RULESET, RULESETS } from '../../../lib/GameRules.js';
+import { classService } from '../../../services/ClassService.js';
+import { sourceService } from '../../../services/SourceService.js';
+
+const MAX_LEVEL = 20;
+
+export class CharacterGeneratePanel {
+	constructor(session) {
+		this.session = session;
+		this._cleanup = DOMCleanup.create();
+		this._contentArea = null;
+	}
+
+	render() {
+		const name = this.session.get('name') || '';
+		const level = this.session.get('level') || 1;
+		const ruleset = this.session.get('variantRules.ruleset') || DEFAULT_RULESET;
+
+		const classNames = [
+			...new Set(
+				classService
+					.getAllClasses()
+					.filter(
+						(cls) =>
+							!cls.isSidekick && sourceService.isSourceAllowed(cls.source),
+					)
+					.map((cls) => cls.name),
+			),
+		].sort((a, b) => a.localeCompare(b));
+
+		return `
+            <div class="character-generator">
+                <div class="card">
+                    <div class="card-header">
+                        <i class="fas fa-dice"></i> Generate a Character
+                    </div>
+                    <div class="card-body">
+                        <p class="text-muted small">
+                            Builds a complete character from the allowed sources: class, race, background,
+                            ability scores, proficiencies, class options and spells. It is only created
+                            once it passes validation.
+                        </p>
+                        <div class="row g-3">
+                            <div class="col-md-6">
+                                <label class="form-label" for="generatorName">Name</label>
+                                <input type="text"
+                                       class="form-control"
+                                       id="generatorName"
+                                       value="${escapeHtml(name)}"
+                                       placeholder="Leave empty to name it after its race and class">
+                            </div>
+                            <div class="col-md-6">
+                                <label class="form-label" for="generatorClass">Class</label>
+                                <select class="form-select" id="generatorClass">
+                                    <option value="">Any class</option>
+                                    ${classNames.map((className) => `<option value="${escapeHtml(className)}">${escapeHtml(className)}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="col-md-6">
+                                <label class="form-label d-block" for="generatorRulesetLegacy">Character Rules</label>
+                                <div class="btn-group w-100" role="group" aria-label="Select character rules">
+                                    <input type="radio"
+                                           class="btn-check"
+                                           name="generatorRuleset"
+                                           id="generatorRulesetLegacy"
+                                           value="${RULESETS.LEGACY}"
+                                           ${ruleset === RULESETS.LEGACY ? 'checked' : ''}>
+                                    <label class="btn btn-outline-secondary btn-sm" for="generatorRulesetLegacy">2014</label>
+
+                                    <input type="radio"
+                                           class="btn-check"
+                                           name="generatorRuleset"
+                                           id="generatorRulesetModern"
+                                           value="${RULESETS.MODERN}"
+                                           ${ruleset === RULESETS.MODERN ? 'checked' : ''}>
+                                    <label class="btn btn-outline-secondary btn-sm" for="generatorRulesetModern">2024</label>
+                                </div>
+                            </div>
+                            <div class="col-md-6">
+                                <label class="form-label" for="generatorLevel">Level</label>
+                                <input type="number"
+                                       class="form-control"
+                                       id="generatorLevel"
+                                       min="1"
+                                       max="${MAX_LEVEL}"
+                                       value="${level}">
+                            </div>
+                            <div class="col-12">
+                                <div class="form-check form-switch">
+                                    <input class="form-check-input" type="checkbox" id="generatorPreferCasters">
+                                    <label class="form-check-label" for="generatorPreferCasters">
+                                        Prefer spellcasters
+                                    </label>
+                                </div>
+                            </div>
+                        </div>
+                        <div id="generatorStatus" class="mt-3"></div>
+                    </div>
+                </div>
+            </div>
+        `;
+	}
+
+	attachListeners(contentArea) {
+		this._contentArea = contentArea;
+		const classSelect = contentArea.querySelector('#generatorClass');
+		const preferCasters = contentArea.querySelector('#generatorPreferCasters');
+		if (!classSelect || !preferCasters) return;
+
+		// A chosen class makes the spellcaster preference moot
+		this._cleanup.on(classSelect, 'change', () => {
+			preferCasters.disabled = Boolean(classSelect.value);
+		});
+	}
+
+	/** @returns {Object|null} Generator constraints, or null when the level is invalid */
+	getConstraints() {
+		const area = this._contentArea;
+		if (!area) return null;
+
+		const levelInput = area.querySelector('#generatorLevel');
+		const level = Number.parseInt(levelInput?.value, 10);
+		if (!Number.isInteger(level) || level < 1 || level > MAX_LEVEL) {
+			levelInput?.focus();
+			this.showStatus([`Level must be between 1 and ${MAX_LEVEL}`]);
+			return null;
+		}
+
+		const constraints = {
+			level,
+			ruleset:
+				area.querySelector('input[name="generatorRuleset"]:checked')?.value ||
+				DEFAULT_RULESET,
+		};
+		const name = area.querySelector('#generatorName')?.value.trim();
+		if (name) constraints.name = name;
+		const className = area.querySelector('#generatorClass')?.value;
+		if (className) {
+			constraints.className = className;
+		} else if (area.querySelector('#generatorPreferCasters')?.checked) {
+			constraints.preferSpellcasters = true;
+		}
+		return constraints;
+	}
+
+	/** Show why generation failed, or clear the message when `messages` is empty */
+	showStatus(messages, heading = 'Could not generate a valid character') {
+		const status = this._contentArea?.querySelector('#generatorStatus');
+		if (!status) return;
+		if (!messages.length) {
+			status.innerHTML = '';
+			return;
+		}
+		status.innerHTML = `
+            <div class="alert alert-warning mb-0">
+                <strong>${escapeHtml(heading)}</strong>
+                <ul class="mb-0">${messages.map((message) => `<li>${escapeHtml(message)}</li>`).join('')}</ul>
+            </div>
+        `;
+	}
+}
@@ -0,0 +1,249 @@
+// Lists a character's saved snapshots with restore and fork actions
+
+import { AppState } from '../../../app/AppState.js';
+import { CharacterManager } from '../../../app/CharacterManager.js';
+import { modal } from '../../../app/Modal.js';
+import { DOMCleanup } from '../../../lib/DOMCleanup.js';
+import {
+	disposeBootstrapModal,
+	hideBootstrapModal,
+	initializeBootstrapModal,
+} from '../../../lib/ModalCleanupUtility.js';
+import { showNotification } from '../../../lib/Notifications.js';
+import { CharacterComparisonModal } from './CharacterComparisonModal.js';
+
+const REASON_LABELS = {
+	save: 'Saved',
+	'level-up': 'Before level-up',
+	restore: 'Before restore',
+};
+
+export class CharacterHistoryModal {
+	/**
+	 * @param {Object} [options]
+	 * @param {Function} [options.onChange] - Called after a restore or fork
+	 *   so the caller can refresh its character list
+	 */
+	constructor(options = {}) {
+		this.modalEl = null;
+		this.bootstrapModal = null;
+		this.characterId = null;
+		this.characterName = '';
+		this.onChange = options.onChange || null;
+		this._cleanup = DOMCleanup.create();
+	}
+
+	async show(characterId, characterName = '') {
+		try {
+			this.modalEl = document.getElementById('characterHistoryModal');
+			if (!this.modalEl) {
+				console.error(
+					'[CharacterHistoryModal]',
+					'Modal element #characterHistoryModal not found in DOM',
+				);
+				showNotification('Could not open character history', 'error');
+				return;
+			}
+
+			this.characterId = characterId;
+			this.characterName = characterName;
+			this._cleanup = DOMCleanup.create();
+			this.modalEl.classList.remove('u-hidden');
+
+			disposeBootstrapModal(this.bootstrapModal);
+			this.bootstrapModal = initializeBootstrapModal(this.modalEl);
+			if (!this.bootstrapModal) {
+				throw new Error('Failed to initialize Bootstrap modal');
+			}
+			this._cleanup.registerBootstrapModal(this.modalEl, this.bootstrapModal);
+			this._cleanup.once(this.modalEl, 'hidden.bs.modal', () => {
+				this._cleanup.cleanup();
+				disposeBootstrapModal(this.bootstrapModal);
+				this.bootstrapModal = null;
+			});
+
+			const title = this.modalEl.querySelector('.character-history-name');
+			if (title) title.textContent = characterName;
+
+			await this._renderSnapshots();
+			this.bootstrapModal.show();
+		} catch (error) {
+			console.error('[CharacterHistoryModal]', 'Failed to show modal', error);
+			showNotification('Failed to open character history', 'error');
+		}
+	}
+
+	async _renderSnapshots() {
+		const body = this.modalEl.querySelector('.modal-body');
+		if (!body) return;
+		body.textContent = '';
+
+		const result = await window.characterStorage.listCharacterHistory(
+			this.characterId,
+		);
+		if (!result?.success) {
+			throw new Error(result?.error || 'Could not read history');
+		}
+
+		if (result.snapshots.length === 0) {
+			const empty = document.createElement('p');
+			empty.className = 'text-secondary text-center mb-0';
+			empty.textContent =
+				'No snapshots yet. One is kept every time this character is saved.';
+			body.appendChild(empty);
+			return;
+		}
+
+		const list = document.createElement('ul');
+		list.className = 'list-group list-group-flush';
+		for (const snapshot of result.snapshots) {
+			list.appendChild(this._createSnapshotItem(snapshot));
+		}
+		body.appendChild(list);
+	}
+
+	_createSnapshotItem(snapshot) {
+		const { summary } = snapshot;
+		const item = document.createElement('li');
+		item.className = 'list-group-item';
+
+		const header = document.createElement('div');
+		header.className =
+			'd-flex justify-content-between align-items-center gap-2';
+
+		const heading = document.createElement('div');
+		const time = document.createElement('strong');
+		time.textContent = new Date(snapshot.createdAt).toLocaleString();
+		const reason = document.createElement('span');
+		reason.className = 'badge bg-secondary ms-2';
+		reason.textContent = REASON_LABELS[snapshot.reason] || snapshot.reason;
+		heading.append(time, reason);
+
+		const actions = document.createElement('div');
+		actions.className = 'd-flex gap-1';
+		const restoreBtn = this._createActionButton(
+			'fa-undo',
+			'Restore',
+			'Replace the character with this snapshot',
+		);
+		const forkBtn = this._createActionButton(
+			'fa-code-branch',
+			'Fork',
+			'Create a new character from this snapshot',
+		);
+		const compareBtn = this._createActionButton(
+			'fa-columns',
+			'Compare',
+			'Compare this snapshot with the saved character',
+		);
+		this._cleanup.on(restoreBtn, 'click', () => this._restore(snapshot));
+		this._cleanup.on(forkBtn, 'click', () => this._fork(snapshot));
+		this._cleanup.on(compareBtn, 'click', () => this._compare(snapshot));
+		actions.append(compareBtn, restoreBtn, forkBtn);
+
+		header.append(heading, actions);
+		item.appendChild(header);
+
+		const classes = summary.classes
+			.map((cls) => `${cls.name} ${cls.levels}`)
+			.join(' / ');
+		const details = document.createElement('div');
+		details.className = 'small text-secondary';
+		details.textContent = [
+			summary.name,
+			`Level ${summary.level}`,
+			classes || 'No class',
+			`HP ${summary.maxHp}`,
+		].join(' · ');
+		item.appendChild(details);
+
+		if (snapshot.changes.length > 0) {
+			const changes = document.createElement('ul');
+			changes.className = 'small mb-0 mt-1';
+			for (const change of snapshot.changes) {
+				const li = document.createElement('li');
+				li.textContent = change;
+				changes.appendChild(li);
+			}
+			item.appendChild(changes);
+		}
+
+		return item;
+	}
+
+	_createActionButton(icon, label, title) {
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = 'btn btn-sm btn-outline-secondary';
+		button.title = title;
+		const iconEl = document.createElement('i');
+		iconEl.className = `fas ${icon} me-1`;
+		button.append(iconEl, document.createTextNode(label));
+		return button;
+	}
+
+	async _compare(snapshot) {
+		// Bootstrap modals do not stack, so hand over to the comparison view
+		await hideBootstrapModal(this.bootstrapModal, this.modalEl);
+		await new CharacterComparisonModal().show({
+			left: { characterId: this.characterId, snapshotId: snapshot.snapshotId },
+			right: { characterId: this.characterId },
+		});
+	}
+
+	async _restore(snapshot) {
+		const confirmed = await modal.showConfirmationModal({
+			title: 'Restore Snapshot',
+			message: `Replace ${this.characterName || 'this character'} with the version from ${new Date(snapshot.createdAt).toLocaleString()}? The current version is kept in history.`,
+			confirmButtonText: 'Restore',
+			confirmButtonClass: 'btn-warning',
+		});
+		if (!confirmed) return;
+
+		try {
+			const result = await window.characterStorage.restoreSnapshot(
+				this.characterId,
+				snapshot.snapshotId,
+			);
+			if (!result?.success) {
+				throw new Error(result?.error || 'Restore failed');
+			}
+
+			if (AppState.getCurrentCharacter()?.id === this.characterId) {
+				await CharacterManager.loadCharacter(this.characterId);
+			}
+			showNotification('Snapshot restored', 'success');
+			await this._renderSnapshots();
+			await this.onChange?.();
+		} catch (error) {
+			console.error(
+				'[CharacterHistoryModal]',
+				'Failed to restore snapshot',
+				error,
+			);
+			showNotification(`Failed to restore snapshot: ${error.message}`, 'error');
+		}
+	}
+
+	async _fork(snapshot) {
+		try {
+			const result = await window.characterStorage.forkSnapshot(
+				this.characterId,
+				snapshot.snapshotId,
+			);
+			if (!result?.success) {
+				throw new Error(result?.error || 'Fork failed');
+			}
+
+			showNotification(`Created ${result.character.name}`, 'success');
+			await this.onChange?.();
+		} catch (error) {
+			console.error(
+				'[CharacterHistoryModal]',
+				'Failed to fork snapshot',
+				error,
+			);
+			showNotification(`Failed to fork snapshot: ${error.message}`, 'error');
+		}
+	}
+}
@@ -7,6 +7,7 @@ import {
 	getAbilityModNumber,
 } from '../../../lib/5eToolsParser.js';
 import { DOMCleanup } from '../../../lib/DOMCleanup.js';
+import { DEFAULT_ABILITY_ROLL_METHOD } from '../../../lib/GameRules.js';
 import {
 	calculatePointBuyTotal,
 	getPointBuyCost,
@@ -14,7 +15,9 @@ import {
 	POINT_BUY_BUDGET,
 	STANDARD_ARRAY,
 } from '../../../services/AbilityScoreService.js';
+import { diceRollService } from '../../../services/DiceRollService.js';
 import { raceService } from '../../../services/RaceService.js';
+import { rulesetService } from '../../../services/RulesetService.js';
 
 const ABILITIES = ABILITY_NAMES.map(n => n.toLowerCase());
 
@@ -38,7 +41,10 @@ export class CharacterStepAbilityScores {
 		const raceSource = stagedData.race?.source;
 		const subraceName = stagedData.race?.subrace;
 
-		if (raceName && raceSource) {
+		if (rulesetService.is2024(stagedData)) {
+			// Ability bonuses come from the background under the 2024 rules
+			this._abilityChoiceData = { fixed: [], choices: [] };
+		} else if (raceName && raceSource) {
 			const race = raceService.getRace(raceName, raceSource);
 			const subrace = subraceName
 				? raceService.getSubrace(raceName, subraceName, raceSource)
@@ -58,6 +64,9 @@ export class CharacterStepAbilityScores {
 						${method === 'pointBuy' ? `<div class="points-remaining-display-header">
 							<strong>Points Remaining:</strong> ${POINT_BUY_BUDGET - this._calculatePointsUsed()}
 						</div>` : ''}
+						${method === 'rollDice' ? `<button type="button" class="btn btn-sm btn-primary" id="rollAbilityScoresBtn">
+							<i class="fas fa-dice"></i> <span class="roll-label">${stagedData.abilityRoll ? 'Reroll' : 'Roll'}</span>
+						</button>` : ''}
 					</div>
                     <div class="card-body">
                         <div class="ability-score-container">
@@ -65,6 +74,7 @@ export class CharacterStepAbilityScores {
                                 ${this._renderAbilityScoreBoxes()}
                             </div>
                         </div>
+                        ${method === 'rollDice' ? `<div class="ability-roll-results text-center mt-2">${this._renderRollResults()}</div>` : ''}
                         ${this._abilityChoiceData.choices.length > 0 ? this._renderAbilityChoices() : ''}
                     </div>
                 </div>
@@ -177,6 +187,35 @@ export class CharacterStepAbilityScores {
 		`;
 	}
 
+	_renderRollResults() {
+		const roll = this.session.get('abilityRoll');
+		if (!roll) {
+			return '<small class="text-muted">Roll to generate your ability scores.</small>';
+		}
+
+		const { entry } = roll;
+		const results = entry.rolls
+			.map((result, index) => {
+				// Strike through one die per dropped value
+				const dropped = [...result.dropped];
+				const dice = result.dice
+					.map((value) => {
+						const droppedIndex = dropped.indexOf(value);
+						if (droppedIndex === -1) return `${value}`;
+						dropped.splice(droppedIndex, 1);
+						return `<s>${value}</s>`;
+					})
+					.join(', ');
+				const label = entry.inOrder
+					? `${getAbilityAbbrDisplay(ABILITIES[index]).toUpperCase()} `
+					: '';
+				return `<span class="me-3">${label}<strong>${result.total}</strong> <small class="text-muted">(${dice})</small></span>`;
+			})
+			.join('');
+		const rolledAt = new Date(entry.at).toLocaleString();
+		return `<div>${results}</div><small class="text-muted">Rolled ${rolledAt}</small>`;
+	}
+
 	_calculatePointsUsed() {
 		const stagedData = this.session.getStagedData();
 		return calculatePointBuyTotal(stagedData.abilityScores);
@@ -184,6 +223,10 @@ export class CharacterStepAbilityScores {
 
 	_getRacialBonus(ability) {
 		const stagedData = this.session.getStagedData();
+		if (rulesetService.is2024(stagedData)) {
+			return stagedData.background?.abilityBonuses?.[ability] || 0;
+		}
+
 		const raceName = stagedData.race?.name;
 		const raceSource = stagedData.race?.source;
 		const subraceName = stagedData.race?.subrace;
@@ -249,6 +292,11 @@ export class CharacterStepAbilityScores {
 		// Attach listeners for ability choice dropdowns (for variant races)
 		this._attachChoiceDropdownListeners();
 
+		const rollBtn = document.getElementById('rollAbilityScoresBtn');
+		if (rollBtn) {
+			this._cleanup.on(rollBtn, 'click', () => this._rollAbilityScores());
+		}
+
 		// Add method-specific controls
 		await this._addMethodControls(method);
 	}
@@ -376,6 +424,8 @@ export class CharacterStepAbilityScores {
 				this._addStandardArrayControls(controlsContainer, ability);
 			} else if (method === 'custom') {
 				this._addCustomControls(controlsContainer, ability);
+			} else if (method === 'rollDice') {
+				this._addRollControls(controlsContainer, ability);
 			}
 		}
 
@@ -456,6 +506,92 @@ export class CharacterStepAbilityScores {
 		container.appendChild(input);
 	}
 
+	_addRollControls(container, ability) {
+		const roll = this.session.get('abilityRoll');
+		// Scores rolled in order stay where they landed
+		if (!roll || roll.entry.inOrder) return;
+
+		const select = document.createElement('select');
+		select.className = 'form-select form-select-sm';
+		select.dataset.ability = ability;
+
+		for (const [index, total] of roll.entry.totals.entries()) {
+			const option = document.createElement('option');
+			option.value = index;
+			option.textContent = total;
+			option.selected = roll.assignment[ability] === index;
+			select.appendChild(option);
+		}
+
+		this._cleanup.on(select, 'change', (e) =>
+			this._handleRollAssignment(ability, e.target.value),
+		);
+
+		container.appendChild(select);
+	}
+
+	_rollAbilityScores() {
+		const methodId =
+			this.session.get('variantRules.abilityRollMethod') ||
+			DEFAULT_ABILITY_ROLL_METHOD;
+		const entry = diceRollService.rollAbilityScores(methodId);
+		diceRollService.logRoll(this.session.stagedData, entry);
+
+		const assignment = Object.fromEntries(
+			CharacterStepAbilityScores.ABILITIES.map((ability, index) => [
+				ability,
+				index,
+			]),
+		);
+		this.session.set('abilityRoll', { entry, assignment });
+		this._applyRolledScores();
+
+		const rollLabel = document.querySelector('#rollAbilityScoresBtn .roll-label');
+		if (rollLabel) rollLabel.textContent = 'Reroll';
+		const results = document.querySelector('.ability-roll-results');
+		if (results) results.innerHTML = this._renderRollResults();
+
+		for (const ability of CharacterStepAbilityScores.ABILITIES) {
+			const controlsContainer = document.getElementById(`controls-${ability}`);
+			if (!controlsContainer) continue;
+			controlsContainer.textContent = '';
+			this._addRollControls(controlsContainer, ability);
+		}
+		this._refreshDisplay();
+	}
+
+	_handleRollAssignment(ability, newValue) {
+		const index = Number.parseInt(newValue, 10);
+		const roll = this.session.get('abilityRoll');
+		if (!roll || Number.isNaN(index)) return;
+
+		// Swap with whichever ability held that total
+		const otherAbility = Object.keys(roll.assignment).find(
+			(other) => other !== ability && roll.assignment[other] === index,
+		);
+		if (otherAbility) {
+			roll.assignment[otherAbility] = roll.assignment[ability];
+		}
+		roll.assignment[ability] = index;
+		this._applyRolledScores();
+
+		for (const select of document.querySelectorAll(
+			'.ability-controls select[data-ability]',
+		)) {
+			select.value = roll.assignment[select.dataset.ability];
+		}
+		this._refreshDisplay();
+	}
+
+	_applyRolledScores() {
+		const roll = this.session.get('abilityRoll');
+		if (!roll) return;
+
+		for (const [ability, index] of Object.entries(roll.assignment)) {
+			this.session.set(`abilityScores.${ability}`, roll.entry.totals[index]);
+		}
+	}
+
 	_handlePointBuyIncrease(ability) {
 		const stagedData = this.session.getStagedData();
 		const currentScore = stagedData.abilityScores?.[ability] || 8;
@@ -664,6 +800,14 @@ export class CharacterStepAbilityScores {
 			}
 		}
 
+		if (method === 'rollDice' && !this.session.get('abilityRoll')) {
+			console.warn('[Step5AbilityScores]', 'Ability scores not rolled yet');
+			for (const ability of CharacterStepAbilityScores.ABILITIES) {
+				this._flashBorder(ability);
+			}
+			return false;
+		}
+
 		return true;
 	}
 
@@ -1,7 +1,9 @@
 // Step 4: Background - background selection with proficiencies, languages, and features
 
+import { toTitleCase } from '../../../lib/5eToolsParser.js';
 import { DOMCleanup } from '../../../lib/DOMCleanup.js';
 import { backgroundService } from '../../../services/BackgroundService.js';
+import { rulesetService } from '../../../services/RulesetService.js';
 import { sourceService } from '../../../services/SourceService.js';
 import { BackgroundDetailsView } from '../background/BackgroundDetailsView.js';
 
@@ -12,6 +14,13 @@ export class CharacterStepBackground {
 		this._cleanup = DOMCleanup.create();
 		this._backgroundService = backgroundService;
 		this._detailsView = new BackgroundDetailsView();
+		this._abilityOptions = [];
+	}
+
+	_is2024() {
+		return rulesetService.is2024({
+			variantRules: this.session.get('variantRules'),
+		});
 	}
 
 	async render() {
@@ -103,6 +112,17 @@ export class CharacterStepBackground {
 			return false;
 		}
 
+		// 2024 backgrounds provide the ability bonuses
+		if (this._is2024() && this._abilityOptions.length > 0) {
+			const abilitySelect = document.getElementById(
+				'modalBackgroundAbilitySelect',
+			);
+			if (!this.session.get('background.abilityBonuses')) {
+				abilitySelect?.focus();
+				return false;
+			}
+		}
+
 		return true;
 	}
 
@@ -154,6 +174,7 @@ export class CharacterStepBackground {
 		const select = document.getElementById('modalBackgroundSelect');
 		if (!select || !select.value) {
 			this._clearBackgroundDetails();
+			this._abilityOptions = [];
 			this.session.set('background', { name: '', source: '' });
 			return;
 		}
@@ -167,15 +188,41 @@ export class CharacterStepBackground {
 			return;
 		}
 
+		const previous = this.session.get('background');
+		const sameBackground =
+			previous?.name === background.name &&
+			previous?.source === background.source;
+		this._abilityOptions = this._is2024()
+			? rulesetService.getBackgroundAbilityOptions(background)
+			: [];
+
 		this.session.set('background', {
 			name: background.name,
 			source: background.source,
+			abilityBonuses: sameBackground
+				? previous.abilityBonuses || null
+				: this._getDefaultAbilityBonuses(),
 		});
 
 		// Update details display
 		await this._updateBackgroundDetails(background);
 	}
 
+	/** A background with a single ability spread needs no choice */
+	_getDefaultAbilityBonuses() {
+		return this._abilityOptions.length === 1
+			? { ...this._abilityOptions[0].bonuses }
+			: null;
+	}
+
+	_handleAbilityChoiceChange(select) {
+		const option = this._abilityOptions.find((o) => o.id === select.value);
+		this.session.set(
+			'background.abilityBonuses',
+			option ? { ...option.bonuses } : null,
+		);
+	}
+
 	async _updateBackgroundDetails(background) {
 		const detailsContainer = document.getElementById('modalBackgroundDetails');
 		if (!detailsContainer) return;
@@ -187,10 +234,68 @@ export class CharacterStepBackground {
                 ${this._renderLanguages(background)}
                 ${this._renderEquipment(background)}
             </div>
+            ${this._renderOrigin(background)}
             ${this._renderFeature(background)}
         `;
 
 		detailsContainer.innerHTML = html;
+
+		const abilitySelect = detailsContainer.querySelector(
+			'#modalBackgroundAbilitySelect',
+		);
+		if (abilitySelect) {
+			this._cleanup.on(abilitySelect, 'change', () =>
+				this._handleAbilityChoiceChange(abilitySelect),
+			);
+		}
+	}
+
+	/** Ability bonuses and origin feat, 2024 rules only */
+	_renderOrigin(background) {
+		if (!this._is2024()) return '';
+
+		const selectedId = rulesetService.findBackgroundAbilityOption(
+			background,
+			this.session.get('background.abilityBonuses'),
+		)?.id;
+
+		const abilityHtml =
+			this._abilityOptions.length > 0
+				? `
+                <select class="form-select form-select-sm" id="modalBackgroundAbilitySelect">
+                    <option value="">Choose ability bonuses...</option>
+                    ${this._abilityOptions
+						.map(
+							(option) =>
+								`<option value="${option.id}" ${option.id === selectedId ? 'selected' : ''}>${option.label}</option>`,
+						)
+						.join('')}
+                </select>`
+				: '<span class="text-muted">None</span>';
+
+		const feats = rulesetService.getOriginFeats(background);
+		const featsHtml =
+			feats.length > 0
+				? feats
+						.map(
+							(feat) =>
+								`<li>${feat.name}${feat.detail ? ` (${toTitleCase(feat.detail)})` : ''}</li>`,
+						)
+						.join('')
+				: '<li>None</li>';
+
+		return `
+            <div class="background-details-grid mt-3">
+                <div class="detail-section">
+                    <h6>Ability Scores</h6>
+                    ${abilityHtml}
+                </div>
+                <div class="detail-section">
+                    <h6>Origin Feat</h6>
+                    <ul class="mb-0">${featsHtml}</ul>
+                </div>
+            </div>
+        `;
 	}
 
 	_clearBackgroundDetails() {
@@ -11,6 +11,7 @@ import { DOMCleanup } from '../../../lib/DOMCleanup.js';
 import { abilityScoreService } from '../../../services/AbilityScoreService.js';
 import { classService } from '../../../services/ClassService.js';
 import { raceService } from '../../../services/RaceService.js';
+import { rulesetService } from '../../../services/RulesetService.js';
 
 export class CharacterStepReview {
 	constructor(session, modal) {
@@ -171,6 +172,10 @@ export class CharacterStepReview {
 	}
 
 	_getRacialBonus(ability, data) {
+		if (rulesetService.is2024(data)) {
+			return data.background?.abilityBonuses?.[ability] || 0;
+		}
+
 		const raceName = data.race?.name;
 		const raceSource = data.race?.source;
 		const subraceName = data.race?.subrace;
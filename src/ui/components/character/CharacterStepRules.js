@@ -1,6 +1,13 @@
 // Step 1: Rules - ability score method, variant rules, and source selection
 
 import { DOMCleanup } from '../../../lib/DOMCleanup.js';
+import {
+	ABILITY_ROLL_METHODS,
+	DEFAULT_ABILITY_ROLL_METHOD,
+	DEFAULT_RULESET,
+	HIT_POINT_METHODS,
+	RULESETS,
+} from '../../../lib/GameRules.js';
 import { sourceService } from '../../../services/SourceService.js';
 import { SourceCard } from '../sources/SourceCard.js';
 
@@ -17,7 +24,12 @@ export class CharacterStepRules {
 			this.session.get('abilityScoreMethod') || 'pointBuy';
 		const variantfeat = this.session.get('variantRules.variantfeat') ?? false;
 		const averageHitPoints =
-			this.session.get('variantRules.averageHitPoints') ?? false;
+			this.session.get('variantRules.hitPointMethod') !==
+			HIT_POINT_METHODS.ROLL;
+		const abilityRollMethod =
+			this.session.get('variantRules.abilityRollMethod') ||
+			DEFAULT_ABILITY_ROLL_METHOD;
+		const ruleset = this.session.get('variantRules.ruleset') || DEFAULT_RULESET;
 
 		return `
             <div class="step-1-rules">
@@ -51,7 +63,28 @@ export class CharacterStepRules {
                                            id="rollDice" 
                                            value="rollDice"
                                            ${abilityScoreMethod === 'rollDice' ? 'checked' : ''}>
-                                    <label class="btn btn-outline-secondary" for="rollDice">Custom</label>
+                                    <label class="btn btn-outline-secondary" for="rollDice">Roll Dice</label>
+                                    
+                                    <input type="radio" 
+                                           class="btn-check" 
+                                           name="abilityScoreMethod" 
+                                           id="customScores" 
+                                           value="custom"
+                                           ${abilityScoreMethod === 'custom' ? 'checked' : ''}>
+                                    <label class="btn btn-outline-secondary" for="customScores">Custom</label>
+                                </div>
+                                <div class="mt-3 ${abilityScoreMethod === 'rollDice' ? '' : 'u-hidden'}" id="abilityRollMethodGroup">
+                                    <label class="form-label" for="abilityRollMethod">Dice</label>
+                                    <select class="form-select form-select-sm" id="abilityRollMethod">
+                                        ${Object.entries(ABILITY_ROLL_METHODS)
+				.map(
+					([id, method]) => `
+                                        <option value="${id}" ${id === abilityRollMethod ? 'selected' : ''}>${method.label}</option>
+                                    `,
+				)
+				.join('')}
+                                    </select>
+                                    <small class="text-muted d-block mt-1">Every roll is saved with the character.</small>
                                 </div>
                             </div>
                         </div>
@@ -63,6 +96,25 @@ export class CharacterStepRules {
                                 <i class="fas fa-cogs"></i> Variant Rules
                             </div>
                             <div class="card-body">
+                                <label class="form-label d-block" for="rulesetLegacy">Character Rules</label>
+                                <div class="btn-group w-100 mb-1" role="group" aria-label="Select character rules">
+                                    <input type="radio" 
+                                           class="btn-check" 
+                                           name="ruleset" 
+                                           id="rulesetLegacy" 
+                                           value="${RULESETS.LEGACY}"
+                                           ${ruleset === RULESETS.LEGACY ? 'checked' : ''}>
+                                    <label class="btn btn-outline-secondary btn-sm" for="rulesetLegacy">2014</label>
+                                    
+                                    <input type="radio" 
+                                           class="btn-check" 
+                                           name="ruleset" 
+                                           id="rulesetModern" 
+                                           value="${RULESETS.MODERN}"
+                                           ${ruleset === RULESETS.MODERN ? 'checked' : ''}>
+                                    <label class="btn btn-outline-secondary btn-sm" for="rulesetModern">2024</label>
+                                </div>
+                                <small class="text-muted d-block mb-3">2024 rules take ability bonuses and an origin feat from the background, and add Weapon Mastery and Epic Boons.</small>
                                 <div class="form-check form-switch mb-2">
                                     <input class="form-check-input" 
                                            type="checkbox" 
@@ -119,6 +171,18 @@ export class CharacterStepRules {
 	}
 
 	async attachListeners(contentArea) {
+		const rollMethodGroup = contentArea.querySelector('#abilityRollMethodGroup');
+		for (const radio of contentArea.querySelectorAll(
+			'input[name="abilityScoreMethod"]',
+		)) {
+			this._cleanup.on(radio, 'change', () => {
+				rollMethodGroup?.classList.toggle(
+					'u-hidden',
+					radio.value !== 'rollDice',
+				);
+			});
+		}
+
 		const container = contentArea.querySelector('#sourceBookSelection');
 		if (container) {
 			this._sourceCard.container = container;
@@ -247,19 +311,39 @@ export class CharacterStepRules {
 		);
 		const featVariant = document.getElementById('featVariant');
 		const averageHitPoints = document.getElementById('averageHitPoints');
+		const abilityRollMethod = document.getElementById('abilityRollMethod');
+		const ruleset = document.querySelector('input[name="ruleset"]:checked');
 
 		if (abilityScoreMethod) {
 			this.session.set('abilityScoreMethod', abilityScoreMethod.value);
 		}
 
+		if (abilityRollMethod) {
+			const previous = this.session.get('variantRules.abilityRollMethod');
+			this.session.set(
+				'variantRules.abilityRollMethod',
+				abilityRollMethod.value,
+			);
+			// Rolls made with other dice no longer apply
+			if (previous && previous !== abilityRollMethod.value) {
+				this.session.set('abilityRoll', null);
+			}
+		}
+
+		if (ruleset) {
+			this.session.set('variantRules.ruleset', ruleset.value);
+		}
+
 		if (featVariant) {
 			this.session.set('variantRules.variantfeat', featVariant.checked);
 		}
 
 		if (averageHitPoints) {
 			this.session.set(
-				'variantRules.averageHitPoints',
-				averageHitPoints.checked,
+				'variantRules.hitPointMethod',
+				averageHitPoints.checked
+					? HIT_POINT_METHODS.AVERAGE
+					: HIT_POINT_METHODS.ROLL,
 			);
 		}
 
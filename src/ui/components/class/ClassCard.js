@@ -10,6 +10,7 @@ import { classService } from '../../../services/ClassService.js';
 import { levelUpService } from '../../../services/LevelUpService.js';
 import { optionalFeatureService } from '../../../services/OptionalFeatureService.js';
 import { progressionHistoryService } from '../../../services/ProgressionHistoryService.js';
+import { rulesetService } from '../../../services/RulesetService.js';
 import { sourceService } from '../../../services/SourceService.js';
 import { spellSelectionService } from '../../../services/SpellSelectionService.js';
 import { ClassASIController } from './ClassASIController.js';
@@ -656,8 +657,13 @@ export class ClassCard {
 		};
 
 		const featureTypeCodes = featureTypeMap[featureType] || [];
-		const availableFeatures = optionalFeatureService
-			.getFeaturesByType(featureTypeCodes)
+		const candidates =
+			featureType === 'weapon-mastery'
+				? rulesetService
+						.getMasteryWeapons()
+						.map((weapon) => this._queryService.toWeaponMasteryOption(weapon))
+				: optionalFeatureService.getFeaturesByType(featureTypeCodes);
+		const availableFeatures = candidates
 			.filter((opt) => sourceService.isSourceAllowed(opt.source))
 			.filter((opt) => {
 				// Exclude features already selected at OTHER levels
@@ -807,12 +813,37 @@ export class ClassCard {
 			choices,
 		);
 
+		if (featureType === 'weapon-mastery') {
+			this._syncWeaponMasteries(character, className);
+		}
+
 		// Emit event to notify about character update
 		eventBus.emit(EVENTS.CHARACTER_UPDATED, {
 			character: CharacterManager.getCurrentCharacter(),
 		});
 	}
 
+	/** Keep classEntry.weaponMasteries in step with the per-level choices */
+	_syncWeaponMasteries(character, className) {
+		const classLevel =
+			character.progression?.classes?.find((c) => c.name === className)
+				?.levels || 0;
+		const weapons = [];
+		for (let lvl = 1; lvl <= classLevel; lvl++) {
+			const selected =
+				progressionHistoryService.getChoices(character, className, lvl)?.[
+					'weapon-mastery'
+				]?.selected || [];
+			weapons.push(...selected);
+		}
+
+		try {
+			rulesetService.setWeaponMasteries(character, className, weapons);
+		} catch (error) {
+			console.warn('[ClassCard]', 'Weapon mastery selection rejected:', error);
+		}
+	}
+
 	_updateSubclassSelection(className, selectedNames) {
 		const character = CharacterManager.getCurrentCharacter();
 		if (!character || selectedNames.length === 0) return;
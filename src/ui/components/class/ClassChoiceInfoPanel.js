@@ -449,6 +449,7 @@ export class ClassChoiceInfoPanel {
 			maneuver: 'Battle Maneuvers',
 			'fighting-style': 'Fighting Style',
 			patron: 'Otherworldly Patron',
+			'weapon-mastery': 'Weapon Mastery',
 			other: 'Class Feature',
 		};
 		return names[type] || 'Class Feature';
@@ -462,6 +463,7 @@ export function getFeatureIcon(type) {
 		maneuver: '<i class="fas fa-fist-raised"></i>',
 		'fighting-style': '<i class="fas fa-shield-alt"></i>',
 		patron: '<i class="fas fa-handshake"></i>',
+		'weapon-mastery': '<i class="fas fa-khanda"></i>',
 		spell: '<i class="fas fa-hat-wizard"></i>',
 		subclass: '<i class="fas fa-star"></i>',
 		asi: '<i class="fas fa-arrow-up"></i>',
@@ -3,6 +3,7 @@
 import { CharacterManager } from '../../../app/CharacterManager.js';
 import { levelUpService } from '../../../services/LevelUpService.js';
 import { optionalFeatureService } from '../../../services/OptionalFeatureService.js';
+import { rulesetService } from '../../../services/RulesetService.js';
 import { sourceService } from '../../../services/SourceService.js';
 import { spellSelectionService } from '../../../services/SpellSelectionService.js';
 
@@ -257,6 +258,32 @@ export class ClassChoiceQueryService {
 			}
 		}
 
+		if (rulesetService.is2024(character)) {
+			const progressionClass = character.progression?.classes?.find(
+				(c) => c.name === className,
+			);
+			const newMasteries =
+				rulesetService.getWeaponMasteryCount(progressionClass, level) -
+				rulesetService.getWeaponMasteryCount(progressionClass, level - 1);
+
+			if (newMasteries > 0) {
+				const options = rulesetService
+					.getMasteryWeapons()
+					.filter((weapon) => sourceService.isSourceAllowed(weapon.source))
+					.map((weapon) => this.toWeaponMasteryOption(weapon));
+
+				choices.push({
+					id: `${className.toLowerCase()}_weapon_mastery_${level}`,
+					name: 'Weapon Mastery',
+					type: 'weapon-mastery',
+					options,
+					required: true,
+					count: newMasteries,
+					level,
+				});
+			}
+		}
+
 		if (character && classData?.spellcastingAbility) {
 			const progressionClass = character.progression?.classes?.find(
 				(c) => c.name === className,
@@ -311,6 +338,20 @@ export class ClassChoiceQueryService {
 		return choices;
 	}
 
+	/** Selector option for a weapon, described by its Mastery property */
+	toWeaponMasteryOption(weapon) {
+		const mastery = weapon.mastery
+			.map((entry) => String(entry?.uid || entry).split('|')[0])
+			.join(', ');
+		return {
+			id: `${weapon.name}_${weapon.source}`,
+			name: weapon.name,
+			source: weapon.source,
+			description: `Mastery: ${mastery}`,
+			entries: [`Mastery: ${mastery}`],
+		};
+	}
+
 	getFeatureDescription(feature) {
 		if (!feature.entries) return '';
 		const firstEntry = feature.entries.find((e) => typeof e === 'string');
@@ -251,6 +251,9 @@ export class ClassFeatSelectorModal {
 		if (item.source) {
 			badgesHtml += `<span class="badge bg-secondary me-2">${item.source}</span>`;
 		}
+		if (item.homebrew) {
+			badgesHtml += '<span class="badge bg-info me-2">Homebrew</span>';
+		}
 
 		const description = item.entries?.[0] || 'No description available';
 
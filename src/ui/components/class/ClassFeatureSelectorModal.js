@@ -8,6 +8,7 @@ import {
 	BaseSelectorModal,
 	formatCounter,
 } from '../selection/BaseSelectorModal.js';
+import { renderPrerequisiteSummary } from '../selection/PrerequisiteSummary.js';
 
 export class ClassFeatureSelectorModal {
 	constructor(
@@ -103,27 +104,8 @@ export class ClassFeatureSelectorModal {
 				this.maxSelections = multiSelect ? filtered.length : 1;
 			}
 
-			const character = this.session.stagedChanges;
-			const prerequisiteChecker = (feature) => {
-				if (!feature.prerequisite) return { met: true, reasons: [] };
-				const featuresArray = [];
-				if (character.progression?.classes) {
-					for (const cls of character.progression.classes) {
-						if (cls.features && Array.isArray(cls.features)) {
-							featuresArray.push(...cls.features);
-						}
-					}
-				}
-				const originalFeatures = character.features;
-				character.features = featuresArray;
-				const result = optionalFeatureService.meetsPrerequisites(
-					feature,
-					character,
-					this.className,
-				);
-				character.features = originalFeatures;
-				return result;
-			};
+			const prerequisiteChecker = (feature) =>
+				this._checkPrerequisites(feature);
 
 			this._selector = new BaseSelectorModal({
 				modalId: `featureSelectorModal_${Date.now()}`,
@@ -211,11 +193,28 @@ export class ClassFeatureSelectorModal {
 		if (feature.source) {
 			badgesHtml += `<span class="badge bg-secondary me-2">${feature.source}</span>`;
 		}
+		if (feature.homebrew) {
+			badgesHtml += '<span class="badge bg-info me-2">Homebrew</span>';
+		}
 
 		const desc = this._descriptionCache.has(feature.id || feature.name)
 			? this._descriptionCache.get(feature.id || feature.name)
 			: '<span class="text-muted small">Loading...</span>';
 
+		const prerequisites = isSelected
+			? { met: true }
+			: this._checkPrerequisites(feature);
+		const prerequisitesHtml = prerequisites.met
+			? ''
+			: renderPrerequisiteSummary(
+					prerequisites,
+					optionalFeatureService.planUnlock(
+						feature,
+						this.session.stagedChanges,
+						this.className,
+					),
+				);
+
 		return `
             <div class="spell-card selector-card ${selectedClass}" data-item-id="${feature.id || feature.name}">
                 <div class="spell-card-header">
@@ -225,12 +224,22 @@ export class ClassFeatureSelectorModal {
                     <div>${badgesHtml}</div>
                 </div>
                 <div class="spell-card-body">
+                    ${prerequisitesHtml}
                     <div class="feature-description selector-description">${desc}</div>
                 </div>
             </div>
         `;
 	}
 
+	_checkPrerequisites(feature) {
+		if (!feature.prerequisite) return { met: true, reasons: [], unmet: [] };
+		return optionalFeatureService.meetsPrerequisites(
+			feature,
+			this.session.stagedChanges,
+			this.className,
+		);
+	}
+
 	async _fetchFeatureDescription(feature) {
 		return renderEntriesToText(feature);
 	}
@@ -247,6 +256,7 @@ export class ClassFeatureSelectorModal {
 			FS: 'Fighting Style',
 			PB: 'Pact Boon',
 			AI: 'Artificer Infusion',
+			'weapon-mastery': 'Weapon Mastery',
 		};
 		return typeNames[this.featureType] || 'Feature';
 	}
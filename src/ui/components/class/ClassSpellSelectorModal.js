@@ -628,6 +628,9 @@ export class ClassSpellSelectorModal {
 		const concentrationBadge = spell.duration?.[0]?.concentration
 			? '<span class="badge bg-warning ms-2">Concentration</span>'
 			: '';
+		const homebrewBadge = spell.homebrew
+			? '<span class="badge bg-info ms-2">Homebrew</span>'
+			: '';
 
 		const castingTime = spell.time
 			? `${spell.time[0]?.number || ''} ${spell.time[0]?.unit || ''}`.trim()
@@ -660,7 +663,7 @@ export class ClassSpellSelectorModal {
                         <strong>${spell.name}</strong>
                         <span class="text-muted">(${levelText} ${schoolName})</span>
                     </div>
-                    <div>${ritualBadge}${concentrationBadge}</div>
+                    <div>${ritualBadge}${concentrationBadge}${homebrewBadge}</div>
                 </div>
                 <div class="spell-card-body">
                     <div class="spell-stats">
@@ -0,0 +1,199 @@
+// Companions card on the Details page: familiars, beast companions and Wild Shape forms
+
+import { AppState } from '../../../app/AppState.js';
+import { escapeHtml } from '../../../lib/5eToolsParser.js';
+import { DOMCleanup } from '../../../lib/DOMCleanup.js';
+import { eventBus, EVENTS } from '../../../lib/EventBus.js';
+import { COMPANION_KIND_LABELS } from '../../../lib/GameRules.js';
+import { showNotification } from '../../../lib/Notifications.js';
+import { companionService } from '../../../services/CompanionService.js';
+import { renderMonster } from '../../rendering/StatBlockRenderer.js';
+import { CompanionSelectorModal } from './CompanionSelectorModal.js';
+
+const HP_FIELDS = ['current', 'max', 'temp'];
+
+export class CompanionManager {
+	constructor() {
+		this.loggerScope = 'CompanionManager';
+		this._cleanup = DOMCleanup.create();
+		this.setupEventListeners();
+	}
+
+	setupEventListeners() {
+		this._cleanup.on(document, 'click', (e) => {
+			if (e.target.closest('#addCompanionBtn')) {
+				this.handleAddCompanion();
+				return;
+			}
+
+			const removeBtn = e.target.closest('[data-remove-companion]');
+			if (removeBtn) {
+				this.handleRemoveCompanion(removeBtn.dataset.removeCompanion);
+			}
+		});
+
+		this._cleanup.on(document, 'change', (e) => {
+			const hpInput = e.target.closest('[data-companion-hp]');
+			if (hpInput) {
+				this.handleHitPointsChange(hpInput);
+			}
+		});
+
+		// Name and notes save while typing without re-rendering the card
+		this._cleanup.on(document, 'input', (e) => {
+			const field = e.target.closest('[data-companion-field]');
+			if (field) {
+				this._updateCompanion(field.dataset.companionId, {
+					[field.dataset.companionField]: field.value,
+				});
+			}
+		});
+	}
+
+	cleanup() {
+		this._cleanup.cleanup();
+	}
+
+	render() {
+		const character = AppState.getCurrentCharacter();
+		if (!character) return;
+
+		this.renderKindSelect(character);
+		this.renderCompanions(character);
+	}
+
+	renderKindSelect(character) {
+		const select = document.getElementById('companionKind');
+		const addBtn = document.getElementById('addCompanionBtn');
+		if (!select || !addBtn) return;
+
+		const kinds = companionService.getAvailableKinds(character);
+		select.innerHTML = kinds
+			.map(
+				(kind) =>
+					`<option value="${kind}">${COMPANION_KIND_LABELS[kind]}</option>`,
+			)
+			.join('');
+		select.disabled = kinds.length === 0;
+		addBtn.disabled = kinds.length === 0;
+
+		const hint = document.getElementById('companionHint');
+		if (hint) hint.classList.toggle('u-hidden', kinds.length > 0);
+	}
+
+	renderCompanions(character) {
+		const container = document.getElementById('companionsList');
+		if (!container) return;
+
+		const companions = companionService.getCompanions(character);
+		if (companions.length === 0) {
+			container.innerHTML =
+				'<p class="empty-placeholder">No companions yet.</p>';
+			return;
+		}
+
+		container.innerHTML = companions
+			.map((companion) => this._renderCompanion(companion))
+			.join('');
+	}
+
+	_renderCompanion(companion) {
+		const id = escapeHtml(companion.id);
+		const hpInputs = HP_FIELDS.map(
+			(field) => `
+                <label class="companion-hp-field">
+                    <span class="form-label">${field === 'temp' ? 'Temp' : field === 'max' ? 'Max' : 'Current'}</span>
+                    <input type="number" min="0" class="form-control form-control-sm"
+                        data-companion-hp="${field}" data-companion-id="${id}"
+                        value="${companion.hitPoints?.[field] ?? 0}">
+                </label>`,
+		).join('');
+
+		return `
+            <div class="companion-card" data-companion="${id}">
+                <div class="companion-card-header">
+                    <input type="text" class="form-control form-control-sm companion-name"
+                        data-companion-field="name" data-companion-id="${id}"
+                        value="${escapeHtml(companion.name)}" aria-label="Companion name">
+                    <span class="badge bg-secondary">${COMPANION_KIND_LABELS[companion.kind] || companion.kind}</span>
+                    <button type="button" class="btn btn-sm btn-outline-danger"
+                        data-remove-companion="${id}" title="Remove companion">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+                <div class="companion-card-body">
+                    <div class="companion-stat-block">${renderMonster(companion.statBlock)}</div>
+                    <div class="companion-tracking">
+                        <div class="companion-hp">${hpInputs}</div>
+                        <textarea class="form-control" data-companion-field="notes"
+                            data-companion-id="${id}" placeholder="Notes..."
+                            aria-label="Companion notes">${escapeHtml(companion.notes || '')}</textarea>
+                    </div>
+                </div>
+            </div>
+        `;
+	}
+
+	async handleAddCompanion() {
+		const character = AppState.getCurrentCharacter();
+		const kind = document.getElementById('companionKind')?.value;
+		if (!character || !kind) return;
+
+		try {
+			const monster = await new CompanionSelectorModal(character, kind).show();
+			if (!monster) return;
+
+			companionService.addCompanion(character, kind, monster);
+			eventBus.emit(EVENTS.CHARACTER_UPDATED, character);
+			this.renderCompanions(character);
+		} catch (error) {
+			console.error(`[${this.loggerScope}]`, 'Failed to add companion', error);
+			showNotification(error.message, 'error');
+		}
+	}
+
+	handleRemoveCompanion(companionId) {
+		const character = AppState.getCurrentCharacter();
+		if (!character) return;
+
+		try {
+			companionService.removeCompanion(character, companionId);
+			eventBus.emit(EVENTS.CHARACTER_UPDATED, character);
+			this.renderCompanions(character);
+		} catch (error) {
+			showNotification(error.message, 'error');
+		}
+	}
+
+	handleHitPointsChange(input) {
+		const companion = this._updateCompanion(input.dataset.companionId, {
+			hitPoints: { [input.dataset.companionHp]: input.value },
+		});
+		if (!companion) return;
+
+		// Show the clamped values
+		const card = input.closest('.companion-card');
+		for (const field of HP_FIELDS) {
+			const fieldInput = card?.querySelector(`[data-companion-hp="${field}"]`);
+			if (fieldInput) fieldInput.value = companion.hitPoints[field];
+		}
+	}
+
+	_updateCompanion(companionId, changes) {
+		const character = AppState.getCurrentCharacter();
+		if (!character) return null;
+
+		try {
+			const companion = companionService.updateCompanion(
+				character,
+				companionId,
+				changes,
+			);
+			eventBus.emit(EVENTS.CHARACTER_UPDATED, character);
+			return companion;
+		} catch (error) {
+			showNotification(error.message, 'error');
+			return null;
+		}
+	}
+}
@@ -0,0 +1,105 @@
+// Picks a bestiary creature for a familiar, beast companion or Wild Shape form.
+
+import {
+	escapeHtml,
+	getSpeedString,
+	sizeAbvToFull,
+} from '../../../lib/5eToolsParser.js';
+import {
+	COMPANION_KIND_LABELS,
+	COMPANION_KINDS,
+} from '../../../lib/GameRules.js';
+import { showNotification } from '../../../lib/Notifications.js';
+import { companionService } from '../../../services/CompanionService.js';
+import { BaseSelectorModal } from '../selection/BaseSelectorModal.js';
+
+export class CompanionSelectorModal {
+	constructor(character, kind) {
+		this.character = character;
+		this.kind = kind;
+		this._selector = null;
+	}
+
+	/** @returns {Promise<Object|null>} The chosen monster, or null if cancelled */
+	async show() {
+		const candidates = await companionService.getCandidates(
+			this.character,
+			this.kind,
+		);
+		if (candidates.length === 0) {
+			showNotification(
+				`No creatures from the allowed sources qualify as a ${COMPANION_KIND_LABELS[this.kind]}`,
+				'warning',
+			);
+			return null;
+		}
+
+		this._selector = new BaseSelectorModal({
+			modalId: 'companionSelectorModal',
+			modalTitle: `Select ${COMPANION_KIND_LABELS[this.kind]}`,
+			loadItems: () => candidates,
+			selectionMode: 'single',
+			selectionLimit: 1,
+			prerequisiteNote: this._getRulesNote(),
+			getItemId: (monster) => this._monsterId(monster),
+			matchItem: (monster, state) => {
+				if (!state.searchTerm) return true;
+				return (
+					monster.name.toLowerCase().includes(state.searchTerm) ||
+					monster.source?.toLowerCase().includes(state.searchTerm)
+				);
+			},
+			renderItem: (monster, state) => this._renderMonsterItem(monster, state),
+		});
+
+		const selected = await this._selector.show();
+		return selected?.[0] || null;
+	}
+
+	_monsterId(monster) {
+		return `${monster.name}|${monster.source}`;
+	}
+
+	_getRulesNote() {
+		const limits = companionService.getWildShapeLimits(this.character);
+		if (this.kind !== COMPANION_KINDS.WILD_SHAPE || !limits) return null;
+
+		const movement = [
+			limits.fly ? null : 'no flying speed',
+			limits.swim ? null : 'no swimming speed',
+		].filter(Boolean);
+		return `Beasts up to CR ${limits.maxCr}${movement.length ? `, ${movement.join(' and ')}` : ''}.`;
+	}
+
+	_renderMonsterItem(monster, state) {
+		const id = this._monsterId(monster);
+		const selectedClass = state.selectedIds.has(id) ? 'selected' : '';
+		const type =
+			typeof monster.type === 'string' ? monster.type : monster.type?.type;
+		const meta = [
+			[monster.size || []].flat().map(sizeAbvToFull).join('/'),
+			type || '',
+			monster.speed ? getSpeedString(monster) : '',
+		]
+			.filter(Boolean)
+			.join(' · ');
+		const cr = typeof monster.cr === 'object' ? monster.cr?.cr : monster.cr;
+
+		return `
+            <div class="spell-card selector-card ${selectedClass}" data-item-id="${escapeHtml(id)}">
+                <div class="spell-card-header">
+                    <div>
+                        <strong>${escapeHtml(monster.name)}</strong>
+                    </div>
+                    <div>
+                        ${cr !== undefined ? `<span class="badge bg-info me-2">CR ${escapeHtml(String(cr))}</span>` : ''}
+                        <span class="badge bg-secondary me-2">${escapeHtml(monster.source || '')}</span>
+                    </div>
+                </div>
+                <div class="spell-card-body">
+                    <div class="text-muted small">${escapeHtml(meta)}</div>
+                </div>
+            </div>
+        `;
+	}
+}
@@ -1,6 +1,8 @@
 // Component for managing the Equipment page
 
 import { AppState } from '../../../app/AppState.js';
+import { formatModifierNumber } from '../../../lib/5eToolsParser.js';
+import { formatBreakdown } from '../../../lib/CharacterStats.js';
 import { DOMCleanup } from '../../../lib/DOMCleanup.js';
 import { eventBus, EVENTS } from '../../../lib/EventBus.js';
 import { showNotification } from '../../../lib/Notifications.js';
@@ -107,6 +109,8 @@ export class EquipmentManager {
 
 		this.renderInventory(character);
 		this.renderWeight(character);
+		this.renderArmorClass(character);
+		this.renderAttacks(character);
 		this.renderCurrency(character);
 		this.renderSources(character);
 	}
@@ -198,7 +202,7 @@ export class EquipmentManager {
                 <div class="${cardClasses.join(' ')}">
                     <div class="card-body d-flex justify-content-between align-items-center">
                         <div>
-                            <h6 class="mb-1">${isAttuned ? '<span class="badge bg-info me-2">Attuned</span>' : ''}${isEquipped ? '<span class="badge bg-success me-2">Equipped</span>' : ''}<a href="#" class="reference-link" data-hover-type="item" data-hover-name="${item.name}" data-hover-source="${item.source}">${item.name}</a></h6>
+                            <h6 class="mb-1">${isAttuned ? '<span class="badge bg-info me-2">Attuned</span>' : ''}${isEquipped ? '<span class="badge bg-success me-2">Equipped</span>' : ''}<a href="#" class="reference-link" data-hover-type="item" data-hover-name="${item.name}" data-hover-source="${item.source}">${item.name}</a>${item.rarity && item.rarity !== 'none' ? `<span class="badge bg-secondary ms-2">${item.rarity}</span>` : ''}</h6>
                             <small class="text-muted">
                                 <label class="qty-label">QTY: <input type="number" min="1" class="qty-input" data-qty-item="${item.id}" value="${item.quantity}"></label>
                                 <span class="ms-2 fw-bold"> </span> <span class="ms-2">  WEIGHT: ${item.weight || 0} lb</span>
@@ -240,6 +244,56 @@ export class EquipmentManager {
 		if (limitSpan) limitSpan.textContent = equipmentService.MAX_ATTUNEMENT_SLOTS;
 	}
 
+	renderArmorClass(character) {
+		const badge = document.getElementById('armorClassBadge');
+		const valueSpan = document.getElementById('armorClassValue');
+		if (!badge || !valueSpan) return;
+
+		const armorClass = equipmentService.getArmorClassBreakdown(character);
+		valueSpan.textContent = armorClass.value;
+		badge.title = `${armorClass.base}: ${formatBreakdown(armorClass.breakdown)}`;
+	}
+
+	renderAttacks(character) {
+		const container = document.getElementById('attacksList');
+		if (!container) return;
+
+		const attacks = equipmentService.getAttacks(character);
+		if (attacks.length === 0) {
+			container.innerHTML =
+				'<p class="empty-placeholder">Equip a weapon to see its attacks.</p>';
+			return;
+		}
+
+		const rows = attacks
+			.map((attack) => {
+				const details = [...attack.properties, ...attack.notes].join(', ');
+				return `
+                <tr>
+                    <td>${attack.name}${attack.proficient ? '' : ' <span class="badge bg-warning text-dark ms-1" title="Not proficient">No prof.</span>'}</td>
+                    <td title="${formatBreakdown(attack.toHit.breakdown)}">${formatModifierNumber(attack.toHit.value)}</td>
+                    <td title="${formatBreakdown(attack.damage.breakdown)}">${attack.damage.text}</td>
+                    <td>${attack.range}</td>
+                    <td class="text-muted">${details}</td>
+                </tr>`;
+			})
+			.join('');
+
+		container.innerHTML = `
+            <table class="table table-sm attack-table mb-0">
+                <thead>
+                    <tr>
+                        <th>Weapon</th>
+                        <th>To Hit</th>
+                        <th>Damage</th>
+                        <th>Range</th>
+                        <th>Properties</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+	}
+
 	renderCurrency(character) {
 		const currency = character.inventory?.currency || {};
 		const fields = { pp: 'currencyPP', gp: 'currencyGP', ep: 'currencyEP', sp: 'currencySP', cp: 'currencyCP' };
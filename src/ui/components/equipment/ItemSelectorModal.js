@@ -247,6 +247,7 @@ export class ItemSelectorModal {
 		const requiresAttunement = item.reqAttune || false;
 		const weight = item.weight ? `${item.weight} lb` : 'N/A';
 		const value = item.value ? `${item.value} gp` : 'N/A';
+		const bonusText = this._getMagicBonusText(item);
 
 		const desc = this.descriptionCache.has(item.id)
 			? this.descriptionCache.get(item.id)
@@ -260,6 +261,7 @@ export class ItemSelectorModal {
                         <span class="text-muted">(${type})</span>
                         ${rarity !== 'Common' && rarity !== 'none' ? `<span class="badge bg-secondary ms-2">${rarity}</span>` : ''}
                         ${requiresAttunement ? '<span class="badge bg-warning text-dark ms-2">Attunement</span>' : ''}
+                        ${item.homebrew ? '<span class="badge bg-info ms-2">Homebrew</span>' : ''}
                     </div>
                 </div>
                 <div class="item-card-body">
@@ -272,6 +274,15 @@ export class ItemSelectorModal {
                                 <strong>Value:</strong> ${value}
                             </div>
                         </div>
+                        ${
+							bonusText
+								? `<div class="item-stat-row">
+                            <div class="item-stat">
+                                <strong>Bonus:</strong> ${bonusText}
+                            </div>
+                        </div>`
+								: ''
+						}
                     </div>
                     <div class="item-description">
                         ${desc}
@@ -281,6 +292,19 @@ export class ItemSelectorModal {
         `;
 	}
 
+	_getMagicBonusText(item) {
+		const parts = [];
+		if (item.bonusAc) parts.push(`${item.bonusAc} AC`);
+		if (item.bonusWeapon) {
+			parts.push(`${item.bonusWeapon} attack and damage`);
+		} else {
+			if (item.bonusWeaponAttack) parts.push(`${item.bonusWeaponAttack} attack`);
+			if (item.bonusWeaponDamage) parts.push(`${item.bonusWeaponDamage} damage`);
+		}
+		if (item.bonusSpellAttack) parts.push(`${item.bonusSpellAttack} spell attack`);
+		return parts.join(', ');
+	}
+
 	async _fetchItemDescription(item) {
 		const parts = [];
 		if (Array.isArray(item.entries)) {
@@ -10,6 +10,7 @@ import { sourceService } from '../../../services/SourceService.js';
 import { BaseSelectorModal } from '../selection/BaseSelectorModal.js';
 import { editionSetToMode, filterByEdition, hasConflictingSources, inheritReprintDescriptions } from '../selection/EditionFilter.js';
 import { FilterBuilder } from '../selection/FilterBuilder.js';
+import { renderPrerequisiteSummary } from '../selection/PrerequisiteSummary.js';
 
 export class FeatSelectorModal {
 	constructor({ allowClose = true } = {}) {
@@ -22,6 +23,9 @@ export class FeatSelectorModal {
 		this._snapshot = [];
 		this.ignoreRaceRestrictions = false;
 		this.ignoreSelectionLimit = false;
+		this.hideUnmetFeats = false;
+		this.showUnlockPlan = false;
+		this._prerequisites = new Map();
 		this.descriptionCache = new Map();
 		this._resolveSelection = null;
 		this.editionFilters = new Set(['2024', '2014']);
@@ -83,6 +87,11 @@ export class FeatSelectorModal {
 			matchItem: (feat, state) => this._featMatchesFilters(feat, state),
 			renderItem: (feat, state) => this._renderFeatCard(feat, state),
 			getItemId: (feat) => feat.id,
+			canSelectItem: (feat) => this._prerequisites.get(feat.id)?.met !== false,
+			onSelectBlocked: (feat) => {
+				const reasons = this._prerequisites.get(feat.id)?.reasons || [];
+				showNotification(reasons.join('. '), 'info');
+			},
 			onConfirm: (selected) => this._handleConfirm(selected),
 			onCancel: () => this._handleCancel(),
 			buildFilters: (ctx, panel, cleanup) =>
@@ -119,18 +128,24 @@ export class FeatSelectorModal {
 			sourceService.getAllowedSources().map((s) => (s || '').toLowerCase()),
 		);
 
+		// Ineligible feats stay listed with what they still need
+		this._prerequisites.clear();
 		const filtered = allFeats
 			.filter((feat) => {
 				const src = (feat.source || '').toLowerCase();
-				if (!allowedSources.has(src)) return false;
-				return featService.isFeatValidForCharacter(feat, character, {
-					ignoreRacePrereq: this.ignoreRaceRestrictions,
-				});
+				return allowedSources.has(src);
 			})
 			.map((feat) => ({
 				...feat,
 				id: this._buildFeatId(feat),
-			}));
+			}))
+			.filter((feat) => {
+				const result = featService.checkFeatPrerequisites(feat, character, {
+					ignoreRacePrereq: this.ignoreRaceRestrictions,
+				});
+				this._prerequisites.set(feat.id, result);
+				return result.met || !this.hideUnmetFeats;
+			});
 
 		// Keep already selected feats even if they are filtered out (e.g., saved feats from another source)
 		this.selectedFeats.forEach((feat) => {
@@ -168,11 +183,15 @@ export class FeatSelectorModal {
 
 		const selectedClass = isSelected ? 'selected' : '';
 		const disabledClass = atLimit ? 'disabled' : '';
+		const prerequisitesHtml = this._renderPrerequisites(feat);
 
 		let badgesHtml = '';
 		if (feat.source) {
 			badgesHtml += `<span class="badge bg-secondary me-2">${feat.source}</span>`;
 		}
+		if (feat.homebrew) {
+			badgesHtml += '<span class="badge bg-info me-2">Homebrew</span>';
+		}
 
 		return `
 			<div class="spell-card selector-card ${selectedClass} ${disabledClass}"
@@ -188,12 +207,25 @@ export class FeatSelectorModal {
 					<div>${badgesHtml}</div>
 				</div>
 				<div class="spell-card-body">
+					${prerequisitesHtml}
 					<div class="feat-description">${description}</div>
 				</div>
 			</div>
 		`;
 	}
 
+	_renderPrerequisites(feat) {
+		const result = this._prerequisites.get(feat.id);
+		if (!result || result.met) return '';
+
+		const plan = this.showUnlockPlan
+			? featService.planFeatUnlock(feat, AppState.getCurrentCharacter(), {
+					ignoreRacePrereq: this.ignoreRaceRestrictions,
+				})
+			: null;
+		return renderPrerequisiteSummary(result, plan, { viaAsi: true });
+	}
+
 	_processDescriptions(state) {
 		const pending = state.filtered.filter(
 			(feat) => !this.descriptionCache.has(feat.id),
@@ -288,6 +320,26 @@ export class FeatSelectorModal {
 			},
 		});
 
+		builder.addSwitch({
+			id: 'featHideUnmet',
+			label: 'Hide feats with unmet prerequisites',
+			checked: this.hideUnmetFeats,
+			onChange: async (checked) => {
+				this.hideUnmetFeats = checked;
+				await this._reloadItems();
+			},
+		});
+
+		builder.addSwitch({
+			id: 'featShowUnlockPlan',
+			label: 'Plan: show when levelling unlocks a feat',
+			checked: this.showUnlockPlan,
+			onChange: (checked) => {
+				this.showUnlockPlan = checked;
+				this._controller._renderList();
+			},
+		});
+
 		builder.addSwitch({
 			id: 'featIgnoreSelectionLimit',
 			label: 'Ignore selection limit',
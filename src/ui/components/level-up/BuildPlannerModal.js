@@ -0,0 +1,439 @@
+// Lay out a target build for levels 1-20 and check each planned level
+
+import { capitalize, escapeHtml } from '../../../lib/5eToolsParser.js';
+import { ABILITIES } from '../../../lib/CharacterStats.js';
+import { DOMCleanup } from '../../../lib/DOMCleanup.js';
+import { eventBus, EVENTS } from '../../../lib/EventBus.js';
+import {
+	disposeBootstrapModal,
+	initializeBootstrapModal,
+} from '../../../lib/ModalCleanupUtility.js';
+import { showNotification } from '../../../lib/Notifications.js';
+import {
+	buildPlanService,
+	describePlannedLevel,
+} from '../../../services/BuildPlanService.js';
+import { classService } from '../../../services/ClassService.js';
+import { featService } from '../../../services/FeatService.js';
+import { levelUpService } from '../../../services/LevelUpService.js';
+import { sourceService } from '../../../services/SourceService.js';
+
+const MAX_LEVEL = 20;
+
+function createSelect(className, options, selected) {
+	const select = document.createElement('select');
+	select.className = `form-select form-select-sm ${className}`;
+	for (const [value, label] of options) {
+		const option = new Option(label, value);
+		option.selected = value === selected;
+		select.appendChild(option);
+	}
+	return select;
+}
+
+function createInput(className, placeholder, value = '') {
+	const input = document.createElement('input');
+	input.type = 'text';
+	input.className = `form-control form-control-sm ${className}`;
+	input.placeholder = placeholder;
+	input.value = value;
+	return input;
+}
+
+function parseList(text) {
+	return text
+		.split(',')
+		.map((name) => name.trim())
+		.filter(Boolean);
+}
+
+function getClassData(className) {
+	try {
+		return classService.getClass(className);
+	} catch {
+		return null;
+	}
+}
+
+/** Option types a class picks from, e.g. [['invocation', 'Eldritch Invocations']] */
+function getFeatureTypes(classData) {
+	const types = new Map();
+	for (const progression of classData?.optionalfeatureProgression || []) {
+		const type = classService.mapFeatureType(progression.featureType?.[0]);
+		if (!types.has(type)) types.set(type, progression.name || capitalize(type));
+	}
+	return [...types];
+}
+
+export class BuildPlannerModal {
+	constructor() {
+		this.modalEl = null;
+		this.bootstrapModal = null;
+		this._cleanup = DOMCleanup.create();
+		this._character = null;
+	}
+
+	/**
+	 * @param {Object} character - The character whose plan is edited
+	 * @returns {Promise<boolean>} Whether the plan was saved
+	 */
+	async show(character) {
+		this.modalEl = document.getElementById('buildPlannerModal');
+		if (!this.modalEl) {
+			console.error(
+				'[BuildPlannerModal]',
+				'Modal element #buildPlannerModal not found in DOM',
+			);
+			showNotification('Could not open the build planner', 'error');
+			return false;
+		}
+		this._character = character;
+
+		this._renderFeatList();
+		this._renderRows();
+		this._validate();
+
+		this._cleanup = DOMCleanup.create();
+		this.modalEl.classList.remove('u-hidden');
+		disposeBootstrapModal(this.bootstrapModal);
+		this.bootstrapModal = initializeBootstrapModal(this.modalEl);
+		if (!this.bootstrapModal) {
+			console.error(
+				'[BuildPlannerModal]',
+				'Failed to initialize Bootstrap modal',
+			);
+			showNotification('Could not open the build planner', 'error');
+			return false;
+		}
+		this._cleanup.registerBootstrapModal(this.modalEl, this.bootstrapModal);
+
+		const rowsEl = this.modalEl.querySelector('.build-plan-rows');
+		this._cleanup.on(rowsEl, 'change', (e) => {
+			const row = e.target.closest('tr');
+			if (e.target.classList.contains('build-plan-class')) {
+				this._fillRow(
+					row,
+					e.target.value ? { className: e.target.value } : null,
+				);
+			} else if (e.target.classList.contains('build-plan-improvement')) {
+				this._toggleImprovement(row);
+			}
+			this._validate();
+		});
+
+		const clearBtn = this.modalEl.querySelector('#buildPlanClearBtn');
+		this._cleanup.on(clearBtn, 'click', () => {
+			for (const row of this.modalEl.querySelectorAll(
+				'.build-plan-rows tr[data-planned]',
+			)) {
+				row.querySelector('.build-plan-class').value = '';
+				this._fillRow(row, null);
+			}
+			this._validate();
+		});
+
+		return new Promise((resolve) => {
+			let saved = false;
+			const saveBtn = this.modalEl.querySelector('#buildPlanSaveBtn');
+
+			this._cleanup.on(saveBtn, 'click', () => {
+				saved = this._save();
+				if (saved) this.bootstrapModal.hide();
+			});
+			this._cleanup.once(this.modalEl, 'hidden.bs.modal', () => {
+				this._cleanup.cleanup();
+				disposeBootstrapModal(this.bootstrapModal);
+				this.bootstrapModal = null;
+				resolve(saved);
+			});
+
+			this.bootstrapModal.show();
+		});
+	}
+
+	/** Classes the character has plus every class it could add */
+	_getClassOptions() {
+		const current = (this._character.progression?.classes || []).map(
+			(c) => c.name,
+		);
+		const others = levelUpService
+			.getMulticlassOptions(this._character, true)
+			.map((option) => option.name);
+		return [...current, ...others];
+	}
+
+	_renderFeatList() {
+		const list = this.modalEl.querySelector('#buildPlanFeatList');
+		list.textContent = '';
+		const names = new Set(
+			featService
+				.getAllFeats()
+				.filter((feat) => sourceService.isSourceAllowed(feat.source))
+				.map((feat) => feat.name),
+		);
+		for (const name of [...names].sort()) {
+			list.appendChild(new Option(name));
+		}
+	}
+
+	_renderRows() {
+		const rowsEl = this.modalEl.querySelector('.build-plan-rows');
+		rowsEl.textContent = '';
+		const currentLevel = this._character.getTotalLevel();
+		const classOptions = this._getClassOptions();
+
+		for (let level = 1; level <= MAX_LEVEL; level++) {
+			const entry = buildPlanService.getPlannedLevel(this._character, level);
+			const row = document.createElement('tr');
+			row.dataset.level = String(level);
+			row.insertCell().textContent = String(level);
+
+			if (level <= currentLevel) {
+				row.classList.add('build-plan-taken');
+				const cell = row.insertCell();
+				cell.colSpan = 5;
+				cell.className = 'text-muted small';
+				cell.textContent = entry
+					? [entry.className, ...describePlannedLevel(entry)].join(' · ')
+					: 'Already taken';
+				row.insertCell().innerHTML =
+					'<span class="badge bg-secondary">Taken</span>';
+				rowsEl.appendChild(row);
+				continue;
+			}
+
+			row.dataset.planned = '';
+			const names = new Set(classOptions);
+			if (entry?.className) names.add(entry.className);
+			row
+				.insertCell()
+				.appendChild(
+					createSelect(
+						'build-plan-class',
+						[['', '— Not planned —'], ...[...names].map((n) => [n, n])],
+						entry?.className || '',
+					),
+				);
+			for (let i = 0; i < 5; i++) row.insertCell();
+			row.lastElementChild.classList.add('build-plan-status', 'small');
+			this._fillRow(row, entry);
+			rowsEl.appendChild(row);
+		}
+	}
+
+	/** Rebuild the subclass, improvement, option and spell cells for a class */
+	_fillRow(row, entry) {
+		const [, , subclassCell, improvementCell, optionsCell, spellsCell] =
+			row.cells;
+		for (const cell of [
+			subclassCell,
+			improvementCell,
+			optionsCell,
+			spellsCell,
+		]) {
+			cell.textContent = '';
+		}
+		const classData = entry ? getClassData(entry.className) : null;
+		if (!classData) return;
+
+		const subclassNames = new Set(
+			classService
+				.getSubclasses(classData.name, classData.source)
+				.filter((sc) => sourceService.isSourceAllowed(sc.source))
+				.map((sc) => sc.name),
+		);
+		if (entry.subclass) subclassNames.add(entry.subclass);
+		subclassCell.appendChild(
+			createSelect(
+				'build-plan-subclass',
+				[['', '—'], ...[...subclassNames].map((n) => [n, n])],
+				entry.subclass || '',
+			),
+		);
+
+		const [firstAbility, secondAbility] = Object.entries(entry.asi || {})
+			.flatMap(([ability, amount]) => Array(amount).fill(ability))
+			.slice(0, 2);
+		const abilityOptions = ABILITIES.map((a) => [a, capitalize(a)]);
+		const improvement = document.createElement('div');
+		improvement.className = 'build-plan-improvement-fields';
+		improvement.append(
+			createSelect(
+				'build-plan-improvement',
+				[
+					['', '—'],
+					['asi', 'Ability Score Improvement'],
+					['feat', 'Feat'],
+				],
+				entry.asi ? 'asi' : entry.feat ? 'feat' : '',
+			),
+			createSelect('build-plan-asi-first', abilityOptions, firstAbility),
+			createSelect('build-plan-asi-second', abilityOptions, secondAbility),
+			createInput('build-plan-feat', 'Feat', entry.feat?.name),
+		);
+		improvement
+			.querySelector('.build-plan-feat')
+			.setAttribute('list', 'buildPlanFeatList');
+		improvementCell.appendChild(improvement);
+		this._toggleImprovement(row);
+
+		for (const [type, label] of getFeatureTypes(classData)) {
+			const input = createInput(
+				'build-plan-features',
+				label,
+				(entry.features?.[type] || []).join(', '),
+			);
+			input.dataset.featureType = type;
+			optionsCell.appendChild(input);
+		}
+
+		if (classData.spellcastingAbility) {
+			spellsCell.appendChild(
+				createInput(
+					'build-plan-spells',
+					'Spells, comma separated',
+					(entry.spells || []).join(', '),
+				),
+			);
+		}
+	}
+
+	_toggleImprovement(row) {
+		const kind = row.querySelector('.build-plan-improvement')?.value;
+		for (const select of row.querySelectorAll(
+			'.build-plan-asi-first, .build-plan-asi-second',
+		)) {
+			select.classList.toggle('u-hidden', kind !== 'asi');
+		}
+		row
+			.querySelector('.build-plan-feat')
+			?.classList.toggle('u-hidden', kind !== 'feat');
+	}
+
+	/** Read a planned level back from its row; null when no class is chosen */
+	_readRow(row) {
+		const className = row.querySelector('.build-plan-class').value;
+		if (!className) return null;
+
+		const entry = { className };
+		const classEntry = this._character.getClassEntry(className);
+		const source = classEntry?.source || getClassData(className)?.source;
+		if (source) entry.source = source;
+
+		const subclass = row.querySelector('.build-plan-subclass')?.value;
+		if (subclass) entry.subclass = subclass;
+
+		const kind = row.querySelector('.build-plan-improvement')?.value;
+		if (kind === 'asi') {
+			const first = row.querySelector('.build-plan-asi-first').value;
+			const second = row.querySelector('.build-plan-asi-second').value;
+			entry.asi =
+				first === second ? { [first]: 2 } : { [first]: 1, [second]: 1 };
+		} else if (kind === 'feat') {
+			const name = row.querySelector('.build-plan-feat').value.trim();
+			if (name) entry.feat = { name };
+		}
+
+		for (const input of row.querySelectorAll('.build-plan-features')) {
+			const names = parseList(input.value);
+			if (names.length) {
+				entry.features = {
+					...entry.features,
+					[input.dataset.featureType]: names,
+				};
+			}
+		}
+
+		const spells = parseList(
+			row.querySelector('.build-plan-spells')?.value || '',
+		);
+		if (spells.length) entry.spells = spells;
+		return entry;
+	}
+
+	/**
+	 * Validate the table as it stands against a copy of the character.
+	 * @returns {{ draft: Object, malformed: number }}
+	 */
+	_validate() {
+		const draft = Object.create(this._character);
+		draft.buildPlan = { levels: {} };
+		const currentLevel = this._character.getTotalLevel();
+		for (const [level, entry] of buildPlanService.getPlannedLevels(
+			this._character,
+		)) {
+			if (level <= currentLevel) draft.buildPlan.levels[String(level)] = entry;
+		}
+
+		const rowErrors = new Map();
+		const rows = [
+			...this.modalEl.querySelectorAll('.build-plan-rows tr[data-planned]'),
+		];
+		for (const row of rows) {
+			const entry = this._readRow(row);
+			if (!entry) continue;
+			try {
+				buildPlanService.setPlannedLevel(
+					draft,
+					Number(row.dataset.level),
+					entry,
+				);
+			} catch (error) {
+				rowErrors.set(row.dataset.level, [error.message]);
+			}
+		}
+
+		const results = new Map(
+			buildPlanService
+				.validatePlan(draft)
+				.levels.map((result) => [String(result.level), result]),
+		);
+		let planned = 0;
+		let withProblems = 0;
+		for (const row of rows) {
+			const result = results.get(row.dataset.level);
+			const errors = rowErrors.get(row.dataset.level) || result?.errors || [];
+			if (result || rowErrors.has(row.dataset.level)) planned++;
+			if (errors.length) withProblems++;
+			this._renderStatus(row, result, errors);
+		}
+
+		this.modalEl.querySelector('.build-plan-summary').textContent =
+			`Character level ${currentLevel}. ${planned} of ${rows.length} remaining levels planned` +
+			(withProblems ? `, ${withProblems} with problems.` : '.');
+		return { draft, malformed: rowErrors.size };
+	}
+
+	_renderStatus(row, result, errors) {
+		const cell = row.querySelector('.build-plan-status');
+		cell.textContent = '';
+		row.classList.toggle('build-plan-invalid', errors.length > 0);
+
+		if (errors.length) {
+			const list = document.createElement('ul');
+			list.className = 'list-unstyled mb-0 build-plan-errors';
+			for (const error of errors) {
+				const item = document.createElement('li');
+				item.textContent = error;
+				list.appendChild(item);
+			}
+			cell.appendChild(list);
+		} else if (result) {
+			cell.innerHTML = `<i class="fas fa-check text-success me-1"></i>${escapeHtml(result.className)} ${result.classLevel}`;
+		}
+	}
+
+	/** @returns {boolean} Whether the plan was stored on the character */
+	_save() {
+		const { draft, malformed } = this._validate();
+		if (malformed) {
+			showNotification('Fix the highlighted levels before saving', 'warning');
+			return false;
+		}
+
+		this._character.buildPlan = draft.buildPlan;
+		eventBus.emit(EVENTS.CHARACTER_UPDATED, { character: this._character });
+		showNotification('Build plan saved', 'success');
+		return true;
+	}
+}
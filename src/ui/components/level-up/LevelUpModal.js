@@ -1,13 +1,22 @@
 // Simplified level picker for character progression (changes held in memory until manual save)
 
 import { AppState } from '../../../app/AppState.js';
+import { serializeCharacter } from '../../../app/Character.js';
 import { modal } from '../../../app/Modal.js';
+import { escapeHtml } from '../../../lib/5eToolsParser.js';
 import { DOMCleanup } from '../../../lib/DOMCleanup.js';
 import { eventBus, EVENTS } from '../../../lib/EventBus.js';
 import { disposeBootstrapModal, hideBootstrapModal, initializeBootstrapModal } from '../../../lib/ModalCleanupUtility.js';
+import { HIT_POINT_METHODS } from '../../../lib/GameRules.js';
 import { showNotification } from '../../../lib/Notifications.js';
+import {
+	buildPlanService,
+	describePlannedLevel,
+} from '../../../services/BuildPlanService.js';
+import { diceRollService } from '../../../services/DiceRollService.js';
 import { levelUpService } from '../../../services/LevelUpService.js';
 import { progressionHistoryService } from '../../../services/ProgressionHistoryService.js';
+import { BuildPlannerModal } from './BuildPlannerModal.js';
 
 const MAX_CHARACTER_LEVEL = 20;
 
@@ -16,6 +25,7 @@ export class LevelUpModal {
 		this.modalEl = null;
 		this.bootstrapModal = null;
 		this._cleanup = DOMCleanup.create();
+		this._snapshotTaken = false;
 
 		console.debug('[LevelUpModal]', 'Constructor initialized');
 	}
@@ -55,6 +65,7 @@ export class LevelUpModal {
 
 			// Fresh cleanup instance
 			this._cleanup = DOMCleanup.create();
+			this._snapshotTaken = false;
 
 			// Initialize Bootstrap modal
 			this._initializeBootstrapModal();
@@ -127,6 +138,10 @@ export class LevelUpModal {
 		const totalLevel = levelUpService.getTotalLevel(character);
 		const isAtLevelCap = totalLevel >= MAX_CHARACTER_LEVEL;
 		const classes = character.progression?.classes || [];
+		const nextPlan = isAtLevelCap
+			? null
+			: buildPlanService.getNextPlannedLevel(character);
+		const plannedClass = nextPlan?.entry.className;
 
 		// Build class breakdown with cards in two columns
 		let classBreakdown = '';
@@ -142,7 +157,7 @@ export class LevelUpModal {
                                     <small class="text-muted">Class Level ${cls.levels || 0}</small>
                                 </div>
                             </div>
-							<button class="btn btn-sm btn-primary" data-add-level="${cls.name}" ${isAtLevelCap ? 'disabled' : ''}>
+							<button class="btn btn-sm ${plannedClass && plannedClass !== cls.name ? 'btn-outline-primary' : 'btn-primary'}" data-add-level="${cls.name}" ${isAtLevelCap ? 'disabled' : ''}>
 								<i class="fas fa-plus"></i> Add Level
 							</button>
                         </div>
@@ -182,7 +197,7 @@ export class LevelUpModal {
                                 ${multiclassOptions
 					.map(
 						(opt) => `
-                                    <option value="${opt.name}" ${!opt.meetsRequirements && !ignoreRestrictions ? 'disabled' : ''}>
+                                    <option value="${opt.name}" ${!opt.meetsRequirements && !ignoreRestrictions ? 'disabled' : ''} ${opt.name === plannedClass ? 'selected' : ''}>
                                         ${opt.name}${opt.requirementText ? ` (${opt.requirementText})` : ''}
                                     </option>
                                 `,
@@ -203,6 +218,10 @@ export class LevelUpModal {
                 <div class="card mb-3">
                     <div class="card-header d-flex justify-content-between align-items-center">
                         <h6 class="mb-0"><i class="fas fa-scroll"></i> Your Classes</h6>
+                        <div class="form-check form-switch mb-0" title="Roll the hit die for each new level instead of taking the average">
+                            <input class="form-check-input" type="checkbox" id="rollHitPointsToggle" ${diceRollService.usesAverageHitPoints(character) ? '' : 'checked'}>
+                            <label class="form-check-label" for="rollHitPointsToggle">Roll Hit Points</label>
+                        </div>
                         <div>
                             <small class="text-muted me-2">Character Level</small>
                             <span class="badge bg-primary">${totalLevel}</span>
@@ -222,6 +241,8 @@ export class LevelUpModal {
 				: ''
 			}
                 </div>
+
+                ${this._renderBuildPlanCard(character, nextPlan, isAtLevelCap)}
                 
                 ${multiclassSection}
             </div>
@@ -231,6 +252,47 @@ export class LevelUpModal {
 		this._attachLevelPickerListeners();
 	}
 
+	/** The plan for the next level, offered as the default way to level up */
+	_renderBuildPlanCard(character, nextPlan, isAtLevelCap) {
+		const hasPlan = buildPlanService.hasPlan(character);
+		let body;
+		if (nextPlan) {
+			const choices = describePlannedLevel(nextPlan.entry);
+			const errors = nextPlan.errors
+				.map((error) => `<li>${escapeHtml(error)}</li>`)
+				.join('');
+			body = `
+                <div class="d-flex justify-content-between align-items-center gap-2">
+                    <div>
+                        <div><strong>Level ${nextPlan.level}:</strong> ${escapeHtml(nextPlan.entry.className)} ${nextPlan.classLevel ?? ''}</div>
+                        ${choices.length ? `<div class="build-plan-choices text-muted">${escapeHtml(choices.join(' · '))}</div>` : ''}
+                        ${errors ? `<ul class="build-plan-errors small mb-0 ps-3">${errors}</ul>` : ''}
+                    </div>
+                    <button class="btn btn-sm btn-primary u-nowrap" id="followPlanBtn">
+                        <i class="fas fa-route"></i> Follow Plan
+                    </button>
+                </div>
+            `;
+		} else if (isAtLevelCap) {
+			body = `<p class="text-muted mb-0">There are no levels left to plan.</p>`;
+		} else {
+			const level = levelUpService.getTotalLevel(character) + 1;
+			body = `<p class="text-muted mb-0">${hasPlan ? `Nothing is planned for level ${level}.` : 'No build plan yet.'}</p>`;
+		}
+
+		return `
+            <div class="card mb-3 build-plan-card">
+                <div class="card-header d-flex justify-content-between align-items-center">
+                    <h6 class="mb-0"><i class="fas fa-route"></i> Build Plan</h6>
+                    <button class="btn btn-sm btn-outline-secondary" id="editBuildPlanBtn">
+                        <i class="fas fa-pen"></i> ${hasPlan ? 'Edit Plan' : 'Plan Build'}
+                    </button>
+                </div>
+                <div class="card-body">${body}</div>
+            </div>
+        `;
+	}
+
 	_attachLevelPickerListeners() {
 		// Add level buttons for existing classes
 		const addLevelButtons = this.modalEl.querySelectorAll('[data-add-level]');
@@ -241,6 +303,38 @@ export class LevelUpModal {
 			});
 		});
 
+		const rollHitPointsToggle = this.modalEl.querySelector(
+			'#rollHitPointsToggle',
+		);
+		if (rollHitPointsToggle) {
+			this._cleanup.on(rollHitPointsToggle, 'change', () => {
+				const character = AppState.getCurrentCharacter();
+				if (!character) return;
+				// Only affects levels added from now on
+				character.variantRules = {
+					...character.variantRules,
+					hitPointMethod: rollHitPointsToggle.checked
+						? HIT_POINT_METHODS.ROLL
+						: HIT_POINT_METHODS.AVERAGE,
+				};
+				eventBus.emit(EVENTS.CHARACTER_UPDATED, { character });
+			});
+		}
+
+		const followPlanBtn = this.modalEl.querySelector('#followPlanBtn');
+		if (followPlanBtn) {
+			this._cleanup.on(followPlanBtn, 'click', async () => {
+				await this._followPlan();
+			});
+		}
+
+		const editBuildPlanBtn = this.modalEl.querySelector('#editBuildPlanBtn');
+		if (editBuildPlanBtn) {
+			this._cleanup.on(editBuildPlanBtn, 'click', async () => {
+				await this._editBuildPlan();
+			});
+		}
+
 		// Ignore restrictions toggle
 		const ignoreRestrictionsToggle = this.modalEl.querySelector(
 			'#ignoreRestrictionsToggle',
@@ -327,16 +421,24 @@ export class LevelUpModal {
 				return;
 			}
 
+			await this._snapshotBeforeLevelUp(character);
+
 			// Increment level
 			const newLevel = (classEntry.levels || 0) + 1;
 			levelUpService.addClassLevel(character, className, newLevel);
+			this._rollHitPoints(character, className, newLevel);
 
 			// Update character in memory (save is manual via titlebar)
 			AppState.setCurrentCharacter(character, { skipEvent: true });
 			eventBus.emit(EVENTS.CHARACTER_UPDATED, { character });
 
-			// Update only the affected class level and character level display
-			this._updateLevelDisplays(character, className);
+			if (buildPlanService.hasPlan(character)) {
+				// The plan card moves on to the following level
+				await this._renderLevelPicker();
+			} else {
+				// Update only the affected class level and character level display
+				this._updateLevelDisplays(character, className);
+			}
 		} catch (error) {
 			console.error('[LevelUpModal]', 'Failed to add level', error);
 			showNotification(`Failed to add level: ${error.message}`, 'error');
@@ -368,8 +470,11 @@ export class LevelUpModal {
 				return;
 			}
 
+			await this._snapshotBeforeLevelUp(character);
+
 			// Add the class at level 1
 			levelUpService.addClassLevel(character, className, 1);
+			this._rollHitPoints(character, className, 1);
 
 			// Create progression history entry to track when this class was added
 			if (!character.progressionHistory) {
@@ -395,6 +500,89 @@ export class LevelUpModal {
 		}
 	}
 
+	/** Add the planned class level, then record the planned choices for it */
+	async _followPlan() {
+		const character = AppState.getCurrentCharacter();
+		if (!character) return;
+		const nextPlan = buildPlanService.getNextPlannedLevel(character);
+		if (!nextPlan) return;
+
+		const { entry } = nextPlan;
+		const totalLevel = levelUpService.getTotalLevel(character);
+		if (character.getClassEntry(entry.className)) {
+			await this._addClassLevel(entry.className);
+		} else {
+			await this._addMulticlass(entry.className);
+		}
+		// Both report their own reasons for not adding the level
+		if (levelUpService.getTotalLevel(character) === totalLevel) return;
+
+		try {
+			const classLevel = character.getClassEntry(entry.className).levels;
+			const skipped = buildPlanService.applyPlannedLevel(
+				character,
+				entry,
+				classLevel,
+			);
+			if (skipped.length) {
+				showNotification(
+					`Level ${nextPlan.level} added from the plan. Still to choose: ${skipped.join(', ')}`,
+					'info',
+				);
+			} else {
+				showNotification(
+					`Level ${nextPlan.level} added from the plan`,
+					'success',
+				);
+			}
+		} catch (error) {
+			console.error('[LevelUpModal]', 'Failed to apply planned level', error);
+			showNotification(`Failed to apply the plan: ${error.message}`, 'error');
+		}
+
+		await this._renderLevelPicker();
+	}
+
+	async _editBuildPlan() {
+		const character = AppState.getCurrentCharacter();
+		if (!character) return;
+
+		const saved = await new BuildPlannerModal().show(character);
+		if (saved) await this._renderLevelPicker();
+	}
+
+	/** Roll hit points for a new level unless the character takes the average */
+	_rollHitPoints(character, className, level) {
+		const entry = diceRollService.rollHitPoints(character, className, level);
+		if (entry) {
+			showNotification(
+				`${className} ${level}: rolled ${entry.roll} on a d${entry.die} for hit points`,
+				'info',
+			);
+		}
+	}
+
+	/**
+	 * Keep a history snapshot of the character as it was before the first
+	 * level added while the modal is open.
+	 */
+	async _snapshotBeforeLevelUp(character) {
+		if (this._snapshotTaken) return;
+		this._snapshotTaken = true;
+
+		try {
+			const result = await window.characterStorage.snapshotCharacter(
+				serializeCharacter(character),
+				'level-up',
+			);
+			if (!result?.success) {
+				console.warn('[LevelUpModal]', 'Level-up snapshot failed', result?.error);
+			}
+		} catch (error) {
+			console.warn('[LevelUpModal]', 'Level-up snapshot failed', error);
+		}
+	}
+
 	async _removeLastLevel() {
 		const character = AppState.getCurrentCharacter();
 		if (!character) return;
@@ -0,0 +1,121 @@
+// Party overview on the Home page: defenses, passives and languages per
+// member, plus the skills nobody in the party is proficient in
+
+import { summarizeParty } from '../../../lib/PartySummary.js';
+
+const COLUMNS = [
+	'Character',
+	'AC',
+	'HP',
+	'Passive Perception',
+	'Passive Insight',
+	'Passive Investigation',
+	'Languages',
+];
+
+function createBadge(text, className) {
+	const badge = document.createElement('span');
+	badge.className = `badge ${className}`;
+	badge.textContent = text;
+	return badge;
+}
+
+function formatHitPoints({ current, max, temp }) {
+	return `${current}/${max}${temp ? ` (+${temp})` : ''}`;
+}
+
+/**
+ * Render the dashboard of a party into a container.
+ * @param {HTMLElement} container
+ * @param {{name: string}} party
+ * @param {Array<Object>} members - Member characters
+ */
+export function renderPartyDashboard(container, party, members) {
+	container.textContent = '';
+
+	const card = document.createElement('div');
+	card.className = 'card';
+
+	const header = document.createElement('div');
+	header.className = 'card-header';
+	const title = document.createElement('h5');
+	title.className = 'mb-0';
+	title.textContent = party.name;
+	header.appendChild(title);
+	card.appendChild(header);
+
+	const body = document.createElement('div');
+	body.className = 'card-body';
+	card.appendChild(body);
+	container.appendChild(card);
+
+	if (members.length === 0) {
+		const empty = document.createElement('p');
+		empty.className = 'text-muted mb-0';
+		empty.textContent =
+			'This party has no members yet. Edit it to add characters.';
+		body.appendChild(empty);
+		return;
+	}
+
+	const summary = summarizeParty(members);
+
+	const table = document.createElement('table');
+	table.className = 'table table-sm party-dashboard-table';
+	const headRow = table.createTHead().insertRow();
+	for (const column of COLUMNS) {
+		const th = document.createElement('th');
+		th.textContent = column;
+		headRow.appendChild(th);
+	}
+	const tbody = table.createTBody();
+	for (const member of summary.members) {
+		const row = tbody.insertRow();
+		const nameCell = row.insertCell();
+		nameCell.textContent = member.name;
+		if (member.classes) {
+			const classes = document.createElement('div');
+			classes.className = 'small text-muted';
+			classes.textContent = member.classes;
+			nameCell.appendChild(classes);
+		}
+		for (const value of [
+			member.armorClass,
+			formatHitPoints(member.hitPoints),
+			member.passives.perception,
+			member.passives.insight,
+			member.passives.investigation,
+			member.languages.join(', ') || '—',
+		]) {
+			row.insertCell().textContent = value;
+		}
+	}
+	const tableWrap = document.createElement('div');
+	tableWrap.className = 'table-responsive';
+	tableWrap.appendChild(table);
+	body.appendChild(tableWrap);
+
+	const gaps = document.createElement('div');
+	gaps.className = 'party-skill-gaps mb-2';
+	const gapsLabel = document.createElement('strong');
+	gapsLabel.textContent = 'Skills nobody covers: ';
+	gaps.appendChild(gapsLabel);
+	if (summary.uncoveredSkills.length === 0) {
+		gaps.appendChild(document.createTextNode('None'));
+	} else {
+		for (const skill of summary.uncoveredSkills) {
+			gaps.appendChild(createBadge(skill, 'bg-warning text-dark'));
+		}
+	}
+	body.appendChild(gaps);
+
+	const languages = document.createElement('div');
+	languages.className = 'party-languages';
+	const languagesLabel = document.createElement('strong');
+	languagesLabel.textContent = 'Party languages: ';
+	languages.appendChild(languagesLabel);
+	languages.appendChild(
+		document.createTextNode(summary.languages.join(', ') || 'None'),
+	);
+	body.appendChild(languages);
+}
@@ -0,0 +1,118 @@
+// Create or edit a party: its name and which saved characters belong to it
+
+import { DOMCleanup } from '../../../lib/DOMCleanup.js';
+import {
+	disposeBootstrapModal,
+	initializeBootstrapModal,
+} from '../../../lib/ModalCleanupUtility.js';
+import { showNotification } from '../../../lib/Notifications.js';
+
+export class PartyModal {
+	constructor() {
+		this.modalEl = null;
+		this.bootstrapModal = null;
+		this._cleanup = DOMCleanup.create();
+	}
+
+	/**
+	 * @param {Object} options
+	 * @param {{name: string, memberIds: string[]}} [options.party] - Party to
+	 *   edit; omit to create one
+	 * @param {Array<Object>} options.characters - Saved characters to pick from
+	 * @returns {Promise<{name: string, memberIds: string[]}|null>} The entered
+	 *   values, or null when cancelled
+	 */
+	async show({ party = null, characters = [] } = {}) {
+		this.modalEl = document.getElementById('partyModal');
+		if (!this.modalEl) {
+			console.error(
+				'[PartyModal]',
+				'Modal element #partyModal not found in DOM',
+			);
+			showNotification('Could not open party editor', 'error');
+			return null;
+		}
+
+		const nameInput = this.modalEl.querySelector('#partyNameInput');
+		const saveBtn = this.modalEl.querySelector('#partySaveBtn');
+		this.modalEl.querySelector('.party-modal-title').textContent = party
+			? 'Edit Party'
+			: 'New Party';
+		nameInput.value = party?.name || '';
+		this._renderMembers(characters, new Set(party?.memberIds || []));
+
+		this._cleanup = DOMCleanup.create();
+		this.modalEl.classList.remove('u-hidden');
+		disposeBootstrapModal(this.bootstrapModal);
+		this.bootstrapModal = initializeBootstrapModal(this.modalEl);
+		if (!this.bootstrapModal) {
+			console.error('[PartyModal]', 'Failed to initialize Bootstrap modal');
+			showNotification('Could not open party editor', 'error');
+			return null;
+		}
+		this._cleanup.registerBootstrapModal(this.modalEl, this.bootstrapModal);
+
+		return new Promise((resolve) => {
+			let result = null;
+
+			this._cleanup.on(saveBtn, 'click', () => {
+				if (!nameInput.value.trim()) {
+					nameInput.classList.add('is-invalid');
+					nameInput.focus();
+					return;
+				}
+				result = {
+					name: nameInput.value.trim(),
+					memberIds: [
+						...this.modalEl.querySelectorAll('.party-member-checkbox:checked'),
+					].map((input) => input.value),
+				};
+				this.bootstrapModal.hide();
+			});
+			this._cleanup.on(nameInput, 'input', () =>
+				nameInput.classList.remove('is-invalid'),
+			);
+			this._cleanup.once(this.modalEl, 'hidden.bs.modal', () => {
+				this._cleanup.cleanup();
+				disposeBootstrapModal(this.bootstrapModal);
+				this.bootstrapModal = null;
+				resolve(result);
+			});
+
+			this.bootstrapModal.show();
+		});
+	}
+
+	_renderMembers(characters, selectedIds) {
+		const list = this.modalEl.querySelector('.party-member-list');
+		list.textContent = '';
+
+		if (characters.length === 0) {
+			const empty = document.createElement('p');
+			empty.className = 'text-muted small mb-0';
+			empty.textContent = 'No saved characters yet.';
+			list.appendChild(empty);
+			return;
+		}
+
+		for (const character of characters) {
+			const wrapper = document.createElement('div');
+			wrapper.className = 'form-check';
+
+			const input = document.createElement('input');
+			input.type = 'checkbox';
+			input.className = 'form-check-input party-member-checkbox';
+			input.id = `partyMember-${character.id}`;
+			input.value = character.id;
+			input.checked = selectedIds.has(character.id);
+
+			const label = document.createElement('label');
+			label.className = 'form-check-label';
+			label.htmlFor = input.id;
+			label.textContent = character.name || 'Unnamed Character';
+
+			wrapper.append(input, label);
+			list.appendChild(wrapper);
+		}
+	}
+}
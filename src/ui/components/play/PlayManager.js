@@ -0,0 +1,408 @@
+// Component for managing the Play page
+
+import { AppState } from '../../../app/AppState.js';
+import { DOMCleanup } from '../../../lib/DOMCleanup.js';
+import { ValidationError } from '../../../lib/Errors.js';
+import { eventBus, EVENTS } from '../../../lib/EventBus.js';
+import { DEATH_SAVES_TO_RESOLVE, REST_TYPES } from '../../../lib/GameRules.js';
+import { showNotification } from '../../../lib/Notifications.js';
+import { conditionService } from '../../../services/ConditionService.js';
+import { playStateService } from '../../../services/PlayStateService.js';
+import { spellSelectionService } from '../../../services/SpellSelectionService.js';
+
+const SPELL_LEVEL_LABELS = [
+	'',
+	'1st',
+	'2nd',
+	'3rd',
+	'4th',
+	'5th',
+	'6th',
+	'7th',
+	'8th',
+	'9th',
+];
+
+export class PlayManager {
+	constructor() {
+		this.loggerScope = 'PlayManager';
+		this._cleanup = DOMCleanup.create();
+		this.setupEventListeners();
+	}
+
+	setupEventListeners() {
+		this._cleanup.on(document, 'click', (e) => {
+			if (e.target.closest('#playDamageBtn')) {
+				this._withAmount((character, amount) =>
+					playStateService.applyDamage(character, amount),
+				);
+				return;
+			}
+			if (e.target.closest('#playHealBtn')) {
+				this._withAmount((character, amount) =>
+					playStateService.heal(character, amount),
+				);
+				return;
+			}
+			if (e.target.closest('#playTempHpBtn')) {
+				this._withAmount((character, amount) =>
+					playStateService.setTempHitPoints(character, amount),
+				);
+				return;
+			}
+
+			const deathSaveBtn = e.target.closest('[data-death-save]');
+			if (deathSaveBtn) {
+				this._executeAction((character) => {
+					const status = playStateService.recordDeathSave(
+						character,
+						deathSaveBtn.dataset.deathSave,
+					);
+					if (status.stable) showNotification('Stabilized', 'success');
+					if (status.dead)
+						showNotification('Three failed death saves', 'error');
+				});
+				return;
+			}
+
+			const hitDieBtn = e.target.closest('[data-spend-hit-die]');
+			if (hitDieBtn) {
+				this._executeAction((character) => {
+					const { roll, healed } = playStateService.spendHitDie(
+						character,
+						hitDieBtn.dataset.spendHitDie,
+					);
+					showNotification(`Rolled ${roll}, regained ${healed} HP`, 'info');
+				});
+				return;
+			}
+
+			const useResourceBtn = e.target.closest('[data-use-resource]');
+			if (useResourceBtn) {
+				this._executeAction((character) =>
+					playStateService.useResource(
+						character,
+						useResourceBtn.dataset.useResource,
+					),
+				);
+				return;
+			}
+
+			const restoreResourceBtn = e.target.closest('[data-restore-resource]');
+			if (restoreResourceBtn) {
+				this._executeAction((character) =>
+					playStateService.restoreResource(
+						character,
+						restoreResourceBtn.dataset.restoreResource,
+					),
+				);
+				return;
+			}
+
+			const useSlotBtn = e.target.closest('[data-use-slot-level]');
+			if (useSlotBtn) {
+				this._executeAction((character) =>
+					spellSelectionService.useSpellSlot(
+						character,
+						useSlotBtn.dataset.useSlotLevel,
+						{ pactMagic: useSlotBtn.dataset.useSlotPool === 'pact' },
+					),
+				);
+				return;
+			}
+
+			if (e.target.closest('#playAddConditionBtn')) {
+				const select = document.getElementById('playConditionSelect');
+				if (!select?.value) return;
+				this._executeAction((character) =>
+					playStateService.addCondition(character, select.value),
+				);
+				return;
+			}
+
+			const removeConditionBtn = e.target.closest('[data-remove-condition]');
+			if (removeConditionBtn) {
+				this._executeAction((character) =>
+					playStateService.removeCondition(
+						character,
+						removeConditionBtn.dataset.removeCondition,
+					),
+				);
+				return;
+			}
+
+			if (e.target.closest('#shortRestBtn')) {
+				this._executeAction((character) => {
+					const { restored } = playStateService.shortRest(character);
+					showNotification(
+						restored.length > 0
+							? `Short rest: restored ${restored.join(', ')}`
+							: 'Short rest taken',
+						'success',
+					);
+				});
+				return;
+			}
+
+			if (e.target.closest('#longRestBtn')) {
+				this._executeAction((character) => {
+					const { hitDiceRegained } = playStateService.longRest(character);
+					showNotification(
+						`Long rest: hit points, spell slots and resources restored, ${hitDiceRegained} hit dice regained`,
+						'success',
+					);
+				});
+			}
+		});
+
+		this._cleanup.on(document, 'change', (e) => {
+			const exhaustionInput = e.target.closest('#playExhaustionInput');
+			if (exhaustionInput) {
+				this._executeAction((character) =>
+					playStateService.setExhaustion(
+						character,
+						Number.parseInt(exhaustionInput.value, 10),
+					),
+				);
+			}
+		});
+	}
+
+	cleanup() {
+		this._cleanup.cleanup();
+	}
+
+	_withAmount(actionFn) {
+		const input = document.getElementById('playHpAmount');
+		const amount = Number.parseInt(input?.value, 10);
+		if (!Number.isInteger(amount) || amount < 0) {
+			showNotification('Enter an amount first', 'warning');
+			return;
+		}
+		if (this._executeAction((character) => actionFn(character, amount))) {
+			input.value = '';
+		}
+	}
+
+	_executeAction(actionFn) {
+		const character = AppState.getCurrentCharacter();
+		if (!character) {
+			showNotification('No character selected', 'error');
+			return false;
+		}
+
+		try {
+			actionFn(character);
+		} catch (error) {
+			if (error instanceof ValidationError) {
+				showNotification(error.message, 'warning');
+			} else {
+				console.error(`[${this.loggerScope}]`, 'Play action failed', error);
+				showNotification('Could not update play state', 'error');
+			}
+			this.render();
+			return false;
+		}
+
+		eventBus.emit(EVENTS.CHARACTER_UPDATED, character);
+		return true;
+	}
+
+	render() {
+		const character = AppState.getCurrentCharacter();
+		if (!character) return;
+
+		playStateService.ensurePlayState(character);
+		this.renderHitPoints(character);
+		this.renderHitDice(character);
+		this.renderResources(character);
+		this.renderSpellSlots(character);
+		this.renderConditions(character);
+	}
+
+	_renderPips(container, filled) {
+		if (!container) return;
+		let html = '';
+		for (let i = 0; i < DEATH_SAVES_TO_RESOLVE; i++) {
+			html += `<span class="play-pip${i < filled ? ' filled' : ''}"></span>`;
+		}
+		container.innerHTML = html;
+	}
+
+	renderHitPoints(character) {
+		const max = playStateService.getMaxHitPoints(character);
+		const current = playStateService.getCurrentHitPoints(character);
+		const { temp } = character.hitPoints;
+
+		const currentEl = document.getElementById('playCurrentHp');
+		if (currentEl) {
+			currentEl.textContent = current;
+			currentEl.classList.toggle('play-hp-down', current <= 0);
+		}
+		const maxEl = document.getElementById('playMaxHp');
+		if (maxEl) maxEl.textContent = max;
+		const tempEl = document.getElementById('playTempHpBadge');
+		if (tempEl) {
+			tempEl.textContent = `+${temp || 0} temp`;
+			tempEl.classList.toggle('u-hidden', !temp);
+		}
+
+		const deathSaves = document.getElementById('playDeathSaves');
+		if (deathSaves)
+			deathSaves.classList.toggle('u-hidden', current > 0 || max <= 0);
+
+		const status = playStateService.getDeathSaveStatus(character);
+		this._renderPips(
+			document.getElementById('playDeathSuccesses'),
+			status.successes,
+		);
+		this._renderPips(
+			document.getElementById('playDeathFailures'),
+			status.failures,
+		);
+
+		const statusEl = document.getElementById('playDeathSaveStatus');
+		if (statusEl) {
+			statusEl.textContent = status.dead
+				? 'Dead'
+				: status.stable
+					? 'Stable'
+					: '';
+		}
+	}
+
+	renderHitDice(character) {
+		const container = document.getElementById('playHitDiceList');
+		if (!container) return;
+
+		const hitDice = playStateService.getHitDice(character);
+		if (hitDice.length === 0) {
+			container.innerHTML =
+				'<p class="text-muted text-center mb-0 empty-placeholder">No class levels</p>';
+			return;
+		}
+
+		container.innerHTML = hitDice
+			.map(
+				(hd) => `
+                <div class="play-row">
+                    <span><strong>${hd.className}</strong> <span class="text-secondary">d${hd.die}</span></span>
+                    <span>${hd.remaining} / ${hd.total}</span>
+                    <button class="btn btn-sm btn-outline-success" data-spend-hit-die="${hd.className}"
+                        ${hd.remaining > 0 ? '' : 'disabled'} title="Roll a hit die and regain hit points">
+                        <i class="fas fa-dice"></i> Spend
+                    </button>
+                </div>`,
+			)
+			.join('');
+	}
+
+	renderResources(character) {
+		const container = document.getElementById('playResourceList');
+		if (!container) return;
+
+		const resources = playStateService.getResources(character);
+		if (resources.length === 0) {
+			container.innerHTML =
+				'<p class="text-muted text-center mb-0 empty-placeholder">No limited-use class features</p>';
+			return;
+		}
+
+		container.innerHTML = resources
+			.map((resource) => {
+				const unlimited = resource.max === Infinity;
+				const rechargeLabel =
+					resource.recharge === REST_TYPES.SHORT ? 'Short Rest' : 'Long Rest';
+				return `
+                <div class="play-row">
+                    <span>
+                        <strong>${resource.name}</strong>
+                        <span class="text-secondary small">${resource.className}</span>
+                        <span class="badge bg-secondary ms-1">${rechargeLabel}</span>
+                    </span>
+                    <span>${unlimited ? 'Unlimited' : `${resource.remaining} / ${resource.max}`}</span>
+                    <div class="btn-group">
+                        <button class="btn btn-sm btn-outline-secondary" data-restore-resource="${resource.id}"
+                            ${resource.used > 0 ? '' : 'disabled'} title="Restore one use">
+                            <i class="fas fa-plus"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-primary" data-use-resource="${resource.id}"
+                            ${resource.remaining > 0 ? '' : 'disabled'} title="Use">
+                            <i class="fas fa-minus"></i>
+                        </button>
+                    </div>
+                </div>`;
+			})
+			.join('');
+	}
+
+	renderSpellSlots(character) {
+		const container = document.getElementById('playSpellSlotList');
+		if (!container) return;
+
+		// One shared pool for every casting class, Pact Magic kept apart
+		const { shared, pact } =
+			spellSelectionService.syncSpellSlotPools(character);
+		const rows = [];
+		for (const [pool, slots, label] of [
+			['shared', shared, ''],
+			['pact', pact, 'Pact Magic'],
+		]) {
+			for (const [level, slot] of Object.entries(slots)) {
+				rows.push(`
+                <div class="play-row">
+                    <span><strong>${SPELL_LEVEL_LABELS[level] || level}-level slots</strong>
+                        ${label ? `<span class="text-secondary small">${label}</span>` : ''}</span>
+                    <span>${slot.current} / ${slot.max}</span>
+                    <button class="btn btn-sm btn-outline-primary" data-use-slot-pool="${pool}"
+                        data-use-slot-level="${level}" ${slot.current > 0 ? '' : 'disabled'} title="Use a slot">
+                        <i class="fas fa-minus"></i>
+                    </button>
+                </div>`);
+			}
+		}
+
+		container.innerHTML = rows.join('');
+	}
+
+	renderConditions(character) {
+		const select = document.getElementById('playConditionSelect');
+		if (select && select.options.length <= 1) {
+			const names = [
+				...new Set(conditionService.getAllConditions().map((c) => c.name)),
+			].sort();
+			for (const name of names) {
+				const option = document.createElement('option');
+				option.value = name;
+				option.textContent = name;
+				select.appendChild(option);
+			}
+		}
+
+		const list = document.getElementById('playConditionList');
+		if (list) {
+			const conditions = playStateService.getConditions(character);
+			list.innerHTML =
+				conditions.length === 0
+					? '<span class="text-muted small">No active conditions</span>'
+					: conditions
+							.map(
+								(c) => `
+                    <span class="badge bg-warning text-dark d-inline-flex align-items-center gap-1">
+                        <a href="#" class="reference-link text-dark" data-hover-type="condition"
+                            data-hover-name="${c.name}">${c.name}</a>
+                        <button class="btn btn-sm p-0 border-0 text-dark" data-remove-condition="${c.name}"
+                            title="Remove">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </span>`,
+							)
+							.join('');
+		}
+
+		const exhaustionInput = document.getElementById('playExhaustionInput');
+		if (exhaustionInput) {
+			exhaustionInput.value = character.playState.exhaustion;
+		}
+	}
+}
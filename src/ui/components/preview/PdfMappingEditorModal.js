@@ -0,0 +1,312 @@
+// Bind the fields of a user PDF template to derived character values
+
+import { DOMCleanup } from '../../../lib/DOMCleanup.js';
+import {
+	disposeBootstrapModal,
+	initializeBootstrapModal,
+} from '../../../lib/ModalCleanupUtility.js';
+import { showNotification } from '../../../lib/Notifications.js';
+import {
+	MAPPING_FORMATS,
+	MAPPING_VALUES,
+	TEMPLATE_MAPPING_VERSION,
+} from '../../../lib/TemplateMapping.js';
+
+const CHECKBOX_RULES = {
+	truthy: 'When set',
+	includes: 'Contains',
+	equals: 'Equals',
+	min: 'At least',
+};
+
+function createSelect(className, options, selected) {
+	const select = document.createElement('select');
+	select.className = `form-select form-select-sm ${className}`;
+	for (const [value, label] of options) {
+		const option = document.createElement('option');
+		option.value = value;
+		option.textContent = label;
+		option.selected = value === selected;
+		select.appendChild(option);
+	}
+	return select;
+}
+
+function createInput(className, placeholder, value = '') {
+	const input = document.createElement('input');
+	input.type = 'text';
+	input.className = `form-control form-control-sm ${className}`;
+	input.placeholder = placeholder;
+	input.value = value;
+	return input;
+}
+
+/** Character value picker, grouped like MAPPING_VALUES */
+function createValueSelect(selected) {
+	const select = document.createElement('select');
+	select.className = 'form-select form-select-sm pdf-mapping-value';
+	select.appendChild(new Option('— Not mapped —', ''));
+
+	const groups = new Map();
+	for (const value of MAPPING_VALUES) {
+		if (!groups.has(value.group)) {
+			const optgroup = document.createElement('optgroup');
+			optgroup.label = value.group;
+			groups.set(value.group, optgroup);
+			select.appendChild(optgroup);
+		}
+		const option = new Option(value.label, value.key);
+		option.selected = value.key === selected;
+		groups.get(value.group).appendChild(option);
+	}
+	return select;
+}
+
+function getCheckboxRule(when) {
+	if (!when) return ['truthy', ''];
+	for (const rule of ['includes', 'equals', 'min']) {
+		if (when[rule] !== undefined) return [rule, String(when[rule])];
+	}
+	return ['truthy', ''];
+}
+
+export class PdfMappingEditorModal {
+	constructor() {
+		this.modalEl = null;
+		this.bootstrapModal = null;
+		this._cleanup = DOMCleanup.create();
+	}
+
+	/**
+	 * @param {{name: string, filename: string}} template - A user template
+	 * @returns {Promise<boolean>} Whether a mapping was saved
+	 */
+	async show(template) {
+		this.modalEl = document.getElementById('pdfMappingModal');
+		if (!this.modalEl) {
+			console.error(
+				'[PdfMappingEditorModal]',
+				'Modal element #pdfMappingModal not found in DOM',
+			);
+			showNotification('Could not open the mapping editor', 'error');
+			return false;
+		}
+
+		const result = await window.characterStorage.getPdfTemplateMapping(
+			template.filename,
+		);
+		if (!result.success) {
+			showNotification(result.error || 'Could not read the template', 'error');
+			return false;
+		}
+		if (result.fields.length === 0) {
+			showNotification('This PDF has no fillable form fields', 'warning');
+			return false;
+		}
+
+		this.modalEl.querySelector('.pdf-mapping-title').textContent =
+			template.name;
+		const errorEl = this.modalEl.querySelector('.pdf-mapping-error');
+		errorEl.textContent = result.mappingError
+			? `The saved mapping could not be read and was ignored: ${result.mappingError}`
+			: '';
+		errorEl.classList.toggle('u-hidden', !result.mappingError);
+		const filterInput = this.modalEl.querySelector('#pdfMappingFilter');
+		filterInput.value = '';
+
+		const bindings = result.mapping?.fields || {};
+		this._renderRows(result.fields, bindings);
+		this._updateSummary();
+
+		this._cleanup = DOMCleanup.create();
+		this.modalEl.classList.remove('u-hidden');
+		disposeBootstrapModal(this.bootstrapModal);
+		this.bootstrapModal = initializeBootstrapModal(this.modalEl);
+		if (!this.bootstrapModal) {
+			console.error(
+				'[PdfMappingEditorModal]',
+				'Failed to initialize Bootstrap modal',
+			);
+			showNotification('Could not open the mapping editor', 'error');
+			return false;
+		}
+		this._cleanup.registerBootstrapModal(this.modalEl, this.bootstrapModal);
+
+		const rowsEl = this.modalEl.querySelector('.pdf-mapping-rows');
+		this._cleanup.on(rowsEl, 'change', (e) => {
+			if (e.target.classList.contains('pdf-mapping-rule')) {
+				const ruleInput = e.target
+					.closest('tr')
+					.querySelector('.pdf-mapping-rule-value');
+				ruleInput.classList.toggle('u-hidden', e.target.value === 'truthy');
+			}
+			this._updateSummary();
+		});
+		this._cleanup.on(filterInput, 'input', () =>
+			this._filterRows(filterInput.value),
+		);
+
+		return new Promise((resolve) => {
+			let saved = false;
+			const saveBtn = this.modalEl.querySelector('#pdfMappingSaveBtn');
+
+			this._cleanup.on(saveBtn, 'click', async () => {
+				saveBtn.disabled = true;
+				try {
+					saved = await this._save(template, result.mapping);
+					if (saved) this.bootstrapModal.hide();
+				} finally {
+					saveBtn.disabled = false;
+				}
+			});
+			this._cleanup.once(this.modalEl, 'hidden.bs.modal', () => {
+				this._cleanup.cleanup();
+				disposeBootstrapModal(this.bootstrapModal);
+				this.bootstrapModal = null;
+				resolve(saved);
+			});
+
+			this.bootstrapModal.show();
+		});
+	}
+
+	_renderRows(fields, bindings) {
+		const rowsEl = this.modalEl.querySelector('.pdf-mapping-rows');
+		rowsEl.textContent = '';
+
+		for (const field of fields) {
+			const binding = bindings[field.name] || {};
+			const isCheckbox = field.type === 'checkbox';
+			const row = document.createElement('tr');
+			row.dataset.field = field.name;
+			row.dataset.type = isCheckbox ? 'checkbox' : 'text';
+
+			const nameCell = row.insertCell();
+			nameCell.textContent = field.name;
+			const badge = document.createElement('span');
+			badge.className = 'badge bg-secondary ms-2';
+			badge.textContent = field.type;
+			nameCell.appendChild(badge);
+
+			row.insertCell().appendChild(createValueSelect(binding.value));
+
+			const options = document.createElement('div');
+			options.className = 'pdf-mapping-options';
+			if (isCheckbox) {
+				const [rule, ruleValue] = getCheckboxRule(binding.when);
+				const ruleInput = createInput(
+					'pdf-mapping-rule-value',
+					'Value',
+					ruleValue,
+				);
+				ruleInput.classList.toggle('u-hidden', rule === 'truthy');
+				options.append(
+					createSelect(
+						'pdf-mapping-rule',
+						Object.entries(CHECKBOX_RULES),
+						rule,
+					),
+					ruleInput,
+				);
+			} else {
+				options.append(
+					createSelect(
+						'pdf-mapping-format',
+						Object.entries(MAPPING_FORMATS),
+						binding.format || 'text',
+					),
+					createInput('pdf-mapping-prefix', 'Prefix', binding.prefix),
+					createInput('pdf-mapping-suffix', 'Suffix', binding.suffix),
+				);
+			}
+			row.insertCell().appendChild(options);
+			rowsEl.appendChild(row);
+		}
+	}
+
+	_filterRows(text) {
+		const query = text.trim().toLowerCase();
+		for (const row of this.modalEl.querySelectorAll('.pdf-mapping-rows tr')) {
+			row.classList.toggle(
+				'u-hidden',
+				Boolean(query) && !row.dataset.field.toLowerCase().includes(query),
+			);
+		}
+	}
+
+	_updateSummary() {
+		const rows = [...this.modalEl.querySelectorAll('.pdf-mapping-rows tr')];
+		const bound = rows.filter(
+			(row) => row.querySelector('.pdf-mapping-value').value,
+		).length;
+		this.modalEl.querySelector('.pdf-mapping-summary').textContent =
+			`${bound} of ${rows.length} fields bound. Unbound fields are left blank.`;
+	}
+
+	/** Read the bindings back from the table */
+	_collectMapping(previous) {
+		const fields = {};
+		for (const row of this.modalEl.querySelectorAll('.pdf-mapping-rows tr')) {
+			const value = row.querySelector('.pdf-mapping-value').value;
+			if (!value) continue;
+
+			if (row.dataset.type === 'checkbox') {
+				const binding = { type: 'checkbox', value };
+				const rule = row.querySelector('.pdf-mapping-rule').value;
+				const ruleValue = row
+					.querySelector('.pdf-mapping-rule-value')
+					.value.trim();
+				if (rule === 'min') {
+					binding.when = { min: Number(ruleValue) || 0 };
+				} else if (rule !== 'truthy') {
+					binding.when = { [rule]: ruleValue };
+				}
+				fields[row.dataset.field] = binding;
+				continue;
+			}
+
+			const binding = {
+				...previous?.fields?.[row.dataset.field],
+				type: 'text',
+				value,
+			};
+			delete binding.when;
+			const format = row.querySelector('.pdf-mapping-format').value;
+			const prefix = row.querySelector('.pdf-mapping-prefix').value;
+			const suffix = row.querySelector('.pdf-mapping-suffix').value;
+			if (format !== 'text') binding.format = format;
+			else delete binding.format;
+			if (prefix) binding.prefix = prefix;
+			else delete binding.prefix;
+			if (suffix) binding.suffix = suffix;
+			else delete binding.suffix;
+			fields[row.dataset.field] = binding;
+		}
+
+		return {
+			version: TEMPLATE_MAPPING_VERSION,
+			...(previous?.name ? { name: previous.name } : {}),
+			fields,
+		};
+	}
+
+	/** @returns {Promise<boolean>} Whether the mapping was written */
+	async _save(template, previous) {
+		try {
+			const result = await window.characterStorage.savePdfTemplateMapping(
+				template.filename,
+				this._collectMapping(previous),
+			);
+			if (!result.success) {
+				showNotification(result.error || 'Could not save the mapping', 'error');
+				return false;
+			}
+			showNotification('Field mapping saved', 'success');
+			return true;
+		} catch (error) {
+			console.error('[PdfMappingEditorModal]', 'Saving mapping failed', error);
+			showNotification('Failed to save the field mapping', 'error');
+			return false;
+		}
+	}
+}
@@ -1,7 +1,8 @@
 // Controller for proficiency display/selection/notes UI
 
 import { CharacterManager } from '../../../app/CharacterManager.js';
-import { ABILITY_NAMES, STANDARD_SKILL_OPTIONS, STANDARD_TOOL_OPTIONS, toSentenceCase, toTitleCase } from '../../../lib/5eToolsParser.js';
+import { ABILITY_NAMES, formatModifierNumber, STANDARD_SKILL_OPTIONS, STANDARD_TOOL_OPTIONS, toSentenceCase, toTitleCase } from '../../../lib/5eToolsParser.js';
+import { computeSkills, formatBreakdown } from '../../../lib/CharacterStats.js';
 import { DOMCleanup } from '../../../lib/DOMCleanup.js';
 import { eventBus, EVENTS } from '../../../lib/EventBus.js';
 import TextProcessor, { textProcessor } from '../../../lib/TextProcessor.js';
@@ -561,6 +562,9 @@ export class ProficiencyCard {
 	async _populateAccordion() {
 		if (!this._character || !this._accordion) return;
 
+		// Drop expertise picks that lost their slot or proficiency
+		proficiencyService.syncExpertise(this._character);
+
 		// Get available options for all types
 		const availableOptionsMap = {};
 		for (const type of this._proficiencyTypes) {
@@ -650,6 +654,8 @@ export class ProficiencyCard {
 			`;
 		}
 
+		html += this._buildExpertiseAccordionItem(expandedItems.has('expertise'));
+
 		this._accordion.innerHTML = html;
 
 		// Re-populate container references for legacy code compatibility
@@ -733,9 +739,20 @@ export class ProficiencyCard {
 			const displayName =
 				type === 'skills' || type === 'languages' ? toTitleCase(item) : item;
 
+			let expertiseMarker = '';
+			if (
+				cssClasses.includes('proficient') &&
+				proficiencyService.hasExpertise(this._character, type, item)
+			) {
+				cssClasses.push('expertise');
+				expertiseMarker =
+					'<span class="expertise-marker" title="Expertise"><i class="fas fa-star"></i></span>';
+			}
+
 			itemsHtml +=
 				`<div class="${cssClasses.join(' ')}" data-proficiency="${item}" data-type="${type}">` +
 				`<i class="fas ${iconClass} ${optionalClass}"></i>${displayName}` +
+				expertiseMarker +
 				unselectHint +
 				'</div>';
 		}
@@ -743,6 +760,101 @@ export class ProficiencyCard {
 		return itemsHtml;
 	}
 
+	/**
+	 * Accordion section with one group of chips per expertise choice. Only
+	 * skills and tools the character is already proficient in are offered.
+	 * @returns {string} Empty when no class feature or feat grants expertise
+	 */
+	_buildExpertiseAccordionItem(isExpanded) {
+		const slots = proficiencyService.getExpertiseSlots(this._character);
+		if (slots.length === 0) return '';
+
+		const collapseId = 'proficienciesExpertise';
+		let selectedTotal = 0;
+		let allowedTotal = 0;
+		let groupsHtml = '';
+
+		for (const slot of slots) {
+			const options = proficiencyService.getExpertiseOptions(
+				this._character,
+				slot,
+			);
+			const selectedCount = options.filter((option) => option.selected).length;
+			const slotFull = selectedCount >= slot.count;
+			selectedTotal += selectedCount;
+			allowedTotal += slot.count;
+
+			let itemsHtml = '';
+			for (const option of options) {
+				const cssClasses = ['proficiency-item', 'expertise-option'];
+				if (option.selected) {
+					cssClasses.push('proficient', 'selected', 'expertise');
+				} else if (!slotFull) {
+					cssClasses.push('selectable');
+				} else {
+					cssClasses.push('disabled');
+				}
+				const unselectHint = option.selected
+					? '<span class="unselect-hint"><i class="fas fa-times"></i></span>'
+					: '';
+				itemsHtml +=
+					`<div class="${cssClasses.join(' ')}" data-expertise-slot="${slot.key}" data-proficiency="${option.name}" data-type="${option.type}">` +
+					`<i class="fas ${this._displayView.getIconForType(option.type)}"></i>${option.name}` +
+					unselectHint +
+					'</div>';
+			}
+
+			groupsHtml += `
+				<div class="expertise-slot mb-2">
+					<div class="small fw-semibold mb-1">
+						${slot.label}
+						<span class="badge bg-secondary ms-1">${selectedCount}/${slot.count}</span>
+					</div>
+					<div class="proficiency-grid">
+						${itemsHtml || '<span class="text-muted small">Gain a skill proficiency first.</span>'}
+					</div>
+				</div>
+			`;
+		}
+
+		return `
+			<div class="accordion-item">
+				<h2 class="accordion-header" id="heading${collapseId}">
+					<button class="accordion-button ${isExpanded ? '' : 'collapsed'}" type="button" 
+						data-bs-toggle="collapse" data-bs-target="#${collapseId}" 
+						aria-expanded="${isExpanded}" aria-controls="${collapseId}">
+						<i class="fas ${this._displayView.getIconForType('expertise')} me-2"></i>
+						<strong>${this._displayView.getTypeLabel('expertise')}</strong>
+						<span class="badge bg-secondary ms-2">${selectedTotal}/${allowedTotal}</span>
+					</button>
+				</h2>
+				<div id="${collapseId}" class="accordion-collapse collapse ${isExpanded ? 'show' : ''}" 
+					aria-labelledby="heading${collapseId}">
+					<div class="accordion-body p-2">
+						${groupsHtml}
+					</div>
+				</div>
+			</div>
+		`;
+	}
+
+	_toggleExpertise(item) {
+		const { expertiseSlot, type, proficiency } = item.dataset;
+		try {
+			const args = [this._character, expertiseSlot, type, proficiency];
+			const changed = item.classList.contains('selected')
+				? proficiencyService.deselectExpertise(...args)
+				: proficiencyService.selectExpertise(...args);
+			if (changed) {
+				eventBus.emit(EVENTS.CHARACTER_UPDATED, {
+					character: CharacterManager.getCurrentCharacter(),
+				});
+			}
+		} catch (error) {
+			console.warn('[ProficiencyCard]', 'Expertise choice rejected:', error);
+		}
+	}
+
 	_setupAccordionClickListeners() {
 		if (!this._accordion) return;
 
@@ -750,6 +862,11 @@ export class ProficiencyCard {
 			const item = e.target.closest('.proficiency-item');
 			if (!item) return;
 
+			if (item.dataset.expertiseSlot) {
+				if (!item.classList.contains('disabled')) this._toggleExpertise(item);
+				return;
+			}
+
 			// Only toggle if it's selectable or optionally selected
 			const isSelectable = item.classList.contains('selectable');
 			const isOptionalSelected = item.classList.contains('optional-selected');
@@ -831,6 +948,7 @@ export class ProficiencyCard {
 						<div class="proficiency-info">
 							<h5><i class="fas fa-check-circle me-2"></i>${info.name}</h5>
 							<p class="text-muted"><strong>Ability:</strong> ${info.ability.toUpperCase()}</p>
+							${this._getSkillBonusHtml(proficiency)}
 							<div class="mt-3">
 								${descriptionText}
 							</div>
@@ -987,6 +1105,18 @@ export class ProficiencyCard {
 	 * Handles strings, lists, nested entries, etc.
 	 * Tags will be processed later by textProcessor.processElement
 	 */
+	/** Current bonus with its breakdown, so doubled expertise is visible */
+	_getSkillBonusHtml(proficiency) {
+		if (!this._character) return '';
+		const skills = computeSkills(this._character);
+		const skillName = Object.keys(skills).find(
+			(name) => name.toLowerCase() === String(proficiency).toLowerCase(),
+		);
+		const skill = skills[skillName];
+		if (!skill) return '';
+		return `<p class="text-muted"><strong>Bonus:</strong> ${formatModifierNumber(skill.value)} (${formatBreakdown(skill.breakdown)})</p>`;
+	}
+
 	_renderEntries(entries) {
 		if (!entries) return '';
 		if (!Array.isArray(entries)) entries = [entries];
@@ -237,6 +237,8 @@ export class ProficiencyDisplayView {
 				return 'fa-shield-alt';
 			case 'languages':
 				return 'fa-comment';
+			case 'expertise':
+				return 'fa-star';
 			default:
 				return 'fa-circle';
 		}
@@ -256,6 +258,8 @@ export class ProficiencyDisplayView {
 				return 'Armor';
 			case 'weapons':
 				return 'Weapons';
+			case 'expertise':
+				return 'Expertise';
 			default:
 				// For any unknown types, display as-is to preserve source casing
 				return type;
@@ -3,25 +3,54 @@
 import { AppState } from '../../../app/AppState.js';
 import { CharacterManager } from '../../../app/CharacterManager.js';
 import { DOMCleanup } from '../../../lib/DOMCleanup.js';
-import { NotFoundError } from '../../../lib/Errors.js';
+import { NotFoundError, ValidationError } from '../../../lib/Errors.js';
 import { eventBus, EVENTS } from '../../../lib/EventBus.js';
+import { CUSTOM_LINEAGE_DARKVISION } from '../../../lib/GameRules.js';
+import { showNotification } from '../../../lib/Notifications.js';
 
 import {
 	escapeHtml,
 	STANDARD_LANGUAGE_OPTIONS,
 	STANDARD_SKILL_OPTIONS,
 	STANDARD_TOOL_OPTIONS,
+	toTitleCase,
 	unpackUid
 } from '../../../lib/5eToolsParser.js';
+import { ABILITIES } from '../../../lib/CharacterStats.js';
 import TextProcessor, { textProcessor } from '../../../lib/TextProcessor.js';
 import {
 	abilityScoreService,
 	getRaceAbilityData,
 } from '../../../services/AbilityScoreService.js';
+import {
+	LINEAGE_TRAITS,
+	originCustomizationService,
+} from '../../../services/OriginCustomizationService.js';
 import { raceService } from '../../../services/RaceService.js';
+import { rulesetService } from '../../../services/RulesetService.js';
 import { sourceService } from '../../../services/SourceService.js';
 import { RaceDetailsView } from './RaceDetailsView.js';
 
+const LINEAGE_TRAIT_LABELS = Object.freeze({
+	darkvision: `Darkvision (${CUSTOM_LINEAGE_DARKVISION} ft.)`,
+	skill: 'Proficiency in one skill',
+});
+
+function originSelect(attributes, placeholder, options, selected) {
+	const items = options.map(
+		([value, label]) =>
+			`<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`,
+	);
+	if (placeholder !== null) {
+		items.unshift(`<option value="">${escapeHtml(placeholder)}</option>`);
+	}
+	return `<select class="form-select form-select-sm" ${attributes}>${items.join('')}</select>`;
+}
+
+function originRow(label, control) {
+	return `<div class="origin-row"><label>${escapeHtml(label)}</label>${control}</div>`;
+}
+
 export class RaceCard {
 	constructor() {
 		this._raceService = raceService;
@@ -32,6 +61,7 @@ export class RaceCard {
 		this._infoPanel = document.getElementById('raceInfoPanel');
 		this._toggleBtn = document.getElementById('raceInfoToggle');
 		this._searchInput = document.getElementById('raceSearchInput');
+		this._originPanel = document.getElementById('raceOriginOptions');
 
 		this._detailsView = new RaceDetailsView();
 
@@ -44,6 +74,11 @@ export class RaceCard {
 		this._selectedRace = null;
 		this._selectedSubrace = null;
 
+		// Race shown in the Customizing Your Origin panel
+		this._originRace = null;
+		this._originSubrace = null;
+		this._originSpreadIndex = 0;
+
 		// Initialize the component
 		this.initialize();
 	}
@@ -95,6 +130,12 @@ export class RaceCard {
 				this._populateRaceList();
 			});
 		}
+
+		if (this._originPanel) {
+			this._cleanup.on(this._originPanel, 'change', (e) =>
+				this._handleOriginChange(e.target),
+			);
+		}
 	}
 
 	_cleanupEventListeners() {
@@ -171,6 +212,7 @@ export class RaceCard {
                 <input type="radio" name="race" value="${escapeHtml(race.name)}_${escapeHtml(race.source)}" class="form-check-input">
                 <div class="flex-grow-1">
                     <strong>${escapeHtml(race.name)}</strong>
+                    ${race.homebrew ? '<span class="badge bg-info ms-2">Homebrew</span>' : ''}
                 </div>
             </div>
         `;
@@ -604,10 +646,15 @@ export class RaceCard {
 
 				// Restore any previously saved racial ability choices
 				const savedChoices = character.race?.abilityChoices || [];
-				if (savedChoices.length > 0) {
+				if (
+					savedChoices.length > 0 &&
+					rulesetService.usesRacialAbilityBonuses(character)
+				) {
 					abilityScoreService.setRacialAbilityChoices(savedChoices);
 				}
 
+				this._renderOriginOptions(race, subrace);
+
 				// Notify AbilityScoreCard so it re-renders with the restored bonuses
 				eventBus.emit(EVENTS.ABILITY_SCORES_CHANGED, { source: 'RaceCard:loadSaved' });
 			} catch (error) {
@@ -635,15 +682,8 @@ export class RaceCard {
 			: [];
 
 		// Capture existing race optional proficiency selections before cleanup so they can be restored
-		const previousRaceOptionalSelections = {
-			skills:
-				character.optionalProficiencies?.skills?.race?.selected?.slice() || [],
-			languages:
-				character.optionalProficiencies?.languages?.race?.selected?.slice() ||
-				[],
-			tools:
-				character.optionalProficiencies?.tools?.race?.selected?.slice() || [],
-		};
+		const previousRaceOptionalSelections =
+			this._getRaceOptionalSelections(character);
 
 		// We want to do a more thorough cleanup, so always treat as changed
 		const forceCleanup = true;
@@ -656,6 +696,8 @@ export class RaceCard {
 			character.race?.subrace !== (subrace?.name || '');
 
 		if (hasChanged) {
+			const previousRace = character.race;
+
 			// Perform thorough cleanup of all race-related benefits
 
 			// Clear all ability bonuses from race and subrace
@@ -676,12 +718,14 @@ export class RaceCard {
 					source: '',
 					subrace: '',
 				};
+				this._renderOriginOptions(null, null);
 			} else {
-				// Set race
+				// Set race, keeping Customizing Your Origin choices that still apply
 				character.race = {
 					name: race.name,
 					source: race.source,
 					subrace: subrace?.name || '',
+					...originCustomizationService.carryOver(previousRace, race, subrace),
 				};
 
 				// Update character size and speed
@@ -692,12 +736,17 @@ export class RaceCard {
 				this._updateAbilityBonuses(race, subrace);
 
 				// Restore saved racial ability choices (if any) after bonuses are reset
-				if (restoreAbilityChoices && savedAbilityChoices.length > 0) {
+				if (
+					restoreAbilityChoices &&
+					savedAbilityChoices.length > 0 &&
+					rulesetService.usesRacialAbilityBonuses(character)
+				) {
 					abilityScoreService.setRacialAbilityChoices(savedAbilityChoices);
 				}
 
 				// Add traits
 				this._updateRacialTraits(race, subrace);
+				originCustomizationService.applyLineageTrait(character);
 
 				// Add proficiencies
 				this._updateRaceProficiencies(
@@ -706,6 +755,7 @@ export class RaceCard {
 					previousRaceOptionalSelections,
 				);
 
+				this._renderOriginOptions(race, subrace);
 			}
 
 			// Notify coordinator to refresh dependent cards
@@ -718,6 +768,18 @@ export class RaceCard {
 		}
 	}
 
+	_getRaceOptionalSelections(character) {
+		return {
+			skills:
+				character.optionalProficiencies?.skills?.race?.selected?.slice() || [],
+			languages:
+				character.optionalProficiencies?.languages?.race?.selected?.slice() ||
+				[],
+			tools:
+				character.optionalProficiencies?.tools?.race?.selected?.slice() || [],
+		};
+	}
+
 	_updateAbilityBonuses(race, subrace, options = {}) {
 		const { silent = false } = options;
 		const character = CharacterManager.getCurrentCharacter();
@@ -734,6 +796,18 @@ export class RaceCard {
 		character.clearAbilityBonuses('Subrace');
 		character.clearPendingAbilityChoices();
 
+		// Under the 2024 rules ability bonuses come from the background, and a
+		// customized origin replaces the race's own increases
+		if (
+			!rulesetService.usesRacialAbilityBonuses(character) ||
+			originCustomizationService.applyAbilityBonuses(character, race, subrace)
+		) {
+			if (!silent) {
+				eventBus.emit(EVENTS.ABILITY_SCORES_CHANGED, { character });
+			}
+			return;
+		}
+
 		try {
 			// Special handling for Half-Elf (PHB)
 			if (race.name === 'Half-Elf' && race.source === 'PHB') {
@@ -802,6 +876,223 @@ export class RaceCard {
 		}
 	}
 
+	//-------------------------------------------------------------------------
+	// Customizing Your Origin
+	//-------------------------------------------------------------------------
+
+	/** Show the origin toggle, ability spread, swaps and lineage trait for the race */
+	_renderOriginOptions(race, subrace) {
+		if (!this._originPanel) return;
+		if (race !== this._originRace) this._originSpreadIndex = 0;
+		this._originRace = race;
+		this._originSubrace = subrace;
+
+		const character = CharacterManager.getCurrentCharacter();
+		if (!character || !race) {
+			this._originPanel.innerHTML = '';
+			this._originPanel.classList.add('u-hidden');
+			return;
+		}
+
+		const customized = originCustomizationService.isCustomized(character);
+		let html = `
+			<div class="form-check form-switch mb-0">
+				<input class="form-check-input" type="checkbox" id="raceCustomOriginToggle" data-origin="toggle" ${customized ? 'checked' : ''}>
+				<label class="form-check-label" for="raceCustomOriginToggle">Customizing Your Origin</label>
+			</div>`;
+		if (customized) {
+			html += this._getOriginAbilityHtml(character, race, subrace);
+			html += this._getOriginSwapHtml(character, race);
+		}
+		if (originCustomizationService.isCustomLineage(race)) {
+			html += originRow(
+				'Variable trait',
+				originSelect(
+					'data-origin="lineage"',
+					'Choose a trait...',
+					LINEAGE_TRAITS.map((trait) => [trait, LINEAGE_TRAIT_LABELS[trait]]),
+					character.race.lineageTrait,
+				),
+			);
+		}
+
+		this._originPanel.innerHTML = html;
+		this._originPanel.classList.remove('u-hidden');
+	}
+
+	/** The spreads the race allows, and the one shown in the ability selects */
+	_getOriginSpread(character, race, subrace) {
+		const spreads = originCustomizationService.getAbilitySpreads(race, subrace);
+		const bonuses = character.race?.customOrigin?.abilityBonuses;
+		if (bonuses) {
+			const values = Object.values(bonuses).sort((a, b) => b - a);
+			const index = spreads.findIndex(
+				(spread) => spread.join() === values.join(),
+			);
+			if (index !== -1) this._originSpreadIndex = index;
+		}
+		if (!spreads[this._originSpreadIndex]) this._originSpreadIndex = 0;
+		return { spreads, spread: spreads[this._originSpreadIndex] || [] };
+	}
+
+	_getOriginAbilityHtml(character, race, subrace) {
+		if (!rulesetService.usesRacialAbilityBonuses(character)) return '';
+		const { spreads, spread } = this._getOriginSpread(character, race, subrace);
+		if (spread.length === 0) return '';
+
+		let html = '';
+		if (spreads.length > 1) {
+			html += originRow(
+				'Ability increases',
+				originSelect(
+					'data-origin="spread"',
+					null,
+					spreads.map((option, index) => [
+						String(index),
+						option.map((value) => `+${value}`).join(' / '),
+					]),
+					String(this._originSpreadIndex),
+				),
+			);
+		}
+
+		// Largest increase first, matching the order of the spread
+		const chosen = Object.entries(
+			character.race.customOrigin.abilityBonuses || {},
+		).sort(([, a], [, b]) => b - a);
+		spread.forEach((value, index) => {
+			html += originRow(
+				`+${value}`,
+				originSelect(
+					`data-origin="ability" data-index="${index}" data-value="${value}"`,
+					'Choose an ability...',
+					ABILITIES.map((ability) => [ability, toTitleCase(ability)]),
+					chosen[index]?.[0],
+				),
+			);
+		});
+		return html;
+	}
+
+	_getOriginSwapHtml(character, race) {
+		let html = '';
+		const swappable =
+			originCustomizationService.getSwappableProficiencies(race);
+		for (const [type, names] of Object.entries(swappable)) {
+			const options = originCustomizationService.getSwapOptions(race, type);
+			for (const name of names) {
+				const current = originCustomizationService.resolveProficiency(
+					character,
+					type,
+					name,
+				);
+				html += originRow(
+					toTitleCase(name),
+					originSelect(
+						`data-origin="swap" data-type="${type}" data-from="${escapeHtml(name)}"`,
+						`Keep ${toTitleCase(name)}`,
+						options.map((option) => [option, option]),
+						current === name ? '' : current,
+					),
+				);
+			}
+		}
+		return html;
+	}
+
+	/** The increases picked in the ability selects, or null until all are picked */
+	_readOriginAbilityBonuses() {
+		const bonuses = {};
+		for (const select of this._originPanel.querySelectorAll(
+			'[data-origin="ability"]',
+		)) {
+			if (!select.value) return null;
+			if (bonuses[select.value]) {
+				throw new ValidationError(
+					'Each increase must go to a different ability',
+				);
+			}
+			bonuses[select.value] = Number(select.dataset.value);
+		}
+		return bonuses;
+	}
+
+	_handleOriginChange(target) {
+		const race = this._originRace;
+		const subrace = this._originSubrace;
+		const character = CharacterManager.getCurrentCharacter();
+		if (!character || !race || !target.dataset.origin) return;
+
+		try {
+			switch (target.dataset.origin) {
+				case 'toggle':
+					originCustomizationService.setCustomized(character, target.checked);
+					abilityScoreService.clearStoredChoices();
+					this._updateAbilityBonuses(race, subrace);
+					this._refreshRaceProficiencies(race, subrace);
+					break;
+				case 'spread':
+					this._originSpreadIndex = Number(target.value);
+					originCustomizationService.setAbilityBonuses(
+						character,
+						race,
+						subrace,
+						null,
+					);
+					this._updateAbilityBonuses(race, subrace);
+					break;
+				case 'ability': {
+					const bonuses = this._readOriginAbilityBonuses();
+					if (!bonuses) return;
+					originCustomizationService.setAbilityBonuses(
+						character,
+						race,
+						subrace,
+						bonuses,
+					);
+					this._updateAbilityBonuses(race, subrace);
+					break;
+				}
+				case 'swap':
+					originCustomizationService.setProficiencySwap(
+						character,
+						race,
+						target.dataset.type,
+						target.dataset.from,
+						target.value || null,
+					);
+					this._refreshRaceProficiencies(race, subrace);
+					break;
+				case 'lineage':
+					originCustomizationService.setLineageTrait(
+						character,
+						target.value || null,
+					);
+					originCustomizationService.applyLineageTrait(character);
+					this._refreshRaceProficiencies(race, subrace);
+					break;
+				default:
+					return;
+			}
+		} catch (error) {
+			if (!(error instanceof ValidationError)) throw error;
+			showNotification(error.message, 'warning');
+			this._renderOriginOptions(race, subrace);
+			return;
+		}
+
+		this._renderOriginOptions(race, subrace);
+		eventBus.emit(EVENTS.CHARACTER_UPDATED, { character });
+	}
+
+	/** Grant the race's proficiencies again after a swap, keeping valid picks */
+	_refreshRaceProficiencies(race, subrace) {
+		const character = CharacterManager.getCurrentCharacter();
+		const previousSelections = this._getRaceOptionalSelections(character);
+		character.removeProficienciesBySource('Race');
+		this._updateRaceProficiencies(race, subrace, previousSelections);
+	}
+
 	_updateRacialTraits(race, subrace) {
 		const character = CharacterManager.getCurrentCharacter();
 		if (!character || !race) return;
@@ -964,7 +1255,15 @@ export class RaceCard {
 				if (hasProf === true) {
 					// Extract the weapon name without the source using unpackUid
 					const { name: weaponName } = unpackUid(weapon);
-					character.addProficiency('weapons', weaponName, 'Race');
+					character.addProficiency(
+						'weapons',
+						originCustomizationService.resolveProficiency(
+							character,
+							'weapons',
+							weaponName,
+						),
+						'Race',
+					);
 				}
 			}
 		}
@@ -979,7 +1278,15 @@ export class RaceCard {
 			for (const [tool, hasProf] of Object.entries(profObj)) {
 				if (hasProf === true && tool !== 'any') {
 					// Add tool with original JSON casing preserved
-					character.addProficiency('tools', tool, 'Race');
+					character.addProficiency(
+						'tools',
+						originCustomizationService.resolveProficiency(
+							character,
+							'tools',
+							tool,
+						),
+						'Race',
+					);
 				}
 			}
 
@@ -1023,7 +1330,15 @@ export class RaceCard {
 				for (const [skill, hasProf] of Object.entries(profObj)) {
 					if (hasProf === true && skill !== 'choose') {
 						// Add skill with original JSON casing preserved
-						character.addProficiency('skills', skill, 'Race');
+						character.addProficiency(
+							'skills',
+							originCustomizationService.resolveProficiency(
+								character,
+								'skills',
+								skill,
+							),
+							'Race',
+						);
 					}
 				}
 
@@ -1049,6 +1364,14 @@ export class RaceCard {
 			raceSkillOptions = STANDARD_SKILL_OPTIONS;
 		}
 
+		// Custom Lineage may take a skill of any kind as its Variable Trait
+		const lineageSkills =
+			originCustomizationService.getLineageSkillCount(character);
+		if (lineageSkills > 0) {
+			raceSkillCount += lineageSkills;
+			raceSkillOptions = STANDARD_SKILL_OPTIONS;
+		}
+
 		// Update race-specific skill options and count
 		if (raceSkillCount > 0) {
 			character.optionalProficiencies.skills.race.allowed = raceSkillCount;
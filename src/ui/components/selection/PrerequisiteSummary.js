@@ -0,0 +1,78 @@
+// PrerequisiteSummary.js
+// Lists what a feat or feature still needs, and when levelling up would unlock it
+
+import { capitalize, escapeHtml } from '../../../lib/5eToolsParser.js';
+
+function classLabel(plan, classLevel) {
+	return plan.className
+		? `${plan.className} ${classLevel}`
+		: `level ${classLevel}`;
+}
+
+/**
+ * One-line summary of an unlock plan from `planPrerequisites`.
+ * @param {Object} plan
+ * @param {Object} [options]
+ * @param {boolean} [options.viaAsi] - The item is taken with an ASI (feats)
+ * @returns {string}
+ */
+export function formatUnlockPlan(plan, { viaAsi = false } = {}) {
+	if (!plan || plan.met) return '';
+	if (!plan.level) return 'Levelling up alone will not unlock this';
+
+	const steps = plan.abilityIncreases.map(
+		(increase) =>
+			`+${increase.amount} ${capitalize(increase.ability)} at ${classLabel(plan, increase.classLevel)}`,
+	);
+	const take = viaAsi ? 'take it with the ASI at' : 'available at';
+	steps.push(
+		`${take} ${classLabel(plan, plan.classLevel)} (character level ${plan.level})`,
+	);
+
+	let text = steps.join(', then ');
+	text = text.charAt(0).toUpperCase() + text.slice(1);
+	if (plan.blockers.length) {
+		text += `; also needs ${plan.blockers.map((c) => c.label).join(', ')}`;
+	}
+	return text;
+}
+
+/**
+ * Card markup listing unmet prerequisites and, optionally, the unlock plan.
+ * @param {{unmet: Array<Object>, notes?: string[]}} result - From `evaluatePrerequisites`
+ * @param {Object|null} [plan] - From `planPrerequisites`
+ * @param {Object} [options] - Passed to formatUnlockPlan
+ * @returns {string} HTML, empty when there is nothing to show
+ */
+export function renderPrerequisiteSummary(result, plan = null, options = {}) {
+	const unmet = result?.unmet || [];
+	const notes = result?.notes || [];
+	if (!unmet.length && !notes.length) return '';
+
+	const items = [
+		...unmet.map(
+			(condition) => `
+				<li class="prerequisite-unmet" data-prerequisite-type="${condition.type}">
+					<i class="fas fa-times me-1"></i>Requires ${escapeHtml(condition.label)}
+				</li>`,
+		),
+		...notes.map(
+			(note) => `
+				<li class="text-muted">
+					<i class="fas fa-info-circle me-1"></i>${escapeHtml(note)}
+				</li>`,
+		),
+	].join('');
+
+	const planText = unmet.length ? formatUnlockPlan(plan, options) : '';
+	const planHtml = planText
+		? `<div class="prerequisite-plan small"><i class="fas fa-route me-1"></i>${escapeHtml(planText)}</div>`
+		: '';
+
+	return `
+		<div class="prerequisite-summary">
+			<ul class="list-unstyled small mb-1">${items}</ul>
+			${planHtml}
+		</div>
+	`;
+}
@@ -6,9 +6,13 @@
 import { DOMCleanup } from '../../../lib/DOMCleanup.js';
 import { eventBus, EVENTS } from '../../../lib/EventBus.js';
 import { showNotification } from '../../../lib/Notifications.js';
+import { AutoSaveManager } from '../../../app/AutoSaveManager.js';
+import { sourceService } from '../../../services/SourceService.js';
 import { DataConfigurationModal } from '../setup/SetupDataConfiguration.js';
 import { RefreshProgressModal } from '../setup/SetupModals.js';
 
+const MAX_LISTED_INTEGRITY_FILES = 10;
+
 export class SettingsCard {
     constructor() {
         this._cleanup = DOMCleanup.create();
@@ -25,6 +29,7 @@ export class SettingsCard {
 
             // Update data source display
             await this._updateDataSourceDisplay();
+            await this._updateDataIntegrityDisplay();
 
             // Load auto update setting and set checkbox
             const config = await window.app.settings.getAll();
@@ -34,6 +39,25 @@ export class SettingsCard {
                 autoUpdateCheckbox.checked = this.autoUpdateData;
             }
 
+            // Load autosave settings
+            const autoSaveCheckbox = document.getElementById('autoSaveCheckbox');
+            if (autoSaveCheckbox) {
+                autoSaveCheckbox.checked = config.autoSave !== false;
+            }
+            const autoSaveIntervalInput = document.getElementById('autoSaveIntervalInput');
+            if (autoSaveIntervalInput) {
+                autoSaveIntervalInput.value = config.autoSaveInterval ?? 60;
+                autoSaveIntervalInput.disabled = config.autoSave === false;
+            }
+
+            const snapshotRetentionInput = document.getElementById('snapshotRetentionInput');
+            if (snapshotRetentionInput) {
+                snapshotRetentionInput.value = config.snapshotRetention ?? 20;
+            }
+
+            // List registered homebrew
+            await this._renderHomebrewList();
+
             // Set up event listeners for the page elements
             this._initializeEventListeners();
 
@@ -111,6 +135,115 @@ export class SettingsCard {
         }
     }
 
+    /** Loaded data version and any files that no longer match the manifest */
+    async _updateDataIntegrityDisplay() {
+        const integrityDisplay = document.getElementById('dataIntegrityStatus');
+        if (!integrityDisplay) return;
+
+        try {
+            const result = await window.app.getDataIntegrity();
+            if (!result.success) {
+                integrityDisplay.classList.add('u-hidden');
+                return;
+            }
+
+            const lines = [`Data version: ${result.upstreamVersion || 'unknown'}`];
+            const problems = result.missing.length + result.modified.length;
+            if (!result.hasManifest) {
+                lines.push('Integrity: no manifest to verify against');
+            } else if (problems === 0) {
+                lines.push(`Integrity: all ${result.total} files verified`);
+            } else {
+                lines.push(`Integrity: ${result.missing.length} missing, ${result.modified.length} modified - click "Update" to repair`);
+                const listFiles = (label, files) => {
+                    if (files.length === 0) return;
+                    const shown = files.slice(0, MAX_LISTED_INTEGRITY_FILES).join(', ');
+                    const more = files.length - MAX_LISTED_INTEGRITY_FILES;
+                    lines.push(`${label}: ${shown}${more > 0 ? ` and ${more} more` : ''}`);
+                };
+                listFiles('Missing', result.missing);
+                listFiles('Modified', result.modified);
+            }
+
+            integrityDisplay.textContent = lines.join('\n');
+            integrityDisplay.classList.toggle('text-warning', problems > 0);
+            integrityDisplay.classList.remove('u-hidden');
+        } catch (error) {
+            console.error('[SettingsCard]', 'Error checking data integrity', error);
+            integrityDisplay.classList.add('u-hidden');
+        }
+    }
+
+    async _renderHomebrewList() {
+        const list = document.getElementById('homebrewList');
+        if (!list) return;
+
+        try {
+            const entries = await sourceService.getHomebrewEntries();
+            list.innerHTML = '';
+
+            if (entries.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'list-group-item text-secondary small';
+                empty.textContent = 'No homebrew added';
+                list.appendChild(empty);
+                return;
+            }
+
+            for (const entry of entries) {
+                const item = document.createElement('li');
+                item.className = 'list-group-item d-flex align-items-center gap-2';
+                item.dataset.path = entry.path;
+
+                const toggle = document.createElement('input');
+                toggle.type = 'checkbox';
+                toggle.className = 'form-check-input homebrew-enabled-toggle';
+                toggle.checked = entry.enabled;
+                toggle.title = entry.enabled ? 'Disable this homebrew' : 'Enable this homebrew';
+
+                const details = document.createElement('div');
+                details.className = 'flex-grow-1 text-break';
+                const pathEl = document.createElement('div');
+                pathEl.className = 'small';
+                pathEl.textContent = entry.path;
+                const sourcesEl = document.createElement('div');
+                sourcesEl.className = 'small text-secondary';
+                sourcesEl.textContent = entry.sources.length > 0
+                    ? entry.sources.map((s) => sourceService.formatSourceName(s)).join(', ')
+                    : entry.enabled ? 'No valid homebrew found' : 'Disabled';
+                details.append(pathEl, sourcesEl);
+
+                const removeButton = document.createElement('button');
+                removeButton.className = 'btn btn-sm btn-outline-danger homebrew-remove-btn';
+                removeButton.title = 'Remove homebrew';
+                removeButton.innerHTML = '<i class="fas fa-trash"></i>';
+
+                item.append(toggle, details, removeButton);
+                list.appendChild(item);
+            }
+        } catch (error) {
+            console.error('[SettingsCard]', 'Error listing homebrew', error);
+        }
+    }
+
+    async _addHomebrew(kind) {
+        try {
+            const result = await window.data.selectHomebrew(kind);
+            if (!result?.success) return;
+
+            let added = 0;
+            for (const homebrewPath of result.paths || []) {
+                if (await sourceService.addHomebrewPath(homebrewPath)) added++;
+            }
+            if (added === 0) {
+                showNotification('That homebrew has already been added', 'info');
+            }
+        } catch (error) {
+            console.error('[SettingsCard]', 'Error adding homebrew', error);
+            showNotification('Error adding homebrew', 'error');
+        }
+    }
+
     _initializeEventListeners() {
         try {
             // App data path controls
@@ -129,6 +262,89 @@ export class SettingsCard {
                 });
             }
 
+            // Autosave controls
+            const autoSaveCheckbox = document.getElementById('autoSaveCheckbox');
+            const autoSaveIntervalInput = document.getElementById('autoSaveIntervalInput');
+
+            if (autoSaveCheckbox) {
+                this._cleanup.on(autoSaveCheckbox, 'change', async (e) => {
+                    const enabled = !!e.target.checked;
+                    if (autoSaveIntervalInput) autoSaveIntervalInput.disabled = !enabled;
+                    await window.app.settings.set('autoSave', enabled);
+                    AutoSaveManager.configure({ enabled });
+                });
+            }
+
+            if (autoSaveIntervalInput) {
+                this._cleanup.on(autoSaveIntervalInput, 'change', async (e) => {
+                    const seconds = Number.parseInt(e.target.value, 10);
+                    if (!Number.isInteger(seconds) || seconds < 1 || seconds > 3600) {
+                        showNotification('Autosave interval must be between 1 and 3600 seconds', 'warning');
+                        e.target.value = AutoSaveManager.getIntervalSeconds();
+                        return;
+                    }
+                    await window.app.settings.set('autoSaveInterval', seconds);
+                    AutoSaveManager.configure({ intervalSeconds: seconds });
+                });
+            }
+
+            // Character history retention
+            const snapshotRetentionInput = document.getElementById('snapshotRetentionInput');
+            if (snapshotRetentionInput) {
+                this._cleanup.on(snapshotRetentionInput, 'change', async (e) => {
+                    const count = Number.parseInt(e.target.value, 10);
+                    if (!Number.isInteger(count) || count < 0 || count > 100) {
+                        showNotification('Snapshots to keep must be between 0 and 100', 'warning');
+                        const config = await window.app.settings.getAll();
+                        e.target.value = config.snapshotRetention ?? 20;
+                        return;
+                    }
+                    await window.app.settings.set('snapshotRetention', count);
+                });
+            }
+
+            // Homebrew controls
+            const addHomebrewFileButton = document.getElementById('addHomebrewFileBtn');
+            const addHomebrewFolderButton = document.getElementById('addHomebrewFolderBtn');
+            const homebrewList = document.getElementById('homebrewList');
+
+            if (addHomebrewFileButton) {
+                this._cleanup.on(addHomebrewFileButton, 'click', () => this._addHomebrew('file'));
+            }
+            if (addHomebrewFolderButton) {
+                this._cleanup.on(addHomebrewFolderButton, 'click', () => this._addHomebrew('folder'));
+            }
+
+            if (homebrewList) {
+                this._cleanup.on(homebrewList, 'change', async (e) => {
+                    if (!e.target.classList.contains('homebrew-enabled-toggle')) return;
+                    const homebrewPath = e.target.closest('[data-path]')?.dataset.path;
+                    try {
+                        await sourceService.setHomebrewEnabled(homebrewPath, !!e.target.checked);
+                    } catch (error) {
+                        console.error('[SettingsCard]', 'Error toggling homebrew', error);
+                        showNotification('Error updating homebrew', 'error');
+                    }
+                });
+
+                this._cleanup.on(homebrewList, 'click', async (e) => {
+                    const removeButton = e.target.closest('.homebrew-remove-btn');
+                    if (!removeButton) return;
+                    const homebrewPath = removeButton.closest('[data-path]')?.dataset.path;
+                    try {
+                        await sourceService.removeHomebrewPath(homebrewPath);
+                    } catch (error) {
+                        console.error('[SettingsCard]', 'Error removing homebrew', error);
+                        showNotification('Error removing homebrew', 'error');
+                    }
+                });
+            }
+
+            // Homebrew changes reload the data; list the new sources once that finishes
+            this._cleanup.onEvent(EVENTS.SERVICE_INITIALIZED, (name) => {
+                if (name === 'source') this._renderHomebrewList();
+            });
+
             // App data path browse
             if (chooseAppDataButton) {
                 this._cleanup.on(chooseAppDataButton, 'click', async () => {
@@ -179,6 +395,7 @@ export class SettingsCard {
                         const result = await modal.show();
 
                         await this._updateDataSourceDisplay();
+                        await this._updateDataIntegrityDisplay();
                         eventBus.emit(EVENTS.DATA_SOURCE_CHANGED, result);
                     } catch (error) {
                         if (error.message === 'Modal closed by user') return;
@@ -239,6 +456,7 @@ export class SettingsCard {
                                 `Refresh failed: ${result.error || 'Unknown error'}`,
                             );
                         }
+                        await this._updateDataIntegrityDisplay();
                     } catch (error) {
                         console.error('[SettingsCard]', 'Error refreshing data source', error);
                         showNotification('Error refreshing data source', 'error');
@@ -57,6 +57,7 @@ export class SourceCard {
 				(source) => this._sourceManager.formatSourceName(source),
 				(toggle) => this._handleSourceClick(toggle),
 				this._cleanup,
+				(source) => this._sourceManager.isHomebrewSource(source),
 			);
 
 			// Pre-select default sources (PHB) on first visit
@@ -7,6 +7,7 @@ export class SourcePickerView {
 		formatSourceName,
 		onToggleClick,
 		cleanup = null,
+		isHomebrew = () => false,
 	) {
 		container.innerHTML = '';
 		const toggles = [];
@@ -17,6 +18,7 @@ export class SourcePickerView {
 				formatSourceName,
 				onToggleClick,
 				cleanup,
+				isHomebrew(source),
 			);
 			container.appendChild(toggle);
 			toggles.push(toggle);
@@ -25,9 +27,15 @@ export class SourcePickerView {
 		return toggles;
 	}
 
-	createSourceToggle(source, formatSourceName, onToggleClick, cleanup = null) {
+	createSourceToggle(
+		source,
+		formatSourceName,
+		onToggleClick,
+		cleanup = null,
+		homebrew = false,
+	) {
 		const toggle = document.createElement('button');
-		toggle.className = 'source-toggle';
+		toggle.className = homebrew ? 'source-toggle homebrew' : 'source-toggle';
 		toggle.setAttribute('data-source', source);
 		toggle.setAttribute('role', 'checkbox');
 		toggle.setAttribute('aria-checked', 'false');
@@ -35,7 +43,7 @@ export class SourcePickerView {
 		toggle.setAttribute('type', 'button');
 
 		const icon = document.createElement('i');
-		icon.className = 'fas fa-book';
+		icon.className = homebrew ? 'fas fa-flask' : 'fas fa-book';
 		toggle.appendChild(icon);
 
 		const name = document.createElement('span');
@@ -0,0 +1,132 @@
+// Export a character's spells as printable cards or spellbook pages
+
+import { DOMCleanup } from '../../../lib/DOMCleanup.js';
+import {
+	DEFAULT_SPELL_CARD_OPTIONS,
+	SPELL_CARD_SIZES,
+	SPELL_CARD_SORTS,
+} from '../../../lib/GameRules.js';
+import {
+	disposeBootstrapModal,
+	initializeBootstrapModal,
+} from '../../../lib/ModalCleanupUtility.js';
+import { showNotification } from '../../../lib/Notifications.js';
+import { spellSelectionService } from '../../../services/SpellSelectionService.js';
+
+export class SpellCardExportModal {
+	constructor() {
+		this.modalEl = null;
+		this.bootstrapModal = null;
+		this._options = { ...DEFAULT_SPELL_CARD_OPTIONS };
+		this._cleanup = DOMCleanup.create();
+	}
+
+	/** @param {Object} character - Character whose known spells are printed */
+	async show(character) {
+		this.modalEl = document.getElementById('spellCardsModal');
+		if (!this.modalEl) {
+			console.error(
+				'[SpellCardExportModal]',
+				'Modal element #spellCardsModal not found in DOM',
+			);
+			showNotification('Could not open spell card export', 'error');
+			return;
+		}
+
+		const entries = spellSelectionService.getSpellCardEntries(character);
+		if (entries.length === 0) {
+			showNotification('This character has no spells to print', 'warning');
+			return;
+		}
+
+		const sizeSelect = this.modalEl.querySelector('#spellCardSize');
+		const sortSelect = this.modalEl.querySelector('#spellCardSort');
+		this._fillSelect(
+			sizeSelect,
+			Object.entries(SPELL_CARD_SIZES).map(([value, size]) => [
+				value,
+				size.label,
+			]),
+			this._options.cardSize,
+		);
+		this._fillSelect(
+			sortSelect,
+			Object.entries(SPELL_CARD_SORTS),
+			this._options.sortBy,
+		);
+		this.modalEl.querySelector('.spell-cards-summary').textContent =
+			`${entries.length} spell${entries.length === 1 ? '' : 's'} known or prepared.`;
+
+		this._cleanup = DOMCleanup.create();
+		this.modalEl.classList.remove('u-hidden');
+		disposeBootstrapModal(this.bootstrapModal);
+		this.bootstrapModal = initializeBootstrapModal(this.modalEl);
+		if (!this.bootstrapModal) {
+			console.error(
+				'[SpellCardExportModal]',
+				'Failed to initialize Bootstrap modal',
+			);
+			showNotification('Could not open spell card export', 'error');
+			return;
+		}
+		this._cleanup.registerBootstrapModal(this.modalEl, this.bootstrapModal);
+		this._cleanup.once(this.modalEl, 'hidden.bs.modal', () => {
+			this._cleanup.cleanup();
+			disposeBootstrapModal(this.bootstrapModal);
+			this.bootstrapModal = null;
+		});
+
+		const exportBtn = this.modalEl.querySelector('#spellCardsExportBtn');
+		this._cleanup.on(exportBtn, 'click', async () => {
+			this._options = { cardSize: sizeSelect.value, sortBy: sortSelect.value };
+			exportBtn.disabled = true;
+			try {
+				const saved = await this._export(character, entries);
+				if (saved) this.bootstrapModal?.hide();
+			} finally {
+				exportBtn.disabled = false;
+			}
+		});
+
+		this.bootstrapModal.show();
+	}
+
+	_fillSelect(select, options, selected) {
+		select.textContent = '';
+		for (const [value, label] of options) {
+			const option = document.createElement('option');
+			option.value = value;
+			option.textContent = label;
+			option.selected = value === selected;
+			select.appendChild(option);
+		}
+	}
+
+	/** @returns {Promise<boolean>} Whether a file was written */
+	async _export(character, entries) {
+		try {
+			const result = await window.characterStorage.exportSpellCards(entries, {
+				...this._options,
+				title: `${character.name || 'Character'} Spells`,
+			});
+
+			if (result.canceled) return false;
+
+			if (!result.success) {
+				showNotification(result.error || 'Export failed', 'error');
+				return false;
+			}
+
+			showNotification('Spell cards saved successfully', 'success');
+			return true;
+		} catch (error) {
+			console.error(
+				'[SpellCardExportModal]',
+				'Spell card export failed',
+				error,
+			);
+			showNotification('Failed to save spell cards', 'error');
+			return false;
+		}
+	}
+}
@@ -7,7 +7,9 @@ import { eventBus, EVENTS } from '../../../lib/EventBus.js';
 import { showNotification } from '../../../lib/Notifications.js';
 import { levelUpService } from '../../../services/LevelUpService.js';
 import { spellSelectionService } from '../../../services/SpellSelectionService.js';
+import { spellSlotCalculatorService } from '../../../services/SpellSlotCalculatorService.js';
 import { PreparedSpellSelectorModal } from './PreparedSpellSelectorModal.js';
+import { SpellCardExportModal } from './SpellCardExportModal.js';
 import { SpellSelectorModal } from './SpellSelectorModal.js';
 
 export class SpellsManager {
@@ -15,6 +17,7 @@ export class SpellsManager {
 		this.loggerScope = 'SpellsManager';
 		this.spellSelectorModal = null;
 		this.preparedSpellSelectorModal = null;
+		this.spellCardExportModal = null;
 		this._cleanup = DOMCleanup.create();
 		this.setupEventListeners();
 	}
@@ -34,6 +37,12 @@ export class SpellsManager {
 				return;
 			}
 
+			const spellCardsBtn = e.target.closest('#spellCardsBtn');
+			if (spellCardsBtn) {
+				this.handleExportSpellCards();
+				return;
+			}
+
 			// Handle spell removal
 			const removeSpellBtn = e.target.closest('[data-remove-spell]');
 			if (removeSpellBtn) {
@@ -185,16 +194,11 @@ export class SpellsManager {
 					<div class="spell-items-list">`;
 
 				for (const spell of spells) {
-					// Cantrips are always prepared
-					// Known spells (Sorcerer, Bard, Warlock) are always available
-					const isCantrip = level === 0;
-					const knownSpellClasses = ['Sorcerer', 'Bard', 'Warlock'];
-					const isKnownSpellClass = knownSpellClasses.includes(className);
-					const isPrepared =
-						isCantrip ||
-						isKnownSpellClass ||
-						classData.spellsPrepared?.some((s) => s.name === spell.name) ||
-						false;
+					const isPrepared = spellSelectionService.isSpellPrepared(
+						className,
+						classData,
+						spell,
+					);
 
 					const spellSource = spell.source || 'PHB';
 					const ritualClass = spell.ritual ? 'is-ritual' : '';
@@ -340,37 +344,78 @@ export class SpellsManager {
 			</div>`;
 		}
 
-		// Add spell slots - recalculate from class level to ensure accuracy
-		const isMulticlass = classNames.length > 1;
-		let slotsToDisplay = null;
-
-		if (isMulticlass) {
-			// Use combined multiclass slots
-			slotsToDisplay = levelUpService.calculateMulticlassSpellSlots(character);
-		} else if (classNames.length === 1) {
-			// Recalculate spell slots based on current class level
-			const className = classNames[0];
-			const classEntry = character.progression?.classes?.find(c => c.name === className);
-			if (classEntry) {
-				slotsToDisplay = spellSelectionService.calculateSpellSlots(className, classEntry.levels || 1);
-			}
+		html += this._renderSpellSlotPools(character);
+		html += '</div></div>';
+		container.innerHTML = html;
+	}
+
+	/**
+	 * Shared slot pool (combined across classes when multiclassed) and the
+	 * separate Pact Magic pool, with which classes can use each.
+	 */
+	_renderSpellSlotPools(character) {
+		const model =
+			spellSlotCalculatorService.calculateCombinedSpellcasting(character);
+		const sharing = model.classes.filter((c) => c.progression !== 'pact');
+		let html = '';
+
+		let sharedSlots = null;
+		if (model.multiclass) {
+			sharedSlots = spellSlotCalculatorService.getStandardSpellSlots(
+				model.casterLevel,
+			);
+		} else if (sharing.length === 1) {
+			// A lone caster uses its own class table
+			sharedSlots = spellSelectionService.calculateSpellSlots(
+				sharing[0].className,
+				sharing[0].levels,
+			);
 		}
 
-		if (slotsToDisplay && Object.keys(slotsToDisplay).length > 0) {
+		if (sharedSlots && Object.keys(sharedSlots).length > 0) {
+			const breakdown = sharing
+				.map((c) => `${c.className} ${c.levels} (+${c.casterLevels})`)
+				.join(', ');
 			html += '<div class="spellcasting-class-info">';
-			html += `<h6>${isMulticlass ? 'Combined Spell Slots' : 'Spell Slots'}</h6>`;
-			html += '<div class="spellcasting-slots-grid">';
-			for (let level = 1; level <= 9; level++) {
-				const slotData = slotsToDisplay[level];
-				if (!slotData) continue;
-				const levelLabel = this._getLevelLabel(level).replace(' Level', '');
-				html += `<span class="badge" title="${this._getLevelLabel(level)} slots">${levelLabel} Slots: ${slotData.max}</span>`;
+			html += `<h6>${model.multiclass ? 'Combined Spell Slots' : 'Spell Slots'}</h6>`;
+			if (model.multiclass) {
+				html += `<p class="spell-slot-pool-note text-muted small mb-1">Caster level ${model.casterLevel}: ${breakdown}</p>`;
 			}
-			html += '</div></div>';
+			html += this._renderSlotBadges(sharedSlots);
+			html += '</div>';
 		}
 
-		html += '</div></div>';
-		container.innerHTML = html;
+		if (model.pactMagic) {
+			const { className, count, slotLevel } = model.pactMagic;
+			const slots = { [slotLevel]: { max: count } };
+			html += '<div class="spellcasting-class-info">';
+			html += '<h6>Pact Magic Slots</h6>';
+			html += `<p class="spell-slot-pool-note text-muted small mb-1">${className} slots, regained on a short or long rest</p>`;
+			html += this._renderSlotBadges(slots);
+			html += '</div>';
+		}
+
+		if (model.classes.length > 1) {
+			const pools =
+				model.pactMagic && sharing.length > 0 ? 'either pool' : 'these slots';
+			const limits = model.classes
+				.map((c) => `${c.className}: ${this._getLevelLabel(c.maxSpellLevel)}`)
+				.join(', ');
+			html += `<p class="spell-slot-pool-note text-muted small px-2 mb-0"><i class="fas fa-circle-info"></i> Spells from any of your classes can be cast with ${pools}, but each class learns spells only up to its own highest level (${limits}).</p>`;
+		}
+
+		return html;
+	}
+
+	_renderSlotBadges(slots) {
+		let html = '<div class="spellcasting-slots-grid">';
+		for (let level = 1; level <= 9; level++) {
+			const slotData = slots[level];
+			if (!slotData) continue;
+			const levelLabel = this._getLevelLabel(level).replace(' Level', '');
+			html += `<span class="badge" title="${this._getLevelLabel(level)} slots">${levelLabel} Slots: ${slotData.max}</span>`;
+		}
+		return `${html}</div>`;
 	}
 
 	async handleAddSpell() {
@@ -440,6 +485,19 @@ export class SpellsManager {
 		}
 	}
 
+	async handleExportSpellCards() {
+		const character = AppState.getCurrentCharacter();
+		if (!character) {
+			showNotification('No character selected', 'error');
+			return;
+		}
+
+		if (!this.spellCardExportModal) {
+			this.spellCardExportModal = new SpellCardExportModal();
+		}
+		await this.spellCardExportModal.show(character);
+	}
+
 	handleRemoveSpell(spellName, className = null) {
 		const character = AppState.getCurrentCharacter();
 		if (!character) {
@@ -5,6 +5,10 @@ import {
 	getOrdinalForm,
 	getSchoolName,
 	getSpeedString,
+	getSpellCastingTimeText,
+	getSpellComponentsText,
+	getSpellDurationText,
+	getSpellRangeText,
 	sizeAbvToFull,
 } from '../../lib/5eToolsParser.js';
 import { Renderer5etools } from '../../lib/5eToolsRenderer.js';
@@ -31,23 +35,22 @@ export function renderSpell(spell) {
 		html += '<div class="tooltip-casting-details">';
 
 		if (spell.time?.[0]) {
-			const time = spell.time[0];
-			const timeText = `${time.number || 1} ${time.unit || 'action'}`;
+			const timeText = getSpellCastingTimeText(spell);
 			html += `<strong>Casting Time:</strong><span>${timeText}</span>`;
 		}
 
 		if (spell.range) {
-			const rangeText = _getRangeText(spell.range);
+			const rangeText = getSpellRangeText(spell.range);
 			html += `<strong>Range:</strong><span>${rangeText}</span>`;
 		}
 
 		if (spell.components) {
-			const compText = _getComponentsText(spell.components);
+			const compText = getSpellComponentsText(spell.components);
 			html += `<strong>Components:</strong><span>${compText}</span>`;
 		}
 
 		if (spell.duration?.[0]) {
-			const durText = _getDurationText(spell.duration[0]);
+			const durText = getSpellDurationText(spell.duration[0]);
 			html += `<strong>Duration:</strong><span>${durText}</span>`;
 		}
 
@@ -583,6 +586,15 @@ export function renderVehicle(vehicle) {
 	return html;
 }
 
+/** Monster stat block sections, in printed order, with their headings */
+const MONSTER_SECTIONS = [
+	['trait', null],
+	['action', 'Actions'],
+	['bonus', 'Bonus Actions'],
+	['reaction', 'Reactions'],
+	['legendary', 'Legendary Actions'],
+];
+
 export function renderMonster(monster) {
 	if (!monster || monster.error) {
 		return `<strong>${monster?.name || 'Unknown'}</strong><br><small>${monster?.error || 'No data'}</small>`;
@@ -613,9 +625,9 @@ export function renderMonster(monster) {
 		if (monster.ac)
 			html += `<strong>AC:</strong> ${Array.isArray(monster.ac) ? monster.ac[0].ac || monster.ac[0] : monster.ac}<br>`;
 		if (monster.hp)
-			html += `<strong>HP:</strong> ${monster.hp.average || monster.hp.formula || monster.hp}<br>`;
+			html += `<strong>HP:</strong> ${monster.hp.average || monster.hp.formula || monster.hp.special || monster.hp}<br>`;
 		if (monster.speed)
-			html += `<strong>Speed:</strong> ${getSpeedString(monster.speed)}<br>`;
+			html += `<strong>Speed:</strong> ${getSpeedString(monster)}<br>`;
 		html += '</div>';
 	}
 
@@ -643,6 +655,19 @@ export function renderMonster(monster) {
 		html += _renderEntries(monster.entries, 3);
 	}
 
+	// Traits and actions
+	for (const [key, title] of MONSTER_SECTIONS) {
+		const section = monster[key];
+		if (!Array.isArray(section) || section.length === 0) continue;
+		if (title) {
+			html += `<div class="tooltip-section"><strong>${title}</strong></div>`;
+		}
+		html += _renderEntries(
+			section.map((entry) => ({ type: 'entries', ...entry })),
+			section.length,
+		);
+	}
+
 	// Source
 	html += _renderSource(monster);
 	html += '</div>';
@@ -840,47 +865,6 @@ function _renderSource(data) {
 }
 
 
-function _getRangeText(range) {
-	if (!range.distance) return 'Special';
-	if (range.distance.type === 'touch') return 'Touch';
-	if (range.distance.type === 'sight') return 'Sight';
-	if (range.distance.type === 'self') {
-		if (range.distance.amount) {
-			return `Self (${range.distance.amount}-foot ${range.distance.subtype || 'radius'})`;
-		}
-		return 'Self';
-	}
-	return `${range.distance.amount || ''} ${range.distance.type || ''}`.trim();
-}
-
-function _getComponentsText(components) {
-	const parts = [];
-	if (components.v) parts.push('V');
-	if (components.s) parts.push('S');
-	if (components.m) {
-		const material =
-			typeof components.m === 'string' ? components.m : components.m.text;
-		if (material) {
-			parts.push(`M (${material})`);
-		} else {
-			parts.push('M');
-		}
-	}
-	return parts.join(', ');
-}
-
-function _getDurationText(duration) {
-	if (duration.type === 'instant') return 'Instantaneous';
-	if (duration.type === 'permanent') return 'Until dispelled';
-	if (duration.type === 'special') return 'Special';
-
-	const concText = duration.concentration ? 'Concentration, up to ' : '';
-	if (duration.duration) {
-		return `${concText}${duration.duration.amount || ''} ${duration.duration.type || ''}`.trim();
-	}
-	return duration.type || 'Unknown';
-}
-
 function _getAbilityScoreText(abilities) {
 	if (!abilities || !Array.isArray(abilities) || abilities.length === 0) {
 		return '';
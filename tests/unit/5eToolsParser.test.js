@@ -13,6 +13,9 @@ import {
     getAbilityModNumber,
     getAbilityModifier,
     getSchoolName,
+    getSpellComponentsText,
+    getSpellDurationText,
+    getSpellRangeText,
     sizeAbvToFull,
 } from '../../src/lib/5eToolsParser.js';
 
@@ -273,4 +276,22 @@ describe('5eToolsParser', () => {
             expect(CANTRIP_ORDINALS.length).toBe(10); // 0-9
         });
     });
+
+    describe('spell details', () => {
+        it('should describe range, components and duration', () => {
+            expect(getSpellRangeText({ distance: { type: 'feet', amount: 60 } })).toBe('60 feet');
+            expect(getSpellRangeText({ distance: { type: 'self', amount: 15, subtype: 'cone' } })).toBe(
+                'Self (15-foot cone)',
+            );
+            expect(getSpellComponentsText({ v: true, m: { text: 'a pearl' } })).toBe('V, M (a pearl)');
+            expect(
+                getSpellDurationText({
+                    type: 'timed',
+                    duration: { type: 'minute', amount: 1 },
+                    concentration: true,
+                }),
+            ).toBe('Concentration, up to 1 minute');
+            expect(getSpellDurationText({ type: 'instant' })).toBe('Instantaneous');
+        });
+    });
 });
@@ -211,4 +211,18 @@ describe('AbilityScoreService', () => {
             expect(abilityScoreService.isStandardArrayValueAssigned(14)).toBe(false);
         });
     });
+
+    describe('getRacialBonus', () => {
+        const race = { ability: [{ con: 2, str: -2 }] };
+        const subrace = { ability: [{ wis: 1 }] };
+
+        it('should add race, subrace and chosen increases', () => {
+            const choices = [{ ability: 'charisma', amount: 1 }];
+            expect(abilityScoreService.getRacialBonus('con', race, subrace)).toBe(2);
+            expect(abilityScoreService.getRacialBonus('wis', race, subrace)).toBe(1);
+            expect(
+                abilityScoreService.getRacialBonus('cha', race, subrace, choices),
+            ).toBe(1);
+        });
+    });
 });
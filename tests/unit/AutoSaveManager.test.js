@@ -0,0 +1,137 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { AppState } from '../../src/app/AppState.js';
+// Load Character before CharacterManager to settle the service import order
+import '../../src/app/Character.js';
+import { AUTOSAVE_STATUS, AutoSaveManager } from '../../src/app/AutoSaveManager.js';
+import { CharacterManager } from '../../src/app/CharacterManager.js';
+import { CharacterSchema } from '../../src/lib/CharacterSchema.js';
+import { eventBus, EVENTS } from '../../src/lib/EventBus.js';
+
+describe('AutoSaveManager', () => {
+    let saveSpy;
+    let validateSpy;
+
+    beforeEach(async () => {
+        vi.useFakeTimers();
+        vi.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+
+        AppState.setState({
+            currentCharacter: { id: 'char-1', name: 'Fizban' },
+            hasUnsavedChanges: false,
+            isLoadingCharacter: false,
+        });
+
+        global.window = global.window || {};
+        global.window.app = {
+            settings: {
+                getAll: vi.fn().mockResolvedValue({ autoSave: true, autoSaveInterval: 10 }),
+            },
+        };
+
+        saveSpy = vi.spyOn(CharacterManager, 'saveCharacter').mockImplementation(async () => {
+            AppState.setHasUnsavedChanges(false);
+            eventBus.emit(EVENTS.CHARACTER_SAVED, AppState.getCurrentCharacter());
+        });
+        validateSpy = vi.spyOn(CharacterSchema, 'validate').mockReturnValue({ valid: true, errors: [] });
+
+        AutoSaveManager._lastSaveAt = 0;
+        AutoSaveManager.configure({ enabled: true, intervalSeconds: 10 });
+        AutoSaveManager._setupEventListeners();
+    });
+
+    afterEach(() => {
+        AutoSaveManager.destroy();
+        vi.restoreAllMocks();
+        vi.useRealTimers();
+    });
+
+    it('should debounce edits before saving', async () => {
+        AppState.setHasUnsavedChanges(true);
+        expect(AutoSaveManager.getStatus().state).toBe(AUTOSAVE_STATUS.PENDING);
+
+        await vi.advanceTimersByTimeAsync(1500);
+        eventBus.emit(EVENTS.CHARACTER_UPDATED);
+        await vi.advanceTimersByTimeAsync(1500);
+        expect(saveSpy).not.toHaveBeenCalled();
+
+        await vi.advanceTimersByTimeAsync(600);
+        expect(saveSpy).toHaveBeenCalledTimes(1);
+        expect(AutoSaveManager.getStatus().state).toBe(AUTOSAVE_STATUS.SAVED);
+    });
+
+    it('should keep consecutive autosaves at least one interval apart', async () => {
+        AppState.setHasUnsavedChanges(true);
+        await vi.advanceTimersByTimeAsync(2000);
+        expect(saveSpy).toHaveBeenCalledTimes(1);
+
+        AppState.setHasUnsavedChanges(true);
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(saveSpy).toHaveBeenCalledTimes(1);
+
+        await vi.advanceTimersByTimeAsync(5000);
+        expect(saveSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not postpone a pending save past one interval', async () => {
+        AppState.setHasUnsavedChanges(true);
+        for (let i = 0; i < 10; i++) {
+            await vi.advanceTimersByTimeAsync(1000);
+            eventBus.emit(EVENTS.CHARACTER_UPDATED);
+        }
+        expect(saveSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip characters that fail schema validation', async () => {
+        validateSpy.mockReturnValue({ valid: false, errors: ['Missing required field: name'] });
+
+        AppState.setHasUnsavedChanges(true);
+        await vi.advanceTimersByTimeAsync(2000);
+
+        expect(saveSpy).not.toHaveBeenCalled();
+        const status = AutoSaveManager.getStatus();
+        expect(status.state).toBe(AUTOSAVE_STATUS.SKIPPED);
+        expect(status.errors).toEqual(['Missing required field: name']);
+    });
+
+    it('should report failed saves without throwing', async () => {
+        saveSpy.mockRejectedValue(new Error('disk full'));
+
+        AppState.setHasUnsavedChanges(true);
+        await vi.advanceTimersByTimeAsync(2000);
+
+        const status = AutoSaveManager.getStatus();
+        expect(status.state).toBe(AUTOSAVE_STATUS.ERROR);
+        expect(status.errors).toEqual(['disk full']);
+    });
+
+    it('should do nothing while disabled', async () => {
+        AutoSaveManager.configure({ enabled: false });
+        AppState.setHasUnsavedChanges(true);
+        await vi.advanceTimersByTimeAsync(30000);
+
+        expect(saveSpy).not.toHaveBeenCalled();
+        expect(AutoSaveManager.getStatus().state).toBe(AUTOSAVE_STATUS.DISABLED);
+    });
+
+    it('should cancel a pending save after a manual save', async () => {
+        AppState.setHasUnsavedChanges(true);
+        await vi.advanceTimersByTimeAsync(500);
+
+        AppState.setHasUnsavedChanges(false);
+        eventBus.emit(EVENTS.CHARACTER_SAVED);
+        await vi.advanceTimersByTimeAsync(30000);
+
+        expect(saveSpy).not.toHaveBeenCalled();
+        expect(AutoSaveManager.getStatus().state).toBe(AUTOSAVE_STATUS.IDLE);
+    });
+
+    it('should emit status changes for the titlebar', () => {
+        const handler = vi.fn();
+        eventBus.on(EVENTS.AUTOSAVE_STATUS_CHANGED, handler);
+
+        AppState.setHasUnsavedChanges(true);
+
+        expect(handler).toHaveBeenCalledWith(expect.objectContaining({ state: AUTOSAVE_STATUS.PENDING }));
+        eventBus.off(EVENTS.AUTOSAVE_STATUS_CHANGED, handler);
+    });
+});
@@ -0,0 +1,266 @@
+// @vitest-environment node
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../src/main/Logger.js', () => ({
+    MainLogger: { debug: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+vi.mock('../../src/main/ipc/CharacterHandlers.js', () => ({
+    extractEmbeddedPortrait: vi.fn(),
+}));
+
+vi.mock('../../src/main/pdf/PdfExporter.js', () => ({
+    generateFilledPdf: vi.fn(),
+    TEMPLATES_DIR: '/templates',
+}));
+
+import {
+    exportCharacterPdfs,
+    formatBatchReport,
+    parseBatchExportArgs,
+    resolveBatchTemplate,
+    resolveCharacterFiles,
+    runBatchExport,
+} from '../../src/main/BatchExport.js';
+import { generateFilledPdf } from '../../src/main/pdf/PdfExporter.js';
+
+describe('BatchExport', () => {
+    describe('parseBatchExportArgs', () => {
+        it('should return null without the export flag', () => {
+            expect(parseBatchExportArgs(['electron', '.'])).toBeNull();
+        });
+
+        it('should read sources, template and output folder', () => {
+            expect(
+                parseBatchExportArgs([
+                    'electron',
+                    '.',
+                    '--export-pdf',
+                    'a1,b2',
+                    'c3',
+                    '--template',
+                    '2024',
+                    '--out',
+                    '/sheets',
+                ]),
+            ).toEqual({
+                sources: ['a1', 'b2', 'c3'],
+                template: '2024',
+                outDir: '/sheets',
+            });
+        });
+
+        it('should stop at unrelated switches and default the output folder', () => {
+            const options = parseBatchExportArgs([
+                'app',
+                '--export-pdf',
+                'a1',
+                '--no-sandbox',
+                'ignored',
+            ]);
+            expect(options.sources).toEqual(['a1']);
+            expect(options.template).toBeNull();
+            expect(options.outDir).toBe(process.cwd());
+        });
+
+        it('should throw when no characters are given', () => {
+            expect(() =>
+                parseBatchExportArgs(['app', '--export-pdf', '--out', '/x']),
+            ).toThrow('No characters');
+        });
+    });
+
+    describe('with files on disk', () => {
+        let tmpDir;
+        let templatesDir;
+        let savePath;
+
+        const writeCharacter = (dir, id, data) =>
+            fs.writeFile(
+                path.join(dir, `${id}.ffp`),
+                JSON.stringify({ id, ...data }),
+            );
+
+        beforeEach(async () => {
+            vi.clearAllMocks();
+            tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ff-batch-'));
+            templatesDir = path.join(tmpDir, 'templates');
+            savePath = path.join(tmpDir, 'characters');
+            await fs.mkdir(templatesDir);
+            await fs.mkdir(savePath);
+            await fs.writeFile(
+                path.join(templatesDir, '2014_Character_Sheet.pdf'),
+                '',
+            );
+            await fs.writeFile(
+                path.join(templatesDir, '2024_Character_Sheet.pdf'),
+                '',
+            );
+            generateFilledPdf.mockResolvedValue(
+                new Uint8Array([37, 80, 68, 70]),
+            );
+        });
+
+        afterEach(async () => {
+            await fs.rm(tmpDir, { recursive: true, force: true });
+        });
+
+        it('should match templates by name, file name or prefix', async () => {
+            const expected = path.join(
+                templatesDir,
+                '2024_Character_Sheet.pdf',
+            );
+            await expect(
+                resolveBatchTemplate('2024', templatesDir),
+            ).resolves.toBe(expected);
+            await expect(
+                resolveBatchTemplate('2024_Character_Sheet', templatesDir),
+            ).resolves.toBe(expected);
+            await expect(
+                resolveBatchTemplate(null, templatesDir),
+            ).resolves.toBe(
+                path.join(templatesDir, '2014_Character_Sheet.pdf'),
+            );
+            await expect(
+                resolveBatchTemplate('5e', templatesDir),
+            ).rejects.toThrow('Unknown template');
+        });
+
+        it('should expand folders, files and ids', async () => {
+            const folder = path.join(tmpDir, 'party');
+            await fs.mkdir(folder);
+            await writeCharacter(folder, 'b', {});
+            await writeCharacter(folder, 'a', {});
+            await fs.writeFile(path.join(folder, 'notes.txt'), '');
+
+            const files = await resolveCharacterFiles(
+                [folder, 'hero-1', '../bad id'],
+                savePath,
+            );
+
+            expect(files).toEqual([
+                { source: 'a.ffp', filePath: path.join(folder, 'a.ffp') },
+                { source: 'b.ffp', filePath: path.join(folder, 'b.ffp') },
+                {
+                    source: 'hero-1',
+                    filePath: path.join(savePath, 'hero-1.ffp'),
+                },
+                {
+                    source: '../bad id',
+                    filePath: null,
+                    error: 'Not a character id, file or folder',
+                },
+            ]);
+        });
+
+        it('should write one PDF per character and report failures without stopping', async () => {
+            await writeCharacter(savePath, 'c1', { name: 'Elira' });
+            await writeCharacter(savePath, 'c2', { name: 'Elira' });
+            await writeCharacter(savePath, 'c3', { name: 'Broken' });
+            generateFilledPdf.mockImplementation(async (character) => {
+                if (character.id === 'c3') throw new Error('Bad form');
+                return new Uint8Array([1]);
+            });
+            const outDir = path.join(tmpDir, 'out');
+
+            const results = await exportCharacterPdfs(
+                {
+                    sources: ['c1', 'c2', 'c3', 'missing'],
+                    template: null,
+                    outDir,
+                },
+                { savePath, templatesDir },
+            );
+
+            expect(results).toEqual([
+                {
+                    source: 'c1',
+                    name: 'Elira',
+                    output: path.join(outDir, 'Elira.pdf'),
+                    success: true,
+                },
+                {
+                    source: 'c2',
+                    name: 'Elira',
+                    output: path.join(outDir, 'Elira-2.pdf'),
+                    success: true,
+                },
+                {
+                    source: 'c3',
+                    name: 'Broken',
+                    success: false,
+                    error: 'Bad form',
+                },
+                {
+                    source: 'missing',
+                    name: undefined,
+                    success: false,
+                    error: 'Character not found',
+                },
+            ]);
+            expect((await fs.readdir(outDir)).sort()).toEqual([
+                'Elira-2.pdf',
+                'Elira.pdf',
+            ]);
+        });
+
+        it('should exit non-zero when any export fails', async () => {
+            vi.spyOn(console, 'log').mockImplementation(() => {});
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+            await writeCharacter(savePath, 'c1', { name: 'Elira' });
+            const outDir = path.join(tmpDir, 'out');
+
+            await expect(
+                runBatchExport(
+                    { sources: ['c1'], template: null, outDir },
+                    { savePath, templatesDir },
+                ),
+            ).resolves.toBe(0);
+            await expect(
+                runBatchExport(
+                    { sources: ['c1', 'nope'], template: null, outDir },
+                    { savePath, templatesDir },
+                ),
+            ).resolves.toBe(1);
+            await expect(
+                runBatchExport(
+                    { sources: ['c1'], template: 'x', outDir },
+                    { savePath, templatesDir },
+                ),
+            ).resolves.toBe(1);
+            expect(console.error).toHaveBeenCalledWith(
+                expect.stringContaining('Unknown template'),
+            );
+            vi.restoreAllMocks();
+        });
+    });
+
+    describe('formatBatchReport', () => {
+        it('should list each character and a summary', () => {
+            expect(
+                formatBatchReport([
+                    {
+                        source: 'c1',
+                        name: 'Elira',
+                        output: '/out/Elira.pdf',
+                        success: true,
+                    },
+                    {
+                        source: 'c2',
+                        success: false,
+                        error: 'Character not found',
+                    },
+                ]),
+            ).toBe(
+                [
+                    'OK     Elira (c1) -> /out/Elira.pdf',
+                    'FAILED c2: Character not found',
+                    'Exported 1 of 2 character sheets',
+                ].join('\n'),
+            );
+        });
+    });
+});
@@ -0,0 +1,399 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { Character } from '../../src/app/Character.js';
+import { ValidationError } from '../../src/lib/Errors.js';
+import {
+    buildPlanService,
+    describePlannedLevel,
+} from '../../src/services/BuildPlanService.js';
+import { classService } from '../../src/services/ClassService.js';
+import { featService } from '../../src/services/FeatService.js';
+import { optionalFeatureService } from '../../src/services/OptionalFeatureService.js';
+import { spellSelectionService } from '../../src/services/SpellSelectionService.js';
+import { spellService } from '../../src/services/SpellService.js';
+
+const CLASSES = {
+    Fighter: {
+        name: 'Fighter',
+        source: 'PHB',
+        multiclassing: { requirements: { or: [{ str: 13, dex: 13 }] } },
+        classFeatures: [
+            'Ability Score Improvement|Fighter||4',
+            'Ability Score Improvement|Fighter||6',
+            {
+                classFeature: 'Martial Archetype|Fighter||3',
+                gainSubclassFeature: true,
+            },
+        ],
+    },
+    Warlock: {
+        name: 'Warlock',
+        source: 'PHB',
+        spellcastingAbility: 'cha',
+        multiclassing: { requirements: { cha: 13 } },
+        classFeatures: [
+            'Ability Score Improvement|Warlock||4',
+            {
+                classFeature: 'Otherworldly Patron|Warlock||1',
+                gainSubclassFeature: true,
+            },
+        ],
+    },
+};
+
+const SPELLS = {
+    'eldritch blast': { name: 'Eldritch Blast', source: 'PHB', level: 0 },
+    hex: { name: 'Hex', source: 'PHB', level: 1 },
+    fireball: { name: 'Fireball', source: 'PHB', level: 3 },
+    'magic missile': { name: 'Magic Missile', source: 'PHB', level: 1 },
+};
+
+function makeCharacter({ classes = [], scores = {} } = {}) {
+    return new Character({
+        name: 'Test',
+        race: { name: 'Human', source: 'PHB', subrace: '' },
+        abilityScores: {
+            strength: 10,
+            dexterity: 10,
+            constitution: 10,
+            intelligence: 10,
+            wisdom: 10,
+            charisma: 10,
+            ...scores,
+        },
+        progression: { classes, experiencePoints: 0, levelUps: [] },
+    });
+}
+
+const fighter = (levels) => ({
+    name: 'Fighter',
+    source: 'PHB',
+    levels,
+    features: [],
+});
+
+describe('BuildPlanService', () => {
+    beforeEach(() => {
+        vi.spyOn(classService, 'getClass').mockImplementation(
+            (name) => CLASSES[name],
+        );
+        vi.spyOn(classService, 'getSubclasses').mockImplementation((name) =>
+            name === 'Fighter'
+                ? [{ name: 'Champion', shortName: 'Champion' }]
+                : [{ name: 'The Fiend', shortName: 'Fiend' }],
+        );
+        vi.spyOn(classService, 'getMaxSpellLevel').mockImplementation(
+            (_name, level) => Math.min(5, Math.ceil(level / 2)),
+        );
+        vi.spyOn(spellService, 'getSpell').mockImplementation((name) => {
+            const spell = SPELLS[name.toLowerCase()];
+            if (!spell) throw new Error(`Spell ${name} not found`);
+            return spell;
+        });
+        vi.spyOn(spellService, 'isSpellAvailableForClass').mockImplementation(
+            (spell) => spell.name !== 'Magic Missile',
+        );
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    describe('storing planned levels', () => {
+        it('should store, list and clear planned levels', () => {
+            const character = makeCharacter({ classes: [fighter(1)] });
+            expect(buildPlanService.hasPlan(character)).toBe(false);
+
+            buildPlanService.setPlannedLevel(character, 3, {
+                className: 'Fighter',
+                subclass: 'Champion',
+            });
+            buildPlanService.setPlannedLevel(character, 2, {
+                className: 'Fighter',
+            });
+
+            expect(
+                buildPlanService.getPlannedLevels(character).map(([l]) => l),
+            ).toEqual([2, 3]);
+            expect(buildPlanService.getPlannedLevel(character, 3).subclass).toBe(
+                'Champion',
+            );
+
+            expect(buildPlanService.clearPlannedLevel(character, 2)).toBe(true);
+            expect(buildPlanService.clearPlannedLevel(character, 2)).toBe(false);
+            buildPlanService.clearPlan(character);
+            expect(buildPlanService.hasPlan(character)).toBe(false);
+        });
+
+        it('should reject malformed levels', () => {
+            const character = makeCharacter({ classes: [fighter(1)] });
+
+            for (const [level, entry] of [
+                [21, { className: 'Fighter' }],
+                [4, { className: '' }],
+                [4, { className: 'Fighter', asi: { strength: 1 } }],
+                [4, { className: 'Fighter', asi: { luck: 2 } }],
+                [
+                    4,
+                    {
+                        className: 'Fighter',
+                        asi: { strength: 2 },
+                        feat: { name: 'Alert' },
+                    },
+                ],
+            ]) {
+                expect(() =>
+                    buildPlanService.setPlannedLevel(character, level, entry),
+                ).toThrow(ValidationError);
+            }
+            expect(buildPlanService.hasPlan(character)).toBe(false);
+        });
+
+        it('should describe a planned level', () => {
+            expect(
+                describePlannedLevel({
+                    className: 'Warlock',
+                    subclass: 'The Fiend',
+                    asi: { charisma: 1, constitution: 1 },
+                    features: { invocation: ['Agonizing Blast'] },
+                    spells: ['Hex'],
+                }),
+            ).toEqual([
+                'The Fiend',
+                '+1 Charisma, +1 Constitution',
+                'Agonizing Blast',
+                'Spells: Hex',
+            ]);
+        });
+    });
+
+    describe('validatePlan', () => {
+        it('should pass a plan that follows the rules', () => {
+            const character = makeCharacter({ classes: [fighter(2)] });
+            buildPlanService.setPlannedLevel(character, 3, {
+                className: 'Fighter',
+                subclass: 'Champion',
+            });
+            buildPlanService.setPlannedLevel(character, 4, {
+                className: 'Fighter',
+                asi: { strength: 2 },
+            });
+
+            const result = buildPlanService.validatePlan(character);
+            expect(result.valid).toBe(true);
+            expect(result.levels.map((r) => r.classLevel)).toEqual([3, 4]);
+        });
+
+        it('should check multiclass requirements level by level', () => {
+            const character = makeCharacter({
+                classes: [fighter(3)],
+                scores: { strength: 13, charisma: 11 },
+            });
+            buildPlanService.setPlannedLevel(character, 4, {
+                className: 'Fighter',
+                asi: { charisma: 2 },
+            });
+            buildPlanService.setPlannedLevel(character, 5, {
+                className: 'Warlock',
+            });
+
+            expect(buildPlanService.validatePlan(character).valid).toBe(true);
+
+            buildPlanService.setPlannedLevel(character, 4, {
+                className: 'Fighter',
+                asi: { strength: 2 },
+            });
+            const result = buildPlanService.validatePlan(character);
+            expect(result.valid).toBe(false);
+            expect(result.levels[1]).toMatchObject({
+                level: 5,
+                className: 'Warlock',
+                classLevel: 1,
+                errors: ['Does not meet the Warlock multiclass requirements'],
+            });
+        });
+
+        it('should report ASIs at the wrong level and early subclasses', () => {
+            const character = makeCharacter({ classes: [fighter(1)] });
+            buildPlanService.setPlannedLevel(character, 2, {
+                className: 'Fighter',
+                subclass: 'Champion',
+                asi: { strength: 2 },
+            });
+
+            expect(buildPlanService.validatePlan(character).levels[0].errors).toEqual(
+                [
+                    'Fighter chooses a subclass at level 3',
+                    'Fighter 2 has no Ability Score Improvement',
+                ],
+            );
+        });
+
+        it('should check feat prerequisites against earlier planned levels', () => {
+            vi.spyOn(featService, 'getFeat').mockReturnValue({
+                name: 'Grappler',
+                source: 'PHB',
+                prerequisite: [{ ability: [{ str: 13 }] }],
+            });
+            const character = makeCharacter({
+                classes: [fighter(3)],
+                scores: { strength: 11 },
+            });
+            buildPlanService.setPlannedLevel(character, 4, {
+                className: 'Fighter',
+                asi: { strength: 2 },
+            });
+            buildPlanService.setPlannedLevel(character, 5, {
+                className: 'Fighter',
+            });
+            buildPlanService.setPlannedLevel(character, 6, {
+                className: 'Fighter',
+                feat: { name: 'Grappler' },
+            });
+
+            expect(buildPlanService.validatePlan(character).valid).toBe(true);
+
+            buildPlanService.clearPlannedLevel(character, 4);
+            const result = buildPlanService.validatePlan(character);
+            expect(result.levels.map((r) => r.errors)).toEqual([
+                ['Plan level 4 first'],
+                ['Plan level 4 first'],
+            ]);
+        });
+
+        it('should check spells and class options', () => {
+            vi.spyOn(optionalFeatureService, 'getFeatureByName').mockImplementation(
+                (name) => ({ name }),
+            );
+            vi.spyOn(optionalFeatureService, 'meetsPrerequisites').mockImplementation(
+                (feature, character) => {
+                    const hasPact = character.progression.classes
+                        .find((c) => c.name === 'Warlock')
+                        .features.some((f) => f.name === 'Pact of the Blade');
+                    return feature.name === 'Thirsting Blade' && !hasPact
+                        ? { met: false, reasons: ['Requires Pact of the Blade'] }
+                        : { met: true, reasons: [] };
+                },
+            );
+            const character = makeCharacter({ scores: { charisma: 15 } });
+            character.progression.classes.push({
+                name: 'Warlock',
+                source: 'PHB',
+                levels: 2,
+                features: [],
+            });
+            buildPlanService.setPlannedLevel(character, 3, {
+                className: 'Warlock',
+                features: { 'pact-boon': ['Pact of the Blade'] },
+                spells: ['Hex', 'Fireball', 'Magic Missile', 'Wish Upon a Star'],
+            });
+            buildPlanService.setPlannedLevel(character, 4, {
+                className: 'Warlock',
+                features: { invocation: ['Thirsting Blade'] },
+            });
+
+            const result = buildPlanService.validatePlan(character);
+            expect(result.levels[0].errors).toEqual([
+                'Fireball is level 3; Warlock 3 learns up to level 2',
+                'Magic Missile is not a Warlock spell',
+                'Unknown spell Wish Upon a Star',
+            ]);
+            expect(result.levels[1].errors).toEqual([]);
+        });
+
+        it('should leave levels already taken alone', () => {
+            const character = makeCharacter({ classes: [fighter(2)] });
+            buildPlanService.setPlannedLevel(character, 2, {
+                className: 'Fighter',
+                asi: { strength: 2 },
+            });
+
+            expect(buildPlanService.validatePlan(character).levels).toEqual([
+                {
+                    level: 2,
+                    className: 'Fighter',
+                    classLevel: null,
+                    taken: true,
+                    errors: [],
+                },
+            ]);
+            expect(buildPlanService.getNextPlannedLevel(character)).toBeNull();
+        });
+    });
+
+    describe('following the plan', () => {
+        it('should return the plan for the next level', () => {
+            const character = makeCharacter({ classes: [fighter(2)] });
+            buildPlanService.setPlannedLevel(character, 3, {
+                className: 'Fighter',
+                subclass: 'Champion',
+            });
+
+            expect(buildPlanService.getNextPlannedLevel(character)).toEqual({
+                level: 3,
+                entry: { className: 'Fighter', subclass: 'Champion' },
+                classLevel: 3,
+                errors: [],
+            });
+        });
+
+        it('should record the subclass, options and spells of a level', () => {
+            const addKnownSpell = vi
+                .spyOn(spellSelectionService, 'addKnownSpell')
+                .mockImplementation(() => {});
+            const recordSpellSelections = vi
+                .spyOn(spellSelectionService, 'recordSpellSelections')
+                .mockImplementation(() => {});
+            vi.spyOn(
+                spellSelectionService,
+                'initializeSpellcastingForClass',
+            ).mockImplementation(() => {});
+            const character = makeCharacter({ scores: { charisma: 15 } });
+            character.progression.classes.push({
+                name: 'Warlock',
+                source: 'PHB',
+                levels: 2,
+                features: [],
+            });
+
+            const skipped = buildPlanService.applyPlannedLevel(
+                character,
+                {
+                    className: 'Warlock',
+                    subclass: 'The Fiend',
+                    asi: { charisma: 2 },
+                    features: { invocation: ['Agonizing Blast'] },
+                    spells: ['Hex', 'Unknown Spell'],
+                },
+                2,
+            );
+
+            expect(skipped).toEqual(['Unknown Spell', '+2 Charisma']);
+            expect(character.getClassEntry('Warlock').subclass).toBe('The Fiend');
+            expect(
+                character.progressionHistory.Warlock['2'].choices.invocation,
+            ).toEqual({ selected: ['Agonizing Blast'], count: 1 });
+            expect(addKnownSpell).toHaveBeenCalledWith(
+                character,
+                'Warlock',
+                SPELLS.hex,
+            );
+            expect(recordSpellSelections).toHaveBeenCalledWith(
+                character,
+                'Warlock',
+                2,
+                ['Hex'],
+            );
+        });
+
+        it('should refuse a class the character does not have', () => {
+            expect(() =>
+                buildPlanService.applyPlannedLevel(
+                    makeCharacter({ classes: [fighter(1)] }),
+                    { className: 'Warlock' },
+                    1,
+                ),
+            ).toThrow(ValidationError);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, expect, it } from 'vitest';
+
+import { compareCharacters } from '../../src/lib/CharacterComparison.js';
+
+const __dirname = resolve(fileURLToPath(import.meta.url), '..');
+
+function loadFixture() {
+    return JSON.parse(
+        readFileSync(
+            resolve(__dirname, 'fixtures/foundry-character.json'),
+            'utf-8',
+        ),
+    );
+}
+
+function findRow(comparison, sectionId, label) {
+    const section = comparison.sections.find((s) => s.id === sectionId);
+    return section.rows.find((row) => row.label === label);
+}
+
+describe('compareCharacters', () => {
+    it('should report no differences for identical characters', () => {
+        const comparison = compareCharacters(loadFixture(), loadFixture());
+
+        expect(comparison.changedCount).toBe(0);
+        expect(comparison.sections.map((s) => s.id)).toEqual([
+            'overview',
+            'abilities',
+            'derived',
+            'proficiencies',
+            'feats',
+            'spells',
+            'equipment',
+        ]);
+    });
+
+    it('should flag changed values in the overview and ability scores', () => {
+        const left = loadFixture();
+        const right = loadFixture();
+        right.progression.classes[0].levels = 4;
+        right.abilityScores.intelligence = 17;
+
+        const comparison = compareCharacters(left, right);
+
+        expect(findRow(comparison, 'overview', 'Level')).toMatchObject({
+            left: 5,
+            right: 6,
+            changed: true,
+        });
+        expect(findRow(comparison, 'abilities', 'Intelligence')).toMatchObject({
+            left: 16,
+            right: 18,
+            changed: true,
+        });
+        expect(findRow(comparison, 'abilities', 'Strength').changed).toBe(
+            false,
+        );
+    });
+
+    it('should list added and removed entries for feats, spells and skills', () => {
+        const left = loadFixture();
+        const right = loadFixture();
+        right.feats = [{ name: 'Alert', source: 'PHB' }];
+        right.proficiencies.skills.push('Investigation');
+        right.spellcasting.classes.Wizard.spellsKnown.push({
+            name: 'Misty Step',
+            source: 'PHB',
+            level: 2,
+        });
+
+        const comparison = compareCharacters(left, right);
+
+        expect(findRow(comparison, 'feats', 'Feats')).toMatchObject({
+            added: ['Alert'],
+            removed: ['War Caster'],
+        });
+        expect(findRow(comparison, 'proficiencies', 'Skills')).toMatchObject({
+            added: ['Investigation'],
+            removed: [],
+        });
+        expect(findRow(comparison, 'spells', 'Level 2')).toMatchObject({
+            left: [],
+            right: ['Misty Step'],
+            changed: true,
+        });
+        expect(findRow(comparison, 'spells', 'Level 1').left).toEqual([
+            'Detect Magic',
+            'Hex',
+            'Shield',
+        ]);
+    });
+
+    it('should describe equipment state and currency', () => {
+        const left = loadFixture();
+        const right = loadFixture();
+        right.inventory.items[2].equipped = true;
+        right.inventory.currency.gp = 10;
+
+        const comparison = compareCharacters(left, right);
+        const items = findRow(comparison, 'equipment', 'Items');
+
+        expect(items.left).toContain('Dagger ×2 (equipped)');
+        expect(items.removed).toEqual(['Wand of Magic Missiles (attuned)']);
+        expect(items.added).toEqual([
+            'Wand of Magic Missiles (equipped, attuned)',
+        ]);
+        expect(findRow(comparison, 'equipment', 'Currency')).toMatchObject({
+            left: '1 pp, 47 gp, 12 sp, 5 cp',
+            right: '1 pp, 10 gp, 12 sp, 5 cp',
+        });
+    });
+
+    it('should require both characters', () => {
+        expect(() => compareCharacters(loadFixture(), null)).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,507 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { Character } from '../../src/app/Character.js';
+import { NotFoundError, ValidationError } from '../../src/lib/Errors.js';
+import { backgroundService } from '../../src/services/BackgroundService.js';
+import {
+    CharacterGeneratorService,
+    createSeededRandom,
+} from '../../src/services/CharacterGeneratorService.js';
+import { classService } from '../../src/services/ClassService.js';
+import { optionalFeatureService } from '../../src/services/OptionalFeatureService.js';
+import { proficiencyService } from '../../src/services/ProficiencyService.js';
+import { raceService } from '../../src/services/RaceService.js';
+import { sourceService } from '../../src/services/SourceService.js';
+import { spellSelectionService } from '../../src/services/SpellSelectionService.js';
+
+const ALLOWED_SOURCES = ['PHB', 'XPHB'];
+
+const CLASSES = [
+    {
+        name: 'Fighter',
+        source: 'PHB',
+        primaryAbility: [{ str: true }],
+        multiclassing: { requirements: { or: [{ str: 13 }] } },
+        optionalfeatureProgression: [
+            {
+                name: 'Fighting Style',
+                featureType: ['FS:F'],
+                progression: { 1: 1 },
+            },
+        ],
+        classFeatures: [
+            'Fighting Style|Fighter||1',
+            {
+                classFeature: 'Martial Archetype|Fighter||3',
+                gainSubclassFeature: true,
+            },
+            'Ability Score Improvement|Fighter||4',
+        ],
+    },
+    {
+        name: 'Fighter',
+        source: 'XPHB',
+        edition: 'modern',
+        primaryAbility: [{ str: true }],
+        classFeatures: [
+            {
+                classFeature: 'Fighter Subclass|Fighter|XPHB|3',
+                gainSubclassFeature: true,
+            },
+        ],
+    },
+    {
+        name: 'Wizard',
+        source: 'PHB',
+        spellcastingAbility: 'int',
+        multiclassing: { requirements: { int: 13 } },
+        classFeatures: [
+            {
+                classFeature: 'Arcane Tradition|Wizard||2',
+                gainSubclassFeature: true,
+            },
+        ],
+    },
+    {
+        name: 'Cleric',
+        source: 'UA',
+        spellcastingAbility: 'wis',
+        classFeatures: [],
+    },
+];
+
+const CLASS_FEATURES = {
+    Fighter: [
+        { name: 'Fighting Style', level: 1 },
+        { name: 'Martial Archetype', level: 3 },
+        { name: 'Ability Score Improvement', level: 4 },
+        { name: 'Ability Score Improvement', level: 6 },
+    ],
+};
+
+const FIGHTING_STYLES = [
+    { name: 'Defense', source: 'PHB', featureType: ['FS:F'] },
+    { name: 'Archery', source: 'PHB', featureType: ['FS:F'] },
+    { name: 'Unarmed Fighting', source: 'UA', featureType: ['FS:F'] },
+];
+
+const WIZARD_SPELLS = [
+    { name: 'Light', source: 'PHB', level: 0 },
+    { name: 'Mage Hand', source: 'PHB', level: 0 },
+    { name: 'Prestidigitation', source: 'PHB', level: 0 },
+    { name: 'Ray of Frost', source: 'PHB', level: 0 },
+    { name: 'Shield', source: 'PHB', level: 1 },
+    { name: 'Magic Missile', source: 'PHB', level: 1 },
+    { name: 'Sleep', source: 'PHB', level: 1 },
+    { name: 'Detect Magic', source: 'PHB', level: 1 },
+    { name: 'Fireball', source: 'PHB', level: 3 },
+    { name: 'Forbidden Word', source: 'UA', level: 1 },
+];
+
+function buildCharacter(generated, optionalProficiencies = {}) {
+    return new Character({
+        name: generated.name,
+        variantRules: generated.variantRules,
+        race: generated.race,
+        abilityScores: { ...generated.abilityScores },
+        progression: {
+            classes: [
+                {
+                    name: generated.class.name,
+                    source: generated.class.source,
+                    subclass: generated.class.subclass,
+                    levels: generated.level,
+                },
+            ],
+            experiencePoints: 0,
+            levelUps: [],
+        },
+        optionalProficiencies,
+    });
+}
+
+describe('CharacterGeneratorService', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new CharacterGeneratorService(createSeededRandom(42));
+
+        vi.spyOn(sourceService, 'isSourceAllowed').mockImplementation(
+            (source) => ALLOWED_SOURCES.includes(source),
+        );
+        vi.spyOn(sourceService, 'getAllowedSources').mockReturnValue(
+            ALLOWED_SOURCES,
+        );
+        vi.spyOn(classService, 'getAllClasses').mockReturnValue(CLASSES);
+        vi.spyOn(classService, 'getClass').mockImplementation((name, source) =>
+            CLASSES.find(
+                (cls) => cls.name === name && (!source || cls.source === source),
+            ),
+        );
+        vi.spyOn(classService, 'getClassFeatures').mockImplementation(
+            (name, level) =>
+                (CLASS_FEATURES[name] || []).filter(
+                    (feature) => feature.level <= level,
+                ),
+        );
+        vi.spyOn(classService, 'getSubclasses').mockImplementation((name) =>
+            name === 'Fighter'
+                ? [
+                      { name: 'Champion', source: 'PHB' },
+                      { name: 'Psi Warrior', source: 'UA' },
+                  ]
+                : [{ name: 'School of Evocation', source: 'PHB' }],
+        );
+        vi.spyOn(raceService, 'getAllRaces').mockReturnValue([
+            { name: 'Dwarf', source: 'PHB', ability: [{ con: 2 }] },
+            {
+                name: 'Half-Elf',
+                source: 'PHB',
+                ability: [
+                    {
+                        cha: 2,
+                        choose: {
+                            from: ['str', 'dex', 'con', 'int', 'wis'],
+                            count: 2,
+                        },
+                    },
+                ],
+            },
+            { name: 'Custom Lineage', source: 'PHB', feats: [{ any: 1 }] },
+            { name: 'Kender', source: 'UA' },
+        ]);
+        vi.spyOn(raceService, 'getSubraces').mockReturnValue([]);
+        vi.spyOn(raceService, 'isSubraceRequired').mockReturnValue(false);
+        vi.spyOn(backgroundService, 'getAllBackgrounds').mockReturnValue([
+            { name: 'Soldier', source: 'PHB' },
+            {
+                name: 'Soldier',
+                source: 'XPHB',
+                ability: [
+                    {
+                        choose: {
+                            weighted: {
+                                from: ['str', 'dex', 'con'],
+                                weights: [2, 1],
+                            },
+                        },
+                    },
+                ],
+            },
+        ]);
+        vi.spyOn(optionalFeatureService, 'getFeaturesByType').mockImplementation(
+            (types) =>
+                FIGHTING_STYLES.filter((feature) =>
+                    feature.featureType.some((type) => types.includes(type)),
+                ),
+        );
+        vi.spyOn(optionalFeatureService, 'meetsPrerequisites').mockReturnValue({
+            met: true,
+        });
+        vi.spyOn(proficiencyService, 'getExpertiseSlots').mockReturnValue([]);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    describe('generate', () => {
+        it('should build the requested class at the requested level', () => {
+            const generated = service.generate({
+                className: 'fighter',
+                ruleset: '2014',
+                level: 4,
+            });
+
+            expect(generated.class).toEqual({
+                name: 'Fighter',
+                source: 'PHB',
+                subclass: 'Champion',
+            });
+            expect(generated.level).toBe(4);
+            expect(generated.variantRules).toEqual({ ruleset: '2014' });
+            expect(['Dwarf', 'Half-Elf']).toContain(generated.race.name);
+            expect(generated.background).toMatchObject({
+                name: 'Soldier',
+                source: 'PHB',
+            });
+            expect(generated.name).toBe(`${generated.race.name} Fighter`);
+        });
+
+        it('should not pick a subclass below the subclass level', () => {
+            const generated = service.generate({ className: 'Fighter', level: 2 });
+
+            expect(generated.class.subclass).toBe('');
+        });
+
+        it('should assign the highest scores to the primary abilities', () => {
+            const generated = service.generate({ className: 'Wizard' });
+
+            expect(generated.abilityScores.intelligence).toBe(15);
+            expect(generated.abilityScores.constitution).toBe(14);
+            expect(generated.abilityScores.dexterity).toBe(13);
+            expect(
+                Object.values(generated.abilityScores).sort((a, b) => b - a),
+            ).toEqual([15, 14, 13, 12, 10, 8]);
+        });
+
+        it('should put racial choices on the most important abilities', () => {
+            raceService.getAllRaces.mockReturnValue([
+                {
+                    name: 'Half-Elf',
+                    source: 'PHB',
+                    ability: [
+                        {
+                            cha: 2,
+                            choose: {
+                                from: ['str', 'dex', 'con', 'int', 'wis'],
+                                count: 2,
+                            },
+                        },
+                    ],
+                },
+            ]);
+
+            const generated = service.generate({
+                className: 'Fighter',
+                ruleset: '2014',
+            });
+
+            expect(generated.race.abilityChoices).toEqual([
+                { ability: 'strength', amount: 1 },
+                { ability: 'constitution', amount: 1 },
+            ]);
+        });
+
+        it('should only pick spellcasting classes when asked to', () => {
+            for (let seed = 1; seed <= 10; seed++) {
+                const generated = new CharacterGeneratorService(
+                    createSeededRandom(seed),
+                ).generate({ preferSpellcasters: true });
+
+                expect(generated.class.name).toBe('Wizard');
+            }
+        });
+
+        it('should prefer 2024 content and background bonuses under the 2024 rules', () => {
+            const generated = service.generate({
+                className: 'Fighter',
+                ruleset: '2024',
+            });
+
+            expect(generated.class.source).toBe('XPHB');
+            expect(generated.background.source).toBe('XPHB');
+            expect(generated.background.abilityBonuses).toEqual({
+                strength: 2,
+                constitution: 1,
+            });
+            expect(generated.race.abilityChoices).toEqual([]);
+        });
+
+        it('should plan ability score improvements without passing 20', () => {
+            raceService.getAllRaces.mockReturnValue([
+                { name: 'Orc', source: 'PHB', ability: [{ str: 2 }] },
+            ]);
+
+            const generated = service.generate({
+                className: 'Fighter',
+                ruleset: '2014',
+                level: 6,
+            });
+
+            expect(generated.asis).toEqual([
+                { level: 4, changedAbilities: { strength: 2 } },
+                {
+                    level: 6,
+                    changedAbilities: { strength: 1, constitution: 1 },
+                },
+            ]);
+        });
+
+        it('should throw NotFoundError for a class outside the allowed sources', () => {
+            expect(() => service.generate({ className: 'Cleric' })).toThrow(
+                NotFoundError,
+            );
+        });
+
+        it('should throw ValidationError for invalid constraints', () => {
+            expect(() => service.generate({ level: 25 })).toThrow(ValidationError);
+            expect(() => service.generate({ ruleset: '5e' })).toThrow(
+                ValidationError,
+            );
+        });
+    });
+
+    describe('applyChoices', () => {
+        it('should apply planned ASIs and record them as level ups', () => {
+            const generated = service.generate({
+                className: 'Fighter',
+                ruleset: '2014',
+                level: 4,
+            });
+            const character = buildCharacter(generated);
+            const strength = character.abilityScores.strength;
+
+            service.applyChoices(character, generated);
+
+            expect(character.abilityScores.strength).toBe(
+                strength + generated.asis[0].changedAbilities.strength,
+            );
+            expect(character.progression.levelUps).toHaveLength(1);
+            expect(character.progression.levelUps[0]).toMatchObject({
+                fromLevel: 3,
+                toLevel: 4,
+                changedAbilities: generated.asis[0].changedAbilities,
+            });
+        });
+
+        it('should pick skills from the valid options', () => {
+            const generated = service.generate({ className: 'Fighter' });
+            const character = buildCharacter(generated, {
+                skills: {
+                    class: {
+                        allowed: 2,
+                        options: ['Athletics', 'Intimidation', 'Perception'],
+                        selected: [],
+                    },
+                },
+            });
+            character.proficiencies.skills = ['Athletics'];
+
+            service.applyChoices(character, generated);
+
+            const { skills } = character.optionalProficiencies;
+            expect(skills.class.selected).toHaveLength(2);
+            expect(skills.class.selected).toEqual(
+                expect.arrayContaining(['Intimidation', 'Perception']),
+            );
+            expect(skills.selected).toEqual(skills.class.selected);
+        });
+
+        it('should fill every expertise slot up to its count', () => {
+            const generated = service.generate({ className: 'Fighter' });
+            const character = buildCharacter(generated);
+            const slot = { key: 'class:Fighter:Expertise:1', count: 2 };
+            proficiencyService.getExpertiseSlots.mockReturnValue([slot]);
+            vi.spyOn(proficiencyService, 'getExpertiseOptions').mockImplementation(
+                (target) =>
+                    ['Athletics', 'Perception', 'Survival'].map((name) => ({
+                        type: 'skill',
+                        name,
+                        selected: (target.expertiseChoices?.[slot.key] || []).some(
+                            (pick) => pick.name === name,
+                        ),
+                    })),
+            );
+
+            service.applyChoices(character, generated);
+
+            expect(character.expertiseChoices[slot.key]).toHaveLength(2);
+        });
+
+        it('should record optional features from allowed sources in progression history', () => {
+            const generated = service.generate({
+                className: 'Fighter',
+                ruleset: '2014',
+            });
+            const character = buildCharacter(generated);
+
+            service.applyChoices(character, generated);
+
+            const choice =
+                character.progressionHistory.Fighter[1].choices['fighting-style'];
+            expect(choice.count).toBe(1);
+            expect(['Defense', 'Archery']).toContain(choice.selected[0]);
+        });
+
+        it('should make the same picks for the same generated result', () => {
+            // History entries are stamped with the current time
+            vi.useFakeTimers({ toFake: ['Date'] });
+            vi.setSystemTime(new Date('2025-01-01T00:00:00Z'));
+            const generated = service.generate({ className: 'Fighter' });
+            const options = {
+                skills: {
+                    class: {
+                        allowed: 2,
+                        options: ['Athletics', 'Intimidation', 'Perception', 'Survival'],
+                        selected: [],
+                    },
+                },
+            };
+            const first = buildCharacter(generated, structuredClone(options));
+            const second = buildCharacter(generated, structuredClone(options));
+
+            service.applyChoices(first, generated);
+            service.applyChoices(second, generated);
+
+            expect(second.optionalProficiencies.skills.selected).toEqual(
+                first.optionalProficiencies.skills.selected,
+            );
+            expect(second.progressionHistory).toEqual(first.progressionHistory);
+        });
+
+        it('should learn and prepare spells from the class list', () => {
+            const generated = service.generate({ className: 'Wizard', level: 2 });
+            const character = buildCharacter(generated);
+            const classSpellcasting = { spellsKnown: [], spellsPrepared: [] };
+
+            vi.spyOn(spellSelectionService, 'isSpellcastingClass').mockReturnValue(
+                true,
+            );
+            vi.spyOn(
+                spellSelectionService,
+                'initializeSpellcastingForClass',
+            ).mockImplementation((char) => {
+                char.spellcasting = { classes: { Wizard: classSpellcasting } };
+                return classSpellcasting;
+            });
+            vi.spyOn(classService, 'getMaxSpellLevel').mockReturnValue(1);
+            vi.spyOn(
+                spellSelectionService,
+                'getAvailableSpellsForClass',
+            ).mockReturnValue(WIZARD_SPELLS);
+            vi.spyOn(spellSelectionService, 'getCantripsKnown').mockReturnValue(3);
+            vi.spyOn(spellSelectionService, 'getSpellLimitInfo').mockReturnValue({
+                type: 'prepared',
+                spellbookLimit: 4,
+                preparedLimit: 2,
+            });
+            vi.spyOn(spellSelectionService, 'addKnownSpell').mockImplementation(
+                (_char, _className, spell) => {
+                    classSpellcasting.spellsKnown.push(spell);
+                },
+            );
+            vi.spyOn(spellSelectionService, 'prepareSpell').mockImplementation(
+                (_char, _className, name) => {
+                    classSpellcasting.spellsPrepared.push({ name });
+                },
+            );
+
+            service.applyChoices(character, generated);
+
+            const known = classSpellcasting.spellsKnown;
+            expect(known.filter((spell) => spell.level === 0)).toHaveLength(3);
+            expect(known.filter((spell) => spell.level > 0)).toHaveLength(4);
+            expect(known.map((spell) => spell.name)).not.toContain('Fireball');
+            expect(known.map((spell) => spell.name)).not.toContain(
+                'Forbidden Word',
+            );
+            expect(classSpellcasting.spellsPrepared).toHaveLength(2);
+        });
+    });
+
+    describe('createSeededRandom', () => {
+        it('should repeat the same sequence for the same seed', () => {
+            const first = createSeededRandom(7);
+            const second = createSeededRandom(7);
+            const values = Array.from({ length: 5 }, () => first());
+
+            expect(Array.from({ length: 5 }, () => second())).toEqual(values);
+            for (const value of values) {
+                expect(value).toBeGreaterThanOrEqual(0);
+                expect(value).toBeLessThan(1);
+            }
+        });
+    });
+});
@@ -0,0 +1,220 @@
+// @vitest-environment node
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../src/main/Logger.js', () => ({
+    MainLogger: { debug: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+import {
+    createSnapshot,
+    deleteHistory,
+    describeChanges,
+    HISTORY_FOLDER,
+    listSnapshots,
+    readSnapshot,
+    summarizeCharacter,
+} from '../../src/main/CharacterHistory.js';
+
+function makeCharacter(overrides = {}) {
+    return {
+        id: 'char-1',
+        name: 'Elira',
+        race: { name: 'Elf', source: 'PHB', subrace: 'High' },
+        background: { name: 'Sage', source: 'PHB' },
+        progression: {
+            classes: [
+                { name: 'Wizard', levels: 3, subclass: 'School of Evocation' },
+            ],
+        },
+        hitPoints: { current: 14, max: 14, temp: 0 },
+        feats: [],
+        lastModified: '2026-01-01T00:00:00.000Z',
+        ...overrides,
+    };
+}
+
+describe('CharacterHistory', () => {
+    describe('summarizeCharacter', () => {
+        it('should total class levels and combine subrace with race', () => {
+            expect(summarizeCharacter(makeCharacter())).toEqual({
+                name: 'Elira',
+                level: 3,
+                race: 'High Elf',
+                background: 'Sage',
+                classes: [
+                    {
+                        name: 'Wizard',
+                        levels: 3,
+                        subclass: 'School of Evocation',
+                    },
+                ],
+                maxHp: 14,
+                feats: [],
+            });
+        });
+    });
+
+    describe('describeChanges', () => {
+        it('should describe level, class, HP and feat changes', () => {
+            const before = makeCharacter();
+            const after = makeCharacter({
+                progression: {
+                    classes: [
+                        {
+                            name: 'Wizard',
+                            levels: 4,
+                            subclass: 'School of Evocation',
+                        },
+                        { name: 'Fighter', levels: 1, subclass: '' },
+                    ],
+                },
+                hitPoints: { current: 30, max: 30, temp: 0 },
+                feats: [{ name: 'War Caster' }],
+            });
+
+            expect(describeChanges(before, after)).toEqual([
+                'Level 3 → 5',
+                'Wizard 3 → 4',
+                'Added Fighter 1',
+                'Max HP 14 → 30',
+                'Feats added: War Caster',
+            ]);
+        });
+
+        it('should return nothing for the oldest snapshot', () => {
+            expect(describeChanges(null, makeCharacter())).toEqual([]);
+        });
+    });
+
+    describe('snapshots on disk', () => {
+        let dir;
+        let now;
+
+        beforeEach(async () => {
+            dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ff-history-'));
+            now = 1_760_000_000_000;
+            vi.spyOn(Date, 'now').mockImplementation(() => now++);
+        });
+
+        afterEach(async () => {
+            vi.restoreAllMocks();
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+
+        it('should store snapshots newest first with changes since the previous one', async () => {
+            await createSnapshot(dir, makeCharacter());
+            await createSnapshot(
+                dir,
+                makeCharacter({
+                    progression: {
+                        classes: [
+                            {
+                                name: 'Wizard',
+                                levels: 4,
+                                subclass: 'School of Evocation',
+                            },
+                        ],
+                    },
+                }),
+                { reason: 'level-up' },
+            );
+
+            const snapshots = await listSnapshots(dir, 'char-1');
+
+            expect(snapshots.map((s) => s.reason)).toEqual([
+                'level-up',
+                'save',
+            ]);
+            expect(snapshots[0].summary.level).toBe(4);
+            expect(snapshots[0].changes).toEqual([
+                'Level 3 → 4',
+                'Wizard 3 → 4',
+            ]);
+            expect(snapshots[1].changes).toEqual([]);
+        });
+
+        it('should skip a snapshot identical to the latest apart from lastModified', async () => {
+            await createSnapshot(dir, makeCharacter());
+            const skipped = await createSnapshot(
+                dir,
+                makeCharacter({ lastModified: '2026-02-02T00:00:00.000Z' }),
+            );
+
+            expect(skipped).toBeNull();
+            expect(await listSnapshots(dir, 'char-1')).toHaveLength(1);
+        });
+
+        it('should prune snapshots beyond the retention limit', async () => {
+            for (let level = 1; level <= 4; level++) {
+                await createSnapshot(
+                    dir,
+                    makeCharacter({
+                        progression: {
+                            classes: [{ name: 'Wizard', levels: level }],
+                        },
+                    }),
+                    { retention: 2 },
+                );
+            }
+
+            const snapshots = await listSnapshots(dir, 'char-1');
+            expect(snapshots.map((s) => s.summary.level)).toEqual([4, 3]);
+        });
+
+        it('should keep labelled snapshots out of the rolling pruning', async () => {
+            await createSnapshot(dir, makeCharacter(), {
+                reason: 'level-up',
+                retention: 2,
+            });
+            for (let level = 4; level <= 7; level++) {
+                await createSnapshot(
+                    dir,
+                    makeCharacter({
+                        progression: {
+                            classes: [{ name: 'Wizard', levels: level }],
+                        },
+                    }),
+                    { retention: 2 },
+                );
+            }
+
+            const snapshots = await listSnapshots(dir, 'char-1');
+            expect(snapshots.map((s) => [s.reason, s.summary.level])).toEqual([
+                ['save', 7],
+                ['save', 6],
+                ['level-up', 3],
+            ]);
+        });
+
+        it('should keep nothing when retention is zero', async () => {
+            expect(
+                await createSnapshot(dir, makeCharacter(), { retention: 0 }),
+            ).toBeNull();
+            expect(await listSnapshots(dir, 'char-1')).toEqual([]);
+        });
+
+        it('should read a snapshot back and reject ids from elsewhere', async () => {
+            const { snapshotId } = await createSnapshot(dir, makeCharacter());
+
+            expect((await readSnapshot(dir, 'char-1', snapshotId)).name).toBe(
+                'Elira',
+            );
+            await expect(
+                readSnapshot(dir, 'char-1', '../char-2'),
+            ).rejects.toThrow('Invalid snapshot ID');
+        });
+
+        it('should delete the whole history of a character', async () => {
+            await createSnapshot(dir, makeCharacter());
+            await deleteHistory(dir, 'char-1');
+
+            await expect(
+                fs.readdir(path.join(dir, HISTORY_FOLDER)),
+            ).resolves.toEqual([]);
+            expect(await listSnapshots(dir, 'char-1')).toEqual([]);
+        });
+    });
+});
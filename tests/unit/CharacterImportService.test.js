@@ -36,11 +36,19 @@ describe('CharacterImportService', () => {
     });
 
     describe('readCharacterFile', () => {
-        it('should reject non-ffp files', async () => {
-            const result = await service.readCharacterFile('char.json');
+        it('should reject files other than ffp and json', async () => {
+            const result = await service.readCharacterFile('char.txt');
             expect(result.error).toContain('.ffp');
         });
 
+        it('should read json exports from other tools', async () => {
+            const actor = { name: 'Elira', type: 'character' };
+            fs.readFile.mockResolvedValue(JSON.stringify(actor));
+
+            const result = await service.readCharacterFile('Elira.JSON');
+            expect(result.character).toEqual(actor);
+        });
+
         it('should read and parse valid ffp file', async () => {
             const charData = { id: '123', name: 'Gandalf' };
             fs.readFile.mockResolvedValue(JSON.stringify(charData));
@@ -127,7 +135,7 @@ describe('CharacterImportService', () => {
 
     describe('importCharacter', () => {
         it('should return read error on invalid file', async () => {
-            const result = await service.importCharacter('char.json');
+            const result = await service.importCharacter('char.txt');
             expect(result.step).toBe('read');
             expect(result.success).toBe(false);
         });
@@ -145,6 +153,20 @@ describe('CharacterImportService', () => {
             expect(result.error).toContain('Missing name');
         });
 
+        it('should hand non-Fizbane json to the convert step', async () => {
+            const actor = { name: 'Elira', type: 'character', system: {} };
+            fs.readFile.mockResolvedValue(JSON.stringify(actor));
+            CharacterSchema.validate.mockReturnValue({
+                valid: false,
+                errors: ['abilityScores: Required'],
+            });
+
+            const result = await service.importCharacter('elira.json');
+            expect(result.step).toBe('convert');
+            expect(result.success).toBe(false);
+            expect(result.data).toEqual(actor);
+        });
+
         it('should return conflict when character exists', async () => {
             const charData = { id: 'char-123', name: 'Test' };
             fs.readFile.mockResolvedValue(JSON.stringify(charData));
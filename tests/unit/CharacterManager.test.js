@@ -2,6 +2,7 @@ import { beforeEach, describe, expect, it, vi } from 'vitest';
 import { AppState } from '../../src/app/AppState.js';
 import { Character } from '../../src/app/Character.js';
 import { CharacterManager } from '../../src/app/CharacterManager.js';
+import { CharacterSchema } from '../../src/lib/CharacterSchema.js';
 import {
     DataError,
     NotFoundError,
@@ -54,6 +55,28 @@ describe('CharacterManager', () => {
             expect(AppState.getState().hasUnsavedChanges).toBe(true);
         });
 
+        it('should make a prepared draft current with the new id', async () => {
+            mockCharacterStorage.generateUUID.mockResolvedValue({
+                success: true,
+                data: 'test-uuid-123',
+            });
+            const draft = new Character({
+                ...CharacterSchema.create(),
+                name: 'Draft',
+                background: { name: 'Acolyte', source: 'PHB' },
+            });
+
+            const character = await CharacterManager.createCharacter(
+                'Fizban',
+                draft,
+            );
+
+            expect(character).toBe(draft);
+            expect(character.id).toBe('test-uuid-123');
+            expect(character.name).toBe('Fizban');
+            expect(AppState.getCurrentCharacter()).toBe(draft);
+        });
+
         it('should emit CHARACTER_CREATED event', async () => {
             mockCharacterStorage.generateUUID.mockResolvedValue({
                 success: true,
@@ -27,6 +27,7 @@ vi.mock('../../src/lib/CharacterSchema.js', () => ({
 }));
 vi.mock('../../src/services/CharacterImportService.js', () => ({
     CharacterImportService: vi.fn(),
+    IMPORT_FILE_EXTENSIONS: ['ffp', 'json'],
 }));
 vi.mock('node:fs/promises', () => ({ default: fsMock }));
 
@@ -50,6 +50,59 @@ describe('CharacterSerializer', () => {
             });
         });
 
+        it('should copy the roll log', () => {
+            const entry = {
+                type: 'hitPoints',
+                className: 'Fighter',
+                level: 2,
+                die: 10,
+                roll: 6,
+                at: '2026-01-01T00:00:00.000Z',
+            };
+            character.rollLog = [entry];
+
+            const serialized = CharacterSerializer.serialize(character);
+
+            expect(serialized.rollLog).toEqual([entry]);
+            expect(serialized.rollLog[0]).not.toBe(entry);
+        });
+
+        it('should copy companions with their stat blocks', () => {
+            const companion = {
+                id: 'companion-1',
+                kind: 'familiar',
+                name: 'Whiskers',
+                statBlock: { name: 'Cat', hp: { average: 2 } },
+                hitPoints: { current: 1, max: 2, temp: 0 },
+                notes: 'Hates water',
+            };
+            character.companions = [companion];
+
+            const serialized = CharacterSerializer.serialize(character);
+
+            expect(serialized.companions).toEqual([companion]);
+            expect(serialized.companions[0].statBlock).not.toBe(
+                companion.statBlock,
+            );
+            expect(new Character(serialized).companions).toEqual([companion]);
+        });
+
+        it('should copy the build plan', () => {
+            const buildPlan = {
+                levels: {
+                    2: { className: 'Fighter' },
+                    4: { className: 'Fighter', asi: { strength: 2 } },
+                },
+            };
+            character.buildPlan = buildPlan;
+
+            const serialized = CharacterSerializer.serialize(character);
+
+            expect(serialized.buildPlan).toEqual(buildPlan);
+            expect(serialized.buildPlan.levels).not.toBe(buildPlan.levels);
+            expect(new Character(serialized).buildPlan).toEqual(buildPlan);
+        });
+
         it('should convert allowedSources Set to Array', () => {
             character.allowedSources = new Set(['PHB', 'XGE', 'TCE']);
             const serialized = CharacterSerializer.serialize(character);
@@ -273,6 +326,41 @@ describe('CharacterSerializer', () => {
 
             expect(deserialized.proficiencies.weapons).toContain('Longbow');
         });
+
+        it('should preserve expertise sources and choices', () => {
+            character.addProficiency('skills', 'Stealth', 'Class');
+            character.addExpertise('skills', 'Stealth', 'Imported');
+            character.expertiseChoices = {
+                'class:Rogue:Expertise:1': [{ type: 'tools', name: "Thieves' Tools" }],
+            };
+
+            const json = JSON.stringify(CharacterSerializer.serialize(character));
+            const deserialized = CharacterSerializer.deserialize(JSON.parse(json));
+
+            expect(deserialized.expertise.skills).toEqual(['Stealth']);
+            expect(deserialized.expertiseSources.skills.get('Stealth')).toEqual(
+                new Set(['Imported']),
+            );
+            expect(deserialized.expertiseChoices).toEqual(character.expertiseChoices);
+        });
+
+        it('should preserve origin customization on the race', () => {
+            character.race = {
+                name: 'Custom Lineage',
+                source: 'TCE',
+                customOrigin: {
+                    abilityBonuses: { wisdom: 2 },
+                    proficiencySwaps: { skills: {}, weapons: {}, tools: {} },
+                },
+                lineageTrait: 'darkvision',
+            };
+
+            const json = JSON.stringify(CharacterSerializer.serialize(character));
+            const deserialized = CharacterSerializer.deserialize(JSON.parse(json));
+
+            expect(deserialized.race.customOrigin).toEqual(character.race.customOrigin);
+            expect(deserialized.race.lineageTrait).toBe('darkvision');
+        });
     });
 
     describe('Appearance & Allies Fields', () => {
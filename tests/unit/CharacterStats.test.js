@@ -0,0 +1,510 @@
+import { describe, expect, it } from 'vitest';
+import {
+    computeArmorClass,
+    computeAttacks,
+    computeCarryCapacity,
+    computeCharacterStats,
+    computeInitiative,
+    computeMaxHitPoints,
+    computePassiveScores,
+    computeSkills,
+    computeSpellcasting,
+    computeSpellSlots,
+    formatBreakdown,
+    getClassHitDie,
+    getSelectedOptionalFeatures,
+    hasWeaponProficiency,
+} from '../../src/lib/CharacterStats.js';
+
+function makeCharacter(overrides = {}) {
+    return {
+        abilityScores: {
+            strength: 10,
+            dexterity: 14,
+            constitution: 14,
+            intelligence: 10,
+            wisdom: 12,
+            charisma: 10,
+        },
+        abilityBonuses: {
+            strength: [],
+            dexterity: [],
+            constitution: [],
+            intelligence: [],
+            wisdom: [],
+            charisma: [],
+        },
+        progression: { classes: [{ name: 'Fighter', levels: 1 }] },
+        proficiencies: { skills: [], savingThrows: [] },
+        inventory: { items: [] },
+        hitPoints: { current: 0, max: 0, temp: 0 },
+        feats: [],
+        features: { traits: {} },
+        ...overrides,
+    };
+}
+
+function equipped(item) {
+    return { equipped: true, ...item };
+}
+
+describe('CharacterStats', () => {
+    describe('computeArmorClass', () => {
+        it('should use 10 + DEX when unarmored', () => {
+            const ac = computeArmorClass(makeCharacter());
+            expect(ac.value).toBe(12);
+            expect(ac.base).toBe('Unarmored');
+        });
+
+        it('should include ability bonuses in the DEX modifier', () => {
+            const char = makeCharacter();
+            char.abilityBonuses.dexterity.push({ value: 2, source: 'Race' });
+            expect(computeArmorClass(char).value).toBe(13);
+        });
+
+        it('should work with a live character whose traits are a Map', () => {
+            const char = makeCharacter({ features: { traits: new Map() } });
+            expect(computeArmorClass(char).value).toBe(12);
+        });
+
+        it('should apply Barbarian Unarmored Defense with a shield', () => {
+            const char = makeCharacter({
+                progression: { classes: [{ name: 'Barbarian', levels: 1 }] },
+                inventory: { items: [equipped({ name: 'Shield', type: 'S', ac: 2 })] },
+            });
+            const ac = computeArmorClass(char);
+            // 10 + DEX 2 + CON 2 + shield 2
+            expect(ac.value).toBe(16);
+            expect(ac.base).toBe('Unarmored Defense (Barbarian)');
+        });
+
+        it('should not apply Monk Unarmored Defense while using a shield', () => {
+            const char = makeCharacter({
+                abilityScores: { ...makeCharacter().abilityScores, wisdom: 16 },
+                progression: { classes: [{ name: 'Monk', levels: 1 }] },
+            });
+            expect(computeArmorClass(char).value).toBe(15);
+
+            char.inventory.items.push(equipped({ name: 'Shield', type: 'S', ac: 2 }));
+            expect(computeArmorClass(char).value).toBe(14);
+        });
+
+        it('should apply Mage Armor only when active', () => {
+            const char = makeCharacter();
+            expect(computeArmorClass(char).value).toBe(12);
+            const ac = computeArmorClass(char, { activeEffects: ['Mage Armor'] });
+            expect(ac.value).toBe(15);
+            expect(ac.base).toBe('Mage Armor');
+        });
+
+        it('should ignore Mage Armor while wearing armor', () => {
+            const char = makeCharacter({
+                inventory: { items: [equipped({ name: 'Chain Mail', type: 'HA', armor: true, ac: 16 })] },
+            });
+            expect(computeArmorClass(char, { activeEffects: ['Mage Armor'] }).value).toBe(16);
+        });
+
+        it('should add Defense fighting style only while armored', () => {
+            const char = makeCharacter({
+                progressionHistory: {
+                    Fighter: { 1: { choices: { 'fighting-style': { selected: ['Defense_PHB'] } } } },
+                },
+            });
+            expect(computeArmorClass(char).value).toBe(12);
+
+            char.inventory.items.push(equipped({ name: 'Chain Mail', type: 'HA', armor: true, ac: 16 }));
+            const ac = computeArmorClass(char);
+            expect(ac.value).toBe(17);
+            expect(ac.breakdown).toContainEqual({ label: 'Defense fighting style', value: 1 });
+        });
+
+        it('should add magic armor and shield bonuses', () => {
+            const char = makeCharacter({
+                inventory: {
+                    items: [
+                        equipped({ name: '+1 Breastplate', type: 'MA', armor: true, ac: 14, bonusAc: '+1' }),
+                        equipped({ name: '+2 Shield', type: 'S', ac: 2, bonusAc: '+2' }),
+                    ],
+                },
+            });
+            // 14 + DEX 2 + 1 + shield 2 + 2
+            expect(computeArmorClass(char).value).toBe(21);
+        });
+
+        it('should raise the medium armor DEX cap with Medium Armor Master', () => {
+            const char = makeCharacter({
+                abilityScores: { ...makeCharacter().abilityScores, dexterity: 18 },
+                feats: [{ name: 'Medium Armor Master', source: 'ASI' }],
+                inventory: { items: [equipped({ name: 'Half Plate', type: 'MA', armor: true, ac: 15 })] },
+            });
+            expect(computeArmorClass(char).value).toBe(18);
+        });
+
+        it('should only count attunement items that are attuned', () => {
+            const ring = { name: 'Ring of Protection', type: 'RG', bonusAc: '+1', reqAttune: true, attuned: false };
+            const char = makeCharacter({ inventory: { items: [ring] } });
+            expect(computeArmorClass(char).value).toBe(12);
+            ring.attuned = true;
+            expect(computeArmorClass(char).value).toBe(13);
+        });
+    });
+
+    describe('computeMaxHitPoints', () => {
+        it('should use full hit die at level 1 and the average afterwards', () => {
+            const char = makeCharacter({
+                progression: { classes: [{ name: 'Fighter', levels: 3 }] },
+            });
+            // 10 + 6 + 6 + CON 2 × 3
+            expect(computeMaxHitPoints(char).value).toBe(28);
+        });
+
+        it('should use recorded rolls when present', () => {
+            const char = makeCharacter({
+                progression: { classes: [{ name: 'Fighter', levels: 3, hitPoints: [10, 3, 9] }] },
+            });
+            // 10 + 3 + 9 + 6
+            expect(computeMaxHitPoints(char).value).toBe(28);
+        });
+
+        it('should add Tough and Dwarven Toughness per level', () => {
+            const char = makeCharacter({
+                progression: { classes: [{ name: 'Wizard', levels: 2 }] },
+                feats: [{ name: 'Tough', source: 'ASI' }],
+                features: { traits: { 'Dwarven Toughness': { source: 'Subrace' } } },
+            });
+            // 6 + 4 + CON 4 + Tough 4 + Dwarven 2
+            expect(computeMaxHitPoints(char).value).toBe(20);
+        });
+
+        it('should grant at least 1 hit point per level', () => {
+            const char = makeCharacter({
+                abilityScores: { ...makeCharacter().abilityScores, constitution: 1 },
+                progression: { classes: [{ name: 'Wizard', levels: 2 }] },
+            });
+            expect(computeMaxHitPoints(char).value).toBe(2);
+        });
+
+        it('should prefer a recorded maximum but keep the computed value', () => {
+            const char = makeCharacter({ hitPoints: { current: 5, max: 30, temp: 0 } });
+            const hp = computeMaxHitPoints(char);
+            expect(hp.value).toBe(30);
+            expect(hp.computed).toBe(12);
+        });
+    });
+
+    describe('getClassHitDie', () => {
+        it('should accept numbers, die strings and class defaults', () => {
+            expect(getClassHitDie({ name: 'Fighter', hitDice: 12 })).toBe(12);
+            expect(getClassHitDie({ name: 'Fighter', hitDice: 'd6' })).toBe(6);
+            expect(getClassHitDie({ name: 'Barbarian' })).toBe(12);
+            expect(getClassHitDie({ name: 'Unknown' })).toBe(8);
+        });
+    });
+
+    describe('skills and passives', () => {
+        it('should add Jack of All Trades to non-proficient skills', () => {
+            const char = makeCharacter({
+                progression: { classes: [{ name: 'Bard', levels: 2 }] },
+                proficiencies: { skills: ['Perception'], savingThrows: [] },
+            });
+            const skills = computeSkills(char);
+            expect(skills.Perception.value).toBe(3);
+            expect(skills.Stealth.value).toBe(3);
+            expect(skills.Arcana.value).toBe(1);
+        });
+
+        it('should double the proficiency bonus for expertise', () => {
+            const char = makeCharacter({
+                proficiencies: { skills: ['Stealth', 'Perception'], savingThrows: [] },
+                expertise: { skills: ['Stealth', 'Arcana'], tools: [] },
+            });
+            const skills = computeSkills(char);
+            expect(skills.Stealth.value).toBe(6);
+            expect(skills.Stealth.expertise).toBe(true);
+            expect(formatBreakdown(skills.Stealth.breakdown)).toBe(
+                'Dexterity 2, Proficiency +2, Expertise +2',
+            );
+            expect(skills.Perception.expertise).toBe(false);
+            // Expertise without proficiency does nothing
+            expect(skills.Arcana.value).toBe(0);
+            expect(skills.Arcana.expertise).toBe(false);
+        });
+
+        it('should merge optional skill selections', () => {
+            const char = makeCharacter({
+                optionalProficiencies: { skills: { class: { selected: ['Insight'] } } },
+            });
+            expect(computeSkills(char).Insight.proficient).toBe(true);
+        });
+
+        it('should compute passive scores with Observant', () => {
+            const char = makeCharacter({ feats: ['Observant'] });
+            const passives = computePassiveScores(char);
+            expect(passives.perception.value).toBe(16);
+            expect(passives.investigation.value).toBe(15);
+            expect(passives.insight.value).toBe(11);
+        });
+    });
+
+    describe('computeInitiative', () => {
+        it('should add Alert to DEX', () => {
+            const char = makeCharacter({ feats: [{ name: 'Alert' }] });
+            const init = computeInitiative(char);
+            expect(init.value).toBe(7);
+            expect(init.breakdown).toEqual([
+                { label: 'Dexterity', value: 2 },
+                { label: 'Alert', value: 5 },
+            ]);
+        });
+    });
+
+    describe('computeSpellcasting', () => {
+        it('should compute DC and attack bonus per class', () => {
+            const char = makeCharacter({
+                abilityScores: { ...makeCharacter().abilityScores, intelligence: 16 },
+                spellcasting: { classes: { Wizard: { spellcastingAbility: 'intelligence' } } },
+            });
+            const [wizard] = computeSpellcasting(char);
+            expect(wizard.className).toBe('Wizard');
+            expect(wizard.saveDc.value).toBe(13);
+            expect(wizard.attackBonus.value).toBe(5);
+        });
+    });
+
+    describe('computeCarryCapacity', () => {
+        it('should scale with size and Powerful Build', () => {
+            const char = makeCharacter({ size: ['M'] });
+            expect(computeCarryCapacity(char).value).toBe(150);
+
+            char.features.traits['Powerful Build'] = {};
+            const capacity = computeCarryCapacity(char);
+            expect(capacity.value).toBe(300);
+            expect(capacity.pushDragLift).toBe(600);
+            expect(capacity.encumbered).toBe(100);
+        });
+    });
+
+    describe('computeAttacks', () => {
+        const rapier = {
+            name: 'Rapier', type: 'M', weapon: true, weaponCategory: 'martial',
+            dmg1: '1d8', dmgType: 'P', property: ['F'],
+        };
+        const longbow = {
+            name: 'Longbow', type: 'R', weapon: true, weaponCategory: 'martial',
+            dmg1: '1d8', dmgType: 'P', range: '150/600', property: ['A', 'H', '2H'],
+        };
+
+        it('should use the better of STR and DEX for finesse weapons', () => {
+            const char = makeCharacter({
+                proficiencies: { weapons: ['Martial Weapons'] },
+                inventory: { items: [equipped(rapier)] },
+            });
+            const [attack] = computeAttacks(char);
+            expect(attack.ability).toBe('dexterity');
+            expect(attack.toHit.value).toBe(4);
+            expect(attack.damage.text).toBe('1d8+2 Piercing');
+            expect(attack.range).toBe('5 ft.');
+            expect(attack.properties).toEqual(['Finesse']);
+        });
+
+        it('should skip unequipped weapons and add no proficiency without it', () => {
+            const char = makeCharacter({
+                inventory: { items: [equipped(rapier), { ...longbow, equipped: false }] },
+            });
+            const attacks = computeAttacks(char);
+            expect(attacks).toHaveLength(1);
+            expect(attacks[0].proficient).toBe(false);
+            expect(attacks[0].toHit.value).toBe(2);
+        });
+
+        it('should apply magic bonuses and the Archery fighting style to ranged weapons', () => {
+            const char = makeCharacter({
+                proficiencies: { weapons: ['longbows'] },
+                progressionHistory: {
+                    Fighter: { 1: { choices: { 'fighting-style': { selected: ['Archery_PHB'] } } } },
+                },
+                inventory: {
+                    items: [equipped({ ...longbow, name: '+1 Longbow', baseName: 'Longbow', bonusWeapon: '+1' })],
+                },
+            });
+            const [attack] = computeAttacks(char);
+            // DEX 2 + proficiency 2 + magic 1 + Archery 2
+            expect(attack.toHit.value).toBe(7);
+            expect(attack.damage.formula).toBe('1d8+3');
+            expect(attack.range).toBe('150/600 ft.');
+            expect(attack.toHit.breakdown).toContainEqual({ label: 'Archery fighting style', value: 2 });
+        });
+
+        it('should add Dueling only to a lone one-handed melee weapon', () => {
+            const longsword = {
+                name: 'Longsword', type: 'M|XPHB', weapon: true, weaponCategory: 'martial',
+                dmg1: '1d8', dmg2: '1d10', dmgType: 'S', property: ['V|XPHB'],
+            };
+            const char = makeCharacter({
+                abilityScores: { ...makeCharacter().abilityScores, strength: 16 },
+                feats: [{ name: 'Dueling', source: 'Level 1' }],
+                inventory: { items: [equipped(longsword)] },
+            });
+            const [attack] = computeAttacks(char);
+            expect(attack.damage.formula).toBe('1d8+5');
+            expect(attack.properties).toEqual(['Versatile (1d10+3)']);
+
+            char.inventory.items.push(equipped({ ...rapier, name: 'Dagger' }));
+            expect(computeAttacks(char)[0].damage.formula).toBe('1d8+3');
+        });
+
+        it('should keep Dueling when the other equipped weapon is ranged', () => {
+            const longsword = {
+                name: 'Longsword', type: 'M', weapon: true, weaponCategory: 'martial',
+                dmg1: '1d8', dmg2: '1d10', dmgType: 'S', property: ['V'],
+            };
+            const char = makeCharacter({
+                abilityScores: { ...makeCharacter().abilityScores, strength: 16 },
+                feats: [{ name: 'Dueling', source: 'Level 1' }],
+                inventory: { items: [equipped(longsword), equipped(longbow)] },
+            });
+            const [sword, bow] = computeAttacks(char);
+            expect(sword.damage.formula).toBe('1d8+5');
+            expect(bow.damage.formula).toBe('1d8+2');
+        });
+
+        it('should describe thrown range and mastered weapons', () => {
+            const char = makeCharacter({
+                progression: { classes: [{ name: 'Rogue', levels: 1, weaponMasteries: ['Dagger'] }] },
+                inventory: {
+                    items: [equipped({
+                        name: 'Dagger', type: 'M', weapon: true, weaponCategory: 'simple', dmg1: '1d4',
+                        dmgType: 'P', range: '20/60', property: ['F', 'L', 'T'], mastery: ['Nick|XPHB'],
+                    })],
+                },
+            });
+            const [attack] = computeAttacks(char);
+            expect(attack.properties).toEqual(['Finesse', 'Light', 'Thrown (20/60 ft.)']);
+            expect(attack.notes).toEqual(['Mastery: Nick']);
+        });
+    });
+
+    describe('hasWeaponProficiency', () => {
+        it('should match categories, names and restricted categories', () => {
+            const scimitar = { name: 'Scimitar', weaponCategory: 'martial', property: ['F|XPHB', 'L|XPHB'] };
+            const glaive = { name: 'Glaive', weaponCategory: 'martial', property: ['H', 'R', '2H'] };
+            const rogue = {
+                proficiencies: {
+                    weapons: [
+                        'Simple Weapons',
+                        'Martial weapons that have the {@itemProperty F|XPHB|Finesse} or {@itemProperty L|XPHB|Light} property',
+                    ],
+                },
+            };
+            expect(hasWeaponProficiency(rogue, scimitar)).toBe(true);
+            expect(hasWeaponProficiency(rogue, glaive)).toBe(false);
+            expect(hasWeaponProficiency({ proficiencies: { weapons: ['{@item glaive|phb|glaives}'] } }, glaive)).toBe(true);
+        });
+    });
+
+    describe('getSelectedOptionalFeatures', () => {
+        it('should collect selections across classes and strip sources', () => {
+            const char = makeCharacter({
+                progressionHistory: {
+                    Warlock: { 2: { choices: { invocation: { selected: ['Agonizing Blast_PHB', 'Mask of Many Faces'] } } } },
+                    Fighter: { 1: { choices: { 'fighting-style': { selected: ['Archery_PHB'] } } } },
+                },
+            });
+            expect([...getSelectedOptionalFeatures(char)]).toEqual(
+                ['Agonizing Blast', 'Mask of Many Faces', 'Archery'],
+            );
+            expect([...getSelectedOptionalFeatures(char, 'fighting-style')]).toEqual(['Archery']);
+        });
+    });
+
+    describe('computeCharacterStats', () => {
+        it('should return every derived stat with a breakdown', () => {
+            const stats = computeCharacterStats(makeCharacter());
+            expect(stats.proficiencyBonus).toBe(2);
+            expect(stats.armorClass.breakdown.length).toBeGreaterThan(0);
+            expect(stats.hitPoints.value).toBe(12);
+            expect(stats.savingThrows.strength.value).toBe(0);
+            expect(stats.passives.perception.value).toBe(11);
+        });
+    });
+
+    describe('computeSpellSlots', () => {
+        const withClasses = (classes, ruleset) => ({
+            progression: { classes },
+            variantRules: ruleset ? { ruleset } : undefined,
+        });
+
+        it('uses a lone caster\'s own table, rounding half and third casters up', () => {
+            const ek = computeSpellSlots(withClasses([{ name: 'Fighter', levels: 7, subclass: 'Eldritch Knight' }]));
+            expect(ek.casterLevel).toBe(3);
+            expect(ek.slots).toEqual({ 1: 4, 2: 2 });
+
+            const artificer = computeSpellSlots(withClasses([{ name: 'Artificer', levels: 1 }]));
+            expect(artificer.casterLevel).toBe(1);
+            expect(artificer.slots).toEqual({ 1: 2 });
+        });
+
+        it('combines multiclass caster levels with the correct rounding', () => {
+            const model = computeSpellSlots(withClasses([
+                { name: 'Wizard', levels: 5 },
+                { name: 'Paladin', levels: 3 },
+                { name: 'Fighter', levels: 5, subclass: 'Eldritch Knight' },
+                { name: 'Artificer', levels: 3 },
+            ]));
+            // 5 + floor(3/2) + floor(5/3) + ceil(3/2)
+            expect(model.multiclass).toBe(true);
+            expect(model.casterLevel).toBe(9);
+            expect(model.slots).toEqual({ 1: 4, 2: 3, 3: 3, 4: 3, 5: 1 });
+            expect(model.classes.find(c => c.className === 'Paladin').maxSpellLevel).toBe(1);
+        });
+
+        it('rounds half casters up and grants Spellcasting at level 1 under the 2024 rules', () => {
+            const classes = [{ name: 'Paladin', levels: 1 }, { name: 'Sorcerer', levels: 2 }];
+            expect(computeSpellSlots(withClasses(classes)).casterLevel).toBe(2);
+            expect(computeSpellSlots(withClasses(classes, '2024')).casterLevel).toBe(3);
+        });
+
+        it('ignores third casters without their subclass', () => {
+            const model = computeSpellSlots(withClasses([
+                { name: 'Fighter', levels: 6 },
+                { name: 'Rogue', levels: 3 },
+            ]));
+            expect(model.classes).toEqual([]);
+            expect(model.slots).toEqual({});
+        });
+
+        it('keeps Pact Magic separate from the shared pool', () => {
+            const model = computeSpellSlots(withClasses([
+                { name: 'Warlock', levels: 3 },
+                { name: 'Sorcerer', levels: 4 },
+            ]));
+            expect(model.multiclass).toBe(false);
+            expect(model.casterLevel).toBe(4);
+            expect(model.slots).toEqual({ 1: 4, 2: 3 });
+            expect(model.pactMagic).toEqual({ className: 'Warlock', levels: 3, count: 2, slotLevel: 2 });
+        });
+
+        it('counts Mystic Arcanum toward a Warlock\'s highest spell level', () => {
+            const model = computeSpellSlots(withClasses([{ name: 'Warlock', levels: 13 }]));
+            expect(model.pactMagic).toMatchObject({ count: 3, slotLevel: 5 });
+            expect(model.classes[0].maxSpellLevel).toBe(7);
+        });
+
+        it('accepts a custom progression lookup', () => {
+            const model = computeSpellSlots(withClasses([{ name: 'Homebrew', levels: 20 }]), {
+                getCasterProgression: () => 'full',
+            });
+            expect(model.slots).toEqual({ 1: 4, 2: 3, 3: 3, 4: 3, 5: 3, 6: 2, 7: 2, 8: 1, 9: 1 });
+        });
+    });
+
+    describe('formatBreakdown', () => {
+        it('should sign every entry after the first', () => {
+            expect(formatBreakdown([
+                { label: 'Chain Mail', value: 16 },
+                { label: 'Shield', value: 2 },
+                { label: 'Curse', value: -1 },
+            ])).toBe('Chain Mail 16, Shield +2, Curse -1');
+        });
+    });
+});
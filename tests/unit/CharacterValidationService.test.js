@@ -1,4 +1,4 @@
-import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 
 // Mock TooltipManager to break circular dependency
 vi.mock('../../src/ui/rendering/TooltipManager.js', () => ({
@@ -23,11 +23,14 @@ vi.mock('../../src/services/ProgressionValidatorService.js', () => ({
 vi.mock('../../src/services/SpellValidatorService.js', () => ({
     spellValidatorService: {
         checkSpells: vi.fn(),
+        checkCastableSpells: vi.fn(),
     },
 }));
 
+import { backgroundService } from '../../src/services/BackgroundService.js';
 import { characterValidationService } from '../../src/services/CharacterValidationService.js';
 import { classService } from '../../src/services/ClassService.js';
+import { featService } from '../../src/services/FeatService.js';
 import { progressionValidatorService } from '../../src/services/ProgressionValidatorService.js';
 import { spellValidatorService } from '../../src/services/SpellValidatorService.js';
 
@@ -95,6 +98,19 @@ describe('CharacterValidationService', () => {
             expect(spellValidatorService.checkSpells).toHaveBeenCalled();
         });
 
+        it('should check known spells against castable levels once across classes', () => {
+            classService.getClass.mockReturnValue(mockWizardClass);
+            const character = {
+                progression: {
+                    classes: [{ name: 'Wizard', levels: 3 }, { name: 'Cleric', levels: 2 }],
+                },
+            };
+
+            const report = characterValidationService.validateCharacter(character);
+            expect(spellValidatorService.checkCastableSpells).toHaveBeenCalledTimes(1);
+            expect(spellValidatorService.checkCastableSpells).toHaveBeenCalledWith(character, report);
+        });
+
         it('should return invalid report for null character', () => {
             const report = characterValidationService.validateCharacter(null);
             expect(report.isValid).toBe(false);
@@ -169,6 +185,135 @@ describe('CharacterValidationService', () => {
         });
     });
 
+    describe('validateCharacter with the 2024 rules', () => {
+        const sage = {
+            name: 'Sage',
+            source: 'XPHB',
+            ability: [
+                {
+                    choose: {
+                        weighted: { from: ['con', 'int', 'wis'], weights: [2, 1] },
+                    },
+                },
+            ],
+            feats: [{ 'magic initiate; wizard|xphb': true }],
+        };
+        let getBackgroundSpy;
+        let getFeatSpy;
+
+        beforeEach(() => {
+            getBackgroundSpy = vi
+                .spyOn(backgroundService, 'getBackground')
+                .mockReturnValue(sage);
+            getFeatSpy = vi
+                .spyOn(featService, 'getFeat')
+                .mockImplementation((name) => ({
+                    name,
+                    category: name.startsWith('Boon') ? 'EB' : 'G',
+                }));
+        });
+
+        afterEach(() => {
+            getBackgroundSpy.mockRestore();
+            getFeatSpy.mockRestore();
+        });
+
+        function makeCharacter(overrides = {}) {
+            return {
+                variantRules: { ruleset: '2024' },
+                background: {
+                    name: 'Sage',
+                    source: 'XPHB',
+                    abilityBonuses: { intelligence: 2, wisdom: 1 },
+                },
+                feats: [{ name: 'Magic Initiate', source: 'Background' }],
+                abilityBonuses: {},
+                progression: {
+                    classes: [
+                        {
+                            name: 'Fighter',
+                            levels: 1,
+                            weaponMasteries: ['Longsword', 'Shortbow', 'Spear'],
+                        },
+                    ],
+                },
+                ...overrides,
+            };
+        }
+
+        it('should accept a complete 2024 character', () => {
+            const report = characterValidationService.validateCharacter(makeCharacter());
+
+            expect(report.isValid).toBe(true);
+            expect(report.warnings).toHaveLength(0);
+        });
+
+        it('should require the background ability bonuses and origin feat', () => {
+            const report = characterValidationService.validateCharacter(
+                makeCharacter({
+                    background: { name: 'Sage', source: 'XPHB' },
+                    feats: [],
+                }),
+            );
+
+            expect(report.isValid).toBe(false);
+            expect(report.missing.abilityBonuses).toHaveLength(1);
+            expect(report.missing.originFeats[0].feats).toEqual(['Magic Initiate']);
+        });
+
+        it('should warn about racial ability bonuses', () => {
+            const report = characterValidationService.validateCharacter(
+                makeCharacter({
+                    abilityBonuses: { strength: [{ value: 2, source: 'Race' }] },
+                }),
+            );
+
+            expect(report.warnings).toContain(
+                'Racial ability bonuses do not apply under the 2024 rules',
+            );
+        });
+
+        it('should count missing weapon masteries per class', () => {
+            const character = makeCharacter();
+            character.progression.classes[0].weaponMasteries = ['Longsword'];
+
+            const report = characterValidationService.validateCharacter(character);
+
+            expect(report.missing.weaponMasteries).toEqual([
+                { class: 'Fighter', expected: 3, selected: 1, missing: 2 },
+            ]);
+            expect(
+                characterValidationService.getMissingChoicesForClass(character, 'Fighter')
+                    .features,
+            ).toHaveLength(1);
+        });
+
+        it('should require an Epic Boon at level 19', () => {
+            const character = makeCharacter();
+            character.progression.classes[0].levels = 19;
+            character.progression.classes[0].weaponMasteries.push('Dagger', 'Whip', 'Rapier');
+
+            const report = characterValidationService.validateCharacter(character);
+            expect(report.missing.epicBoons).toEqual([
+                { class: 'Fighter', level: 19, missing: 1 },
+            ]);
+
+            character.feats.push({ name: 'Boon of Fate', source: 'Level 19' });
+            expect(
+                characterValidationService.validateCharacter(character).isValid,
+            ).toBe(true);
+        });
+
+        it('should skip the 2024 checks for 2014 characters', () => {
+            const report = characterValidationService.validateCharacter(
+                makeCharacter({ variantRules: {}, feats: [] }),
+            );
+
+            expect(report.isValid).toBe(true);
+            expect(getBackgroundSpy).not.toHaveBeenCalled();
+        });
+    });
+
     describe('getSummary', () => {
         it('should return empty array when nothing is missing', () => {
             const report = {
@@ -0,0 +1,98 @@
+// @vitest-environment node
+import { PDFDocument } from 'pdf-lib';
+import { describe, expect, it } from 'vitest';
+
+import {
+    appendCompanionPages,
+    formatCompanionLines,
+} from '../../src/main/pdf/CompanionPages.js';
+
+const wolf = {
+    id: 'companion-1',
+    kind: 'beast-companion',
+    name: 'Grey',
+    notes: 'Found in the Neverwinter Wood',
+    hitPoints: { current: 8, max: 11, temp: 2 },
+    statBlock: {
+        name: 'Wolf',
+        source: 'MM',
+        size: ['M'],
+        type: 'beast',
+        cr: '1/4',
+        ac: [{ ac: 13, from: ['natural armor'] }],
+        speed: { walk: 40 },
+        str: 12,
+        dex: 15,
+        con: 12,
+        int: 3,
+        wis: 12,
+        cha: 6,
+        skill: { perception: '+3', stealth: '+4' },
+        passive: 13,
+        trait: [
+            {
+                name: 'Pack Tactics',
+                entries: ['The wolf has advantage on an attack roll.'],
+            },
+        ],
+        action: [
+            {
+                name: 'Bite',
+                entries: [
+                    '{@atk mw} {@hit 4} to hit, reach 5 ft. {@h}7 ({@damage 2d4 + 2}) piercing damage. If the target is a creature, it must succeed on a {@dc 11} Strength saving throw or be knocked {@condition prone}.',
+                ],
+            },
+        ],
+    },
+};
+
+describe('CompanionPages', () => {
+    describe('formatCompanionLines', () => {
+        it('should list stats, tracked hit points, actions and notes', () => {
+            const lines = formatCompanionLines(wolf);
+            const texts = lines.map((line) => line.text);
+
+            expect(lines[0]).toEqual({
+                text: 'Grey (Wolf) - Beast Companion',
+                style: 'title',
+            });
+            expect(texts).toContain('Medium, beast, CR 1/4');
+            expect(texts).toContain(
+                'AC 13 (natural armor)   HP 8/11 (+2 temp)   Speed 40 ft.',
+            );
+            expect(texts).toContain(
+                'STR 12 (+1)   DEX 15 (+2)   CON 12 (+1)   INT 3 (-4)   WIS 12 (+1)   CHA 6 (-2)',
+            );
+            expect(texts).toContain('Skills Perception +3, Stealth +4');
+            expect(texts).toContain('Senses passive Perception 13');
+            expect(texts).toContain(
+                'Pack Tactics. The wolf has advantage on an attack roll.',
+            );
+            expect(lines.filter((l) => l.style === 'heading')).toEqual([
+                { text: 'Actions', style: 'heading' },
+                { text: 'Notes', style: 'heading' },
+            ]);
+            expect(texts.at(-1)).toBe('Found in the Neverwinter Wood');
+        });
+    });
+
+    describe('appendCompanionPages', () => {
+        it('should add nothing without companions', async () => {
+            const pdfDoc = await PDFDocument.create();
+
+            expect(await appendCompanionPages(pdfDoc, [])).toBe(0);
+            expect(await appendCompanionPages(pdfDoc, undefined)).toBe(0);
+            expect(pdfDoc.getPageCount()).toBe(0);
+        });
+
+        it('should continue onto more pages when companions overflow', async () => {
+            const pdfDoc = await PDFDocument.create();
+            const companions = Array.from({ length: 8 }, () => wolf);
+
+            const added = await appendCompanionPages(pdfDoc, companions);
+
+            expect(added).toBeGreaterThan(1);
+            expect(pdfDoc.getPageCount()).toBe(added);
+        });
+    });
+});
@@ -0,0 +1,388 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../src/ui/rendering/TooltipManager.js', () => ({
+    initializeTooltipListeners: vi.fn(),
+}));
+
+import { NotFoundError, ValidationError } from '../../src/lib/Errors.js';
+import { COMPANION_KINDS, RULESETS } from '../../src/lib/GameRules.js';
+import {
+    CompanionService,
+    parseChallengeRating,
+} from '../../src/services/CompanionService.js';
+import { monsterService } from '../../src/services/MonsterService.js';
+import { sourceService } from '../../src/services/SourceService.js';
+
+const cat = {
+    name: 'Cat',
+    source: 'MM',
+    size: ['T'],
+    type: 'beast',
+    cr: '0',
+    hp: { average: 2 },
+    speed: { walk: 40, climb: 30 },
+};
+const wolf = {
+    name: 'Wolf',
+    source: 'MM',
+    size: ['M'],
+    type: 'beast',
+    cr: '1/4',
+    hp: { average: 11 },
+    speed: { walk: 40 },
+};
+const crocodile = {
+    ...wolf,
+    name: 'Crocodile',
+    size: ['L'],
+    cr: '1/2',
+    speed: { walk: 20, swim: 30 },
+};
+const giantEagle = {
+    ...wolf,
+    name: 'Giant Eagle',
+    size: ['L'],
+    cr: '1',
+    speed: { walk: 10, fly: 80 },
+};
+const brownBear = { ...wolf, name: 'Brown Bear', size: ['L'], cr: '1' };
+const imp = {
+    name: 'Imp',
+    source: 'MM',
+    size: ['T'],
+    type: { type: 'fiend' },
+    cr: '1',
+    hp: { average: 10 },
+};
+const beastOfTheLand = {
+    name: 'Beast of the Land',
+    source: 'XPHB',
+    size: ['M'],
+    type: 'beast',
+    hp: { special: '5 + five times your Ranger level' },
+};
+
+function makeCharacter({ classes = [], spells = [], ruleset, history } = {}) {
+    return {
+        variantRules: ruleset ? { ruleset } : {},
+        progression: { classes },
+        spellcasting: { classes: { Wizard: { spellsKnown: spells } } },
+        progressionHistory: history,
+        companions: [],
+    };
+}
+
+const wizard = () =>
+    makeCharacter({
+        classes: [{ name: 'Wizard', levels: 1 }],
+        spells: [{ name: 'Find Familiar' }],
+    });
+
+describe('CompanionService', () => {
+    const service = new CompanionService();
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should parse fractional and object challenge ratings', () => {
+        expect(parseChallengeRating('1/8')).toBe(0.125);
+        expect(parseChallengeRating({ cr: '2', lair: '3' })).toBe(2);
+        expect(parseChallengeRating(5)).toBe(5);
+        expect(parseChallengeRating('Unknown')).toBeNull();
+    });
+
+    describe('getAvailableKinds', () => {
+        it('should follow spells, subclasses and Druid level', () => {
+            expect(service.getAvailableKinds(wizard())).toEqual([
+                COMPANION_KINDS.FAMILIAR,
+            ]);
+            expect(
+                service.getAvailableKinds(
+                    makeCharacter({
+                        classes: [
+                            {
+                                name: 'Ranger',
+                                levels: 3,
+                                subclass: 'Beast Master',
+                            },
+                            { name: 'Druid', levels: 2 },
+                        ],
+                    }),
+                ),
+            ).toEqual([
+                COMPANION_KINDS.BEAST_COMPANION,
+                COMPANION_KINDS.WILD_SHAPE,
+            ]);
+            expect(
+                service.getAvailableKinds(
+                    makeCharacter({
+                        classes: [{ name: 'Druid', levels: 1 }],
+                    }),
+                ),
+            ).toEqual([]);
+        });
+
+        it('should offer familiars for Pact of the Chain', () => {
+            const character = makeCharacter({
+                classes: [{ name: 'Warlock', levels: 3 }],
+                history: {
+                    Warlock: {
+                        3: {
+                            choices: {
+                                PB: { selected: ['Pact of the Chain_PHB'] },
+                            },
+                        },
+                    },
+                },
+            });
+
+            expect(service.getAvailableKinds(character)).toEqual([
+                COMPANION_KINDS.FAMILIAR,
+            ]);
+            expect(
+                service.isEligible(character, COMPANION_KINDS.FAMILIAR, imp),
+            ).toBe(true);
+            expect(
+                service.isEligible(wizard(), COMPANION_KINDS.FAMILIAR, imp),
+            ).toBe(false);
+        });
+    });
+
+    describe('isEligible', () => {
+        it('should limit familiars to the Find Familiar forms', () => {
+            expect(
+                service.isEligible(wizard(), COMPANION_KINDS.FAMILIAR, cat),
+            ).toBe(true);
+            expect(
+                service.isEligible(wizard(), COMPANION_KINDS.FAMILIAR, wolf),
+            ).toBe(false);
+        });
+
+        it('should allow any CR 0 beast as a 2024 familiar', () => {
+            const character = {
+                ...wizard(),
+                variantRules: { ruleset: RULESETS.MODERN },
+            };
+            const mastiff = { ...cat, name: 'Mastiff', cr: '0' };
+
+            expect(
+                service.isEligible(
+                    character,
+                    COMPANION_KINDS.FAMILIAR,
+                    mastiff,
+                ),
+            ).toBe(true);
+            expect(
+                service.isEligible(wizard(), COMPANION_KINDS.FAMILIAR, mastiff),
+            ).toBe(false);
+        });
+
+        it('should cap 2014 beast companions at medium and CR 1/4', () => {
+            const ranger = makeCharacter({
+                classes: [
+                    { name: 'Ranger', levels: 3, subclass: 'Beast Master' },
+                ],
+            });
+
+            expect(
+                service.isEligible(
+                    ranger,
+                    COMPANION_KINDS.BEAST_COMPANION,
+                    wolf,
+                ),
+            ).toBe(true);
+            expect(
+                service.isEligible(
+                    ranger,
+                    COMPANION_KINDS.BEAST_COMPANION,
+                    crocodile,
+                ),
+            ).toBe(false);
+            expect(
+                service.isEligible(
+                    wizard(),
+                    COMPANION_KINDS.BEAST_COMPANION,
+                    wolf,
+                ),
+            ).toBe(false);
+        });
+
+        it('should use the Primal Companion under the 2024 rules', () => {
+            const ranger = makeCharacter({
+                ruleset: RULESETS.MODERN,
+                classes: [
+                    { name: 'Ranger', levels: 3, subclass: 'Beast Master' },
+                ],
+            });
+
+            expect(
+                service.isEligible(
+                    ranger,
+                    COMPANION_KINDS.BEAST_COMPANION,
+                    beastOfTheLand,
+                ),
+            ).toBe(true);
+            expect(
+                service.isEligible(
+                    ranger,
+                    COMPANION_KINDS.BEAST_COMPANION,
+                    wolf,
+                ),
+            ).toBe(false);
+        });
+
+        it('should apply Wild Shape CR and movement limits by Druid level', () => {
+            const druid = (levels, subclass) =>
+                makeCharacter({
+                    classes: [{ name: 'Druid', levels, subclass }],
+                });
+            const wildShape = COMPANION_KINDS.WILD_SHAPE;
+
+            expect(service.isEligible(druid(2), wildShape, wolf)).toBe(true);
+            expect(service.isEligible(druid(2), wildShape, crocodile)).toBe(
+                false,
+            );
+            expect(service.isEligible(druid(4), wildShape, crocodile)).toBe(
+                true,
+            );
+            expect(service.isEligible(druid(4), wildShape, brownBear)).toBe(
+                false,
+            );
+            expect(service.isEligible(druid(8), wildShape, giantEagle)).toBe(
+                true,
+            );
+            expect(
+                service.isEligible(
+                    druid(2, 'Circle of the Moon'),
+                    wildShape,
+                    brownBear,
+                ),
+            ).toBe(true);
+            expect(service.isEligible(druid(2), wildShape, imp)).toBe(false);
+        });
+
+        it('should raise the Circle of the Moon CR limit from level 6', () => {
+            const moon = makeCharacter({
+                classes: [
+                    {
+                        name: 'Druid',
+                        levels: 9,
+                        subclass: 'Circle of the Moon',
+                    },
+                ],
+            });
+
+            expect(service.getWildShapeLimits(moon)).toEqual({
+                maxCr: 3,
+                fly: true,
+                swim: true,
+            });
+        });
+    });
+
+    describe('getCandidates', () => {
+        it('should search the allowed sources and the core bestiary', async () => {
+            vi.spyOn(sourceService, 'getAllowedSources').mockReturnValue([
+                'PHB',
+                'MM',
+            ]);
+            const spy = vi
+                .spyOn(monsterService, 'getMonstersFromSources')
+                .mockResolvedValue([wolf, imp, cat]);
+
+            const candidates = await service.getCandidates(
+                wizard(),
+                COMPANION_KINDS.FAMILIAR,
+            );
+
+            expect(spy).toHaveBeenCalledWith(['PHB', 'MM', 'MM']);
+            expect(candidates.map((m) => m.name)).toEqual(['Cat']);
+        });
+    });
+
+    describe('companions', () => {
+        it('should copy the stat block and start at full hit points', () => {
+            const character = wizard();
+            const monster = structuredClone(cat);
+
+            const companion = service.addCompanion(
+                character,
+                COMPANION_KINDS.FAMILIAR,
+                monster,
+            );
+            monster.hp.average = 99;
+
+            expect(companion.id).toMatch(/^companion-/);
+            expect(companion.statBlock.hp.average).toBe(2);
+            expect(companion.hitPoints).toEqual({
+                current: 2,
+                max: 2,
+                temp: 0,
+            });
+            expect(character.companions).toEqual([companion]);
+        });
+
+        it('should work out hit points that scale with class level', () => {
+            const ranger = makeCharacter({
+                ruleset: RULESETS.MODERN,
+                classes: [
+                    { name: 'Ranger', levels: 5, subclass: 'Beast Master' },
+                ],
+            });
+
+            const companion = service.addCompanion(
+                ranger,
+                COMPANION_KINDS.BEAST_COMPANION,
+                beastOfTheLand,
+            );
+
+            expect(companion.hitPoints.max).toBe(30);
+        });
+
+        it('should reject creatures the rules do not allow', () => {
+            expect(() =>
+                service.addCompanion(wizard(), COMPANION_KINDS.FAMILIAR, wolf),
+            ).toThrow(ValidationError);
+        });
+
+        it('should clamp hit points and keep notes', () => {
+            const character = wizard();
+            const { id } = service.addCompanion(
+                character,
+                COMPANION_KINDS.FAMILIAR,
+                cat,
+            );
+
+            const companion = service.updateCompanion(character, id, {
+                name: 'Whiskers',
+                notes: 'Sleeps in the spellbook',
+                hitPoints: { current: '7', temp: -2 },
+            });
+
+            expect(companion.name).toBe('Whiskers');
+            expect(companion.notes).toBe('Sleeps in the spellbook');
+            expect(companion.hitPoints).toEqual({
+                current: 2,
+                max: 2,
+                temp: 0,
+            });
+        });
+
+        it('should remove companions by id', () => {
+            const character = wizard();
+            const { id } = service.addCompanion(
+                character,
+                COMPANION_KINDS.FAMILIAR,
+                cat,
+            );
+
+            service.removeCompanion(character, id);
+
+            expect(character.companions).toEqual([]);
+            expect(() => service.removeCompanion(character, id)).toThrow(
+                NotFoundError,
+            );
+        });
+    });
+});
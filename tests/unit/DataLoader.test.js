@@ -214,6 +214,62 @@ describe('DataLoader', () => {
         });
     });
 
+    describe('homebrew', () => {
+        const brews = [
+            {
+                path: '/brew/a.json',
+                data: {
+                    race: [{ name: 'Dragonkin', source: 'Brew' }],
+                    feat: [{ name: 'Brew Feat', source: 'Brew' }],
+                },
+            },
+        ];
+
+        it('should return an empty list when the bridge is unavailable', async () => {
+            expect(await DataLoader.loadHomebrew()).toEqual([]);
+        });
+
+        it('should append tagged homebrew entries without mutating the data', async () => {
+            window.data.loadHomebrew = vi.fn().mockResolvedValue({
+                success: true,
+                brews,
+                errors: [],
+            });
+            const data = { race: [{ name: 'Elf', source: 'PHB' }] };
+
+            const merged = await DataLoader.withHomebrew(data, ['race', 'subrace']);
+
+            expect(merged.race).toEqual([
+                { name: 'Elf', source: 'PHB' },
+                { name: 'Dragonkin', source: 'Brew', homebrew: true },
+            ]);
+            expect(merged.subrace).toBeUndefined();
+            expect(data.race).toHaveLength(1);
+        });
+
+        it('should load homebrew once until the cache is cleared', async () => {
+            window.data.loadHomebrew = vi.fn().mockResolvedValue({
+                success: true,
+                brews,
+                errors: [],
+            });
+
+            await DataLoader.loadHomebrew();
+            await DataLoader.loadHomebrew();
+            expect(window.data.loadHomebrew).toHaveBeenCalledTimes(1);
+
+            DataLoader.clearCache();
+            await DataLoader.loadHomebrew();
+            expect(window.data.loadHomebrew).toHaveBeenCalledTimes(2);
+        });
+
+        it('should ignore homebrew when loading fails', async () => {
+            window.data.loadHomebrew = vi.fn().mockRejectedValue(new Error('boom'));
+            const data = { feat: [] };
+            expect(await DataLoader.withHomebrew(data, ['feat'])).toBe(data);
+        });
+    });
+
     describe('loadSources', () => {
         it('should return fallback on failure', async () => {
             mockLoadJSON.mockRejectedValueOnce(new Error('not found'));
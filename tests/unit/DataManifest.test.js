@@ -0,0 +1,271 @@
+// @vitest-environment node
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import {
+    afterAll,
+    afterEach,
+    beforeAll,
+    beforeEach,
+    describe,
+    expect,
+    it,
+    vi,
+} from 'vitest';
+
+vi.mock('../../src/main/Logger.js', () => ({
+    MainLogger: {
+        debug: vi.fn(),
+        info: vi.fn(),
+        warn: vi.fn(),
+        error: vi.fn(),
+    },
+}));
+
+import {
+    DATA_MANIFEST_FILE,
+    downloadDataFromUrl,
+    fetchUpstreamVersion,
+    formatIntegrityProblems,
+    readDataManifest,
+    verifyDataManifest,
+    writeDataManifest,
+} from '../../src/main/Data.js';
+
+describe('Data integrity manifest', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ff-data-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should report folders without a manifest', async () => {
+        expect(await readDataManifest(tmpDir)).toBeNull();
+        expect(await verifyDataManifest(tmpDir)).toEqual({
+            hasManifest: false,
+            upstreamVersion: null,
+            updatedAt: null,
+            total: 0,
+            missing: [],
+            modified: [],
+        });
+    });
+
+    it('should ignore manifests it does not understand', async () => {
+        await fs.writeFile(
+            path.join(tmpDir, DATA_MANIFEST_FILE),
+            '{"files": []',
+        );
+        expect(await readDataManifest(tmpDir)).toBeNull();
+        await fs.writeFile(
+            path.join(tmpDir, DATA_MANIFEST_FILE),
+            JSON.stringify({ manifestVersion: 99, files: {} }),
+        );
+        expect(await readDataManifest(tmpDir)).toBeNull();
+    });
+
+    describe('with a remote data source', () => {
+        let server;
+        let baseUrl;
+        let requests;
+        const remote = {
+            'data/races.json': '{"race":[{"name":"Elf"}]}',
+            'data/class/index.json': '{"class-wizard":"class-wizard.json"}',
+            'data/class/class-wizard.json': '{"class":[]}',
+        };
+        const files = [
+            'races.json',
+            'class/index.json',
+            'class/class-wizard.json',
+        ];
+
+        beforeAll(async () => {
+            server = http.createServer((req, res) => {
+                const relPath = req.url.replace(/^\/repo\//, '');
+                requests.push(relPath);
+                if (relPath === 'package.json') {
+                    res.end(JSON.stringify({ version: remote.version }));
+                } else if (remote[relPath] !== undefined) {
+                    res.end(remote[relPath]);
+                } else {
+                    res.statusCode = 404;
+                    res.end();
+                }
+            });
+            await new Promise((resolve) =>
+                server.listen(0, '127.0.0.1', resolve),
+            );
+            baseUrl = `http://127.0.0.1:${server.address().port}/repo`;
+        });
+
+        afterAll(async () => {
+            await new Promise((resolve) => server.close(resolve));
+        });
+
+        beforeEach(() => {
+            requests = [];
+            remote.version = '2.5.0';
+        });
+
+        it('should read the upstream version from the repository root', async () => {
+            await expect(fetchUpstreamVersion(baseUrl)).resolves.toBe('2.5.0');
+            remote.version = '';
+            await expect(fetchUpstreamVersion(baseUrl)).resolves.toBeNull();
+        });
+
+        it('should record hashes and the upstream version after a download', async () => {
+            const result = await downloadDataFromUrl(
+                baseUrl,
+                tmpDir,
+                files,
+                null,
+                {
+                    upstreamVersion: '2.5.0',
+                },
+            );
+
+            expect(result).toMatchObject({
+                success: true,
+                downloaded: 3,
+                upstreamVersion: '2.5.0',
+            });
+            const manifest = await readDataManifest(tmpDir);
+            expect(manifest.upstreamVersion).toBe('2.5.0');
+            expect(manifest.sourceUrl).toBe(baseUrl);
+            expect(Object.keys(manifest.files).sort()).toEqual(
+                [...files].sort(),
+            );
+            expect(manifest.files['races.json'].size).toBe(
+                remote['data/races.json'].length,
+            );
+            expect(await verifyDataManifest(tmpDir)).toMatchObject({
+                hasManifest: true,
+                upstreamVersion: '2.5.0',
+                total: 3,
+                missing: [],
+                modified: [],
+            });
+        });
+
+        it('should detect missing and modified files', async () => {
+            await downloadDataFromUrl(baseUrl, tmpDir, files, null, {
+                upstreamVersion: '2.5.0',
+            });
+            await fs.rm(path.join(tmpDir, 'class', 'class-wizard.json'));
+            await fs.writeFile(path.join(tmpDir, 'races.json'), '{"race":[]}');
+
+            const integrity = await verifyDataManifest(tmpDir);
+            expect(integrity.missing).toEqual(['class/class-wizard.json']);
+            expect(integrity.modified).toEqual(['races.json']);
+            expect(formatIntegrityProblems(integrity)).toBe(
+                'Data files do not match the manifest (1 missing, 1 modified): class/class-wizard.json, races.json',
+            );
+        });
+
+        it('should fetch only missing or modified files while the upstream version is unchanged', async () => {
+            await downloadDataFromUrl(baseUrl, tmpDir, files, null, {
+                upstreamVersion: '2.5.0',
+            });
+            await fs.writeFile(path.join(tmpDir, 'races.json'), 'corrupted');
+            requests = [];
+
+            const progress = [];
+            const result = await downloadDataFromUrl(
+                baseUrl,
+                tmpDir,
+                files,
+                (p) => progress.push(p),
+                {
+                    upstreamVersion: '2.5.0',
+                },
+            );
+
+            expect(requests).toEqual(['data/races.json']);
+            expect(result).toMatchObject({
+                success: true,
+                downloaded: 1,
+                skipped: 2,
+            });
+            expect(
+                progress.filter((p) => p.skipped).map((p) => p.file),
+            ).toEqual(['class/index.json', 'class/class-wizard.json']);
+            expect(
+                await fs.readFile(path.join(tmpDir, 'races.json'), 'utf8'),
+            ).toBe(remote['data/races.json']);
+            expect((await verifyDataManifest(tmpDir)).modified).toEqual([]);
+        });
+
+        it('should check every file when the upstream version changes or is unknown', async () => {
+            await downloadDataFromUrl(baseUrl, tmpDir, files, null, {
+                upstreamVersion: '2.5.0',
+            });
+
+            requests = [];
+            await downloadDataFromUrl(baseUrl, tmpDir, files, null, {
+                upstreamVersion: '2.6.0',
+            });
+            expect(requests).toHaveLength(3);
+            expect((await readDataManifest(tmpDir)).upstreamVersion).toBe(
+                '2.6.0',
+            );
+
+            requests = [];
+            const result = await downloadDataFromUrl(
+                baseUrl,
+                tmpDir,
+                files,
+                null,
+            );
+            expect(requests).toHaveLength(3);
+            expect(result.skipped).toBe(3);
+        });
+
+        it('should keep recorded hashes for files upstream no longer serves', async () => {
+            await downloadDataFromUrl(baseUrl, tmpDir, files, null, {
+                upstreamVersion: '2.5.0',
+            });
+            const result = await downloadDataFromUrl(
+                baseUrl,
+                tmpDir,
+                [...files, 'gone.json'],
+                null,
+                {
+                    upstreamVersion: '2.6.0',
+                },
+            );
+
+            expect(result.failed).toEqual([
+                { file: 'gone.json', error: 'HTTP 404' },
+            ]);
+            const manifest = await readDataManifest(tmpDir);
+            expect(Object.keys(manifest.files)).not.toContain('gone.json');
+            expect(Object.keys(manifest.files)).toHaveLength(3);
+        });
+    });
+
+    it('should write a manifest that verifies against its own files', async () => {
+        await fs.writeFile(path.join(tmpDir, 'a.json'), '{}');
+        await writeDataManifest(tmpDir, {
+            files: {
+                'a.json': {
+                    sha256: '44136fa355b3678a1146ad16f7e8649e94fb4fc21fe77e8310c060f61caaff8a',
+                    size: 2,
+                },
+            },
+            upstreamVersion: '1.0.0',
+        });
+
+        expect(await verifyDataManifest(tmpDir)).toMatchObject({
+            hasManifest: true,
+            upstreamVersion: '1.0.0',
+            total: 1,
+            missing: [],
+            modified: [],
+        });
+    });
+});
@@ -0,0 +1,192 @@
+import { describe, expect, it } from 'vitest';
+
+import { computeMaxHitPoints } from '../../src/lib/CharacterStats.js';
+import { ValidationError } from '../../src/lib/Errors.js';
+import { ROLL_TYPES } from '../../src/lib/GameRules.js';
+import { DiceRollService } from '../../src/services/DiceRollService.js';
+
+/** Random source that makes each die land on the given faces in turn */
+function facesOf(sides, faces) {
+    let index = 0;
+    return () => (faces[index++ % faces.length] - 0.5) / sides;
+}
+
+function makeCharacter(overrides = {}) {
+    return {
+        abilityScores: {
+            strength: 10,
+            dexterity: 10,
+            constitution: 10,
+            intelligence: 10,
+            wisdom: 10,
+            charisma: 10,
+        },
+        variantRules: { hitPointMethod: 'roll' },
+        progression: {
+            classes: [
+                { name: 'Fighter', levels: 3, hitDice: 'd10', hitPoints: [] },
+                { name: 'Wizard', levels: 1, hitDice: 'd6', hitPoints: [] },
+            ],
+        },
+        hitPoints: { current: 0, max: 0, temp: 0 },
+        ...overrides,
+    };
+}
+
+describe('DiceRollService', () => {
+    describe('rollAbilityScore', () => {
+        it('should drop the lowest of 4d6', () => {
+            const service = new DiceRollService(facesOf(6, [3, 6, 1, 5]));
+
+            expect(service.rollAbilityScore('4d6-drop-lowest')).toEqual({
+                dice: [3, 6, 1, 5],
+                dropped: [1],
+                rerolls: [],
+                total: 14,
+            });
+        });
+
+        it('should reroll 1s when the method asks for it', () => {
+            const service = new DiceRollService(facesOf(6, [1, 1, 4, 2, 2, 3]));
+
+            const roll = service.rollAbilityScore('4d6-reroll-ones');
+
+            expect(roll.rerolls).toEqual([1, 1]);
+            expect(roll.dice).toEqual([4, 2, 2, 3]);
+            expect(roll.total).toBe(9);
+        });
+
+        it('should keep all three dice for 3d6', () => {
+            const service = new DiceRollService(facesOf(6, [2, 4, 6]));
+
+            expect(service.rollAbilityScore('3d6-in-order').total).toBe(12);
+        });
+
+        it('should reject unknown methods', () => {
+            expect(() => new DiceRollService().rollAbilityScore('5d6')).toThrow(
+                ValidationError,
+            );
+        });
+    });
+
+    describe('rollAbilityScores', () => {
+        it('should roll six scores as a timestamped log entry', () => {
+            const service = new DiceRollService(facesOf(6, [4, 4, 4]));
+
+            const entry = service.rollAbilityScores('3d6-in-order');
+
+            expect(entry.type).toBe(ROLL_TYPES.ABILITY_SCORES);
+            expect(entry.method).toBe('3d6-in-order');
+            expect(entry.inOrder).toBe(true);
+            expect(entry.totals).toEqual([12, 12, 12, 12, 12, 12]);
+            expect(Number.isNaN(Date.parse(entry.at))).toBe(false);
+        });
+    });
+
+    describe('logRoll', () => {
+        it('should create the roll log on first use', () => {
+            const target = {};
+            const entry = { type: ROLL_TYPES.HIT_POINTS, at: 'now' };
+
+            new DiceRollService().logRoll(target, entry);
+
+            expect(target.rollLog).toEqual([entry]);
+        });
+    });
+
+    describe('rollHitPoints', () => {
+        it('should store and log the roll for the new level', () => {
+            const service = new DiceRollService(facesOf(10, [7]));
+            const character = makeCharacter();
+
+            const entry = service.rollHitPoints(character, 'Fighter', 3);
+
+            expect(entry).toMatchObject({
+                type: ROLL_TYPES.HIT_POINTS,
+                className: 'Fighter',
+                level: 3,
+                die: 10,
+                roll: 7,
+            });
+            expect(character.progression.classes[0].hitPoints[2]).toBe(7);
+            expect(character.rollLog).toEqual([entry]);
+        });
+
+        it('should feed the rolled value into maximum hit points', () => {
+            const service = new DiceRollService(facesOf(10, [2]));
+            const character = makeCharacter({
+                progression: {
+                    classes: [{ name: 'Fighter', levels: 2, hitDice: 'd10' }],
+                },
+            });
+
+            service.rollHitPoints(character, 'Fighter', 2);
+
+            // 10 at first level plus the rolled 2
+            expect(computeMaxHitPoints(character).value).toBe(12);
+        });
+
+        it('should not roll the first character level', () => {
+            const character = makeCharacter();
+
+            expect(
+                new DiceRollService().rollHitPoints(character, 'Fighter', 1),
+            ).toBeNull();
+            expect(character.rollLog).toBeUndefined();
+        });
+
+        it('should roll the first level of a multiclass', () => {
+            const service = new DiceRollService(facesOf(6, [5]));
+
+            expect(
+                service.rollHitPoints(makeCharacter(), 'Wizard', 1).roll,
+            ).toBe(5);
+        });
+
+        it('should keep an existing roll for the level', () => {
+            const character = makeCharacter();
+            character.progression.classes[0].hitPoints[1] = 9;
+
+            expect(
+                new DiceRollService().rollHitPoints(character, 'Fighter', 2),
+            ).toBeNull();
+            expect(character.progression.classes[0].hitPoints[1]).toBe(9);
+        });
+
+        it('should leave hit points alone when the average is used', () => {
+            for (const variantRules of [{ hitPointMethod: 'average' }, {}]) {
+                const character = makeCharacter({ variantRules });
+
+                expect(
+                    new DiceRollService().rollHitPoints(
+                        character,
+                        'Fighter',
+                        2,
+                    ),
+                ).toBeNull();
+                expect(character.progression.classes[0].hitPoints).toEqual([]);
+            }
+        });
+
+        it('should keep the average for saves with the old averageHitPoints flag', () => {
+            const character = makeCharacter({
+                variantRules: { averageHitPoints: false },
+            });
+
+            expect(
+                new DiceRollService().rollHitPoints(character, 'Fighter', 2),
+            ).toBeNull();
+            expect(character.progression.classes[0].hitPoints).toEqual([]);
+        });
+
+        it('should reject levels the class does not have', () => {
+            expect(() =>
+                new DiceRollService().rollHitPoints(
+                    makeCharacter(),
+                    'Fighter',
+                    4,
+                ),
+            ).toThrow(ValidationError);
+        });
+    });
+});
@@ -95,6 +95,46 @@ describe('EquipmentService', () => {
             expect(item.metadata.addedFrom).toBe('Shop');
         });
 
+        it('should carry magic bonuses and rarity onto the instance', () => {
+            const item = equipmentService.addItem(
+                character,
+                createItemData({
+                    name: '+1 Longsword',
+                    source: 'DMG',
+                    rarity: 'uncommon',
+                    bonusWeapon: '+1',
+                }),
+            );
+            expect(item.bonusWeapon).toBe('+1');
+            expect(item.rarity).toBe('uncommon');
+            expect(item.bonusAc).toBeNull();
+        });
+
+        it('should copy weapon stats and the base weapon name', () => {
+            const item = equipmentService.addItem(
+                character,
+                createItemData({
+                    name: '+1 Longsword',
+                    type: 'M',
+                    weapon: true,
+                    weaponCategory: 'martial',
+                    dmg1: '1d8',
+                    dmg2: '1d10',
+                    dmgType: 'S',
+                    property: ['V'],
+                    _baseName: 'Longsword',
+                }),
+            );
+            expect(item).toMatchObject({
+                baseName: 'Longsword',
+                weaponCategory: 'martial',
+                dmg1: '1d8',
+                dmg2: '1d10',
+                property: ['V'],
+                mastery: [],
+            });
+        });
+
         it('should update inventory weight', () => {
             equipmentService.addItem(character, createItemData({ weight: 10 }));
             expect(character.inventory.weight.current).toBe(10);
@@ -0,0 +1,359 @@
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../src/services/RaceService.js', () => ({
+    raceService: {
+        getAllRaces: vi.fn(() => [
+            { name: 'Half-Elf', source: 'PHB', size: ['M'], speed: 30 },
+            { name: 'Dwarf', source: 'PHB', size: ['M'], speed: 25 },
+        ]),
+        getSubraces: vi.fn((race) =>
+            race === 'Dwarf' ? [{ name: 'Hill', raceName: 'Dwarf' }] : [],
+        ),
+    },
+}));
+
+vi.mock('../../src/services/BackgroundService.js', () => ({
+    backgroundService: {
+        getAllBackgrounds: vi.fn(() => [
+            { name: 'Sage', source: 'PHB' },
+            { name: 'Sage', source: 'XPHB', edition: 'modern' },
+        ]),
+    },
+}));
+
+vi.mock('../../src/services/ClassService.js', () => ({
+    classService: {
+        getAllClasses: vi.fn(() => [
+            { name: 'Wizard', source: 'PHB' },
+            { name: 'Warlock', source: 'PHB' },
+            { name: 'Fighter', source: 'PHB' },
+        ]),
+        getSubclasses: vi.fn((className) =>
+            className === 'Wizard'
+                ? [
+                      {
+                          name: 'School of Evocation',
+                          shortName: 'Evocation',
+                          source: 'PHB',
+                      },
+                  ]
+                : [],
+        ),
+        getHitDie: vi.fn((className) => (className === 'Wizard' ? 'd6' : 'd8')),
+    },
+}));
+
+vi.mock('../../src/services/FeatService.js', () => ({
+    featService: {
+        getAllFeats: vi.fn(() => [{ name: 'Alert', source: 'PHB' }]),
+    },
+}));
+
+vi.mock('../../src/services/SpellService.js', () => ({
+    spellService: {
+        getAllSpells: vi.fn(() => [
+            { name: 'Fire Bolt', source: 'PHB', level: 0 },
+            { name: 'Shield', source: 'PHB', level: 1 },
+            { name: 'Detect Magic', source: 'PHB', level: 1 },
+            { name: 'Hex', source: 'PHB', level: 1 },
+        ]),
+        isSpellAvailableForClass: vi.fn(() => false),
+    },
+}));
+
+vi.mock('../../src/services/SpellSelectionService.js', () => ({
+    spellSelectionService: {
+        isSpellcastingClass: vi.fn(() => true),
+        initializeSpellcastingForClass: vi.fn((character, className) => {
+            character.spellcasting.classes[className] = {
+                spellsKnown: [],
+                spellsPrepared: [],
+            };
+        }),
+        addKnownSpell: vi.fn((character, className, spell) => {
+            character.spellcasting.classes[className].spellsKnown.push(spell);
+        }),
+        prepareSpell: vi.fn(),
+        ensureBonusBucket: vi.fn(),
+    },
+}));
+
+vi.mock('../../src/services/ItemService.js', () => ({
+    itemService: {
+        getAllItems: vi.fn(() => [
+            { name: 'Wand of Magic Missiles', source: 'DMG' },
+        ]),
+        getAllBaseItems: vi.fn(() => [{ name: 'Dagger', source: 'PHB' }]),
+    },
+}));
+
+vi.mock('../../src/services/EquipmentService.js', () => ({
+    equipmentService: {
+        addItem: vi.fn((_character, item, quantity) => ({
+            id: `${item.name}-id`,
+            name: item.name,
+            quantity,
+        })),
+        isEquippable: vi.fn(() => true),
+        isAttuneable: vi.fn(() => true),
+        equipItem: vi.fn(),
+        attuneItem: vi.fn(() => {
+            throw new Error('Not enough attunement slots');
+        }),
+    },
+}));
+
+vi.mock('../../src/services/RehydrationService.js', () => ({
+    rehydrationService: {
+        rehydrate: vi.fn(() => ({ warnings: ['Rehydrated'] })),
+    },
+}));
+
+vi.mock('../../src/services/CharacterValidationService.js', () => ({
+    characterValidationService: {
+        validateCharacter: vi.fn(() => ({
+            isValid: true,
+            missing: {},
+            warnings: [],
+        })),
+    },
+}));
+
+import { ValidationError } from '../../src/lib/Errors.js';
+import { toFoundryActor } from '../../src/lib/FoundryActor.js';
+import { equipmentService } from '../../src/services/EquipmentService.js';
+import { externalImportService } from '../../src/services/ExternalImportService.js';
+import { fiveEToolsImportAdapter } from '../../src/services/importAdapters/FiveEToolsImportAdapter.js';
+import { foundryImportAdapter } from '../../src/services/importAdapters/FoundryImportAdapter.js';
+import { spellSelectionService } from '../../src/services/SpellSelectionService.js';
+
+const __dirname = resolve(fileURLToPath(import.meta.url), '..');
+
+function loadFoundryActor() {
+    const character = JSON.parse(
+        readFileSync(
+            resolve(__dirname, 'fixtures/foundry-character.json'),
+            'utf-8',
+        ),
+    );
+    return toFoundryActor(character);
+}
+
+function fiveEToolsCharacter() {
+    return {
+        name: 'Brom',
+        race: 'Dwarf|PHB',
+        subrace: 'Hill',
+        background: { name: 'Sage', source: 'PHB' },
+        class: [{ name: 'Fighter', source: 'PHB', level: 2 }],
+        abilities: { str: 16, dex: 12, con: 15, int: 10, wis: 13, cha: 8 },
+        skillProficiencies: { athletics: true, stealth: false },
+        savingThrowProficiencies: ['str', 'con'],
+        languageProficiencies: ['dwarvish'],
+        feats: ['Lucky|PHB'],
+        items: [{ name: 'Dagger', source: 'PHB', quantity: 2, equipped: true }],
+        currency: { gp: 15 },
+        hp: 20,
+    };
+}
+
+describe('foundryImportAdapter', () => {
+    it('should detect Foundry character actors', () => {
+        expect(foundryImportAdapter.detect(loadFoundryActor())).toBe(true);
+        expect(foundryImportAdapter.detect(fiveEToolsCharacter())).toBe(false);
+    });
+
+    it('should read classes, subclasses and proficiencies back from an actor', () => {
+        const parsed = foundryImportAdapter.parse(loadFoundryActor());
+
+        expect(parsed.classes).toEqual([
+            {
+                name: 'Wizard',
+                source: '',
+                levels: 3,
+                subclass: 'School of Evocation',
+            },
+            { name: 'Warlock', source: '', levels: 2, subclass: '' },
+        ]);
+        expect(parsed.proficiencies.savingThrows).toEqual([
+            'Intelligence',
+            'Wisdom',
+        ]);
+        expect(parsed.proficiencies.languages).toEqual([
+            'Common',
+            'Elvish',
+            'Sylvan',
+            'Leonin',
+        ]);
+        expect(parsed.proficiencies.armor).toEqual(['Light Armor']);
+        expect(parsed.proficiencies.tools).toEqual(["Calligrapher's Supplies"]);
+        expect(parsed.expertise).toEqual({ skills: [], tools: [] });
+        expect(parsed.embeddedPortrait.mimeType).toBe('image/png');
+        expect(parsed.details.backstory).toBe(
+            'Raised in the Academy.\n\nLeft after <the fire>.',
+        );
+    });
+
+    it('should keep spell classes and preparation state', () => {
+        const { spells } = foundryImportAdapter.parse(loadFoundryActor());
+        const byName = Object.fromEntries(
+            spells.map((spell) => [spell.name, spell]),
+        );
+
+        expect(byName['Detect Magic']).toMatchObject({
+            className: 'Wizard',
+            prepared: false,
+        });
+        expect(byName.Hex).toMatchObject({
+            className: 'Warlock',
+            prepared: true,
+        });
+    });
+});
+
+describe('fiveEToolsImportAdapter', () => {
+    it('should read uid references and proficiency maps', () => {
+        const parsed = fiveEToolsImportAdapter.parse(fiveEToolsCharacter());
+
+        expect(parsed.race).toEqual({
+            name: 'Dwarf',
+            source: 'PHB',
+            subrace: 'Hill',
+        });
+        expect(parsed.feats).toEqual([{ name: 'Lucky', source: 'PHB' }]);
+        expect(parsed.proficiencies.skills).toEqual(['Athletics']);
+        expect(parsed.proficiencies.savingThrows).toEqual([
+            'Strength',
+            'Constitution',
+        ]);
+        expect(parsed.abilityScores.strength).toBe(16);
+        expect(parsed.hitPoints).toEqual({ current: 20, max: 20, temp: 0 });
+    });
+});
+
+describe('ExternalImportService', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+    });
+
+    it('should reject files no adapter recognises', () => {
+        expect(() => externalImportService.convert({ hello: 'world' })).toThrow(
+            ValidationError,
+        );
+    });
+
+    it('should reject adapters without detect and parse', () => {
+        expect(() =>
+            externalImportService.registerAdapter({ id: 'broken' }),
+        ).toThrow(ValidationError);
+    });
+
+    it('should convert a Foundry actor into a character', () => {
+        const { character, format, report } = externalImportService.convert(
+            loadFoundryActor(),
+            { id: 'new-id' },
+        );
+
+        expect(format).toBe('foundry');
+        expect(character.id).toBe('new-id');
+        expect(character.name).toBe('Elira Vance');
+        expect(character.race).toMatchObject({
+            name: 'Half-Elf',
+            source: 'PHB',
+        });
+        expect(character.background).toEqual({ name: 'Sage', source: 'PHB' });
+        expect(
+            character.progression.classes.map((cls) => [
+                cls.name,
+                cls.levels,
+                cls.subclass,
+            ]),
+        ).toEqual([
+            ['Wizard', 3, 'School of Evocation'],
+            ['Warlock', 2, ''],
+        ]);
+        expect(character.getTotalLevel()).toBe(5);
+        expect(character.abilityScores.intelligence).toBe(16);
+        expect(character.hitPoints).toEqual({ current: 22, max: 32, temp: 3 });
+        expect(character.inventory.currency.gp).toBe(47);
+        expect(character.proficiencies.skills).toContain('Arcana');
+        expect(report.warnings).toContain('Rehydrated');
+    });
+
+    it('should import skill expertise from double proficiency', () => {
+        const actor = loadFoundryActor();
+        actor.system.skills.arc.value = 2;
+
+        const { character } = externalImportService.convert(actor);
+
+        expect(character.expertise.skills).toEqual(['Arcana']);
+        expect(character.expertiseSources.skills.get('Arcana')).toEqual(
+            new Set(['Imported']),
+        );
+    });
+
+    it('should add spells to the class they were learned with', () => {
+        externalImportService.convert(loadFoundryActor());
+
+        expect(spellSelectionService.addKnownSpell).toHaveBeenCalledWith(
+            expect.anything(),
+            'Warlock',
+            expect.objectContaining({ name: 'Hex' }),
+        );
+        expect(spellSelectionService.prepareSpell).toHaveBeenCalledWith(
+            expect.anything(),
+            'Wizard',
+            'Shield',
+        );
+        expect(spellSelectionService.prepareSpell).not.toHaveBeenCalledWith(
+            expect.anything(),
+            'Wizard',
+            'Detect Magic',
+        );
+    });
+
+    it('should report unmatched entries and item errors instead of failing', () => {
+        const { report } = externalImportService.convert(loadFoundryActor());
+
+        expect(report.unmatched).toEqual(
+            expect.arrayContaining([
+                expect.objectContaining({ type: 'feat', name: 'War Caster' }),
+                expect.objectContaining({
+                    type: 'item',
+                    name: 'Leather Armor +1',
+                }),
+            ]),
+        );
+        expect(report.warnings).toContain(
+            'Wand of Magic Missiles: Not enough attunement slots',
+        );
+        expect(equipmentService.equipItem).toHaveBeenCalledWith(
+            expect.anything(),
+            'Dagger-id',
+        );
+    });
+
+    it('should convert a 5etools character with its subrace', () => {
+        const { character, format, report } = externalImportService.convert(
+            fiveEToolsCharacter(),
+        );
+
+        expect(format).toBe('5etools');
+        expect(character.race).toMatchObject({
+            name: 'Dwarf',
+            subrace: 'Hill',
+        });
+        expect(character.speed.walk).toBe(25);
+        expect(character.progression.classes[0]).toMatchObject({
+            name: 'Fighter',
+            levels: 2,
+            hitDice: 'd8',
+        });
+        expect(report.unmatched).toEqual([
+            expect.objectContaining({ type: 'feat', name: 'Lucky' }),
+        ]);
+    });
+});
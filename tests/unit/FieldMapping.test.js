@@ -13,8 +13,10 @@ vi.mock('../../src/main/Logger.js', () => ({
 import {
     buildFieldMap,
     calcModifier,
+    computeMappingValues,
     formatClassLevel,
     formatModifier,
+    formatSpellSlotSummary,
     getFinalAbilityScore,
     getProficiencyBonus,
     getTotalLevel,
@@ -234,6 +236,31 @@ describe('FieldMapping', () => {
         });
     });
 
+    describe('formatSpellSlotSummary', () => {
+        it('should be empty for non-casters', () => {
+            expect(formatSpellSlotSummary(makeCharacter({
+                progression: { classes: [{ name: 'Fighter', levels: 5 }] },
+            }))).toBe('');
+        });
+
+        it('should list the shared pool and Pact Magic separately', () => {
+            const summary = formatSpellSlotSummary(makeCharacter({
+                progression: {
+                    classes: [
+                        { name: 'Cleric', levels: 3 },
+                        { name: 'Paladin', levels: 2 },
+                        { name: 'Warlock', levels: 2 },
+                    ],
+                },
+            }));
+            expect(summary).toBe([
+                'Spell Slots (caster level 4: Cleric 3, Paladin 2). 1st 4, 2nd 3',
+                'Pact Magic (Warlock 2). 2 1st-level slots, regained on a short rest',
+                'Spells from any class can be cast with any of these slots.',
+            ].join('\n'));
+        });
+    });
+
     describe('buildFieldMap', () => {
         it('should include character name fields', () => {
             const char = makeCharacter();
@@ -296,6 +323,24 @@ describe('FieldMapping', () => {
             expect(checkboxFields['Ste Prof']).toBe(false);
         });
 
+        it('should double expertise skills in both templates', () => {
+            const char = makeCharacter({
+                proficiencies: { ...makeCharacter().proficiencies, tools: ["Smith's Tools"] },
+                expertise: { skills: ['Athletics'], tools: ["Smith's Tools"] },
+            });
+
+            const mpmb = buildFieldMap(char);
+            // Athletics: STR +3 + prof +3 + expertise +3 = +9
+            expect(mpmb.textFields.Ath).toBe('+9');
+            expect(mpmb.checkboxFields['Ath Exp']).toBe(true);
+            expect(mpmb.checkboxFields['Inti Exp']).toBe(false);
+            expect(mpmb.textFields.MoreProficiencies).toContain("Smith's Tools (expertise)");
+
+            const wotc = buildFieldMap(char, '/assets/pdf/2024_CharacterSheet.pdf');
+            expect(wotc.textFields.Text_34).toBe('+9');
+            expect(wotc.checkboxFields.Checkbox_21).toBe(true);
+        });
+
         it('should compute passive perception', () => {
             const { textFields } = buildFieldMap(makeCharacter());
             // WIS +2, not proficient in Perception → 10 + 2 = 12
@@ -321,13 +366,25 @@ describe('FieldMapping', () => {
         });
 
         it('should preserve 0 hit point values', () => {
-            const char = makeCharacter({ hitPoints: { current: 0, max: 10, temp: 0 } });
+            const char = makeCharacter({
+                hitPoints: { current: 0, max: 10, temp: 0 },
+                playState: { hitPointMax: 10 },
+            });
             const { textFields } = buildFieldMap(char);
             expect(textFields['HP Max']).toBe('10');
             expect(textFields['HP Current']).toBe('0');
             expect(textFields['HP Temp']).toBe('0');
         });
 
+        it('should print full hit points when current was never tracked', () => {
+            const char = makeCharacter({ hitPoints: { current: 0, max: 10, temp: 0 } });
+            const { textFields } = buildFieldMap(char);
+            const wotc = buildFieldMap(char, '/assets/pdf/2024_CharacterSheet.pdf');
+            expect(textFields['HP Current']).toBe('10');
+            expect(wotc.textFields.Text_11).toBe('10');
+            expect(computeMappingValues(char).hpCurrent).toBe(10);
+        });
+
         it('should compute basic armor class', () => {
             const { textFields } = buildFieldMap(makeCharacter());
             // DEX 12 → +1 mod, no armor equipped → AC 11
@@ -746,6 +803,37 @@ describe('FieldMapping', () => {
             expect(textFields.Text_59).toContain('Handaxe (x2)');
         });
 
+        it('should fill attack rows from equipped weapons in both templates', () => {
+            const char = makeCharacter({
+                inventory: {
+                    items: [
+                        {
+                            name: 'Greataxe', quantity: 1, equipped: true, weapon: true, type: 'M',
+                            weaponCategory: 'martial', dmg1: '1d12', dmgType: 'S', property: ['H', '2H'],
+                        },
+                        { name: 'Handaxe', quantity: 2 },
+                    ],
+                },
+            });
+
+            const mpmb = buildFieldMap(char);
+            expect(mpmb.textFields['Attack.1.Weapon']).toBe('Greataxe');
+            expect(mpmb.textFields['Attack.1.Mod']).toBe('Str');
+            expect(mpmb.textFields['Attack.1.To Hit']).toBe('+6');
+            expect(mpmb.textFields['Attack.1.Damage']).toBe('1d12+3');
+            expect(mpmb.textFields['Attack.1.Damage Type']).toBe('Slashing');
+            expect(mpmb.textFields['Attack.1.Description']).toBe('Heavy, Two-Handed');
+            expect(mpmb.checkboxFields['Attack.1.Proficiency']).toBe(true);
+            expect(mpmb.textFields['Attack.2.Weapon']).toBeUndefined();
+
+            const wotc = buildFieldMap(char, '/assets/pdf/2024_CharacterSheet.pdf');
+            // Text_61..84 are the name, bonus, damage and notes columns
+            expect(wotc.textFields.Text_61).toBe('Greataxe');
+            expect(wotc.textFields.Text_67).toBe('+6');
+            expect(wotc.textFields.Text_73).toBe('1d12+3 Slashing');
+            expect(wotc.textFields.Text_79).toBe('Heavy, Two-Handed');
+        });
+
         it('should default speed to 30 ft when not set', () => {
             const char = makeCharacter({ speed: null });
             const { textFields } = buildFieldMap(char);
@@ -771,4 +859,52 @@ describe('FieldMapping', () => {
             expect(textFields['Proficiency Weapon Other Description']).toBe('Hand Crossbow');
         });
     });
+
+    describe('computeMappingValues', () => {
+        it('should flatten derived values under their mapping keys', () => {
+            const values = computeMappingValues(makeCharacter());
+            expect(values.name).toBe('Tordek');
+            expect(values.classLevel).toBe('Fighter 5 (Champion)');
+            expect(values.proficiencyBonus).toBe(3);
+            expect(values['ability.constitution.score']).toBe(16);
+            expect(values['save.strength.modifier']).toBe(6);
+            expect(values['save.dexterity.proficient']).toBe(false);
+            expect(values['skill.Athletics.modifier']).toBe(6);
+            expect(values['skill.Athletics.proficient']).toBe(true);
+            expect(values['skill.Athletics.expertise']).toBe(false);
+            expect(values['proficiencies.languages']).toEqual(['Common', 'Dwarvish']);
+            expect(values['currency.gp']).toBe(120);
+            expect(values.feats).toEqual(['Great Weapon Master']);
+        });
+    });
+
+    describe('buildFieldMap with a user mapping', () => {
+        it('should fill only the mapped fields, formatted as configured', () => {
+            const mapping = {
+                fields: {
+                    CharName: { type: 'text', value: 'name', format: 'uppercase' },
+                    StrSave: { type: 'text', value: 'save.strength.modifier', format: 'modifier' },
+                    Speed: { type: 'text', value: 'speed', suffix: ' ft' },
+                    Langs: { type: 'text', value: 'proficiencies.languages', separator: ' / ' },
+                    AthProf: { type: 'checkbox', value: 'skill.Athletics.proficient' },
+                    Dwarvish: { type: 'checkbox', value: 'proficiencies.languages', when: { equals: 'dwarvish' } },
+                    Elvish: { type: 'checkbox', value: 'proficiencies.languages', when: { equals: 'Elvish' } },
+                },
+            };
+
+            const { textFields, checkboxFields } = buildFieldMap(
+                makeCharacter(),
+                '/templates/My_Sheet.pdf',
+                mapping,
+            );
+
+            expect(textFields).toEqual({
+                CharName: 'TORDEK',
+                StrSave: '+6',
+                Speed: '25 ft',
+                Langs: 'Common / Dwarvish',
+            });
+            expect(checkboxFields).toEqual({ AthProf: true, Dwarvish: true, Elvish: false });
+        });
+    });
 });
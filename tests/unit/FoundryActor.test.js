@@ -0,0 +1,198 @@
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, expect, it } from 'vitest';
+
+import {
+    FOUNDRY_DEFAULT_IMAGE,
+    FOUNDRY_EXPORT_FLAG,
+    toFoundryActor,
+} from '../../src/lib/FoundryActor.js';
+
+const __dirname = resolve(fileURLToPath(import.meta.url), '..');
+
+function loadFixture() {
+    return JSON.parse(
+        readFileSync(resolve(__dirname, 'fixtures/foundry-character.json'), 'utf-8'),
+    );
+}
+
+function itemsOfType(actor, type) {
+    return actor.items.filter((item) => item.type === type);
+}
+
+describe('toFoundryActor', () => {
+    it('should produce a dnd5e character actor with the portrait embedded', () => {
+        const actor = toFoundryActor(loadFixture());
+
+        expect(actor.name).toBe('Elira Vance');
+        expect(actor.type).toBe('character');
+        expect(actor.img).toBe('data:image/png;base64,iVBORw0KGgo=');
+        expect(actor.prototypeToken.texture.src).toBe(actor.img);
+        expect(actor.flags[FOUNDRY_EXPORT_FLAG].characterId).toBe(
+            'b7d1c2e0-5a3f-4c1e-9f0a-2d6e8c4b1a90',
+        );
+    });
+
+    it('should fall back to the default image without an embedded portrait', () => {
+        const character = loadFixture();
+        character.embeddedPortrait = null;
+        character.portrait = '/home/sam/portraits/elira.png';
+
+        expect(toFoundryActor(character).img).toBe(FOUNDRY_DEFAULT_IMAGE);
+    });
+
+    it('should export final ability scores and saving throw proficiency', () => {
+        const { abilities } = toFoundryActor(loadFixture()).system;
+
+        expect(abilities.int).toEqual({ value: 16, proficient: 1 });
+        expect(abilities.cha).toEqual({ value: 16, proficient: 0 });
+        expect(abilities.wis.proficient).toBe(1);
+    });
+
+    it('should mark fixed and chosen skill proficiencies', () => {
+        const { skills } = toFoundryActor(loadFixture()).system;
+
+        expect(skills.arc).toEqual({ value: 1, ability: 'int' });
+        expect(skills.prc.value).toBe(1);
+        expect(skills.dec.value).toBe(1);
+        expect(skills.ath).toEqual({ value: 0, ability: 'str' });
+    });
+
+    it('should export expertise as double proficiency', () => {
+        const character = loadFixture();
+        character.expertise = { skills: ['Arcana'], tools: [] };
+
+        const { skills } = toFoundryActor(character).system;
+
+        expect(skills.arc.value).toBe(2);
+        expect(skills.prc.value).toBe(1);
+    });
+
+    it('should map proficiencies to Foundry codes with a custom remainder', () => {
+        const { traits, tools } = toFoundryActor(loadFixture()).system;
+
+        expect(traits.languages).toEqual({
+            value: ['common', 'elvish', 'sylvan'],
+            custom: 'Leonin',
+        });
+        expect(traits.weaponProf).toEqual({ value: ['sim'], custom: 'Daggers' });
+        expect(traits.armorProf.value).toEqual(['lgt']);
+        expect(tools.calligrapher.value).toBe(1);
+        expect(traits.size).toBe('med');
+    });
+
+    it('should include class and subclass items with levels and used hit dice', () => {
+        const actor = toFoundryActor(loadFixture());
+
+        expect(itemsOfType(actor, 'class').map((item) => item.system)).toEqual([
+            { identifier: 'wizard', levels: 3, hitDice: 'd6', hitDiceUsed: 1 },
+            { identifier: 'warlock', levels: 2, hitDice: 'd8', hitDiceUsed: 0 },
+        ]);
+        expect(itemsOfType(actor, 'subclass')).toEqual([
+            {
+                name: 'School of Evocation',
+                type: 'subclass',
+                system: {
+                    identifier: 'school-of-evocation',
+                    classIdentifier: 'wizard',
+                },
+            },
+        ]);
+    });
+
+    it('should carry spell preparation state per class', () => {
+        const spells = itemsOfType(toFoundryActor(loadFixture()), 'spell');
+        const byName = Object.fromEntries(spells.map((spell) => [spell.name, spell.system]));
+
+        expect(byName.Shield.preparation).toEqual({ mode: 'prepared', prepared: true });
+        expect(byName['Detect Magic'].preparation).toEqual({
+            mode: 'prepared',
+            prepared: false,
+        });
+        expect(byName['Fire Bolt'].preparation.prepared).toBe(true);
+        expect(byName.Hex.preparation.mode).toBe('pact');
+        expect(byName.Hex.sourceClass).toBe('warlock');
+        expect(byName.Shield.school).toBe('abj');
+    });
+
+    it('should split Warlock slots into pact magic', () => {
+        const { spells } = toFoundryActor(loadFixture()).system;
+
+        expect(spells.spell1).toEqual({ value: 3, override: 4 });
+        expect(spells.spell2).toEqual({ value: 2, override: 2 });
+        expect(spells.spell3).toEqual({ value: 0, override: null });
+        expect(spells.pact).toEqual({ value: 1, override: 2 });
+    });
+
+    it('should export one shared slot table for multiclass casters', () => {
+        const character = loadFixture();
+        character.progression.classes = [
+            { name: 'Wizard', levels: 3, subclass: '', hitDice: 'd6', hitPoints: [] },
+            { name: 'Cleric', levels: 3, subclass: '', hitDice: 'd8', hitPoints: [] },
+        ];
+        delete character.spellcasting.multiclass;
+        const { spells } = toFoundryActor(character).system;
+
+        expect(spells.spell1).toEqual({ value: 4, override: 4 });
+        expect(spells.spell2).toEqual({ value: 3, override: 3 });
+        expect(spells.spell3).toEqual({ value: 3, override: 3 });
+        expect(spells.pact).toEqual({ value: 0, override: null });
+    });
+
+    it('should export inventory with equipped and attuned flags', () => {
+        const actor = toFoundryActor(loadFixture());
+        const byName = Object.fromEntries(actor.items.map((item) => [item.name, item]));
+
+        expect(byName.Dagger.type).toBe('weapon');
+        expect(byName.Dagger.system.quantity).toBe(2);
+        expect(byName.Dagger.system.equipped).toBe(true);
+        expect(byName['Leather Armor +1'].type).toBe('equipment');
+        expect(byName['Leather Armor +1'].system.armor).toEqual({
+            value: 11,
+            magicalBonus: 1,
+        });
+        expect(byName['Wand of Magic Missiles'].type).toBe('consumable');
+        expect(byName['Wand of Magic Missiles'].system.attunement).toBe('required');
+        expect(byName['Wand of Magic Missiles'].system.attuned).toBe(true);
+        expect(byName['Rope, Hempen (50 feet)'].type).toBe('loot');
+        expect(actor.system.currency).toEqual({ pp: 1, gp: 47, ep: 0, sp: 12, cp: 5 });
+    });
+
+    it('should fill biography and details with escaped backstory', () => {
+        const { details, attributes } = toFoundryActor(loadFixture()).system;
+
+        expect(details.biography.value).toBe(
+            '<p>Raised in the Academy.</p><p>Left after &lt;the fire&gt;.</p>',
+        );
+        expect(details.trait).toBe('Curious about everything.');
+        expect(details.faith).toBe('Corellon');
+        expect(details.age).toBe('112');
+        expect(details.xp.value).toBe(6500);
+        expect(attributes.hp).toEqual({ value: 22, max: expect.any(Number), temp: 3 });
+        expect(attributes.exhaustion).toBe(1);
+        expect(attributes.senses.darkvision).toBe(60);
+        expect(attributes.spellcasting).toBe('int');
+    });
+
+    it('should export full hit points when current was never tracked', () => {
+        const character = loadFixture();
+        character.hitPoints.current = 0;
+        const { hp } = toFoundryActor(character).system.attributes;
+
+        expect(hp.value).toBe(hp.max);
+        expect(hp.value).toBeGreaterThan(0);
+    });
+
+    it('should include race, background and feat items', () => {
+        const actor = toFoundryActor(loadFixture());
+
+        expect(itemsOfType(actor, 'race')[0].name).toBe('Half-Elf');
+        expect(itemsOfType(actor, 'background')[0].name).toBe('Sage');
+        expect(itemsOfType(actor, 'feat')[0].name).toBe('War Caster');
+    });
+
+    it('should reject missing character data', () => {
+        expect(() => toFoundryActor(null)).toThrow(TypeError);
+    });
+});
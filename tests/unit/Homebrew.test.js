@@ -0,0 +1,127 @@
+// @vitest-environment node
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../src/main/Logger.js', () => ({
+    MainLogger: { debug: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+import {
+    collectHomebrewFiles,
+    loadHomebrew,
+    parseHomebrew,
+} from '../../src/main/Homebrew.js';
+
+const brewJson = (json, extra = {}) => ({
+    _meta: { sources: [{ json, abbreviation: json, full: `${json} Full` }] },
+    ...extra,
+});
+
+describe('Homebrew', () => {
+    describe('parseHomebrew', () => {
+        it('should keep supported entity arrays and count them', () => {
+            const result = parseHomebrew(
+                brewJson('Brew', {
+                    race: [{ name: 'Dragonkin', source: 'Brew' }],
+                    feat: [
+                        { name: 'Brew Feat', source: 'Brew' },
+                        { source: 'Brew' },
+                    ],
+                    monster: [{ name: 'Ignored' }],
+                }),
+                '/brew.json',
+            );
+
+            expect(result.valid).toBe(true);
+            expect(result.brew.name).toBe('Brew Full');
+            expect(result.brew.counts).toEqual({ race: 1, feat: 1 });
+            expect(result.brew.data.monster).toBeUndefined();
+        });
+
+        it('should give entries without a source the file source', () => {
+            const result = parseHomebrew(
+                brewJson('Brew', {
+                    spell: [
+                        { name: 'Brew Bolt' },
+                        { name: 'Other Bolt', source: 'Other' },
+                    ],
+                }),
+                '/brew.json',
+            );
+
+            expect(result.brew.data.spell.map((spell) => spell.source)).toEqual([
+                'Brew',
+                'Other',
+            ]);
+        });
+
+        it('should reject files without _meta.sources', () => {
+            expect(parseHomebrew({ race: [] }, '/a.json').valid).toBe(false);
+            expect(parseHomebrew([], '/a.json').valid).toBe(false);
+            expect(
+                parseHomebrew(
+                    { _meta: { sources: [{ full: 'No id' }] } },
+                    '/a.json',
+                ).valid,
+            ).toBe(false);
+        });
+    });
+
+    describe('files on disk', () => {
+        let dir;
+
+        beforeEach(async () => {
+            dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ff-homebrew-'));
+            await fs.mkdir(path.join(dir, 'nested'));
+            await fs.writeFile(
+                path.join(dir, 'a.json'),
+                JSON.stringify(
+                    brewJson('A', { spell: [{ name: 'Brew Bolt' }] }),
+                ),
+            );
+            await fs.writeFile(
+                path.join(dir, 'nested', 'b.json'),
+                JSON.stringify(brewJson('B')),
+            );
+            await fs.writeFile(path.join(dir, 'bad.json'), '{ not json');
+            await fs.writeFile(path.join(dir, 'notes.txt'), 'ignored');
+        });
+
+        afterEach(async () => {
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+
+        it('should collect JSON files from folders recursively', async () => {
+            const files = await collectHomebrewFiles(dir);
+            expect(files.map((f) => path.relative(dir, f))).toEqual([
+                'a.json',
+                'bad.json',
+                path.join('nested', 'b.json'),
+            ]);
+        });
+
+        it('should load valid files and report invalid ones', async () => {
+            const { brews, errors } = await loadHomebrew([
+                { path: dir, enabled: true },
+                { path: path.join(dir, 'a.json') },
+            ]);
+
+            expect(brews.map((b) => b.sources[0].json)).toEqual(['A', 'B']);
+            expect(brews[0].entryPath).toBe(dir);
+            expect(errors).toHaveLength(1);
+            expect(errors[0].path).toBe(path.join(dir, 'bad.json'));
+        });
+
+        it('should skip disabled and missing entries', async () => {
+            const { brews, errors } = await loadHomebrew([
+                { path: dir, enabled: false },
+                { path: path.join(dir, 'missing.json') },
+            ]);
+
+            expect(brews).toEqual([]);
+            expect(errors).toHaveLength(1);
+        });
+    });
+});
@@ -111,6 +111,149 @@ describe('ItemService', () => {
         });
     });
 
+    describe('magic variants', () => {
+        const baseItems = [
+            {
+                name: 'Longsword',
+                source: 'PHB',
+                type: 'M',
+                weapon: true,
+                sword: true,
+                dmg1: '1d8',
+                value: 1500,
+            },
+            {
+                name: 'Net',
+                source: 'PHB',
+                type: 'R',
+                weapon: true,
+                net: true,
+            },
+            {
+                name: 'Plate Armor',
+                source: 'PHB',
+                type: 'HA',
+                armor: true,
+                ac: 18,
+            },
+            {
+                name: 'Shield',
+                source: 'PHB',
+                type: 'S',
+                ac: 2,
+            },
+        ];
+
+        const variants = [
+            {
+                name: '+1 Weapon',
+                requires: [{ weapon: true }],
+                excludes: { net: true },
+                inherits: {
+                    namePrefix: '+1 ',
+                    source: 'DMG',
+                    rarity: 'uncommon',
+                    bonusWeapon: '+1',
+                    entries: ['You have a bonus to attack rolls with this {=baseName/l}.'],
+                },
+            },
+            {
+                name: 'Flame Tongue',
+                requires: [{ sword: true }],
+                inherits: {
+                    nameSuffix: ' Flame Tongue',
+                    source: 'DMG',
+                    rarity: 'rare',
+                    reqAttune: true,
+                },
+            },
+            {
+                name: 'Armor of Resistance',
+                requires: [{ type: 'LA' }, { type: 'MA' }, { type: 'HA' }],
+                inherits: {
+                    nameSuffix: ' of Resistance',
+                    source: 'DMG',
+                    rarity: 'rare',
+                    reqAttune: true,
+                },
+            },
+            {
+                name: '+2 Armor',
+                requires: [{ armor: true }, { type: 'S' }],
+                inherits: {
+                    namePrefix: '+2 ',
+                    source: 'DMG',
+                    rarity: 'rare',
+                    bonusAc: '+2',
+                },
+            },
+        ];
+
+        beforeEach(async () => {
+            itemService.resetData();
+            itemService._initPromise = null;
+
+            const { DataLoader } = await import('../../src/lib/DataLoader.js');
+            vi.spyOn(DataLoader, 'loadJSON').mockImplementation((file) => {
+                if (file === 'items.json') {
+                    return Promise.resolve({
+                        item: [{ name: '+2 Shield', source: 'DMG', rarity: 'rare' }],
+                    });
+                }
+                if (file === 'items-base.json') {
+                    return Promise.resolve({ baseitem: baseItems });
+                }
+                if (file === 'magicvariants.json') {
+                    return Promise.resolve({ magicvariant: variants });
+                }
+                return Promise.resolve({});
+            });
+
+            await itemService.initialize();
+        });
+
+        it('should expand variants against matching base items', () => {
+            const sword = itemService.getItem('+1 Longsword', 'DMG');
+            expect(sword.rarity).toBe('uncommon');
+            expect(sword.bonusWeapon).toBe('+1');
+            expect(sword.dmg1).toBe('1d8');
+            expect(sword.value).toBeUndefined();
+            expect(sword._baseName).toBe('Longsword');
+            expect(sword.entries).toEqual([
+                'You have a bonus to attack rolls with this longsword.',
+            ]);
+        });
+
+        it('should honour excludes', () => {
+            expect(() => itemService.getItem('+1 Net', 'DMG')).toThrow(NotFoundError);
+        });
+
+        it('should match any of the requires clauses', () => {
+            const armor = itemService.getItem('Plate Armor of Resistance', 'DMG');
+            expect(armor.reqAttune).toBe(true);
+            expect(armor.ac).toBe(18);
+            expect(() => itemService.getItem('Shield of Resistance', 'DMG')).toThrow(
+                NotFoundError,
+            );
+            expect(itemService.getItem('+2 Plate Armor', 'DMG').bonusAc).toBe('+2');
+        });
+
+        it('should keep specific items from items.json over generated ones', () => {
+            const shields = itemService
+                .getAllItems()
+                .filter((item) => item.name === '+2 Shield');
+            expect(shields).toHaveLength(1);
+            expect(shields[0]._variantName).toBeUndefined();
+        });
+
+        it('should apply suffix variants only to matching items', () => {
+            const names = itemService.getAllItems().map((item) => item.name);
+            expect(names).toContain('Longsword Flame Tongue');
+            expect(names).not.toContain('Net Flame Tongue');
+            expect(itemService.getAllMagicVariants()).toHaveLength(4);
+        });
+    });
+
     describe('getItem', () => {
         it('should find item by name', () => {
             const item = itemService.getItem('Longsword');
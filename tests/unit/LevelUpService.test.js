@@ -33,6 +33,7 @@ vi.mock('../../src/services/SpellSelectionService.js', () => ({
     spellSelectionService: {
         initializeSpellcastingForClass: vi.fn(),
         calculateSpellSlots: vi.fn(() => ({ 1: { max: 3, current: 3 } })),
+        syncSpellSlotPools: vi.fn(),
     },
 }));
 
@@ -128,6 +129,7 @@ describe('LevelUpService', () => {
             levelUpService.updateSpellSlots(character);
 
             expect(spellSelectionService.calculateSpellSlots).toHaveBeenCalledWith('Wizard', 3);
+            expect(spellSelectionService.syncSpellSlotPools).toHaveBeenCalledWith(character);
         });
 
         it('should preserve current slot counts when updating max', () => {
@@ -123,6 +123,24 @@ describe('MonsterService', () => {
         });
     });
 
+    describe('getMonstersFromSources', () => {
+        it('should load each known source once and skip unknown ones', async () => {
+            monsterService._monsterIndex = {
+                MM: 'bestiary-mm.json',
+                XMM: 'bestiary-xmm.json',
+            };
+            const { DataLoader } = await import('../../src/lib/DataLoader.js');
+            DataLoader.loadJSON.mockImplementation(async (file) => ({
+                monster: [{ name: file.includes('xmm') ? 'Owl' : 'Cat' }],
+            }));
+
+            const monsters = await monsterService.getMonstersFromSources(['MM', 'XMM', 'MM', 'PHB']);
+
+            expect(monsters.map((m) => m.name)).toEqual(['Cat', 'Owl']);
+            expect(DataLoader.loadJSON).toHaveBeenCalledTimes(3);
+        });
+    });
+
     describe('resetData', () => {
         it('should clear index, summary, and cache', () => {
             monsterService._monsterDetailsCache.set('test', { name: 'Test' });
@@ -0,0 +1,356 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import { Character } from '../../src/app/Character.js';
+import { ValidationError } from '../../src/lib/Errors.js';
+import { CUSTOM_LINEAGE, RULESETS } from '../../src/lib/GameRules.js';
+import { itemService } from '../../src/services/ItemService.js';
+import { OriginCustomizationService } from '../../src/services/OriginCustomizationService.js';
+import { raceService } from '../../src/services/RaceService.js';
+
+const dwarf = {
+    name: 'Dwarf',
+    source: 'PHB',
+    ability: [{ con: 2 }],
+    weaponProficiencies: [{ 'battleaxe|phb': true, 'handaxe|phb': true }],
+    toolProficiencies: [{ "smith's tools": true }],
+};
+const hillDwarf = { name: 'Hill', source: 'PHB', ability: [{ wis: 1 }] };
+
+const elf = {
+    name: 'Elf',
+    source: 'PHB',
+    ability: [{ dex: 2 }],
+    skillProficiencies: [{ perception: true }],
+};
+
+const customLineage = {
+    ...CUSTOM_LINEAGE,
+    ability: [
+        { choose: { from: ['str', 'dex', 'con', 'int', 'wis', 'cha'], amount: 2 } },
+    ],
+};
+
+function makeCharacter(race, overrides = {}) {
+    return new Character({
+        name: 'Test',
+        race: { name: race.name, source: race.source, subrace: '' },
+        ...overrides,
+    });
+}
+
+describe('OriginCustomizationService', () => {
+    const service = new OriginCustomizationService();
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    describe('toggle', () => {
+        it('should start empty and clear everything when turned off', () => {
+            const character = makeCharacter(dwarf);
+            expect(service.isCustomized(character)).toBe(false);
+
+            service.setCustomized(character, true);
+            expect(character.race.customOrigin).toEqual({
+                abilityBonuses: null,
+                proficiencySwaps: { skills: {}, weapons: {}, tools: {} },
+            });
+
+            service.setCustomized(character, false);
+            expect(service.isCustomized(character)).toBe(false);
+            expect(character.race.customOrigin).toBeUndefined();
+        });
+
+        it('should refuse changes until it is turned on', () => {
+            expect(() =>
+                service.setAbilityBonuses(makeCharacter(dwarf), dwarf, hillDwarf, {
+                    strength: 2,
+                    charisma: 1,
+                }),
+            ).toThrow(ValidationError);
+        });
+    });
+
+    describe('ability increases', () => {
+        it('should offer +2/+1 and +1/+1/+1 for a +2/+1 race', () => {
+            expect(service.getAbilitySpreads(dwarf, hillDwarf)).toEqual([
+                [2, 1],
+                [1, 1, 1],
+            ]);
+        });
+
+        it('should keep other increases as they are', () => {
+            vi.spyOn(raceService, 'getBaseSubrace').mockReturnValue(null);
+            const halfElf = {
+                name: 'Half-Elf',
+                source: 'PHB',
+                ability: [{ cha: 2 }, { choose: { count: 2, amount: 1 } }],
+            };
+
+            expect(service.getAbilitySpreads(halfElf, null)).toEqual([[2, 1, 1]]);
+            expect(service.getAbilitySpreads(customLineage, null)).toEqual([[2]]);
+        });
+
+        it('should replace the racial bonuses and pending choices', () => {
+            const character = makeCharacter(dwarf);
+            character.addAbilityBonus('constitution', 2, 'Race');
+            character.addAbilityBonus('wisdom', 1, 'Subrace');
+            character.addAbilityBonus('strength', 2, 'Background');
+            character.addPendingAbilityChoice({
+                count: 1,
+                amount: 1,
+                source: 'Race Choice',
+            });
+
+            service.setCustomized(character, true);
+            service.setAbilityBonuses(character, dwarf, hillDwarf, {
+                intelligence: 1,
+                wisdom: 1,
+                charisma: 1,
+            });
+
+            expect(service.applyAbilityBonuses(character, dwarf, hillDwarf)).toBe(
+                true,
+            );
+            expect(character.abilityBonuses.constitution).toEqual([]);
+            expect(character.abilityBonuses.intelligence).toEqual([
+                { value: 1, source: 'Race' },
+            ]);
+            expect(character.abilityBonuses.wisdom).toEqual([
+                { value: 1, source: 'Race' },
+            ]);
+            expect(character.abilityBonuses.strength).toEqual([
+                { value: 2, source: 'Background' },
+            ]);
+            expect(character.getPendingAbilityChoices()).toEqual([]);
+        });
+
+        it('should keep racial penalties in place', () => {
+            const kobold = {
+                name: 'Kobold',
+                source: 'VGM',
+                ability: [{ dex: 2, str: -2 }],
+            };
+            vi.spyOn(raceService, 'getBaseSubrace').mockReturnValue(null);
+            const character = makeCharacter(kobold);
+            service.setCustomized(character, true);
+            service.setAbilityBonuses(character, kobold, null, { charisma: 2 });
+
+            service.applyAbilityBonuses(character, kobold, null);
+
+            expect(character.abilityBonuses.strength).toEqual([
+                { value: -2, source: 'Race' },
+            ]);
+            expect(character.abilityBonuses.charisma).toEqual([
+                { value: 2, source: 'Race' },
+            ]);
+        });
+
+        it('should reject spreads the race does not allow', () => {
+            const character = makeCharacter(dwarf);
+            service.setCustomized(character, true);
+
+            for (const bonuses of [
+                { strength: 2, dexterity: 2 },
+                { strength: 3 },
+                { luck: 2, dexterity: 1 },
+            ]) {
+                expect(() =>
+                    service.setAbilityBonuses(character, dwarf, hillDwarf, bonuses),
+                ).toThrow(ValidationError);
+            }
+            expect(character.race.customOrigin.abilityBonuses).toBeNull();
+        });
+
+        it('should not apply under the 2024 rules or without a spread', () => {
+            const character = makeCharacter(dwarf);
+            service.setCustomized(character, true);
+            expect(service.applyAbilityBonuses(character, dwarf, hillDwarf)).toBe(
+                false,
+            );
+
+            service.setAbilityBonuses(character, dwarf, hillDwarf, {
+                strength: 2,
+                dexterity: 1,
+            });
+            character.variantRules = { ruleset: RULESETS.MODERN };
+            expect(service.applyAbilityBonuses(character, dwarf, hillDwarf)).toBe(
+                false,
+            );
+        });
+    });
+
+    describe('proficiency swaps', () => {
+        it('should list the fixed skill, weapon and tool proficiencies', () => {
+            expect(service.getSwappableProficiencies(dwarf)).toEqual({
+                skills: [],
+                weapons: ['battleaxe', 'handaxe'],
+                tools: ["smith's tools"],
+            });
+        });
+
+        it('should offer others of the same type', () => {
+            vi.spyOn(itemService, 'getAllBaseItems').mockReturnValue([
+                { name: 'Longsword', weapon: true, weaponCategory: 'martial' },
+                { name: 'Battleaxe', weapon: true, weaponCategory: 'martial' },
+                { name: 'Dagger', weapon: true, weaponCategory: 'simple' },
+                { name: 'Shield', armor: true },
+            ]);
+
+            expect(service.getSwapOptions(dwarf, 'weapons')).toEqual([
+                'Dagger',
+                'Longsword',
+            ]);
+            expect(service.getSwapOptions(elf, 'skills')).not.toContain('Perception');
+            expect(service.getSwapOptions(dwarf, 'tools')).not.toContain(
+                "Smith's tools",
+            );
+            expect(service.getSwapOptions(dwarf, 'languages')).toEqual([]);
+        });
+
+        it('should resolve swapped proficiencies and undo a swap', () => {
+            const character = makeCharacter(elf);
+            service.setCustomized(character, true);
+
+            service.setProficiencySwap(
+                character,
+                elf,
+                'skills',
+                'perception',
+                'Stealth',
+            );
+            expect(
+                service.resolveProficiency(character, 'skills', 'Perception'),
+            ).toBe('Stealth');
+            expect(service.resolveProficiency(character, 'skills', 'Arcana')).toBe(
+                'Arcana',
+            );
+
+            service.setProficiencySwap(character, elf, 'skills', 'perception', null);
+            expect(
+                service.resolveProficiency(character, 'skills', 'perception'),
+            ).toBe('perception');
+        });
+
+        it('should reject swaps the race does not grant or allow', () => {
+            const character = makeCharacter(dwarf);
+            service.setCustomized(character, true);
+
+            expect(() =>
+                service.setProficiencySwap(
+                    character,
+                    dwarf,
+                    'skills',
+                    'Stealth',
+                    'Arcana',
+                ),
+            ).toThrow(ValidationError);
+            expect(() =>
+                service.setProficiencySwap(
+                    character,
+                    dwarf,
+                    'armor',
+                    'light',
+                    'medium',
+                ),
+            ).toThrow(ValidationError);
+            expect(() =>
+                service.setProficiencySwap(
+                    character,
+                    dwarf,
+                    'tools',
+                    "smith's tools",
+                    'Longsword',
+                ),
+            ).toThrow(ValidationError);
+        });
+
+        it('should move proficiencies already granted to their swaps', () => {
+            const character = makeCharacter(elf);
+            character.addProficiency('skills', 'perception', 'Race');
+            character.addProficiency('skills', 'Perception', 'Class');
+            service.setCustomized(character, true);
+            service.setProficiencySwap(
+                character,
+                elf,
+                'skills',
+                'perception',
+                'Stealth',
+            );
+
+            service.applyProficiencySwaps(character, elf);
+
+            expect(character.proficiencySources.skills.get('Stealth')).toEqual(
+                new Set(['Race']),
+            );
+            expect(character.proficiencySources.skills.get('perception')).toEqual(
+                new Set(['Class']),
+            );
+        });
+    });
+
+    describe('Custom Lineage', () => {
+        it('should set darkvision or a skill choice from the variable trait', () => {
+            const character = makeCharacter(customLineage);
+
+            service.setLineageTrait(character, 'darkvision');
+            service.applyLineageTrait(character);
+            expect(character.features.darkvision).toBe(60);
+            expect(service.getLineageSkillCount(character)).toBe(0);
+
+            service.setLineageTrait(character, 'skill');
+            service.applyLineageTrait(character);
+            expect(character.features.darkvision).toBe(0);
+            expect(service.getLineageSkillCount(character)).toBe(1);
+        });
+
+        it('should only allow the trait for a Custom Lineage', () => {
+            expect(() =>
+                service.setLineageTrait(makeCharacter(elf), 'darkvision'),
+            ).toThrow(ValidationError);
+            expect(() =>
+                service.setLineageTrait(makeCharacter(customLineage), 'wings'),
+            ).toThrow(ValidationError);
+        });
+
+        it('should grant a feat', () => {
+            const availability = makeCharacter(customLineage).getFeatAvailability();
+            expect(availability.max).toBe(1);
+            expect(availability.reasons).toContain('Custom Lineage');
+        });
+    });
+
+    describe('carryOver', () => {
+        const previous = {
+            name: 'Dwarf',
+            source: 'PHB',
+            customOrigin: {
+                abilityBonuses: { strength: 2, dexterity: 1 },
+                proficiencySwaps: {
+                    skills: {},
+                    weapons: { battleaxe: 'Longsword' },
+                    tools: {},
+                },
+            },
+        };
+
+        it('should keep the choices of the same race', () => {
+            expect(service.carryOver(previous, dwarf, hillDwarf)).toEqual({
+                customOrigin: previous.customOrigin,
+            });
+        });
+
+        it('should keep only the toggle for another race', () => {
+            vi.spyOn(raceService, 'getBaseSubrace').mockReturnValue(null);
+            expect(service.carryOver(previous, elf, null)).toEqual({
+                customOrigin: {
+                    abilityBonuses: null,
+                    proficiencySwaps: { skills: {}, weapons: {}, tools: {} },
+                },
+            });
+            expect(
+                service.carryOver({ name: 'Dwarf', source: 'PHB' }, elf, null),
+            ).toEqual({});
+        });
+    });
+});
@@ -0,0 +1,121 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+    DataError,
+    NotFoundError,
+    ValidationError,
+} from '../../src/lib/Errors.js';
+import { EVENTS, eventBus } from '../../src/lib/EventBus.js';
+import { PartyService } from '../../src/services/PartyService.js';
+
+describe('PartyService', () => {
+    let service;
+    let settings;
+
+    beforeEach(() => {
+        service = new PartyService();
+        settings = { parties: [] };
+        window.app = {
+            settings: {
+                get: vi.fn(async (key) => settings[key]),
+                set: vi.fn(async (key, value) => {
+                    settings[key] = value;
+                    return { success: true };
+                }),
+            },
+        };
+    });
+
+    afterEach(() => {
+        delete window.app;
+        vi.restoreAllMocks();
+    });
+
+    it('should create parties and emit PARTIES_CHANGED', async () => {
+        const emitSpy = vi.spyOn(eventBus, 'emit');
+
+        const party = await service.createParty('  Curse of Strahd ', [
+            'a',
+            'b',
+            'a',
+        ]);
+
+        expect(party.id).toMatch(/^party-/);
+        expect(party).toMatchObject({
+            name: 'Curse of Strahd',
+            memberIds: ['a', 'b'],
+        });
+        expect(settings.parties).toEqual([party]);
+        expect(emitSpy).toHaveBeenCalledWith(
+            EVENTS.PARTIES_CHANGED,
+            settings.parties,
+        );
+    });
+
+    it('should require a party name', async () => {
+        await expect(service.createParty('   ')).rejects.toThrow(
+            ValidationError,
+        );
+        expect(window.app.settings.set).not.toHaveBeenCalled();
+    });
+
+    it('should rename a party and replace its members', async () => {
+        const { id } = await service.createParty('Tomb', ['a']);
+
+        await service.updateParty(id, { memberIds: ['b', 'c'] });
+        const updated = await service.updateParty(id, {
+            name: 'Tomb of Annihilation',
+        });
+
+        expect(updated).toEqual({
+            id,
+            name: 'Tomb of Annihilation',
+            memberIds: ['b', 'c'],
+        });
+        await expect(
+            service.updateParty('missing', { name: 'x' }),
+        ).rejects.toThrow(NotFoundError);
+    });
+
+    it('should delete parties', async () => {
+        const { id } = await service.createParty('Tomb');
+
+        await service.deleteParty(id);
+
+        expect(await service.getParties()).toEqual([]);
+        await expect(service.deleteParty(id)).rejects.toThrow(NotFoundError);
+    });
+
+    it('should drop a deleted character from every party', async () => {
+        await service.createParty('One', ['a', 'b']);
+        await service.createParty('Two', ['b']);
+        window.app.settings.set.mockClear();
+
+        await service.removeCharacter('b');
+        await service.removeCharacter('zzz');
+
+        expect(settings.parties.map((p) => p.memberIds)).toEqual([['a'], []]);
+        expect(window.app.settings.set).toHaveBeenCalledTimes(1);
+    });
+
+    it('should list members in party order and skip missing characters', () => {
+        const characters = [
+            { id: 'a', name: 'Aria' },
+            { id: 'b', name: 'Bram' },
+        ];
+
+        expect(
+            service
+                .getMembers({ memberIds: ['b', 'gone', 'a'] }, characters)
+                .map((c) => c.name),
+        ).toEqual(['Bram', 'Aria']);
+    });
+
+    it('should throw DataError when saving fails', async () => {
+        window.app.settings.set.mockResolvedValue({
+            success: false,
+            error: 'disk full',
+        });
+
+        await expect(service.createParty('Tomb')).rejects.toThrow(DataError);
+    });
+});
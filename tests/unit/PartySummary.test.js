@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import { SKILL_ABILITY_MAP } from '../../src/lib/CharacterStats.js';
+import { summarizeParty } from '../../src/lib/PartySummary.js';
+
+function makeCharacter(overrides = {}) {
+    return {
+        id: 'char-1',
+        name: 'Aria',
+        abilityScores: {
+            strength: 10,
+            dexterity: 14,
+            constitution: 14,
+            intelligence: 10,
+            wisdom: 12,
+            charisma: 10,
+        },
+        abilityBonuses: {},
+        progression: { classes: [{ name: 'Fighter', levels: 1 }] },
+        proficiencies: { skills: [], savingThrows: [], languages: [] },
+        inventory: { items: [] },
+        hitPoints: { current: 7, max: 12, temp: 0 },
+        feats: [],
+        features: { traits: {} },
+        ...overrides,
+    };
+}
+
+describe('PartySummary', () => {
+    it('should report defenses, passives and languages per member', () => {
+        const aria = makeCharacter({
+            proficiencies: {
+                skills: ['Perception'],
+                savingThrows: [],
+                languages: ['Elvish', 'Common', 'Elvish'],
+            },
+            hitPoints: { current: 7, max: 12, temp: 3 },
+        });
+
+        const { members } = summarizeParty([aria]);
+
+        expect(members).toEqual([
+            {
+                id: 'char-1',
+                name: 'Aria',
+                level: 1,
+                classes: 'Fighter 1',
+                armorClass: 12,
+                hitPoints: { current: 7, max: 12, temp: 3 },
+                passives: { perception: 13, insight: 11, investigation: 10 },
+                languages: ['Common', 'Elvish'],
+            },
+        ]);
+    });
+
+    it('should show untracked hit points as full', () => {
+        const { members } = summarizeParty([
+            makeCharacter({ hitPoints: { current: 0, max: 12, temp: 0 } }),
+        ]);
+
+        expect(members[0].hitPoints.current).toBe(12);
+    });
+
+    it('should list the skills nobody in the party is proficient in', () => {
+        const skills = Object.keys(SKILL_ABILITY_MAP);
+        const party = [
+            makeCharacter({
+                proficiencies: {
+                    skills: skills.slice(0, 10),
+                    savingThrows: [],
+                },
+            }),
+            makeCharacter({
+                id: 'char-2',
+                proficiencies: { skills: skills.slice(12), savingThrows: [] },
+            }),
+        ];
+
+        expect(summarizeParty(party).uncoveredSkills).toEqual(
+            skills.slice(10, 12),
+        );
+        expect(summarizeParty([]).uncoveredSkills).toEqual(skills);
+    });
+
+    it('should combine the languages of every member', () => {
+        const party = [
+            makeCharacter({
+                proficiencies: {
+                    skills: [],
+                    languages: ['Common', 'Dwarvish'],
+                },
+            }),
+            makeCharacter({
+                id: 'char-2',
+                proficiencies: { skills: [], languages: ['Common', 'Abyssal'] },
+            }),
+        ];
+
+        expect(summarizeParty(party).languages).toEqual([
+            'Abyssal',
+            'Common',
+            'Dwarvish',
+        ]);
+    });
+});
@@ -0,0 +1,74 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+
+import {
+    entriesToParagraphs,
+    formatStatBlockText,
+} from '../../src/main/pdf/PdfText.js';
+
+describe('PdfText', () => {
+    describe('formatStatBlockText', () => {
+        it('should print attack, hit and save tags as words', () => {
+            expect(
+                formatStatBlockText(
+                    '{@atk mw} {@hit 4} to hit, reach 5 ft. {@h}7 ({@damage 2d4 + 2}) piercing damage. If the target is a creature, it must succeed on a {@dc 11} Strength saving throw or be knocked {@condition prone}.',
+                ),
+            ).toBe(
+                'Melee Weapon Attack: +4 to hit, reach 5 ft. Hit: 7 (2d4 + 2) piercing damage. If the target is a creature, it must succeed on a DC 11 Strength saving throw or be knocked prone.',
+            );
+            expect(
+                formatStatBlockText(
+                    '{@actSave dex} {@dc 12} {@actSaveFail} 5 damage {@recharge 5}',
+                ),
+            ).toBe(
+                'Dexterity Saving Throw: DC 12 Failure: 5 damage (Recharge 5-6)',
+            );
+        });
+
+        it('should print the per-level increase of scaling dice', () => {
+            expect(
+                formatStatBlockText(
+                    'The damage increases by {@scaledamage 8d6|3-9|1d6} for each slot level above 3rd.',
+                ),
+            ).toBe(
+                'The damage increases by 1d6 for each slot level above 3rd.',
+            );
+        });
+    });
+
+    describe('entriesToParagraphs', () => {
+        it('should flatten lists, tables and named entries', () => {
+            expect(
+                entriesToParagraphs([
+                    'Choose one:',
+                    {
+                        type: 'list',
+                        items: ['{@condition Blinded}', 'Deafened'],
+                    },
+                    {
+                        type: 'table',
+                        colLabels: ['d4', 'Effect'],
+                        rows: [
+                            ['1', 'Fire'],
+                            ['2', { type: 'entries', entries: ['Cold'] }],
+                        ],
+                    },
+                    {
+                        type: 'entries',
+                        name: 'Using a Higher-Level Spell Slot',
+                        entries: ['More damage.', 'Even more.'],
+                    },
+                ]),
+            ).toEqual([
+                'Choose one:',
+                '• Blinded',
+                '• Deafened',
+                'd4 | Effect',
+                '1 | Fire',
+                '2 | Cold',
+                'Using a Higher-Level Spell Slot. More damage.',
+                'Even more.',
+            ]);
+        });
+    });
+});
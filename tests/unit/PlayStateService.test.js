@@ -0,0 +1,394 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../../src/services/ClassService.js', () => ({
+    classService: {
+        getClass: vi.fn(() => {
+            throw new Error('not loaded');
+        }),
+        getClassFeatures: vi.fn(() => []),
+    },
+}));
+
+vi.mock('../../src/services/SpellSelectionService.js', () => ({
+    spellSelectionService: {
+        restoreSpellSlots: vi.fn(),
+        syncSpellSlotPools: vi.fn(() => ({ shared: {}, pact: {} })),
+    },
+}));
+
+import { Character } from '../../src/app/Character.js';
+import {
+    CharacterSchema,
+    createPlayState,
+} from '../../src/lib/CharacterSchema.js';
+import { ValidationError } from '../../src/lib/Errors.js';
+import { eventBus, EVENTS } from '../../src/lib/EventBus.js';
+import { classService } from '../../src/services/ClassService.js';
+import { playStateService } from '../../src/services/PlayStateService.js';
+import { spellSelectionService } from '../../src/services/SpellSelectionService.js';
+
+function makeCharacter(overrides = {}) {
+    return {
+        abilityScores: {
+            strength: 10,
+            dexterity: 10,
+            constitution: 14,
+            intelligence: 10,
+            wisdom: 10,
+            charisma: 16,
+        },
+        abilityBonuses: {},
+        progression: {
+            classes: [
+                { name: 'Fighter', source: 'PHB', levels: 3 },
+                { name: 'Bard', source: 'PHB', levels: 2 },
+            ],
+        },
+        feats: [],
+        features: { traits: {} },
+        hitPoints: { current: 30, max: 40, temp: 0 },
+        // Already in play: current hit points are tracked against the maximum
+        playState: { ...createPlayState(), hitPointMax: 40 },
+        spellcasting: { classes: {} },
+        ...overrides,
+    };
+}
+
+describe('PlayStateService', () => {
+    let character;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        character = makeCharacter();
+    });
+
+    describe('hit points', () => {
+        it('should spend temporary hit points before current hit points', () => {
+            character.hitPoints.temp = 5;
+            playStateService.applyDamage(character, 8);
+            expect(character.hitPoints.temp).toBe(0);
+            expect(character.hitPoints.current).toBe(27);
+        });
+
+        it('should not heal above maximum', () => {
+            expect(playStateService.heal(character, 50)).toBe(40);
+        });
+
+        it('should count damage at 0 hit points as a failed death save', () => {
+            playStateService.applyDamage(character, 30);
+            expect(character.hitPoints.current).toBe(0);
+            playStateService.applyDamage(character, 1);
+            expect(character.playState.deathSaves.failures).toBe(1);
+        });
+
+        it('should reset death saves when healed from 0', () => {
+            character.hitPoints.current = 0;
+            playStateService.recordDeathSave(character, 'success');
+            playStateService.recordDeathSave(character, 'failure');
+            playStateService.heal(character, 3);
+            expect(character.playState.deathSaves).toEqual({
+                successes: 0,
+                failures: 0,
+            });
+        });
+
+        it('should report stable and dead after three saves', () => {
+            for (let i = 0; i < 3; i++) {
+                playStateService.recordDeathSave(character, 'success');
+            }
+            expect(playStateService.getDeathSaveStatus(character).stable).toBe(
+                true,
+            );
+            expect(() =>
+                playStateService.recordDeathSave(character, 'maybe'),
+            ).toThrow(ValidationError);
+        });
+
+        it('should start a new character at full hit points', () => {
+            const fresh = new Character({
+                ...CharacterSchema.create(),
+                name: 'Fresh',
+                abilityScores: { ...character.abilityScores },
+                progression: {
+                    classes: [{ name: 'Fighter', source: 'PHB', levels: 1 }],
+                    experiencePoints: 0,
+                    levelUps: [],
+                },
+            });
+
+            // d10 + Constitution +2
+            expect(playStateService.getCurrentHitPoints(fresh)).toBe(12);
+
+            playStateService.applyDamage(fresh, 5);
+            expect(fresh.hitPoints.current).toBe(7);
+            expect(fresh.playState.deathSaves.failures).toBe(0);
+        });
+
+        it('should add a rise in maximum hit points to current hit points', () => {
+            character.hitPoints.max = 0;
+            playStateService.applyDamage(character, 0);
+            const before = character.hitPoints.current;
+
+            // Fighter 4: average d10 roll 6 + Constitution +2
+            character.progression.classes[0].levels = 4;
+            playStateService.syncHitPoints(character);
+
+            expect(character.hitPoints.current).toBe(before + 8);
+            expect(character.playState.hitPointMax).toBe(
+                playStateService.getMaxHitPoints(character),
+            );
+        });
+
+        it('should not change hit points when only reading play state', () => {
+            character.playState = createPlayState();
+            character.hitPoints.current = 0;
+
+            playStateService.getConditions(character);
+            playStateService.hasCondition(character, 'Poisoned');
+            playStateService.getDeathSaveStatus(character);
+
+            expect(character.hitPoints.current).toBe(0);
+            expect(character.playState.hitPointMax).toBeNull();
+            expect(playStateService.getCurrentHitPoints(character)).toBe(40);
+        });
+
+        it('should keep hit points set before tracking started', () => {
+            character.playState = {
+                ...createPlayState(),
+                lastRest: { type: 'long', at: new Date().toISOString() },
+            };
+            character.hitPoints.current = 0;
+
+            playStateService.syncHitPoints(character);
+
+            expect(character.hitPoints.current).toBe(0);
+            expect(character.playState.hitPointMax).toBe(40);
+        });
+
+        it('should reject negative amounts and emit on change', () => {
+            const emitSpy = vi.spyOn(eventBus, 'emit');
+            expect(() => playStateService.applyDamage(character, -1)).toThrow(
+                ValidationError,
+            );
+            playStateService.setTempHitPoints(character, 4);
+            expect(emitSpy).toHaveBeenCalledWith(
+                EVENTS.PLAY_STATE_CHANGED,
+                character,
+                { type: 'tempHp', amount: 4 },
+            );
+        });
+    });
+
+    describe('hit dice', () => {
+        it('should track hit dice per class', () => {
+            expect(playStateService.getHitDice(character)).toEqual([
+                {
+                    className: 'Fighter',
+                    die: 10,
+                    total: 3,
+                    used: 0,
+                    remaining: 3,
+                },
+                { className: 'Bard', die: 8, total: 2, used: 0, remaining: 2 },
+            ]);
+        });
+
+        it('should heal by the roll plus Constitution modifier', () => {
+            const result = playStateService.spendHitDie(
+                character,
+                'Fighter',
+                6,
+            );
+            expect(result).toEqual({ roll: 6, healed: 8 });
+            expect(character.playState.hitDiceUsed.Fighter).toBe(1);
+        });
+
+        it('should refuse to spend dice that are not available', () => {
+            character.playState = {
+                ...createPlayState(),
+                hitDiceUsed: { Bard: 2 },
+            };
+            expect(() =>
+                playStateService.spendHitDie(character, 'Bard', 3),
+            ).toThrow(ValidationError);
+            expect(() =>
+                playStateService.spendHitDie(character, 'Fighter', 11),
+            ).toThrow(ValidationError);
+            expect(() =>
+                playStateService.spendHitDie(character, 'Wizard', 1),
+            ).toThrow(ValidationError);
+        });
+    });
+
+    describe('conditions', () => {
+        it('should add and remove conditions once', () => {
+            expect(playStateService.addCondition(character, 'Poisoned')).toBe(
+                true,
+            );
+            expect(playStateService.addCondition(character, 'poisoned')).toBe(
+                false,
+            );
+            expect(playStateService.hasCondition(character, 'Poisoned')).toBe(
+                true,
+            );
+            expect(
+                playStateService.removeCondition(character, 'Poisoned'),
+            ).toBe(true);
+            expect(playStateService.getConditions(character)).toEqual([]);
+        });
+
+        it('should track exhaustion as a level', () => {
+            playStateService.addCondition(character, 'Exhaustion');
+            playStateService.addCondition(character, 'Exhaustion');
+            expect(character.playState.exhaustion).toBe(2);
+            expect(character.playState.conditions).toEqual([]);
+            expect(() => playStateService.setExhaustion(character, 7)).toThrow(
+                ValidationError,
+            );
+        });
+    });
+
+    describe('resources', () => {
+        it('should fall back to the default use counts without class data', () => {
+            const resources = playStateService.getResources(character);
+            expect(resources.map((r) => [r.id, r.max, r.recharge])).toEqual([
+                ['secondWind', 1, 'short'],
+                ['actionSurge', 1, 'short'],
+                ['bardicInspiration', 3, 'long'],
+            ]);
+        });
+
+        it('should read use counts from the class table', () => {
+            character.progression.classes = [
+                { name: 'Barbarian', source: 'PHB', levels: 3 },
+            ];
+            classService.getClass.mockReturnValueOnce({
+                classTableGroups: [
+                    {
+                        colLabels: ['Rages', 'Rage Damage'],
+                        rows: [
+                            ['2', '+2'],
+                            ['2', '+2'],
+                            ['{@b 4}', '+2'],
+                        ],
+                    },
+                ],
+            });
+            expect(playStateService.getResources(character)[0].max).toBe(4);
+        });
+
+        it('should take the recharge from the feature text', () => {
+            character.progression.classes = [
+                { name: 'Druid', source: 'PHB', levels: 2 },
+            ];
+            classService.getClassFeatures.mockReturnValue([
+                {
+                    name: 'Wild Shape',
+                    entries: [
+                        'You regain expended uses when you finish a long rest.',
+                    ],
+                },
+            ]);
+            expect(playStateService.getResources(character)[0].recharge).toBe(
+                'long',
+            );
+        });
+
+        it('should use and restore resources within their maximum', () => {
+            expect(playStateService.useResource(character, 'secondWind')).toBe(
+                0,
+            );
+            expect(() =>
+                playStateService.useResource(character, 'secondWind'),
+            ).toThrow(ValidationError);
+            playStateService.restoreResource(character, 'secondWind');
+            expect(character.playState.resources.secondWind.used).toBe(0);
+        });
+    });
+
+    describe('rests', () => {
+        it('should restore short-rest resources and Warlock slots on a short rest', () => {
+            character.spellcasting.classes.Warlock = { spellSlots: {} };
+            spellSelectionService.syncSpellSlotPools.mockReturnValueOnce({
+                shared: {},
+                pact: { 1: { max: 1, current: 0 } },
+            });
+            playStateService.useResource(character, 'secondWind');
+            playStateService.useResource(character, 'bardicInspiration');
+
+            const { restored } = playStateService.shortRest(character);
+
+            expect(restored).toEqual(['Second Wind', 'Pact Magic slots']);
+            expect(character.playState.resources.bardicInspiration.used).toBe(
+                1,
+            );
+            expect(
+                spellSelectionService.restoreSpellSlots,
+            ).toHaveBeenCalledWith(character, { pactOnly: true });
+            expect(character.playState.lastRest.type).toBe('short');
+        });
+
+        it('should not restore spell slots on a short rest without Pact Magic', () => {
+            character.spellcasting.classes.Bard = { spellSlots: {} };
+
+            const { restored } = playStateService.shortRest(character);
+
+            expect(restored).not.toContain('Pact Magic slots');
+            expect(spellSelectionService.restoreSpellSlots).not.toHaveBeenCalled();
+        });
+
+        it('should restore everything on a long rest', () => {
+            character.spellcasting.classes.Bard = { spellSlots: {} };
+            character.hitPoints.temp = 3;
+            character.playState = {
+                ...createPlayState(),
+                hitDiceUsed: { Fighter: 3, Bard: 2 },
+                resources: { bardicInspiration: { used: 2 } },
+                exhaustion: 2,
+            };
+
+            const { hitDiceRegained } = playStateService.longRest(character);
+
+            expect(hitDiceRegained).toBe(2);
+            expect(character.playState.hitDiceUsed).toEqual({
+                Fighter: 1,
+                Bard: 2,
+            });
+            expect(character.hitPoints).toEqual({
+                current: 40,
+                max: 40,
+                temp: 0,
+            });
+            expect(character.playState.resources).toEqual({});
+            expect(character.playState.exhaustion).toBe(1);
+            expect(
+                spellSelectionService.restoreSpellSlots,
+            ).toHaveBeenCalledWith(character, {});
+        });
+    });
+
+    describe('schema', () => {
+        it('should accept play state produced by the service', () => {
+            const data = CharacterSchema.create();
+            data.name = 'Tester';
+            data.playState.conditions.push({ name: 'Prone' });
+            data.playState.lastRest = {
+                type: 'long',
+                at: new Date().toISOString(),
+            };
+            expect(CharacterSchema.validate(data).valid).toBe(true);
+        });
+
+        it('should reject out-of-range play state', () => {
+            const data = CharacterSchema.create();
+            data.name = 'Tester';
+            data.playState.deathSaves.failures = 4;
+            data.playState.exhaustion = -1;
+            const result = CharacterSchema.validate(data);
+            expect(result.valid).toBe(false);
+            expect(result.errors.join(' ')).toContain(
+                'playState.deathSaves.failures',
+            );
+        });
+    });
+});
@@ -0,0 +1,262 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import { Character } from '../../src/app/Character.js';
+import {
+    checkAllPrerequisites,
+    checkPrerequisite,
+    evaluatePrerequisites,
+    planPrerequisites,
+} from '../../src/lib/PrerequisiteValidator.js';
+import { classService } from '../../src/services/ClassService.js';
+
+function makeCharacter({ classes = [], scores = {}, ...overrides } = {}) {
+    return new Character({
+        name: 'Test',
+        race: { name: 'Human', source: 'PHB', subrace: '' },
+        abilityScores: {
+            strength: 10,
+            dexterity: 10,
+            constitution: 10,
+            intelligence: 10,
+            wisdom: 10,
+            charisma: 10,
+            ...scores,
+        },
+        progression: { classes, experiencePoints: 0, levelUps: [] },
+        ...overrides,
+    });
+}
+
+const fighter = (levels) => ({ name: 'Fighter', source: 'PHB', levels });
+const warlock = (levels, features = []) => ({
+    name: 'Warlock',
+    source: 'PHB',
+    levels,
+    features,
+});
+
+const heavyArmorMaster = {
+    name: 'Heavy Armor Master',
+    prerequisite: [
+        {
+            level: 4,
+            ability: [{ str: 13 }],
+            race: [{ name: 'dwarf' }],
+            proficiency: [{ armor: 'heavy' }],
+            feat: ['grappler|xphb'],
+        },
+    ],
+};
+
+describe('PrerequisiteValidator', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    describe('evaluatePrerequisites', () => {
+        it('should list every unmet condition', () => {
+            const result = evaluatePrerequisites(
+                heavyArmorMaster,
+                makeCharacter({ classes: [fighter(1)] }),
+            );
+
+            expect(result.met).toBe(false);
+            expect(result.unmet.map((c) => c.type)).toEqual([
+                'level',
+                'ability',
+                'race',
+                'proficiency',
+                'feat',
+            ]);
+            expect(result.unmet.map((c) => c.label)).toEqual([
+                'Character level 4',
+                'Strength 13',
+                'Dwarf',
+                'Heavy armor proficiency',
+                'Grappler feat',
+            ]);
+            expect(result.unmet[0]).toMatchObject({ required: 4, current: 1 });
+            expect(result.unmet[1].options).toEqual([
+                { ability: 'strength', score: 13, current: 10 },
+            ]);
+        });
+
+        it('should pass once the character meets each condition', () => {
+            const character = makeCharacter({
+                classes: [fighter(4)],
+                scores: { strength: 12 },
+                race: { name: 'Dwarf', source: 'PHB', subrace: '' },
+            });
+            character.addAbilityBonus('strength', 1, 'Race');
+            character.addProficiency('armor', 'Heavy Armor', 'Class');
+            character.setFeats([{ name: 'Grappler', source: 'XPHB' }]);
+
+            expect(evaluatePrerequisites(heavyArmorMaster, character)).toEqual({
+                met: true,
+                unmet: [],
+                notes: [],
+            });
+        });
+
+        it('should treat ability options as any one of them', () => {
+            const item = { prerequisite: [{ ability: [{ str: 13, dex: 13 }] }] };
+
+            expect(
+                evaluatePrerequisites(
+                    item,
+                    makeCharacter({ scores: { dexterity: 14 } }),
+                ).met,
+            ).toBe(true);
+            expect(evaluatePrerequisites(item, makeCharacter()).unmet[0].label).toBe(
+                'Strength 13 or Dexterity 13',
+            );
+        });
+
+        it('should check class levels and pacts from the progression', () => {
+            const thirstingBlade = {
+                prerequisite: [{ level: 5, pact: 'Blade' }],
+            };
+            const character = makeCharacter({
+                classes: [fighter(4), warlock(3, [{ name: 'Pact of the Blade' }])],
+            });
+
+            const result = evaluatePrerequisites(thirstingBlade, character, {
+                className: 'Warlock',
+            });
+            expect(result.unmet).toEqual([
+                {
+                    type: 'level',
+                    label: 'Warlock level 5',
+                    required: 5,
+                    current: 3,
+                    className: 'Warlock',
+                },
+            ]);
+        });
+
+        it('should report a missing spellcasting ability and pact', () => {
+            vi.spyOn(classService, 'getClass').mockReturnValue({});
+            const item = { prerequisite: [{ spellcasting: true, pact: 'Tome' }] };
+
+            expect(
+                evaluatePrerequisites(item, makeCharacter({ classes: [fighter(1)] }))
+                    .unmet,
+            ).toEqual([
+                { type: 'spellcasting', label: 'The ability to cast a spell' },
+                { type: 'pact', label: 'Pact of the Tome', pact: 'Tome' },
+            ]);
+        });
+
+        it('should show free-text conditions without enforcing them', () => {
+            const item = {
+                prerequisite: [{ other: 'Must have been to the Feywild' }],
+            };
+
+            expect(evaluatePrerequisites(item, makeCharacter())).toEqual({
+                met: true,
+                unmet: [],
+                notes: ['Must have been to the Feywild'],
+            });
+        });
+
+        it('should skip race conditions when asked to', () => {
+            const result = evaluatePrerequisites(heavyArmorMaster, makeCharacter(), {
+                ignoreRacePrereq: true,
+            });
+            expect(result.unmet.map((c) => c.type)).not.toContain('race');
+        });
+    });
+
+    describe('checkPrerequisite and checkAllPrerequisites', () => {
+        it('should keep the reason strings', () => {
+            const character = makeCharacter({ classes: [fighter(1)] });
+
+            expect(
+                checkPrerequisite(heavyArmorMaster.prerequisite[0], character).reason,
+            ).toBe('Requires Character level 4');
+
+            const result = checkAllPrerequisites(heavyArmorMaster, character);
+            expect(result.met).toBe(false);
+            expect(result.reasons).toHaveLength(5);
+            expect(result.reasons[1]).toBe('Requires Strength 13');
+        });
+
+        it('should pass items without prerequisites', () => {
+            expect(checkAllPrerequisites({ name: 'Alert' }, makeCharacter())).toEqual(
+                {
+                    met: true,
+                    reasons: [],
+                    unmet: [],
+                },
+            );
+        });
+    });
+
+    describe('planPrerequisites', () => {
+        const greatWeaponFighter = {
+            prerequisite: [{ level: 4, ability: [{ str: 13 }] }],
+        };
+
+        it('should spend ASIs on the ability and take a feat at the next ASI', () => {
+            const plan = planPrerequisites(
+                greatWeaponFighter,
+                makeCharacter({ classes: [fighter(1)] }),
+                { viaAsi: true },
+            );
+
+            expect(plan).toMatchObject({
+                met: false,
+                unlockable: true,
+                className: 'Fighter',
+                level: 8,
+                classLevel: 8,
+                blockers: [],
+            });
+            expect(plan.abilityIncreases).toEqual([
+                { ability: 'strength', amount: 2, classLevel: 4 },
+                { ability: 'strength', amount: 2, classLevel: 6 },
+            ]);
+        });
+
+        it('should unlock a feature at the class level it needs', () => {
+            const plan = planPrerequisites(
+                { prerequisite: [{ level: 5 }] },
+                makeCharacter({ classes: [warlock(2)] }),
+                { className: 'Warlock' },
+            );
+
+            expect(plan).toMatchObject({
+                unlockable: true,
+                level: 5,
+                classLevel: 5,
+                abilityIncreases: [],
+            });
+        });
+
+        it('should report conditions levelling cannot fix', () => {
+            const character = makeCharacter({ classes: [fighter(1)] });
+
+            const plan = planPrerequisites(
+                { prerequisite: [{ level: 4, race: ['elf'] }] },
+                character,
+            );
+            expect(plan.unlockable).toBe(false);
+            expect(plan.level).toBe(4);
+            expect(plan.blockers.map((c) => c.type)).toEqual(['race']);
+
+            const racial = planPrerequisites(
+                { prerequisite: [{ race: ['elf'] }] },
+                character,
+            );
+            expect(racial).toMatchObject({ unlockable: false, level: null });
+        });
+
+        it('should give up past level 20', () => {
+            const plan = planPrerequisites(
+                { prerequisite: [{ ability: [{ str: 13 }] }] },
+                makeCharacter({ classes: [fighter(17)], scores: { strength: 6 } }),
+            );
+            expect(plan).toMatchObject({ unlockable: false, level: null });
+        });
+    });
+});
@@ -1,7 +1,9 @@
-import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 import { Character } from '../../src/app/Character.js';
 import { ValidationError } from '../../src/lib/Errors.js';
 import { eventBus, EVENTS } from '../../src/lib/EventBus.js';
+import { classService } from '../../src/services/ClassService.js';
+import { featService } from '../../src/services/FeatService.js';
 import { ProficiencyService } from '../../src/services/ProficiencyService.js';
 
 describe('ProficiencyService', () => {
@@ -576,4 +578,156 @@ describe('ProficiencyService', () => {
             expect(char.proficiencies.languages).not.toContain('Elvish');
         });
     });
+
+    describe('Expertise', () => {
+        const ROGUE_SLOT = 'class:Rogue:Expertise:1';
+
+        beforeEach(() => {
+            vi.spyOn(classService, 'getClassFeatures').mockImplementation(
+                (className, level) =>
+                    className === 'Rogue'
+                        ? [
+                            { name: 'Expertise', level: 1, source: 'PHB' },
+                            { name: 'Sneak Attack', level: 1, source: 'PHB' },
+                            { name: 'Expertise', level: 6, source: 'PHB' },
+                        ].filter((feature) => feature.level <= level)
+                        : [],
+            );
+            vi.spyOn(featService, 'getFeat').mockImplementation((name) => {
+                if (name === 'Skill Expert') {
+                    return { name, source: 'TCE', expertise: [{ anyProficientSkill: 1 }] };
+                }
+                throw new Error('not found');
+            });
+
+            character.progression = { classes: [{ name: 'Rogue', source: 'PHB', levels: 1 }] };
+            character.addProficiency('skills', 'Stealth', 'Class');
+            character.addProficiency('skills', 'Perception', 'Background');
+            character.addProficiency('tools', "Thieves' Tools", 'Class');
+        });
+
+        afterEach(() => {
+            vi.restoreAllMocks();
+        });
+
+        it('should build slots from class features up to the class level', () => {
+            const slots = proficiencyService.getExpertiseSlots(character);
+
+            expect(slots).toHaveLength(1);
+            expect(slots[0]).toMatchObject({ key: ROGUE_SLOT, count: 2 });
+            expect(slots[0].toolOptions).toEqual(["Thieves' Tools"]);
+
+            character.progression.classes[0].levels = 6;
+            expect(proficiencyService.getExpertiseSlots(character)).toHaveLength(2);
+        });
+
+        it('should offer Thieves\' Tools only to the 2014 Rogue', () => {
+            classService.getClassFeatures.mockReturnValue([
+                { name: 'Expertise', level: 1, source: 'XPHB', classSource: 'XPHB' },
+            ]);
+            character.progression.classes[0].source = 'XPHB';
+
+            const [slot] = proficiencyService.getExpertiseSlots(character);
+
+            expect(slot).toMatchObject({ key: ROGUE_SLOT, count: 2, toolOptions: [] });
+        });
+
+        it('should build slots from feats with expertise', () => {
+            character.feats = [{ name: 'Skill Expert', source: 'TCE' }, { name: 'Unknown' }];
+
+            const featSlot = proficiencyService
+                .getExpertiseSlots(character)
+                .find((slot) => slot.key.startsWith('feat:'));
+
+            expect(featSlot).toMatchObject({ label: 'Skill Expert', count: 1, toolOptions: [] });
+        });
+
+        it('should offer only proficient skills and allowed tools', () => {
+            const [slot] = proficiencyService.getExpertiseSlots(character);
+
+            const options = proficiencyService.getExpertiseOptions(character, slot);
+
+            expect(options.map((option) => option.name)).toEqual([
+                'Perception',
+                'Stealth',
+                "Thieves' Tools",
+            ]);
+        });
+
+        it('should select expertise and emit an event', () => {
+            const handler = vi.fn();
+            eventBus.on(EVENTS.EXPERTISE_CHANGED, handler);
+
+            expect(proficiencyService.selectExpertise(character, ROGUE_SLOT, 'skills', 'Stealth')).toBe(true);
+
+            expect(character.expertise.skills).toEqual(['Stealth']);
+            expect(proficiencyService.hasExpertise(character, 'skills', 'stealth')).toBe(true);
+            expect(handler).toHaveBeenCalled();
+            eventBus.off(EVENTS.EXPERTISE_CHANGED, handler);
+        });
+
+        it('should reject skills the character is not proficient in', () => {
+            expect(() =>
+                proficiencyService.selectExpertise(character, ROGUE_SLOT, 'skills', 'Arcana'),
+            ).toThrow(ValidationError);
+            expect(character.expertise.skills).toEqual([]);
+        });
+
+        it('should reject choices beyond the slot count and unknown slots', () => {
+            character.addProficiency('skills', 'Acrobatics', 'Race');
+            proficiencyService.selectExpertise(character, ROGUE_SLOT, 'skills', 'Stealth');
+            proficiencyService.selectExpertise(character, ROGUE_SLOT, 'tools', "Thieves' Tools");
+
+            expect(() =>
+                proficiencyService.selectExpertise(character, ROGUE_SLOT, 'skills', 'Acrobatics'),
+            ).toThrow(ValidationError);
+            expect(() =>
+                proficiencyService.selectExpertise(character, 'feat:Missing:0', 'skills', 'Stealth'),
+            ).toThrow(ValidationError);
+        });
+
+        it('should not offer a skill that already has expertise from another slot', () => {
+            character.progression.classes[0].levels = 6;
+            proficiencyService.selectExpertise(character, ROGUE_SLOT, 'skills', 'Stealth');
+            const laterSlot = proficiencyService.getExpertiseSlots(character)[1];
+
+            const names = proficiencyService
+                .getExpertiseOptions(character, laterSlot)
+                .map((option) => option.name);
+
+            expect(names).not.toContain('Stealth');
+            expect(names).toContain('Perception');
+        });
+
+        it('should deselect expertise', () => {
+            proficiencyService.selectExpertise(character, ROGUE_SLOT, 'skills', 'Stealth');
+
+            expect(proficiencyService.deselectExpertise(character, ROGUE_SLOT, 'skills', 'Stealth')).toBe(true);
+            expect(character.expertise.skills).toEqual([]);
+            expect(character.expertiseChoices).toEqual({});
+        });
+
+        it('should drop choices whose slot or proficiency is gone when syncing', () => {
+            proficiencyService.selectExpertise(character, ROGUE_SLOT, 'skills', 'Stealth');
+            proficiencyService.selectExpertise(character, ROGUE_SLOT, 'skills', 'Perception');
+
+            character.removeProficienciesBySource('Background');
+            expect(proficiencyService.syncExpertise(character)).toBe(true);
+            expect(character.expertise.skills).toEqual(['Stealth']);
+
+            character.progression.classes = [];
+            proficiencyService.syncExpertise(character);
+            expect(character.expertise.skills).toEqual([]);
+        });
+
+        it('should keep fixed expertise separate from choices', () => {
+            proficiencyService.addExpertise(character, 'skills', 'Perception', 'Imported');
+            proficiencyService.selectExpertise(character, ROGUE_SLOT, 'skills', 'Stealth');
+
+            expect(character.expertise.skills).toEqual(['Perception', 'Stealth']);
+
+            proficiencyService.removeExpertiseBySource(character, 'Imported');
+            expect(character.expertise.skills).toEqual(['Stealth']);
+        });
+    });
 });
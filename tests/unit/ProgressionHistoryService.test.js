@@ -84,6 +84,22 @@ describe('ProgressionHistoryService', () => {
         });
     });
 
+    describe('mergeChoices', () => {
+        it('should keep choices already recorded at the level', () => {
+            progressionHistoryService.recordChoices(character, 'Warlock', 3, {
+                'pact-boon': { selected: ['Pact of the Blade'], count: 1 },
+            });
+            progressionHistoryService.mergeChoices(character, 'Warlock', 3, {
+                invocation: { selected: ['Agonizing Blast'], count: 1 },
+            });
+
+            expect(character.progressionHistory.Warlock['3'].choices).toEqual({
+                'pact-boon': { selected: ['Pact of the Blade'], count: 1 },
+                invocation: { selected: ['Agonizing Blast'], count: 1 },
+            });
+        });
+    });
+
     describe('getChoices', () => {
         it('should return choices for a recorded level', () => {
             progressionHistoryService.recordChoices(character, 'Rogue', 3, {
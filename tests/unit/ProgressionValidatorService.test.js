@@ -3,10 +3,22 @@ import { beforeEach, describe, expect, it, vi } from 'vitest';
 vi.mock('../../src/services/ClassService.js', () => ({
     classService: {
         getClassFeatures: vi.fn(),
+        mapFeatureType: vi.fn((code) =>
+            ({ EI: 'invocation', MM: 'metamagic', 'FS:F': 'fighting-style' })[code] ||
+            'other',
+        ),
+        getCountAtLevel: vi.fn((progression, level) => progression[level - 1] || 0),
+    },
+}));
+
+vi.mock('../../src/services/ProficiencyService.js', () => ({
+    proficiencyService: {
+        getExpertiseSlots: vi.fn(() => []),
     },
 }));
 
 import { classService } from '../../src/services/ClassService.js';
+import { proficiencyService } from '../../src/services/ProficiencyService.js';
 import { progressionValidatorService } from '../../src/services/ProgressionValidatorService.js';
 
 function makeReport() {
@@ -28,6 +40,7 @@ describe('ProgressionValidatorService', () => {
     beforeEach(() => {
         vi.clearAllMocks();
         classService.getClassFeatures.mockReturnValue([]);
+        proficiencyService.getExpertiseSlots.mockReturnValue([]);
     });
 
     describe('checkSubclass', () => {
@@ -200,6 +213,175 @@ describe('ProgressionValidatorService', () => {
             expect(report.missing.other).toHaveLength(1);
             expect(report.missing.other[0].feature).toBe('Expertise');
         });
+
+        it('should count invocations recorded in progression history', () => {
+            classService.getClassFeatures.mockReturnValue([
+                { name: 'Eldritch Invocations', level: 2, entries: ['choose 2'] },
+            ]);
+            const character = {
+                progressionHistory: {
+                    Warlock: {
+                        2: {
+                            choices: {
+                                invocation: {
+                                    selected: ['Agonizing Blast', 'Devil\'s Sight'],
+                                    count: 2,
+                                },
+                            },
+                        },
+                        5: {
+                            choices: {
+                                invocation: { selected: ['Thirsting Blade'], count: 1 },
+                            },
+                        },
+                    },
+                },
+            };
+            const classEntry = { name: 'Warlock', levels: 5, source: 'PHB' };
+            const classData = {
+                source: 'PHB',
+                optionalfeatureProgression: [
+                    {
+                        name: 'Eldritch Invocations',
+                        featureType: ['EI'],
+                        progression: [0, 2, 2, 2, 3],
+                    },
+                ],
+            };
+            const report = makeReport();
+
+            progressionValidatorService.checkClassFeatures(character, classEntry, classData, report);
+
+            expect(report.missing.invocations).toHaveLength(0);
+        });
+
+        it('should expect the invocation count of the current class level', () => {
+            classService.getClassFeatures.mockReturnValue([
+                { name: 'Eldritch Invocations', level: 2, entries: ['choose 2'] },
+            ]);
+            const character = {
+                progressionHistory: {
+                    Warlock: {
+                        2: { choices: { invocation: { selected: ['Agonizing Blast'], count: 1 } } },
+                    },
+                },
+            };
+            const classEntry = { name: 'Warlock', levels: 5, source: 'PHB' };
+            const classData = {
+                source: 'PHB',
+                optionalfeatureProgression: [
+                    {
+                        name: 'Eldritch Invocations',
+                        featureType: ['EI'],
+                        progression: [0, 2, 2, 2, 3],
+                    },
+                ],
+            };
+            const report = makeReport();
+
+            progressionValidatorService.checkClassFeatures(character, classEntry, classData, report);
+
+            expect(report.missing.invocations).toHaveLength(1);
+            expect(report.missing.invocations[0].expected).toBe(3);
+            expect(report.missing.invocations[0].actual).toBe(1);
+        });
+
+        it('should accept a fighting style recorded in progression history', () => {
+            classService.getClassFeatures.mockReturnValue([
+                { name: 'Fighting Style', level: 1, entries: ['Choose one of the following options'] },
+            ]);
+            const character = {
+                progressionHistory: {
+                    Fighter: {
+                        1: { choices: { 'fighting-style': { selected: ['Defense'], count: 1 } } },
+                    },
+                },
+            };
+            const classEntry = { name: 'Fighter', levels: 1, source: 'PHB' };
+            const classData = { source: 'PHB' };
+            const report = makeReport();
+
+            progressionValidatorService.checkClassFeatures(character, classEntry, classData, report);
+
+            expect(report.missing.fightingStyles).toHaveLength(0);
+            expect(report.missing.other).toHaveLength(0);
+        });
+
+        it('should not report choices that are tracked elsewhere', () => {
+            classService.getClassFeatures.mockReturnValue([
+                { name: 'Spellcasting', level: 1, entries: ['Choose three cantrips'] },
+                { name: 'Arcane Tradition', level: 2, entries: ['Choose an arcane tradition'] },
+                { name: 'Ability Score Improvement', level: 4, entries: ['choose one ability score'] },
+            ]);
+            const character = {};
+            const classEntry = {
+                name: 'Wizard',
+                levels: 4,
+                source: 'PHB',
+                subclass: 'School of Evocation',
+            };
+            const classData = {
+                source: 'PHB',
+                subclassTitle: 'Arcane Tradition',
+                classFeatures: [
+                    {
+                        classFeature: 'Arcane Tradition|Wizard||2',
+                        gainSubclassFeature: true,
+                    },
+                ],
+            };
+            const report = makeReport();
+
+            progressionValidatorService.checkClassFeatures(character, classEntry, classData, report);
+
+            expect(report.missing.other).toHaveLength(0);
+        });
+
+        it('should not report expertise once its slot is filled', () => {
+            classService.getClassFeatures.mockReturnValue([
+                { name: 'Expertise', level: 1, entries: ['Choose two skills'] },
+            ]);
+            proficiencyService.getExpertiseSlots.mockReturnValue([
+                { key: 'class:Rogue:Expertise:1', count: 2 },
+            ]);
+            const character = {
+                expertiseChoices: {
+                    'class:Rogue:Expertise:1': [
+                        { type: 'skill', name: 'Stealth' },
+                        { type: 'skill', name: 'Perception' },
+                    ],
+                },
+            };
+            const classEntry = { name: 'Rogue', levels: 1, source: 'PHB' };
+            const classData = { source: 'PHB' };
+            const report = makeReport();
+
+            progressionValidatorService.checkClassFeatures(character, classEntry, classData, report);
+
+            expect(report.missing.other).toHaveLength(0);
+        });
+
+        it('should report expertise with fewer picks than its slot allows', () => {
+            classService.getClassFeatures.mockReturnValue([
+                { name: 'Expertise', level: 1, entries: ['Choose two skills'] },
+            ]);
+            proficiencyService.getExpertiseSlots.mockReturnValue([
+                { key: 'class:Rogue:Expertise:1', count: 2 },
+            ]);
+            const character = {
+                expertiseChoices: {
+                    'class:Rogue:Expertise:1': [{ type: 'skill', name: 'Stealth' }],
+                },
+            };
+            const classEntry = { name: 'Rogue', levels: 1, source: 'PHB' };
+            const classData = { source: 'PHB' };
+            const report = makeReport();
+
+            progressionValidatorService.checkClassFeatures(character, classEntry, classData, report);
+
+            expect(report.missing.other).toHaveLength(1);
+            expect(report.missing.other[0].expectedChoices).toBe(2);
+        });
     });
 
     describe('checkASIs', () => {
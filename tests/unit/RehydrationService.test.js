@@ -23,8 +23,21 @@ vi.mock('../../src/services/BackgroundService.js', () => ({
     },
 }));
 
+vi.mock('../../src/services/ItemService.js', () => ({
+    itemService: {
+        getItem: vi.fn(),
+    },
+}));
+
+vi.mock('../../src/services/EquipmentService.js', () => ({
+    equipmentService: {
+        getWeaponStats: vi.fn((item) => ({ dmg1: item.dmg1, dmgType: item.dmgType })),
+    },
+}));
+
 import { backgroundService } from '../../src/services/BackgroundService.js';
 import { classService } from '../../src/services/ClassService.js';
+import { itemService } from '../../src/services/ItemService.js';
 import { raceService } from '../../src/services/RaceService.js';
 import { rehydrationService } from '../../src/services/RehydrationService.js';
 
@@ -160,6 +173,72 @@ describe('RehydrationService', () => {
         });
     });
 
+    describe('_rehydrateOriginCustomization', () => {
+        const dwarf = {
+            name: 'Dwarf',
+            source: 'PHB',
+            ability: [{ con: 2 }],
+            toolProficiencies: [{ "smith's tools": true }],
+        };
+        const hill = { name: 'Hill', ability: [{ wis: 1 }] };
+
+        function makeCustomized(abilityBonuses) {
+            return makeCharacter({
+                race: {
+                    name: 'Dwarf',
+                    source: 'PHB',
+                    subrace: 'Hill',
+                    customOrigin: {
+                        abilityBonuses,
+                        proficiencySwaps: { tools: { "smith's tools": "Tinker's tools" } },
+                    },
+                },
+                clearAbilityBonusesByPrefix: vi.fn(),
+                clearPendingAbilityChoices: vi.fn(),
+                addAbilityBonus: vi.fn(),
+                addProficiency: vi.fn(),
+            });
+        }
+
+        beforeEach(() => {
+            raceService.getRace.mockReturnValue(dwarf);
+            raceService.getSubrace.mockReturnValue(hill);
+        });
+
+        it('should re-apply the chosen increases and proficiency swaps', () => {
+            const character = makeCustomized({ dexterity: 2, charisma: 1 });
+
+            const { warnings } = rehydrationService.rehydrate(character);
+
+            expect(warnings).toEqual([]);
+            expect(character.clearAbilityBonusesByPrefix).toHaveBeenCalledWith('Race');
+            expect(character.addAbilityBonus).toHaveBeenCalledWith('dexterity', 2, 'Race');
+            expect(character.addAbilityBonus).toHaveBeenCalledWith('charisma', 1, 'Race');
+            expect(character.addProficiency).toHaveBeenCalledWith('tools', "Tinker's tools", 'Race');
+        });
+
+        it('should drop increases the race no longer allows', () => {
+            const character = makeCustomized({ dexterity: 2, charisma: 2 });
+
+            const { warnings } = rehydrationService.rehydrate(character);
+
+            expect(warnings).toHaveLength(1);
+            expect(character.race.customOrigin.abilityBonuses).toBeNull();
+            expect(character.addAbilityBonus).not.toHaveBeenCalled();
+        });
+
+        it('should restore Custom Lineage darkvision', () => {
+            raceService.getRace.mockReturnValue({ name: 'Custom Lineage', source: 'TCE' });
+            const character = makeCharacter({
+                race: { name: 'Custom Lineage', source: 'TCE', lineageTrait: 'darkvision' },
+            });
+
+            rehydrationService.rehydrate(character);
+
+            expect(character.features.darkvision).toBe(60);
+        });
+    });
+
     describe('_rehydrateClassFeatures', () => {
         it('should skip when no classes', () => {
             const character = makeCharacter();
@@ -337,4 +416,30 @@ describe('RehydrationService', () => {
             expect(character.spellcasting.classes.Fighter).toBeUndefined();
         });
     });
+
+    describe('_rehydrateWeaponStats', () => {
+        it('should fill weapon stats missing from older saves', () => {
+            itemService.getItem.mockReturnValue({ name: 'Longsword', dmg1: '1d8', dmgType: 'S' });
+            const sword = { name: 'Longsword', source: 'PHB', weapon: true };
+            const armor = { name: 'Chain Mail', source: 'PHB', armor: true };
+            const character = makeCharacter({ inventory: { items: [sword, armor] } });
+            const warnings = [];
+            rehydrationService._rehydrateWeaponStats(character, warnings);
+
+            expect(itemService.getItem).toHaveBeenCalledTimes(1);
+            expect(sword).toMatchObject({ dmg1: '1d8', dmgType: 'S' });
+            expect(warnings).toEqual([]);
+        });
+
+        it('should warn when the weapon is not found', () => {
+            itemService.getItem.mockImplementation(() => { throw new Error('not found'); });
+            const character = makeCharacter({
+                inventory: { items: [{ name: 'Homebrew Blade', source: 'HB', type: 'M' }] },
+            });
+            const warnings = [];
+            rehydrationService._rehydrateWeaponStats(character, warnings);
+
+            expect(warnings).toEqual(['Weapon not found: Homebrew Blade (HB)']);
+        });
+    });
 });
@@ -0,0 +1,227 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import { Character } from '../../src/app/Character.js';
+import { NotFoundError, ValidationError } from '../../src/lib/Errors.js';
+import { RULESETS } from '../../src/lib/GameRules.js';
+import { featService } from '../../src/services/FeatService.js';
+import {
+    BACKGROUND_SOURCE,
+    RulesetService,
+} from '../../src/services/RulesetService.js';
+
+const sage = {
+    name: 'Sage',
+    source: 'XPHB',
+    ability: [
+        {
+            choose: {
+                weighted: {
+                    from: ['con', 'int', 'wis'],
+                    weights: [2, 1],
+                },
+            },
+        },
+        {
+            choose: {
+                weighted: {
+                    from: ['con', 'int', 'wis'],
+                    weights: [1, 1, 1],
+                },
+            },
+        },
+    ],
+    feats: [{ 'magic initiate; wizard|xphb': true }],
+};
+
+function makeCharacter(overrides = {}) {
+    return new Character({
+        name: 'Test',
+        variantRules: { ruleset: RULESETS.MODERN },
+        background: { name: 'Sage', source: 'XPHB' },
+        ...overrides,
+    });
+}
+
+describe('RulesetService', () => {
+    const service = new RulesetService();
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    describe('getRuleset', () => {
+        it('should default to the 2014 rules', () => {
+            expect(service.getRuleset({})).toBe(RULESETS.LEGACY);
+            expect(
+                service.getRuleset({ variantRules: { ruleset: '1999' } }),
+            ).toBe(RULESETS.LEGACY);
+            expect(service.is2024(makeCharacter())).toBe(true);
+            expect(service.usesRacialAbilityBonuses(makeCharacter())).toBe(
+                false,
+            );
+        });
+    });
+
+    describe('background ability bonuses', () => {
+        it('should list every +2/+1 spread and the +1/+1/+1 spread', () => {
+            const options = service.getBackgroundAbilityOptions(sage);
+
+            expect(options).toHaveLength(7);
+            expect(options.map((o) => o.label)).toContain('Int +2, Wis +1');
+            expect(options.at(-1).bonuses).toEqual({
+                constitution: 1,
+                intelligence: 1,
+                wisdom: 1,
+            });
+        });
+
+        it('should have no options for a background without ability data', () => {
+            expect(
+                service.getBackgroundAbilityOptions({ name: 'Acolyte' }),
+            ).toEqual([]);
+        });
+
+        it('should replace previous background bonuses', () => {
+            const character = makeCharacter();
+
+            service.applyBackgroundAbilityBonuses(character, sage, {
+                intelligence: 2,
+                wisdom: 1,
+            });
+            service.applyBackgroundAbilityBonuses(character, sage, {
+                wisdom: 2,
+                constitution: 1,
+            });
+
+            expect(character.abilityBonuses.intelligence).toEqual([]);
+            expect(character.abilityBonuses.wisdom).toEqual([
+                { value: 2, source: BACKGROUND_SOURCE },
+            ]);
+            expect(character.background.abilityBonuses).toEqual({
+                wisdom: 2,
+                constitution: 1,
+            });
+        });
+
+        it('should reject spreads the background does not offer', () => {
+            expect(() =>
+                service.applyBackgroundAbilityBonuses(makeCharacter(), sage, {
+                    strength: 2,
+                    wisdom: 1,
+                }),
+            ).toThrow(ValidationError);
+        });
+
+        it('should clear the bonuses when given none', () => {
+            const character = makeCharacter();
+            service.applyBackgroundAbilityBonuses(character, sage, {
+                intelligence: 2,
+                wisdom: 1,
+            });
+
+            service.applyBackgroundAbilityBonuses(character, sage, null);
+
+            expect(character.abilityBonuses.intelligence).toEqual([]);
+            expect(character.background.abilityBonuses).toBeUndefined();
+        });
+    });
+
+    describe('origin feats', () => {
+        it('should parse the feat, its source and its detail', () => {
+            expect(service.getOriginFeats(sage)).toEqual([
+                { name: 'Magic Initiate', source: 'XPHB', detail: 'wizard' },
+            ]);
+        });
+
+        it('should swap background feats and keep the others', () => {
+            const character = makeCharacter({
+                feats: [
+                    { name: 'Alert', source: BACKGROUND_SOURCE },
+                    { name: 'War Caster', source: 'Level 4' },
+                ],
+            });
+
+            service.applyOriginFeats(character, sage);
+
+            expect(character.feats).toEqual([
+                { name: 'War Caster', source: 'Level 4' },
+                { name: 'Magic Initiate', source: BACKGROUND_SOURCE },
+            ]);
+            expect(character.getFeatAvailability().reasons).toContain(
+                'Background: 1 origin feat',
+            );
+        });
+    });
+
+    describe('weapon mastery', () => {
+        it('should fall back to the built-in table without class data', () => {
+            expect(
+                service.getWeaponMasteryCount({ name: 'Fighter', levels: 4 }),
+            ).toBe(4);
+            expect(
+                service.getWeaponMasteryCount(
+                    { name: 'Fighter', levels: 9 },
+                    1,
+                ),
+            ).toBe(3);
+            expect(
+                service.getWeaponMasteryCount({ name: 'Wizard', levels: 5 }),
+            ).toBe(0);
+        });
+
+        it('should store masteries per class up to the allowed count', () => {
+            const character = makeCharacter({
+                progression: {
+                    classes: [{ name: 'Rogue', levels: 1 }],
+                },
+            });
+
+            service.setWeaponMasteries(character, 'Rogue', [
+                'Dagger',
+                'Shortsword',
+                'Dagger',
+            ]);
+
+            expect(service.getWeaponMasteries(character, 'Rogue')).toEqual([
+                'Dagger',
+                'Shortsword',
+            ]);
+            expect(() =>
+                service.setWeaponMasteries(character, 'Rogue', [
+                    'Dagger',
+                    'Shortsword',
+                    'Rapier',
+                ]),
+            ).toThrow(ValidationError);
+        });
+    });
+
+    describe('epic boons', () => {
+        it('should count only feats in the Epic Boon category', () => {
+            vi.spyOn(featService, 'getFeat').mockImplementation((name) => {
+                if (name === 'Unknown') throw new NotFoundError('Feat', name);
+                return { name, category: name.startsWith('Boon') ? 'EB' : 'G' };
+            });
+            const character = makeCharacter({
+                feats: [
+                    { name: 'Boon of Fate', source: 'Level 19' },
+                    { name: 'Alert', source: 'Level 4' },
+                    { name: 'Unknown', source: 'Imported' },
+                ],
+                progression: {
+                    classes: [
+                        { name: 'Fighter', levels: 19 },
+                        { name: 'Rogue', levels: 1 },
+                    ],
+                },
+            });
+
+            expect(service.getEpicBoons(character).map((f) => f.name)).toEqual([
+                'Boon of Fate',
+            ]);
+            expect(
+                service.getEpicBoonClasses(character).map((c) => c.name),
+            ).toEqual(['Fighter']);
+        });
+    });
+});
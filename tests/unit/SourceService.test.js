@@ -1,4 +1,4 @@
-import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 
 vi.mock('../../src/ui/rendering/TooltipManager.js', () => ({
     initializeTooltipListeners: vi.fn(),
@@ -169,6 +169,89 @@ describe('SourceService', () => {
         });
     });
 
+    describe('homebrew sources', () => {
+        const brew = {
+            path: '/brew/dragons.json',
+            entryPath: '/brew',
+            sources: [
+                {
+                    json: 'DragonBrew',
+                    abbreviation: 'DB',
+                    full: 'Dragon Brew',
+                    authors: ['Someone'],
+                },
+            ],
+            data: {},
+        };
+
+        let loadHomebrewSpy;
+
+        beforeEach(async () => {
+            sourceService.resetData();
+            sourceService._initPromise = null;
+            const { DataLoader } = await import('../../src/lib/DataLoader.js');
+            loadHomebrewSpy = vi
+                .spyOn(DataLoader, 'loadHomebrew')
+                .mockResolvedValue([brew]);
+            await sourceService.initialize();
+        });
+
+        afterEach(() => {
+            loadHomebrewSpy.mockRestore();
+        });
+
+        it('should register homebrew sources as available', () => {
+            expect(sourceService.getAvailableSources()).toContain('DragonBrew');
+            expect(sourceService.isHomebrewSource('DragonBrew')).toBe(true);
+            expect(sourceService.isHomebrewSource('PHB')).toBe(false);
+            expect(sourceService.getHomebrewSources()).toEqual(['DragonBrew']);
+        });
+
+        it('should tag homebrew names in formatSourceName', () => {
+            expect(sourceService.formatSourceName('DragonBrew')).toBe(
+                'Dragon Brew (Homebrew)',
+            );
+        });
+
+        it('should persist added paths and emit HOMEBREW_CHANGED', async () => {
+            const { eventBus, EVENTS } = await import('../../src/lib/EventBus.js');
+            const settings = { homebrew: [{ path: '/brew', enabled: true }] };
+            window.app = {
+                settings: {
+                    get: vi.fn(async (key) => settings[key]),
+                    set: vi.fn(async (key, value) => {
+                        settings[key] = value;
+                        return { success: true };
+                    }),
+                },
+            };
+            const emitSpy = vi.spyOn(eventBus, 'emit');
+
+            expect(await sourceService.addHomebrewPath('/brew')).toBe(false);
+            expect(await sourceService.addHomebrewPath('/other.json')).toBe(true);
+            expect(await sourceService.setHomebrewEnabled('/brew', false)).toBe(true);
+            expect(settings.homebrew).toEqual([
+                { path: '/brew', enabled: false },
+                { path: '/other.json', enabled: true },
+            ]);
+            expect(emitSpy).toHaveBeenCalledWith(
+                EVENTS.HOMEBREW_CHANGED,
+                settings.homebrew,
+            );
+
+            const entries = await sourceService.getHomebrewEntries();
+            expect(entries[0]).toEqual({
+                path: '/brew',
+                enabled: false,
+                sources: ['DragonBrew'],
+            });
+
+            expect(await sourceService.removeHomebrewPath('/other.json')).toBe(true);
+            expect(settings.homebrew).toHaveLength(1);
+            delete window.app;
+        });
+    });
+
     describe('formatSourceName', () => {
         it('should return full name for known sources', () => {
             expect(sourceService.formatSourceName('PHB')).toBe("Player's Handbook");
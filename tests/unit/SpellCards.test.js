@@ -0,0 +1,228 @@
+// @vitest-environment node
+import { PDFDocument } from 'pdf-lib';
+import { describe, expect, it } from 'vitest';
+
+import {
+    formatSpellCard,
+    generateSpellCardsPdf,
+    sortSpellCards,
+} from '../../src/main/pdf/SpellCards.js';
+
+const fireball = {
+    name: 'Fireball',
+    source: 'PHB',
+    page: 241,
+    level: 3,
+    school: 'V',
+    time: [{ number: 1, unit: 'action' }],
+    range: { type: 'point', distance: { type: 'feet', amount: 150 } },
+    components: { v: true, s: true, m: 'a tiny ball of bat guano and sulfur' },
+    duration: [{ type: 'instant' }],
+    entries: [
+        'A bright streak flashes from your pointing finger. Each creature must make a {@dc 15} Dexterity saving throw, taking {@damage 8d6} fire damage.',
+    ],
+    entriesHigherLevel: [
+        {
+            type: 'entries',
+            name: 'At Higher Levels',
+            entries: [
+                'The damage increases by {@scaledamage 8d6|3-9|1d6} for each slot level above 3rd.',
+            ],
+        },
+    ],
+};
+const detectMagic = {
+    name: 'Detect Magic',
+    source: 'PHB',
+    level: 1,
+    school: 'D',
+    meta: { ritual: true },
+    time: [{ number: 1, unit: 'action' }],
+    range: { type: 'radius', distance: { type: 'self' } },
+    components: { v: true, s: true },
+    duration: [
+        {
+            type: 'timed',
+            duration: { type: 'minute', amount: 10 },
+            concentration: true,
+        },
+    ],
+    entries: [
+        'For the duration, you sense the presence of magic within 30 feet of you.',
+    ],
+};
+const shield = {
+    name: 'Shield',
+    source: 'PHB',
+    level: 1,
+    school: 'A',
+    time: [
+        {
+            number: 1,
+            unit: 'reaction',
+            condition: 'which you take when you are hit by an attack',
+        },
+    ],
+    range: { type: 'point', distance: { type: 'self' } },
+    components: { v: true, s: true },
+    duration: [{ type: 'timed', duration: { type: 'round', amount: 1 } }],
+    entries: [
+        'An invisible barrier of magical force appears and protects you.',
+    ],
+};
+const light = {
+    name: 'Light',
+    source: 'PHB',
+    level: 0,
+    school: 'V',
+    time: [{ number: 1, unit: 'action' }],
+    range: { type: 'point', distance: { type: 'touch' } },
+    components: { v: true, m: 'a firefly or phosphorescent moss' },
+    duration: [{ type: 'timed', duration: { type: 'hour', amount: 1 } }],
+    entries: [
+        'You touch one object that is no larger than 10 feet in any dimension.',
+    ],
+};
+
+const entry = (spell, classes = ['Wizard'], prepared = true) => ({
+    spell,
+    classes,
+    prepared,
+});
+
+describe('SpellCards', () => {
+    describe('formatSpellCard', () => {
+        it('should show casting details, markers and plain-text description', () => {
+            const card = formatSpellCard(entry(fireball));
+
+            expect(card.title).toBe('Fireball');
+            expect(card.subtitle).toBe('3rd-level Evocation');
+            expect(card.markers).toEqual(['Prepared']);
+            expect(card.details).toEqual([
+                ['Casting Time', '1 action'],
+                ['Range', '150 feet'],
+                ['Components', 'V, S, M (a tiny ball of bat guano and sulfur)'],
+                ['Duration', 'Instantaneous'],
+            ]);
+            expect(card.paragraphs).toEqual([
+                'A bright streak flashes from your pointing finger. Each creature must make a DC 15 Dexterity saving throw, taking 8d6 fire damage.',
+                'At Higher Levels. The damage increases by 1d6 for each slot level above 3rd.',
+            ]);
+            expect(card.footer).toBe('Wizard - PHB p. 241');
+        });
+
+        it('should mark concentration and ritual spells and reaction triggers', () => {
+            expect(
+                formatSpellCard(entry(detectMagic, [], false)).markers,
+            ).toEqual(['Concentration', 'Ritual']);
+            expect(formatSpellCard(entry(shield)).details[0]).toEqual([
+                'Casting Time',
+                '1 reaction, which you take when you are hit by an attack',
+            ]);
+            expect(formatSpellCard(entry(light)).subtitle).toBe(
+                'Evocation cantrip',
+            );
+            expect(formatSpellCard(entry(light)).markers).toEqual([]);
+        });
+    });
+
+    describe('sortSpellCards', () => {
+        const entries = [
+            entry(shield, ['Wizard']),
+            entry(fireball, ['Sorcerer']),
+            entry(light, ['Wizard']),
+            entry(detectMagic, ['Cleric']),
+        ];
+        const names = (sorted) => sorted.map((e) => e.spell.name);
+
+        it('should sort by level, name, school or class', () => {
+            expect(names(sortSpellCards(entries, 'level'))).toEqual([
+                'Light',
+                'Detect Magic',
+                'Shield',
+                'Fireball',
+            ]);
+            expect(names(sortSpellCards(entries, 'name'))).toEqual([
+                'Detect Magic',
+                'Fireball',
+                'Light',
+                'Shield',
+            ]);
+            expect(names(sortSpellCards(entries, 'school'))).toEqual([
+                'Shield',
+                'Detect Magic',
+                'Light',
+                'Fireball',
+            ]);
+            expect(names(sortSpellCards(entries, 'class'))).toEqual([
+                'Detect Magic',
+                'Fireball',
+                'Light',
+                'Shield',
+            ]);
+        });
+
+        it('should reject unknown sort orders', () => {
+            expect(() => sortSpellCards(entries, 'colour')).toThrow(
+                'Unknown spell card sort order',
+            );
+        });
+    });
+
+    describe('generateSpellCardsPdf', () => {
+        const pageCount = async (bytes) =>
+            (await PDFDocument.load(bytes)).getPageCount();
+
+        it('should fit nine standard or four large cards on a page', async () => {
+            const spells = Array.from({ length: 10 }, (_, i) =>
+                entry({ ...fireball, name: `Fireball ${i}` }),
+            );
+
+            expect(
+                await pageCount(
+                    await generateSpellCardsPdf(spells, {
+                        cardSize: 'standard',
+                    }),
+                ),
+            ).toBe(2);
+            expect(
+                await pageCount(
+                    await generateSpellCardsPdf(spells, { cardSize: 'large' }),
+                ),
+            ).toBe(3);
+        });
+
+        it('should continue long spells onto another card', async () => {
+            const longSpell = {
+                ...fireball,
+                entries: Array.from({ length: 12 }, () => fireball.entries[0]),
+            };
+
+            expect(
+                await pageCount(
+                    await generateSpellCardsPdf(
+                        Array.from({ length: 9 }, () => entry(longSpell)),
+                    ),
+                ),
+            ).toBeGreaterThan(1);
+        });
+
+        it('should flow spells down spellbook pages', async () => {
+            const bytes = await generateSpellCardsPdf(
+                [entry(fireball), entry(shield), entry(light)],
+                { cardSize: 'spellbook', title: 'Aria Spells' },
+            );
+
+            expect(await pageCount(bytes)).toBe(1);
+        });
+
+        it('should reject unknown sizes and empty spell lists', async () => {
+            await expect(
+                generateSpellCardsPdf([entry(fireball)], { cardSize: 'huge' }),
+            ).rejects.toThrow('Unknown spell card size');
+            await expect(generateSpellCardsPdf([])).rejects.toThrow(
+                'No spells to print',
+            );
+        });
+    });
+});
@@ -33,8 +33,10 @@ vi.mock('../../src/lib/ValidationSchemas.js', () => ({
     validateInput: vi.fn((_schema, data) => data),
 }));
 
+import { ValidationError } from '../../src/lib/Errors.js';
 import { classService } from '../../src/services/ClassService.js';
 import { spellSelectionService } from '../../src/services/SpellSelectionService.js';
+import { spellService } from '../../src/services/SpellService.js';
 
 describe('SpellSelectionService', () => {
     beforeEach(() => {
@@ -292,4 +294,165 @@ describe('SpellSelectionService', () => {
             ).toThrow();
         });
     });
+
+    describe('getSpellCardEntries', () => {
+        beforeEach(() => {
+            classService.getClass.mockImplementation((name) => {
+                if (name === 'Bonus') throw new Error('Class not found');
+                return {
+                    name,
+                    spellcastingAbility: 'int',
+                    preparedSpells: name === 'Wizard' ? '<$level$> + <$int_mod$>' : undefined,
+                };
+            });
+            spellService.getSpell.mockImplementation((name, source) => {
+                if (name === 'Homebrew Bolt') throw new Error('Spell not found');
+                return { name, source, level: 1, entries: [`${name} full text`] };
+            });
+        });
+
+        it('should list each spell once with every class that knows it', () => {
+            const character = {
+                spellcasting: {
+                    classes: {
+                        Wizard: {
+                            spellsKnown: [
+                                { name: 'Shield', source: 'PHB', level: 1 },
+                                { name: 'Light', source: 'PHB', level: 0 },
+                            ],
+                            spellsPrepared: [],
+                        },
+                        Sorcerer: {
+                            spellsKnown: [{ name: 'Shield', source: 'PHB', level: 1 }],
+                            spellsPrepared: [],
+                        },
+                        Bonus: {
+                            spellsKnown: [{ name: 'Homebrew Bolt', source: 'Brew', level: 2 }],
+                            spellsPrepared: [],
+                        },
+                    },
+                    other: { spellsKnown: [] },
+                },
+            };
+
+            const entries = spellSelectionService.getSpellCardEntries(character);
+
+            expect(entries.map((e) => [e.spell.name, e.classes, e.prepared])).toEqual([
+                ['Shield', ['Wizard', 'Sorcerer'], true],
+                ['Light', ['Wizard'], true],
+                ['Homebrew Bolt', [], false],
+            ]);
+            expect(entries[0].spell.entries).toEqual(['Shield full text']);
+            expect(entries[2].spell).toEqual({ name: 'Homebrew Bolt', source: 'Brew', level: 2 });
+        });
+
+        it('should mark only prepared spells of preparing casters', () => {
+            const wizard = {
+                spellsKnown: [
+                    { name: 'Shield', source: 'PHB', level: 1 },
+                    { name: 'Sleep', source: 'PHB', level: 1 },
+                ],
+                spellsPrepared: [{ name: 'Sleep', source: 'PHB', level: 1 }],
+            };
+
+            expect(
+                spellSelectionService.isSpellPrepared('Wizard', wizard, wizard.spellsKnown[0]),
+            ).toBe(false);
+            expect(
+                spellSelectionService.isSpellPrepared('Wizard', wizard, wizard.spellsKnown[1]),
+            ).toBe(true);
+        });
+
+        it('should treat every spell of a known caster as prepared', () => {
+            const ranger = {
+                spellsKnown: [{ name: 'Hunter\'s Mark', source: 'PHB', level: 1 }],
+                spellsPrepared: [],
+            };
+
+            expect(
+                spellSelectionService.isSpellPrepared('Ranger', ranger, ranger.spellsKnown[0]),
+            ).toBe(true);
+        });
+    });
+
+    describe('spell slot pools', () => {
+        const PROGRESSIONS = { Wizard: 'full', Cleric: 'full', Warlock: 'pact' };
+
+        function makeCharacter(classes) {
+            return {
+                progression: {
+                    classes: Object.entries(classes).map(([name, levels]) => ({
+                        name,
+                        levels,
+                    })),
+                },
+                spellcasting: {
+                    classes: {},
+                    multiclass: { isCastingMulticlass: false, combinedSlots: {} },
+                    other: { spellsKnown: [], itemSpells: [] },
+                },
+            };
+        }
+
+        beforeEach(() => {
+            classService.getClass.mockImplementation((name) => ({
+                name,
+                casterProgression: PROGRESSIONS[name],
+            }));
+        });
+
+        it('should keep one shared pool and a separate Pact Magic pool', () => {
+            const character = makeCharacter({ Wizard: 3, Cleric: 3, Warlock: 2 });
+
+            const { shared, pact } = spellSelectionService.syncSpellSlotPools(character);
+
+            expect(shared).toEqual({
+                1: { max: 4, current: 4 },
+                2: { max: 3, current: 3 },
+                3: { max: 3, current: 3 },
+            });
+            expect(pact).toEqual({ 1: { max: 2, current: 2 } });
+            expect(character.spellcasting.multiclass.isCastingMulticlass).toBe(true);
+        });
+
+        it('should spend slots from the chosen pool', () => {
+            const character = makeCharacter({ Wizard: 3, Warlock: 2 });
+
+            spellSelectionService.useSpellSlot(character, 2);
+            spellSelectionService.useSpellSlot(character, 1, { pactMagic: true });
+            spellSelectionService.useSpellSlot(character, 1, { pactMagic: true });
+
+            const { combinedSlots, pactSlots } = character.spellcasting.multiclass;
+            expect(combinedSlots[2]).toEqual({ max: 2, current: 1 });
+            expect(combinedSlots[1]).toEqual({ max: 4, current: 4 });
+            expect(pactSlots[1]).toEqual({ max: 2, current: 0 });
+            expect(() =>
+                spellSelectionService.useSpellSlot(character, 1, { pactMagic: true }),
+            ).toThrow(ValidationError);
+        });
+
+        it('should keep spent slots spent when the maximum rises', () => {
+            const character = makeCharacter({ Wizard: 3 });
+            spellSelectionService.useSpellSlot(character, 1);
+
+            character.progression.classes[0].levels = 4;
+            const { shared } = spellSelectionService.syncSpellSlotPools(character);
+
+            expect(shared[1]).toEqual({ max: 4, current: 3 });
+            expect(shared[2]).toEqual({ max: 3, current: 3 });
+        });
+
+        it('should restore only Pact Magic on a short rest', () => {
+            const character = makeCharacter({ Wizard: 3, Warlock: 2 });
+            spellSelectionService.useSpellSlot(character, 1);
+            spellSelectionService.useSpellSlot(character, 1, { pactMagic: true });
+
+            spellSelectionService.restoreSpellSlots(character, { pactOnly: true });
+            expect(character.spellcasting.multiclass.combinedSlots[1].current).toBe(3);
+            expect(character.spellcasting.multiclass.pactSlots[1].current).toBe(2);
+
+            spellSelectionService.restoreSpellSlots(character);
+            expect(character.spellcasting.multiclass.combinedSlots[1].current).toBe(4);
+        });
+    });
 });
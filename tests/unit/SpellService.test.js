@@ -192,4 +192,28 @@ describe('SpellService', () => {
             expect(spellService.isSpellAvailableForClass(blast, 'Wizard')).toBe(false);
         });
     });
+
+    describe('_withHomebrewClassLookup', () => {
+        it('should add homebrew class lists and skip spells without a source', () => {
+            const lookup = spellService._withHomebrewClassLookup(mockClassLookup, [
+                {
+                    name: 'Brew Bolt',
+                    source: 'Brew',
+                    homebrew: true,
+                    classes: { fromClassList: [{ name: 'Wizard' }] },
+                },
+                {
+                    name: 'Lost Bolt',
+                    homebrew: true,
+                    classes: { fromClassList: [{ name: 'Wizard' }] },
+                },
+            ]);
+
+            expect(lookup.brew['brew bolt']).toEqual({
+                class: { PHB: { Wizard: true } },
+            });
+            expect(lookup.phb).toBe(mockClassLookup.phb);
+            expect(Object.keys(lookup)).toEqual(['phb', 'brew']);
+        });
+    });
 });
@@ -3,6 +3,7 @@ import { beforeEach, describe, expect, it, vi } from 'vitest';
 vi.mock('../../src/services/ClassService.js', () => ({
     classService: {
         getClass: vi.fn(),
+        getSubclass: vi.fn(),
     },
 }));
 
@@ -73,7 +74,7 @@ describe('SpellSlotCalculatorService', () => {
                 casterProgression: 'pact',
             });
             const slots = spellSlotCalculatorService.calculateSpellSlots('Warlock', 5);
-            expect(slots[3]).toEqual({ max: [2], current: [2], isPactMagic: true });
+            expect(slots[3]).toEqual({ max: 2, current: 2, isPactMagic: true });
         });
 
         it('should use pact magic from data when classTableGroups present', () => {
@@ -117,9 +118,50 @@ describe('SpellSlotCalculatorService', () => {
             expect(slots[9]).toEqual({ max: 1, current: 1 });
         });
 
+        it('should include the 9th-level slot from caster level 17', () => {
+            expect(spellSlotCalculatorService.getStandardSpellSlots(17)[9]).toEqual({ max: 1, current: 1 });
+            expect(spellSlotCalculatorService.getStandardSpellSlots(20)[7]).toEqual({ max: 2, current: 2 });
+        });
+
         it('should return empty for invalid caster levels', () => {
             expect(spellSlotCalculatorService.getStandardSpellSlots(-1)).toEqual({});
             expect(spellSlotCalculatorService.getStandardSpellSlots(21)).toEqual({});
         });
     });
+
+    describe('calculateCombinedSpellcasting', () => {
+        it('should read caster progression from class and subclass data', () => {
+            classService.getClass.mockImplementation((name) =>
+                name === 'Mystic' ? { name, casterProgression: 'full' } : { name: 'Rogue', source: 'PHB' },
+            );
+            classService.getSubclass.mockReturnValue({ name: 'Arcane Trickster', casterProgression: '1/3' });
+
+            const model = spellSlotCalculatorService.calculateCombinedSpellcasting({
+                progression: {
+                    classes: [
+                        { name: 'Mystic', levels: 4 },
+                        { name: 'Rogue', levels: 6, subclass: 'Arcane Trickster' },
+                    ],
+                },
+            });
+
+            expect(classService.getSubclass).toHaveBeenCalledWith('Rogue', 'Arcane Trickster', 'PHB');
+            expect(model.casterLevel).toBe(6);
+            expect(model.slots).toEqual({ 1: 4, 2: 3, 3: 3 });
+        });
+
+        it('should fall back to the rules tables when data is missing', () => {
+            classService.getClass.mockReturnValue(null);
+            classService.getSubclass.mockImplementation(() => {
+                throw new Error('not found');
+            });
+
+            const model = spellSlotCalculatorService.calculateCombinedSpellcasting({
+                progression: { classes: [{ name: 'Fighter', levels: 3, subclass: 'Eldritch Knight' }] },
+            });
+
+            expect(model.classes[0].progression).toBe('1/3');
+            expect(model.slots).toEqual({ 1: 2 });
+        });
+    });
 });
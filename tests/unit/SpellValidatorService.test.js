@@ -10,11 +10,19 @@ vi.mock('../../src/services/SpellSelectionService.js', () => ({
 vi.mock('../../src/services/SpellService.js', () => ({
     spellService: {
         getSpells: vi.fn(),
+        getSpell: vi.fn(),
+    },
+}));
+
+vi.mock('../../src/services/SpellSlotCalculatorService.js', () => ({
+    spellSlotCalculatorService: {
+        calculateCombinedSpellcasting: vi.fn(),
     },
 }));
 
 import { spellSelectionService } from '../../src/services/SpellSelectionService.js';
 import { spellService } from '../../src/services/SpellService.js';
+import { spellSlotCalculatorService } from '../../src/services/SpellSlotCalculatorService.js';
 import { spellValidatorService } from '../../src/services/SpellValidatorService.js';
 
 function makeReport() {
@@ -29,6 +37,7 @@ function makeReport() {
             spells: [],
             other: [],
         },
+        warnings: [],
     };
 }
 
@@ -145,6 +154,34 @@ describe('SpellValidatorService', () => {
             expect(cantripReport).toBeUndefined();
         });
 
+        it('should count cantrips stored as spell data', () => {
+            spellSelectionService.getCantripsKnown.mockReturnValue(2);
+            spellService.getSpells.mockReturnValue(new Map());
+
+            const character = {
+                spellcasting: {
+                    classes: {
+                        Wizard: {
+                            spellsKnown: [
+                                { name: 'Light', level: 0 },
+                                { name: 'Mending', level: 0 },
+                                { name: 'Shield', level: 1 },
+                            ],
+                        },
+                    },
+                },
+            };
+            const classEntry = { name: 'Wizard', levels: 1 };
+            const classData = { name: 'Wizard' };
+            const report = makeReport();
+
+            spellValidatorService.checkSpells(character, classEntry, classData, report);
+
+            const cantripReport = report.missing.spells.find(r => r.type === 'cantrips');
+            expect(cantripReport).toBeUndefined();
+            expect(spellService.getSpells).toHaveBeenCalledWith([]);
+        });
+
         it('should skip spells-known check when limit returns 0', () => {
             spellSelectionService.getSpellsKnownLimit.mockReturnValue(0);
             const character = {
@@ -164,4 +201,32 @@ describe('SpellValidatorService', () => {
             expect(report.missing.spells.filter(r => !r.type)).toHaveLength(0);
         });
     });
+
+    describe('checkCastableSpells', () => {
+        it('should warn about spells above the class\'s own highest spell level', () => {
+            spellSlotCalculatorService.calculateCombinedSpellcasting.mockReturnValue({
+                classes: [
+                    { className: 'Wizard', maxSpellLevel: 3 },
+                    { className: 'Paladin', maxSpellLevel: 1 },
+                ],
+            });
+            spellService.getSpell.mockReturnValue({ name: 'Aid', level: 2 });
+            const character = {
+                spellcasting: {
+                    classes: {
+                        Wizard: { spellsKnown: [{ name: 'Fireball', level: 3 }] },
+                        Paladin: { spellsKnown: [{ name: 'Bless', level: 1 }, 'Aid'] },
+                    },
+                },
+            };
+            const report = makeReport();
+
+            spellValidatorService.checkCastableSpells(character, report);
+
+            expect(spellService.getSpell).toHaveBeenCalledWith('Aid');
+            expect(report.warnings).toEqual([
+                'Paladin cannot learn Aid (level 2); Paladin spells are limited to level 1',
+            ]);
+        });
+    });
 });
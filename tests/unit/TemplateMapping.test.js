@@ -0,0 +1,135 @@
+import { describe, expect, it } from 'vitest';
+import {
+    applyTemplateMapping,
+    formatMappedValue,
+    isCheckboxChecked,
+    MAPPING_VALUES,
+    parseTemplateMapping,
+} from '../../src/lib/TemplateMapping.js';
+
+describe('TemplateMapping', () => {
+    describe('MAPPING_VALUES', () => {
+        it('should offer unique keys for abilities, skills and attacks', () => {
+            const keys = MAPPING_VALUES.map((value) => value.key);
+            expect(new Set(keys).size).toBe(keys.length);
+            expect(keys).toContain('ability.wisdom.modifier');
+            expect(keys).toContain('skill.Sleight of Hand.proficient');
+            expect(keys).toContain('attack.6.damage');
+        });
+    });
+
+    describe('parseTemplateMapping', () => {
+        it('should default the version and binding type', () => {
+            const result = parseTemplateMapping({
+                fields: { Name: { value: 'name' } },
+            });
+            expect(result.valid).toBe(true);
+            expect(result.mapping).toEqual({
+                version: 1,
+                fields: { Name: { type: 'text', value: 'name' } },
+            });
+        });
+
+        it('should reject unknown values with the field path', () => {
+            const result = parseTemplateMapping({
+                fields: { Name: { value: 'nickname' } },
+            });
+            expect(result.valid).toBe(false);
+            expect(result.error).toBe(
+                'fields.Name.value: Unknown character value',
+            );
+        });
+
+        it('should reject unsupported formats and versions', () => {
+            expect(
+                parseTemplateMapping({
+                    fields: { Name: { value: 'name', format: 'italic' } },
+                }).valid,
+            ).toBe(false);
+            expect(parseTemplateMapping({ version: 2, fields: {} }).valid).toBe(
+                false,
+            );
+        });
+    });
+
+    describe('formatMappedValue', () => {
+        it('should format modifiers, numbers and uppercase text', () => {
+            expect(formatMappedValue(3, { format: 'modifier' })).toBe('+3');
+            expect(formatMappedValue(-1, { format: 'modifier' })).toBe('-1');
+            expect(formatMappedValue('07', { format: 'number' })).toBe('7');
+            expect(formatMappedValue('Tordek', { format: 'uppercase' })).toBe(
+                'TORDEK',
+            );
+        });
+
+        it('should join lists and add prefix and suffix', () => {
+            expect(formatMappedValue(['Common', 'Elvish'])).toBe(
+                'Common, Elvish',
+            );
+            expect(formatMappedValue(['a', 'b'], { separator: '\n' })).toBe(
+                'a\nb',
+            );
+            expect(
+                formatMappedValue(30, { prefix: 'Walk ', suffix: ' ft' }),
+            ).toBe('Walk 30 ft');
+        });
+
+        it('should leave empty values blank without prefix or suffix', () => {
+            expect(formatMappedValue('', { suffix: ' ft' })).toBe('');
+            expect(formatMappedValue([], { prefix: 'x' })).toBe('');
+            expect(formatMappedValue(0)).toBe('0');
+        });
+    });
+
+    describe('isCheckboxChecked', () => {
+        it('should tick truthy values and non-empty lists by default', () => {
+            expect(isCheckboxChecked(true)).toBe(true);
+            expect(isCheckboxChecked(false)).toBe(false);
+            expect(isCheckboxChecked([])).toBe(false);
+            expect(isCheckboxChecked(['Shields'])).toBe(true);
+        });
+
+        it('should compare case-insensitively against values and list items', () => {
+            expect(
+                isCheckboxChecked('Lawful Good', { equals: 'lawful good' }),
+            ).toBe(true);
+            expect(
+                isCheckboxChecked(['Light Armor', 'Shields'], {
+                    equals: 'shields',
+                }),
+            ).toBe(true);
+            expect(
+                isCheckboxChecked(['Light Armor'], { includes: 'armor' }),
+            ).toBe(true);
+            expect(
+                isCheckboxChecked(['Light Armor'], { includes: 'heavy' }),
+            ).toBe(false);
+        });
+
+        it('should tick numbers at or above a minimum', () => {
+            expect(isCheckboxChecked(5, { min: 5 })).toBe(true);
+            expect(isCheckboxChecked(4, { min: 5 })).toBe(false);
+        });
+    });
+
+    describe('applyTemplateMapping', () => {
+        it('should split bindings into text and checkbox fields', () => {
+            const { mapping } = parseTemplateMapping({
+                fields: {
+                    Level: { value: 'totalLevel', prefix: 'Lv ' },
+                    Missing: { value: 'backstory' },
+                    HasFeats: { type: 'checkbox', value: 'feats' },
+                },
+            });
+            expect(
+                applyTemplateMapping(mapping, {
+                    totalLevel: 5,
+                    feats: ['Alert'],
+                }),
+            ).toEqual({
+                textFields: { Level: 'Lv 5', Missing: '' },
+                checkboxFields: { HasFeats: true },
+            });
+        });
+    });
+});
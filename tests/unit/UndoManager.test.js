@@ -0,0 +1,202 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { AppState } from '../../src/app/AppState.js';
+import { Character } from '../../src/app/Character.js';
+import { serialize } from '../../src/app/CharacterSerializer.js';
+import { NavigationController } from '../../src/app/NavigationController.js';
+import { describeCharacterChange, UndoManager } from '../../src/app/UndoManager.js';
+import { eventBus, EVENTS } from '../../src/lib/EventBus.js';
+import { rehydrationService } from '../../src/services/RehydrationService.js';
+
+function makeCharacter() {
+    return new Character({
+        id: 'undo-1',
+        name: 'Fizban',
+        race: { name: 'Human', source: 'PHB', subrace: '', abilityChoices: [] },
+        abilityScores: {
+            strength: 10,
+            dexterity: 14,
+            constitution: 12,
+            intelligence: 16,
+            wisdom: 10,
+            charisma: 8,
+        },
+    });
+}
+
+describe('describeCharacterChange', () => {
+    let before;
+
+    beforeEach(() => {
+        before = serialize(makeCharacter());
+    });
+
+    const edit = (mutate) => {
+        const after = JSON.parse(JSON.stringify(before));
+        mutate(after);
+        return describeCharacterChange(before, after);
+    };
+
+    it('should label race changes', () => {
+        expect(edit((c) => { c.race.name = 'Elf'; })).toBe('Changed race to Elf');
+        expect(edit((c) => { c.race.subrace = 'High'; })).toBe('Changed subrace to High');
+    });
+
+    it('should label class and subclass changes', () => {
+        expect(edit((c) => {
+            c.progression.classes = [{ name: 'Wizard', levels: 1 }];
+        })).toBe('Changed class to Wizard');
+
+        before.progression.classes = [{ name: 'Wizard', levels: 1, subclass: '' }];
+        expect(edit((c) => {
+            c.progression.classes.push({ name: 'Fighter', levels: 1 });
+        })).toBe('Multiclassed into Fighter');
+        expect(edit((c) => {
+            c.progression.classes[0].subclass = 'School of Evocation';
+        })).toBe('Changed subclass to School of Evocation');
+    });
+
+    it('should label learned and prepared spells', () => {
+        before.spellcasting.classes = { Wizard: { spellsKnown: [], spellsPrepared: [] } };
+        expect(edit((c) => {
+            c.spellcasting.classes.Wizard.spellsKnown.push({ name: 'Fireball' });
+        })).toBe('Learned Fireball');
+
+        before.spellcasting.classes.Wizard.spellsKnown.push({ name: 'Shield' });
+        expect(edit((c) => {
+            c.spellcasting.classes.Wizard.spellsPrepared.push({ name: 'Shield' });
+        })).toBe('Prepared Shield');
+    });
+
+    it('should label ability score, proficiency and equipment changes', () => {
+        expect(edit((c) => { c.abilityScores.strength = 15; })).toBe('Changed Strength to 15');
+        expect(edit((c) => { c.proficiencies.skills.push('Stealth'); }))
+            .toBe('Gained proficiency in Stealth');
+        expect(edit((c) => {
+            c.inventory.items.push({ id: 'i1', name: 'Longsword' });
+        })).toBe('Added Longsword');
+        expect(edit((c) => { c.background = { name: 'Sage' }; }))
+            .toBe('Changed background to Sage');
+    });
+
+    it('should label the first hit on untracked hit points as damage', () => {
+        // Fighter 1 with Constitution 12 starts at 11 hit points
+        before.progression.classes = [{ name: 'Fighter', levels: 1 }];
+        expect(edit((c) => {
+            c.hitPoints.current = 6;
+            c.playState.hitPointMax = 11;
+        })).toBe('Took 5 damage');
+    });
+
+    it('should fall back to a generic label', () => {
+        expect(edit((c) => { c.backstory = 'Once upon a time'; })).toBe('Edited character');
+    });
+});
+
+describe('UndoManager', () => {
+    let character;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.spyOn(rehydrationService, 'rehydrate').mockImplementation(() => { });
+        vi.spyOn(NavigationController, 'navigateTo').mockResolvedValue();
+
+        character = makeCharacter();
+        AppState.setState({
+            currentCharacter: character,
+            currentPage: 'build',
+            hasUnsavedChanges: false,
+            isLoadingCharacter: false,
+            isNavigating: false,
+        });
+        UndoManager.initialize();
+    });
+
+    afterEach(() => {
+        UndoManager.destroy();
+        vi.restoreAllMocks();
+        vi.useRealTimers();
+    });
+
+    it('should group events from one action into a single labelled entry', () => {
+        character.race.name = 'Elf';
+        eventBus.emit(EVENTS.CHARACTER_UPDATED, character);
+        eventBus.emit(EVENTS.ABILITY_SCORES_CHANGED, { character });
+        vi.advanceTimersByTime(300);
+
+        const { undo } = UndoManager.getHistory();
+        expect(undo).toHaveLength(1);
+        expect(undo[0].label).toBe('Changed race to Elf');
+    });
+
+    it('should ignore events that do not change the character', () => {
+        eventBus.emit(EVENTS.CHARACTER_UPDATED, character);
+        vi.advanceTimersByTime(300);
+        expect(UndoManager.canUndo()).toBe(false);
+    });
+
+    it('should undo and redo by restoring snapshots', async () => {
+        character.abilityScores.strength = 15;
+        UndoManager.commit();
+
+        expect(await UndoManager.undo()).toBe('Changed Strength to 15');
+        expect(AppState.getCurrentCharacter()).not.toBe(character);
+        expect(AppState.getCurrentCharacter().abilityScores.strength).toBe(10);
+        expect(AppState.get('hasUnsavedChanges')).toBe(true);
+        expect(UndoManager.canRedo()).toBe(true);
+
+        expect(await UndoManager.redo()).toBe('Changed Strength to 15');
+        expect(AppState.getCurrentCharacter().abilityScores.strength).toBe(15);
+        expect(UndoManager.canRedo()).toBe(false);
+    });
+
+    it('should clear redo entries after a new change', async () => {
+        character.abilityScores.strength = 15;
+        UndoManager.commit();
+        await UndoManager.undo();
+
+        AppState.getCurrentCharacter().abilityScores.wisdom = 14;
+        UndoManager.commit();
+
+        expect(UndoManager.canRedo()).toBe(false);
+        expect(UndoManager.getHistory().undo.map((e) => e.label)).toEqual(['Changed Wisdom to 14']);
+    });
+
+    it('should undo several steps at once', async () => {
+        character.abilityScores.strength = 15;
+        UndoManager.commit();
+        AppState.getCurrentCharacter().race.name = 'Elf';
+        UndoManager.commit();
+
+        await UndoManager.undoTo(0);
+
+        const restored = AppState.getCurrentCharacter();
+        expect(restored.abilityScores.strength).toBe(10);
+        expect(restored.race.name).toBe('Human');
+        expect(UndoManager.getHistory().redo).toHaveLength(2);
+    });
+
+    it('should reset history when another character is selected', () => {
+        character.abilityScores.strength = 15;
+        UndoManager.commit();
+
+        AppState.setCurrentCharacter(makeCharacter());
+
+        expect(UndoManager.canUndo()).toBe(false);
+    });
+
+    it('should bind Ctrl+Z and Ctrl+Shift+Z outside text fields', async () => {
+        const undoSpy = vi.spyOn(UndoManager, 'undo').mockResolvedValue(null);
+        const redoSpy = vi.spyOn(UndoManager, 'redo').mockResolvedValue(null);
+
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true }));
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Z', ctrlKey: true, shiftKey: true }));
+        expect(undoSpy).toHaveBeenCalledTimes(1);
+        expect(redoSpy).toHaveBeenCalledTimes(1);
+
+        const input = document.createElement('input');
+        document.body.appendChild(input);
+        input.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+        expect(undoSpy).toHaveBeenCalledTimes(1);
+        input.remove();
+    });
+});
@@ -0,0 +1,127 @@
+// @vitest-environment node
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { PDFDocument } from 'pdf-lib';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import {
+    getUserTemplatesDir,
+    listPdfFields,
+    listUserTemplates,
+    readTemplateMapping,
+    resolveTemplateFile,
+    writeTemplateMapping,
+} from '../../src/main/pdf/UserTemplates.js';
+
+async function writeFormPdf(filePath) {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage();
+    const form = pdfDoc.getForm();
+    form.createTextField('CharName').addToPage(page, { x: 50, y: 700 });
+    form.createCheckBox('Inspired').addToPage(page, { x: 50, y: 650 });
+    form.createButton('Reset').addToPage('Reset', page, { x: 50, y: 600 });
+    await fs.writeFile(filePath, await pdfDoc.save());
+}
+
+describe('UserTemplates', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ff-templates-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should keep user templates beside the characters folder', () => {
+        expect(getUserTemplatesDir(path.join('/data', 'characters'))).toBe(
+            path.join('/data', 'templates'),
+        );
+    });
+
+    it('should resolve bundled and user template names inside their folders', () => {
+        const dirs = { bundledDir: '/bundled', userDir: '/user' };
+        expect(resolveTemplateFile('2014_Character_Sheet.pdf', dirs)).toBe(
+            path.resolve('/bundled/2014_Character_Sheet.pdf'),
+        );
+        expect(resolveTemplateFile('user:Mine', dirs)).toBe(
+            path.resolve('/user/Mine.pdf'),
+        );
+        expect(resolveTemplateFile('user:../../etc/passwd', dirs)).toBe(
+            path.resolve('/user/passwd.pdf'),
+        );
+        expect(
+            resolveTemplateFile('user:Mine.pdf', { bundledDir: '/bundled' }),
+        ).toBeNull();
+        expect(resolveTemplateFile('', dirs)).toBeNull();
+    });
+
+    it('should list user templates and whether they have a mapping', async () => {
+        await fs.writeFile(path.join(tmpDir, 'Homebrew_Sheet.pdf'), '');
+        await fs.writeFile(path.join(tmpDir, 'Alt.pdf'), '');
+        await fs.writeFile(path.join(tmpDir, 'Alt.mapping.json'), '{}');
+        await fs.writeFile(path.join(tmpDir, 'notes.txt'), '');
+
+        expect(await listUserTemplates(tmpDir)).toEqual([
+            {
+                name: 'Alt',
+                filename: 'user:Alt.pdf',
+                source: 'user',
+                hasMapping: true,
+            },
+            {
+                name: 'Homebrew Sheet',
+                filename: 'user:Homebrew_Sheet.pdf',
+                source: 'user',
+                hasMapping: false,
+            },
+        ]);
+        expect(await listUserTemplates(path.join(tmpDir, 'missing'))).toEqual(
+            [],
+        );
+    });
+
+    it('should list the fillable fields of a form', async () => {
+        const templatePath = path.join(tmpDir, 'Sheet.pdf');
+        await writeFormPdf(templatePath);
+
+        expect(await listPdfFields(templatePath)).toEqual([
+            { name: 'CharName', type: 'text' },
+            { name: 'Inspired', type: 'checkbox' },
+        ]);
+    });
+
+    it('should write a validated mapping and read it back', async () => {
+        const templatePath = path.join(tmpDir, 'Sheet.pdf');
+        await expect(readTemplateMapping(templatePath)).resolves.toBeNull();
+
+        const written = await writeTemplateMapping(templatePath, {
+            fields: { CharName: { value: 'name' } },
+        });
+        expect(written.fields.CharName).toEqual({
+            type: 'text',
+            value: 'name',
+        });
+        await expect(readTemplateMapping(templatePath)).resolves.toEqual(
+            written,
+        );
+        await expect(
+            fs.access(path.join(tmpDir, 'Sheet.mapping.json')),
+        ).resolves.toBeUndefined();
+    });
+
+    it('should reject invalid mappings on write and read', async () => {
+        const templatePath = path.join(tmpDir, 'Sheet.pdf');
+        await expect(
+            writeTemplateMapping(templatePath, {
+                fields: { X: { value: 'nope' } },
+            }),
+        ).rejects.toThrow('Unknown character value');
+
+        await fs.writeFile(path.join(tmpDir, 'Sheet.mapping.json'), '{ broken');
+        await expect(readTemplateMapping(templatePath)).rejects.toThrow(
+            'not valid JSON',
+        );
+    });
+});